@@ -0,0 +1,41 @@
+/**
+ * Zip Reader Test Helper
+ * Reads stored (uncompressed) entries back from archives built by ZipWriter
+ */
+
+/**
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Array<{name: string, method: number, crc: number, data: Uint8Array}>}
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const decoder = new TextDecoder()
+  const entries = []
+  let offset = 0
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const nameStart = offset + 30
+    const dataStart = nameStart + nameLength
+    entries.push({
+      name: decoder.decode(bytes.slice(nameStart, dataStart)),
+      method: view.getUint16(offset + 8, true),
+      crc: view.getUint32(offset + 14, true),
+      data: bytes.slice(dataStart, dataStart + size)
+    })
+    offset = dataStart + size
+  }
+
+  return entries
+}
+
+/**
+ * Map entry names to their text contents
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Object<string, string>}
+ */
+export function readZipText(bytes) {
+  const decoder = new TextDecoder()
+  return Object.fromEntries(readZip(bytes).map((entry) => [entry.name, decoder.decode(entry.data)]))
+}
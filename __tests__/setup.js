@@ -1,5 +1,12 @@
 // Mock IndexedDB for testing
 import 'fake-indexeddb/auto'
+import { TextEncoder, TextDecoder } from 'util'
+
+// Polyfill TextEncoder/TextDecoder, which jsdom does not provide
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder
+  global.TextDecoder = TextDecoder
+}
 
 // Polyfill structuredClone for Node.js environments
 if (!global.structuredClone) {
@@ -32,10 +39,12 @@ global.localStorage = {
 // Mock fetch for API tests
 global.fetch = jest.fn()
 
-// Mock Service Worker
-global.navigator.serviceWorker = {
-  register: jest.fn().mockResolvedValue({}),
-  ready: Promise.resolve({})
+// Mock Service Worker (tests of Cloudflare Workers run without a browser navigator)
+if (global.navigator) {
+  global.navigator.serviceWorker = {
+    register: jest.fn().mockResolvedValue({}),
+    ready: Promise.resolve({})
+  }
 }
 
 // Suppress console errors during tests
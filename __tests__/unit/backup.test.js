@@ -0,0 +1,204 @@
+/**
+ * Backup Tests - workspace archive export, checksum verification, selective and dry-run restore
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { SettingsManager } from '../../src/core/settings/settings-manager.js'
+import { ZipWriter } from '../../src/core/export/zip-writer.js'
+import { ZipReader } from '../../src/core/export/zip-reader.js'
+import {
+  BackupManager,
+  BACKUP_FORMAT,
+  BACKUP_VERSION
+} from '../../src/core/backup/backup-manager.js'
+
+/**
+ * Copy an archive, changing some entries on the way
+ */
+async function rewriteArchive(data, changes) {
+  const reader = new ZipReader(data)
+  const writer = new ZipWriter()
+  for (const { path } of reader.getEntries()) {
+    const text = await reader.readText(path)
+    writer.addFile(path, changes[path] ? changes[path](text) : text)
+  }
+  return writer.toUint8Array()
+}
+
+describe('BackupManager', () => {
+  let storage
+  let settings
+  let backups
+  let chapter
+  let reference
+
+  beforeEach(async () => {
+    localStorage.clear()
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Backup_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    settings = new SettingsManager()
+    backups = new BackupManager(storage, settings)
+
+    chapter = await storage.saveDocument({
+      title: 'Chapter One',
+      content: 'The road north.',
+      tags: ['draft']
+    })
+    reference = await storage.saveDocument({ title: 'Reference', content: 'Fixed text.' })
+    reference = await storage.setDocumentReadonly(reference.id, true)
+    await storage.saveRevision({
+      id: 'rev-1',
+      documentId: chapter.id,
+      content: 'The road.',
+      createdAt: '2026-10-01T10:00:00.000Z'
+    })
+    await storage.saveProject({ id: 'project-1', title: 'Saga', binder: [chapter.id] })
+    await storage.saveWordCount({
+      id: `2026-10-01:${chapter.id}`,
+      date: '2026-10-01',
+      documentId: chapter.id,
+      words: 3
+    })
+  })
+
+  afterEach(() => {
+    storage.db?.close()
+  })
+
+  it('should write a versioned archive with a checksum for every entry', async () => {
+    const { data, filename, manifest } = await backups.createBackup()
+
+    expect(filename).toMatch(/^fantasy-editor-backup-\d{4}-\d{2}-\d{2}\.zip$/)
+    expect(manifest).toMatchObject({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      counts: { documents: 2, tags: 1, revisions: 1, projects: 1, wordcounts: 1 }
+    })
+
+    const reader = new ZipReader(data)
+    const paths = reader.getEntries().map((entry) => entry.path)
+    expect(paths[0]).toBe('manifest.json')
+    expect(paths.slice(1).sort()).toEqual(Object.keys(manifest.files).sort())
+    expect(paths).toEqual(
+      expect.arrayContaining([
+        `documents/${chapter.id}.json`,
+        'settings.json',
+        'themes.json',
+        'tags.json',
+        'revisions.json',
+        'projects.json',
+        'word-history.json'
+      ])
+    )
+    expect(JSON.parse(await reader.readText('themes.json'))).toEqual({
+      theme: 'light',
+      customTheme: settings.get('editor.customTheme')
+    })
+  })
+
+  it('should report what a dry run would change without writing', async () => {
+    const { data } = await backups.createBackup()
+    await storage.saveDocument({ ...chapter, content: 'The road south.' })
+    await storage.deleteDocument(reference.id)
+    await storage.deleteRevisions(['rev-1'])
+    settings.set('editor.width', 80)
+
+    const report = await backups.restore(data, { dryRun: true })
+
+    expect(report.dryRun).toBe(true)
+    expect(report.sections.documents).toEqual({
+      added: ['Reference'],
+      updated: ['Chapter One'],
+      unchanged: 0
+    })
+    expect(report.sections.revisions.added).toHaveLength(1)
+    expect(report.sections.projects).toEqual({ added: [], updated: [], unchanged: 1 })
+    expect(report.sections.settings.updated).toEqual(['settings'])
+    expect(report.sections.themes.unchanged).toBe(1)
+    expect(report.documents).toEqual([])
+
+    expect((await storage.getDocument(chapter.id)).content).toBe('The road south.')
+    expect(await storage.getDocument(reference.id)).toBeUndefined()
+    expect(settings.get('editor.width')).toBe(80)
+  })
+
+  it('should restore documents, readonly status, history and settings', async () => {
+    const { data } = await backups.createBackup()
+    await storage.saveDocument({ ...chapter, content: 'The road south.' })
+    await storage.deleteDocument(reference.id)
+    await storage.deleteRevisions(['rev-1'])
+    settings.set('editor.width', 80)
+    settings.set('editor.theme', 'dark')
+
+    const report = await backups.restore(data)
+
+    expect(report.corrupt).toEqual([])
+    expect(report.failed).toEqual([])
+    expect(report.documents.map((doc) => doc.title).sort()).toEqual(['Chapter One', 'Reference'])
+    expect((await storage.getDocument(chapter.id)).content).toBe('The road north.')
+    expect(await storage.getDocument(reference.id)).toMatchObject({
+      content: 'Fixed text.',
+      readonly: true
+    })
+    expect(await storage.getRevision('rev-1')).toMatchObject({ content: 'The road.' })
+    expect(settings.get('editor.width')).toBe(65)
+    expect(settings.get('editor.theme')).toBe('light')
+  })
+
+  it('should restore only the chosen sections and documents', async () => {
+    const { data } = await backups.createBackup()
+    await storage.saveDocument({ ...chapter, content: 'Rewritten.', tags: ['final'] })
+    settings.set('editor.theme', 'dark')
+
+    const tagsOnly = await backups.restore(data, { sections: ['tags', 'settings'] })
+
+    const restored = await storage.getDocument(chapter.id)
+    expect(restored).toMatchObject({ content: 'Rewritten.', tags: ['draft'] })
+    expect(tagsOnly.sections.tags).toEqual({ added: [], updated: ['Chapter One'], unchanged: 1 })
+    expect(Object.keys(tagsOnly.sections)).toEqual(['tags', 'settings'])
+    expect(settings.get('editor.theme')).toBe('dark')
+
+    const single = await backups.restore(data, { documents: ['chapter one'] })
+    expect(single.sections.documents).toEqual({ added: [], updated: ['Chapter One'], unchanged: 0 })
+    expect(single.sections.wordcounts.unchanged).toBe(1)
+    expect((await storage.getDocument(chapter.id)).content).toBe('The road north.')
+
+    await expect(backups.restore(data, { documents: ['Missing'] })).rejects.toThrow(
+      'No document in the backup matches "Missing"'
+    )
+    await expect(backups.restore(data, { sections: ['everything'] })).rejects.toThrow(
+      'Unknown backup section "everything"'
+    )
+  })
+
+  it('should skip entries whose checksum does not match', async () => {
+    const { data } = await backups.createBackup()
+    const tampered = await rewriteArchive(data, {
+      [`documents/${chapter.id}.json`]: (text) => text.replace('The road north.', 'Tampered.')
+    })
+    await storage.saveDocument({ ...chapter, content: 'Current text.' })
+
+    const report = await backups.restore(tampered)
+
+    expect(report.corrupt).toEqual([
+      { path: `documents/${chapter.id}.json`, error: 'Checksum does not match' }
+    ])
+    expect(report.sections.documents.unchanged).toBe(1)
+    expect((await storage.getDocument(chapter.id)).content).toBe('Current text.')
+  })
+
+  it('should refuse files that are not backups of a known version', async () => {
+    const { data } = await backups.createBackup()
+    const newer = await rewriteArchive(data, {
+      'manifest.json': (text) => text.replace(/"version": 1/, '"version": 99')
+    })
+    const writer = new ZipWriter()
+    writer.addFile('notes.md', '# Notes')
+
+    await expect(backups.restore(newer)).rejects.toThrow('made by a newer version (format 99)')
+    await expect(backups.restore(writer.toUint8Array())).rejects.toThrow('manifest.json is missing')
+    await expect(backups.restore(new TextEncoder().encode('{}'))).rejects.toThrow(
+      'Not a backup archive'
+    )
+  })
+})
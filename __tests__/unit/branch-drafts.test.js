@@ -0,0 +1,224 @@
+/**
+ * Branch Drafts Tests - switching the working set between branches and merging drafts back
+ */
+import { SyncManager } from '../../src/core/storage/sync-manager.js'
+import { isValidBranchName } from '../../src/core/git/git-service.js'
+
+const SYNCED_AT = '2024-01-02T10:00:00.000Z'
+const BASE = 'The gate opened.\nMara rode north.\n\nThe city burned at dawn.\nNobody slept.\n'
+
+const synced = (id, content, extra = {}) => ({
+  id,
+  title: id,
+  content,
+  tags: [],
+  githubSha: `sha-${id}`,
+  githubPath: `documents/${id}.md`,
+  lastSyncedAt: SYNCED_AT,
+  updatedAt: SYNCED_AT,
+  metadata: { modified: SYNCED_AT },
+  ...extra
+})
+
+/**
+ * Fake backend with one listing per branch; forBranch() returns a view of another branch
+ */
+function createBackend(branches, mergeBaseDocs = {}) {
+  const view = (branch) => ({
+    branch,
+    listDocuments: jest.fn(async (known = []) =>
+      branches[branch].map((doc) => {
+        const local = known.find((item) => item.id === doc.id)
+        return local && local.githubSha === doc.githubSha ? { ...doc, unchanged: true } : doc
+      })
+    ),
+    loadDocument: jest.fn(async (path) => {
+      const doc = mergeBaseDocs[path]
+      if (!doc) throw new Error('API request failed: Not Found (404)')
+      return doc
+    })
+  })
+
+  const backend = {
+    ...view('main'),
+    isConfigured: () => true,
+    getFolder: (path) => path.split('/').slice(1, -1).join('/'),
+    updateConfig: jest.fn((config) => Object.assign(backend, config)),
+    getMergeBase: jest.fn(async () => 'base-commit'),
+    commitDocuments: jest.fn(async (documents, projects, message) => ({
+      commitSha: 'merge-commit',
+      message,
+      documents: documents.map((doc) => ({ ...doc, githubSha: `merged-${doc.id}` })),
+      projects: []
+    }))
+  }
+  backend.views = {}
+  backend.forBranch = jest.fn((branch) => {
+    backend.views[branch] = backend.views[branch] || view(branch)
+    return backend.views[branch]
+  })
+  return backend
+}
+
+function createStorage(documents) {
+  const docs = new Map(documents.map((doc) => [doc.id, doc]))
+  return {
+    docs,
+    getAllDocuments: jest.fn(async () => [...docs.values()]),
+    saveDocument: jest.fn(async (doc) => {
+      docs.set(doc.id, doc)
+      return doc
+    }),
+    deleteDocument: jest.fn(async (id) => docs.delete(id)),
+    generateChecksum: jest.fn(() => 'checksum')
+  }
+}
+
+describe('SyncManager branch drafts', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('switchBranch', () => {
+    it('should load the branch documents and drop those missing on it', async () => {
+      const storage = createStorage([
+        synced('ch1', 'main text'),
+        synced('ch2', 'only on main'),
+        { ...synced('help', 'local only'), githubSha: null, githubPath: null },
+        { id: 'notes', title: 'Notes', content: 'new draft', updatedAt: SYNCED_AT }
+      ])
+      const backend = createBackend({
+        draft: [
+          synced('ch1', 'draft text', { githubSha: 'sha-ch1-draft' }),
+          synced('ch3', 'new on draft')
+        ]
+      })
+      const syncManager = new SyncManager(storage, backend, { isAuthenticated: () => true })
+      syncManager.onDocumentRemoved = jest.fn(async () => {})
+
+      const result = await syncManager.switchBranch('draft')
+
+      expect(result).toEqual({ downloaded: 2, removed: 1 })
+      expect(syncManager.onDocumentRemoved).toHaveBeenCalledWith('ch2')
+      expect(storage.docs.get('ch1').content).toBe('draft text')
+      expect(storage.docs.get('ch1').syncBase).toBe('draft text')
+      expect(storage.docs.has('ch2')).toBe(false)
+      expect(storage.docs.has('ch3')).toBe(true)
+      // Never-pushed documents have no branch and stay in the working set
+      expect(storage.docs.has('help')).toBe(true)
+      expect(storage.docs.get('notes').content).toBe('new draft')
+      expect(backend.updateConfig).toHaveBeenCalledWith({ branch: 'draft' })
+    })
+
+    it('should refuse to switch with unsynced local changes', async () => {
+      const storage = createStorage([
+        synced('ch1', 'edited', { metadata: { modified: '2024-01-03T10:00:00.000Z' } })
+      ])
+      const backend = createBackend({ draft: [] })
+      const syncManager = new SyncManager(storage, backend, { isAuthenticated: () => true })
+
+      await expect(syncManager.switchBranch('draft')).rejects.toThrow(
+        'Sync your changes to "ch1" before switching branches'
+      )
+      expect(backend.forBranch).not.toHaveBeenCalled()
+      expect(backend.updateConfig).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('mergeBranch', () => {
+    it('should merge draft edits and new documents in one commit', async () => {
+      const storage = createStorage([
+        synced('ch1', BASE.replace('Mara rode north.', 'Mara rode north alone.')),
+        synced('ch2', 'untouched')
+      ])
+      const backend = createBackend(
+        {
+          draft: [
+            synced('ch1', BASE.replace('Nobody slept.', 'Nobody slept that night.'), {
+              githubSha: 'sha-ch1-draft'
+            }),
+            synced('ch2', 'untouched'),
+            synced('ch3', 'written on the draft')
+          ]
+        },
+        { 'documents/ch1.md': { content: BASE } }
+      )
+      const syncManager = new SyncManager(storage, backend, { isAuthenticated: () => true })
+
+      const result = await syncManager.mergeBranch('draft')
+
+      expect(result).toEqual({ merged: 1, added: 1, conflicts: 0, commitSha: 'merge-commit' })
+      expect(backend.getMergeBase).toHaveBeenCalledWith('main', 'draft')
+      expect(backend.forBranch).toHaveBeenCalledWith('base-commit')
+
+      const [documents, , message] = backend.commitDocuments.mock.calls[0]
+      expect(message).toBe("Merge branch 'draft' into main")
+      expect(documents.map((doc) => doc.id)).toEqual(['ch1', 'ch3'])
+      expect(documents[0].content).toBe(
+        'The gate opened.\nMara rode north alone.\n\nThe city burned at dawn.\nNobody slept that night.\n'
+      )
+      expect(documents[1].githubSha).toBeNull()
+      expect(storage.docs.get('ch1').githubSha).toBe('merged-ch1')
+    })
+
+    it('should queue overlapping edits as conflicts named after both branches', async () => {
+      const storage = createStorage([synced('ch1', BASE.replace('rode north', 'rode east'))])
+      const backend = createBackend(
+        {
+          draft: [
+            synced('ch1', BASE.replace('rode north', 'sailed south'), { githubSha: 'sha-draft' })
+          ]
+        },
+        { 'documents/ch1.md': { content: BASE } }
+      )
+      const syncManager = new SyncManager(storage, backend, { isAuthenticated: () => true })
+
+      const result = await syncManager.mergeBranch('draft')
+
+      expect(result.conflicts).toBe(1)
+      expect(backend.commitDocuments).not.toHaveBeenCalled()
+
+      const [conflict] = syncManager.getPendingConflicts()
+      expect(conflict.labels).toEqual({ local: 'main', remote: 'draft' })
+      expect(conflict.hunks.some((hunk) => hunk.type === 'conflict')).toBe(true)
+    })
+
+    it('should push the chosen text when a branch conflict is resolved', async () => {
+      const storage = createStorage([synced('ch1', BASE.replace('rode north', 'rode east'))])
+      const backend = createBackend(
+        {
+          draft: [
+            synced('ch1', BASE.replace('rode north', 'sailed south'), {
+              githubSha: 'sha-draft',
+              githubPath: 'documents/drafts/ch1.md'
+            })
+          ]
+        },
+        { 'documents/ch1.md': { content: BASE } }
+      )
+      const syncManager = new SyncManager(storage, backend, { isAuthenticated: () => true })
+      await syncManager.mergeBranch('draft')
+      const [conflict] = syncManager.getPendingConflicts()
+
+      const resolved = await syncManager.resolveConflict(conflict.id, 'remote')
+
+      expect(resolved.content).toBe(BASE.replace('rode north', 'sailed south'))
+      const [[uploaded]] = backend.commitDocuments.mock.calls[0]
+      expect(uploaded.githubPath).toBe('documents/ch1.md')
+      expect(syncManager.getPendingConflicts()).toHaveLength(0)
+    })
+  })
+
+  describe('isValidBranchName', () => {
+    it('should accept plain and nested branch names', () => {
+      expect(isValidBranchName('draft')).toBe(true)
+      expect(isValidBranchName('drafts/chapter-3_v2')).toBe(true)
+    })
+
+    it('should reject names git does not allow', () => {
+      ;['', '-draft', 'a..b', 'draft.lock', 'has space', 'drafts/.hidden', 'trailing/'].forEach(
+        (name) => expect(isValidBranchName(name)).toBe(false)
+      )
+    })
+  })
+})
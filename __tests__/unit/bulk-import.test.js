@@ -0,0 +1,347 @@
+/**
+ * Bulk Import Tests - zip reading, front matter and tag mapping, Obsidian link conversion,
+ * duplicate handling and the import wizard
+ */
+import { deflateRawSync } from 'zlib'
+import { DecompressionStream } from 'stream/web'
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { GitHubStorage } from '../../src/core/storage/github-storage.js'
+import { ZipWriter, crc32 } from '../../src/core/export/zip-writer.js'
+import { ZipReader } from '../../src/core/export/zip-reader.js'
+import {
+  BulkImporter,
+  MAX_EMBEDDED_ATTACHMENT_SIZE,
+  mapTags,
+  parseTagMap
+} from '../../src/core/import/bulk-importer.js'
+import { ImportWizardDialog } from '../../src/components/dialogs/import-wizard-dialog.js'
+
+const encoder = new TextEncoder()
+
+const file = (path, data) => {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data
+  return {
+    path,
+    file: { name: path.split('/').pop(), size: bytes.length, arrayBuffer: async () => bytes.buffer }
+  }
+}
+
+/**
+ * Single-entry archive with a deflated entry, as written by most zip tools
+ */
+const deflatedZip = (path, text) => {
+  const name = encoder.encode(path)
+  const bytes = encoder.encode(text)
+  const data = new Uint8Array(deflateRawSync(bytes))
+
+  const local = new DataView(new ArrayBuffer(30))
+  local.setUint32(0, 0x04034b50, true)
+  local.setUint16(8, 8, true)
+  local.setUint32(14, crc32(bytes), true)
+  local.setUint32(18, data.length, true)
+  local.setUint32(22, bytes.length, true)
+  local.setUint16(26, name.length, true)
+
+  const central = new DataView(new ArrayBuffer(46))
+  central.setUint32(0, 0x02014b50, true)
+  central.setUint16(10, 8, true)
+  central.setUint32(16, crc32(bytes), true)
+  central.setUint32(20, data.length, true)
+  central.setUint32(24, bytes.length, true)
+  central.setUint16(28, name.length, true)
+
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, 1, true)
+  end.setUint16(10, 1, true)
+  end.setUint32(12, 46 + name.length, true)
+  end.setUint32(16, 30 + name.length + data.length, true)
+
+  const parts = [local, name, data, central, name, end].map((part) =>
+    part instanceof DataView ? new Uint8Array(part.buffer) : part
+  )
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  parts.reduce((offset, part) => {
+    output.set(part, offset)
+    return offset + part.length
+  }, 0)
+  return output
+}
+
+describe('ZipReader', () => {
+  it('should read stored entries written by ZipWriter', async () => {
+    const writer = new ZipWriter()
+    writer.addFile('vault/', '')
+    writer.addFile('vault/Note.md', '# Note')
+    writer.addFile('vault/img.png', new Uint8Array([1, 2, 3]))
+
+    const reader = new ZipReader(writer.toUint8Array())
+
+    expect(reader.getEntries().map((entry) => entry.path)).toEqual([
+      'vault/Note.md',
+      'vault/img.png'
+    ])
+    expect(await reader.readText('vault/Note.md')).toBe('# Note')
+    expect(Array.from(await reader.read('vault/img.png'))).toEqual([1, 2, 3])
+  })
+
+  it('should inflate deflated entries', async () => {
+    global.DecompressionStream = DecompressionStream
+    const text = 'Deflated note text. '.repeat(50)
+
+    const reader = new ZipReader(deflatedZip('Note.md', text))
+
+    expect(reader.getEntries()[0]).toMatchObject({ path: 'Note.md', method: 8 })
+    expect(await reader.readText('Note.md')).toBe(text)
+    delete global.DecompressionStream
+  })
+
+  it('should reject files that are not zip archives', () => {
+    expect(ZipReader.isZip(encoder.encode('# Just markdown'))).toBe(false)
+    expect(() => new ZipReader(encoder.encode('# Just markdown'))).toThrow('Invalid zip file')
+  })
+})
+
+describe('tag mapping', () => {
+  it('should combine front matter tags, inline #tags and extra tags', () => {
+    const tags = mapTags(
+      { tags: ['Magic', '#lore'] },
+      'A #draft note with `#code` and # heading and #2024\n\n```\n#fenced\n```',
+      { tags: ['imported'], tagMap: { draft: 'wip', lore: '' } }
+    )
+
+    expect(tags).toEqual(['magic', 'wip', 'imported'])
+  })
+
+  it('should read comma separated and inline list tags', () => {
+    expect(mapTags({ tags: '[world, places]' }, '', { inlineTags: false })).toEqual([
+      'world',
+      'places'
+    ])
+    expect(mapTags({ tag: 'one two' }, '')).toEqual(['one', 'two'])
+  })
+
+  it('should parse renames typed in the wizard', () => {
+    expect(parseTagMap('WIP = draft, #private=, nonsense')).toEqual({ wip: 'draft', private: '' })
+  })
+})
+
+describe('BulkImporter', () => {
+  let storage
+  let importer
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Import_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    importer = new BulkImporter(storage, new GitHubStorage({ isAuthenticated: () => false }))
+  })
+
+  afterEach(() => {
+    storage.db?.close()
+  })
+
+  it('should read a vault with folders, front matter and Obsidian links', async () => {
+    const plan = await importer.prepare([
+      file(
+        'Vault/World/Eldoria.md',
+        '---\ntitle: "Kingdom of Eldoria"\ntags:\n  - place\n---\nCapital of the north.'
+      ),
+      file(
+        'Vault/Characters/Mara.md',
+        [
+          'Born in [[Eldoria|the north]], see [[World/Eldoria#History]] and ![[Eldoria]].',
+          'Block ref [[Eldoria#^abc123]], unknown [[Nowhere]].',
+          'Portrait: ![[mara.png|200]] and ![map](../World/map.png)',
+          'Relative [the kingdom](../World/Eldoria.md) and [site](https://example.com/a.md).',
+          'Code `[[Eldoria]]` stays.'
+        ].join('\n')
+      ),
+      file('Vault/Characters/mara.png', new Uint8Array([137, 80, 78, 71])),
+      file('Vault/.obsidian/app.json', '{}'),
+      file('Vault/notes.pdf', new Uint8Array([1]))
+    ])
+
+    expect(plan.items.map((item) => [item.title, item.folder, item.action])).toEqual([
+      ['Kingdom of Eldoria', 'World', 'create'],
+      ['Mara', 'Characters', 'create']
+    ])
+    expect(plan.items[0].tags).toEqual(['place'])
+
+    const content = plan.items[1].content
+    expect(content).toContain('Born in [[Kingdom of Eldoria|the north]]')
+    expect(content).toContain('see [[Kingdom of Eldoria#History]] and [[Kingdom of Eldoria]].')
+    expect(content).toContain('Block ref [[Kingdom of Eldoria]], unknown [[Nowhere]].')
+    expect(content).toContain('![mara.png](data:image/png;base64,iVBORw==)')
+    expect(content).toContain('*[missing attachment: ../World/map.png]*')
+    expect(content).toContain('Relative [[Kingdom of Eldoria|the kingdom]]')
+    expect(content).toContain('[site](https://example.com/a.md)')
+    expect(content).toContain('Code `[[Eldoria]]` stays.')
+    expect(plan.warnings).toEqual(['Characters/Mara.md: attachment "../World/map.png" not found'])
+    expect(plan.ignored).toEqual(['notes.pdf'])
+  })
+
+  it('should not embed large attachments', async () => {
+    const plan = await importer.prepare([
+      file('Note.md', '![[big.png]]'),
+      file('big.png', new Uint8Array(MAX_EMBEDDED_ATTACHMENT_SIZE + 1))
+    ])
+
+    expect(plan.items[0].content).toBe('*[attachment not imported: big.png]*')
+  })
+
+  it('should expand zip archives', async () => {
+    const writer = new ZipWriter()
+    writer.addFile('notes/One.md', 'First note')
+    writer.addFile('notes/Two.md', 'Links to [[One]]')
+
+    const plan = await importer.prepare([file('notes.zip', writer.toUint8Array())])
+
+    expect(plan.items.map((item) => item.title)).toEqual(['One', 'Two'])
+    expect(plan.items[1]).toMatchObject({ folder: '', content: 'Links to [[One]]' })
+  })
+
+  it('should refuse imports without notes', async () => {
+    await expect(importer.prepare([file('photo.png', new Uint8Array([1]))])).rejects.toThrow(
+      'No markdown notes found'
+    )
+  })
+
+  it('should skip, merge or keep both for duplicates', async () => {
+    const existing = await storage.saveDocument({
+      title: 'Eldoria',
+      content: 'Capital of the north.',
+      tags: ['place']
+    })
+    const plan = await importer.prepare([
+      file('World/Eldoria.md', 'Capital of the north.\n\nFounded by Mara.'),
+      file('World/Copy/Eldoria.md', 'Capital of the north.'),
+      file('World/Skipped/Eldoria.md', 'Capital of the north.'),
+      file('World/Vale.md', 'A quiet valley.')
+    ])
+
+    expect(plan.items.map((item) => item.action)).toEqual(['skip', 'skip', 'skip', 'create'])
+    expect(plan.items[0].duplicates[0].document.id).toBe(existing.id)
+
+    plan.items[0].action = 'merge'
+    plan.items[1].action = 'keep-both'
+    const progress = jest.fn()
+    const result = await importer.run(plan, progress)
+
+    expect(result).toMatchObject({ created: 2, merged: 1, skipped: 1, failed: [] })
+    expect(progress).toHaveBeenLastCalledWith(4, 4)
+
+    const merged = await storage.getDocument(existing.id)
+    expect(merged.content).toBe('Capital of the north.\n\nFounded by Mara.')
+    expect(merged.tags).toEqual(['place'])
+
+    const titles = (await storage.getAllDocuments()).map((doc) => doc.title).sort()
+    expect(titles).toEqual(['Eldoria', 'Eldoria (imported)', 'Vale'])
+    expect(result.documents[1]).toMatchObject({ title: 'Eldoria (imported)', folder: 'Copy' })
+  })
+
+  it('should report notes that cannot be merged', async () => {
+    const existing = await storage.saveDocument({ title: 'Canon', content: 'Fixed text.' })
+    await storage.setDocumentReadonly(existing.id, true)
+    const plan = await importer.prepare([file('Canon.md', 'Fixed text.')])
+
+    plan.items[0].action = 'merge'
+    const result = await importer.run(plan)
+
+    expect(result.failed).toEqual([
+      { path: 'Canon.md', error: 'Cannot merge into readonly document "Canon"' }
+    ])
+  })
+})
+
+describe('ImportWizardDialog', () => {
+  let importer
+  let dialog
+
+  const plan = () => ({
+    items: [
+      {
+        path: 'Eldoria.md',
+        title: 'Eldoria',
+        folder: '',
+        tags: ['place'],
+        content: 'Text',
+        action: 'skip',
+        duplicates: [
+          { document: { id: 'a', title: 'Eldoria' }, similarity: 90, reasons: ['Identical titles'] }
+        ]
+      },
+      {
+        path: 'Vale.md',
+        title: 'Vale',
+        folder: '',
+        tags: [],
+        content: 'Text',
+        action: 'create',
+        duplicates: []
+      }
+    ],
+    warnings: [],
+    ignored: []
+  })
+
+  beforeEach(() => {
+    importer = {
+      prepare: jest.fn(async () => plan()),
+      run: jest.fn(async () => ({ created: 1, merged: 1, skipped: 0, failed: [], documents: [] }))
+    }
+    dialog = new ImportWizardDialog(importer)
+  })
+
+  afterEach(() => {
+    dialog.hide()
+  })
+
+  it('should review duplicates and import with the chosen actions', async () => {
+    const onComplete = jest.fn()
+    dialog.show(onComplete)
+    dialog.element.querySelector('.import-extra-tags').value = 'imported, vault'
+    dialog.element.querySelector('.import-tag-map').value = 'wip=draft'
+
+    await dialog.prepare([file('Eldoria.md', 'Text')])
+
+    expect(importer.prepare.mock.calls[0][1]).toEqual({
+      tags: ['imported', ' vault'],
+      tagMap: { wip: 'draft' },
+      inlineTags: true
+    })
+    const selects = dialog.element.querySelectorAll('.import-item-action')
+    expect(Array.from(selects[0].options).map((option) => option.value)).toEqual([
+      'skip',
+      'merge',
+      'keep-both'
+    ])
+    expect(dialog.element.querySelector('.import-item-duplicate').textContent).toContain(
+      '90% like "Eldoria"'
+    )
+
+    selects[0].value = 'merge'
+    selects[0].dispatchEvent(new Event('change', { bubbles: true }))
+    await dialog.runImport()
+
+    expect(importer.run.mock.calls[0][0].items.map((item) => item.action)).toEqual([
+      'merge',
+      'create'
+    ])
+    expect(onComplete).toHaveBeenCalled()
+    expect(dialog.element.querySelector('.import-summary').textContent).toContain(
+      'Imported 1 note(s), merged 1, skipped 0'
+    )
+  })
+
+  it('should show why files could not be read', async () => {
+    importer.prepare.mockRejectedValue(new Error('No markdown notes found to import'))
+    dialog.show()
+
+    await dialog.prepare([file('photo.png', new Uint8Array([1]))])
+
+    const status = dialog.element.querySelector('.import-status')
+    expect(status.textContent).toBe('No markdown notes found to import')
+    expect(status.classList.contains('error')).toBe(true)
+  })
+})
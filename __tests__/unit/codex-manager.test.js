@@ -0,0 +1,195 @@
+/**
+ * CodexManager Tests - Worldbuilding entries with typed fields and front matter sync
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { GitHubStorage } from '../../src/core/storage/github-storage.js'
+import { CodexManager, CODEX_SCHEMAS } from '../../src/core/codex/codex-manager.js'
+
+describe('CodexManager', () => {
+  let storageManager
+  let codexManager
+  let settings
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Test_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+    await storageManager.initDatabase()
+
+    settings = {}
+    const settingsManager = {
+      get: jest.fn((path) => settings[path]),
+      set: jest.fn((path, value) => {
+        settings[path] = value
+      })
+    }
+    codexManager = new CodexManager(storageManager, settingsManager)
+  })
+
+  afterEach(async () => {
+    if (storageManager.db) {
+      storageManager.db.close()
+      try {
+        const deleteReq = indexedDB.deleteDatabase(storageManager.dbName)
+        await new Promise((resolve, reject) => {
+          deleteReq.onsuccess = () => resolve()
+          deleteReq.onerror = () => reject()
+        })
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  })
+
+  describe('schemas', () => {
+    it('should offer built-in character, place and lore types', () => {
+      expect(codexManager.getEntityTypes()).toEqual(
+        expect.arrayContaining(['character', 'location', 'lore'])
+      )
+      expect(codexManager.getSchema('character').fields.map((f) => f.key)).toEqual(
+        expect.arrayContaining(['age', 'allegiance', 'aliases'])
+      )
+      expect(() => codexManager.getSchema('spaceship')).toThrow('Unknown codex type: spaceship')
+    })
+
+    it('should store custom schemas in settings', () => {
+      codexManager.setSchema('creature', {
+        label: 'Creatures',
+        fields: [
+          { key: 'habitat', type: 'text' },
+          { key: 'legs', label: 'Legs', type: 'number' }
+        ]
+      })
+
+      expect(codexManager.getEntityTypes()).toContain('creature')
+      expect(codexManager.getSchema('creature').fields[0]).toEqual({
+        key: 'habitat',
+        label: 'habitat',
+        type: 'text'
+      })
+      expect(settings['codex.schemas'].creature.label).toBe('Creatures')
+      expect(CODEX_SCHEMAS.creature).toBeUndefined()
+    })
+
+    it('should reject invalid field definitions', () => {
+      expect(() =>
+        codexManager.setSchema('creature', { fields: [{ key: 'size', type: 'color' }] })
+      ).toThrow('Unsupported codex field type: color')
+      expect(() =>
+        codexManager.setSchema('creature', {
+          fields: [
+            { key: 'size', type: 'text' },
+            { key: 'size', type: 'number' }
+          ]
+        })
+      ).toThrow('Duplicate codex field key: size')
+    })
+  })
+
+  describe('entries', () => {
+    it('should create entries as codex documents with typed fields', async () => {
+      const entry = await codexManager.createEntry('character', 'Mara Vey', {
+        age: '32',
+        aliases: 'The Ash Queen, Mara'
+      })
+
+      const stored = await storageManager.getDocument(entry.id)
+      expect(stored.type).toBe('codex')
+      expect(stored.codexType).toBe('character')
+      expect(stored.fields).toEqual({
+        age: 32,
+        role: '',
+        allegiance: '',
+        aliases: ['The Ash Queen', 'Mara']
+      })
+    })
+
+    it('should merge field updates and keep keys the schema does not know', async () => {
+      const entry = await codexManager.createEntry('location', 'Emberfall', { banner: 'red' })
+
+      const updated = await codexManager.updateFields(entry.id, { population: 'many' })
+
+      expect(updated.fields.population).toBeNull()
+      expect(updated.fields.banner).toBe('red')
+    })
+
+    it('should keep fields when the document content is saved', async () => {
+      const entry = await codexManager.createEntry('faction', 'The Ashen Court', {
+        leader: 'Mara Vey'
+      })
+
+      const saved = await storageManager.saveDocument({ ...entry, content: 'New notes' })
+
+      expect(saved.fields.leader).toBe('Mara Vey')
+      expect(saved.codexType).toBe('faction')
+    })
+
+    it('should list entries by type and find them by alias', async () => {
+      await codexManager.createEntry('character', 'Mara Vey', { aliases: ['Ash Queen'] })
+      await codexManager.createEntry('location', 'Emberfall')
+      await storageManager.saveDocument({ title: 'Chapter One', content: 'Text' })
+
+      expect((await codexManager.getEntries()).map((e) => e.title)).toEqual([
+        'Emberfall',
+        'Mara Vey'
+      ])
+      expect(await codexManager.getEntries('character')).toHaveLength(1)
+      expect((await codexManager.findEntry('ash queen')).title).toBe('Mara Vey')
+    })
+
+    it('should require a codex type on codex documents', () => {
+      expect(() =>
+        storageManager.validateDocument({
+          id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+          title: 'Nameless',
+          type: 'codex'
+        })
+      ).toThrow('Codex entries must have a valid codexType')
+    })
+  })
+
+  describe('front matter', () => {
+    const githubStorage = new GitHubStorage({ isAuthenticated: () => false })
+
+    it('should round-trip codex fields through markdown front matter', () => {
+      const entry = {
+        id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+        title: 'Mara Vey',
+        content: '# Mara Vey\n\nExiled heir.',
+        tags: ['character'],
+        type: 'codex',
+        codexType: 'character',
+        fields: {
+          age: 32,
+          allegiance: 'House Vey',
+          aliases: ['The Ash Queen', 'Mara'],
+          history: 'Born in the north.\nCrowned in the south.',
+          titles: []
+        }
+      }
+
+      const markdown = githubStorage.formatDocumentContent(entry)
+      const parsed = githubStorage.parseDocumentContent(markdown)
+
+      expect(markdown).toContain('fields:\n  age: 32\n  allegiance: "House Vey"\n  aliases:\n')
+      expect(parsed.type).toBe('codex')
+      expect(parsed.codexType).toBe('character')
+      expect(parsed.fields).toEqual(entry.fields)
+      expect(parsed.tags).toEqual(['character'])
+      expect(parsed.content).toBe(entry.content)
+    })
+
+    it('should leave regular documents without codex keys', () => {
+      const markdown = githubStorage.formatDocumentContent({
+        id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+        title: 'Chapter One',
+        content: 'Text',
+        tags: ['draft', 'act-one']
+      })
+      const parsed = githubStorage.parseDocumentContent(markdown)
+
+      expect(markdown).not.toContain('fields:')
+      expect(parsed.type).toBeUndefined()
+      expect(parsed.tags).toEqual(['draft', 'act-one'])
+    })
+  })
+})
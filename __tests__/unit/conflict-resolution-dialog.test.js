@@ -0,0 +1,100 @@
+/**
+ * ConflictResolutionDialog Tests - Hunk-by-hunk sync conflict resolution
+ */
+import { ConflictResolutionDialog } from '../../src/components/dialogs/conflict-resolution-dialog.js'
+import { mergeThreeWay } from '../../src/core/diff/three-way-merge.js'
+
+const BASE = 'Opening.\n\nMara rode north.\nMiddle.\nThe city burned.\nEnding.\n'
+const LOCAL = 'Opening!\n\nMara rode east.\nMiddle.\nThe city froze.\nEnding.\n'
+const REMOTE = 'Opening.\n\nMara sailed south.\nMiddle.\nThe tower fell.\nEnding.\n'
+
+const press = (key, options = {}) => {
+  document.activeElement.dispatchEvent(
+    new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options })
+  )
+}
+
+describe('ConflictResolutionDialog', () => {
+  let dialog
+  let onResolve
+  let conflict
+
+  beforeEach(() => {
+    dialog = new ConflictResolutionDialog()
+    onResolve = jest.fn()
+    conflict = {
+      id: 'doc-1-content',
+      type: 'content',
+      local: { title: 'Chapter One', content: LOCAL, updatedAt: '2024-01-02T10:00:00.000Z' },
+      remote: { title: 'Chapter One', content: REMOTE, updatedAt: '2024-01-02T12:00:00.000Z' },
+      hunks: mergeThreeWay(BASE, LOCAL, REMOTE).hunks
+    }
+    dialog.show([conflict], onResolve)
+  })
+
+  afterEach(() => {
+    dialog.hide()
+  })
+
+  it('should step through overlapping hunks only', () => {
+    expect(document.querySelector('.hunk-counter').textContent).toContain('Section 1 of 2')
+    expect(document.querySelector('.local-version pre').textContent).toBe('Mara rode east.\n')
+    expect(document.querySelector('.merge-preview').textContent).toContain('Opening!')
+    expect(document.querySelector('.resolution-btn.merge-changes').disabled).toBe(true)
+  })
+
+  it('should resolve hunks from the keyboard and apply the merge', () => {
+    press('2')
+    expect(document.querySelector('.hunk-counter').textContent).toContain('Section 2 of 2')
+
+    press('3')
+    expect(document.querySelector('.merge-preview').textContent).toContain(
+      'The city froze.\nThe tower fell.\n'
+    )
+
+    press('Enter', { ctrlKey: true })
+
+    expect(onResolve).toHaveBeenCalledWith(
+      'doc-1-content',
+      'merge',
+      'Opening!\n\nMara sailed south.\nMiddle.\nThe city froze.\nThe tower fell.\nEnding.\n'
+    )
+    expect(dialog.isOpen).toBe(false)
+  })
+
+  it('should use hand-edited text with a live preview', () => {
+    press('4')
+    const editor = document.querySelector('.hunk-editor')
+    expect(document.activeElement).toBe(editor)
+    expect(editor.value).toBe('Mara rode east.\n')
+
+    editor.value = 'Mara rode east, then south.\n'
+    editor.dispatchEvent(new Event('input', { bubbles: true }))
+    expect(document.querySelector('.merge-preview').textContent).toContain(
+      'Mara rode east, then south.'
+    )
+
+    // Number keys type into the editor instead of choosing
+    press('1')
+    expect(dialog.getResolutions(conflict)[0].choice).toBe('edit')
+
+    press('Escape')
+    press('ArrowDown')
+    press('1')
+    press('Enter', { ctrlKey: true })
+
+    expect(onResolve.mock.calls[0][2]).toContain(
+      'Mara rode east, then south.\nMiddle.\nThe city froze.'
+    )
+  })
+
+  it('should keep whole-document choices and stop listening once closed', () => {
+    press('1', { ctrlKey: true })
+
+    expect(onResolve).toHaveBeenCalledWith('doc-1-content', 'local', undefined)
+    expect(document.querySelector('.conflict-dialog-overlay')).toBeNull()
+
+    press('2')
+    expect(onResolve).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * DOCX Export Tests - Markdown blocks and Standard Manuscript Format WordprocessingML
+ */
+import { parseInline, parseMarkdownBlocks } from '../../src/core/export/markdown-blocks.js'
+import { DocxBuilder, roundWordCount } from '../../src/core/export/docx-builder.js'
+import { ExportManager } from '../../src/core/export/export-manager.js'
+import { readZipText } from '../helpers/zip-reader.js'
+
+describe('markdown blocks', () => {
+  it('should parse bold, italic and combined runs', () => {
+    const runs = parseInline('A **bold** and *italic* ***both*** word')
+
+    expect(runs).toEqual([
+      expect.objectContaining({ text: 'A ', bold: false, italic: false }),
+      expect.objectContaining({ text: 'bold', bold: true, italic: false }),
+      expect.objectContaining({ text: ' and ', bold: false }),
+      expect.objectContaining({ text: 'italic', bold: false, italic: true }),
+      expect.objectContaining({ text: ' ' }),
+      expect.objectContaining({ text: 'both', bold: true, italic: true }),
+      expect.objectContaining({ text: ' word', bold: false })
+    ])
+  })
+
+  it('should keep link text and drop the URL', () => {
+    expect(parseInline('See [the map](map.png)').map((run) => run.text)).toEqual([
+      'See ',
+      'the map'
+    ])
+  })
+
+  it('should split headings, paragraphs, quotes and scene breaks', () => {
+    const blocks = parseMarkdownBlocks(
+      '# Chapter One\n\nFirst line\ncontinues here.\n\n#\n\n> Quoted\n> text\n\n* * *\n\nEnd.'
+    )
+
+    expect(blocks.map((b) => b.type)).toEqual([
+      'heading',
+      'paragraph',
+      'scene-break',
+      'blockquote',
+      'scene-break',
+      'paragraph'
+    ])
+    expect(blocks[1].runs[0].text).toBe('First line continues here.')
+    expect(blocks[3].runs[0].text).toBe('Quoted text')
+  })
+})
+
+describe('DocxBuilder', () => {
+  const build = (manuscript) =>
+    readZipText(
+      new DocxBuilder({
+        title: 'The Ember Road',
+        author: 'Jo Ashford',
+        content: 'Opening paragraph.',
+        wordCount: 1234,
+        ...manuscript
+      })
+        .build()
+        .toUint8Array()
+    )
+
+  it('should round word counts to hundreds, or thousands for novels', () => {
+    expect(roundWordCount(1234)).toBe(1200)
+    expect(roundWordCount(20)).toBe(100)
+    expect(roundWordCount(87654)).toBe(88000)
+  })
+
+  it('should write a valid package with document, styles and header parts', () => {
+    const docx = build()
+
+    expect(Object.keys(docx)).toEqual(
+      expect.arrayContaining([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'word/document.xml',
+        'word/styles.xml',
+        'word/header1.xml'
+      ])
+    )
+    expect(docx['word/_rels/document.xml.rels']).toContain('Target="header1.xml"')
+  })
+
+  it('should use 12pt double spaced Courier by default and Times on request', () => {
+    expect(build()['word/styles.xml']).toContain('w:ascii="Courier New"')
+    expect(build()['word/styles.xml']).toContain('<w:sz w:val="24"/>')
+    expect(build()['word/styles.xml']).toContain('w:line="480"')
+    expect(build({ font: 'times' })['word/styles.xml']).toContain('w:ascii="Times New Roman"')
+  })
+
+  it('should put surname, title and page number in the running header', () => {
+    const header = build()['word/header1.xml']
+
+    expect(header).toContain('Ashford / The Ember Road / ')
+    expect(header).toContain('w:instr=" PAGE "')
+  })
+
+  it('should show the rounded word count on the first page', () => {
+    expect(build()['word/document.xml']).toContain('about 1,200 words')
+  })
+
+  it('should render scene breaks as a centered # and formatting as run properties', () => {
+    const document = build({ content: 'She *ran*.\n\n***\n\nThen **stopped**.' })[
+      'word/document.xml'
+    ]
+
+    expect(document).toContain('<w:rPr><w:i/></w:rPr><w:t xml:space="preserve">ran</w:t>')
+    expect(document).toContain(
+      '<w:pStyle w:val="SceneBreak"/></w:pPr><w:r><w:t xml:space="preserve">#</w:t>'
+    )
+    expect(document).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">stopped</w:t>')
+  })
+
+  it('should start novel chapters on new pages', () => {
+    const document = build({
+      novel: true,
+      content: '## One\n\nFirst.\n\n## Two\n\nSecond.'
+    })['word/document.xml']
+
+    expect(document.match(/ChapterHeading/g)).toHaveLength(2)
+    expect(document.match(/<w:pageBreakBefore\/>/g)).toHaveLength(1)
+  })
+
+  it('should escape XML in text', () => {
+    expect(build({ content: 'Salt & <iron>' })['word/document.xml']).toContain(
+      'Salt &amp; &lt;iron&gt;'
+    )
+  })
+})
+
+describe('ExportManager DOCX', () => {
+  it('should take the word count from the editor stats', () => {
+    const exportManager = new ExportManager({})
+    const downloadSpy = jest
+      .spyOn(exportManager, 'downloadFile')
+      .mockImplementation((filename, content) => ({ success: true, filename, content }))
+
+    const result = exportManager.exportAsDOCX(
+      'Story',
+      'Three small words',
+      {},
+      { words: 4321 },
+      { author: 'Jo Ashford' }
+    )
+
+    expect(result.filename).toBe('Story.docx')
+    expect(readZipText(result.content)['word/document.xml']).toContain('about 4,300 words')
+    downloadSpy.mockRestore()
+  })
+})
@@ -0,0 +1,152 @@
+/**
+ * EPUB Export Tests - EPUB 3 container, chapters, title page and cover
+ */
+import { EpubBuilder } from '../../src/core/export/epub-builder.js'
+import { ZipWriter, crc32 } from '../../src/core/export/zip-writer.js'
+import { ExportManager } from '../../src/core/export/export-manager.js'
+import { readZip } from '../helpers/zip-reader.js'
+
+describe('ZipWriter', () => {
+  it('should compute standard CRC-32 values', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+
+  it('should write stored entries in order with a central directory', () => {
+    const zip = new ZipWriter()
+    zip.addFile('a.txt', 'alpha')
+    zip.addFile('dir/b.bin', new Uint8Array([1, 2, 3]))
+
+    const bytes = zip.toUint8Array()
+    const entries = readZip(bytes)
+
+    expect(entries.map((e) => e.name)).toEqual(['a.txt', 'dir/b.bin'])
+    expect(new TextDecoder().decode(entries[0].data)).toBe('alpha')
+    expect(entries[1].crc).toBe(crc32(new Uint8Array([1, 2, 3])))
+
+    const end = new DataView(bytes.buffer, bytes.length - 22)
+    expect(end.getUint32(0, true)).toBe(0x06054b50)
+    expect(end.getUint16(10, true)).toBe(2)
+  })
+})
+
+describe('EpubBuilder', () => {
+  const book = {
+    id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+    title: 'The Ember Saga',
+    author: 'A. Writer',
+    tags: ['fantasy', 'serial'],
+    chapters: [
+      { title: 'Arrival', body: '<p>First.</p>' },
+      { title: 'Departure', body: '<p>Second.</p>' }
+    ]
+  }
+
+  const files = (builder) => {
+    const entries = readZip(builder.build().toUint8Array())
+    return Object.fromEntries(entries.map((e) => [e.name, e]))
+  }
+  const text = (entry) => new TextDecoder().decode(entry.data)
+
+  it('should start with an uncompressed mimetype entry', () => {
+    const entries = readZip(new EpubBuilder(book).build().toUint8Array())
+
+    expect(entries[0].name).toBe('mimetype')
+    expect(entries[0].method).toBe(0)
+    expect(text(entries[0])).toBe('application/epub+zip')
+  })
+
+  it('should write one XHTML file per chapter listed in spine and nav', () => {
+    const epub = files(new EpubBuilder(book))
+    const opf = text(epub['OEBPS/content.opf'])
+    const nav = text(epub['OEBPS/nav.xhtml'])
+
+    expect(epub['OEBPS/chapter-001.xhtml']).toBeDefined()
+    expect(text(epub['OEBPS/chapter-002.xhtml'])).toContain('<p>Second.</p>')
+    expect(opf).toContain('<itemref idref="title-page"/>')
+    expect(opf).toContain('<itemref idref="chapter-2"/>')
+    expect(opf).toContain('<dc:subject>fantasy</dc:subject>')
+    expect(nav).toContain('<a href="chapter-001.xhtml">Arrival</a>')
+  })
+
+  it('should build a title page from metadata and tags', () => {
+    const epub = files(new EpubBuilder({ ...book, titlePageMeta: ['1,200 words'] }))
+    const titlePage = text(epub['OEBPS/title.xhtml'])
+
+    expect(titlePage).toContain('The Ember Saga')
+    expect(titlePage).toContain('A. Writer')
+    expect(titlePage).toContain('1,200 words')
+    expect(titlePage).toContain('fantasy · serial')
+  })
+
+  it('should include an optional cover image', () => {
+    const cover = { data: new Uint8Array([0xff, 0xd8, 0xff]), mediaType: 'image/jpeg' }
+    const epub = files(new EpubBuilder({ ...book, cover }))
+
+    expect(epub['OEBPS/images/cover.jpg'].data).toEqual(cover.data)
+    expect(text(epub['OEBPS/content.opf'])).toContain('properties="cover-image"')
+    expect(epub['OEBPS/cover.xhtml']).toBeDefined()
+  })
+
+  it('should reject unsupported cover types and empty books', () => {
+    expect(
+      () => new EpubBuilder({ ...book, cover: { data: new Uint8Array(), mediaType: 'image/bmp' } })
+    ).toThrow('Unsupported cover image type: image/bmp')
+    expect(() => new EpubBuilder({ ...book, chapters: [] })).toThrow(
+      'EPUB needs at least one chapter'
+    )
+  })
+
+  it('should escape XML special characters in metadata', () => {
+    const epub = files(new EpubBuilder({ ...book, title: 'Fire & <Ice>' }))
+
+    expect(text(epub['OEBPS/content.opf'])).toContain('<dc:title>Fire &amp; &lt;Ice&gt;</dc:title>')
+  })
+})
+
+describe('ExportManager EPUB', () => {
+  let exportManager
+
+  beforeEach(() => {
+    exportManager = new ExportManager({})
+  })
+
+  it('should support the epub format', () => {
+    expect(exportManager.isFormatSupported('epub')).toBe(true)
+  })
+
+  it('should split documents into chapters at their top heading level', () => {
+    const chapters = exportManager.splitIntoChapters(
+      'Book',
+      'Preface text\n\n## One\n\nFirst\n\n### Detail\n\n## Two\n\nSecond'
+    )
+
+    expect(chapters.map((c) => c.title)).toEqual(['Book', 'One', 'Two'])
+    expect(chapters[1].content).toBe('First\n\n### Detail')
+  })
+
+  it('should keep headings without text as chapters of their own', () => {
+    const chapters = exportManager.splitIntoChapters(
+      'Book',
+      '# Part One\n\n# The Road\n\nText\n\n# Epilogue'
+    )
+
+    expect(chapters).toEqual([
+      { title: 'Part One', content: '' },
+      { title: 'The Road', content: 'Text' },
+      { title: 'Epilogue', content: '' }
+    ])
+  })
+
+  it('should keep a document without headings as a single chapter', () => {
+    expect(exportManager.splitIntoChapters('Book', 'Just text')).toEqual([
+      { title: 'Book', content: 'Just text' }
+    ])
+  })
+
+  it('should convert HTML to well-formed XHTML', () => {
+    const xhtml = exportManager.htmlToXhtml('<p>One<br>Two</p>')
+
+    expect(xhtml).toContain('<br />')
+    expect(xhtml).not.toContain('<br>')
+  })
+})
@@ -0,0 +1,54 @@
+/**
+ * Folder Utilities Tests - Folder path normalization and document hierarchy
+ */
+import { normalizeFolderPath, buildFolderTree, hasFolders } from '../../src/utils/folders.js'
+
+describe('Folder utilities', () => {
+  describe('normalizeFolderPath', () => {
+    it('should trim slashes, whitespace and empty segments', () => {
+      expect(normalizeFolderPath(' /book-1//chapters/ ')).toBe('book-1/chapters')
+      expect(normalizeFolderPath('book-1\\drafts')).toBe('book-1/drafts')
+      expect(normalizeFolderPath('')).toBe('')
+      expect(normalizeFolderPath(undefined)).toBe('')
+    })
+
+    it('should reject relative and hidden segments', () => {
+      expect(() => normalizeFolderPath('book-1/../secrets')).toThrow('Invalid folder name')
+      expect(() => normalizeFolderPath('.github')).toThrow('Invalid folder name')
+    })
+  })
+
+  describe('buildFolderTree', () => {
+    it('should nest documents by folder and count them at every level', () => {
+      const documents = [
+        { id: 'prologue' },
+        { id: 'ch10', folder: 'book-1/chapters' },
+        { id: 'notes', folder: 'book-1' },
+        { id: 'ch2', folder: 'book-1/chapters' },
+        { id: 'part-2', folder: 'book-10' },
+        { id: 'part-1', folder: 'book-2' }
+      ]
+
+      const root = buildFolderTree(documents)
+
+      expect(root.count).toBe(6)
+      expect(root.documents.map((doc) => doc.id)).toEqual(['prologue'])
+      expect(root.folders.map((folder) => folder.name)).toEqual(['book-1', 'book-2', 'book-10'])
+
+      const [book1] = root.folders
+      expect(book1).toMatchObject({ path: 'book-1', count: 3 })
+      expect(book1.documents.map((doc) => doc.id)).toEqual(['notes'])
+      expect(book1.folders[0]).toMatchObject({
+        name: 'chapters',
+        path: 'book-1/chapters',
+        count: 2
+      })
+      expect(book1.folders[0].documents.map((doc) => doc.id)).toEqual(['ch10', 'ch2'])
+    })
+  })
+
+  it('should only need a hierarchy when a document is in a folder', () => {
+    expect(hasFolders([{ id: 'a' }, { id: 'b', folder: '' }])).toBe(false)
+    expect(hasFolders([{ id: 'a' }, { id: 'b', folder: 'drafts' }])).toBe(true)
+  })
+})
@@ -0,0 +1,256 @@
+/**
+ * Git History Tests - commit log per document, commit diffs, restore and paragraph blame
+ */
+import { blameParagraphs, splitParagraphs } from '../../src/core/git/paragraph-blame.js'
+import { GitService } from '../../src/core/git/git-service.js'
+import { GitLabStorage } from '../../src/core/storage/gitlab-storage.js'
+import { BitbucketStorage } from '../../src/core/storage/bitbucket-storage.js'
+
+const commit = (sha, author = 'Mara') => ({
+  sha,
+  message: `Commit ${sha}\n\nDetails`,
+  author,
+  date: '2024-03-01T10:00:00Z'
+})
+
+describe('paragraph blame', () => {
+  it('should split paragraphs on blank lines', () => {
+    expect(splitParagraphs('One\nstill one\n\n  \nTwo\n\n\nThree  ')).toEqual([
+      'One\nstill one',
+      'Two',
+      'Three'
+    ])
+  })
+
+  it('should blame each paragraph on the commit that last changed it', () => {
+    const versions = [
+      { commit: commit('c3', 'Lin'), content: 'Opening\n\nMiddle, revised\n\nEnding' },
+      { commit: commit('c2'), content: 'Opening\n\nMiddle\n\nEnding' },
+      { commit: commit('c1'), content: 'Opening\n\nMiddle' }
+    ]
+
+    const blame = blameParagraphs(
+      'Opening\n\nMiddle, revised\n\nEnding\n\nNew local text',
+      versions
+    )
+
+    expect(blame.map((paragraph) => paragraph.commit?.sha ?? null)).toEqual([
+      'c1',
+      'c3',
+      'c2',
+      null
+    ])
+  })
+
+  it('should not follow a paragraph back past a version without it', () => {
+    const versions = [
+      { commit: commit('c3'), content: 'Restored' },
+      { commit: commit('c2'), content: 'Replaced' },
+      { commit: commit('c1'), content: 'Restored' }
+    ]
+
+    expect(blameParagraphs('Restored', versions)[0].commit.sha).toBe('c3')
+  })
+})
+
+describe('GitService history', () => {
+  const commits = [commit('c3'), commit('c2'), commit('c1')]
+  let contentAt
+  let app
+  let gitService
+
+  beforeEach(() => {
+    contentAt = { c3: 'Third', c2: 'Second', c1: 'First' }
+    const doc = {
+      id: 'doc-1',
+      title: 'Chapter One',
+      content: 'Third\n\nLocal edit',
+      githubPath: 'documents/chapter-one.md'
+    }
+    const storage = {
+      isConfigured: () => true,
+      listCommits: jest.fn(async () => commits),
+      getRenamedFrom: jest.fn(async () => null),
+      isNotFoundError: (error) => error.message.includes('404'),
+      forBranch: jest.fn((sha) => ({
+        loadDocument: jest.fn(async () => {
+          if (!contentAt[sha]) throw new Error('GitHub load failed: Not Found (404)')
+          return { content: contentAt[sha] }
+        })
+      }))
+    }
+
+    app = {
+      authManager: { isAuthenticated: () => true },
+      githubStorage: storage,
+      storageManager: { getDocument: jest.fn(async () => doc) },
+      revisionManager: {
+        restoreContent: jest.fn(async (id, content) => ({ ...doc, content }))
+      }
+    }
+    gitService = new GitService(app)
+  })
+
+  it('should list the commits that changed the document', async () => {
+    const history = await gitService.getDocumentHistory('doc-1')
+
+    expect(history.success).toBe(true)
+    expect(history.commits).toEqual(
+      commits.map((item) => ({ ...item, path: 'documents/chapter-one.md' }))
+    )
+    expect(app.githubStorage.listCommits).toHaveBeenCalledWith('documents/chapter-one.md', 30)
+  })
+
+  it('should follow the document back through a rename', async () => {
+    // c2 renamed the file; listing the old path from there includes the rename itself
+    const storage = app.githubStorage
+    storage.listCommits.mockResolvedValue([commit('c3'), commit('c2')])
+    storage.getRenamedFrom.mockImplementation(async (sha) =>
+      sha === 'c2' ? 'documents/draft.md' : null
+    )
+    const listOldPath = jest.fn(async () => [commit('c2'), commit('c1')])
+    storage.forBranch.mockImplementation((sha) => ({
+      listCommits: listOldPath,
+      loadDocument: jest.fn(async (path) => {
+        if (sha === 'c1' && path !== 'documents/draft.md') throw new Error('Not Found (404)')
+        return { content: contentAt[sha] }
+      })
+    }))
+
+    const history = await gitService.getDocumentHistory('doc-1')
+
+    expect(history.commits.map((item) => [item.sha, item.path])).toEqual([
+      ['c3', 'documents/chapter-one.md'],
+      ['c2', 'documents/chapter-one.md'],
+      ['c1', 'documents/draft.md']
+    ])
+    expect(storage.forBranch).toHaveBeenCalledWith('c2')
+    expect(listOldPath).toHaveBeenCalledWith('documents/draft.md', 29)
+
+    const diff = await gitService.getCommitDiff('doc-1', 'c2')
+    expect(diff).toMatchObject({ content: 'Second', previousContent: 'First' })
+  })
+
+  it('should refuse documents that were never synced', async () => {
+    app.storageManager.getDocument.mockResolvedValue({ id: 'doc-2', title: 'Draft' })
+
+    const history = await gitService.getDocumentHistory('doc-2')
+
+    expect(history.success).toBe(false)
+    expect(history.message).toContain('has not been synced')
+  })
+
+  it('should diff a commit against the previous version of the document', async () => {
+    const diff = await gitService.getCommitDiff('doc-1', 'c2')
+
+    expect(diff).toMatchObject({ success: true, content: 'Second', previousContent: 'First' })
+    expect(diff.message).toBe('Changes in c2: Commit c2')
+    expect(app.githubStorage.forBranch).toHaveBeenCalledWith('c1')
+
+    const first = await gitService.getCommitDiff('doc-1', 'c1')
+    expect(first.previousContent).toBe('')
+  })
+
+  it('should restore a commit as a new local revision', async () => {
+    const result = await gitService.restoreCommit('doc-1', 'c1')
+
+    expect(result.success).toBe(true)
+    expect(result.document.content).toBe('First')
+    expect(app.revisionManager.restoreContent).toHaveBeenCalledWith('doc-1', 'First', 'git-restore')
+  })
+
+  it('should blame the local content against the history', async () => {
+    contentAt.c2 = 'Third'
+
+    const blame = await gitService.blameDocument('doc-1')
+
+    expect(blame.paragraphs).toEqual([
+      { text: 'Third', commit: { ...commits[1], path: 'documents/chapter-one.md' } },
+      { text: 'Local edit', commit: null }
+    ])
+  })
+})
+
+describe('listCommits', () => {
+  it('should read a file history from GitLab', async () => {
+    const request = jest.fn(async () => [
+      {
+        id: 'abc123',
+        message: 'Edit chapter',
+        author_name: 'Mara',
+        authored_date: '2024-03-01T10:00:00Z'
+      }
+    ])
+    const storage = new GitLabStorage({
+      isAuthenticated: () => true,
+      makeAuthenticatedRequest: request
+    })
+    storage.updateConfig({ owner: 'owner', repo: 'repo', branch: 'draft' })
+
+    const commits = await storage.listCommits('documents/ch1.md', 10)
+
+    expect(commits).toEqual([
+      { sha: 'abc123', message: 'Edit chapter', author: 'Mara', date: '2024-03-01T10:00:00Z' }
+    ])
+    const url = new URL(request.mock.calls[0][0], 'https://host')
+    expect(url.pathname).toBe('/projects/owner%2Frepo/repository/commits')
+    expect(url.searchParams.get('ref_name')).toBe('draft')
+    expect(url.searchParams.get('path')).toBe('documents/ch1.md')
+  })
+
+  it('should find where a commit renamed a file on GitLab and Bitbucket', async () => {
+    const gitlab = new GitLabStorage({
+      isAuthenticated: () => true,
+      makeAuthenticatedRequest: jest.fn(async () => [
+        { old_path: 'notes.md', new_path: 'notes.md', renamed_file: false },
+        { old_path: 'documents/draft.md', new_path: 'documents/ch1.md', renamed_file: true }
+      ])
+    })
+    gitlab.updateConfig({ owner: 'owner', repo: 'repo', branch: 'main' })
+
+    expect(await gitlab.getRenamedFrom('abc123', 'documents/ch1.md')).toBe('documents/draft.md')
+    expect(await gitlab.getRenamedFrom('abc123', 'notes.md')).toBeNull()
+
+    const bitbucket = new BitbucketStorage({
+      isAuthenticated: () => true,
+      makeAuthenticatedRequest: jest.fn(async () => ({
+        values: [
+          {
+            status: 'renamed',
+            old: { path: 'documents/draft.md' },
+            new: { path: 'documents/ch1.md' }
+          }
+        ]
+      }))
+    })
+    bitbucket.updateConfig({ owner: 'owner', repo: 'repo', branch: 'main' })
+
+    expect(await bitbucket.getRenamedFrom('h1', 'documents/ch1.md')).toBe('documents/draft.md')
+  })
+
+  it('should name Bitbucket authors without their email', async () => {
+    const request = jest.fn(async () => ({
+      values: [
+        { hash: 'h1', message: 'One', author: { raw: 'Lin Vale <lin@example.com>' }, date: 'd1' },
+        {
+          hash: 'h2',
+          message: 'Two',
+          author: { raw: 'mara <m@example.com>', user: { display_name: 'Mara' } },
+          date: 'd2'
+        }
+      ]
+    }))
+    const storage = new BitbucketStorage({
+      isAuthenticated: () => true,
+      makeAuthenticatedRequest: request
+    })
+    storage.updateConfig({ owner: 'owner', repo: 'repo', branch: 'main' })
+
+    const commits = await storage.listCommits('documents/ch1.md')
+
+    expect(commits.map((item) => item.author)).toEqual(['Lin Vale', 'Mara'])
+    expect(request.mock.calls[0][0]).toBe(
+      '/repositories/owner/repo/commits/main?path=documents%2Fch1.md&pagelen=30'
+    )
+  })
+})
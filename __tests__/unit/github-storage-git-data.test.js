@@ -0,0 +1,350 @@
+/**
+ * GitHubStorage Git Data API Tests - Batch commits, SHA-compared tree listing and nested folders
+ */
+import { GitHubStorage } from '../../src/core/storage/github-storage.js'
+import { SyncManager } from '../../src/core/storage/sync-manager.js'
+
+const decode = (base64) => decodeURIComponent(escape(atob(base64)))
+const encode = (text) => btoa(unescape(encodeURIComponent(text)))
+
+/**
+ * Minimal in-memory stand-in for the GitHub endpoints used by GitHubStorage
+ */
+function createFakeGitHub(files = {}) {
+  const repo = {
+    head: 'commit-0',
+    trees: { 'tree-0': { ...files } },
+    commits: { 'commit-0': 'tree-0' },
+    blobs: {},
+    requests: [],
+    rejectNextRefUpdate: false
+  }
+  Object.entries(files).forEach(([, content]) => {
+    repo.blobs[`sha-${content}`] = content
+  })
+  let counter = 0
+
+  const request = jest.fn(async (endpoint, options = {}) => {
+    const path = endpoint.replace('/repos/owner/repo/', '')
+    const method = options.method || 'GET'
+    const body = options.body ? JSON.parse(options.body) : {}
+    repo.requests.push(`${method} ${path}`)
+
+    if (method === 'GET' && path === 'branches/main') {
+      return { commit: { sha: repo.head, commit: { tree: { sha: repo.commits[repo.head] } } } }
+    }
+    if (method === 'GET' && path.startsWith('git/trees/')) {
+      const tree = repo.trees[path.slice('git/trees/'.length).split('?')[0]]
+      return {
+        tree: Object.entries(tree).map(([filePath, content]) => ({
+          path: filePath,
+          type: 'blob',
+          sha: `sha-${content}`,
+          size: content.length
+        }))
+      }
+    }
+    if (method === 'GET' && path.startsWith('git/blobs/')) {
+      return { content: encode(repo.blobs[path.slice('git/blobs/'.length)]), encoding: 'base64' }
+    }
+    if (method === 'POST' && path === 'git/blobs') {
+      const content = decode(body.content)
+      repo.blobs[`sha-${content}`] = content
+      return { sha: `sha-${content}` }
+    }
+    if (method === 'POST' && path === 'git/trees') {
+      const tree = { ...repo.trees[body.base_tree] }
+      body.tree.forEach((entry) => {
+        if (entry.sha === null) {
+          if (!(entry.path in tree)) {
+            throw new Error('API request failed: GitHub tree update failed (422)')
+          }
+          delete tree[entry.path]
+        } else {
+          tree[entry.path] = repo.blobs[entry.sha]
+        }
+      })
+      const existing = Object.keys(repo.trees).find(
+        (sha) => JSON.stringify(repo.trees[sha]) === JSON.stringify(tree)
+      )
+      const sha = existing || `tree-${++counter}`
+      repo.trees[sha] = tree
+      return { sha }
+    }
+    if (method === 'POST' && path === 'git/commits') {
+      const sha = `commit-${++counter}`
+      repo.commits[sha] = body.tree
+      repo.lastCommit = { sha, ...body }
+      return { sha }
+    }
+    if (method === 'PATCH' && path === 'git/refs/heads/main') {
+      if (repo.rejectNextRefUpdate) {
+        repo.rejectNextRefUpdate = false
+        // Someone else pushed in the meantime
+        repo.head = 'commit-other'
+        repo.commits['commit-other'] = 'tree-0'
+        throw new Error('API request failed: Update is not a fast forward (422)')
+      }
+      repo.head = body.sha
+      return { object: { sha: body.sha } }
+    }
+    throw new Error(`API request failed: Not Found (404) ${method} ${path}`)
+  })
+
+  return { repo, auth: { isAuthenticated: () => true, makeAuthenticatedRequest: request } }
+}
+
+describe('GitHubStorage Git Data API', () => {
+  let github
+  let repo
+
+  const setup = (files) => {
+    const fake = createFakeGitHub(files)
+    repo = fake.repo
+    github = new GitHubStorage(fake.auth)
+    github.init({ owner: 'owner', repo: 'repo' })
+  }
+
+  const doc = (id, content) => ({
+    id,
+    title: `Chapter ${id}`,
+    content,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z'
+  })
+
+  beforeEach(() => {
+    localStorage.clear()
+    setup({ 'documents/.gitkeep': 'keep' })
+  })
+
+  it('should write many documents and manifests as one commit', async () => {
+    const project = { id: 'saga', title: 'Saga', binder: [], updatedAt: '2024-01-01' }
+
+    const result = await github.commitDocuments([doc('a', 'One'), doc('b', 'Two')], [project])
+
+    expect(repo.requests.filter((r) => r === 'POST git/commits')).toHaveLength(1)
+    expect(repo.requests.filter((r) => r === 'PATCH git/refs/heads/main')).toHaveLength(1)
+    expect(repo.lastCommit.parents).toEqual(['commit-0'])
+    expect(repo.lastCommit.message).toBe(
+      'Sync 2 documents and 1 project\n\n- Chapter a\n- Chapter b\n- Saga'
+    )
+    expect(Object.keys(repo.trees[repo.commits[repo.head]])).toEqual([
+      'documents/.gitkeep',
+      'documents/a.md',
+      'documents/b.md',
+      'projects/saga.json'
+    ])
+    expect(result.documents[1]).toMatchObject({
+      id: 'b',
+      githubPath: 'documents/b.md',
+      githubSha: expect.stringContaining('Two')
+    })
+    expect(result.projects[0].githubPath).toBe('projects/saga.json')
+  })
+
+  it('should rebuild the commit on the new head when the branch moved', async () => {
+    repo.rejectNextRefUpdate = true
+
+    const result = await github.saveDocument(doc('a', 'One'))
+
+    expect(repo.lastCommit.parents).toEqual(['commit-other'])
+    expect(repo.head).toBe(result.commitSha)
+  })
+
+  it('should not add an empty commit when nothing changed', async () => {
+    await github.saveDocument(doc('a', 'One'))
+    const head = repo.head
+
+    await github.saveDocument({ ...doc('a', 'One'), githubSha: 'synced' })
+
+    expect(repo.head).toBe(head)
+    expect(repo.requests.filter((r) => r === 'POST git/commits')).toHaveLength(1)
+  })
+
+  it('should list with one tree request and download only changed files', async () => {
+    await github.commitDocuments([doc('a', 'One'), doc('b', 'Two')])
+    const [synced] = (await github.listDocuments()).filter((item) => item.id === 'a')
+    repo.requests = []
+
+    const documents = await github.listDocuments([{ ...synced, title: 'Local title' }])
+
+    expect(repo.requests.filter((r) => r.startsWith('GET git/trees/'))).toHaveLength(1)
+    expect(repo.requests.filter((r) => r.startsWith('GET git/blobs/'))).toHaveLength(1)
+    expect(documents.find((item) => item.id === 'a')).toMatchObject({
+      title: 'Local title',
+      unchanged: true
+    })
+    expect(documents.find((item) => item.id === 'b')).toMatchObject({
+      title: 'Chapter b',
+      content: 'Two'
+    })
+  })
+
+  it('should discover documents in nested folders', async () => {
+    const chapter = github.formatDocumentContent(doc('ch1', 'It begins.'))
+    setup({
+      'documents/book-1/chapters/ch1.md': chapter,
+      'documents/book-1/README.md': '# Book one',
+      'documents/.drafts/scratch.md': chapter,
+      'notes/ch1.md': chapter
+    })
+
+    const documents = await github.listDocuments()
+
+    expect(documents).toHaveLength(1)
+    expect(documents[0]).toMatchObject({
+      id: 'ch1',
+      content: 'It begins.',
+      githubPath: 'documents/book-1/chapters/ch1.md',
+      folder: 'book-1/chapters'
+    })
+  })
+
+  it('should commit a move between folders as a rename', async () => {
+    const {
+      documents: [synced]
+    } = await github.commitDocuments([{ ...doc('a', 'One'), folder: 'book-1' }])
+    expect(synced.githubPath).toBe('documents/book-1/a.md')
+
+    const result = await github.saveDocument({ ...synced, folder: 'book-2/chapters' })
+
+    expect(repo.lastCommit.message).toBe(
+      'Move document: Chapter a to documents/book-2/chapters/a.md'
+    )
+    expect(Object.keys(repo.trees[repo.commits[repo.head]])).toEqual([
+      'documents/.gitkeep',
+      'documents/book-2/chapters/a.md'
+    ])
+    expect(result.document.githubPath).toBe('documents/book-2/chapters/a.md')
+    expect(repo.requests.filter((r) => r === 'POST git/commits')).toHaveLength(2)
+  })
+
+  it('should still commit a move whose old file is already gone', async () => {
+    setup({ 'documents/ch1.md': 'old one' })
+
+    const result = await github.commitFiles(
+      [
+        { path: 'documents/ch1.md', content: 'one', previousPath: 'documents/ch1.md' },
+        { path: 'drafts/ch2.md', content: 'two', previousPath: 'documents/ch2.md' }
+      ],
+      'Sync'
+    )
+
+    expect(result.commitSha).toBe(repo.head)
+    expect(repo.trees[repo.commits[repo.head]]).toEqual({
+      'documents/ch1.md': 'one',
+      'drafts/ch2.md': 'two'
+    })
+  })
+
+  it('should list nothing for a repository without commits', async () => {
+    github.auth.makeAuthenticatedRequest = jest.fn(async () => {
+      throw new Error('API request failed: Branch not found (404)')
+    })
+
+    expect(await github.listDocuments()).toEqual([])
+  })
+})
+
+describe('SyncManager batch sync', () => {
+  it('should compare by SHA and push every upload in a single commit', async () => {
+    const syncedAt = '2024-01-02T10:00:00.000Z'
+    const synced = (id, sha, modified = syncedAt) => ({
+      id,
+      title: id,
+      content: `${id} text`,
+      githubSha: sha,
+      githubPath: `documents/${id}.md`,
+      lastSyncedAt: syncedAt,
+      metadata: { modified }
+    })
+    const localDocs = [
+      synced('untouched', 'sha-1'),
+      synced('edited', 'sha-2', '2024-01-02T11:00:00.000Z'),
+      synced('remote-edit', 'sha-3'),
+      { id: 'new', title: 'new', content: 'new text' }
+    ]
+    const remoteDocs = [
+      { id: 'untouched', githubSha: 'sha-1', githubPath: 'documents/untouched.md' },
+      { id: 'edited', githubSha: 'sha-2', githubPath: 'documents/edited.md' },
+      {
+        id: 'remote-edit',
+        githubSha: 'sha-3b',
+        githubPath: 'documents/remote-edit.md',
+        content: 'x'
+      }
+    ]
+
+    const storage = {
+      getAllDocuments: jest.fn(async () => localDocs),
+      saveDocument: jest.fn(async (saved) => saved)
+    }
+    const github = {
+      isConfigured: () => true,
+      ensureDocumentsDirectory: jest.fn(async () => {}),
+      listDocuments: jest.fn(async () => remoteDocs),
+      loadDocument: jest.fn(),
+      commitDocuments: jest.fn(async (documents) => ({
+        commitSha: 'commit-1',
+        documents: documents.map((item) => ({ ...item, githubSha: `pushed-${item.id}` })),
+        projects: []
+      }))
+    }
+    const syncManager = new SyncManager(storage, github, { isAuthenticated: () => true })
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(github.listDocuments).toHaveBeenCalledWith(localDocs)
+    expect(github.commitDocuments).toHaveBeenCalledTimes(1)
+    expect(github.commitDocuments.mock.calls[0][0].map((item) => item.id)).toEqual([
+      'edited',
+      'new'
+    ])
+    expect(github.loadDocument).not.toHaveBeenCalled()
+    expect(storage.saveDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'remote-edit', content: 'x', syncBase: 'x' })
+    )
+    expect(results).toMatchObject({ uploaded: 2, downloaded: 1, commitSha: 'commit-1' })
+  })
+
+  it('should follow a document moved to another folder on GitHub', async () => {
+    const syncedAt = '2024-01-02T10:00:00.000Z'
+    const localDoc = {
+      id: 'ch1',
+      title: 'Chapter 1',
+      content: 'text',
+      githubSha: 'sha-1',
+      githubPath: 'documents/ch1.md',
+      lastSyncedAt: syncedAt,
+      metadata: { modified: syncedAt }
+    }
+    const storage = {
+      getAllDocuments: jest.fn(async () => [localDoc]),
+      saveDocument: jest.fn(async (saved) => saved)
+    }
+    const github = {
+      isConfigured: () => true,
+      ensureDocumentsDirectory: jest.fn(async () => {}),
+      listDocuments: jest.fn(async () => [
+        {
+          ...localDoc,
+          githubPath: 'documents/book-1/ch1.md',
+          folder: 'book-1',
+          updatedAt: syncedAt
+        }
+      ]),
+      commitDocuments: jest.fn()
+    }
+    const syncManager = new SyncManager(storage, github, { isAuthenticated: () => true })
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(results.downloaded).toBe(1)
+    expect(github.commitDocuments).not.toHaveBeenCalled()
+    expect(storage.saveDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ githubPath: 'documents/book-1/ch1.md', folder: 'book-1' })
+    )
+  })
+})
@@ -28,83 +28,65 @@ describe('GitHub Storage - README.md Exclusion', () => {
     mockGithubStorage.isConfigured = jest.fn().mockReturnValue(true)
   })
 
-  test('should exclude README.md from document listing', async () => {
-    // Arrange - Mock repository files including README.md
-    const mockFiles = [
-      {
-        type: 'file',
-        name: 'README.md',
-        path: 'documents/README.md',
-        sha: 'readme123'
-      },
-      {
-        type: 'file',
-        name: 'The-Forge-Eternal.md',
-        path: 'documents/The-Forge-Eternal.md',
-        sha: 'doc123'
-      },
-      {
-        type: 'file',
-        name: 'readme.md',
-        path: 'documents/readme.md',
-        sha: 'readme456'
+  // Answer the branch and recursive tree requests with the given files; blobs hold documents
+  const mockRepository = (files) => {
+    mockAuthManager.makeAuthenticatedRequest.mockImplementation((endpoint) => {
+      if (endpoint.endsWith('/branches/main')) {
+        return Promise.resolve({ commit: { sha: 'head', commit: { tree: { sha: 'tree' } } } })
       }
-    ]
-
-    // Mock the authenticated request to return these files
-    mockAuthManager.makeAuthenticatedRequest.mockResolvedValue(mockFiles)
-
-    // Mock loadDocument to only work for non-README files
-    mockGithubStorage.loadDocument = jest.fn().mockImplementation((path) => {
-      if (path.toLowerCase().includes('readme')) {
-        throw new Error('Invalid document format: missing front matter')
+      if (endpoint.includes('/git/trees/tree')) {
+        return Promise.resolve({ tree: files.map((file) => ({ type: 'blob', ...file })) })
       }
-      return Promise.resolve({
-        id: 'doc_123',
-        title: 'The Forge Eternal',
-        content: '# Test Content',
-        updatedAt: '2024-01-01T00:00:00Z',
-        tags: []
-      })
+      if (endpoint.includes('/git/blobs/')) {
+        const content = `---\nid: doc_123\ntitle: Valid Document\nupdated: 2024-01-01T00:00:00Z\n---\n\n# Content`
+        return Promise.resolve({ content: btoa(content), encoding: 'base64' })
+      }
+      return Promise.reject(new Error(`Unexpected request: ${endpoint}`))
     })
+  }
+
+  // SHAs of the blobs that were downloaded
+  const blobRequests = () =>
+    mockAuthManager.makeAuthenticatedRequest.mock.calls
+      .map(([endpoint]) => endpoint)
+      .filter((endpoint) => endpoint.includes('/git/blobs/'))
+      .map((endpoint) => endpoint.split('/git/blobs/')[1])
+
+  test('should exclude README.md from document listing', async () => {
+    // Arrange - Repository files including README.md and files outside the documents folder
+    mockRepository([
+      { path: 'README.md', sha: 'root-readme' },
+      { path: 'documents/README.md', sha: 'readme123' },
+      { path: 'documents/The-Forge-Eternal.md', sha: 'doc123' },
+      { path: 'documents/readme.md', sha: 'readme456' },
+      { path: 'projects/saga.json', sha: 'project1' }
+    ])
 
     // Act - Call listDocuments
     const documents = await mockGithubStorage.listDocuments()
 
     // Assert - Should only include valid documents, exclude README files
     expect(documents).toHaveLength(1)
-    expect(documents[0].title).toBe('The Forge Eternal')
-    expect(mockGithubStorage.loadDocument).toHaveBeenCalledTimes(1)
-    expect(mockGithubStorage.loadDocument).toHaveBeenCalledWith('documents/The-Forge-Eternal.md')
-    expect(mockGithubStorage.loadDocument).not.toHaveBeenCalledWith('documents/README.md')
-    expect(mockGithubStorage.loadDocument).not.toHaveBeenCalledWith('documents/readme.md')
+    expect(documents[0].title).toBe('Valid Document')
+    expect(documents[0].githubPath).toBe('documents/The-Forge-Eternal.md')
+    expect(blobRequests()).toEqual(['doc123'])
   })
 
   test('should handle case-insensitive README exclusion', async () => {
     // Arrange - Test various README filename cases
-    const mockFiles = [
-      { type: 'file', name: 'README.md', path: 'documents/README.md', sha: 'readme1' },
-      { type: 'file', name: 'readme.md', path: 'documents/readme.md', sha: 'readme2' },
-      { type: 'file', name: 'ReadMe.md', path: 'documents/ReadMe.md', sha: 'readme3' },
-      { type: 'file', name: 'README-old.md', path: 'documents/README-old.md', sha: 'readme4' },
-      { type: 'file', name: 'valid-doc.md', path: 'documents/valid-doc.md', sha: 'doc1' }
-    ]
-
-    mockAuthManager.makeAuthenticatedRequest.mockResolvedValue(mockFiles)
-    mockGithubStorage.loadDocument = jest.fn().mockResolvedValue({
-      id: 'doc_123',
-      title: 'Valid Document',
-      content: '# Content',
-      updatedAt: '2024-01-01T00:00:00Z',
-      tags: []
-    })
+    mockRepository([
+      { path: 'documents/README.md', sha: 'readme1' },
+      { path: 'documents/readme.md', sha: 'readme2' },
+      { path: 'documents/ReadMe.md', sha: 'readme3' },
+      { path: 'documents/README-old.md', sha: 'readme4' },
+      { path: 'documents/valid-doc.md', sha: 'doc1' }
+    ])
 
     // Act
     const documents = await mockGithubStorage.listDocuments()
 
     // Assert - Should only process the valid document
     expect(documents).toHaveLength(1)
-    expect(mockGithubStorage.loadDocument).toHaveBeenCalledTimes(1)
-    expect(mockGithubStorage.loadDocument).toHaveBeenCalledWith('documents/valid-doc.md')
+    expect(blobRequests()).toEqual(['doc1'])
   })
-})
\ No newline at end of file
+})
@@ -0,0 +1,203 @@
+/**
+ * GoalsManager Tests - Daily word history, streaks and writing goal pace
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { ProjectManager } from '../../src/core/projects/project-manager.js'
+import {
+  GoalsManager,
+  countWords,
+  toDayKey,
+  addDays,
+  daysBetween
+} from '../../src/core/goals/goals-manager.js'
+
+describe('GoalsManager', () => {
+  let storageManager
+  let projectManager
+  let settings
+  let goalsManager
+  const today = toDayKey()
+
+  const createSettings = () => {
+    const values = {}
+    return {
+      get: (path) => path.split('.').reduce((value, key) => value?.[key], values),
+      set: (path, value) => {
+        const keys = path.split('.')
+        const parent = keys.slice(0, -1).reduce((object, key) => (object[key] ||= {}), values)
+        parent[keys.at(-1)] = value
+      }
+    }
+  }
+
+  const words = (count) => Array.from({ length: count }, () => 'word').join(' ')
+
+  const addHistory = (date, documentId, count, projectIds = []) =>
+    storageManager.saveWordCount({
+      id: `${date}:${documentId}`,
+      date,
+      documentId,
+      projectIds,
+      words: count,
+      added: count,
+      removed: 0
+    })
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Test_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+    await storageManager.initDatabase()
+    projectManager = new ProjectManager(storageManager)
+    settings = createSettings()
+    goalsManager = new GoalsManager(storageManager, settings, projectManager)
+  })
+
+  afterEach(async () => {
+    if (storageManager.db) {
+      storageManager.db.close()
+      try {
+        const deleteReq = indexedDB.deleteDatabase(storageManager.dbName)
+        await new Promise((resolve, reject) => {
+          deleteReq.onsuccess = () => resolve()
+          deleteReq.onerror = () => reject()
+        })
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  })
+
+  describe('day helpers', () => {
+    it('should count words and shift calendar days across month ends', () => {
+      expect(countWords('  The  gate\nopened. ')).toBe(3)
+      expect(countWords('')).toBe(0)
+      expect(addDays('2024-02-28', 2)).toBe('2024-03-01')
+      expect(daysBetween('2024-11-01', '2024-11-30')).toBe(29)
+    })
+  })
+
+  describe('recordSave', () => {
+    it('should accumulate save deltas per day and document', async () => {
+      const doc = { id: 'doc-1', title: 'Chapter One', content: words(120) }
+
+      await goalsManager.recordSave(doc, words(100))
+      const entry = await goalsManager.recordSave({ ...doc, content: words(90) }, words(120))
+
+      expect(entry).toMatchObject({
+        id: `${today}:doc-1`,
+        date: today,
+        words: -10,
+        added: 20,
+        removed: 30
+      })
+      expect(goalsManager.sessionWords).toBe(-10)
+      expect(await goalsManager.recordSave(doc, words(120))).toBeNull()
+    })
+
+    it('should attribute words to the projects containing the document', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Scene', content: words(50) })
+      const project = await projectManager.createProject('Saga')
+      await projectManager.addNode(project.id, { type: 'chapter', documentId: doc.id })
+
+      await goalsManager.recordSave(doc, '')
+      await goalsManager.recordSave({ id: 'loose', content: words(30) }, '')
+
+      expect((await goalsManager.getDailyTotals(today, today)).get(today)).toBe(80)
+      expect((await goalsManager.getDailyTotals(today, today, project.id)).get(today)).toBe(50)
+    })
+
+    it('should forget the words of a deleted document', async () => {
+      await goalsManager.recordSave({ id: 'doc-1', content: words(40) }, '')
+      await goalsManager.recordSave({ id: 'doc-2', content: words(25) }, '')
+
+      await storageManager.deleteWordCounts('doc-1')
+
+      expect((await goalsManager.getDailyTotals(today, today)).get(today)).toBe(25)
+    })
+  })
+
+  describe('goals', () => {
+    it('should validate and store goals in settings', () => {
+      goalsManager.setGoal('daily', '1000')
+
+      expect(goalsManager.getGoals()).toEqual({ daily: 1000, session: 0, projects: {} })
+      expect(() => goalsManager.setGoal('weekly', 10)).toThrow('Unknown goal')
+      expect(() => goalsManager.setGoal('daily', -5)).toThrow('Invalid word count')
+      expect(() =>
+        goalsManager.setProjectGoal('p1', { target: 100, deadline: '30/11/2024' })
+      ).toThrow('Invalid date')
+    })
+  })
+
+  describe('getStreak', () => {
+    it('should count consecutive days that met the daily goal', async () => {
+      goalsManager.setGoal('daily', 500)
+      await addHistory(addDays(today, -1), 'a', 600)
+      await addHistory(addDays(today, -2), 'a', 300)
+      await addHistory(addDays(today, -2), 'b', 250)
+      await addHistory(addDays(today, -3), 'a', 100)
+      await addHistory(addDays(today, -6), 'a', 500)
+      await addHistory(addDays(today, -5), 'a', 700)
+
+      // Today has no words yet, so the streak through yesterday still stands
+      expect(await goalsManager.getStreak()).toEqual({ current: 2, best: 2 })
+
+      await addHistory(addDays(today, -4), 'a', 900)
+      expect(await goalsManager.getStreak()).toEqual({ current: 2, best: 3 })
+    })
+  })
+
+  describe('getHeatmap', () => {
+    it('should return whole weeks ending today with levels relative to the goal', async () => {
+      goalsManager.setGoal('daily', 1000)
+      await addHistory(today, 'a', 1200)
+      await addHistory(addDays(today, -1), 'a', 300)
+
+      const days = await goalsManager.getHeatmap(4)
+
+      expect(new Date(`${days[0].date}T12:00:00`).getDay()).toBe(0)
+      expect(days.at(-1)).toEqual({ date: today, words: 1200, level: 4 })
+      expect(days.at(-2).level).toBe(2)
+      expect(days.length).toBeGreaterThan(21)
+      expect(days.length).toBeLessThanOrEqual(28)
+    })
+  })
+
+  describe('getProjectProgress', () => {
+    it('should work out the daily pace to a deadline from words since the start date', async () => {
+      const project = await projectManager.createProject('Novel')
+      goalsManager.setProjectGoal(project.id, {
+        target: 10000,
+        startDate: addDays(today, -10),
+        deadline: addDays(today, 9)
+      })
+      await addHistory(addDays(today, -12), 'a', 5000, [project.id])
+      await addHistory(addDays(today, -3), 'a', 4000, [project.id])
+      await addHistory(today, 'a', 300, [project.id])
+
+      const progress = await goalsManager.getProjectProgress(project.id)
+
+      expect(progress).toMatchObject({
+        title: 'Novel',
+        words: 4300,
+        writtenToday: 300,
+        remaining: 5700,
+        daysLeft: 10,
+        pace: 600,
+        todayRemaining: 300
+      })
+    })
+
+    it('should use the manuscript total without a start date', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Ch 1', content: words(40) })
+      const project = await projectManager.createProject('Novella')
+      await projectManager.addNode(project.id, { type: 'chapter', documentId: doc.id })
+      goalsManager.setProjectGoal(project.id, { target: 100 })
+
+      const status = await goalsManager.getStatus(doc)
+
+      expect(status.project).toMatchObject({ words: 40, remaining: 60, pace: null })
+      expect(status.today).toEqual({ words: 0, goal: 0 })
+    })
+  })
+})
@@ -0,0 +1,265 @@
+/**
+ * Gutenberg Tests - catalog parsing and search, license stripping, chapter splitting and import
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import {
+  formatAuthor,
+  parseCatalog,
+  searchCatalog
+} from '../../src/core/gutenberg/gutenberg-catalog.js'
+import {
+  readHeader,
+  splitChapters,
+  stripLicense,
+  unwrapParagraphs
+} from '../../src/core/gutenberg/gutenberg-text.js'
+import { GutenbergManager } from '../../src/core/gutenberg/gutenberg-manager.js'
+import { SyncManager } from '../../src/core/storage/sync-manager.js'
+
+const CSV = [
+  'Text#,Type,Issued,Title,Language,Authors,Subjects,LoCC,Bookshelves',
+  '1342,Text,1998-06-01,Pride and Prejudice,en,"Austen, Jane, 1775-1817",' +
+    '"Courtship -- Fiction; England -- Fiction",PR,Best Books Ever Listings',
+  '11,Text,2008-06-27,"Alice\'s Adventures in Wonderland",en,"Carroll, Lewis, 1832-1898",' +
+    "Fantasy fiction,PR,Children's Literature",
+  '84,Text,1993-10-01,"Frankenstein; Or, The Modern Prometheus",en,' +
+    '"Shelley, Mary Wollstonecraft, 1797-1851",Horror tales,PR,Gothic Fiction',
+  '10802,Sound,2004-01-01,"Alice in Wonderland",en,"Carroll, Lewis, 1832-1898",,,',
+  '2000,Text,1999-12-01,"Don Quijote\nPrimera parte",es,"Cervantes Saavedra, Miguel de, 1547-1616",,,'
+].join('\n')
+
+const RDF = `<?xml version="1.0" encoding="utf-8"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#"
+  xmlns:pgterms="http://www.gutenberg.org/2009/pgterms/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <pgterms:ebook rdf:about="ebooks/1342">
+    <dcterms:title>Pride and Prejudice</dcterms:title>
+    <dcterms:creator>
+      <pgterms:agent rdf:about="2009/agents/68"><pgterms:name>Austen, Jane</pgterms:name></pgterms:agent>
+    </dcterms:creator>
+    <dcterms:language><rdf:Description><rdf:value>en</rdf:value></rdf:Description></dcterms:language>
+    <dcterms:subject><rdf:Description><rdf:value>England -- Fiction</rdf:value></rdf:Description></dcterms:subject>
+    <dcterms:type><rdf:Description><rdf:value>Text</rdf:value></rdf:Description></dcterms:type>
+  </pgterms:ebook>
+</rdf:RDF>`
+
+const paragraph = (words) => `${'lorem ipsum dolor '.repeat(words / 3).trim()}.`
+
+const EBOOK = [
+  'The Project Gutenberg eBook of The Sample Tale',
+  '',
+  'Title: The Sample Tale',
+  'Author: Jane Doe',
+  '',
+  '*** START OF THE PROJECT GUTENBERG EBOOK THE SAMPLE TALE ***',
+  '',
+  'Produced by Volunteers',
+  '',
+  'THE SAMPLE TALE',
+  '',
+  'Contents',
+  '',
+  'CHAPTER I.',
+  '',
+  'CHAPTER II.',
+  '',
+  'BOOK ONE',
+  '',
+  'CHAPTER I.',
+  '',
+  'The Beginning',
+  '',
+  'It was a dark night and the',
+  'wind howled.',
+  '',
+  paragraph(60),
+  '',
+  '    A verse line',
+  '    Another verse line',
+  '',
+  'CHAPTER II.',
+  '',
+  paragraph(60),
+  '',
+  '*** END OF THE PROJECT GUTENBERG EBOOK THE SAMPLE TALE ***',
+  '',
+  'Section 1. General Terms of Use'
+].join('\r\n')
+
+describe('Gutenberg catalog', () => {
+  it('should parse the CSV catalog with quoted and multi-line fields', () => {
+    const books = parseCatalog(CSV)
+
+    expect(books).toHaveLength(5)
+    expect(books[0]).toEqual({
+      id: 1342,
+      title: 'Pride and Prejudice',
+      authors: ['Austen, Jane, 1775-1817'],
+      language: 'en',
+      subjects: ['Courtship -- Fiction', 'England -- Fiction'],
+      type: 'Text'
+    })
+    expect(books[2].title).toBe('Frankenstein; Or, The Modern Prometheus')
+    expect(books[4].title).toBe('Don Quijote: Primera parte')
+  })
+
+  it('should parse RDF records', () => {
+    expect(parseCatalog(RDF)).toEqual([
+      {
+        id: 1342,
+        title: 'Pride and Prejudice',
+        authors: ['Austen, Jane'],
+        language: 'en',
+        subjects: ['England -- Fiction'],
+        type: 'Text'
+      }
+    ])
+  })
+
+  it('should reject files that are not a catalog', () => {
+    expect(() => parseCatalog('name,email\nMara,m@example.com')).toThrow('Not a Gutenberg catalog')
+  })
+
+  it('should search text books by title and author', () => {
+    const books = parseCatalog(CSV)
+
+    expect(searchCatalog(books, 'alice').map((book) => book.id)).toEqual([11])
+    expect(searchCatalog(books, 'carroll wonderland').map((book) => book.id)).toEqual([11])
+    expect(searchCatalog(books, 'quijote', { language: 'en' })).toEqual([])
+    expect(searchCatalog(books, '  ')).toEqual([])
+  })
+
+  it('should format authors without life dates', () => {
+    expect(formatAuthor('Austen, Jane, 1775-1817')).toBe('Jane Austen')
+    expect(formatAuthor('Homer')).toBe('Homer')
+  })
+})
+
+describe('Gutenberg text', () => {
+  it('should read the header and strip the license', () => {
+    const text = stripLicense(EBOOK)
+
+    expect(readHeader(EBOOK)).toEqual({ title: 'The Sample Tale', author: 'Jane Doe' })
+    expect(text.startsWith('THE SAMPLE TALE')).toBe(true)
+    expect(text).not.toContain('PROJECT GUTENBERG')
+    expect(text).not.toContain('Produced by')
+    expect(text).not.toContain('\r')
+  })
+
+  it('should strip the footer of older ebooks', () => {
+    const text = 'Some text.\n\nEnd of the Project Gutenberg EBook of Old Tale\n\nLicense'
+    expect(stripLicense(text)).toBe('Some text.')
+  })
+
+  it('should split chapters and keep the table of contents in the front matter', () => {
+    const sections = splitChapters(stripLicense(EBOOK))
+
+    expect(sections.map((section) => section.title)).toEqual([
+      null,
+      'BOOK ONE, CHAPTER I: The Beginning',
+      'CHAPTER II.'
+    ])
+    expect(sections[0].content).toContain('CHAPTER II.')
+    expect(sections[1].content.startsWith('It was a dark night and the wind howled.')).toBe(true)
+    expect(sections[1].content).toContain('    A verse line\n    Another verse line')
+  })
+
+  it('should keep a text without chapters whole', () => {
+    expect(splitChapters('A short story.\n\nThe end.')).toEqual([
+      { title: null, content: 'A short story.\n\nThe end.' }
+    ])
+    expect(unwrapParagraphs('One\ntwo\n\n\nThree')).toBe('One two\n\nThree')
+  })
+})
+
+describe('GutenbergManager', () => {
+  let storage
+  let manager
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Gutenberg_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+
+    const settings = {
+      'gutenberg.catalogUrl': 'https://mirror.example.com/pg_catalog.csv',
+      'gutenberg.textUrl': 'https://mirror.example.com/{id}/pg{id}.txt'
+    }
+    manager = new GutenbergManager(storage, { get: (path) => settings[path] })
+
+    global.fetch = jest.fn(async (url) => ({
+      ok: true,
+      text: async () => (url.endsWith('.csv') ? CSV : EBOOK)
+    }))
+  })
+
+  afterEach(() => {
+    delete global.fetch
+    storage.db?.close()
+  })
+
+  it('should load the configured catalog on first search', async () => {
+    const books = await manager.search('pride')
+
+    expect(global.fetch).toHaveBeenCalledWith('https://mirror.example.com/pg_catalog.csv')
+    expect(books.map((book) => book.id)).toEqual([1342])
+  })
+
+  it('should import chapters as readonly reference documents', async () => {
+    const { book, documents, folder } = await manager.importBook('1342')
+
+    expect(global.fetch).toHaveBeenCalledWith('https://mirror.example.com/1342/pg1342.txt')
+    expect(book.title).toBe('The Sample Tale')
+    expect(folder).toBe('reference/the-sample-tale')
+    expect(documents.map((doc) => doc.title)).toEqual([
+      'The Sample Tale: Front Matter',
+      'The Sample Tale: BOOK ONE, CHAPTER I: The Beginning',
+      'The Sample Tale: CHAPTER II.'
+    ])
+
+    const stored = await storage.getDocument(documents[1].id)
+    expect(stored).toMatchObject({ readonly: true, folder, tags: ['gutenberg', 'pg1342'] })
+    expect(stored.content.startsWith('# BOOK ONE, CHAPTER I: The Beginning\n\n')).toBe(true)
+    expect((await storage.getDocument(documents[0].id)).content).toContain('*Jane Doe*')
+    await expect(storage.saveDocument({ ...stored, content: 'Edited' })).rejects.toThrow('readonly')
+  })
+
+  it('should use the catalog entry and refuse to import a book twice', async () => {
+    await manager.loadCatalog()
+    const { book } = await manager.importBook(1342)
+
+    expect(book.title).toBe('Pride and Prejudice')
+    await expect(manager.importBook(1342)).rejects.toThrow('already imported')
+  })
+
+  it('should report failed downloads', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' })
+
+    await expect(manager.importBook(99999)).rejects.toThrow(
+      'Could not download the ebook #99999: 404 Not Found'
+    )
+    await expect(manager.importBook('abc')).rejects.toThrow('Invalid ebook number')
+  })
+
+  it('should sync imported chapters without unlocking them', async () => {
+    const { documents } = await manager.importBook(1342)
+    const github = {
+      commitDocuments: jest.fn(async (docs) => ({
+        commitSha: 'commit-1',
+        documents: docs.map((doc) => ({
+          githubSha: `sha-${doc.id}`,
+          githubPath: `documents/${doc.id}.md`,
+          lastSyncedAt: new Date(Date.now() + 1000).toISOString()
+        })),
+        projects: []
+      }))
+    }
+    const syncManager = new SyncManager(storage, github, { isAuthenticated: () => true })
+
+    await syncManager.uploadDocuments(documents)
+
+    const stored = await storage.getDocument(documents[0].id)
+    expect(stored).toMatchObject({ readonly: true, githubPath: `documents/${stored.id}.md` })
+    expect(stored.updatedAt).toBe(documents[0].updatedAt)
+    expect(syncManager.hasLocalChanges(stored)).toBe(false)
+  })
+})
@@ -0,0 +1,161 @@
+/**
+ * LinkManager Tests - Wiki-style [[links]], backlinks, rename propagation and editor completion
+ */
+import { EditorState } from '@codemirror/state'
+import { CompletionContext } from '@codemirror/autocomplete'
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import {
+  LinkManager,
+  parseWikiLinks,
+  findWikiLinkAt,
+  renameWikiLinks
+} from '../../src/core/links/link-manager.js'
+import { WikiLinkExtensions } from '../../src/core/editor/wiki-link-extensions.js'
+
+describe('wiki link parsing', () => {
+  it('should find plain, heading and labelled links', () => {
+    const links = parseWikiLinks(
+      'See [[Mara Vey]], [[Emberfall#The Gate]] and [[Ash Court|the court]].'
+    )
+
+    expect(links.map(({ target, heading, label }) => ({ target, heading, label }))).toEqual([
+      { target: 'Mara Vey', heading: null, label: null },
+      { target: 'Emberfall', heading: 'The Gate', label: null },
+      { target: 'Ash Court', heading: null, label: 'the court' }
+    ])
+    expect(links[0].from).toBe(4)
+  })
+
+  it('should ignore unclosed and empty brackets', () => {
+    expect(parseWikiLinks('[[Unclosed and [[]] and [single]')).toEqual([])
+  })
+
+  it('should find the link under an offset', () => {
+    expect(findWikiLinkAt('Go to [[Emberfall]] now', 10).target).toBe('Emberfall')
+    expect(findWikiLinkAt('Go to [[Emberfall]] now', 2)).toBeNull()
+  })
+
+  it('should rename matching links and keep headings and labels', () => {
+    const content = '[[emberfall]], [[Emberfall#Gate]], [[Emberfall|home]] and [[Emberhold]]'
+
+    expect(renameWikiLinks(content, 'Emberfall', 'Cinderfall')).toBe(
+      '[[Cinderfall]], [[Cinderfall#Gate]], [[Cinderfall|home]] and [[Emberhold]]'
+    )
+  })
+})
+
+describe('LinkManager', () => {
+  let storageManager
+  let linkManager
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Test_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+    await storageManager.initDatabase()
+    linkManager = new LinkManager(storageManager)
+  })
+
+  afterEach(async () => {
+    if (storageManager.db) {
+      storageManager.db.close()
+      try {
+        const deleteReq = indexedDB.deleteDatabase(storageManager.dbName)
+        await new Promise((resolve, reject) => {
+          deleteReq.onsuccess = () => resolve()
+          deleteReq.onerror = () => reject()
+        })
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  })
+
+  it('should resolve links by case-insensitive title and list headings', async () => {
+    await storageManager.saveDocument({
+      title: 'Emberfall',
+      content: '# Emberfall\n\n## The Gate\n\nText'
+    })
+
+    expect((await linkManager.resolveLink('emberfall ')).title).toBe('Emberfall')
+    expect(await linkManager.resolveLink('Nowhere')).toBeNull()
+    expect((await linkManager.getHeadings('Emberfall')).map((h) => h.text)).toEqual([
+      'Emberfall',
+      'The Gate'
+    ])
+  })
+
+  it('should list backlinks with an excerpt of the linking line', async () => {
+    const target = await storageManager.saveDocument({ title: 'Emberfall', content: 'City' })
+    await storageManager.saveDocument({
+      title: 'Chapter One',
+      content: 'Intro\n\nThey rode to [[Emberfall]] at dusk.\n\nBack to [[Emberfall#Gate]].'
+    })
+    await storageManager.saveDocument({ title: 'Chapter Two', content: 'No links here' })
+
+    const backlinks = await linkManager.getBacklinks(target)
+
+    expect(backlinks).toHaveLength(1)
+    expect(backlinks[0].document.title).toBe('Chapter One')
+    expect(backlinks[0].count).toBe(2)
+    expect(backlinks[0].excerpt).toBe('They rode to [[Emberfall]] at dusk.')
+  })
+
+  it('should rewrite inbound links after a rename', async () => {
+    const target = await storageManager.saveDocument({ title: 'Cinderfall', content: 'City' })
+    const source = await storageManager.saveDocument({
+      title: 'Chapter One',
+      content: 'They rode to [[Emberfall#Gate]].'
+    })
+    await storageManager.saveDocument({ title: 'Chapter Two', content: 'Nothing' })
+
+    const updated = await linkManager.updateInboundLinks('Emberfall', 'Cinderfall', target.id)
+
+    expect(updated.map((doc) => doc.id)).toEqual([source.id])
+    expect((await storageManager.getDocument(source.id)).content).toBe(
+      'They rode to [[Cinderfall#Gate]].'
+    )
+  })
+
+  it('should do nothing when the title only changes case', async () => {
+    await storageManager.saveDocument({ title: 'Chapter One', content: '[[emberfall]]' })
+
+    expect(await linkManager.updateInboundLinks('emberfall', 'Emberfall')).toEqual([])
+  })
+})
+
+describe('WikiLinkExtensions completion', () => {
+  const provider = {
+    getTargets: jest.fn(async () => [
+      { title: 'Emberfall', type: 'user' },
+      { title: 'Mara Vey', type: 'codex' }
+    ]),
+    getHeadings: jest.fn(async () => [{ text: 'The Gate', level: 2, line: 3 }]),
+    followLink: jest.fn()
+  }
+
+  const complete = (doc, pos = doc.length) => {
+    const extensions = new WikiLinkExtensions(provider)
+    const state = EditorState.create({ doc })
+    return extensions.completeWikiLink(new CompletionContext(state, pos, false))
+  }
+
+  it('should complete document titles after [[ and close the link', async () => {
+    const result = await complete('Rode to [[Emb')
+
+    expect(result.from).toBe(10)
+    expect(result.options.map((option) => option.apply)).toEqual(['Emberfall]]', 'Mara Vey]]'])
+    expect(result.options[1].detail).toBe('codex')
+  })
+
+  it('should complete headings after # without doubling closing brackets', async () => {
+    const result = await complete('[[Emberfall#Ga]]', 14)
+
+    expect(provider.getHeadings).toHaveBeenCalledWith('Emberfall')
+    expect(result.from).toBe(12)
+    expect(result.options[0].apply).toBe('The Gate')
+  })
+
+  it('should not complete outside a link', async () => {
+    expect(await complete('Plain text [[Closed]] after')).toBeNull()
+  })
+})
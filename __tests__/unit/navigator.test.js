@@ -86,6 +86,21 @@ jest.mock('../../src/components/navigator/tabs/search-tab.js', () => ({
   }))
 }))
 
+jest.mock('../../src/components/navigator/tabs/projects-tab.js', () => ({
+  ProjectsTab: jest.fn().mockImplementation(() => ({
+    onActivate: jest.fn(),
+    refresh: jest.fn()
+  }))
+}))
+
+jest.mock('../../src/components/navigator/tabs/codex-tab.js', () => ({
+  CodexTab: jest.fn().mockImplementation(() => ({
+    onActivate: jest.fn(),
+    refresh: jest.fn(),
+    focusFilterInput: jest.fn()
+  }))
+}))
+
 describe('Navigator Component', () => {
   let navigator
   let mockContainer
@@ -155,7 +170,7 @@ describe('Navigator Component', () => {
 
   describe('initialization', () => {
     it('should initialize with correct default state', () => {
-      expect(navigator.tabs).toEqual(['documents', 'outline', 'search'])
+      expect(navigator.tabs).toEqual(['documents', 'outline', 'search', 'projects', 'codex'])
       expect(navigator.activeTab).toBe('documents')
       expect(navigator.isPinned).toBe(false)
       expect(navigator.isVisible).toBe(false)
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * OAuth Proxy Tests - Proxied API calls only reach the provider's own, allowed servers
+ */
+import worker from '../../workers/oauth-proxy.js'
+
+const ORIGIN = 'https://fantasy.forgewright.io'
+
+const env = {
+  CORS_ORIGIN: ORIGIN,
+  GITHUB_CLIENT_ID: 'github-id',
+  GITHUB_CLIENT_SECRET: 'github-secret',
+  GITLAB_CLIENT_ID: 'gitlab-id',
+  GITLAB_CLIENT_SECRET: 'gitlab-secret',
+  GENERIC_CLIENT_ID: 'gitea-id',
+  GENERIC_CLIENT_SECRET: 'gitea-secret',
+  ALLOWED_GIT_HOSTS: 'git.example.com, codeberg.org'
+}
+
+const proxy = (body) =>
+  worker.fetch(
+    new Request('https://proxy.example.workers.dev/oauth/repos', {
+      method: 'POST',
+      headers: { Origin: ORIGIN, 'User-Agent': 'Fantasy Editor Test' },
+      body: JSON.stringify({ accessToken: 'secret-token', ...body })
+    }),
+    env
+  )
+
+describe('OAuth proxy repository operations', () => {
+  let originalFetch
+
+  beforeEach(() => {
+    originalFetch = global.fetch
+    global.fetch = jest.fn(async () => new Response('{"ok":true}', { status: 200 }))
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    global.fetch = originalFetch
+    jest.restoreAllMocks()
+  })
+
+  it('should ignore a client base URL for GitHub', async () => {
+    const response = await proxy({
+      provider: 'github',
+      operation: '/user/repos',
+      providerConfig: { baseUrl: 'https://evil.example.com' }
+    })
+
+    expect(response.status).toBe(200)
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.github.com/user/repos',
+      expect.anything()
+    )
+  })
+
+  it('should only allow self-hosted servers listed in ALLOWED_GIT_HOSTS', async () => {
+    await proxy({
+      provider: 'generic',
+      operation: '/repos/ana/saga/branches',
+      providerConfig: { baseUrl: 'https://git.example.com/', providerName: 'gitea' }
+    })
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://git.example.com/api/v1/repos/ana/saga/branches',
+      expect.anything()
+    )
+
+    for (const baseUrl of ['https://evil.example.com', 'http://git.example.com']) {
+      global.fetch.mockClear()
+      const response = await proxy({
+        provider: 'gitlab',
+        operation: '/projects',
+        providerConfig: { baseUrl }
+      })
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toBe(`Git server not allowed: ${baseUrl}`)
+      expect(global.fetch).not.toHaveBeenCalled()
+    }
+  })
+
+  it('should reject operations that are not a plain API path', async () => {
+    for (const operation of ['//evil.example.com/x', '/\\evil.example.com', '/a b', 'https:']) {
+      const response = await proxy({ provider: 'github', operation })
+      expect(response.status).toBe(400)
+    }
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * PdfLayoutEngine Tests - Typeset PDF pages, chapter openings, headers and widow/orphan control
+ */
+import { PdfLayoutEngine, TRIM_SIZES, getFontStyle } from '../../src/core/export/pdf-layout.js'
+import { parseMarkdownBlocks } from '../../src/core/export/markdown-blocks.js'
+
+// Monospaced stand-in for jsPDF font metrics: 0.2mm per point per character
+const measure = (text, font, style, size) => text.length * size * 0.2
+
+const createEngine = (options = {}) =>
+  new PdfLayoutEngine({ trimSize: 'a5', title: 'Ember', author: 'Jo Ashford', measure, ...options })
+
+const paragraph = (id, words) => Array.from({ length: words }, (_, i) => `${id}w${i}`).join(' ')
+
+describe('PdfLayoutEngine', () => {
+  it('should map run marks to jsPDF font styles', () => {
+    expect(getFontStyle({ bold: true, italic: true })).toBe('bolditalic')
+    expect(getFontStyle({ italic: true })).toBe('italic')
+    expect(getFontStyle({})).toBe('normal')
+  })
+
+  it('should offer A5, 6x9 and Letter trim sizes', () => {
+    expect(Object.keys(TRIM_SIZES)).toEqual(['a5', '6x9', 'letter'])
+    expect(() => createEngine({ trimSize: 'a4' })).toThrow('Unsupported trim size: a4')
+  })
+
+  it('should start with a title page and open chapters on new pages', () => {
+    const pages = createEngine().layout(
+      parseMarkdownBlocks('## One\n\nFirst chapter.\n\n## Two\n\nSecond chapter.')
+    )
+
+    expect(pages.map((page) => page.type)).toEqual(['title', 'chapter-opening', 'chapter-opening'])
+    expect(pages[0].items.map((item) => item.text)).toEqual(['Ember', 'Jo', 'Ashford'])
+    expect(pages[2].chapterTitle).toBe('Two')
+  })
+
+  it('should keep inline styles on the laid-out words', () => {
+    const [page] = createEngine().layout(parseMarkdownBlocks('A *quiet* **storm**.'), {
+      titlePage: false
+    })
+
+    const styles = Object.fromEntries(page.items.map((item) => [item.text, item.style]))
+    expect(styles).toEqual({ A: 'normal', quiet: 'italic', storm: 'bold', '.': 'normal' })
+  })
+
+  it('should justify all but the last line of a paragraph', () => {
+    const engine = createEngine()
+    const [page] = engine.layout(parseMarkdownBlocks(paragraph('p', 60)), { titlePage: false })
+
+    const lines = new Map()
+    for (const item of page.items) {
+      lines.set(item.y, [...(lines.get(item.y) || []), item])
+    }
+    const ends = [...lines.values()].map((items) => {
+      const last = items[items.length - 1]
+      return last.x + measure(last.text, last.font, last.style, last.size)
+    })
+    const rightEdge = engine.trim.inner + engine.textWidth
+
+    ends.slice(0, -1).forEach((end) => expect(end).toBeCloseTo(rightEdge, 5))
+    expect(ends[ends.length - 1]).toBeLessThan(rightEdge)
+  })
+
+  it('should never leave fewer than two lines of a paragraph at a page break', () => {
+    const markdown = Array.from({ length: 40 }, (_, i) => paragraph(`p${i}x`, 20 + (i % 4) * 7))
+    const pages = createEngine().layout(parseMarkdownBlocks(markdown.join('\n\n')), {
+      titlePage: false
+    })
+
+    expect(pages.length).toBeGreaterThan(2)
+    for (const page of pages) {
+      const linesPerParagraph = new Map()
+      for (const item of page.items) {
+        const id = item.text.split('w')[0]
+        linesPerParagraph.set(id, new Set([...(linesPerParagraph.get(id) || []), item.y]))
+      }
+      for (const lines of linesPerParagraph.values()) {
+        expect(lines.size).toBeGreaterThanOrEqual(2)
+      }
+    }
+  })
+
+  it('should render running headers, page numbers and mirrored margins', () => {
+    const engine = createEngine()
+    const pages = engine.layout(
+      parseMarkdownBlocks(
+        `## Arrival\n\n${Array.from({ length: 12 }, (_, i) => paragraph(`p${i}x`, 60)).join('\n\n')}`
+      )
+    )
+    const pdf = {
+      addPage: jest.fn(),
+      setFont: jest.fn(),
+      setFontSize: jest.fn(),
+      text: jest.fn()
+    }
+
+    engine.render(pdf, pages)
+
+    const texts = pdf.text.mock.calls.map((call) => call[0])
+    expect(pdf.addPage).toHaveBeenCalledTimes(pages.length - 1)
+    expect(texts).toContain('Arrival') // Recto running header
+    expect(texts).toContain('Ember') // Verso running header
+    expect(texts).toContain(String(pages.length))
+    expect(texts).not.toContain('1') // No number on the title page
+
+    const renderedX = (item) => pdf.text.mock.calls.find((call) => call[0] === item.text)[1]
+    const rectoItem = pages[2].items[0]
+    const versoItem = pages[3].items[0]
+    expect(renderedX(rectoItem)).toBeCloseTo(rectoItem.x, 5)
+    expect(renderedX(versoItem)).toBeCloseTo(versoItem.x + engine.trim.outer - engine.trim.inner, 5)
+  })
+})
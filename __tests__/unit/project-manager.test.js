@@ -0,0 +1,158 @@
+/**
+ * ProjectManager Tests - Manuscript projects with ordered binder of parts, chapters and scenes
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { ProjectManager, normalizeBinder } from '../../src/core/projects/project-manager.js'
+
+describe('ProjectManager', () => {
+  let storageManager
+  let projectManager
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Test_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+    await storageManager.initDatabase()
+    projectManager = new ProjectManager(storageManager)
+  })
+
+  afterEach(async () => {
+    if (storageManager.db) {
+      storageManager.db.close()
+      try {
+        const deleteReq = indexedDB.deleteDatabase(storageManager.dbName)
+        await new Promise((resolve, reject) => {
+          deleteReq.onsuccess = () => resolve()
+          deleteReq.onerror = () => reject()
+        })
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  })
+
+  describe('projects', () => {
+    it('should create and persist a project in its own store', async () => {
+      const project = await projectManager.createProject('The Ember Saga')
+
+      const stored = await storageManager.getProject(project.id)
+      expect(stored.title).toBe('The Ember Saga')
+      expect(stored.binder).toEqual([])
+      expect(await storageManager.getAllDocuments()).toHaveLength(0)
+    })
+
+    it('should require a title', async () => {
+      await expect(projectManager.createProject('  ')).rejects.toThrow('Project title is required')
+    })
+
+    it('should find projects by title case-insensitively', async () => {
+      const project = await projectManager.createProject('Book One')
+
+      const found = await projectManager.findProject('book one')
+      expect(found.id).toBe(project.id)
+    })
+  })
+
+  describe('binder', () => {
+    let project
+
+    beforeEach(async () => {
+      project = await projectManager.createProject('Saga')
+    })
+
+    it('should add parts, chapters and scenes in order', async () => {
+      const part = await projectManager.addNode(project.id, { type: 'part', title: 'Part I' })
+      const ch1 = await projectManager.addNode(project.id, { type: 'chapter' }, part.id)
+      const ch2 = await projectManager.addNode(project.id, { type: 'chapter' }, part.id)
+      await projectManager.addNode(project.id, { type: 'scene' }, ch1.id)
+
+      const stored = await projectManager.getProject(project.id)
+      expect(stored.binder[0].children.map((n) => n.id)).toEqual([ch1.id, ch2.id])
+      expect(stored.binder[0].children[0].children[0].type).toBe('scene')
+      expect(ch2.title).toBe('Chapter 2')
+    })
+
+    it('should reject invalid nesting', async () => {
+      const chapter = await projectManager.addNode(project.id, { type: 'chapter' })
+
+      await expect(projectManager.addNode(project.id, { type: 'scene' })).rejects.toThrow(
+        'A root cannot contain a scene'
+      )
+      await expect(
+        projectManager.addNode(project.id, { type: 'part' }, chapter.id)
+      ).rejects.toThrow('A chapter cannot contain a part')
+    })
+
+    it('should reorder siblings and move nodes between parents', async () => {
+      const a = await projectManager.addNode(project.id, { type: 'chapter', title: 'A' })
+      const b = await projectManager.addNode(project.id, { type: 'chapter', title: 'B' })
+      const scene = await projectManager.addNode(project.id, { type: 'scene' }, a.id)
+
+      await projectManager.moveNode(project.id, b.id, null, 0)
+      await projectManager.moveNode(project.id, scene.id, b.id, 0)
+
+      const stored = await projectManager.getProject(project.id)
+      expect(stored.binder.map((n) => n.title)).toEqual(['B', 'A'])
+      expect(stored.binder[0].children[0].id).toBe(scene.id)
+      expect(stored.binder[1].children).toHaveLength(0)
+    })
+
+    it('should not move a node into its own descendant', async () => {
+      const part = await projectManager.addNode(project.id, { type: 'part' })
+      const chapter = await projectManager.addNode(project.id, { type: 'chapter' }, part.id)
+
+      await expect(projectManager.moveNode(project.id, part.id, chapter.id, 0)).rejects.toThrow(
+        'Cannot move a node into itself'
+      )
+    })
+
+    it('should unlink deleted documents from binders', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Prologue', content: 'Once' })
+      const chapter = await projectManager.addNode(project.id, {
+        type: 'chapter',
+        documentId: doc.id
+      })
+
+      const updated = await projectManager.removeDocumentReferences(doc.id)
+
+      const stored = await projectManager.getProject(project.id)
+      expect(updated).toBe(1)
+      expect(projectManager.findNode(stored.binder, chapter.id).node.documentId).toBeNull()
+    })
+
+    it('should drop nodes of unknown types when loading a manifest', () => {
+      const binder = normalizeBinder([
+        { id: 'a', type: 'chapter', title: 'One', children: [{ id: 'b', type: 'beat' }] },
+        { id: 'c', type: 'volume', title: 'Two', children: [{ id: 'd', type: 'chapter' }] },
+        { id: 'e', type: 'part', title: 'Three' }
+      ])
+
+      expect(binder.map((node) => node.id)).toEqual(['a', 'e'])
+      expect(binder[0].children).toEqual([])
+      expect(binder[1].children).toEqual([])
+      expect(normalizeBinder(undefined)).toEqual([])
+    })
+  })
+
+  describe('compileManuscript', () => {
+    it('should compile documents in binder order with part and chapter headings', async () => {
+      const project = await projectManager.createProject('Saga')
+      const doc1 = await storageManager.saveDocument({ title: 'Scene one', content: 'First.' })
+      const doc2 = await storageManager.saveDocument({ title: 'Scene two', content: 'Second.' })
+      const part = await projectManager.addNode(project.id, { type: 'part', title: 'Part I' })
+      const chapter = await projectManager.addNode(
+        project.id,
+        { type: 'chapter', title: 'Arrival' },
+        part.id
+      )
+      await projectManager.addNode(project.id, { type: 'scene', documentId: doc1.id }, chapter.id)
+      await projectManager.addNode(project.id, { type: 'scene', documentId: doc2.id }, chapter.id)
+
+      const manuscript = await projectManager.compileManuscript(project.id)
+
+      expect(manuscript.chapters).toHaveLength(1)
+      expect(manuscript.chapters[0].part).toBe('Part I')
+      expect(manuscript.content).toBe('# Part I\n\n## Arrival\n\nFirst.\n\n* * *\n\nSecond.')
+      expect(projectManager.getOrderedDocumentIds(manuscript.project)).toEqual([doc1.id, doc2.id])
+    })
+  })
+})
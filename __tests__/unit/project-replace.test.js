@@ -0,0 +1,247 @@
+/**
+ * Project Replace Tests - cross-document preview, selective apply, revisions and undo
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { RevisionManager } from '../../src/core/storage/revision-manager.js'
+import { ProjectReplace } from '../../src/core/search/project-replace.js'
+import { buildSearchPattern } from '../../src/core/search/search-query.js'
+import { SearchTab } from '../../src/components/navigator/tabs/search-tab.js'
+
+describe('buildSearchPattern', () => {
+  const matchAll = (text, query, options) =>
+    [...text.matchAll(buildSearchPattern(query, options))].map((match) => match[0])
+
+  it('should match literal text case-insensitively by default', () => {
+    expect(matchAll('Aelric met aelric (Aelric?)', 'aelric')).toEqual([
+      'Aelric',
+      'aelric',
+      'Aelric'
+    ])
+    expect(matchAll('a.b axb', 'a.b')).toEqual(['a.b'])
+  })
+
+  it('should honour case and whole word options, including accented names', () => {
+    expect(matchAll('Aelric aelric', 'Aelric', { caseSensitive: true })).toEqual(['Aelric'])
+    expect(matchAll('Aelric Aelrics Aelríc', 'Aelr', { wholeWord: true })).toEqual([])
+    expect(matchAll('Aelríc and Aelrícson', 'Aelríc', { wholeWord: true })).toEqual(['Aelríc'])
+  })
+
+  it('should reject invalid regular expressions and empty queries', () => {
+    expect(() => buildSearchPattern('(unclosed', { regex: true })).toThrow(
+      'Invalid regular expression'
+    )
+    expect(() => buildSearchPattern('')).toThrow('Search query is empty')
+  })
+})
+
+describe('ProjectReplace', () => {
+  let storage
+  let revisions
+  let replace
+  let chapterOne
+  let chapterTwo
+  let reference
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Replace_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    revisions = new RevisionManager(storage)
+    replace = new ProjectReplace(storage, revisions)
+
+    chapterOne = await storage.saveDocument({
+      title: 'Chapter One',
+      content: 'Aelric rode north.\nThe road was long, and Aelric was tired.'
+    })
+    chapterTwo = await storage.saveDocument({
+      title: 'Chapter Two',
+      content: 'Sir Aelric of the Vale.'
+    })
+    reference = await storage.saveDocument({ title: 'Reference', content: 'Aelric, a name.' })
+    reference = await storage.setDocumentReadonly(reference.id, true)
+  })
+
+  afterEach(() => {
+    storage.db?.close()
+  })
+
+  it('should preview every match with context and leave read-only documents out', async () => {
+    const preview = replace.preview(await storage.getAllDocuments(), 'Aelric', 'Aedric')
+
+    expect(preview.total).toBe(3)
+    expect(preview.documents.map((doc) => doc.title).sort()).toEqual(['Chapter One', 'Chapter Two'])
+
+    const one = preview.documents.find((doc) => doc.id === chapterOne.id)
+    expect(one.matches[1]).toEqual({
+      id: `${chapterOne.id}:1`,
+      from: 42,
+      to: 48,
+      line: 2,
+      text: 'Aelric',
+      replacement: 'Aedric',
+      before: 'The road was long, and ',
+      after: ' was tired.'
+    })
+  })
+
+  it('should expand regex groups and keep dollar signs literal otherwise', async () => {
+    const documents = await storage.getAllDocuments()
+
+    const regex = replace.preview(documents, 'Sir (\\w+)', '$1 the Knight ($&)', { regex: true })
+    expect(regex.documents[0].matches[0].replacement).toBe('Aelric the Knight (Sir Aelric)')
+
+    const literal = replace.preview(documents, 'Sir Aelric', '$1')
+    expect(literal.documents[0].matches[0].replacement).toBe('$1')
+  })
+
+  it('should replace included matches and snapshot each document', async () => {
+    const preview = replace.preview(await storage.getAllDocuments(), 'Aelric', 'Aedric')
+
+    const result = await replace.apply(preview, { excluded: [`${chapterOne.id}:1`] })
+
+    expect(result.replaced).toBe(2)
+    expect(result.skipped).toEqual([])
+    expect((await storage.getDocument(chapterOne.id)).content).toBe(
+      'Aedric rode north.\nThe road was long, and Aelric was tired.'
+    )
+    expect((await storage.getDocument(chapterTwo.id)).content).toBe('Sir Aedric of the Vale.')
+    expect((await storage.getDocument(reference.id)).content).toBe('Aelric, a name.')
+
+    const history = await revisions.listRevisions(chapterTwo.id)
+    expect(history.map((revision) => revision.reason)).toEqual(['replace', 'before-replace'])
+    expect(history[1].content).toBe('Sir Aelric of the Vale.')
+  })
+
+  it('should skip documents edited since the preview', async () => {
+    const preview = replace.preview(await storage.getAllDocuments(), 'Aelric', 'Aedric')
+    await storage.saveDocument({ ...chapterTwo, content: 'Sir Aelric of the Hills.' })
+
+    const result = await replace.apply(preview)
+
+    expect(result.skipped).toEqual([{ title: 'Chapter Two', reason: 'Changed since the preview' }])
+    expect(result.documents.map((doc) => doc.id)).toEqual([chapterOne.id])
+    expect((await storage.getDocument(chapterTwo.id)).content).toBe('Sir Aelric of the Hills.')
+  })
+
+  it('should undo the last batch, leaving documents edited afterwards alone', async () => {
+    const preview = replace.preview(await storage.getAllDocuments(), 'Aelric', 'Aedric')
+    const { documents } = await replace.apply(preview)
+    const editedTwo = documents.find((doc) => doc.id === chapterTwo.id)
+    await storage.saveDocument({ ...editedTwo, content: 'Sir Aedric, rewritten.' })
+
+    const result = await replace.undo()
+
+    expect(result.documents.map((doc) => doc.id)).toEqual([chapterOne.id])
+    expect(result.skipped).toEqual([{ title: 'Chapter Two', reason: 'Edited after the replace' }])
+    expect((await storage.getDocument(chapterOne.id)).content).toBe(chapterOne.content)
+    expect((await storage.getDocument(chapterTwo.id)).content).toBe('Sir Aedric, rewritten.')
+    expect((await revisions.listRevisions(chapterOne.id))[0].reason).toBe('undo-replace')
+
+    await expect(replace.undo()).rejects.toThrow('No replace to undo')
+  })
+})
+
+describe('SearchTab replace panel', () => {
+  let container
+  let app
+  let tab
+
+  const preview = {
+    query: 'Aelric',
+    replacement: 'Aedric',
+    total: 2,
+    documents: [
+      {
+        id: 'doc-1',
+        title: 'Chapter <One>',
+        checksum: 'abc',
+        matches: [
+          {
+            id: 'doc-1:0',
+            line: 1,
+            text: 'Aelric',
+            replacement: 'Aedric',
+            before: '',
+            after: ' rode'
+          },
+          {
+            id: 'doc-1:1',
+            line: 2,
+            text: 'Aelric',
+            replacement: 'Aedric',
+            before: 'and ',
+            after: ''
+          }
+        ]
+      }
+    ]
+  }
+
+  const change = (element, checked) => {
+    element.checked = checked
+    element.dispatchEvent(new Event('change', { bubbles: true }))
+  }
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+    app = {
+      previewProjectReplace: jest.fn().mockResolvedValue(preview),
+      applyProjectReplace: jest.fn().mockResolvedValue({
+        documents: [{ id: 'doc-1' }],
+        replaced: 1,
+        skipped: []
+      }),
+      undoProjectReplace: jest.fn().mockResolvedValue({ documents: [{ id: 'doc-1' }], skipped: [] })
+    }
+    tab = new SearchTab(container, app)
+  })
+
+  afterEach(() => {
+    container.remove()
+  })
+
+  it('should preview with the chosen options and apply only ticked matches', async () => {
+    tab.showReplace('Aelric')
+    container.querySelector('.replace-input').value = 'Aedric'
+    change(container.querySelector('[data-option="wholeWord"]'), true)
+
+    await tab.previewReplace()
+
+    expect(app.previewProjectReplace).toHaveBeenCalledWith('Aelric', 'Aedric', {
+      caseSensitive: false,
+      wholeWord: true,
+      regex: false
+    })
+    expect(container.querySelector('.result-title').innerHTML).toBe('Chapter &lt;One&gt;')
+    expect(container.querySelectorAll('.replace-match ins')).toHaveLength(2)
+
+    const apply = container.querySelector('[data-replace-action="apply"]')
+    expect(apply.textContent).toBe('Replace 2')
+    change(container.querySelector('[data-match-id="doc-1:1"]'), false)
+    expect(apply.textContent).toBe('Replace 1')
+
+    apply.click()
+    await new Promise((resolve) => setTimeout(resolve))
+
+    expect(app.applyProjectReplace).toHaveBeenCalledWith(preview, ['doc-1:1'])
+    expect(container.querySelector('.replace-result p').textContent).toBe(
+      'Replaced 1 match in 1 document'
+    )
+
+    container.querySelector('[data-replace-action="undo"]').click()
+    await new Promise((resolve) => setTimeout(resolve))
+    expect(app.undoProjectReplace).toHaveBeenCalled()
+  })
+
+  it('should tick and untick all matches of a document together', async () => {
+    tab.showReplace('Aelric')
+    await tab.previewReplace()
+
+    change(container.querySelector('.replace-document-toggle'), false)
+
+    expect(tab.getIncludedCount()).toBe(0)
+    expect(container.querySelector('[data-replace-action="apply"]').disabled).toBe(true)
+    expect(container.querySelector('[data-match-id="doc-1:0"]').checked).toBe(false)
+  })
+})
@@ -0,0 +1,169 @@
+/**
+ * Prose Linter Tests - Echoes, adverbs, passive voice, clichés, filter words and the :lint command
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { ProjectManager } from '../../src/core/projects/project-manager.js'
+import { ProseLinter } from '../../src/core/prose/prose-linter.js'
+import { ProseLintExtensions } from '../../src/core/editor/prose-lint-extensions.js'
+import { CommandRegistry } from '../../src/core/commands/command-registry.js'
+import { registerProseCommands } from '../../src/core/commands/prose-commands.js'
+
+const flagged = (text, options) =>
+  new ProseLinter(options).lint(text).map((issue) => [issue.rule, text.slice(issue.from, issue.to)])
+
+describe('ProseLinter', () => {
+  it('should flag echoes within the echo distance but not names or common words', () => {
+    const text = 'The dark tower rose. Beyond the tower, Kaelith saw Kaelith and the dark sky.'
+    const options = { adverbs: false, filterWords: false }
+
+    expect(flagged(text, options)).toEqual([
+      ['echoes', 'tower'],
+      ['echoes', 'dark']
+    ])
+    expect(flagged(text, { ...options, echoDistance: 5 })).toEqual([['echoes', 'tower']])
+  })
+
+  it('should flag -ly adverbs but not adjectives ending in -ly', () => {
+    expect(flagged('She walked quietly past the lonely, friendly family. Only then.')).toEqual([
+      ['adverbs', 'quietly']
+    ])
+  })
+
+  it('should flag passive voice with an optional adverb or "not" in between', () => {
+    const options = { adverbs: false, echoes: false }
+    expect(
+      flagged('The gate was opened. The oath was not forgotten. It was quickly taken.', options)
+    ).toEqual([
+      ['passiveVoice', 'was opened'],
+      ['passiveVoice', 'was not forgotten'],
+      ['passiveVoice', 'was quickly taken']
+    ])
+    expect(flagged('She was sacred. He was tall. It was. Opened later.', options)).toEqual([])
+  })
+
+  it('should flag clichés across line breaks and filter words', () => {
+    expect(flagged('In the nick\nof time, she felt the cold and heard nothing.')).toEqual([
+      ['cliches', 'In the nick\nof time'],
+      ['filterWords', 'felt'],
+      ['filterWords', 'heard']
+    ])
+  })
+
+  it('should only check prose and respect turned off rules', () => {
+    const text = [
+      '---',
+      'title: Slowly',
+      '---',
+      '`quietly` [[Was Opened]] [the road](https://example.com/quietly) <span class="slowly">',
+      '```',
+      'she saw it quickly',
+      '```',
+      'She saw the gate was opened slowly.'
+    ].join('\n')
+
+    expect(flagged(text).map(([rule]) => rule)).toEqual(['filterWords', 'passiveVoice', 'adverbs'])
+
+    const linter = new ProseLinter({ filterWords: false, passiveVoice: false })
+    expect(linter.count(text)).toEqual({
+      echoes: 0,
+      adverbs: 1,
+      passiveVoice: 0,
+      cliches: 0,
+      filterWords: 0,
+      total: 1
+    })
+  })
+})
+
+describe('ProseLintExtensions', () => {
+  it('should add no extensions when every rule is off', () => {
+    const settings = {
+      echoes: false,
+      adverbs: false,
+      passiveVoice: false,
+      cliches: false,
+      filterWords: false
+    }
+    const extensions = new ProseLintExtensions({ get: () => settings })
+    expect(extensions.getExtensions()).toEqual([])
+
+    settings.cliches = true
+    expect(extensions.getExtensions().length).toBeGreaterThan(0)
+  })
+})
+
+describe(':lint command', () => {
+  let storageManager
+  let projectManager
+  let registry
+  let app
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Lint_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storageManager.initDatabase()
+    projectManager = new ProjectManager(storageManager)
+    registry = new CommandRegistry()
+    app = {
+      projectManager,
+      settingsManager: { get: () => ({ echoes: false }) },
+      editor: { getContent: () => 'She felt it slowly.' }
+    }
+    registerProseCommands(registry, app)
+  })
+
+  afterEach(() => {
+    storageManager.db?.close()
+  })
+
+  it('should count issues per chapter in binder order', async () => {
+    const first = await storageManager.saveDocument({
+      title: 'Arrival',
+      content: 'She saw the gate was opened slowly.'
+    })
+    const scene = await storageManager.saveDocument({
+      title: 'Arrival, scene 2',
+      content: 'All of a sudden it was over.'
+    })
+    const second = await storageManager.saveDocument({ title: 'Departure', content: 'They left.' })
+    const project = await projectManager.createProject('The Ember Saga')
+    const chapter = await projectManager.addNode(project.id, {
+      type: 'chapter',
+      title: 'Arrival',
+      documentId: first.id
+    })
+    await projectManager.addNode(project.id, { type: 'scene', documentId: scene.id }, chapter.id)
+    await projectManager.addNode(project.id, {
+      type: 'chapter',
+      title: 'Departure',
+      documentId: second.id
+    })
+    app.currentDocument = second
+
+    expect(await registry.executeCommand(':lint')).toEqual({
+      success: true,
+      message: '4 prose issue(s) in "The Ember Saga":',
+      data: {
+        '1. Arrival': 'adverbs 1, passive voice 1, clichés 1, filter words 1',
+        '2. Departure': 'adverbs 0, passive voice 0, clichés 0, filter words 0'
+      }
+    })
+  })
+
+  it('should count issues in the current document outside a project', async () => {
+    app.currentDocument = await storageManager.saveDocument({ title: 'Loose', content: '' })
+
+    const result = await registry.executeCommand(':lint')
+    expect(result.message).toBe('2 prose issue(s) in "Loose":')
+    expect(result.data).toEqual({ Loose: 'adverbs 1, passive voice 0, clichés 0, filter words 1' })
+
+    app.settingsManager.get = () => ({
+      echoes: false,
+      adverbs: false,
+      passiveVoice: false,
+      cliches: false,
+      filterWords: false
+    })
+    expect((await registry.executeCommand(':lint')).success).toBe(false)
+  })
+})
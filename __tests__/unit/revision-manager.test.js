@@ -0,0 +1,181 @@
+/**
+ * RevisionManager Tests - Per-document revision history with local snapshots and restore
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { RevisionManager, REVISION_DEFAULTS } from '../../src/core/storage/revision-manager.js'
+import { CommandRegistry } from '../../src/core/commands/command-registry.js'
+import { registerHistoryCommands } from '../../src/core/commands/history-commands.js'
+
+describe('RevisionManager', () => {
+  let storageManager
+  let revisionManager
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Test_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
+    await storageManager.initDatabase()
+    revisionManager = new RevisionManager(storageManager)
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    if (storageManager.db) {
+      storageManager.db.close()
+      try {
+        const deleteReq = indexedDB.deleteDatabase(storageManager.dbName)
+        await new Promise((resolve, reject) => {
+          deleteReq.onsuccess = () => resolve()
+          deleteReq.onerror = () => reject()
+        })
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  })
+
+  const advanceClock = (ms) => {
+    const now = Date.now() + ms
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  }
+
+  describe('recordRevision', () => {
+    it('should store snapshots in their own store', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'One two three' })
+
+      const revision = await revisionManager.recordRevision(doc)
+
+      const revisions = await revisionManager.listRevisions(doc.id)
+      expect(revisions).toHaveLength(1)
+      expect(revisions[0].id).toBe(revision.id)
+      expect(revision.wordCount).toBe(3)
+      expect(await storageManager.getAllDocuments()).toHaveLength(1)
+    })
+
+    it('should skip unchanged content even when forced', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'Same' })
+      await revisionManager.recordRevision(doc)
+
+      const skipped = await revisionManager.recordRevision(doc, { force: true })
+
+      expect(skipped).toBeNull()
+      expect(await revisionManager.listRevisions(doc.id)).toHaveLength(1)
+    })
+
+    it('should throttle automatic snapshots but not forced ones', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'First' })
+      await revisionManager.recordRevision(doc)
+
+      const throttled = await revisionManager.recordRevision({ ...doc, content: 'Second' })
+      const forced = await revisionManager.recordRevision(
+        { ...doc, content: 'Second' },
+        { force: true }
+      )
+
+      expect(throttled).toBeNull()
+      expect(forced).not.toBeNull()
+    })
+
+    it('should snapshot again once the throttle window has passed', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'First' })
+      await revisionManager.recordRevision(doc)
+
+      advanceClock(revisionManager.options.throttleMs + 1000)
+      const revision = await revisionManager.recordRevision({ ...doc, content: 'Second' })
+
+      expect(revision).not.toBeNull()
+    })
+  })
+
+  describe('applyRetention', () => {
+    it('should keep at most maxRevisions per document', async () => {
+      revisionManager = new RevisionManager(storageManager, { maxRevisions: 3, minRevisions: 1 })
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'v0' })
+
+      for (let i = 1; i <= 5; i++) {
+        await revisionManager.recordRevision({ ...doc, content: `v${i}` }, { force: true })
+      }
+
+      const revisions = await revisionManager.listRevisions(doc.id)
+      expect(revisions).toHaveLength(3)
+      expect(revisions.map((r) => r.content)).toEqual(['v5', 'v4', 'v3'])
+    })
+
+    it('should drop old revisions but always keep minRevisions', async () => {
+      revisionManager = new RevisionManager(storageManager, { maxAgeDays: 1, minRevisions: 2 })
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'v0' })
+      const old = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
+      for (let i = 1; i <= 3; i++) {
+        await storageManager.saveRevision({
+          id: `old-${i}`,
+          documentId: doc.id,
+          content: `old ${i}`,
+          createdAt: old
+        })
+      }
+
+      const deleted = await revisionManager.applyRetention(doc.id)
+
+      expect(deleted).toBe(1)
+      expect(await revisionManager.listRevisions(doc.id)).toHaveLength(2)
+    })
+  })
+
+  describe('restoreRevision', () => {
+    it('should restore content and snapshot the replaced text first', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'Original' })
+      const original = await revisionManager.recordRevision(doc)
+      const edited = await storageManager.saveDocument({ ...doc, content: 'Rewritten' })
+
+      const restored = await revisionManager.restoreRevision(original.id)
+
+      expect(restored.content).toBe('Original')
+      expect((await storageManager.getDocument(doc.id)).content).toBe('Original')
+      const revisions = await revisionManager.listRevisions(edited.id)
+      expect(
+        revisions.some((r) => r.reason === 'before-restore' && r.content === 'Rewritten')
+      ).toBe(true)
+    })
+
+    it('should let the save snapshot finish before the :history restore snapshot', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'Original' })
+      await revisionManager.recordRevision(doc)
+      advanceClock(REVISION_DEFAULTS.throttleMs)
+
+      const registry = new CommandRegistry()
+      const app = {
+        currentDocument: doc,
+        revisionManager,
+        editor: { isInDiffMode: () => false },
+        loadDocument: jest.fn(),
+        saveDocument: async () => {
+          const saved = await storageManager.saveDocument({ ...doc, content: 'Unsaved edit' })
+          // A slow snapshot, still running when the save returns
+          const revision = new Promise((resolve) => setTimeout(resolve, 20)).then(() =>
+            revisionManager.recordRevision(saved)
+          )
+          return { success: true, revision }
+        }
+      }
+      registerHistoryCommands(registry, app)
+
+      const result = await registry.executeCommand(':hi restore 1')
+
+      expect(result.success).toBe(true)
+      const revisions = await revisionManager.listRevisions(doc.id)
+      expect(revisions.map((r) => [r.reason, r.content])).toEqual([
+        ['restore', 'Original'],
+        ['save', 'Unsaved edit'],
+        ['save', 'Original']
+      ])
+    })
+
+    it('should remove history for deleted documents', async () => {
+      const doc = await storageManager.saveDocument({ title: 'Draft', content: 'Text' })
+      await revisionManager.recordRevision(doc)
+
+      await revisionManager.deleteRevisionsForDocument(doc.id)
+
+      expect(await revisionManager.listRevisions(doc.id)).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,227 @@
+/**
+ * Search Index Tests - term analysis, persisted index, incremental updates and the index worker
+ */
+import lunr from 'lunr'
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { SearchEngine, SEARCH_INDEX_RECORD } from '../../src/core/search/search-engine.js'
+import { SearchIndexer, analyseDocument } from '../../src/core/search/search-indexer.js'
+import { SearchWorkerClient } from '../../src/core/search/search-worker-client.js'
+
+/**
+ * Stands in for the search index worker: answers messages from a SearchIndexer
+ */
+class FakeWorker extends EventTarget {
+  constructor({ fail = false } = {}) {
+    super()
+    this.fail = fail
+    this.indexer = new SearchIndexer()
+    this.messages = []
+    this.terminated = false
+  }
+
+  postMessage(message) {
+    this.messages.push(message)
+    setTimeout(() => {
+      if (this.fail) {
+        this.dispatchEvent(Object.assign(new Event('error'), { message: 'Worker crashed' }))
+        return
+      }
+      const data = { id: message.id, result: this.indexer[message.method](...message.args) }
+      this.dispatchEvent(Object.assign(new Event('message'), { data }))
+    })
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+describe('SearchIndexer', () => {
+  it('should analyse fields the way Lunr indexes them', () => {
+    const analysis = analyseDocument({
+      id: 'a',
+      title: 'The Dragons',
+      content: '# Riding\n\nThe **riders** flew over [the hills](hills.md).',
+      tags: ['lore']
+    })
+
+    expect(analysis).toEqual({
+      id: 'a',
+      fields: {
+        title: ['dragon'],
+        content: ['ride', 'rider', 'flew', 'over', 'hill'],
+        tags: ['lore']
+      }
+    })
+  })
+
+  it('should find the same documents as an index built from text', () => {
+    const indexer = new SearchIndexer()
+    const { index } = indexer.update({
+      documents: [
+        { id: 'a', title: 'Dragon Riders', content: 'Flying over mountains', tags: [] },
+        { id: 'b', title: 'Harbor', content: 'Ships and dragons at sea', tags: ['coast'] }
+      ]
+    })
+    const loaded = lunr.Index.load(index)
+
+    expect(loaded.search('dragons').map((result) => result.ref)).toEqual(['a', 'b'])
+    expect(loaded.search('flying').map((result) => result.ref)).toEqual(['a'])
+    expect(loaded.search('coast').map((result) => result.ref)).toEqual(['b'])
+
+    indexer.update({ removed: ['a'] })
+    expect(
+      indexer
+        .build()
+        .search('dragon')
+        .map((result) => result.ref)
+    ).toEqual(['b'])
+  })
+})
+
+describe('SearchEngine index persistence', () => {
+  let storage
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Search_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    await storage.saveDocument({ title: 'Dragon Riders', content: 'They fly at dawn.' })
+    await storage.saveDocument({ title: 'Harbor', content: 'Ships wait in the fog.' })
+  })
+
+  afterEach(() => {
+    storage.db?.close()
+  })
+
+  it('should store analyses and the index keyed by document checksum', async () => {
+    const engine = new SearchEngine(storage)
+    await engine.buildIndex()
+
+    const records = await storage.getSearchIndex()
+    const documents = records.filter((record) => record.id !== SEARCH_INDEX_RECORD)
+    expect(documents).toHaveLength(2)
+    expect(documents[0]).toEqual(
+      expect.objectContaining({ checksum: expect.any(String), fields: expect.any(Object) })
+    )
+    expect(records.find((record) => record.id === SEARCH_INDEX_RECORD).index).toBeTruthy()
+  })
+
+  it('should reuse the stored index in the next session', async () => {
+    await new SearchEngine(storage).buildIndex()
+
+    const engine = new SearchEngine(storage)
+    const update = jest.spyOn(engine.indexer, 'update')
+    const results = await engine.search('dragon')
+
+    expect(update).not.toHaveBeenCalled()
+    expect(results.map((result) => result.document.title)).toEqual(['Dragon Riders'])
+  })
+
+  it('should only analyse documents changed since the stored index', async () => {
+    await new SearchEngine(storage).buildIndex()
+    const [harbor] = await storage.searchDocuments('harbor')
+    await storage.saveDocument({ ...harbor, content: 'Ships wait for the dragon.' })
+    await storage.saveDocument({ title: 'Forest', content: 'Quiet trees.' })
+
+    const engine = new SearchEngine(storage)
+    const update = jest.spyOn(engine.indexer, 'update')
+    await engine.buildIndex()
+
+    expect(update).toHaveBeenCalledTimes(1)
+    expect(update.mock.calls[0][0].documents.map((doc) => doc.title).sort()).toEqual([
+      'Forest',
+      'Harbor'
+    ])
+    const results = await engine.search('dragon')
+    expect(results.map((result) => result.document.title).sort()).toEqual([
+      'Dragon Riders',
+      'Harbor'
+    ])
+  })
+
+  it('should re-index a saved document without reading storage', async () => {
+    const engine = new SearchEngine(storage)
+    await engine.buildIndex()
+    const [riders] = await storage.searchDocuments('riders')
+    const getAllDocuments = jest.spyOn(storage, 'getAllDocuments')
+    const update = jest.spyOn(engine.indexer, 'update')
+
+    const saved = await storage.saveDocument({ ...riders, content: 'They fly over the glacier.' })
+    await engine.updateDocument(saved)
+    await engine.updateDocument(saved)
+
+    expect(update).toHaveBeenCalledTimes(1)
+    expect((await engine.search('glacier')).map((result) => result.document.id)).toEqual([
+      riders.id
+    ])
+    expect(await engine.search('dawn')).toEqual([])
+    expect(getAllDocuments).not.toHaveBeenCalled()
+  })
+
+  it('should drop deleted documents', async () => {
+    const engine = new SearchEngine(storage)
+    await engine.buildIndex()
+    const [harbor] = await storage.searchDocuments('harbor')
+
+    await storage.deleteDocument(harbor.id)
+    await engine.removeDocument(harbor.id)
+
+    expect(await engine.search('ships')).toEqual([])
+    const records = await storage.getSearchIndex()
+    expect(records.map((record) => record.id)).not.toContain(harbor.id)
+  })
+
+  it('should rebuild when the stored index does not match its analyses', async () => {
+    await new SearchEngine(storage).buildIndex()
+    const records = await storage.getSearchIndex()
+    await storage.updateSearchIndex([], [records.find((r) => r.id !== SEARCH_INDEX_RECORD).id])
+
+    const engine = new SearchEngine(storage)
+    const update = jest.spyOn(engine.indexer, 'update')
+    await engine.buildIndex()
+
+    expect(update.mock.calls[0][0].documents).toHaveLength(2)
+    expect(await engine.search('fog')).toHaveLength(1)
+  })
+})
+
+describe('SearchEngine with the index worker', () => {
+  let storage
+
+  beforeEach(async () => {
+    global.Worker = FakeWorker
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Worker_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    await storage.saveDocument({ title: 'Dragon Riders', content: 'They fly at dawn.' })
+  })
+
+  afterEach(() => {
+    delete global.Worker
+    storage.db?.close()
+  })
+
+  it('should analyse documents in the worker', async () => {
+    const worker = new FakeWorker()
+    const engine = new SearchEngine(storage, { createWorker: () => worker })
+
+    expect(engine.indexer).toBeInstanceOf(SearchWorkerClient)
+    const results = await engine.search('dragon')
+
+    expect(worker.messages.map((message) => message.method)).toEqual(['load', 'update'])
+    expect(results).toHaveLength(1)
+  })
+
+  it('should fall back to the main thread when the worker fails', async () => {
+    const worker = new FakeWorker({ fail: true })
+    const engine = new SearchEngine(storage, { createWorker: () => worker })
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const results = await engine.search('dragon')
+
+    expect(worker.terminated).toBe(true)
+    expect(engine.indexer).toBeInstanceOf(SearchIndexer)
+    expect(results).toHaveLength(1)
+  })
+})
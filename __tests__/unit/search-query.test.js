@@ -0,0 +1,260 @@
+/**
+ * Search Query Tests - structured query syntax, saved searches and the :ss command
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { SearchEngine } from '../../src/core/search/search-engine.js'
+import {
+  parseSearchQuery,
+  matchesQuery,
+  isStructuredQuery,
+  getHighlightPattern
+} from '../../src/core/search/search-query.js'
+import { SavedSearches } from '../../src/core/search/saved-searches.js'
+import { CommandRegistry } from '../../src/core/commands/command-registry.js'
+import { registerSearchCommands } from '../../src/core/commands/search-commands.js'
+
+const createSettings = () => {
+  const values = {}
+  const listeners = []
+  return {
+    get: (path) => path.split('.').reduce((value, key) => value?.[key], values),
+    set: (path, value) => {
+      const keys = path.split('.')
+      const parent = keys.slice(0, -1).reduce((object, key) => (object[key] ||= {}), values)
+      parent[keys.at(-1)] = value
+      listeners.forEach((listener) => listener({ event: 'setting-changed', data: { path, value } }))
+    },
+    addListener: (listener) => listeners.push(listener)
+  }
+}
+
+const documents = [
+  {
+    id: 'one',
+    title: 'The Dragon Wakes',
+    content: 'Aelric saw the dragon above the Vale.',
+    tags: ['draft', 'book-1'],
+    folder: 'book-1/part-1',
+    createdAt: '2025-11-02T10:00:00.000Z',
+    updatedAt: '2026-02-10T10:00:00.000Z'
+  },
+  {
+    id: 'two',
+    title: 'Old Notes',
+    content: 'An exact phrase about the dragon hoard.',
+    tags: ['draft', 'archived'],
+    folder: 'notes',
+    createdAt: '2025-06-01T10:00:00.000Z',
+    updatedAt: '2025-12-24T10:00:00.000Z'
+  },
+  {
+    id: 'three',
+    title: 'Chapter 12',
+    content: 'Mira crossed the river at dawn.',
+    tags: ['final'],
+    folder: 'book-1',
+    createdAt: '2026-01-05T10:00:00.000Z',
+    updatedAt: '2026-03-01T10:00:00.000Z'
+  }
+]
+
+const search = (input, options) => {
+  const query = parseSearchQuery(input, options)
+  return documents.filter((doc) => matchesQuery(doc, query)).map((doc) => doc.id)
+}
+
+describe('parseSearchQuery', () => {
+  it('should split words, phrases, filters and exclusions', () => {
+    const query = parseSearchQuery('tag:draft title:"Dragon" -tag:archived "exact phrase" dragon')
+
+    expect(query.terms.map(({ text, negated, phrase }) => ({ text, negated, phrase }))).toEqual([
+      { text: 'exact phrase', negated: false, phrase: true },
+      { text: 'dragon', negated: false, phrase: false }
+    ])
+    expect(query.filters.map(({ field, value, negated }) => ({ field, value, negated }))).toEqual([
+      { field: 'tag', value: 'draft', negated: false },
+      { field: 'title', value: 'Dragon', negated: false },
+      { field: 'tag', value: 'archived', negated: true }
+    ])
+    expect(isStructuredQuery(query)).toBe(true)
+    expect(isStructuredQuery(parseSearchQuery('dragon hoard'))).toBe(false)
+  })
+
+  it('should keep unknown prefixes as words and reject bad filter values', () => {
+    expect(parseSearchQuery('at 12:30').terms.map((term) => term.text)).toEqual(['at', '12:30'])
+
+    expect(() => parseSearchQuery('updated:>yesterday')).toThrow(
+      'Invalid date "yesterday" in updated: filter, use YYYY-MM-DD'
+    )
+    expect(() => parseSearchQuery('tag:""')).toThrow('Missing value for tag: filter')
+    expect(() => parseSearchQuery('/drag(on/')).toThrow('Invalid regular expression')
+  })
+})
+
+describe('matchesQuery', () => {
+  it('should match tags and folders exactly, and titles and content by text', () => {
+    expect(search('tag:draft')).toEqual(['one', 'two'])
+    expect(search('tag:DRAFT -tag:archived')).toEqual(['one'])
+    expect(search('tag:/^book/')).toEqual(['one'])
+    expect(search('folder:book-1')).toEqual(['one', 'three'])
+    expect(search('title:dragon')).toEqual(['one'])
+    expect(search('content:river')).toEqual(['three'])
+  })
+
+  it('should compare dates at the precision written', () => {
+    expect(search('updated:>2026-01-01')).toEqual(['one', 'three'])
+    expect(search('updated:2026-02')).toEqual(['one'])
+    expect(search('created:<=2025')).toEqual(['one', 'two'])
+    expect(search('-updated:2026')).toEqual(['two'])
+  })
+
+  it('should require every word, keep phrases together and exclude negated words', () => {
+    expect(search('dragon')).toEqual(['one', 'two'])
+    expect(search('dragon -hoard')).toEqual(['one'])
+    expect(search('"exact phrase"')).toEqual(['two'])
+    expect(search('"phrase exact"')).toEqual([])
+    expect(search('dragon Aelric')).toEqual(['one'])
+  })
+
+  it('should treat words as regular expressions in regex mode and honour case', () => {
+    expect(search('/chapter \\d+/')).toEqual(['three'])
+    expect(search('"chapter \\d+" dawn', { regex: true })).toEqual(['three'])
+    expect(search('vale', { caseSensitive: true })).toEqual([])
+    expect(search('Vale', { caseSensitive: true })).toEqual(['one'])
+  })
+
+  it('should highlight only the wanted words', () => {
+    const pattern = getHighlightPattern(parseSearchQuery('dragon -hoard tag:draft "the Vale"'))
+
+    expect('the dragon hoard in the Vale'.match(pattern)).toEqual(['dragon', 'the Vale'])
+    expect(getHighlightPattern(parseSearchQuery('tag:draft -dragon'))).toBeNull()
+  })
+})
+
+describe('SearchEngine structured queries', () => {
+  let storage
+  let engine
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Query_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+    for (const { id, ...doc } of documents) {
+      await storage.saveDocument(doc)
+    }
+    engine = new SearchEngine(storage)
+  })
+
+  afterEach(() => {
+    storage.db?.close()
+  })
+
+  it('should filter indexed word matches and keep fuzzy matching for plain words', async () => {
+    const results = await engine.search('dragon -tag:archived')
+
+    expect(results.map((result) => result.document.title)).toEqual(['The Dragon Wakes'])
+    expect(results[0].matches.map((match) => match.field)).toEqual(['title', 'content'])
+
+    const fuzzy = await engine.search('dragn -tag:archived')
+    expect(fuzzy.map((result) => result.document.title)).toEqual(['The Dragon Wakes'])
+  })
+
+  it('should find documents by filters alone', async () => {
+    const results = await engine.search('tag:draft')
+
+    expect(results.map((result) => result.document.title).sort()).toEqual([
+      'Old Notes',
+      'The Dragon Wakes'
+    ])
+  })
+
+  it('should throw for invalid queries', async () => {
+    await expect(engine.search('created:soon')).rejects.toThrow('Invalid date')
+  })
+})
+
+describe('SavedSearches', () => {
+  let settings
+  let saved
+
+  beforeEach(() => {
+    settings = createSettings()
+    saved = new SavedSearches(settings)
+  })
+
+  it('should save, list, replace and delete searches by case-insensitive name', () => {
+    saved.save('Drafts', 'tag:draft -tag:archived', { regex: true, extra: 1 })
+    saved.save('Book One', 'folder:book-1')
+    saved.save('drafts', 'tag:draft')
+
+    expect(saved.list().map((search) => [search.name, search.query])).toEqual([
+      ['Book One', 'folder:book-1'],
+      ['drafts', 'tag:draft']
+    ])
+    expect(saved.get('BOOK ONE').options).toEqual({
+      caseSensitive: false,
+      wholeWord: false,
+      regex: false
+    })
+
+    expect(saved.remove('Book one')).toBe(true)
+    expect(saved.remove('Book one')).toBe(false)
+    expect(saved.list()).toHaveLength(1)
+  })
+
+  it('should refuse names and queries that would not work', () => {
+    expect(() => saved.save(' ', 'tag:draft')).toThrow('Saved search name is required')
+    expect(() => saved.save('Empty', '  ')).toThrow('Saved search query is required')
+    expect(() => saved.save('Bad', 'updated:>soon')).toThrow('Invalid date')
+    expect(saved.list()).toEqual([])
+  })
+
+  it('should pick out the documents of a saved search, newest first', () => {
+    const drafts = saved.save('Drafts', 'tag:draft')
+
+    expect(saved.getDocuments(drafts, documents).map((doc) => doc.id)).toEqual(['one', 'two'])
+  })
+})
+
+describe(':ss command', () => {
+  let registry
+  let app
+
+  beforeEach(() => {
+    const settingsManager = createSettings()
+    registry = new CommandRegistry()
+    app = {
+      settingsManager,
+      savedSearches: new SavedSearches(settingsManager),
+      storageManager: { getAllDocuments: jest.fn().mockResolvedValue(documents) },
+      navigator: { openSearch: jest.fn() }
+    }
+    registerSearchCommands(registry, app)
+  })
+
+  it('should save a search and list it with its document count', async () => {
+    const result = await registry.executeCommand(':ss save "Open drafts" tag:draft -tag:archived')
+    expect(result).toEqual({
+      success: true,
+      message: 'Saved search "Open drafts": tag:draft -tag:archived'
+    })
+
+    const list = await registry.executeCommand(':ss')
+    expect(list.data).toEqual(['Open drafts (1): tag:draft -tag:archived'])
+  })
+
+  it('should add a palette entry per saved search that opens it in the search panel', async () => {
+    app.savedSearches.save('Drafts', 'tag:draft', { wholeWord: true })
+
+    await registry.executeCommand('search: drafts')
+    expect(app.navigator.openSearch).toHaveBeenCalledWith('tag:draft', {
+      caseSensitive: false,
+      wholeWord: true,
+      regex: false
+    })
+
+    await registry.executeCommand(':ss delete drafts')
+    expect(registry.getCommand('search: drafts')).toBeFalsy()
+    expect((await registry.executeCommand(':ss drafts')).success).toBe(false)
+  })
+})
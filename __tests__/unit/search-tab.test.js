@@ -333,6 +333,21 @@ describe('SearchTab', () => {
 
       expect(matches.length).toBeGreaterThanOrEqual(1)
     })
+
+    it('should honour match case, whole word and regex options', () => {
+      searchTab.options = { caseSensitive: true, wholeWord: false, regex: false }
+      expect(searchTab.findMatches('Hello world, hello universe', 'hello')).toHaveLength(1)
+
+      searchTab.options = { caseSensitive: false, wholeWord: true, regex: false }
+      expect(searchTab.findMatches('the theme of the day', 'the')).toHaveLength(2)
+
+      searchTab.options = { caseSensitive: false, wholeWord: false, regex: true }
+      const matches = searchTab.findMatches('chapter 12 and chapter 3', '"chapter \\d+"')
+      expect(matches).toEqual([
+        { start: 0, end: 10 },
+        { start: 15, end: 24 }
+      ])
+    })
   })
 
   describe('result display', () => {
@@ -0,0 +1,240 @@
+/**
+ * Spell Checker Tests - Hunspell dictionary, custom words for invented names and the :dict command
+ */
+import fs from 'fs'
+import path from 'path'
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { ProjectManager } from '../../src/core/projects/project-manager.js'
+import { StorageBackend } from '../../src/core/storage/storage-backend.js'
+import { HunspellDictionary } from '../../src/core/spellcheck/hunspell-dictionary.js'
+import { SpellChecker } from '../../src/core/spellcheck/spell-checker.js'
+import { CommandRegistry } from '../../src/core/commands/command-registry.js'
+import { registerSpellCheckCommands } from '../../src/core/commands/spellcheck-commands.js'
+
+const readDictionary = (extension) =>
+  fs.readFileSync(path.join(__dirname, `../../public/dictionaries/en_US.${extension}`), 'utf8')
+
+const bundled = new HunspellDictionary(readDictionary('aff'), readDictionary('dic'))
+
+const createSettings = () => {
+  const values = {}
+  return {
+    get: (key) => key.split('.').reduce((value, part) => value?.[part], values),
+    set: (key, value) => {
+      const keys = key.split('.')
+      const parent = keys.slice(0, -1).reduce((object, part) => (object[part] ||= {}), values)
+      parent[keys.at(-1)] = value
+    }
+  }
+}
+
+describe('HunspellDictionary', () => {
+  const aff = [
+    'SET UTF-8',
+    'TRY esiarntolcdugmphbyfvkwz',
+    'FORBIDDENWORD !',
+    'NEEDAFFIX _',
+    'REP 1',
+    'REP f ph',
+    'PFX U Y 1',
+    'PFX U 0 un .',
+    'SFX S Y 2',
+    'SFX S y ies [^aeiou]y',
+    'SFX S 0 s [^y]',
+    'SFX D Y 2',
+    'SFX D 0 d e',
+    'SFX D 0 ed [^e]'
+  ].join('\n')
+  const dic = ['5', 'city/S', 'lock/DSU', 'phantom/S', 'Aelric', 'irregardless/!', 'pseud/_S'].join(
+    '\n'
+  )
+
+  let dictionary
+
+  beforeEach(() => {
+    dictionary = new HunspellDictionary(aff, dic)
+  })
+
+  it('should expand prefixes, suffixes and their cross products', () => {
+    expect(dictionary.check('cities')).toBe(true)
+    expect(dictionary.check('citys')).toBe(false)
+    expect(dictionary.check('locked')).toBe(true)
+    expect(dictionary.check('unlocked')).toBe(true)
+    expect(dictionary.check('unlock')).toBe(true)
+  })
+
+  it('should follow capitalization and forbidden or affix-only words', () => {
+    expect(dictionary.check('Locked')).toBe(true)
+    expect(dictionary.check('LOCKED')).toBe(true)
+    expect(dictionary.check('aelric')).toBe(false)
+    expect(dictionary.check('AELRIC')).toBe(true)
+    expect(dictionary.check('irregardless')).toBe(false)
+    expect(dictionary.check('pseud')).toBe(false)
+    expect(dictionary.check('pseuds')).toBe(true)
+  })
+
+  it('should suggest replacements, single edits and split words in the original case', () => {
+    expect(dictionary.suggest('fantom')).toEqual(['phantom'])
+    expect(dictionary.suggest('Lokced')).toEqual(['Locked'])
+    expect(dictionary.suggest('citylock')).toEqual(['city lock'])
+    expect(dictionary.suggest('aelric')).toEqual(['Aelric'])
+  })
+
+  it('should know common prose words from the bundled dictionary', () => {
+    const words =
+      "She didn't believe the knights' stories, so they walked quietly toward the castle"
+    for (const [word] of words.matchAll(/[\w']+/g)) {
+      expect([word, bundled.check(word.replace(/'$/, ''))]).toEqual([word, true])
+    }
+    expect(bundled.check('recieve')).toBe(false)
+    expect(bundled.suggest('recieve')).toContain('receive')
+  })
+
+  it('should accept ordinary English from a full word list', () => {
+    const words = [
+      'document',
+      'documents',
+      'project',
+      'projects',
+      'text',
+      'print',
+      'printed',
+      'focus',
+      'fantasy',
+      'repository',
+      'keyboard',
+      'shortcuts',
+      'synchronization',
+      'manuscript',
+      'chapters',
+      'bookmark',
+      'unhappiness',
+      '1st'
+    ]
+    expect(words.filter((word) => !bundled.check(word))).toEqual([])
+    expect(bundled.check('1th')).toBe(false)
+  })
+})
+
+describe('SpellChecker', () => {
+  let storageManager
+  let projectManager
+  let settingsManager
+  let spellChecker
+
+  beforeEach(async () => {
+    storageManager = new StorageManager()
+    storageManager.dbName = `FantasyEditorDB_Spell_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storageManager.initDatabase()
+    projectManager = new ProjectManager(storageManager)
+    settingsManager = createSettings()
+    spellChecker = new SpellChecker(storageManager, settingsManager, projectManager, {
+      dictionary: bundled
+    })
+  })
+
+  afterEach(() => {
+    storageManager.db?.close()
+  })
+
+  const misspelled = async (text) =>
+    (await spellChecker.findMisspellings(text)).map((misspelling) => misspelling.word)
+
+  it('should only check prose', () => {
+    const text = [
+      '---',
+      'title: Zzyzx',
+      '---',
+      'The qwzx went to [[Kaer Vorn]] by [the road](https://qwzx.example/road).',
+      '`qwzx()` and <span class="qwzx">NPC</span> at 3rd hour, mail qwzx@example.com',
+      '```',
+      'qwzx code',
+      '```'
+    ].join('\n')
+
+    const words = spellChecker.findWords(text)
+    expect(words.map((word) => word.word)).toEqual([
+      'The',
+      'qwzx',
+      'went',
+      'to',
+      'by',
+      'the',
+      'road',
+      'and',
+      'at',
+      'hour',
+      'mail'
+    ])
+    expect(text.slice(words[1].from, words[1].to)).toBe('qwzx')
+  })
+
+  it('should import codex names, list values and tags as custom words', async () => {
+    await storageManager.saveDocument({
+      title: "Thal'Kirin",
+      type: 'codex',
+      codexType: 'character',
+      content: '',
+      fields: { aliases: ['The Eldwyrm'], role: 'Zarnoth' }
+    })
+    await storageManager.saveDocument({ title: 'Notes', content: '', tags: ['mirefolk'] })
+
+    expect(await misspelled("Thal'Kirin's eldwyrm met the Mirefolk and Zarnoth")).toEqual([
+      'Zarnoth'
+    ])
+  })
+
+  it('should keep added words in the project dictionary and sync it in the manifest', async () => {
+    const doc = await storageManager.saveDocument({ title: 'Chapter 1', content: '' })
+    const project = await projectManager.createProject('The Ember Saga')
+    await projectManager.addNode(project.id, { type: 'chapter', documentId: doc.id })
+
+    await spellChecker.setDocument(doc)
+    expect(await misspelled('Kaelith rode north')).toEqual(['Kaelith'])
+
+    expect(await spellChecker.addWord("Kaelith's")).toBe(true)
+    expect(await spellChecker.addWord('kaelith')).toBe(false)
+    expect(await misspelled('Kaelith rode north')).toEqual([])
+
+    const stored = await projectManager.getProject(project.id)
+    expect(stored.dictionary).toEqual(['Kaelith'])
+    expect(JSON.parse(StorageBackend.prototype.formatProjectManifest(stored)).dictionary).toEqual([
+      'Kaelith'
+    ])
+    expect(settingsManager.get('spellcheck.words')).toBeUndefined()
+
+    expect(await spellChecker.removeWord('KAELITH')).toBe(true)
+    expect(await misspelled('Kaelith rode north')).toEqual(['Kaelith'])
+  })
+
+  it('should use the workspace dictionary for documents outside a project', async () => {
+    await spellChecker.setDocument(
+      await storageManager.saveDocument({ title: 'Loose', content: '' })
+    )
+
+    await spellChecker.addWord('Vorn')
+    expect(settingsManager.get('spellcheck.words')).toEqual(['Vorn'])
+    expect(await misspelled('Vorn and Kaer')).toEqual(['Kaer'])
+    await expect(spellChecker.addWord('Kaer Vorn')).rejects.toThrow('Add one word at a time')
+  })
+})
+
+describe(':dict command', () => {
+  it('should add, list and remove words', async () => {
+    const settingsManager = createSettings()
+    const registry = new CommandRegistry()
+    const app = {
+      spellChecker: new SpellChecker(null, settingsManager, null, { dictionary: bundled }),
+      editor: { refreshSpellCheck: jest.fn() }
+    }
+    registerSpellCheckCommands(registry, app)
+
+    const added = await registry.executeCommand(':dict add Eldwyrm')
+    expect(added).toEqual({ success: true, message: 'Added "Eldwyrm" to the workspace dictionary' })
+    expect(app.editor.refreshSpellCheck).toHaveBeenCalled()
+
+    expect((await registry.executeCommand(':dict')).data).toEqual(['Eldwyrm'])
+    expect((await registry.executeCommand(':dict remove eldwyrm')).success).toBe(true)
+    expect((await registry.executeCommand(':dict remove eldwyrm')).success).toBe(false)
+  })
+})
@@ -0,0 +1,283 @@
+/**
+ * Storage Backend Tests - GitLab, Bitbucket and self-hosted Gitea storage and backend selection
+ */
+import { createStorageBackend } from '../../src/core/storage/storage-backends.js'
+import { GitHubStorage } from '../../src/core/storage/github-storage.js'
+import { GitLabStorage } from '../../src/core/storage/gitlab-storage.js'
+import { BitbucketStorage } from '../../src/core/storage/bitbucket-storage.js'
+import { GenericGitStorage } from '../../src/core/storage/generic-git-storage.js'
+
+const decode = (base64) => decodeURIComponent(escape(atob(base64)))
+const encode = (text) => btoa(unescape(encodeURIComponent(text)))
+const blobSha = (content) => `blob-${content}`
+
+const notFound = (method, path) =>
+  new Error(`API request failed: Not Found (404) ${method} ${path}`)
+
+/**
+ * In-memory stand-in for the GitLab v4 endpoints used by GitLabStorage
+ */
+function createFakeGitLab(files = {}) {
+  const repo = { files: { ...files }, commits: [], requests: [] }
+  const prefix = `/projects/${encodeURIComponent('owner/repo')}`
+
+  const request = jest.fn(async (endpoint, options = {}) => {
+    const [path, query = ''] = endpoint.slice(prefix.length).split('?')
+    const params = new URLSearchParams(query)
+    const method = options.method || 'GET'
+    const body = options.body ? JSON.parse(options.body) : {}
+    repo.requests.push(`${method} ${path}`)
+
+    if (method === 'GET' && path === '/repository/tree') {
+      const folder = params.get('path') ? `${params.get('path')}/` : ''
+      const items = Object.entries(repo.files)
+        .filter(([filePath]) => filePath.startsWith(folder))
+        .map(([filePath, content]) => ({ path: filePath, type: 'blob', id: blobSha(content) }))
+      const page = Number(params.get('page'))
+      const perPage = Number(params.get('per_page'))
+      if (repo.commits.length === 0 && items.length === 0) throw notFound(method, path)
+      return items.slice((page - 1) * perPage, page * perPage)
+    }
+    if (method === 'GET' && path.startsWith('/repository/blobs/')) {
+      const sha = path.slice('/repository/blobs/'.length)
+      const content = Object.values(repo.files).find((item) => blobSha(item) === sha)
+      return { content: encode(content), encoding: 'base64' }
+    }
+    if (method === 'POST' && path === '/repository/commits') {
+      body.actions.forEach((action) => {
+        const exists = action.file_path in repo.files
+        if (action.action === 'create' && exists) throw new Error('A file with this name exists')
+        if (action.action === 'update' && !exists) throw new Error("File doesn't exist")
+        if (action.action === 'move') delete repo.files[action.previous_path]
+        repo.files[action.file_path] = decode(action.content)
+      })
+      repo.commits.push(body)
+      return { id: `commit-${repo.commits.length}` }
+    }
+    throw notFound(method, path)
+  })
+
+  return { repo, auth: { isAuthenticated: () => true, makeAuthenticatedRequest: request } }
+}
+
+/**
+ * In-memory stand-in for the Bitbucket 2.0 endpoints used by BitbucketStorage
+ */
+function createFakeBitbucket(files = {}) {
+  const repo = { files: { ...files }, commits: [], requests: [] }
+  const prefix = '/repositories/owner/repo'
+
+  const request = jest.fn(async (endpoint, options = {}) => {
+    const [path, query = ''] = endpoint.slice(prefix.length).split('?')
+    const method = options.method || 'GET'
+    repo.requests.push(`${method} ${path}`)
+
+    if (method === 'GET' && path === '/src/main/' && !options.raw) {
+      const values = Object.keys(repo.files).map((filePath) => ({
+        type: 'commit_file',
+        path: filePath,
+        commit: { hash: `commit-${repo.commits.length}` }
+      }))
+      // Two pages, linked with an absolute URL like the real API
+      const second = query.includes('page=2')
+      return {
+        values: second ? values.slice(1) : values.slice(0, 1),
+        next:
+          !second && values.length > 1
+            ? `https://api.bitbucket.org/2.0${prefix}/src/main/?${query}&page=2`
+            : undefined
+      }
+    }
+    if (method === 'GET' && path.startsWith('/src/') && options.raw) {
+      const filePath = path.split('/').slice(3).join('/')
+      if (!(filePath in repo.files)) throw notFound(method, path)
+      return { content: repo.files[filePath] }
+    }
+    if (method === 'POST' && path === '/src') {
+      const form = new URLSearchParams(options.body)
+      form.getAll('files').forEach((filePath) => delete repo.files[filePath])
+      for (const [name, value] of form) {
+        if (!['message', 'branch', 'files'].includes(name)) repo.files[name] = value
+      }
+      repo.commits.push({ message: form.get('message'), branch: form.get('branch') })
+      return {}
+    }
+    if (method === 'GET' && path === '/refs/branches/main') {
+      return { target: { hash: `commit-${repo.commits.length}` } }
+    }
+    throw notFound(method, path)
+  })
+
+  return { repo, auth: { isAuthenticated: () => true, makeAuthenticatedRequest: request } }
+}
+
+const doc = (id, content, extra = {}) => ({
+  id,
+  title: `Chapter ${id}`,
+  content,
+  tags: [],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  ...extra
+})
+
+describe('GitLabStorage', () => {
+  let gitlab
+  let repo
+
+  beforeEach(() => {
+    localStorage.clear()
+    const fake = createFakeGitLab({ 'documents/.gitkeep': 'keep' })
+    repo = fake.repo
+    gitlab = new GitLabStorage(fake.auth)
+    gitlab.init({ owner: 'owner', repo: 'repo' })
+  })
+
+  it('should commit documents with create and update actions in one commit', async () => {
+    await gitlab.commitDocuments([doc('a', 'One')])
+
+    const result = await gitlab.commitDocuments([doc('a', 'One more'), doc('b', 'Two')])
+
+    expect(repo.commits).toHaveLength(2)
+    expect(repo.commits[1].actions.map((action) => action.action)).toEqual(['update', 'create'])
+    expect(repo.commits[1].commit_message).toBe('Sync 2 documents\n\n- Chapter a\n- Chapter b')
+    expect(result.commitSha).toBe('commit-2')
+    expect(result.documents[1]).toMatchObject({
+      githubPath: 'documents/b.md',
+      githubSha: expect.stringContaining('Two')
+    })
+  })
+
+  it('should commit a folder move as a move action', async () => {
+    const {
+      documents: [synced]
+    } = await gitlab.commitDocuments([doc('a', 'One', { folder: 'book-1' })])
+
+    await gitlab.saveDocument({ ...synced, folder: 'book-2' })
+
+    expect(repo.commits[1].actions[0]).toMatchObject({
+      action: 'move',
+      previous_path: 'documents/book-1/a.md',
+      file_path: 'documents/book-2/a.md'
+    })
+    expect(Object.keys(repo.files)).toEqual(['documents/.gitkeep', 'documents/book-2/a.md'])
+  })
+
+  it('should list across tree pages and download only changed documents', async () => {
+    const documents = Array.from({ length: 120 }, (_, i) => doc(`d${i}`, `Text ${i}`))
+    await gitlab.commitDocuments(documents)
+    const listed = await gitlab.listDocuments()
+    repo.requests = []
+
+    const relisted = await gitlab.listDocuments(listed.slice(1))
+
+    expect(listed).toHaveLength(120)
+    expect(repo.requests.filter((r) => r.startsWith('GET /repository/blobs/'))).toHaveLength(1)
+    expect(relisted.filter((item) => item.unchanged)).toHaveLength(119)
+  })
+})
+
+describe('BitbucketStorage', () => {
+  let bitbucket
+  let repo
+
+  beforeEach(() => {
+    localStorage.clear()
+    const fake = createFakeBitbucket({ 'documents/.gitkeep': 'keep' })
+    repo = fake.repo
+    bitbucket = new BitbucketStorage(fake.auth)
+    bitbucket.init({ owner: 'owner', repo: 'repo' })
+  })
+
+  it('should post documents and deletes of moved files as one commit', async () => {
+    const {
+      documents: [synced]
+    } = await bitbucket.commitDocuments([doc('a', 'One')])
+
+    const result = await bitbucket.saveDocument({ ...synced, folder: 'book-1' })
+
+    expect(repo.commits).toHaveLength(2)
+    expect(repo.commits[1].message).toBe('Move document: Chapter a to documents/book-1/a.md')
+    expect(Object.keys(repo.files)).toEqual(['documents/.gitkeep', 'documents/book-1/a.md'])
+    expect(result).toMatchObject({
+      commitSha: 'commit-2',
+      document: { githubSha: bitbucket.generateChecksum(repo.files['documents/book-1/a.md']) }
+    })
+  })
+
+  it('should follow listing pages and compare content checksums', async () => {
+    const { documents } = await bitbucket.commitDocuments([doc('a', 'One'), doc('b', 'Two')])
+    repo.files['documents/b.md'] = bitbucket.formatDocumentContent(doc('b', 'Two, edited'))
+
+    const listed = await bitbucket.listDocuments(documents)
+
+    expect(listed.find((item) => item.id === 'a')).toMatchObject({ unchanged: true })
+    expect(listed.find((item) => item.id === 'b')).toMatchObject({ content: 'Two, edited' })
+  })
+})
+
+describe('GenericGitStorage', () => {
+  it('should write through the multi-file contents endpoint with renames', async () => {
+    localStorage.clear()
+    const request = jest.fn(async (endpoint, options = {}) => {
+      const path = endpoint.replace('/repos/owner/repo/', '')
+      if (path === 'branches/main') return { commit: { id: 'commit-1' } }
+      if (path === 'git/trees/commit-1?recursive=1') {
+        return { tree: [{ path: 'documents/a.md', type: 'blob', sha: 'sha-a' }] }
+      }
+      if (path === 'contents' && options.method === 'POST') {
+        const { files } = JSON.parse(options.body)
+        return {
+          commit: { sha: 'commit-2' },
+          files: files.map((file) => ({ path: file.path, sha: `new-${file.path}` }))
+        }
+      }
+      throw notFound(options.method || 'GET', path)
+    })
+    const storage = new GenericGitStorage(
+      { isAuthenticated: () => true, makeAuthenticatedRequest: request },
+      'Codeberg'
+    )
+    storage.init({ owner: 'owner', repo: 'repo' })
+
+    const result = await storage.saveDocument(
+      doc('a', 'One', { githubPath: 'documents/a.md', githubSha: 'sha-a', folder: 'book-1' })
+    )
+
+    const body = JSON.parse(request.mock.calls.at(-1)[1].body)
+    expect(body.files).toEqual([
+      expect.objectContaining({
+        operation: 'update',
+        path: 'documents/book-1/a.md',
+        from_path: 'documents/a.md',
+        sha: 'sha-a'
+      })
+    ])
+    expect(result.document.githubSha).toBe('new-documents/book-1/a.md')
+    expect(storage.getConfigKey()).toBe('fantasy-editor-generic-config')
+  })
+})
+
+describe('createStorageBackend', () => {
+  const authFor = (provider) => ({
+    isAuthenticated: () => true,
+    getCurrentProvider: () => provider
+  })
+
+  it('should pick the backend of the logged-in provider', () => {
+    expect(createStorageBackend(authFor({ name: 'gitlab' }))).toBeInstanceOf(GitLabStorage)
+    expect(createStorageBackend(authFor({ name: 'bitbucket' }))).toBeInstanceOf(BitbucketStorage)
+    expect(
+      createStorageBackend(authFor({ name: 'generic', displayName: 'Forgejo' })).displayName
+    ).toBe('Forgejo')
+    expect(createStorageBackend(authFor(null))).toBeInstanceOf(GitHubStorage)
+  })
+
+  it('should keep a separate saved configuration per host', () => {
+    localStorage.clear()
+    createStorageBackend(authFor({ name: 'gitlab' })).updateConfig({ owner: 'me', repo: 'book' })
+
+    expect(createStorageBackend(authFor({ name: 'gitlab' })).isConfigured()).toBe(true)
+    expect(createStorageBackend(authFor(null)).isConfigured()).toBe(false)
+  })
+})
@@ -475,7 +475,7 @@ describe('StorageManager', () => {
       expect(stats.uidDocuments).toBe(0)
       expect(stats.invalidDocuments).toBe(0)
       expect(stats.needsMigration).toBe(false)
-      expect(stats.databaseVersion).toBe(2)
+      expect(stats.databaseVersion).toBe(7)
       expect(stats.totalSizeBytes).toBeGreaterThan(0)
       expect(stats.guidManagerStats).toBeDefined()
     })
@@ -0,0 +1,160 @@
+/**
+ * Sync Delete Tests - tombstones of local deletions and documents deleted in the repository
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import { SyncManager } from '../../src/core/storage/sync-manager.js'
+
+describe('SyncManager deletes', () => {
+  let storage
+  let github
+  let remoteDocs
+  let syncManager
+
+  const later = () => new Date(Date.now() + 2000).toISOString()
+
+  const createSynced = async (title) => {
+    const doc = await storage.saveDocument({ title, content: `${title} text` })
+    return storage.saveDocument({
+      ...doc,
+      githubPath: `documents/${doc.id}.md`,
+      githubSha: `sha-${title}`,
+      lastSyncedAt: later()
+    })
+  }
+
+  const listed = (doc, changes = {}) => ({
+    id: doc.id,
+    title: doc.title,
+    content: doc.content,
+    githubPath: doc.githubPath,
+    githubSha: doc.githubSha,
+    updatedAt: doc.updatedAt,
+    ...changes
+  })
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Deletes_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+
+    remoteDocs = []
+    github = {
+      isConfigured: () => true,
+      isNotFoundError: (error) => error.message.includes('404'),
+      getFolder: () => '',
+      ensureDocumentsDirectory: jest.fn(async () => {}),
+      listDocuments: jest.fn(async () => remoteDocs),
+      loadFile: jest.fn(async () => {
+        throw new Error('Not Found (404)')
+      }),
+      deleteDocument: jest.fn(async () => {}),
+      commitDocuments: jest.fn(async (documents) => ({
+        commitSha: 'commit-1',
+        documents: documents.map((doc) => ({
+          ...doc,
+          githubSha: 'sha-new',
+          lastSyncedAt: later()
+        })),
+        projects: []
+      }))
+    }
+
+    syncManager = new SyncManager(storage, github, { isAuthenticated: () => true })
+    syncManager.init({ autoSync: false })
+  })
+
+  afterEach(() => {
+    syncManager.destroy()
+    storage.db?.close()
+  })
+
+  it('should delete the file of a document deleted here instead of downloading it', async () => {
+    const doc = await createSynced('Prologue')
+    await storage.deleteDocument(doc.id)
+    await syncManager.queueOperation('delete', doc)
+    // Moved in the repository after it was deleted here
+    remoteDocs = [listed(doc, { githubPath: 'documents/book-1/prologue.md' })]
+    syncManager.confirmRemoteDelete = jest.fn(async () => true)
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(syncManager.confirmRemoteDelete).toHaveBeenCalledWith([
+      { id: doc.id, title: 'Prologue', path: 'documents/book-1/prologue.md' }
+    ])
+    expect(github.deleteDocument).toHaveBeenCalledWith(
+      'documents/book-1/prologue.md',
+      'sha-Prologue',
+      'Prologue'
+    )
+    expect(results).toMatchObject({ deleted: 1, downloaded: 0 })
+    expect(await storage.getDocument(doc.id)).toBeFalsy()
+    expect(await storage.getSyncOperations()).toHaveLength(0)
+  })
+
+  it('should bring the document back when the delete is declined', async () => {
+    const doc = await createSynced('Prologue')
+    await storage.deleteDocument(doc.id)
+    await syncManager.queueOperation('delete', doc)
+    remoteDocs = [listed(doc)]
+    syncManager.confirmRemoteDelete = jest.fn(async () => false)
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(github.deleteDocument).not.toHaveBeenCalled()
+    expect(results).toMatchObject({ deleted: 0, downloaded: 1 })
+    expect((await storage.getDocument(doc.id)).content).toBe('Prologue text')
+    expect(syncManager.syncQueue).toHaveLength(0)
+  })
+
+  it('should keep the tombstone when deleting the file fails', async () => {
+    const doc = await createSynced('Prologue')
+    await storage.deleteDocument(doc.id)
+    await syncManager.queueOperation('delete', doc)
+    remoteDocs = [listed(doc)]
+    github.deleteDocument.mockRejectedValue(new Error('Network error'))
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(results).toMatchObject({ deleted: 0, downloaded: 0, errors: 1 })
+    expect(await storage.getDocument(doc.id)).toBeFalsy()
+    expect(syncManager.syncQueue[0]).toMatchObject({ type: 'delete', attempts: 1 })
+  })
+
+  it('should delete local copies of documents deleted in the repository', async () => {
+    const deleted = await createSynced('Deleted')
+    const kept = await createSynced('Kept')
+    remoteDocs = [listed(kept)]
+    syncManager.onDocumentRemoved = jest.fn(async () => {})
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(github.loadFile).toHaveBeenCalledWith(deleted.githubPath)
+    expect(results).toMatchObject({ removed: 1, uploaded: 0 })
+    expect(await storage.getDocument(deleted.id)).toBeFalsy()
+    expect(await storage.getDocument(kept.id)).toBeTruthy()
+    // Revisions, binder references, word history and search entry go the way of a local delete
+    expect(syncManager.onDocumentRemoved).toHaveBeenCalledWith(deleted.id)
+    expect(syncManager.onDocumentRemoved).toHaveBeenCalledTimes(1)
+  })
+
+  it('should upload documents edited since their file was deleted', async () => {
+    const doc = await createSynced('Edited')
+    await storage.saveDocument({ ...doc, lastSyncedAt: new Date(Date.now() - 5000).toISOString() })
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(github.loadFile).not.toHaveBeenCalled()
+    expect(results).toMatchObject({ removed: 0, uploaded: 1 })
+    expect(await storage.getDocument(doc.id)).toBeTruthy()
+  })
+
+  it('should keep documents whose file is still there but could not be listed', async () => {
+    const doc = await createSynced('Unreadable')
+    github.loadFile.mockResolvedValue({ content: 'not front matter', sha: 'sha-x' })
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(results.removed).toBe(0)
+    expect(await storage.getDocument(doc.id)).toBeTruthy()
+  })
+})
@@ -0,0 +1,272 @@
+/**
+ * Sync Queue Tests - persisted operations, coalescing, retry with backoff and queue status
+ */
+import { StorageManager } from '../../src/core/storage/storage-manager.js'
+import {
+  SyncManager,
+  SYNC_MAX_ATTEMPTS,
+  SYNC_RETRY_BASE_DELAY,
+  SYNC_RETRY_MAX_DELAY
+} from '../../src/core/storage/sync-manager.js'
+import { GitHubSyncStatus } from '../../src/components/dialogs/github-sync-status.js'
+
+const DOC_ID = '7f3e9a52-1c4b-4d8e-9f6a-2b5c8d1e4f70'
+const OTHER_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d'
+
+const synced = (id, title) => ({
+  id,
+  title,
+  content: `${title} text`,
+  githubPath: `documents/${title.toLowerCase()}.md`,
+  githubSha: `sha-${title}`
+})
+
+describe('SyncManager queue', () => {
+  let storage
+  let github
+  let auth
+  let syncManager
+
+  const createSyncManager = () => {
+    const manager = new SyncManager(storage, github, auth)
+    manager.init({ autoSync: false })
+    return manager
+  }
+
+  beforeEach(async () => {
+    storage = new StorageManager()
+    storage.dbName = `FantasyEditorDB_Queue_${Date.now()}_${Math.random().toString(36).slice(2)}`
+    await storage.initDatabase()
+
+    github = {
+      isConfigured: () => true,
+      isNotFoundError: (error) => error.message.includes('404'),
+      deleteDocument: jest.fn(async () => {})
+    }
+    auth = { isAuthenticated: () => true }
+    syncManager = createSyncManager()
+  })
+
+  afterEach(() => {
+    syncManager.destroy()
+    storage.db?.close()
+  })
+
+  it('should persist queued operations across sessions in queue order', async () => {
+    // Both operations are queued within the same millisecond
+    jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2026-03-01T10:00:00.000Z')
+    await syncManager.queueOperation('upsert', { id: DOC_ID, title: 'Draft' })
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+    jest.restoreAllMocks()
+
+    const restored = createSyncManager()
+    const queue = await restored.loadSyncQueue()
+    restored.destroy()
+
+    expect(queue.map((op) => [op.documentId, op.type, op.status])).toEqual([
+      [DOC_ID, 'upsert', 'pending'],
+      [OTHER_ID, 'delete', 'pending']
+    ])
+    expect(queue[1]).toMatchObject({ path: 'documents/prologue.md', sha: 'sha-Prologue' })
+  })
+
+  it('should keep one operation per document', async () => {
+    const doc = synced(DOC_ID, 'Chapter')
+
+    await syncManager.queueOperation('rename', doc)
+    await syncManager.queueOperation('upsert', { ...doc, content: 'More' })
+    expect(syncManager.syncQueue).toHaveLength(1)
+    expect(syncManager.syncQueue[0].type).toBe('rename')
+
+    await syncManager.queueOperation('delete', doc)
+    await syncManager.queueOperation('upsert', doc)
+    expect(syncManager.syncQueue[0].type).toBe('delete')
+    expect(await storage.getSyncOperations()).toHaveLength(1)
+  })
+
+  it('should drop the queued upload when an unsynced document is deleted', async () => {
+    const draft = { id: DOC_ID, title: 'Draft' }
+
+    await syncManager.queueOperation('rename', draft)
+    expect(syncManager.syncQueue[0].type).toBe('upsert')
+
+    expect(await syncManager.queueOperation('delete', draft)).toBeNull()
+    expect(syncManager.syncQueue).toHaveLength(0)
+    expect(await storage.getSyncOperations()).toHaveLength(0)
+  })
+
+  it('should push queued deletes on their own', async () => {
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+
+    const result = await syncManager.processSyncQueue({ force: true })
+
+    expect(result).toEqual({ processed: 1, failed: 0 })
+    expect(github.deleteDocument).toHaveBeenCalledWith(
+      'documents/prologue.md',
+      'sha-Prologue',
+      'Prologue'
+    )
+    expect(await storage.getSyncOperations()).toHaveLength(0)
+  })
+
+  it('should settle uploads once synced', async () => {
+    const doc = await storage.saveDocument({ title: 'Chapter', content: 'Text' })
+    await syncManager.queueOperation('upsert', doc)
+
+    syncManager.syncWithGitHub = jest.fn(async () => {
+      await storage.saveDocument({ ...doc, lastSyncedAt: new Date(Date.now() + 1000) })
+      await syncManager.settleSyncQueue()
+    })
+
+    const result = await syncManager.processSyncQueue({ force: true })
+
+    expect(result).toEqual({ processed: 1, failed: 0 })
+    expect(syncManager.syncQueue).toHaveLength(0)
+    expect(await storage.getSyncOperations()).toHaveLength(0)
+  })
+
+  it('should treat a file that is already gone as deleted', async () => {
+    github.deleteDocument.mockRejectedValue(new Error('GitHub delete failed: Not Found (404)'))
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+
+    const result = await syncManager.processSyncQueue({ force: true })
+
+    expect(result.processed).toBe(1)
+    expect(syncManager.syncQueue).toHaveLength(0)
+  })
+
+  it('should back off exponentially and give up after the last attempt', async () => {
+    github.deleteDocument.mockRejectedValue(new Error('Network error'))
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+
+    const before = Date.now()
+    await syncManager.processSyncQueue({ force: true })
+    const [op] = syncManager.syncQueue
+    expect(op).toMatchObject({ attempts: 1, status: 'pending', lastError: 'Network error' })
+    expect(new Date(op.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(
+      before + SYNC_RETRY_BASE_DELAY
+    )
+
+    // Not due yet: nothing is attempted without force
+    await syncManager.processSyncQueue()
+    expect(github.deleteDocument).toHaveBeenCalledTimes(1)
+
+    for (let i = 1; i < SYNC_MAX_ATTEMPTS; i++) {
+      await syncManager.processSyncQueue({ force: true })
+    }
+    expect(syncManager.syncQueue[0]).toMatchObject({
+      attempts: SYNC_MAX_ATTEMPTS,
+      status: 'failed'
+    })
+    expect((await storage.getSyncOperations())[0].status).toBe('failed')
+
+    // Failed operations wait for a manual retry
+    await syncManager.processSyncQueue({ force: true })
+    expect(github.deleteDocument).toHaveBeenCalledTimes(SYNC_MAX_ATTEMPTS)
+
+    expect(syncManager.getRetryDelay(1)).toBe(SYNC_RETRY_BASE_DELAY)
+    expect(syncManager.getRetryDelay(3)).toBe(SYNC_RETRY_BASE_DELAY * 4)
+    expect(syncManager.getRetryDelay(20)).toBe(SYNC_RETRY_MAX_DELAY)
+  })
+
+  it('should retry failed operations on request', async () => {
+    github.deleteDocument.mockRejectedValue(new Error('Network error'))
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+    for (let i = 0; i < SYNC_MAX_ATTEMPTS; i++) {
+      await syncManager.processSyncQueue({ force: true })
+    }
+    expect(syncManager.getSyncStatus()).toMatchObject({ queuedItems: 0, failedItems: 1 })
+
+    github.deleteDocument.mockResolvedValue()
+    const result = await syncManager.retryFailed()
+
+    expect(result).toEqual({ processed: 1, failed: 0 })
+    expect(syncManager.getSyncStatus()).toMatchObject({ queuedItems: 0, failedItems: 0 })
+  })
+
+  it('should wait while offline and resume when the connection returns', async () => {
+    // Auto sync only adds the periodic full sync; the queue is pushed without it
+    expect(syncManager.autoSyncEnabled).toBe(false)
+    const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false)
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+
+    await syncManager.processSyncQueue()
+    expect(github.deleteDocument).not.toHaveBeenCalled()
+
+    onLine.mockReturnValue(true)
+    const processed = jest.spyOn(syncManager, 'processSyncQueue')
+    window.dispatchEvent(new Event('online'))
+    await processed.mock.results[0].value
+
+    expect(github.deleteDocument).toHaveBeenCalledTimes(1)
+    expect(syncManager.syncQueue).toHaveLength(0)
+    onLine.mockRestore()
+  })
+
+  it('should push the queue left by the last session when the app starts', async () => {
+    await syncManager.queueOperation('delete', synced(OTHER_ID, 'Prologue'))
+    syncManager.destroy()
+
+    syncManager = createSyncManager()
+    expect(syncManager.autoSyncEnabled).toBe(false)
+    const processed = jest.spyOn(syncManager, 'processSyncQueue')
+    await syncManager.loadSyncQueue()
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    await processed.mock.results[0].value
+
+    expect(github.deleteDocument).toHaveBeenCalledWith(
+      'documents/prologue.md',
+      'sha-Prologue',
+      'Prologue'
+    )
+    expect(await storage.getSyncOperations()).toHaveLength(0)
+  })
+})
+
+describe('GitHubSyncStatus queue', () => {
+  let status
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="container"></div>'
+    status = new GitHubSyncStatus()
+    status.init('#container')
+  })
+
+  afterEach(() => {
+    status.destroy()
+  })
+
+  it('should list pending and failed operations with a retry action', () => {
+    status.updateStatus({
+      connected: true,
+      queuedItems: 1,
+      failedItems: 1,
+      operations: [
+        { id: 'a', type: 'upsert', title: 'Chapter', status: 'pending', attempts: 0 },
+        {
+          id: 'b',
+          type: 'delete',
+          title: 'Prologue',
+          status: 'failed',
+          attempts: 6,
+          lastError: 'Network error'
+        }
+      ]
+    })
+
+    const items = status.element.querySelectorAll('.sync-queue-item')
+    expect(items).toHaveLength(2)
+    expect(items[0].textContent).toContain('Waiting')
+    expect(items[1].classList.contains('failed')).toBe(true)
+    expect(items[1].querySelector('.sync-queue-state').title).toBe('Network error')
+    expect(status.element.querySelector('.status-message').textContent).toBe('Sync Failed')
+
+    const actions = []
+    const listener = (e) => actions.push(e.detail.action)
+    document.addEventListener('github-sync-action', listener)
+    status.element.querySelector('.retry-queue').click()
+    document.removeEventListener('github-sync-action', listener)
+
+    expect(actions).toEqual(['retry'])
+  })
+})
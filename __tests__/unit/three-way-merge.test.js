@@ -0,0 +1,181 @@
+/**
+ * Three-way merge Tests - diff3 merge of sync conflicts against the last synced base
+ */
+import {
+  mergeThreeWay,
+  matchTokens,
+  buildMergedContent
+} from '../../src/core/diff/three-way-merge.js'
+import { SyncManager } from '../../src/core/storage/sync-manager.js'
+
+const BASE = 'The gate opened.\nMara rode north.\n\nThe city burned at dawn.\nNobody slept.\n'
+
+describe('mergeThreeWay', () => {
+  it('should find the longest run of common tokens', () => {
+    const matches = matchTokens('abcabba'.split(''), 'cbabac'.split(''))
+
+    expect(matches).toHaveLength(4)
+    matches.forEach(([i, j]) => expect('abcabba'[i]).toBe('cbabac'[j]))
+  })
+
+  it('should apply changes to different lines from both sides', () => {
+    const local = BASE.replace('Mara rode north.', 'Mara rode north alone.')
+    const remote = BASE.replace('Nobody slept.', 'Nobody slept that night.')
+
+    const result = mergeThreeWay(BASE, local, remote)
+
+    expect(result.clean).toBe(true)
+    expect(result.content).toBe(
+      'The gate opened.\nMara rode north alone.\n\nThe city burned at dawn.\nNobody slept that night.\n'
+    )
+  })
+
+  it('should merge different words changed on the same line', () => {
+    const local = BASE.replace('The city burned', 'The capital burned')
+    const remote = BASE.replace('at dawn', 'at dusk')
+
+    const result = mergeThreeWay(BASE, local, remote)
+
+    expect(result.clean).toBe(true)
+    expect(result.content).toContain('The capital burned at dusk.\n')
+  })
+
+  it('should accept identical edits and one-sided edits', () => {
+    const edited = BASE.replace('gate', 'iron gate')
+
+    expect(mergeThreeWay(BASE, edited, edited).content).toBe(edited)
+    expect(mergeThreeWay(BASE, BASE, edited).content).toBe(edited)
+    expect(mergeThreeWay(BASE, edited, BASE).content).toBe(edited)
+  })
+
+  it('should report overlapping edits as conflicts with markers', () => {
+    const local = BASE.replace('rode north', 'rode east')
+    const remote = BASE.replace('rode north', 'sailed south')
+
+    const result = mergeThreeWay(BASE, local, remote)
+
+    expect(result.clean).toBe(false)
+    expect(result.conflicts).toEqual([
+      {
+        type: 'conflict',
+        index: 0,
+        base: 'Mara rode north.\n',
+        local: 'Mara rode east.\n',
+        remote: 'Mara sailed south.\n'
+      }
+    ])
+    expect(result.content).toBe(
+      'The gate opened.\n<<<<<<< local\nMara rode east.\n=======\nMara sailed south.\n>>>>>>> remote\n\nThe city burned at dawn.\nNobody slept.\n'
+    )
+    expect(buildMergedContent(result.hunks, (hunk) => hunk.remote)).toBe(remote)
+  })
+
+  it('should treat everything as overlapping without a base', () => {
+    const result = mergeThreeWay('', 'Local draft\n', 'Remote draft\n')
+
+    expect(result.conflicts).toHaveLength(1)
+    expect(mergeThreeWay('', 'Same\n', 'Same\n').clean).toBe(true)
+  })
+})
+
+describe('SyncManager three-way conflicts', () => {
+  let storage
+  let github
+  let syncManager
+
+  const local = {
+    id: 'doc-1',
+    title: 'Chapter One',
+    content: BASE.replace('Mara rode north.', 'Mara rode north alone.'),
+    syncBase: BASE,
+    tags: ['draft'],
+    updatedAt: '2024-01-02T10:00:00.000Z'
+  }
+  const remoteMeta = {
+    id: 'doc-1',
+    title: 'Chapter One',
+    githubPath: 'documents/chapter-one.md',
+    updatedAt: '2024-01-02T12:00:00.000Z'
+  }
+
+  beforeEach(() => {
+    localStorage.clear()
+    storage = {
+      getAllDocuments: jest.fn(async () => [local]),
+      saveDocument: jest.fn(async (doc) => doc),
+      generateChecksum: jest.fn(() => 'checksum')
+    }
+    github = {
+      isConfigured: () => true,
+      ensureDocumentsDirectory: jest.fn(async () => {}),
+      listDocuments: jest.fn(async () => [remoteMeta]),
+      loadDocument: jest.fn(),
+      commitDocuments: jest.fn(async (documents) => ({
+        commitSha: 'commit-sha',
+        documents: documents.map((doc) => ({
+          ...doc,
+          githubSha: 'new-sha',
+          githubPath: remoteMeta.githubPath
+        })),
+        projects: []
+      }))
+    }
+    syncManager = new SyncManager(storage, github, { isAuthenticated: () => true })
+  })
+
+  it('should merge non-overlapping edits and upload them without queueing a conflict', async () => {
+    github.loadDocument.mockResolvedValue({
+      ...remoteMeta,
+      content: BASE.replace('Nobody slept.', 'Nobody slept that night.'),
+      tags: ['draft']
+    })
+
+    const results = await syncManager.syncWithGitHub()
+
+    expect(results.merged).toBe(1)
+    expect(results.conflicts).toBe(0)
+    expect(results.commitSha).toBe('commit-sha')
+    const uploaded = github.commitDocuments.mock.calls[0][0][0]
+    expect(uploaded.content).toContain('Mara rode north alone.')
+    expect(uploaded.content).toContain('Nobody slept that night.')
+
+    const stored = storage.saveDocument.mock.calls.at(-1)[0]
+    expect(stored.syncBase).toBe(uploaded.content)
+    expect(stored.githubSha).toBe('new-sha')
+  })
+
+  it('should queue only overlapping edits with their hunks', async () => {
+    github.loadDocument.mockResolvedValue({
+      ...remoteMeta,
+      content: BASE.replace('Mara rode north.', 'Mara sailed south.')
+    })
+
+    const results = await syncManager.syncWithGitHub()
+    await syncManager.syncWithGitHub()
+
+    expect(results.conflicts).toBe(1)
+    expect(github.commitDocuments).not.toHaveBeenCalled()
+
+    const pending = syncManager.getPendingConflicts()
+    expect(pending).toHaveLength(1)
+    const hunks = pending[0].hunks.filter((hunk) => hunk.type === 'conflict')
+    expect(hunks).toHaveLength(1)
+    expect(hunks[0].local).toBe('Mara rode north alone.\n')
+    expect(pending[0].remote.content).toContain('Mara sailed south.')
+
+    const resolved = await syncManager.resolveConflict(pending[0].id, 'local')
+    expect(resolved.syncBase).toBe(local.content)
+    expect(syncManager.getPendingConflicts()).toHaveLength(0)
+  })
+
+  it('should store the downloaded content as the next merge base', async () => {
+    storage.getAllDocuments.mockResolvedValue([])
+    github.loadDocument.mockResolvedValue({ ...remoteMeta, content: 'Remote text' })
+
+    await syncManager.syncWithGitHub()
+
+    expect(storage.saveDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ content: 'Remote text', syncBase: 'Remote text' })
+    )
+  })
+})
@@ -22,6 +22,11 @@ import './styles/themes/custom.css'
 // Specific component CSS
 import './components/command-bar-v2/styles/command-bar.css'
 import './components/dialogs/settings-dialog.css'
+import './components/dialogs/conflict-resolution-dialog.css'
+import './components/dialogs/writing-goals-dialog.css'
+import './components/dialogs/git-history-dialog.css'
+import './components/dialogs/import-wizard-dialog.css'
+import './components/dialogs/github-sync-status.css'
 import './components/legal-splash/legal-splash.css'
 import './styles/diff-mode.css'
 
@@ -31,18 +36,33 @@ import { ThemeManager } from './core/themes/theme-manager.js'
 import { StorageManager } from './core/storage/storage-manager.js'
 import { SettingsManager } from './core/settings/settings-manager.js'
 import { SearchEngine } from './core/search/search-engine.js'
+import { ProjectReplace } from './core/search/project-replace.js'
+import { SavedSearches } from './core/search/saved-searches.js'
+import { SpellChecker } from './core/spellcheck/spell-checker.js'
 import { CommandRegistry } from './core/commands/command-registry.js'
 import { CommandBar } from './components/command-bar-v2/components/CommandBar.js'
 import { Navigator } from './components/navigator/navigator.js'
 import { FileTree } from './components/sidebar/file-tree.js'
 import { registerCoreCommands } from './core/commands/core-commands.js'
 import { registerGitCommands } from './core/commands/git-commands.js'
+import { registerProjectCommands } from './core/commands/project-commands.js'
+import { registerHistoryCommands } from './core/commands/history-commands.js'
+import { registerCodexCommands } from './core/commands/codex-commands.js'
+import { registerGoalsCommands } from './core/commands/goals-commands.js'
+import { registerGutenbergCommands } from './core/commands/gutenberg-commands.js'
+import { registerImportCommands } from './core/commands/import-commands.js'
+import { registerBackupCommands } from './core/commands/backup-commands.js'
+import { registerSearchCommands } from './core/commands/search-commands.js'
+import { registerSpellCheckCommands } from './core/commands/spellcheck-commands.js'
+import { registerProseCommands } from './core/commands/prose-commands.js'
 import { guidManager } from './utils/guid.js'
 import { devHelpers } from './utils/dev-helpers.js'
+import { normalizeFolderPath } from './utils/folders.js'
 import { AuthManager } from './core/auth/auth-manager.js'
-import { GitHubStorage } from './core/storage/github-storage.js'
+import { createStorageBackend } from './core/storage/storage-backends.js'
 import { SyncManager } from './core/storage/sync-manager.js'
 import { SyncStatusManager } from './core/sync/sync-status-manager.js'
+import { GitHubSyncStatus } from './components/dialogs/github-sync-status.js'
 import { GitService } from './core/git/git-service.js'
 import { AuthButton } from './components/auth/auth-button.js'
 import { GitHubUserMenu } from './components/auth/github-user-menu.js'
@@ -51,6 +71,13 @@ import { StatusBarManager } from './components/status-bar/status-bar-manager.js'
 import { LegalManager } from './core/legal/legal-manager.js'
 import { LegalSplash } from './components/legal-splash/legal-splash.js'
 import { DiffManager } from './core/diff/diff-manager.js'
+import { ProjectManager } from './core/projects/project-manager.js'
+import { RevisionManager } from './core/storage/revision-manager.js'
+import { CodexManager } from './core/codex/codex-manager.js'
+import { GoalsManager, countWords } from './core/goals/goals-manager.js'
+import { LinkManager } from './core/links/link-manager.js'
+import { GutenbergManager } from './core/gutenberg/gutenberg-manager.js'
+import { BackupManager } from './core/backup/backup-manager.js'
 
 class FantasyEditorApp {
   constructor() {
@@ -90,6 +117,7 @@ class FantasyEditorApp {
 
     // Git diff functionality
     this.diffManager = null
+    this.conflictDialog = null
   }
 
   async init() {
@@ -135,11 +163,39 @@ class FantasyEditorApp {
 
     // Initialize storage
     this.storageManager = new StorageManager()
-    this.searchEngine = new SearchEngine(this.storageManager)
+    this.searchEngine = new SearchEngine(this.storageManager, {
+      createWorker: () =>
+        new Worker(new URL('./workers/search-index-worker.js', import.meta.url), { type: 'module' })
+    })
+    this.projectManager = new ProjectManager(this.storageManager)
+    this.revisionManager = new RevisionManager(this.storageManager)
+    this.projectReplace = new ProjectReplace(this.storageManager, this.revisionManager)
+    this.savedSearches = new SavedSearches(this.settingsManager)
+    this.codexManager = new CodexManager(this.storageManager, this.settingsManager)
+    this.spellChecker = new SpellChecker(
+      this.storageManager,
+      this.settingsManager,
+      this.projectManager,
+      { dictionaryUrl: `${import.meta.env.BASE_URL}dictionaries/en_US` }
+    )
+    this.linkManager = new LinkManager(this.storageManager)
+    this.goalsManager = new GoalsManager(
+      this.storageManager,
+      this.settingsManager,
+      this.projectManager
+    )
+    this.gutenbergManager = new GutenbergManager(this.storageManager, this.settingsManager)
+    this.backupManager = new BackupManager(this.storageManager, this.settingsManager)
 
     // Initialize editor with theme manager integration
     const editorElement = document.getElementById('editor')
     this.editor = new EditorManager(editorElement, this.themeManager, this.showNotification.bind(this), this.settingsManager, this.handleContentChange.bind(this))
+    this.editor.setWikiLinkProvider({
+      getTargets: () => this.linkManager.getLinkTargets(),
+      getHeadings: (title) => this.linkManager.getHeadings(title),
+      followLink: (link) => this.followWikiLink(link)
+    })
+    this.editor.setSpellChecker(this.spellChecker)
 
     // Initialize writer enhancements
     this.widthManager = new WidthManager(this.settingsManager, this)
@@ -203,6 +259,22 @@ class FantasyEditorApp {
 
     // Register Git commands
     registerGitCommands(this.commandRegistry, this)
+
+    // Register manuscript project commands
+    registerProjectCommands(this.commandRegistry, this)
+    registerHistoryCommands(this.commandRegistry, this)
+
+    // Register worldbuilding codex commands
+    registerCodexCommands(this.commandRegistry, this)
+
+    // Register writing goal commands
+    registerGoalsCommands(this.commandRegistry, this)
+    registerGutenbergCommands(this.commandRegistry, this)
+    registerImportCommands(this.commandRegistry, this)
+    registerBackupCommands(this.commandRegistry, this)
+    registerSearchCommands(this.commandRegistry, this)
+    registerSpellCheckCommands(this.commandRegistry, this)
+    registerProseCommands(this.commandRegistry, this)
     
     // Initialize command bar v2 after commands are registered
     await this.commandBar.initialize()
@@ -364,7 +436,7 @@ class FantasyEditorApp {
 
       // Handle the OAuth callback
       const user = await this.authManager.handleCallback(window.location.href)
-
+      this.useStorageBackend()
 
       this.showNotification(`Successfully logged in as ${user.name}!`, 'success')
 
@@ -373,6 +445,9 @@ class FantasyEditorApp {
 
       // Automatically create and configure default repository
       await this.setupDefaultRepository(user)
+
+      // Push changes queued while logged out
+      this.syncManager?.processSyncQueue()
     } catch (error) {
       console.error('🔥 OAuth completion failed:', error)
       console.error('🔥 Error details:', {
@@ -384,6 +459,25 @@ class FantasyEditorApp {
     }
   }
 
+  /**
+   * Switch repository storage to the backend of the logged-in Git host
+   * Keeps the current backend when it already matches, so its configuration stays loaded.
+   * @returns {StorageBackend} Active storage backend
+   */
+  useStorageBackend() {
+    const backend = createStorageBackend(this.authManager)
+    if (this.githubStorage?.provider === backend.provider) {
+      return this.githubStorage
+    }
+
+    this.githubStorage = backend
+    this.syncManager?.setBackend(backend)
+    if (this.githubUserMenu) {
+      this.githubUserMenu.githubStorage = backend
+    }
+    return backend
+  }
+
   /**
    * Setup default Fantasy Editor repository after login
    */
@@ -398,7 +492,10 @@ class FantasyEditorApp {
       const username = user?.login || user?.username
       if (!username) {
         console.error('ERROR: No username found in user object')
-        this.showNotification('GitHub user information incomplete. Please try logging in again.', 'error')
+        this.showNotification(
+          `${this.githubStorage.displayName} user information incomplete. Please try logging in again.`,
+          'error'
+        )
         return
       }
       
@@ -436,19 +533,24 @@ class FantasyEditorApp {
         // Don't return early - continue with initialization even without providers
       }
 
-      // Initialize GitHub storage (backward compatibility)
-      // TODO: Create provider-agnostic storage in future updates
-      this.githubStorage = new GitHubStorage(this.authManager)
+      // Initialize repository storage for the logged-in Git host (GitHub when logged out)
+      this.githubStorage = createStorageBackend(this.authManager)
 
       // Initialize sync manager with multi-provider support
       this.syncManager = new SyncManager(this.storageManager, this.githubStorage, this.authManager)
       this.syncManager.init({
-        autoSync: false, // Can be enabled by user
+        autoSync: this.settingsManager.get('gitIntegration.autoSync') === true,
         autoSyncInterval: 5 * 60 * 1000 // 5 minutes
       })
+      this.settingsManager.addListener(({ event, data }) => {
+        if (event === 'setting-changed' && data.path === 'gitIntegration.autoSync') {
+          this.syncManager.setAutoSync(data.value === true)
+        }
+      })
 
       // Initialize centralized sync status manager
       this.syncStatusManager = new SyncStatusManager(this)
+      await this.initializeSyncQueue()
 
       // Initialize generic Git service (provider-agnostic)
       this.gitService = new GitService(this)
@@ -684,6 +786,7 @@ class FantasyEditorApp {
     const titleField = document.getElementById('doc-title')
     titleField.value = doc.title || 'Untitled Document'
     this.editor.setContent(doc.content || '')
+    this.spellChecker?.setDocument(doc)
     this.updateWordCount()
     this.updateSyncStatus('Ready')
 
@@ -781,6 +884,12 @@ class FantasyEditorApp {
       return { success: false, reason: 'readonly' }
     }
 
+    // The editor shows a commit's text, not the document's
+    if (this.diffManager?.readOnly) {
+      this.showNotification('Close the commit comparison before saving', 'warning')
+      return { success: false, reason: 'comparing' }
+    }
+
     try {
       this.updateSyncStatus('Saving...')
 
@@ -804,6 +913,8 @@ class FantasyEditorApp {
       }
 
       // Update document (preserve existing properties like tags)
+      const previousTitle = this.lastSavedState?.title
+      const previousContent = this.lastSavedState?.content
       this.currentDocument.title = title
       this.currentDocument.content = content
       // Tags and other properties are preserved from this.currentDocument
@@ -814,6 +925,19 @@ class FantasyEditorApp {
       // Update change tracking
       this.initializeChangeTracking()
 
+      // Save snapshots are throttled like auto-save ones; only restores force a snapshot
+      const revision = this.recordRevision(savedDoc, { reason: 'save' })
+      this.recordWordCount(savedDoc, previousContent)
+      this.queueSync(savedDoc, hasTitleChanges ? 'rename' : 'upsert')
+      this.searchEngine.updateDocument(savedDoc)
+      if (hasTitleChanges) {
+        this.updateInboundLinks(previousTitle, savedDoc)
+      }
+      // Tags and codex names are custom dictionary words
+      if (hasTagChanges || savedDoc.type === 'codex') {
+        this.spellChecker?.invalidate()
+      }
+
       // Update navigator and file tree
       if (this.navigator) {
         this.navigator.onDocumentSave(savedDoc)
@@ -833,7 +957,7 @@ class FantasyEditorApp {
       this.updateSyncStatus('Saved')
       setTimeout(() => this.updateSyncStatus('Ready'), 2000)
 
-      return { success: true, reason: 'saved', document: savedDoc }
+      return { success: true, reason: 'saved', document: savedDoc, revision }
     } catch (error) {
       console.error('Failed to save document:', error)
       this.showError('Failed to save document. Your changes are preserved locally.')
@@ -862,6 +986,9 @@ class FantasyEditorApp {
       // Update status bar if available
       if (this.statusBarManager) {
         this.statusBarManager.updateWordCount(wordCount)
+        if (this.goalStatus) {
+          this.statusBarManager.updateGoalProgress(this.goalStatus, this.getUnsavedWordDelta())
+        }
       }
       
       return wordCount
@@ -947,6 +1074,7 @@ class FantasyEditorApp {
 
   updateUI() {
     this.updateWordCount()
+    this.updateGoalProgress()
     this.updateSyncStatus('Ready')
     this.updateGuidLabel()
     this.updateGitHubSyncStatus()
@@ -1090,6 +1218,511 @@ class FantasyEditorApp {
     this.updateSyncStatus('Pending...')
   }
 
+  /**
+   * Snapshot a saved document into revision history without blocking the save
+   * @returns {Promise<Object|null>} Stored revision, for callers that must wait for it
+   */
+  recordRevision(doc, options) {
+    if (!this.revisionManager) return Promise.resolve(null)
+    return this.revisionManager.recordRevision(doc, options).catch((error) => {
+      console.warn('Failed to record revision:', error)
+      return null
+    })
+  }
+
+  /**
+   * Add the words written by a save to the daily history without blocking the save
+   */
+  recordWordCount(doc, previousContent) {
+    if (!this.goalsManager) return
+    this.goalsManager
+      .recordSave(doc, previousContent)
+      .then(() => this.updateGoalProgress())
+      .catch((error) => {
+        console.warn('Failed to record word count:', error)
+      })
+  }
+
+  /**
+   * Refresh the writing goal in the status bar
+   */
+  async updateGoalProgress() {
+    if (!this.goalsManager || !this.statusBarManager) return
+    try {
+      const status = await this.goalsManager.getStatus(this.currentDocument)
+      this.goalStatus = status
+      this.statusBarManager.updateGoalProgress(status, this.getUnsavedWordDelta())
+    } catch (error) {
+      console.warn('Failed to update writing goal:', error)
+    }
+  }
+
+  /**
+   * Words typed since the last save, shown in the goal before they are recorded
+   * @returns {number} Word delta
+   */
+  getUnsavedWordDelta() {
+    const doc = this.currentDocument
+    if (!doc || doc.readonly === true || doc.type === 'system' || !this.lastSavedState) return 0
+    const content = this.editor?.getContent()
+    if (typeof content !== 'string') return 0
+    return countWords(content) - countWords(this.lastSavedState.content)
+  }
+
+  /**
+   * Show writing goals, streak and history heatmap
+   * The dialog is loaded on first use
+   */
+  async showWritingGoals() {
+    if (!this.writingGoalsDialog) {
+      const { WritingGoalsDialog } = await import('./components/dialogs/writing-goals-dialog.js')
+      this.writingGoalsDialog = new WritingGoalsDialog(this.goalsManager)
+    }
+    await this.writingGoalsDialog.show(this.currentDocument)
+  }
+
+  /**
+   * Open the bulk import wizard for markdown folders, zip archives and Obsidian vaults
+   * The dialog is loaded on first use
+   */
+  async showImportWizard() {
+    if (!this.importWizardDialog) {
+      const [{ ImportWizardDialog }, { BulkImporter }] = await Promise.all([
+        import('./components/dialogs/import-wizard-dialog.js'),
+        import('./core/import/bulk-importer.js')
+      ])
+      const frontMatterParser = this.githubStorage || createStorageBackend(this.authManager)
+      this.importWizardDialog = new ImportWizardDialog(
+        new BulkImporter(this.storageManager, frontMatterParser)
+      )
+    }
+
+    this.importWizardDialog.show((result) => this.handleBulkImport(result))
+  }
+
+  /**
+   * Refresh the document lists and queue imported notes for sync
+   * @param {Object} result - Result of BulkImporter.run()
+   */
+  async handleBulkImport(result) {
+    for (const doc of result.documents) {
+      this.queueSync(doc)
+    }
+
+    this.navigator?.refresh()
+    await this.fileTree?.refresh()
+
+    const imported = result.created + result.merged
+    this.showNotification(
+      result.failed.length > 0
+        ? `Imported ${imported} note(s), ${result.failed.length} failed`
+        : `Imported ${imported} note(s)`,
+      result.failed.length > 0 ? 'warning' : 'success'
+    )
+  }
+
+  /**
+   * Show the repository history of the open document
+   * The dialog is loaded on first use
+   * @returns {Promise<Object>} Result of loading the history
+   */
+  async showGitHistory() {
+    if (!this.currentDocument) {
+      return { success: false, message: 'No document currently open' }
+    }
+
+    if (!this.gitHistoryDialog) {
+      const { GitHistoryDialog } = await import('./components/dialogs/git-history-dialog.js')
+      this.gitHistoryDialog = new GitHistoryDialog(this.gitService)
+    }
+
+    return await this.gitHistoryDialog.show(this.currentDocument, {
+      onDiff: (sha) => this.showCommitDiff(sha),
+      onRestore: (sha) => this.restoreFromCommit(sha)
+    })
+  }
+
+  /**
+   * Show what a commit changed in the open document, read-only in the diff view
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<Object>} Result with success and message
+   */
+  async showCommitDiff(sha) {
+    if (this.editor?.isInDiffMode()) {
+      await this.editor.exitDiffMode(true)
+    }
+
+    // Keep unsaved edits; the diff view replaces the editor text until it is closed
+    await this.saveDocument()
+
+    const diff = await this.gitService.getCommitDiff(this.currentDocument.id, sha)
+    if (!diff.success) {
+      this.showNotification(diff.message, 'error')
+      return diff
+    }
+
+    const shown = await this.editor.enterDiffMode(diff.content, diff.previousContent, {
+      readOnly: true
+    })
+    if (!shown) {
+      return { success: false, message: 'Failed to enter diff mode' }
+    }
+
+    this.showNotification(`${diff.message} - close the diff view to return`, 'info')
+    return diff
+  }
+
+  /**
+   * Restore the open document to its content at a commit
+   * The current text is kept as a revision, so the restore can be undone with :hi
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<Object>} Result with success and message
+   */
+  async restoreFromCommit(sha) {
+    if (this.editor?.isInDiffMode()) {
+      await this.editor.exitDiffMode(true)
+    }
+    await this.saveDocument()
+
+    const result = await this.gitService.restoreCommit(this.currentDocument.id, sha)
+    if (!result.success) {
+      this.showNotification(result.message, 'error')
+      return result
+    }
+
+    const doc = result.document
+    this.loadDocument(doc)
+    this.navigator?.onDocumentSave(doc)
+    this.fileTree?.updateDocument(doc)
+    await this.syncStatusManager?.updateAll(doc.id, doc)
+
+    this.showNotification(result.message, 'success')
+    return result
+  }
+
+  /**
+   * Move a document to another repository folder
+   * The folder is stored on the document; the next sync renames its file in the repository.
+   * @param {string} docId - Document ID
+   * @param {string} folder - Folder path relative to the documents directory ('' for the top)
+   * @returns {Promise<Object>} Saved document
+   */
+  async moveDocument(docId, folder) {
+    const target = normalizeFolderPath(folder)
+    const isCurrent = this.currentDocument?.id === docId
+    const doc = isCurrent ? this.currentDocument : await this.storageManager.getDocument(docId)
+    if (!doc) {
+      throw new Error('Document not found')
+    }
+    if ((doc.folder || '') === target) {
+      return doc
+    }
+
+    const savedDoc = await this.storageManager.saveDocument({ ...doc, folder: target })
+    if (isCurrent) {
+      this.currentDocument = savedDoc
+    }
+    this.queueSync(savedDoc, 'rename')
+
+    this.navigator?.onDocumentSave(savedDoc)
+    this.fileTree?.updateDocument(savedDoc)
+    await this.syncStatusManager?.updateAll(savedDoc.id, savedDoc)
+    return savedDoc
+  }
+
+  /**
+   * Queue a saved change for the repository without blocking the save
+   * @param {Object} doc - Saved document
+   * @param {string} type - 'upsert', 'rename' or 'delete'
+   */
+  queueSync(doc, type = 'upsert') {
+    this.syncManager?.queueOperation(type, doc).catch((error) => {
+      console.warn('Failed to queue document for sync:', error)
+    })
+  }
+
+  /**
+   * Show queued sync operations in the footer and resume the queue left by the last session
+   */
+  async initializeSyncQueue() {
+    const container = document.querySelector('.sync-status-container')
+    if (container) {
+      this.syncQueueStatus = new GitHubSyncStatus()
+      this.syncQueueStatus.init(container)
+      this.syncQueueStatus.hide()
+    }
+
+    this.syncManager.onQueueChange = (status) => this.updateSyncQueueStatus(status)
+    this.syncManager.confirmRemoteDelete = (documents) => this.confirmRemoteDelete(documents)
+    this.syncManager.onDocumentRemoved = (documentId) => this.removeDocumentData(documentId)
+    document.addEventListener('github-sync-action', (e) => this.handleSyncAction(e.detail.action))
+    document.addEventListener('github-sync-status-request', () => this.updateSyncQueueStatus())
+
+    try {
+      await this.syncManager.loadSyncQueue()
+    } catch (error) {
+      console.warn('Failed to load sync queue:', error)
+    }
+  }
+
+  /**
+   * Remove what is kept beside a deleted document: binder references, revisions, word history
+   * and its search entry
+   * Shared by deletes made here and documents removed by a sync or branch switch.
+   * @param {string} documentId - Document ID
+   */
+  async removeDocumentData(documentId) {
+    await this.projectManager?.removeDocumentReferences(documentId)
+    await this.revisionManager?.deleteRevisionsForDocument(documentId)
+    await this.storageManager.deleteWordCounts(documentId)
+    await this.searchEngine?.removeDocument(documentId)
+  }
+
+  /**
+   * Ask before a sync deletes files of documents deleted here from the repository
+   * @param {Array} documents - Documents as { id, title, path }
+   * @returns {boolean} Whether to delete the files
+   */
+  confirmRemoteDelete(documents) {
+    const titles = documents.map((doc) => `- ${doc.title}`).join('\n')
+    return confirm(
+      `Delete ${documents.length} document(s) from the repository too?\n\n${titles}\n\n` +
+        'Cancel keeps them in the repository; they come back here with the next sync.'
+    )
+  }
+
+  /**
+   * Update the queue indicator; it is only shown while operations are queued
+   * @param {Object} status - Status from SyncManager.getSyncStatus()
+   */
+  updateSyncQueueStatus(status = this.syncManager?.getSyncStatus()) {
+    if (!this.syncQueueStatus || !status) return
+
+    this.syncQueueStatus.updateStatus({
+      connected: status.authenticated && status.configured,
+      syncing: status.syncing,
+      lastSync: status.lastSyncTime,
+      queuedItems: status.queuedItems,
+      failedItems: status.failedItems,
+      operations: status.operations,
+      conflicts: status.pendingConflicts
+    })
+
+    if (status.operations.length > 0) {
+      this.syncQueueStatus.show()
+    } else {
+      this.syncQueueStatus.hide()
+    }
+  }
+
+  /**
+   * Handle an action picked in the queue indicator
+   * @param {string} action - 'sync', 'retry', 'conflicts' or 'status'
+   */
+  async handleSyncAction(action) {
+    switch (action) {
+      case 'sync':
+      case 'retry': {
+        if (navigator.onLine === false || !this.gitService?.isAvailable()) {
+          this.showNotification('Connect to a Git repository to sync queued changes', 'warning')
+          break
+        }
+
+        const result = await this.syncManager.retryFailed()
+        this.navigator?.refresh()
+        this.syncStatusManager?.updateAll()
+        this.showNotification(
+          result.failed > 0
+            ? `${result.failed} change(s) could not be synced`
+            : `Synced ${result.processed} queued change(s)`,
+          result.failed > 0 ? 'error' : 'success'
+        )
+        await this.showSyncConflicts()
+        break
+      }
+
+      case 'conflicts':
+        await this.showSyncConflicts()
+        break
+
+      case 'status':
+        await this.executeCommand('git status')
+        break
+    }
+  }
+
+  /**
+   * Point [[wiki links]] in other documents at a renamed document without blocking the save
+   */
+  updateInboundLinks(previousTitle, doc) {
+    if (!this.linkManager || !previousTitle) return
+    this.linkManager
+      .updateInboundLinks(previousTitle, doc.title, doc.id)
+      .then((updated) => {
+        if (updated.length === 0) return
+        this.refreshBatchEditedDocuments(updated)
+        updated.forEach((updatedDoc) =>
+          this.recordRevision(updatedDoc, { force: true, reason: 'link-update' })
+        )
+        this.showNotification(`Updated links in ${updated.length} document(s)`, 'info')
+      })
+      .catch((error) => {
+        console.warn('Failed to update wiki links:', error)
+      })
+  }
+
+  /**
+   * Preview a find and replace across all documents
+   * The open document is saved first so the preview sees its current text
+   * @param {string} query - Text or regular expression
+   * @param {string} replacement - Replacement text
+   * @param {Object} options - regex, caseSensitive and wholeWord flags
+   * @returns {Promise<Object>} Preview listing every match
+   */
+  async previewProjectReplace(query, replacement, options) {
+    await this.saveBeforeBatchEdit()
+    const documents = await this.storageManager.getAllDocuments()
+    return this.projectReplace.preview(documents, query, replacement, options)
+  }
+
+  /**
+   * Replace the previewed matches in all documents as one undoable batch
+   * @param {Object} preview - Result of previewProjectReplace()
+   * @param {Array<string>} excluded - IDs of matches to leave as they are
+   * @returns {Promise<Object>} Result with saved documents, replaced count and skipped documents
+   */
+  async applyProjectReplace(preview, excluded = []) {
+    await this.saveBeforeBatchEdit()
+    const result = await this.projectReplace.apply(preview, { excluded })
+    this.refreshBatchEditedDocuments(result.documents)
+    return result
+  }
+
+  /**
+   * Undo the last project-wide replace
+   * @returns {Promise<Object>} Result with restored and skipped documents
+   */
+  async undoProjectReplace() {
+    await this.saveBeforeBatchEdit()
+    const result = await this.projectReplace.undo()
+    this.refreshBatchEditedDocuments(result.documents)
+    return result
+  }
+
+  async saveBeforeBatchEdit() {
+    const isReadonly =
+      this.currentDocument?.readonly === true || this.currentDocument?.type === 'system'
+    if (this.currentDocument && !isReadonly) {
+      await this.saveDocument()
+    }
+  }
+
+  /**
+   * Show, index and sync documents changed outside the editor
+   */
+  refreshBatchEditedDocuments(documents) {
+    for (const doc of documents) {
+      if (doc.id === this.currentDocument?.id) {
+        this.loadDocument(doc)
+      }
+      this.queueSync(doc, 'upsert')
+      this.searchEngine.updateDocument(doc)
+      this.navigator?.onDocumentSave(doc)
+      this.fileTree?.updateDocument(doc)
+    }
+  }
+
+  /**
+   * Open the document a [[wiki link]] points to, jumping to its heading when one is given
+   * @param {Object} link - Parsed link with target and optional heading
+   */
+  async followWikiLink(link) {
+    const doc = await this.linkManager.resolveLink(link.target)
+    if (!doc) {
+      this.showNotification(`No document titled "${link.target}"`, 'warning')
+      return
+    }
+
+    let content = this.editor.getContent()
+    if (doc.id !== this.currentDocument?.id) {
+      const isReadonly =
+        this.currentDocument?.readonly === true || this.currentDocument?.type === 'system'
+      if (this.currentDocument && !isReadonly) {
+        await this.saveDocument()
+      }
+      this.loadDocument(doc)
+      content = doc.content || ''
+    }
+
+    const line = this.linkManager.findHeadingLine({ content }, link.heading)
+    if (line) {
+      this.editor.scrollToLine(line)
+    } else if (link.heading) {
+      this.showNotification(`Heading "${link.heading}" not found in ${doc.title}`, 'warning')
+    }
+  }
+
+  /**
+   * Show sync conflicts that three-way merge could not settle
+   * The dialog is loaded on first use
+   */
+  async showSyncConflicts() {
+    const conflicts = this.syncManager?.getPendingConflicts() || []
+    if (conflicts.length === 0) return
+
+    if (!this.conflictDialog) {
+      const { ConflictResolutionDialog } = await import(
+        './components/dialogs/conflict-resolution-dialog.js'
+      )
+      this.conflictDialog = new ConflictResolutionDialog()
+    }
+
+    this.conflictDialog.show(conflicts, (conflictId, resolution, content) =>
+      this.resolveSyncConflict(conflictId, resolution, content)
+    )
+  }
+
+  /**
+   * Apply a conflict resolution and reload the document if it is open
+   * @param {string} conflictId - Conflict identifier from SyncManager
+   * @param {string} resolution - 'local', 'remote' or 'merge'
+   * @param {string} content - Content merged hunk by hunk in the dialog
+   */
+  async resolveSyncConflict(conflictId, resolution, content) {
+    try {
+      const doc = await this.syncManager.resolveConflict(conflictId, resolution, content)
+      if (doc && doc.id === this.currentDocument?.id) {
+        this.loadDocument(doc)
+      }
+      this.navigator?.refresh()
+      this.syncStatusManager?.updateAll()
+      this.showNotification(`Resolved conflict in ${doc?.title || 'document'}`, 'success')
+    } catch (error) {
+      this.showNotification(`Failed to resolve conflict: ${error.message}`, 'error')
+    }
+  }
+
+  /**
+   * Reload the editor and document lists after the working set changed, e.g. on a branch switch
+   * The open document stays open if it still exists, otherwise the first document is opened.
+   */
+  async reloadWorkingSet() {
+    const current = this.currentDocument?.id
+      ? await this.storageManager.getDocument(this.currentDocument.id)
+      : null
+
+    if (current) {
+      this.currentDocument = current
+      this.loadDocument(current)
+    } else {
+      await this.loadInitialDocument()
+    }
+
+    this.navigator?.refresh()
+    await this.fileTree?.refresh()
+    this.syncStatusManager?.updateAll()
+  }
+
   /**
    * Perform auto-save without user notification
    */
@@ -1110,6 +1743,11 @@ class FantasyEditorApp {
       return
     }
 
+    // The editor shows other text while comparing commits
+    if (this.diffManager?.readOnly) {
+      return
+    }
+
     try {
       // Get current title and content
       const title = document.getElementById('doc-title').value || 'Untitled Document'
@@ -1128,6 +1766,8 @@ class FantasyEditorApp {
       this.updateSyncStatus('Auto-saving...')
 
       // Update document
+      const previousTitle = this.lastSavedState?.title
+      const previousContent = this.lastSavedState?.content
       this.currentDocument.title = title
       this.currentDocument.content = content
 
@@ -1137,6 +1777,15 @@ class FantasyEditorApp {
       // Update change tracking
       this.initializeChangeTracking()
 
+      // Auto-save snapshots are throttled by the revision manager
+      this.recordRevision(savedDoc, { reason: 'autosave' })
+      this.recordWordCount(savedDoc, previousContent)
+      this.queueSync(savedDoc, hasTitleChanges ? 'rename' : 'upsert')
+      this.searchEngine.updateDocument(savedDoc)
+      if (hasTitleChanges) {
+        this.updateInboundLinks(previousTitle, savedDoc)
+      }
+
       // Update navigator and file tree silently
       if (this.navigator) {
         this.navigator.onDocumentSave(savedDoc)
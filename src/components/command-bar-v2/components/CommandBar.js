@@ -557,6 +557,8 @@ export class CommandBar extends BaseComponent {
   normalizeCategory(category) {
     const categoryMap = {
       'document': 'Documents',
+      'project': 'Documents',
+      'codex': 'Documents',
       'editor': 'Editor',
       'github': 'Git',
       'git': 'Git',
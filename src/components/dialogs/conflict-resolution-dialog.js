@@ -1,21 +1,36 @@
 /**
  * ConflictResolutionDialog - UI component for resolving GitHub sync conflicts
- * Provides diff view and resolution options for conflicting documents
+ * Steps through each overlapping hunk left by the three-way merge. Every hunk can take the
+ * local, remote or both versions, or a hand-edited text, with a live preview of the result.
  */
+import { formatConflict, resolveHunk } from '../../core/diff/three-way-merge.js'
+
+const HUNK_CHOICES = {
+  1: 'local',
+  2: 'remote',
+  3: 'both',
+  4: 'edit'
+}
+
 export class ConflictResolutionDialog {
   constructor() {
     this.isOpen = false
     this.conflicts = []
     this.currentConflictIndex = 0
+    this.currentHunkIndex = 0
+    this.resolutions = new Map()
     this.onResolve = null
     this.onCancel = null
     this.element = null
+
+    this.handleKeydown = this.handleKeydown.bind(this)
   }
 
   /**
    * Show conflict resolution dialog
-   * @param {Array} conflicts - Array of conflict objects
-   * @param {Function} onResolve - Callback for conflict resolution
+   * @param {Array} conflicts - Conflicts from SyncManager.getPendingConflicts()
+   * @param {Function} onResolve - Called with (conflictId, resolution, content); content is the
+   *   hunk-by-hunk merged text when resolution is 'merge'
    * @param {Function} onCancel - Callback for cancellation
    */
   show(conflicts, onResolve, onCancel) {
@@ -25,12 +40,14 @@ export class ConflictResolutionDialog {
 
     this.conflicts = conflicts
     this.currentConflictIndex = 0
+    this.currentHunkIndex = 0
+    this.resolutions = new Map()
     this.onResolve = onResolve
     this.onCancel = onCancel
     this.isOpen = true
 
     this.render()
-    this.attachEventListeners()
+    document.addEventListener('keydown', this.handleKeydown, true)
     document.body.classList.add('dialog-open')
   }
 
@@ -43,8 +60,11 @@ export class ConflictResolutionDialog {
     this.isOpen = false
     this.conflicts = []
     this.currentConflictIndex = 0
+    this.currentHunkIndex = 0
+    this.resolutions = new Map()
     this.onResolve = null
     this.onCancel = null
+    this.cleanup()
 
     if (this.element) {
       this.element.remove()
@@ -70,6 +90,15 @@ export class ConflictResolutionDialog {
     this.element.innerHTML = this.getDialogHTML(conflict, total)
 
     document.body.appendChild(this.element)
+    this.attachEventListeners()
+
+    const editor = this.element.querySelector('.hunk-editor')
+    if (editor) {
+      editor.focus()
+    } else {
+      this.element.querySelector('.conflict-dialog').focus()
+    }
+    this.element.querySelector('.hunk-preview.current')?.scrollIntoView?.({ block: 'nearest' })
   }
 
   /**
@@ -79,8 +108,11 @@ export class ConflictResolutionDialog {
    * @returns {string} HTML string
    */
   getDialogHTML(conflict, total) {
+    const hunks = this.getConflictHunks(conflict)
+    const labels = this.getLabels(conflict)
+
     return `
-      <div class="conflict-dialog">
+      <div class="conflict-dialog" role="dialog" aria-modal="true" aria-label="Sync conflict" tabindex="-1">
         <div class="conflict-dialog-header">
           <h2>🔄 Sync Conflict</h2>
           <div class="conflict-counter">
@@ -93,40 +125,17 @@ export class ConflictResolutionDialog {
           <div class="conflict-info">
             <h3>${this.escapeHtml(conflict.local.title)}</h3>
             <p class="conflict-description">
-              This document has been modified both locally and on GitHub. 
-              Choose how to resolve the conflict:
+              ${
+                hunks.length > 0
+                  ? `${hunks.length} section(s) were changed both ${labels.where}.
+                     Other edits were merged automatically. Pick a version for each section:`
+                  : `This document has been modified both ${labels.where}.
+                     Choose how to resolve the conflict:`
+              }
             </p>
           </div>
 
-          <div class="conflict-versions">
-            <div class="version-panel local-version">
-              <div class="version-header">
-                <h4>📱 Local Version</h4>
-                <div class="version-meta">
-                  Modified: ${this.formatDate(conflict.local.updatedAt)}
-                </div>
-              </div>
-              <div class="version-content">
-                <div class="version-preview">
-                  ${this.getContentPreview(conflict.local.content)}
-                </div>
-              </div>
-            </div>
-
-            <div class="version-panel remote-version">
-              <div class="version-header">
-                <h4>🐙 GitHub Version</h4>
-                <div class="version-meta">
-                  Modified: ${this.formatDate(conflict.remote.updatedAt)}
-                </div>
-              </div>
-              <div class="version-content">
-                <div class="version-preview">
-                  ${this.getContentPreview(conflict.remote.content)}
-                </div>
-              </div>
-            </div>
-          </div>
+          ${hunks.length > 0 ? this.getHunkHTML(conflict, hunks) : this.getDocumentHTML(conflict)}
 
           <div class="conflict-diff">
             <h4>📋 Changes Summary</h4>
@@ -141,26 +150,37 @@ export class ConflictResolutionDialog {
             <button class="resolution-btn use-local" data-resolution="local">
               <span class="btn-icon">📱</span>
               <span class="btn-text">
-                <strong>Use Local</strong>
-                <small>Keep your changes, overwrite GitHub</small>
+                <strong>Use ${labels.local}</strong>
+                <small>${labels.keepLocal}</small>
               </span>
             </button>
 
             <button class="resolution-btn use-remote" data-resolution="remote">
               <span class="btn-icon">🐙</span>
               <span class="btn-text">
-                <strong>Use GitHub</strong>
-                <small>Keep GitHub changes, overwrite local</small>
+                <strong>Use ${labels.remote}</strong>
+                <small>${labels.keepRemote}</small>
               </span>
             </button>
 
-            <button class="resolution-btn merge-changes" data-resolution="merge">
-              <span class="btn-icon">🔄</span>
-              <span class="btn-text">
-                <strong>Merge Both</strong>
-                <small>Combine both versions with conflict markers</small>
-              </span>
-            </button>
+            ${
+              hunks.length > 0
+                ? `<button class="resolution-btn merge-changes" data-resolution="merge"
+                          ${this.isFullyResolved(conflict) ? '' : 'disabled'}>
+                    <span class="btn-icon">✅</span>
+                    <span class="btn-text">
+                      <strong>Apply Merge</strong>
+                      <small>Save the merged result (Ctrl+Enter)</small>
+                    </span>
+                  </button>`
+                : `<button class="resolution-btn merge-changes" data-resolution="merge">
+                    <span class="btn-icon">🔄</span>
+                    <span class="btn-text">
+                      <strong>Merge Both</strong>
+                      <small>Apply both sets of edits, mark overlapping ones</small>
+                    </span>
+                  </button>`
+            }
           </div>
 
           <div class="dialog-nav">
@@ -169,9 +189,9 @@ export class ConflictResolutionDialog {
                 ? '<button class="nav-btn prev-conflict">← Previous</button>'
                 : '<div></div>'
             }
-            
+
             <button class="cancel-btn">Cancel All</button>
-            
+
             ${
               this.currentConflictIndex < total - 1
                 ? '<button class="nav-btn next-conflict">Skip →</button>'
@@ -183,6 +203,273 @@ export class ConflictResolutionDialog {
     `
   }
 
+  /**
+   * Side-by-side view of the current hunk, its choices and the merged preview
+   * @param {Object} conflict - Current conflict
+   * @param {Array} hunks - Conflict hunks of the document
+   * @returns {string} HTML string
+   */
+  getHunkHTML(conflict, hunks) {
+    const hunk = hunks[this.currentHunkIndex]
+    const resolution = this.getResolutions(conflict)[this.currentHunkIndex]
+    const resolvedCount = this.getResolutions(conflict).filter(Boolean).length
+    const labels = this.getLabels(conflict)
+
+    const choiceButton = (key, choice, label) => `
+      <button class="hunk-choice-btn ${resolution?.choice === choice ? 'active' : ''}"
+              data-choice="${choice}"
+              aria-pressed="${resolution?.choice === choice}">
+        <kbd>${key}</kbd> ${label}
+      </button>
+    `
+
+    return `
+      <div class="hunk-nav">
+        <button class="nav-btn prev-hunk" ${this.currentHunkIndex === 0 ? 'disabled' : ''}
+                aria-label="Previous section">↑</button>
+        <span class="hunk-counter">
+          Section ${this.currentHunkIndex + 1} of ${hunks.length} · ${resolvedCount} resolved
+        </span>
+        <button class="nav-btn next-hunk" ${this.currentHunkIndex === hunks.length - 1 ? 'disabled' : ''}
+                aria-label="Next section">↓</button>
+      </div>
+
+      <div class="conflict-versions">
+        <div class="version-panel local-version">
+          <div class="version-header">
+            <h4>📱 ${labels.local} Version</h4>
+            <div class="version-meta">
+              Modified: ${this.formatDate(conflict.local.updatedAt)}
+            </div>
+          </div>
+          <div class="version-content">
+            <pre class="content-preview">${this.formatHunkText(hunk.local)}</pre>
+          </div>
+        </div>
+
+        <div class="version-panel remote-version">
+          <div class="version-header">
+            <h4>🐙 ${labels.remote} Version</h4>
+            <div class="version-meta">
+              Modified: ${this.formatDate(conflict.remote.updatedAt)}
+            </div>
+          </div>
+          <div class="version-content">
+            <pre class="content-preview">${this.formatHunkText(hunk.remote)}</pre>
+          </div>
+        </div>
+      </div>
+
+      <div class="hunk-choices" role="group" aria-label="Resolve section">
+        ${choiceButton(1, 'local', labels.local)}
+        ${choiceButton(2, 'remote', labels.remote)}
+        ${choiceButton(3, 'both', 'Both')}
+        ${choiceButton(4, 'edit', 'Edit')}
+      </div>
+
+      ${
+        resolution?.choice === 'edit'
+          ? `<textarea class="hunk-editor" rows="6"
+                       aria-label="Edit merged section">${this.escapeHtml(resolution.text)}</textarea>`
+          : ''
+      }
+
+      <div class="merge-preview-panel">
+        <h4>👁 Merged Result</h4>
+        <pre class="content-preview merge-preview">${this.getMergePreview(conflict)}</pre>
+      </div>
+
+      <div class="conflict-shortcuts">
+        <kbd>1</kbd>–<kbd>4</kbd> choose · <kbd>↑</kbd>/<kbd>↓</kbd> section ·
+        <kbd>Ctrl+Enter</kbd> apply · <kbd>Esc</kbd> cancel
+      </div>
+    `
+  }
+
+  /**
+   * Whole-document view for conflicts without merge hunks
+   * @param {Object} conflict - Current conflict
+   * @returns {string} HTML string
+   */
+  getDocumentHTML(conflict) {
+    const labels = this.getLabels(conflict)
+
+    return `
+      <div class="conflict-versions">
+        <div class="version-panel local-version">
+          <div class="version-header">
+            <h4>📱 ${labels.local} Version</h4>
+            <div class="version-meta">
+              Modified: ${this.formatDate(conflict.local.updatedAt)}
+            </div>
+          </div>
+          <div class="version-content">
+            <div class="version-preview">
+              ${this.getContentPreview(conflict.local.content)}
+            </div>
+          </div>
+        </div>
+
+        <div class="version-panel remote-version">
+          <div class="version-header">
+            <h4>🐙 ${labels.remote} Version</h4>
+            <div class="version-meta">
+              Modified: ${this.formatDate(conflict.remote.updatedAt)}
+            </div>
+          </div>
+          <div class="version-content">
+            <div class="version-preview">
+              ${this.getContentPreview(conflict.remote.content)}
+            </div>
+          </div>
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Render the merged document with unresolved hunks shown as conflict markers
+   * @param {Object} conflict - Current conflict
+   * @returns {string} HTML preview
+   */
+  getMergePreview(conflict) {
+    const resolutions = this.getResolutions(conflict)
+
+    return conflict.hunks
+      .map((hunk) => {
+        if (hunk.type !== 'conflict') return this.escapeHtml(hunk.text)
+
+        const resolution = resolutions[hunk.index]
+        const classes = [
+          'hunk-preview',
+          resolution ? 'resolved' : 'unresolved',
+          hunk.index === this.currentHunkIndex ? 'current' : ''
+        ]
+        const text = resolution ? resolution.text : formatConflict(hunk)
+        return `<mark class="${classes.join(' ').trim()}" data-hunk="${hunk.index}">${this.escapeHtml(text) || '<em>(removed)</em>'}</mark>`
+      })
+      .join('')
+  }
+
+  /**
+   * Get the merged content for a fully resolved conflict
+   * @param {Object} conflict - Conflict with hunks
+   * @returns {string} Merged content
+   */
+  getMergedContent(conflict) {
+    const resolutions = this.getResolutions(conflict)
+    return conflict.hunks
+      .map((hunk) => (hunk.type === 'conflict' ? resolutions[hunk.index].text : hunk.text))
+      .join('')
+  }
+
+  /**
+   * Get the overlapping hunks of a conflict
+   * @param {Object} conflict - Conflict object
+   * @returns {Array} Conflict hunks in document order
+   */
+  getConflictHunks(conflict) {
+    return (conflict.hunks || []).filter((hunk) => hunk.type === 'conflict')
+  }
+
+  /**
+   * Get per-hunk resolutions of a conflict, kept while navigating between documents
+   * @param {Object} conflict - Conflict object
+   * @returns {Array} Resolutions indexed by hunk, { choice, text }
+   */
+  getResolutions(conflict) {
+    if (!this.resolutions.has(conflict.id)) {
+      const count = this.getConflictHunks(conflict).length
+      this.resolutions.set(
+        conflict.id,
+        Array.from({ length: count }, () => null)
+      )
+    }
+    return this.resolutions.get(conflict.id)
+  }
+
+  /**
+   * Check whether every hunk of a conflict has a resolution
+   * @param {Object} conflict - Conflict object
+   * @returns {boolean} Whether the merge can be applied
+   */
+  isFullyResolved(conflict) {
+    const resolutions = this.getResolutions(conflict)
+    return resolutions.length > 0 && resolutions.every(Boolean)
+  }
+
+  /**
+   * Choose a version for the current hunk
+   * Editing starts from the current resolution, or the local text
+   * @param {string} choice - 'local', 'remote', 'both' or 'edit'
+   */
+  chooseHunk(choice) {
+    const conflict = this.conflicts[this.currentConflictIndex]
+    const hunk = this.getConflictHunks(conflict)[this.currentHunkIndex]
+    if (!hunk) return
+
+    const resolutions = this.getResolutions(conflict)
+    const current = resolutions[this.currentHunkIndex]
+
+    if (choice === 'edit') {
+      resolutions[this.currentHunkIndex] = { choice, text: current ? current.text : hunk.local }
+      this.render()
+      return
+    }
+
+    resolutions[this.currentHunkIndex] = { choice, text: resolveHunk(hunk, choice) }
+
+    // Move on to the next unresolved section
+    const next = resolutions.findIndex(
+      (resolution, index) => !resolution && index > this.currentHunkIndex
+    )
+    if (next !== -1) {
+      this.currentHunkIndex = next
+    }
+    this.render()
+  }
+
+  /**
+   * Keep a hand-edited hunk in step with its textarea and refresh the preview
+   * @param {string} text - Edited text
+   */
+  updateEditedHunk(text) {
+    const conflict = this.conflicts[this.currentConflictIndex]
+    this.getResolutions(conflict)[this.currentHunkIndex] = { choice: 'edit', text }
+
+    const preview = this.element.querySelector('.merge-preview')
+    if (preview) {
+      preview.innerHTML = this.getMergePreview(conflict)
+    }
+    const applyBtn = this.element.querySelector('.resolution-btn.merge-changes')
+    if (applyBtn) {
+      applyBtn.disabled = !this.isFullyResolved(conflict)
+    }
+  }
+
+  /**
+   * Move between hunks of the current conflict
+   * @param {number} direction - Direction to navigate (-1 or 1)
+   */
+  navigateHunk(direction) {
+    const conflict = this.conflicts[this.currentConflictIndex]
+    const newIndex = this.currentHunkIndex + direction
+
+    if (newIndex >= 0 && newIndex < this.getConflictHunks(conflict).length) {
+      this.currentHunkIndex = newIndex
+      this.render()
+    }
+  }
+
+  /**
+   * Escape hunk text for display, marking empty sides
+   * @param {string} text - Hunk text
+   * @returns {string} HTML
+   */
+  formatHunkText(text) {
+    return text ? this.escapeHtml(text) : '<em>(removed)</em>'
+  }
+
   /**
    * Get content preview with syntax highlighting
    * @param {string} content - Document content
@@ -209,12 +496,41 @@ export class ConflictResolutionDialog {
     return `<pre class="content-preview">${highlighted}</pre>`
   }
 
+  /**
+   * Get the names of the two sides of a conflict
+   * Sync conflicts are local vs. GitHub; branch merges name the branches.
+   * @param {Object} conflict - Conflict object
+   * @returns {Object} { local, remote, where, keepLocal, keepRemote }
+   */
+  getLabels(conflict) {
+    if (!conflict.labels) {
+      return {
+        local: 'Local',
+        remote: 'GitHub',
+        where: 'locally and on GitHub',
+        keepLocal: 'Keep your whole document, overwrite GitHub',
+        keepRemote: 'Keep the GitHub document, overwrite local'
+      }
+    }
+
+    const local = this.escapeHtml(conflict.labels.local)
+    const remote = this.escapeHtml(conflict.labels.remote)
+    return {
+      local,
+      remote,
+      where: `in ${local} and in ${remote}`,
+      keepLocal: `Keep the whole document as it is in ${local}`,
+      keepRemote: `Take the whole document from ${remote}`
+    }
+  }
+
   /**
    * Generate diff summary
    * @param {Object} conflict - Conflict object
    * @returns {string} HTML diff summary
    */
   generateDiffSummary(conflict) {
+    const labels = this.getLabels(conflict)
     const local = conflict.local
     const remote = conflict.remote
     const changes = []
@@ -222,8 +538,8 @@ export class ConflictResolutionDialog {
     // Check for title differences
     if (local.title !== remote.title) {
       changes.push(`<div class="diff-item title-diff">
-        <strong>Title:</strong> 
-        <span class="diff-local">"${this.escapeHtml(local.title)}"</span> vs 
+        <strong>Title:</strong>
+        <span class="diff-local">"${this.escapeHtml(local.title)}"</span> vs
         <span class="diff-remote">"${this.escapeHtml(remote.title)}"</span>
       </div>`)
     }
@@ -234,20 +550,21 @@ export class ConflictResolutionDialog {
       const remoteWords = (remote.content || '').split(/\s+/).length
 
       changes.push(`<div class="diff-item content-diff">
-        <strong>Content:</strong> 
-        Local: ${localWords} words, GitHub: ${remoteWords} words
+        <strong>Content:</strong>
+        ${labels.local}: ${localWords} words, ${labels.remote}: ${remoteWords} words
       </div>`)
     }
 
     // Check for tag differences
     const localTags = local.tags || []
     const remoteTags = remote.tags || []
-    const tagsDiffer = JSON.stringify(localTags.sort()) !== JSON.stringify(remoteTags.sort())
+    const tagsDiffer =
+      JSON.stringify([...localTags].sort()) !== JSON.stringify([...remoteTags].sort())
 
     if (tagsDiffer) {
       changes.push(`<div class="diff-item tags-diff">
-        <strong>Tags:</strong> 
-        <span class="diff-local">[${localTags.join(', ')}]</span> vs 
+        <strong>Tags:</strong>
+        <span class="diff-local">[${localTags.join(', ')}]</span> vs
         <span class="diff-remote">[${remoteTags.join(', ')}]</span>
       </div>`)
     }
@@ -276,7 +593,39 @@ export class ConflictResolutionDialog {
       })
     })
 
+    // Hunk choices
+    this.element.querySelectorAll('.hunk-choice-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => this.chooseHunk(e.currentTarget.dataset.choice))
+    })
+
+    const hunkEditor = this.element.querySelector('.hunk-editor')
+    if (hunkEditor) {
+      hunkEditor.addEventListener('input', (e) => this.updateEditedHunk(e.target.value))
+    }
+
+    // Jump to a hunk from the preview
+    const preview = this.element.querySelector('.merge-preview')
+    if (preview) {
+      preview.addEventListener('click', (e) => {
+        const mark = e.target.closest('.hunk-preview')
+        if (mark) {
+          this.currentHunkIndex = Number(mark.dataset.hunk)
+          this.render()
+        }
+      })
+    }
+
     // Navigation buttons
+    const prevHunkBtn = this.element.querySelector('.prev-hunk')
+    if (prevHunkBtn) {
+      prevHunkBtn.addEventListener('click', () => this.navigateHunk(-1))
+    }
+
+    const nextHunkBtn = this.element.querySelector('.next-hunk')
+    if (nextHunkBtn) {
+      nextHunkBtn.addEventListener('click', () => this.navigateHunk(1))
+    }
+
     const prevBtn = this.element.querySelector('.prev-conflict')
     if (prevBtn) {
       prevBtn.addEventListener('click', () => this.navigateConflict(-1))
@@ -299,47 +648,52 @@ export class ConflictResolutionDialog {
         this.handleCancel()
       }
     })
-
-    // Close on escape key
-    document.addEventListener('keydown', this.handleKeydown.bind(this))
   }
 
   /**
    * Handle keyboard shortcuts
+   * Captured at the document so keys never reach the editor behind the dialog
    * @param {KeyboardEvent} e - Keyboard event
    */
   handleKeydown(e) {
     if (!this.isOpen) return
 
-    switch (e.key) {
-      case 'Escape':
+    const conflict = this.conflicts[this.currentConflictIndex]
+    const hasHunks = this.getConflictHunks(conflict).length > 0
+    const inEditor = e.target?.classList?.contains('hunk-editor')
+    const mod = e.ctrlKey || e.metaKey
+    let handled = true
+
+    if (e.key === 'Escape') {
+      // Leave the section editor first, then the dialog
+      if (inEditor) {
+        this.element.querySelector('.conflict-dialog').focus()
+      } else {
         this.handleCancel()
-        break
-      case 'ArrowLeft':
-        if (e.ctrlKey || e.metaKey) {
-          this.navigateConflict(-1)
-        }
-        break
-      case 'ArrowRight':
-        if (e.ctrlKey || e.metaKey) {
-          this.navigateConflict(1)
-        }
-        break
-      case '1':
-        if (e.ctrlKey || e.metaKey) {
-          this.handleResolve('local')
-        }
-        break
-      case '2':
-        if (e.ctrlKey || e.metaKey) {
-          this.handleResolve('remote')
-        }
-        break
-      case '3':
-        if (e.ctrlKey || e.metaKey) {
-          this.handleResolve('merge')
-        }
-        break
+      }
+    } else if (e.key === 'Enter' && mod) {
+      if (!hasHunks || this.isFullyResolved(conflict)) {
+        this.handleResolve('merge')
+      }
+    } else if (inEditor) {
+      return
+    } else if (mod && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+      this.navigateConflict(e.key === 'ArrowLeft' ? -1 : 1)
+    } else if (mod && ['1', '2', '3'].includes(e.key)) {
+      this.handleResolve(['local', 'remote', 'merge'][Number(e.key) - 1])
+    } else if (hasHunks && HUNK_CHOICES[e.key] && !mod && !e.altKey) {
+      this.chooseHunk(HUNK_CHOICES[e.key])
+    } else if (hasHunks && (e.key === 'ArrowUp' || e.key === 'k')) {
+      this.navigateHunk(-1)
+    } else if (hasHunks && (e.key === 'ArrowDown' || e.key === 'j')) {
+      this.navigateHunk(1)
+    } else {
+      handled = false
+    }
+
+    if (handled) {
+      e.preventDefault()
+      e.stopPropagation()
     }
   }
 
@@ -352,8 +706,8 @@ export class ConflictResolutionDialog {
 
     if (newIndex >= 0 && newIndex < this.conflicts.length) {
       this.currentConflictIndex = newIndex
+      this.currentHunkIndex = 0
       this.render()
-      this.attachEventListeners()
     }
   }
 
@@ -363,13 +717,22 @@ export class ConflictResolutionDialog {
    */
   handleResolve(resolution) {
     const conflict = this.conflicts[this.currentConflictIndex]
+    const hasHunks = this.getConflictHunks(conflict).length > 0
+
+    if (resolution === 'merge' && hasHunks && !this.isFullyResolved(conflict)) {
+      return
+    }
 
     if (this.onResolve) {
-      this.onResolve(conflict.id, resolution)
+      const content =
+        resolution === 'merge' && hasHunks ? this.getMergedContent(conflict) : undefined
+      this.onResolve(conflict.id, resolution, content)
     }
 
     // Remove resolved conflict
     this.conflicts.splice(this.currentConflictIndex, 1)
+    this.resolutions.delete(conflict.id)
+    this.currentHunkIndex = 0
 
     // Check if there are more conflicts
     if (this.conflicts.length === 0) {
@@ -381,7 +744,6 @@ export class ConflictResolutionDialog {
       }
 
       this.render()
-      this.attachEventListeners()
     }
   }
 
@@ -420,6 +782,6 @@ export class ConflictResolutionDialog {
    * Remove event listeners
    */
   cleanup() {
-    document.removeEventListener('keydown', this.handleKeydown.bind(this))
+    document.removeEventListener('keydown', this.handleKeydown, true)
   }
 }
@@ -0,0 +1,248 @@
+/**
+ * GitHistoryDialog - Repository history of the open document
+ * Lists the commits that changed the document with their message, author and date. Each
+ * commit can be compared with the version before it or restored; the blame view shows
+ * which commit last changed each paragraph.
+ */
+export class GitHistoryDialog {
+  constructor(gitService) {
+    this.gitService = gitService
+    this.isOpen = false
+    this.element = null
+    this.doc = null
+    this.commits = []
+    this.callbacks = {}
+
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  /**
+   * Show the history of a document
+   * @param {Object} doc - Synced document
+   * @param {Object} callbacks - onDiff(sha) and onRestore(sha), called after the dialog closes
+   * @returns {Promise<Object>} Result of loading the history
+   */
+  async show(doc, callbacks = {}) {
+    if (this.isOpen) return { success: true, message: 'History already open' }
+
+    const history = await this.gitService.getDocumentHistory(doc.id)
+    if (!history.success) return history
+
+    this.doc = history.document
+    this.commits = history.commits
+    this.callbacks = callbacks
+    this.isOpen = true
+
+    this.element = document.createElement('div')
+    this.element.className = 'git-history-overlay'
+    this.element.innerHTML = this.getDialogHTML()
+    document.body.appendChild(this.element)
+
+    this.element.addEventListener('click', (e) => this.handleClick(e))
+    document.addEventListener('keydown', this.handleKeydown, true)
+    document.body.classList.add('dialog-open')
+    this.element.querySelector('.git-history-dialog').focus()
+
+    return history
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    document.removeEventListener('keydown', this.handleKeydown, true)
+    this.element?.remove()
+    this.element = null
+    document.body.classList.remove('dialog-open')
+  }
+
+  /**
+   * Get dialog HTML
+   * @returns {string} HTML string
+   */
+  getDialogHTML() {
+    return `
+      <div class="git-history-dialog" role="dialog" aria-labelledby="git-history-title"
+        tabindex="-1">
+        <div class="git-history-header">
+          <h2 id="git-history-title">📜 ${this.escapeHtml(this.doc.title)}</h2>
+          <div class="git-history-actions">
+            <button class="git-history-btn" data-action="commits" aria-pressed="true">
+              Commits
+            </button>
+            <button class="git-history-btn" data-action="blame" aria-pressed="false">
+              Blame
+            </button>
+            <button class="git-history-close-btn" title="Close (Esc)">&times;</button>
+          </div>
+        </div>
+        <div class="git-history-content">
+          ${this.getCommitsHTML()}
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Get the commit list
+   * @returns {string} HTML string
+   */
+  getCommitsHTML() {
+    if (this.commits.length === 0) {
+      return '<p class="git-history-empty">No commits of this document yet</p>'
+    }
+
+    return `
+      <ol class="git-commit-list">
+        ${this.commits
+          .map(
+            (commit) => `
+          <li class="git-commit" data-sha="${commit.sha}">
+            <div class="git-commit-info">
+              <div class="git-commit-message">
+                ${this.escapeHtml(commit.message.split('\n')[0])}
+              </div>
+              <div class="git-commit-meta">
+                <code>${commit.sha.slice(0, 7)}</code> · ${this.escapeHtml(commit.author)} ·
+                ${this.formatDate(commit.date)}
+              </div>
+            </div>
+            <button class="git-history-btn" data-action="diff" data-sha="${commit.sha}"
+              title="Compare with the version before this commit">Diff</button>
+            <button class="git-history-btn" data-action="restore" data-sha="${commit.sha}"
+              title="Restore this version as a new revision">Restore</button>
+          </li>`
+          )
+          .join('')}
+      </ol>
+    `
+  }
+
+  /**
+   * Get the blame view
+   * @param {Array} paragraphs - Paragraphs from GitService.blameDocument()
+   * @returns {string} HTML string
+   */
+  getBlameHTML(paragraphs) {
+    if (paragraphs.length === 0) {
+      return '<p class="git-history-empty">This document is empty</p>'
+    }
+
+    return paragraphs
+      .map(
+        ({ text, commit }) => `
+      <div class="git-blame-paragraph ${commit ? '' : 'uncommitted'}">
+        <div class="git-blame-meta">
+          ${
+            commit
+              ? `${this.escapeHtml(commit.author)} · ${this.formatDate(commit.date)} ·
+                 <code>${commit.sha.slice(0, 7)}</code>
+                 ${this.escapeHtml(commit.message.split('\n')[0])}`
+              : 'Not synced yet'
+          }
+        </div>
+        <div class="git-blame-text">${this.escapeHtml(text)}</div>
+      </div>`
+      )
+      .join('')
+  }
+
+  /**
+   * Handle button clicks
+   * @param {Event} e - Click event
+   */
+  async handleClick(e) {
+    if (e.target === this.element || e.target.closest('.git-history-close-btn')) {
+      this.hide()
+      return
+    }
+
+    const button = e.target.closest('[data-action]')
+    if (!button) return
+
+    const { action, sha } = button.dataset
+    switch (action) {
+      case 'commits':
+      case 'blame':
+        await this.showView(action)
+        break
+
+      case 'diff':
+        this.hide()
+        await this.callbacks.onDiff?.(sha)
+        break
+
+      case 'restore':
+        this.hide()
+        await this.callbacks.onRestore?.(sha)
+        break
+    }
+  }
+
+  /**
+   * Switch between the commit list and the blame view
+   * @param {string} view - 'commits' or 'blame'
+   */
+  async showView(view) {
+    const content = this.element.querySelector('.git-history-content')
+    this.element.querySelectorAll('[aria-pressed]').forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.action === view))
+    })
+
+    if (view === 'commits') {
+      content.innerHTML = this.getCommitsHTML()
+      return
+    }
+
+    content.innerHTML = '<p class="git-history-empty">Reading history…</p>'
+    const blame = await this.gitService.blameDocument(this.doc.id)
+    if (!this.isOpen) return
+
+    content.innerHTML = blame.success
+      ? this.getBlameHTML(blame.paragraphs)
+      : `<p class="git-history-empty">${this.escapeHtml(blame.message)}</p>`
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      e.stopPropagation()
+      this.hide()
+    }
+  }
+
+  /**
+   * Format a commit date
+   * @param {string} date - ISO date
+   * @returns {string} Localized date and time
+   */
+  formatDate(date) {
+    return date
+      ? new Date(date).toLocaleString('en-US', {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        })
+      : ''
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text || ''
+    return div.innerHTML
+  }
+}
@@ -11,6 +11,8 @@ export class GitHubSyncStatus {
       syncing: false,
       lastSync: null,
       queuedItems: 0,
+      failedItems: 0,
+      operations: [],
       conflicts: 0,
       error: null
     }
@@ -120,6 +122,15 @@ export class GitHubSyncStatus {
             </div>
           </div>
 
+          <div class="sync-section queue-section" style="display: none;">
+            <h4>⏳ Queued Changes</h4>
+            <ul class="sync-queue-list"></ul>
+            <button class="sync-action-btn retry-queue" data-action="retry">
+              <span class="btn-icon">🔁</span>
+              Retry Now
+            </button>
+          </div>
+
           <div class="sync-section actions-section">
             <h4>⚡ Quick Actions</h4>
             <div class="sync-actions">
@@ -154,7 +165,7 @@ export class GitHubSyncStatus {
   updateDisplay() {
     if (!this.element) return
 
-    const { connected, syncing, lastSync, queuedItems, conflicts, error } = this.status
+    const { connected, syncing, lastSync, queuedItems, failedItems, conflicts, error } = this.status
 
     // Update main status indicator
     const statusIndicator = this.element.querySelector('.status-indicator')
@@ -206,6 +217,12 @@ export class GitHubSyncStatus {
       statusMessage.textContent = 'Sync Conflicts'
       statusDetails.textContent = `${conflicts} conflict${conflicts > 1 ? 's' : ''}`
       errorSection.style.display = 'none'
+    } else if (failedItems > 0) {
+      this.element.classList.add('status-error')
+      statusIndicator.textContent = '❌'
+      statusMessage.textContent = 'Sync Failed'
+      statusDetails.textContent = `${failedItems} change${failedItems > 1 ? 's' : ''} failed`
+      errorSection.style.display = 'none'
     } else if (queuedItems > 0) {
       this.element.classList.add('status-pending')
       statusIndicator.textContent = '⏳'
@@ -257,6 +274,53 @@ export class GitHubSyncStatus {
     } else {
       queuedCount.parentElement.classList.remove('has-queued')
     }
+
+    this.updateQueueList()
+  }
+
+  /**
+   * List queued operations with their retry state
+   */
+  updateQueueList() {
+    const operations = this.status.operations || []
+    const section = this.element.querySelector('.queue-section')
+    const list = this.element.querySelector('.sync-queue-list')
+    const icons = { upsert: '📝', rename: '✏️', delete: '🗑️' }
+
+    section.style.display = operations.length > 0 ? 'block' : 'none'
+    list.innerHTML = ''
+    operations.forEach((op) => {
+      const item = document.createElement('li')
+      item.className = `sync-queue-item ${op.status}`
+
+      const title = document.createElement('span')
+      title.className = 'sync-queue-title'
+      title.textContent = `${icons[op.type] || '📝'} ${op.title}`
+
+      const state = document.createElement('span')
+      state.className = 'sync-queue-state'
+      state.textContent = this.formatOperationState(op)
+      if (op.lastError) state.title = op.lastError
+
+      item.append(title, state)
+      list.appendChild(item)
+    })
+  }
+
+  /**
+   * Describe where a queued operation stands
+   * @param {Object} op - Queued operation
+   * @returns {string} State text
+   */
+  formatOperationState(op) {
+    if (op.status === 'failed') return `Failed after ${op.attempts} attempts`
+    if (op.attempts === 0) return 'Waiting'
+
+    const time = new Date(op.nextAttemptAt).toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+    return `Retrying at ${time}`
   }
 
   /**
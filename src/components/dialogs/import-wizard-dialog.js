@@ -0,0 +1,408 @@
+/**
+ * ImportWizardDialog - Bulk import of markdown folders, zip archives and Obsidian vaults
+ * Step one takes a dropped or chosen folder or .zip with tag options, step two lists every
+ * note with its duplicates so the user can skip, merge or keep both, and step three reports
+ * what was imported.
+ */
+import { DUPLICATE_ACTIONS, parseTagMap } from '../../core/import/bulk-importer.js'
+
+const ACTION_LABELS = {
+  create: 'Import',
+  skip: 'Skip',
+  merge: 'Merge',
+  'keep-both': 'Keep both'
+}
+
+export class ImportWizardDialog {
+  constructor(importer) {
+    this.importer = importer
+    this.isOpen = false
+    this.element = null
+    this.plan = null
+    this.onComplete = null
+
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  /**
+   * Show the dialog
+   * @param {Function} onComplete - Called with the import result once notes were imported
+   */
+  show(onComplete = null) {
+    if (this.isOpen) return
+
+    this.isOpen = true
+    this.plan = null
+    this.onComplete = onComplete
+    this.element = document.createElement('div')
+    this.element.className = 'import-wizard-overlay'
+    this.element.innerHTML = this.getDialogHTML()
+    document.body.appendChild(this.element)
+
+    this.element.addEventListener('click', (e) => this.handleClick(e))
+    this.element.addEventListener('change', (e) => this.handleChange(e))
+    this.element.addEventListener('dragover', (e) => this.handleDragOver(e))
+    this.element.addEventListener('dragleave', (e) => this.handleDragLeave(e))
+    this.element.addEventListener('drop', (e) => this.handleDrop(e))
+    document.addEventListener('keydown', this.handleKeydown, true)
+    document.body.classList.add('dialog-open')
+    this.element.querySelector('.import-wizard-dialog').focus()
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    this.plan = null
+    document.removeEventListener('keydown', this.handleKeydown, true)
+    this.element?.remove()
+    this.element = null
+    document.body.classList.remove('dialog-open')
+  }
+
+  /**
+   * Get dialog HTML
+   * @returns {string} HTML string
+   */
+  getDialogHTML() {
+    return `
+      <div class="import-wizard-dialog" role="dialog" aria-labelledby="import-wizard-title"
+        tabindex="-1">
+        <div class="import-wizard-header">
+          <h2 id="import-wizard-title">📥 Import Notes</h2>
+          <button class="import-wizard-close-btn" title="Close (Esc)">&times;</button>
+        </div>
+        <div class="import-wizard-content">
+          ${this.getSourceHTML()}
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Step one: choose what to import
+   * @returns {string} HTML string
+   */
+  getSourceHTML() {
+    return `
+      <div class="import-drop-zone" tabindex="0">
+        <p>Drop a folder, markdown files or a <code>.zip</code> here</p>
+        <div class="import-source-actions">
+          <button class="import-wizard-btn" data-action="pick-folder">Choose Folder</button>
+          <button class="import-wizard-btn" data-action="pick-zip">Choose Zip</button>
+        </div>
+      </div>
+      <div class="import-options">
+        <label>
+          Add tags
+          <input type="text" class="import-extra-tags" value="imported"
+            placeholder="imported, vault">
+        </label>
+        <label>
+          Rename tags
+          <input type="text" class="import-tag-map" placeholder="wip=draft, private=">
+        </label>
+        <label class="import-option-check">
+          <input type="checkbox" class="import-inline-tags" checked>
+          Use #tags in the text
+        </label>
+      </div>
+      <p class="import-status" role="status"></p>
+    `
+  }
+
+  /**
+   * Step two: review notes and choose what to do with duplicates
+   * @returns {string} HTML string
+   */
+  getReviewHTML() {
+    const { items, warnings, ignored } = this.plan
+    const duplicates = items.filter((item) => item.duplicates.length > 0).length
+    const summary = duplicates
+      ? `${items.length} note(s) found, ${duplicates} look like existing documents`
+      : `${items.length} note(s) found`
+
+    return `
+      <p class="import-summary">${summary}</p>
+      <ul class="import-item-list">
+        ${items.map((item, index) => this.getItemHTML(item, index)).join('')}
+      </ul>
+      ${this.getNoticesHTML(warnings, ignored)}
+      <div class="import-wizard-footer">
+        <button class="import-wizard-btn" data-action="back">Back</button>
+        <button class="import-wizard-btn primary" data-action="import">Import</button>
+      </div>
+    `
+  }
+
+  /**
+   * Get one note of the review list
+   * @param {Object} item - Plan item
+   * @param {number} index - Item index
+   * @returns {string} HTML string
+   */
+  getItemHTML(item, index) {
+    const actions = item.duplicates.length > 0 ? DUPLICATE_ACTIONS : ['create', 'skip']
+    const [match] = item.duplicates
+    const location = item.folder ? `${item.folder}/` : ''
+    const tags = item.tags.map((tag) => `#${tag}`).join(' ')
+
+    return `
+      <li class="import-item ${match ? 'duplicate' : ''}">
+        <div class="import-item-info">
+          <div class="import-item-title">${this.escapeHtml(item.title)}</div>
+          <div class="import-item-meta">
+            ${this.escapeHtml(location + item.path.split('/').pop())}
+            ${tags ? ` · ${this.escapeHtml(tags)}` : ''}
+          </div>
+          ${
+            match
+              ? `<div class="import-item-duplicate">
+              ${match.similarity}% like "${this.escapeHtml(match.document.title)}":
+              ${this.escapeHtml(match.reasons.join(', '))}
+            </div>`
+              : ''
+          }
+        </div>
+        <select class="import-item-action" data-index="${index}"
+          aria-label="Action for ${this.escapeHtml(item.title)}">
+          ${actions
+            .map(
+              (action) =>
+                `<option value="${action}" ${action === item.action ? 'selected' : ''}>
+                  ${ACTION_LABELS[action]}
+                </option>`
+            )
+            .join('')}
+        </select>
+      </li>
+    `
+  }
+
+  /**
+   * Get attachment warnings and files that are not imported
+   * @returns {string} HTML string
+   */
+  getNoticesHTML(warnings, ignored) {
+    if (warnings.length === 0 && ignored.length === 0) return ''
+
+    const list = (lines) => lines.map((line) => `<li>${this.escapeHtml(line)}</li>`).join('')
+    return `
+      <details class="import-notices">
+        <summary>${warnings.length + ignored.length} notice(s)</summary>
+        <ul>
+          ${list(warnings)}
+          ${list(ignored.map((path) => `${path}: not a note or image, not imported`))}
+        </ul>
+      </details>
+    `
+  }
+
+  /**
+   * Step three: report the result
+   * @param {Object} result - Result of BulkImporter.run()
+   * @returns {string} HTML string
+   */
+  getResultHTML(result) {
+    const failures = result.failed
+      .map(({ path, error }) => `<li>${this.escapeHtml(`${path}: ${error}`)}</li>`)
+      .join('')
+
+    return `
+      <p class="import-summary">
+        Imported ${result.created} note(s), merged ${result.merged}, skipped ${result.skipped}
+      </p>
+      ${failures ? `<ul class="import-failures">${failures}</ul>` : ''}
+      <div class="import-wizard-footer">
+        <button class="import-wizard-btn primary" data-action="close">Done</button>
+      </div>
+    `
+  }
+
+  /**
+   * Read the chosen files into an import plan and show the review step
+   * @param {Array} files - Files as File or { file, path }
+   */
+  async prepare(files) {
+    if (files.length === 0) return
+
+    const options = {
+      tags: this.element.querySelector('.import-extra-tags').value.split(','),
+      tagMap: parseTagMap(this.element.querySelector('.import-tag-map').value),
+      inlineTags: this.element.querySelector('.import-inline-tags').checked
+    }
+
+    this.setStatus(`Reading ${files.length} file(s)...`)
+    try {
+      this.plan = await this.importer.prepare(files, options)
+      this.setContent(this.getReviewHTML())
+    } catch (error) {
+      this.setStatus(error.message, true)
+    }
+  }
+
+  /**
+   * Import the reviewed plan
+   */
+  async runImport() {
+    const button = this.element.querySelector('[data-action="import"]')
+    button.disabled = true
+
+    const result = await this.importer.run(this.plan, (done, total) => {
+      button.textContent = `Importing ${done}/${total}...`
+    })
+
+    if (!this.isOpen) return
+    this.setContent(this.getResultHTML(result))
+    this.onComplete?.(result)
+  }
+
+  /**
+   * Handle clicks on the dialog
+   * @param {MouseEvent} e - Click event
+   */
+  handleClick(e) {
+    if (e.target === this.element || e.target.closest('.import-wizard-close-btn')) {
+      this.hide()
+      return
+    }
+
+    const action = e.target.closest('[data-action]')?.dataset.action
+    switch (action) {
+      case 'pick-folder':
+        this.pickFiles({ directory: true })
+        break
+      case 'pick-zip':
+        this.pickFiles({ accept: '.zip,application/zip' })
+        break
+      case 'back':
+        this.plan = null
+        this.setContent(this.getSourceHTML())
+        break
+      case 'import':
+        this.runImport()
+        break
+      case 'close':
+        this.hide()
+        break
+    }
+  }
+
+  /**
+   * Keep the plan in step with the per-note action selects
+   * @param {Event} e - Change event
+   */
+  handleChange(e) {
+    const select = e.target.closest('.import-item-action')
+    if (select && this.plan) {
+      this.plan.items[Number(select.dataset.index)].action = select.value
+    }
+  }
+
+  handleDragOver(e) {
+    const zone = e.target.closest?.('.import-drop-zone')
+    if (!zone) return
+    e.preventDefault()
+    zone.classList.add('drag-over')
+  }
+
+  handleDragLeave(e) {
+    e.target.closest?.('.import-drop-zone')?.classList.remove('drag-over')
+  }
+
+  async handleDrop(e) {
+    const zone = e.target.closest?.('.import-drop-zone')
+    if (!zone) return
+    e.preventDefault()
+    zone.classList.remove('drag-over')
+    await this.prepare(await readDroppedFiles(e.dataTransfer))
+  }
+
+  /**
+   * Open a file picker for a folder or a zip archive
+   * @param {Object} options - { directory, accept }
+   */
+  pickFiles({ directory = false, accept = '' } = {}) {
+    const input = document.createElement('input')
+    input.type = 'file'
+    if (directory) {
+      input.webkitdirectory = true
+      input.multiple = true
+    } else {
+      input.accept = accept
+    }
+    input.addEventListener('change', () => this.prepare(Array.from(input.files)))
+    input.click()
+  }
+
+  setContent(html) {
+    this.element.querySelector('.import-wizard-content').innerHTML = html
+  }
+
+  setStatus(message, isError = false) {
+    const status = this.element?.querySelector('.import-status')
+    if (!status) return
+    status.textContent = message
+    status.classList.toggle('error', isError)
+  }
+
+  /**
+   * Handle keyboard events
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      e.stopPropagation()
+      this.hide()
+    }
+  }
+
+  /**
+   * Escape HTML characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
+
+/**
+ * Collect dropped files, walking dropped folders
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Promise<Array>} Files as { file, path }
+ */
+async function readDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []).map((file) => ({ file, path: file.name }))
+  }
+
+  const files = []
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      files.push({ file, path: entry.fullPath.replace(/^\//, '') })
+      return
+    }
+
+    const reader = entry.createReader()
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      if (batch.length === 0) break
+      for (const child of batch) await walk(child)
+    }
+  }
+
+  for (const entry of entries) await walk(entry)
+  return files
+}
@@ -61,7 +61,7 @@ export class SettingsDialog {
         id: 'codemirror', 
         name: '🖥️ CodeMirror', 
         label: 'CodeMirror Settings',
-        keywords: ['line numbers', 'wrap', 'fold', 'font', 'bracket']
+        keywords: ['line numbers', 'wrap', 'fold', 'font', 'bracket', 'lint', 'prose', 'passive', 'adverb', 'cliché', 'echo']
       },
       { 
         id: 'git-integration', 
@@ -759,7 +759,7 @@ export class SettingsDialog {
       return checked
     }
     
-    if (setting.includes('width') || setting.includes('zoom') || setting.includes('Interval')) {
+    if (setting.includes('width') || setting.includes('zoom') || setting.includes('Interval') || setting.includes('Distance')) {
       const parsed = parseFloat(value)
       return isNaN(parsed) ? value : parsed
     }
@@ -1361,6 +1361,17 @@ export class SettingsDialog {
         if (codemirror.fontSize !== undefined) this.settingsManager.set('codemirror.fontSize', codemirror.fontSize)
         if (codemirror.fontFamily !== undefined) this.settingsManager.set('codemirror.fontFamily', codemirror.fontFamily)
       }
+
+      // Save prose lint settings
+      if (this.localSettings?.proseLint) {
+        const proseLint = this.localSettings.proseLint
+        if (proseLint.echoes !== undefined) this.settingsManager.set('proseLint.echoes', proseLint.echoes)
+        if (proseLint.echoDistance !== undefined) this.settingsManager.set('proseLint.echoDistance', proseLint.echoDistance)
+        if (proseLint.adverbs !== undefined) this.settingsManager.set('proseLint.adverbs', proseLint.adverbs)
+        if (proseLint.passiveVoice !== undefined) this.settingsManager.set('proseLint.passiveVoice', proseLint.passiveVoice)
+        if (proseLint.cliches !== undefined) this.settingsManager.set('proseLint.cliches', proseLint.cliches)
+        if (proseLint.filterWords !== undefined) this.settingsManager.set('proseLint.filterWords', proseLint.filterWords)
+      }
       
       this.hasChanges = false
       
@@ -1604,6 +1615,9 @@ export class SettingsDialog {
     if (setting.startsWith('codemirror.')) {
       return this.codeMirrorTab.validate({ codemirror: { [setting.split('.')[1]]: value } }).isValid
     }
+    if (setting.startsWith('proseLint.')) {
+      return this.codeMirrorTab.validate({ proseLint: { [setting.split('.')[1]]: value } }).isValid
+    }
     if (setting.startsWith('gitIntegration.')) {
       return this.gitIntegrationTab.validate({ gitIntegration: { [setting.split('.')[1]]: value } }).isValid
     }
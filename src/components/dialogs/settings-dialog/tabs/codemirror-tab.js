@@ -11,6 +11,7 @@ export class CodeMirrorTab {
     this.settingsManager = settingsManager
     this.fields = []
     this.defaults = getDefaultSettings('codemirror')
+    this.proseLintDefaults = getDefaultSettings('proseLint')
   }
 
   /**
@@ -26,6 +27,18 @@ export class CodeMirrorTab {
     }
   }
 
+  /**
+   * Get current prose lint settings with defaults
+   * @param {Object} localSettings - Current local settings
+   * @returns {Object} Prose lint settings
+   */
+  getProseLintSettings(localSettings) {
+    return {
+      ...this.proseLintDefaults,
+      ...(getSetting(localSettings, 'proseLint') || {})
+    }
+  }
+
   /**
    * Render the CodeMirror settings tab
    * @param {Object} localSettings - Current local settings
@@ -101,6 +114,62 @@ export class CodeMirrorTab {
         description: 'Show find panel at top of editor instead of bottom'
       })
 
+      const proseLint = this.getProseLintSettings(localSettings)
+
+      const echoesField = new SettingField({
+        label: 'Echoes',
+        type: 'checkbox',
+        setting: 'proseLint.echoes',
+        value: proseLint.echoes,
+        description: 'Flag a word used again soon after'
+      })
+
+      const echoDistanceField = new SettingField({
+        label: 'Echo distance',
+        type: 'select',
+        setting: 'proseLint.echoDistance',
+        value: proseLint.echoDistance,
+        options: [
+          { value: 25, label: '25 words' },
+          { value: 50, label: '50 words' },
+          { value: 100, label: '100 words' },
+          { value: 200, label: '200 words' }
+        ],
+        description: 'How close together repeated words are flagged'
+      })
+
+      const adverbsField = new SettingField({
+        label: 'Adverbs',
+        type: 'checkbox',
+        setting: 'proseLint.adverbs',
+        value: proseLint.adverbs,
+        description: 'Flag -ly adverbs that a stronger verb could replace'
+      })
+
+      const passiveVoiceField = new SettingField({
+        label: 'Passive voice',
+        type: 'checkbox',
+        setting: 'proseLint.passiveVoice',
+        value: proseLint.passiveVoice,
+        description: 'Flag constructions such as "the gate was opened"'
+      })
+
+      const clichesField = new SettingField({
+        label: 'Clichés',
+        type: 'checkbox',
+        setting: 'proseLint.cliches',
+        value: proseLint.cliches,
+        description: 'Flag stock phrases such as "in the nick of time"'
+      })
+
+      const filterWordsField = new SettingField({
+        label: 'Filter words',
+        type: 'checkbox',
+        setting: 'proseLint.filterWords',
+        value: proseLint.filterWords,
+        description: 'Flag words like saw, felt and heard that distance the reader'
+      })
+
 
 
       return `
@@ -118,6 +187,20 @@ export class CodeMirrorTab {
             ${searchTopField.render()}
           </div>
 
+          <div class="settings-section">
+            <h4>Prose Linting</h4>
+            <p class="settings-section-description">
+              Underline style issues while you write. Use :lint for counts per chapter.
+            </p>
+
+            ${echoesField.render()}
+            ${echoDistanceField.render()}
+            ${adverbsField.render()}
+            ${passiveVoiceField.render()}
+            ${clichesField.render()}
+            ${filterWordsField.render()}
+          </div>
+
           <div class="settings-section credits-section">
             <h4>About CodeMirror</h4>
             <div class="credits-content">
@@ -182,7 +265,9 @@ export class CodeMirrorTab {
 
     try {
       // Standard form field event listeners
-      const checkboxes = container.querySelectorAll('input[type="checkbox"][data-setting^="codemirror."]')
+      const checkboxes = container.querySelectorAll(
+        'input[type="checkbox"][data-setting^="codemirror."], input[type="checkbox"][data-setting^="proseLint."]'
+      )
       checkboxes.forEach(checkbox => {
         checkbox.addEventListener('change', (e) => {
           const setting = e.target.dataset.setting
@@ -204,8 +289,11 @@ export class CodeMirrorTab {
    */
   validate(settings) {
     const errors = []
-    // Currently no validation needed for CodeMirror settings
-    // All settings are boolean or have predefined select options
+    // CodeMirror settings are boolean or have predefined select options
+    const echoDistance = getSetting(settings, 'proseLint.echoDistance')
+    if (echoDistance !== undefined && !(echoDistance >= 5 && echoDistance <= 500)) {
+      errors.push('Echo distance must be between 5 and 500 words')
+    }
 
     return {
       isValid: errors.length === 0,
@@ -222,7 +310,7 @@ export class CodeMirrorTab {
       id: 'codemirror',
       name: '📝 Editor',
       label: 'Editor Settings',
-      keywords: ['line numbers', 'wrap', 'fold', 'font', 'bracket', 'indentation', 'tab', 'writing', 'editor']
+      keywords: ['line numbers', 'wrap', 'fold', 'font', 'bracket', 'indentation', 'tab', 'writing', 'editor', 'lint', 'prose', 'style']
     }
   }
 }
\ No newline at end of file
@@ -173,6 +173,14 @@ export function getDefaultSettings(component) {
     privacy: {
       agreedToTerms: false,
       agreedDate: null
+    },
+    proseLint: {
+      echoes: true,
+      echoDistance: 50,
+      adverbs: true,
+      passiveVoice: true,
+      cliches: true,
+      filterWords: true
     }
   }
   
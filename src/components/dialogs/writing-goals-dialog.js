@@ -0,0 +1,187 @@
+/**
+ * WritingGoalsDialog - Writing goal progress, streak and daily history heatmap
+ * Shows today's, this session's and each project's progress with the pace needed
+ * to reach project deadlines.
+ */
+const HEATMAP_WEEKS = 26
+
+export class WritingGoalsDialog {
+  constructor(goalsManager) {
+    this.goalsManager = goalsManager
+    this.isOpen = false
+    this.element = null
+
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  /**
+   * Show the dialog
+   * @param {Object} currentDocument - Open document, used for its project goal
+   */
+  async show(currentDocument = null) {
+    if (this.isOpen) return
+
+    const [status, streak, heatmap, projects] = await Promise.all([
+      this.goalsManager.getStatus(currentDocument),
+      this.goalsManager.getStreak(),
+      this.goalsManager.getHeatmap(HEATMAP_WEEKS),
+      this.goalsManager.getAllProjectProgress()
+    ])
+
+    this.isOpen = true
+    this.element = document.createElement('div')
+    this.element.className = 'goals-dialog-overlay'
+    this.element.innerHTML = this.getDialogHTML(status, streak, heatmap, projects)
+    document.body.appendChild(this.element)
+
+    this.element.querySelector('.goals-close-btn').addEventListener('click', () => this.hide())
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element) this.hide()
+    })
+    document.addEventListener('keydown', this.handleKeydown, true)
+    document.body.classList.add('dialog-open')
+    this.element.querySelector('.goals-dialog').focus()
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    document.removeEventListener('keydown', this.handleKeydown, true)
+    this.element?.remove()
+    this.element = null
+    document.body.classList.remove('dialog-open')
+  }
+
+  /**
+   * Get dialog HTML
+   * @returns {string} HTML string
+   */
+  getDialogHTML(status, streak, heatmap, projects) {
+    return `
+      <div class="goals-dialog" role="dialog" aria-labelledby="goals-title" tabindex="-1">
+        <div class="goals-dialog-header">
+          <h2 id="goals-title">🎯 Writing Goals</h2>
+          <button class="goals-close-btn" title="Close (Esc)">&times;</button>
+        </div>
+        <div class="goals-dialog-content">
+          <div class="goals-streak">
+            🔥 ${streak.current}-day streak · best ${streak.best}
+          </div>
+          <div class="goals-progress">
+            ${this.getProgressHTML('Today', status.today.words, status.today.goal)}
+            ${this.getProgressHTML('This session', status.session.words, status.session.goal)}
+            ${projects.map((project) => this.getProjectHTML(project)).join('')}
+          </div>
+          ${this.getHeatmapHTML(heatmap)}
+          <p class="goals-help">
+            Set goals with <code>:goals daily 1000</code>, <code>:goals session 500</code> or
+            <code>:goals project 50000 2024-11-30 2024-11-01</code>
+          </p>
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Get a progress bar
+   * @param {string} label - Goal label
+   * @param {number} words - Words written
+   * @param {number} goal - Goal in words (0 when not set)
+   * @param {string} detail - Extra line under the bar
+   * @returns {string} HTML string
+   */
+  getProgressHTML(label, words, goal, detail = '') {
+    const written = Math.max(words, 0)
+    const percent = goal ? Math.min(Math.round((written / goal) * 100), 100) : 0
+    const summary = goal
+      ? `${written.toLocaleString()} / ${goal.toLocaleString()} words`
+      : `${written.toLocaleString()} words · no goal`
+
+    return `
+      <div class="goal-row ${goal && written >= goal ? 'goal-met' : ''}">
+        <div class="goal-label">
+          <span>${this.escapeHtml(label)}</span>
+          <span class="goal-summary">${summary}</span>
+        </div>
+        <div class="goal-bar" role="progressbar" aria-valuenow="${percent}"
+          aria-valuemin="0" aria-valuemax="100">
+          <div class="goal-bar-fill" style="width: ${percent}%"></div>
+        </div>
+        ${detail ? `<div class="goal-detail">${detail}</div>` : ''}
+      </div>
+    `
+  }
+
+  /**
+   * Get a project goal with its deadline pace
+   * @param {Object} project - Progress from GoalsManager.getProjectProgress()
+   * @returns {string} HTML string
+   */
+  getProjectHTML(project) {
+    let detail = `${project.remaining.toLocaleString()} words to go`
+    if (project.deadline) {
+      detail +=
+        project.daysLeft > 0
+          ? ` · ${project.pace.toLocaleString()} words/day for ${project.daysLeft} day(s) until ${project.deadline}` +
+            ` · ${project.todayRemaining.toLocaleString()} left today`
+          : ` · deadline ${project.deadline} has passed`
+    }
+    return this.getProgressHTML(project.title, project.words, project.target, detail)
+  }
+
+  /**
+   * Get the calendar heatmap, one column per week from Sunday to Saturday
+   * @param {Array} days - Days from GoalsManager.getHeatmap()
+   * @returns {string} HTML string
+   */
+  getHeatmapHTML(days) {
+    const total = days.reduce((sum, day) => sum + Math.max(day.words, 0), 0)
+    const cells = days
+      .map((day) => {
+        const words = `${day.words.toLocaleString()} word${Math.abs(day.words) === 1 ? '' : 's'}`
+        return `<span class="heatmap-day level-${day.level}" data-date="${day.date}"
+          title="${day.date}: ${words}"></span>`
+      })
+      .join('')
+
+    return `
+      <div class="goals-heatmap">
+        <div class="heatmap-header">
+          <span>Last ${HEATMAP_WEEKS} weeks</span>
+          <span>${total.toLocaleString()} words written</span>
+        </div>
+        <div class="heatmap-grid">${cells}</div>
+        <div class="heatmap-legend">
+          Less ${[0, 1, 2, 3, 4].map((level) => `<span class="heatmap-day level-${level}"></span>`).join('')} More
+        </div>
+      </div>
+    `
+  }
+
+  /**
+   * Handle keyboard events
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      e.stopPropagation()
+      this.hide()
+    }
+  }
+
+  /**
+   * Escape HTML characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
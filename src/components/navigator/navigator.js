@@ -1,13 +1,13 @@
 /**
  * Navigator Component - Tabbed sidebar panel for document navigation
- * Features: Documents list, Document outline, and Search functionality
+ * Features: Documents list, Document outline, Search functionality, Manuscript projects and Codex
  */
 
 export class Navigator {
   constructor(container, app) {
     this.container = container
     this.app = app
-    this.tabs = ['documents', 'outline', 'search']
+    this.tabs = ['documents', 'outline', 'search', 'projects', 'codex']
     this.activeTab = 'documents'
     this.isPinned = false
     this.isVisible = false
@@ -51,6 +51,12 @@ export class Navigator {
           <button class="navigator-tab" data-tab="search" role="tab" aria-selected="false">
             <span class="tab-label">Search</span>
           </button>
+          <button class="navigator-tab" data-tab="projects" role="tab" aria-selected="false">
+            <span class="tab-label">Projects</span>
+          </button>
+          <button class="navigator-tab" data-tab="codex" role="tab" aria-selected="false">
+            <span class="tab-label">Codex</span>
+          </button>
         </div>
       </div>
       
@@ -64,6 +70,12 @@ export class Navigator {
         <div class="navigator-panel" data-panel="search" role="tabpanel">
           <div id="search-tab-content"></div>
         </div>
+        <div class="navigator-panel" data-panel="projects" role="tabpanel">
+          <div id="projects-tab-content"></div>
+        </div>
+        <div class="navigator-panel" data-panel="codex" role="tabpanel">
+          <div id="codex-tab-content"></div>
+        </div>
       </div>
       
       <div class="navigator-resize-handle" aria-label="Resize navigator"></div>
@@ -76,11 +88,14 @@ export class Navigator {
   async initializeTabs() {
     try {
       // Lazy load tab components
-      const [documentsModule, outlineModule, searchModule] = await Promise.all([
-        import('./tabs/documents-tab.js'),
-        import('./tabs/outline-tab.js'),
-        import('./tabs/search-tab.js')
-      ])
+      const [documentsModule, outlineModule, searchModule, projectsModule, codexModule] =
+        await Promise.all([
+          import('./tabs/documents-tab.js'),
+          import('./tabs/outline-tab.js'),
+          import('./tabs/search-tab.js'),
+          import('./tabs/projects-tab.js'),
+          import('./tabs/codex-tab.js')
+        ])
 
       // Initialize Documents tab
       const documentsContainer = document.getElementById('documents-tab-content')
@@ -99,6 +114,18 @@ export class Navigator {
       if (searchContainer) {
         this.tabComponents.search = new searchModule.SearchTab(searchContainer, this.app)
       }
+
+      // Initialize Projects tab
+      const projectsContainer = document.getElementById('projects-tab-content')
+      if (projectsContainer) {
+        this.tabComponents.projects = new projectsModule.ProjectsTab(projectsContainer, this.app)
+      }
+
+      // Initialize Codex tab
+      const codexContainer = document.getElementById('codex-tab-content')
+      if (codexContainer) {
+        this.tabComponents.codex = new codexModule.CodexTab(codexContainer, this.app)
+      }
     } catch (error) {
       console.error('Failed to initialize navigator tabs:', error)
     }
@@ -123,7 +150,7 @@ export class Navigator {
     // Keyboard navigation
     this.container.addEventListener('keydown', (e) => {
       // Tab switching with keyboard
-      if (e.ctrlKey && e.key >= '1' && e.key <= '3') {
+      if (e.ctrlKey && e.key >= '1' && e.key <= String(this.tabs.length)) {
         const tabIndex = parseInt(e.key) - 1
         this.switchTab(this.tabs[tabIndex])
         e.preventDefault()
@@ -306,6 +333,13 @@ export class Navigator {
         if (searchInput && typeof searchInput.focus === 'function') {
           searchInput.focus()
         }
+      } else if (this.activeTab === 'projects') {
+        const firstRow = this.container.querySelector('.binder-row')
+        if (firstRow && typeof firstRow.focus === 'function') {
+          firstRow.focus()
+        }
+      } else if (this.activeTab === 'codex') {
+        activeTab.focusFilterInput?.()
       }
     }
   }
@@ -374,8 +408,24 @@ export class Navigator {
     setTimeout(() => this.focusActiveTab(), 100)
   }
 
-  openSearch(query) {
+  openProjects() {
+    this.openTab('projects')
+  }
+
+  openCodex() {
+    this.openTab('codex')
+  }
+
+  /**
+   * Open the search tab and run a query
+   * @param {string} query - Search query
+   * @param {Object} options - caseSensitive, wholeWord and regex flags; current ones when omitted
+   */
+  openSearch(query, options = null) {
     this.openTab('search')
+    if (options && this.tabComponents.search) {
+      this.tabComponents.search.setOptions(options)
+    }
     if (query && this.tabComponents.search) {
       this.tabComponents.search.performSearch(query)
     }
@@ -383,6 +433,13 @@ export class Navigator {
     setTimeout(() => this.focusActiveTab(), 100)
   }
 
+  openReplace(query) {
+    this.openTab('search')
+    if (this.tabComponents.search) {
+      this.tabComponents.search.showReplace(query)
+    }
+  }
+
   refresh() {
     // Refresh active tab
     if (this.tabComponents[this.activeTab] && this.tabComponents[this.activeTab].refresh) {
@@ -422,6 +479,15 @@ export class Navigator {
     if (this.tabComponents.documents) {
       this.tabComponents.documents.removeDocument(documentId)
     }
+
+    // Binder nodes keep their place but lose the deleted document
+    if (this.tabComponents.projects) {
+      this.tabComponents.projects.refresh()
+    }
+
+    if (this.tabComponents.codex) {
+      this.tabComponents.codex.refresh()
+    }
   }
 
   // Restore saved preferences
@@ -0,0 +1,341 @@
+/**
+ * Codex Tab - Worldbuilding codex browser
+ * Lists character, place and lore entries grouped by type, with a typed field editor per entry
+ */
+
+export class CodexTab {
+  constructor(container, app) {
+    this.container = container
+    this.app = app
+    this.entries = []
+    this.filterText = ''
+    this.selectedId = null
+    this.collapsed = new Set(JSON.parse(localStorage.getItem('codex-collapsed') || '[]'))
+
+    this.init()
+  }
+
+  init() {
+    this.container.className = 'codex-tab'
+    this.container.setAttribute('role', 'tree')
+    this.container.setAttribute('aria-label', 'Worldbuilding codex')
+
+    this.render()
+    this.attachEventListeners()
+    this.loadEntries()
+  }
+
+  render() {
+    const types = this.app.codexManager ? this.app.codexManager.getEntityTypes() : []
+
+    this.container.innerHTML = `
+      <div class="codex-header">
+        <input type="text"
+               class="codex-filter-input"
+               placeholder="Filter codex..."
+               aria-label="Filter codex entries">
+        <div class="codex-create">
+          <select class="codex-type-select" aria-label="Entry type">
+            ${types.map((type) => `<option value="${type}">${this.escapeHtml(type)}</option>`).join('')}
+          </select>
+          <input type="text"
+                 class="codex-name-input"
+                 placeholder="New entry name..."
+                 aria-label="New entry name">
+          <button class="codex-create-button" title="Create entry" aria-label="Create entry">＋</button>
+        </div>
+      </div>
+      <div class="codex-content">
+        <div class="codex-empty">
+          <p>No codex entries yet</p>
+          <small>Track characters, places and lore</small>
+        </div>
+      </div>
+    `
+  }
+
+  async loadEntries() {
+    if (!this.app.codexManager) return
+
+    try {
+      this.entries = await this.app.codexManager.getEntries()
+      this.renderEntries()
+    } catch (error) {
+      console.error('Failed to load codex entries:', error)
+      this.app.showNotification?.('Failed to load codex', 'error')
+    }
+  }
+
+  renderEntries() {
+    const content = this.container.querySelector('.codex-content')
+    if (!content) return
+
+    const filtered = this.entries.filter((entry) => this.matchesFilter(entry))
+    const groups = this.app.codexManager
+      .groupEntries(filtered)
+      .filter((group) => group.entries.length > 0 || !this.filterText)
+
+    if (this.filterText && filtered.length === 0) {
+      content.innerHTML = `
+        <div class="codex-empty">
+          <p>No matching entries</p>
+          <small>Try a different filter</small>
+        </div>
+      `
+      return
+    }
+
+    content.innerHTML = groups.map((group) => this.renderGroup(group)).join('')
+  }
+
+  renderGroup(group) {
+    const isCollapsed = this.collapsed.has(group.type) && !this.filterText
+
+    return `
+      <div class="codex-group" data-codex-type="${group.type}">
+        <div class="codex-group-header"
+             data-codex-type="${group.type}"
+             role="treeitem"
+             aria-expanded="${!isCollapsed}"
+             tabindex="0">
+          <span class="codex-toggle">${isCollapsed ? '▸' : '▾'}</span>
+          <span class="codex-icon">${group.schema.icon}</span>
+          <span class="codex-group-label">${this.escapeHtml(group.schema.label)}</span>
+          <span class="codex-count">${group.entries.length}</span>
+        </div>
+        ${
+          isCollapsed
+            ? ''
+            : `<div class="codex-entries" role="group">${group.entries
+                .map((entry) => this.renderEntry(entry, group.schema))
+                .join('')}</div>`
+        }
+      </div>
+    `
+  }
+
+  renderEntry(entry, schema) {
+    const isSelected = entry.id === this.selectedId
+    const summary = schema.fields
+      .map((field) => this.formatValue(entry.fields?.[field.key]))
+      .filter(Boolean)
+      .slice(0, 2)
+      .join(' · ')
+
+    return `
+      <div class="codex-entry ${isSelected ? 'selected' : ''}" data-entry-id="${entry.id}">
+        <div class="codex-entry-row"
+             data-entry-id="${entry.id}"
+             role="treeitem"
+             aria-level="2"
+             aria-selected="${isSelected}"
+             tabindex="0">
+          <span class="codex-entry-title">${this.escapeHtml(entry.title)}</span>
+          ${summary ? `<span class="codex-entry-summary">${this.escapeHtml(summary)}</span>` : ''}
+        </div>
+        ${isSelected ? this.renderFieldForm(entry, schema) : ''}
+      </div>
+    `
+  }
+
+  renderFieldForm(entry, schema) {
+    if (schema.fields.length === 0) {
+      return '<div class="codex-fields"><small>This type has no fields</small></div>'
+    }
+
+    const inputs = schema.fields
+      .map((field) => {
+        const id = `codex-field-${entry.id}-${field.key}`
+        const value = entry.fields?.[field.key]
+        const common = `id="${id}" class="codex-field-input" data-field="${field.key}"`
+
+        let input
+        if (field.type === 'longtext') {
+          input = `<textarea ${common} rows="3">${this.escapeHtml(value ?? '')}</textarea>`
+        } else if (field.type === 'number') {
+          input = `<input type="number" ${common} value="${value ?? ''}">`
+        } else {
+          const text = field.type === 'list' ? (value || []).join(', ') : (value ?? '')
+          const hint = field.type === 'list' ? ' placeholder="Comma separated"' : ''
+          input = `<input type="text" ${common} value="${this.escapeAttribute(text)}"${hint}>`
+        }
+
+        return `
+          <label class="codex-field" for="${id}">
+            <span class="codex-field-label">${this.escapeHtml(field.label)}</span>
+            ${input}
+          </label>
+        `
+      })
+      .join('')
+
+    return `
+      <form class="codex-fields" data-entry-id="${entry.id}">
+        ${inputs}
+        <div class="codex-field-actions">
+          <button type="submit" class="codex-save">Save fields</button>
+        </div>
+      </form>
+    `
+  }
+
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('.codex-create-button')) {
+        this.createEntry()
+        return
+      }
+
+      const header = e.target.closest('.codex-group-header')
+      if (header) {
+        this.toggleGroup(header.dataset.codexType)
+        return
+      }
+
+      const row = e.target.closest('.codex-entry-row')
+      if (row) {
+        this.openEntry(row.dataset.entryId)
+      }
+    })
+
+    this.container.addEventListener('input', (e) => {
+      if (e.target.classList.contains('codex-filter-input')) {
+        this.filterText = e.target.value.trim().toLowerCase()
+        this.renderEntries()
+      }
+    })
+
+    this.container.addEventListener('submit', (e) => {
+      const form = e.target.closest('.codex-fields')
+      if (form) {
+        e.preventDefault()
+        this.saveFields(form)
+      }
+    })
+
+    this.container.addEventListener('keydown', (e) => {
+      if (e.target.classList.contains('codex-name-input') && e.key === 'Enter') {
+        e.preventDefault()
+        this.createEntry()
+        return
+      }
+
+      if (e.key === 'Enter' && e.target.matches('.codex-group-header, .codex-entry-row')) {
+        e.preventDefault()
+        e.target.click()
+      }
+    })
+  }
+
+  async createEntry() {
+    const input = this.container.querySelector('.codex-name-input')
+    const codexType = this.container.querySelector('.codex-type-select')?.value
+    const name = input?.value.trim()
+    if (!name) {
+      input?.focus()
+      return
+    }
+
+    try {
+      const entry = await this.app.codexManager.createEntry(codexType, name)
+      input.value = ''
+      this.selectedId = entry.id
+      this.collapsed.delete(codexType)
+      this.saveCollapsedState()
+      this.app.loadDocument(entry)
+      this.app.navigator?.onDocumentCreate(entry)
+    } catch (error) {
+      this.app.showNotification?.(error.message, 'error')
+    }
+    await this.loadEntries()
+  }
+
+  /**
+   * Open the entry in the editor and show its field form
+   */
+  openEntry(entryId) {
+    const entry = this.entries.find((e) => e.id === entryId)
+    if (!entry) return
+
+    this.selectedId = this.selectedId === entryId ? null : entryId
+    if (this.app.currentDocument?.id !== entryId) {
+      this.app.loadDocument(entry)
+    }
+    this.renderEntries()
+  }
+
+  async saveFields(form) {
+    const entryId = form.dataset.entryId
+    const changes = {}
+    form.querySelectorAll('.codex-field-input').forEach((input) => {
+      changes[input.dataset.field] = input.value
+    })
+
+    try {
+      const saved = await this.app.codexManager.updateFields(entryId, changes)
+
+      // Keep the open document in step so the next editor save does not restore old fields
+      if (this.app.currentDocument?.id === saved.id) {
+        this.app.currentDocument.fields = saved.fields
+      }
+      // Aliases and other list values are custom dictionary words
+      this.app.spellChecker?.invalidate()
+      this.app.editor?.refreshSpellCheck?.()
+      this.app.showNotification?.(`Saved ${saved.title}`, 'success')
+    } catch (error) {
+      this.app.showNotification?.(error.message, 'error')
+    }
+    await this.loadEntries()
+  }
+
+  matchesFilter(entry) {
+    if (!this.filterText) return true
+    if (entry.title.toLowerCase().includes(this.filterText)) return true
+
+    return Object.values(entry.fields || {}).some((value) =>
+      this.formatValue(value).toLowerCase().includes(this.filterText)
+    )
+  }
+
+  formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ')
+    if (value === null || value === undefined) return ''
+    return String(value)
+  }
+
+  toggleGroup(codexType) {
+    if (this.collapsed.has(codexType)) {
+      this.collapsed.delete(codexType)
+    } else {
+      this.collapsed.add(codexType)
+    }
+    this.saveCollapsedState()
+    this.renderEntries()
+  }
+
+  saveCollapsedState() {
+    localStorage.setItem('codex-collapsed', JSON.stringify([...this.collapsed]))
+  }
+
+  focusFilterInput() {
+    this.container.querySelector('.codex-filter-input')?.focus()
+  }
+
+  onActivate() {
+    this.loadEntries()
+  }
+
+  refresh() {
+    return this.loadEntries()
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;')
+  }
+}
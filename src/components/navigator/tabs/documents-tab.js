@@ -3,12 +3,14 @@
  *
  * Features:
  * - RECENT/PREVIOUS document organization
+ * - Saved searches shown as smart collections
  * - Real-time Git sync status indicators
  * - Inline Git action buttons (push, pull, diff)
  * - Debounced filtering for performance
  * - Sorting options with persistent preferences
  * - Virtual scrolling for large document lists (100+ items)
  * - Enhanced keyboard navigation
+ * - Folder hierarchy for documents stored in repository subfolders
  * - Context menu support
  *
  * @class DocumentsTab
@@ -19,6 +21,8 @@
  */
 
 import { safeHTML } from '../../../utils/security.js'
+import { buildFolderTree, hasFolders } from '../../../utils/folders.js'
+import { isSavedSearchChange } from '../../../core/search/saved-searches.js'
 export class DocumentsTab {
   /**
    * Create a DocumentsTab instance
@@ -44,6 +48,16 @@ export class DocumentsTab {
     // Sorting preferences
     this.sortBy = localStorage.getItem('documents-sort-by') || 'recent'
 
+    // Collapsed repository folders
+    this.collapsedFolders = new Set(
+      JSON.parse(localStorage.getItem('documents-collapsed-folders') || '[]')
+    )
+
+    // Collapsed smart collections, by lower-case saved search name
+    this.collapsedCollections = new Set(
+      JSON.parse(localStorage.getItem('documents-collapsed-collections') || '[]')
+    )
+
     // Virtual scrolling for performance
     this.virtualScrolling = {
       enabled: false,
@@ -72,6 +86,13 @@ export class DocumentsTab {
     this.render()
     this.attachEventListeners()
     this.loadDocuments()
+
+    // Smart collections follow saved searches as they are added, changed and deleted
+    this.app.settingsManager?.addListener?.(({ event, data }) => {
+      if (isSavedSearchChange(event, data) && this.documents.length > 0) {
+        this.renderDocuments()
+      }
+    })
   }
 
   /**
@@ -204,6 +225,9 @@ export class DocumentsTab {
       }
     }
 
+    // Smart collections are views: their documents stay in the Previous group too
+    html += this.renderCollections()
+
     // Previous documents group - exclude already rendered recent documents
     const allDocuments = this.filter ? this.filterDocuments(this.documents) : this.documents
     const filteredDocuments = allDocuments.filter((doc) => !renderedDocumentIds.has(doc.id))
@@ -215,7 +239,7 @@ export class DocumentsTab {
 
     html += '</div>'
     // Safely set HTML content to prevent XSS attacks
-    safeHTML(html, ['div', 'span', 'a', 'strong', 'em', 'br', 'p', 'button'], ['class', 'data-doc-id', 'data-action', 'title', 'href', 'aria-label'])
+    safeHTML(html, ['div', 'span', 'a', 'strong', 'em', 'br', 'p', 'button'], ['class', 'data-doc-id', 'data-action', 'data-folder', 'data-collection', 'title', 'href', 'aria-label'])
       .then(sanitizedHtml => {
         content.innerHTML = sanitizedHtml
       })
@@ -306,8 +330,12 @@ export class DocumentsTab {
         <div class="group-items">
     `
 
-    for (const doc of documents) {
-      html += this.renderDocumentItem(doc)
+    if (hasFolders(documents)) {
+      html += this.renderFolderContents(buildFolderTree(documents))
+    } else {
+      for (const doc of documents) {
+        html += this.renderDocumentItem(doc)
+      }
     }
 
     html += `
@@ -318,7 +346,112 @@ export class DocumentsTab {
     return html
   }
 
-  renderDocumentItem(doc, isRecent = false) {
+  /**
+   * Render a group per saved search
+   * While filtering, only collections with matching documents are shown, always expanded
+   * @returns {string} HTML string
+   */
+  renderCollections() {
+    const documents = this.filter ? this.filterDocuments(this.documents) : this.documents
+
+    return (this.app.savedSearches?.list() || [])
+      .map((search) => {
+        const matches = this.app.savedSearches.getDocuments(search, documents)
+        if (this.filter && matches.length === 0) return ''
+
+        const key = search.name.toLowerCase()
+        const isCollapsed = this.collapsedCollections.has(key) && !this.filter
+        const items = isCollapsed ? '' : matches.map((doc) => this.renderDocumentItem(doc)).join('')
+
+        return `
+          <div class="documents-group collection-group ${isCollapsed ? 'collapsed' : ''}">
+            <div class="group-header collection-header" data-collection="${encodeURIComponent(key)}"
+                 title="${this.escapeHtml(search.query)}">
+              <span class="folder-toggle">${isCollapsed ? '▸' : '▾'}</span>
+              <span class="group-title">⭐ ${this.escapeHtml(search.name)}</span>
+              <span class="group-count">${matches.length}</span>
+            </div>
+            <div class="group-items">${items}</div>
+          </div>
+        `
+      })
+      .join('')
+  }
+
+  /**
+   * Expand or collapse a smart collection
+   * @param {string} key - Lower-case saved search name
+   */
+  toggleCollection(key) {
+    if (this.collapsedCollections.has(key)) {
+      this.collapsedCollections.delete(key)
+    } else {
+      this.collapsedCollections.add(key)
+    }
+    localStorage.setItem(
+      'documents-collapsed-collections',
+      JSON.stringify([...this.collapsedCollections])
+    )
+    this.renderDocuments()
+  }
+
+  /**
+   * Render a folder's subfolders followed by its own documents
+   * @param {Object} node - Folder node from buildFolderTree()
+   * @returns {string} HTML string
+   */
+  renderFolderContents(node) {
+    return [
+      ...node.folders.map((folder) => this.renderFolder(folder)),
+      ...node.documents.map((doc) => this.renderDocumentItem(doc, false, false))
+    ].join('')
+  }
+
+  /**
+   * Render a collapsible repository folder
+   * Folders are always expanded while filtering so matches stay visible
+   * @param {Object} folder - Folder node from buildFolderTree()
+   * @returns {string} HTML string
+   */
+  renderFolder(folder) {
+    const isCollapsed = this.collapsedFolders.has(folder.path) && !this.filter
+    const folderId = encodeURIComponent(folder.path)
+
+    return `
+      <div class="documents-folder ${isCollapsed ? 'collapsed' : ''}" data-folder="${folderId}">
+        <div class="folder-header" data-folder="${folderId}"
+             title="${this.escapeHtml(folder.path)}">
+          <span class="folder-toggle">${isCollapsed ? '▸' : '▾'}</span>
+          <span class="folder-name">📁 ${this.escapeHtml(folder.name)}</span>
+          <span class="folder-count">${folder.count}</span>
+        </div>
+        <div class="folder-items">${isCollapsed ? '' : this.renderFolderContents(folder)}</div>
+      </div>
+    `
+  }
+
+  /**
+   * Expand or collapse a repository folder
+   * @param {string} folderPath - Folder path relative to the documents directory
+   */
+  toggleFolder(folderPath) {
+    if (this.collapsedFolders.has(folderPath)) {
+      this.collapsedFolders.delete(folderPath)
+    } else {
+      this.collapsedFolders.add(folderPath)
+    }
+    localStorage.setItem('documents-collapsed-folders', JSON.stringify([...this.collapsedFolders]))
+    this.renderDocuments()
+  }
+
+  /**
+   * Render a document row
+   * @param {Object} doc - Document
+   * @param {boolean} isRecent - Whether the row is in the Recent section
+   * @param {boolean} showFolder - Show the document's folder; off inside the folder hierarchy
+   * @returns {string} HTML string
+   */
+  renderDocumentItem(doc, isRecent = false, showFolder = true) {
     const isSelected = doc.id === this.selectedDocumentId
     const syncStatus = this.getDocumentSyncStatus(doc)
     const timeAgo = this.formatTimeAgo(doc.updatedAt || doc.metadata?.modified)
@@ -346,6 +479,7 @@ export class DocumentsTab {
           </div>
           <div class="document-meta">
             <div class="document-meta-left">
+              ${showFolder ? this.renderFolderLabel(doc) : ''}
               <span class="document-time">${timeAgo}</span>
               ${this.renderWordCount(doc)}
             </div>
@@ -393,6 +527,9 @@ export class DocumentsTab {
       // Search in tags
       if (doc.tags && doc.tags.some((tag) => tag.toLowerCase().includes(lowerFilter))) return true
 
+      // Search in folder path
+      if (doc.folder && doc.folder.toLowerCase().includes(lowerFilter)) return true
+
       // Search in content (first 200 chars)
       if (doc.content && doc.content.substring(0, 200).toLowerCase().includes(lowerFilter))
         return true
@@ -472,6 +609,20 @@ export class DocumentsTab {
         return
       }
 
+      // Handle smart collection expand/collapse
+      const collectionHeader = e.target.closest('.collection-header')
+      if (collectionHeader) {
+        this.toggleCollection(decodeURIComponent(collectionHeader.dataset.collection))
+        return
+      }
+
+      // Handle folder expand/collapse
+      const folderHeader = e.target.closest('.folder-header')
+      if (folderHeader) {
+        this.toggleFolder(decodeURIComponent(folderHeader.dataset.folder))
+        return
+      }
+
       // Handle document item clicks (selection)
       const documentItem = e.target.closest('.document-item')
       if (documentItem) {
@@ -744,7 +895,13 @@ export class DocumentsTab {
     // Create context menu items
     const menuItems = [
       { label: 'Open', action: () => this.openDocument(docId), icon: '📖' },
-      { label: 'Rename', action: () => this.renameDocument(docId), icon: '✏️' }
+      { label: 'Rename', action: () => this.renameDocument(docId), icon: '✏️' },
+      {
+        label: 'Move to Folder',
+        action: () => this.moveDocument(docId),
+        icon: '📁',
+        shortcut: ':mv'
+      }
     ]
 
     // Add Git operations if available
@@ -901,6 +1058,27 @@ export class DocumentsTab {
     this.app.showNotification?.('Rename functionality not yet implemented', 'info')
   }
 
+  /**
+   * Ask for a folder and move a document there
+   * Synced documents are renamed in the repository on the next sync
+   * @param {string} docId - Document ID
+   */
+  async moveDocument(docId) {
+    const doc = this.documents.find((d) => d.id === docId)
+    if (!doc) return
+
+    const folder = prompt('Move to folder (leave empty for the top level):', doc.folder || '')
+    if (folder === null) return
+
+    try {
+      const moved = await this.app.moveDocument(docId, folder)
+      this.app.showNotification?.(`Moved to ${moved.folder || 'the top level'}`, 'success')
+    } catch (error) {
+      console.error('Failed to move document:', error)
+      this.app.showNotification?.(`Failed to move document: ${error.message}`, 'error')
+    }
+  }
+
   async deleteDocument(docId) {
     if (!docId) {
       const selected = this.container.querySelector('.document-item.selected')
@@ -910,7 +1088,10 @@ export class DocumentsTab {
 
     if (confirm('Are you sure you want to delete this document?')) {
       try {
+        const doc = await this.app.storageManager.getDocument(docId)
         await this.app.storageManager.deleteDocument(docId)
+        if (doc) this.app.queueSync?.(doc, 'delete')
+        await this.app.removeDocumentData?.(docId)
         this.app.showNotification?.('Document deleted', 'success')
         this.renderDocuments()
       } catch (error) {
@@ -1060,6 +1241,9 @@ export class DocumentsTab {
     // Search in tags
     if (doc.tags && doc.tags.some(tag => tag.toLowerCase().includes(lowerFilter))) return true
 
+    // Search in folder path
+    if (doc.folder && doc.folder.toLowerCase().includes(lowerFilter)) return true
+
     // Search in content (first 500 chars for performance)
     if (doc.content) {
       const contentPreview = doc.content.substring(0, 500).toLowerCase()
@@ -1084,6 +1268,13 @@ export class DocumentsTab {
       // Hide empty groups
       group.style.display = visibleItems.length > 0 ? '' : 'none'
     })
+
+    // Same for repository folders
+    this.container.querySelectorAll('.documents-folder').forEach(folder => {
+      const visibleItems = folder.querySelectorAll('.document-item:not([style*="display: none"])')
+      folder.querySelector('.folder-count').textContent = visibleItems.length
+      folder.style.display = visibleItems.length > 0 ? '' : 'none'
+    })
   }
 
   addToRecent(docId) {
@@ -1487,6 +1678,12 @@ export class DocumentsTab {
     return `<span class="word-count">${wordCount}w</span>`
   }
 
+  renderFolderLabel(doc) {
+    if (!doc.folder) return ''
+    const folder = this.escapeHtml(doc.folder)
+    return `<span class="document-folder" title="${folder}">📁 ${folder}</span>`
+  }
+
   renderTags(doc) {
     if (!doc.tags || doc.tags.length === 0) return ''
 
@@ -1,6 +1,6 @@
 /**
  * Outline Tab - Document structure navigation
- * Shows hierarchical outline of current document headers
+ * Shows hierarchical outline of current document headers and the documents that link to it
  */
 
 import { OutlineParser } from '../utils/outline-parser.js'
@@ -13,6 +13,7 @@ export class OutlineTab {
     this.filteredOutline = []
     this.currentDocument = null
     this.selectedItemId = null
+    this.backlinksKey = null
 
     this.init()
   }
@@ -41,10 +42,13 @@ export class OutlineTab {
           <p>Open a document to see its structure</p>
         </div>
       </div>
+      <div class="outline-backlinks" aria-label="Backlinks"></div>
     `
   }
 
   updateOutline(document) {
+    this.updateBacklinks(document)
+
     if (!document) {
       this.showEmpty()
       return
@@ -152,6 +156,72 @@ export class OutlineTab {
     return html
   }
 
+  /**
+   * Show the documents that [[link]] to the current one
+   * Only reloads when a different document or title is shown, not on every keystroke
+   */
+  async updateBacklinks(document) {
+    if (!this.app?.linkManager) return
+    const panel = this.container.querySelector('.outline-backlinks')
+    if (!panel) return
+
+    const key = document ? `${document.id}:${document.title}` : null
+    if (key === this.backlinksKey) return
+    this.backlinksKey = key
+
+    if (!document) {
+      panel.innerHTML = ''
+      return
+    }
+
+    try {
+      const backlinks = await this.app.linkManager.getBacklinks(document)
+      // A different document may have been opened while backlinks were loading
+      if (this.backlinksKey === key) {
+        panel.innerHTML = this.renderBacklinks(backlinks)
+      }
+    } catch (error) {
+      console.error('Failed to load backlinks:', error)
+    }
+  }
+
+  renderBacklinks(backlinks) {
+    const items = backlinks
+      .map(
+        ({ document: source, count, excerpt }) => `
+          <div class="backlink-item"
+               data-doc-id="${source.id}"
+               role="button"
+               tabindex="0"
+               title="${count} link${count === 1 ? '' : 's'} from ${this.escapeAttribute(source.title)}">
+            <span class="backlink-title">${this.escapeHtml(source.title)}</span>
+            <span class="backlink-excerpt">${this.escapeHtml(excerpt)}</span>
+          </div>
+        `
+      )
+      .join('')
+
+    return `
+      <div class="backlinks-header">
+        <span class="backlinks-title">Backlinks</span>
+        <span class="backlinks-count">${backlinks.length > 0 ? `(${backlinks.length})` : ''}</span>
+      </div>
+      ${items || '<div class="backlinks-empty">No documents link here</div>'}
+    `
+  }
+
+  async openBacklink(docId) {
+    try {
+      const document = await this.app.storageManager.getDocument(docId)
+      if (document) {
+        this.app.loadDocument(document)
+      }
+    } catch (error) {
+      console.error('Failed to open backlink:', error)
+      this.app.showNotification?.('Failed to open document', 'error')
+    }
+  }
+
   renderOutlineItems(items, depth = 0) {
     if (!items || items.length === 0) return ''
 
@@ -195,6 +265,12 @@ export class OutlineTab {
   attachEventListeners() {
     // Click on outline item
     this.container.addEventListener('click', (e) => {
+      const backlink = e.target.closest('.backlink-item')
+      if (backlink) {
+        this.openBacklink(backlink.dataset.docId)
+        return
+      }
+
       const item = e.target.closest('.outline-item')
 
       if (item) {
@@ -207,6 +283,11 @@ export class OutlineTab {
 
     // Keyboard navigation
     this.container.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.closest?.('.backlink-item')) {
+        this.openBacklink(e.target.closest('.backlink-item').dataset.docId)
+        return
+      }
+
       const current = this.container.querySelector('.outline-item.selected')
 
       if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
@@ -344,7 +425,8 @@ export class OutlineTab {
   }
 
   onActivate() {
-    // Called when tab becomes active
+    // Called when tab becomes active; other documents may have gained links since last time
+    this.backlinksKey = null
     if (this.app?.currentDocument) {
       this.updateOutline(this.app.currentDocument)
     }
@@ -511,4 +593,8 @@ export class OutlineTab {
     div.textContent = text
     return div.innerHTML
   }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;')
+  }
 }
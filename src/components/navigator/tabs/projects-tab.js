@@ -0,0 +1,465 @@
+/**
+ * Projects Tab - Manuscript binder tree
+ * Shows each project's parts, chapters and scenes with drag-and-drop reordering
+ */
+
+import { BINDER_RULES } from '../../../core/projects/project-manager.js'
+
+const TYPE_ICONS = {
+  part: '📚',
+  chapter: '📖',
+  scene: '📄'
+}
+
+export class ProjectsTab {
+  constructor(container, app) {
+    this.container = container
+    this.app = app
+    this.projects = []
+    this.expanded = new Set(JSON.parse(localStorage.getItem('projects-expanded') || '[]'))
+    this.dragState = null
+
+    this.init()
+  }
+
+  init() {
+    this.container.className = 'projects-tab'
+    this.container.setAttribute('tabindex', '0')
+    this.container.setAttribute('role', 'tree')
+    this.container.setAttribute('aria-label', 'Manuscript projects')
+
+    this.render()
+    this.attachEventListeners()
+    this.loadProjects()
+  }
+
+  render() {
+    this.container.innerHTML = `
+      <div class="projects-header">
+        <input type="text"
+               class="project-title-input"
+               placeholder="New project title..."
+               aria-label="New project title">
+        <button class="project-create" title="Create project" aria-label="Create project">＋</button>
+      </div>
+      <div class="projects-content">
+        <div class="projects-empty">
+          <p>No projects yet</p>
+          <small>Group chapters and scenes into a book</small>
+        </div>
+      </div>
+    `
+  }
+
+  async loadProjects() {
+    if (!this.app.projectManager) return
+
+    try {
+      this.projects = await this.app.projectManager.getAllProjects()
+      this.renderProjects()
+    } catch (error) {
+      console.error('Failed to load projects:', error)
+      this.app.showNotification?.('Failed to load projects', 'error')
+    }
+  }
+
+  renderProjects() {
+    const content = this.container.querySelector('.projects-content')
+    if (!content) return
+
+    if (this.projects.length === 0) {
+      content.innerHTML = `
+        <div class="projects-empty">
+          <p>No projects yet</p>
+          <small>Group chapters and scenes into a book</small>
+        </div>
+      `
+      return
+    }
+
+    content.innerHTML = this.projects.map((project) => this.renderProject(project)).join('')
+  }
+
+  renderProject(project) {
+    const isExpanded = this.expanded.has(project.id)
+
+    return `
+      <div class="project-item" data-project-id="${project.id}">
+        <div class="project-row binder-row"
+             data-project-id="${project.id}"
+             data-node-type="root"
+             role="treeitem"
+             aria-expanded="${isExpanded}"
+             tabindex="0">
+          <span class="binder-toggle">${isExpanded ? '▾' : '▸'}</span>
+          <span class="binder-title">${this.escapeHtml(project.title)}</span>
+          <span class="binder-actions">
+            <button class="binder-action" data-action="add" data-type="part" title="Add part">＋P</button>
+            <button class="binder-action" data-action="add" data-type="chapter" title="Add chapter">＋C</button>
+            <button class="binder-action" data-action="delete-project" title="Delete project">✕</button>
+          </span>
+        </div>
+        ${
+          isExpanded
+            ? `<div class="binder-children" role="group">${this.renderNodes(project, project.binder, 1)}</div>`
+            : ''
+        }
+      </div>
+    `
+  }
+
+  renderNodes(project, nodes, depth) {
+    return nodes
+      .map((node) => {
+        const childType = BINDER_RULES[node.type]?.[0]
+        const linkedDoc = node.documentId ? this.getDocumentTitle(node.documentId) : null
+
+        return `
+          <div class="binder-node" data-node-id="${node.id}">
+            <div class="binder-row ${node.documentId ? 'linked' : ''}"
+                 data-project-id="${project.id}"
+                 data-node-id="${node.id}"
+                 data-node-type="${node.type}"
+                 draggable="true"
+                 role="treeitem"
+                 aria-level="${depth + 1}"
+                 tabindex="0"
+                 style="padding-left: ${depth * 16}px"
+                 title="${linkedDoc ? `Opens ${this.escapeAttribute(linkedDoc)}` : 'No document linked'}">
+              <span class="binder-icon">${TYPE_ICONS[node.type] || ''}</span>
+              <span class="binder-title">${this.escapeHtml(node.title)}</span>
+              <span class="binder-actions">
+                ${
+                  childType
+                    ? `<button class="binder-action" data-action="add" data-type="${childType}" title="Add ${childType}">＋</button>`
+                    : ''
+                }
+                ${
+                  node.type !== 'part'
+                    ? '<button class="binder-action" data-action="link" title="Link current document">🔗</button>'
+                    : ''
+                }
+                <button class="binder-action" data-action="remove" title="Remove from binder">✕</button>
+              </span>
+            </div>
+            ${node.children?.length > 0 ? this.renderNodes(project, node.children, depth + 1) : ''}
+          </div>
+        `
+      })
+      .join('')
+  }
+
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('.project-create')) {
+        this.createProject()
+        return
+      }
+
+      const action = e.target.closest('.binder-action')
+      const row = e.target.closest('.binder-row')
+      if (!row) return
+
+      if (action) {
+        e.stopPropagation()
+        this.handleAction(action.dataset.action, row, action.dataset.type)
+      } else if (row.dataset.nodeType === 'root') {
+        this.toggleProject(row.dataset.projectId)
+      } else {
+        this.openNode(row.dataset.projectId, row.dataset.nodeId)
+      }
+    })
+
+    this.container.addEventListener('dblclick', (e) => {
+      const title = e.target.closest('.binder-title')
+      const row = e.target.closest('.binder-row')
+      if (title && row) {
+        this.startRename(row, title)
+      }
+    })
+
+    this.container.addEventListener('keydown', (e) => {
+      if (e.target.classList.contains('project-title-input') && e.key === 'Enter') {
+        e.preventDefault()
+        this.createProject()
+        return
+      }
+
+      const row = e.target.closest('.binder-row')
+      if (!row || e.target.tagName === 'INPUT') return
+
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        row.click()
+      } else if (e.key === 'F2') {
+        e.preventDefault()
+        this.startRename(row, row.querySelector('.binder-title'))
+      } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+        e.preventDefault()
+        this.moveByKeyboard(row, e.key === 'ArrowUp' ? -1 : 1)
+      }
+    })
+
+    this.attachDragListeners()
+  }
+
+  attachDragListeners() {
+    this.container.addEventListener('dragstart', (e) => {
+      const row = e.target.closest('.binder-row[draggable="true"]')
+      if (!row) return
+
+      this.dragState = { projectId: row.dataset.projectId, nodeId: row.dataset.nodeId }
+      e.dataTransfer.effectAllowed = 'move'
+      e.dataTransfer.setData('text/plain', row.dataset.nodeId)
+      row.classList.add('dragging')
+    })
+
+    this.container.addEventListener('dragover', (e) => {
+      const row = e.target.closest('.binder-row')
+      if (!row || !this.dragState || row.dataset.projectId !== this.dragState.projectId) return
+
+      e.preventDefault()
+      this.clearDropIndicators()
+      row.classList.add(`drop-${this.getDropPosition(row, e.clientY)}`)
+    })
+
+    this.container.addEventListener('dragleave', (e) => {
+      const row = e.target.closest('.binder-row')
+      if (row) {
+        row.classList.remove('drop-before', 'drop-after', 'drop-inside')
+      }
+    })
+
+    this.container.addEventListener('drop', (e) => {
+      const row = e.target.closest('.binder-row')
+      if (!row || !this.dragState) return
+
+      e.preventDefault()
+      this.handleDrop(row, this.getDropPosition(row, e.clientY))
+    })
+
+    this.container.addEventListener('dragend', () => {
+      this.dragState = null
+      this.clearDropIndicators()
+      this.container.querySelectorAll('.dragging').forEach((el) => el.classList.remove('dragging'))
+    })
+  }
+
+  /**
+   * Work out whether a drop lands before, after or inside the target row
+   */
+  getDropPosition(row, clientY) {
+    if (row.dataset.nodeType === 'root') return 'inside'
+
+    const rect = row.getBoundingClientRect()
+    const offset = clientY - rect.top
+    const zone = rect.height / 4
+
+    if (offset < zone) return 'before'
+    if (offset > rect.height - zone) return 'after'
+    return 'inside'
+  }
+
+  async handleDrop(row, position) {
+    const { projectId, nodeId } = this.dragState
+    this.dragState = null
+    this.clearDropIndicators()
+
+    if (row.dataset.nodeId === nodeId) return
+
+    const project = this.projects.find((p) => p.id === projectId)
+    if (!project) return
+
+    let parentId = null
+    let index = project.binder.length
+
+    if (position === 'inside') {
+      parentId = row.dataset.nodeType === 'root' ? null : row.dataset.nodeId
+      index = parentId
+        ? this.app.projectManager.findNode(project.binder, parentId).node.children.length
+        : project.binder.length
+    } else {
+      const target = this.app.projectManager.findNode(project.binder, row.dataset.nodeId)
+      const source = this.app.projectManager.findNode(project.binder, nodeId)
+      parentId = target.parent ? target.parent.id : null
+      index = position === 'before' ? target.index : target.index + 1
+
+      // Removing the source first shifts later siblings up by one
+      if (source.siblings === target.siblings && source.index < index) {
+        index--
+      }
+    }
+
+    await this.runProjectUpdate(() =>
+      this.app.projectManager.moveNode(projectId, nodeId, parentId, index)
+    )
+  }
+
+  async moveByKeyboard(row, direction) {
+    const { projectId, nodeId } = row.dataset
+    const project = this.projects.find((p) => p.id === projectId)
+    if (!project || !nodeId) return
+
+    const found = this.app.projectManager.findNode(project.binder, nodeId)
+    const newIndex = found.index + direction
+    if (newIndex < 0 || newIndex >= found.siblings.length) return
+
+    await this.runProjectUpdate(() =>
+      this.app.projectManager.moveNode(projectId, nodeId, found.parent?.id || null, newIndex)
+    )
+    this.container.querySelector(`.binder-row[data-node-id="${nodeId}"]`)?.focus()
+  }
+
+  async handleAction(action, row, type) {
+    const { projectId, nodeId } = row.dataset
+    const manager = this.app.projectManager
+
+    switch (action) {
+      case 'add':
+        this.expanded.add(projectId)
+        this.saveExpandedState()
+        await this.runProjectUpdate(() => manager.addNode(projectId, { type }, nodeId || null))
+        break
+
+      case 'link':
+        if (!this.app.currentDocument) {
+          this.app.showNotification?.('Open a document to link it', 'warning')
+          return
+        }
+        await this.runProjectUpdate(() =>
+          manager.updateNode(projectId, nodeId, { documentId: this.app.currentDocument.id })
+        )
+        break
+
+      case 'remove':
+        await this.runProjectUpdate(() => manager.removeNode(projectId, nodeId))
+        break
+
+      case 'delete-project':
+        if (confirm('Delete this project? Its documents will be kept.')) {
+          await this.runProjectUpdate(() => manager.deleteProject(projectId))
+        }
+        break
+    }
+  }
+
+  async createProject() {
+    const input = this.container.querySelector('.project-title-input')
+    const title = input?.value.trim()
+    if (!title) {
+      input?.focus()
+      return
+    }
+
+    await this.runProjectUpdate(async () => {
+      const project = await this.app.projectManager.createProject(title)
+      this.expanded.add(project.id)
+      this.saveExpandedState()
+    })
+    input.value = ''
+  }
+
+  async openNode(projectId, nodeId) {
+    const project = this.projects.find((p) => p.id === projectId)
+    const found = project && this.app.projectManager.findNode(project.binder, nodeId)
+    if (!found || !found.node.documentId) return
+
+    const doc = await this.app.storageManager.getDocument(found.node.documentId)
+    if (doc) {
+      this.app.loadDocument(doc)
+    } else {
+      this.app.showNotification?.('Linked document no longer exists', 'warning')
+    }
+  }
+
+  startRename(row, titleElement) {
+    const input = document.createElement('input')
+    input.type = 'text'
+    input.className = 'binder-rename-input'
+    input.value = titleElement.textContent
+    titleElement.replaceWith(input)
+    input.focus()
+    input.select()
+
+    let finished = false
+    const finish = async (commit) => {
+      if (finished) return
+      finished = true
+
+      const title = input.value.trim()
+      if (!commit || !title) {
+        this.renderProjects()
+        return
+      }
+
+      const { projectId, nodeId } = row.dataset
+      await this.runProjectUpdate(() =>
+        nodeId
+          ? this.app.projectManager.updateNode(projectId, nodeId, { title })
+          : this.app.projectManager.renameProject(projectId, title)
+      )
+    }
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true)
+      if (e.key === 'Escape') finish(false)
+      e.stopPropagation()
+    })
+    input.addEventListener('blur', () => finish(true))
+  }
+
+  toggleProject(projectId) {
+    if (this.expanded.has(projectId)) {
+      this.expanded.delete(projectId)
+    } else {
+      this.expanded.add(projectId)
+    }
+    this.saveExpandedState()
+    this.renderProjects()
+  }
+
+  /**
+   * Run a ProjectManager mutation, surface errors and re-render
+   */
+  async runProjectUpdate(operation) {
+    try {
+      await operation()
+    } catch (error) {
+      this.app.showNotification?.(error.message, 'error')
+    }
+    await this.loadProjects()
+  }
+
+  getDocumentTitle(documentId) {
+    const documents = this.app.navigator?.tabComponents?.documents?.documents || []
+    return documents.find((doc) => doc.id === documentId)?.title || null
+  }
+
+  clearDropIndicators() {
+    this.container
+      .querySelectorAll('.drop-before, .drop-after, .drop-inside')
+      .forEach((el) => el.classList.remove('drop-before', 'drop-after', 'drop-inside'))
+  }
+
+  saveExpandedState() {
+    localStorage.setItem('projects-expanded', JSON.stringify([...this.expanded]))
+  }
+
+  onActivate() {
+    this.loadProjects()
+  }
+
+  refresh() {
+    return this.loadProjects()
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;')
+  }
+}
@@ -1,7 +1,14 @@
 /**
  * Search Tab - Full-text search across all documents
- * Features progress indicator and cancellable search
+ * Features progress indicator, cancellable search and project-wide replace with preview
+ * Queries use the structured syntax of search-query.js, e.g. tag:draft -tag:archived "phrase"
  */
+import {
+  findPatternMatches,
+  getHighlightPattern,
+  matchesQuery,
+  parseSearchQuery
+} from '../../../core/search/search-query.js'
 
 export class SearchTab {
   constructor(container, app) {
@@ -12,6 +19,10 @@ export class SearchTab {
     this.searchAbortController = null
     this.currentQuery = ''
     this.selectedResultIndex = -1
+    this.options = { caseSensitive: false, wholeWord: false, regex: false }
+    this.replaceMode = false
+    this.replacePreview = null
+    this.excludedMatches = new Set()
 
     this.init()
   }
@@ -41,6 +52,31 @@ export class SearchTab {
             <span class="stop-icon">⏹</span>
           </button>
         </div>
+        <div class="search-input-group replace-input-group" style="display: none;">
+          <input type="text"
+                 class="replace-input"
+                 placeholder="Replace with..."
+                 aria-label="Replacement text">
+          <button class="search-button replace-preview-button"
+                  data-replace-action="preview"
+                  aria-label="Preview replacements">
+            <span class="search-icon">⇄</span>
+          </button>
+        </div>
+        <div class="search-options">
+          <label class="search-option">
+            <input type="checkbox" data-option="caseSensitive"> Match case
+          </label>
+          <label class="search-option">
+            <input type="checkbox" data-option="wholeWord"> Whole word
+          </label>
+          <label class="search-option">
+            <input type="checkbox" data-option="regex"> Regex
+          </label>
+          <button class="replace-toggle" data-replace-action="toggle" aria-pressed="false">
+            Replace...
+          </button>
+        </div>
       </div>
       
       <div class="search-progress" style="display: none;">
@@ -90,6 +126,40 @@ export class SearchTab {
       this.stopSearch()
     })
 
+    const replaceInput = this.container.querySelector('.replace-input')
+    replaceInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        this.previewReplace()
+      }
+    })
+
+    // Search options and replace match selection
+    this.container.addEventListener('change', (e) => {
+      const { option, matchId, docId } = e.target.dataset
+      if (option) {
+        this.options[option] = e.target.checked
+      } else if (matchId) {
+        this.toggleMatch(matchId, e.target.checked)
+      } else if (docId && e.target.classList.contains('replace-document-toggle')) {
+        this.toggleDocumentMatches(docId, e.target.checked)
+      }
+    })
+
+    // Replace panel actions
+    this.container.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-replace-action]')?.dataset.replaceAction
+      if (action === 'toggle') this.toggleReplaceMode()
+      if (action === 'preview') this.previewReplace()
+      if (action === 'apply') this.applyReplace()
+      if (action === 'undo') this.undoReplace()
+
+      const context = e.target.closest('.replace-match-context')
+      if (context) {
+        this.navigateToResult(context.dataset.docId, parseInt(context.dataset.line))
+      }
+    })
+
     // Result navigation
     this.container.addEventListener('click', (e) => {
       const resultItem = e.target.closest('.search-result-item')
@@ -102,7 +172,12 @@ export class SearchTab {
 
     // Keyboard navigation in results
     this.container.addEventListener('keydown', (e) => {
-      if (e.target.classList.contains('search-input')) return
+      if (
+        e.target.classList.contains('search-input') ||
+        e.target.classList.contains('replace-input')
+      ) {
+        return
+      }
 
       if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
         e.preventDefault()
@@ -119,15 +194,33 @@ export class SearchTab {
   }
 
   async performSearch(query) {
+    if (this.replaceMode) {
+      return this.previewReplace()
+    }
+
     if (!query || query.trim().length < 2) {
       this.showMessage('Please enter at least 2 characters to search')
       return
     }
 
+    let parsedQuery
+    try {
+      parsedQuery = parseSearchQuery(query.trim(), this.options)
+    } catch (error) {
+      this.showError(this.escapeHtml(error.message))
+      return
+    }
+
     if (this.isSearching) {
       this.stopSearch()
     }
 
+    // Searches started elsewhere (:f, saved searches) show their query in the input
+    const searchInput = this.container.querySelector('.search-input')
+    if (searchInput && searchInput.value.trim() !== query.trim()) {
+      searchInput.value = query.trim()
+    }
+
     this.currentQuery = query.trim()
     this.isSearching = true
     this.searchResults = []
@@ -152,13 +245,12 @@ export class SearchTab {
           break
         }
 
+        // Filter-only queries such as tag:draft match documents without highlighting anything
         const doc = documents[i]
-        const results = this.searchInDocument(doc, this.currentQuery)
-
-        if (results.length > 0) {
+        if (matchesQuery(doc, parsedQuery)) {
           this.searchResults.push({
             document: doc,
-            matches: results
+            matches: this.searchInDocument(doc, this.currentQuery)
           })
         }
 
@@ -231,21 +323,28 @@ export class SearchTab {
   }
 
   findMatches(text, query) {
-    const matches = []
-    const searchText = text.toLowerCase()
-    const searchPattern = query.toLowerCase()
+    if (!query) return []
 
-    // Simple case-insensitive substring search
-    let index = 0
-    while ((index = searchText.indexOf(searchPattern, index)) !== -1) {
-      matches.push({
-        start: index,
-        end: index + searchPattern.length
-      })
-      index += searchPattern.length
-    }
+    // Case-insensitive substring search unless the search options say otherwise
+    const pattern = this.getSearchPattern(query)
+    if (!pattern) return []
 
-    return matches
+    return findPatternMatches(text, pattern).map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length
+    }))
+  }
+
+  /**
+   * Pattern highlighting the words a query asks for; null when it only has filters
+   */
+  getSearchPattern(query) {
+    const key = JSON.stringify([query, this.options])
+    if (this.searchPattern?.key !== key) {
+      const pattern = getHighlightPattern(parseSearchQuery(query, this.options))
+      this.searchPattern = { key, pattern }
+    }
+    return this.searchPattern.pattern
   }
 
   displayResults() {
@@ -273,9 +372,13 @@ export class SearchTab {
       return b.matches.length - a.matches.length
     })
 
+    const saveButton = this.app.savedSearches
+      ? '<button class="save-search" title="Save as a smart collection">Save</button>'
+      : ''
     let html = `
       <div class="search-results-header">
         <span class="results-count">Found ${this.searchResults.length} document${this.searchResults.length === 1 ? '' : 's'}</span>
+        ${saveButton}
         <button class="clear-results" aria-label="Clear results">Clear</button>
       </div>
       <div class="search-results-list" role="listbox">
@@ -292,6 +395,24 @@ export class SearchTab {
     content.querySelector('.clear-results').addEventListener('click', () => {
       this.clearResults()
     })
+    content.querySelector('.save-search')?.addEventListener('click', () => {
+      this.saveSearch()
+    })
+  }
+
+  /**
+   * Save the current query and options as a smart collection
+   */
+  saveSearch() {
+    const name = prompt('Name this saved search:', '')
+    if (!name || !name.trim()) return
+
+    try {
+      const saved = this.app.savedSearches.save(name, this.currentQuery, this.options)
+      this.app.showNotification?.(`Saved search "${saved.name}"`, 'success')
+    } catch (error) {
+      this.app.showNotification?.(error.message, 'error')
+    }
   }
 
   renderSearchResult(result) {
@@ -338,19 +459,24 @@ export class SearchTab {
   }
 
   highlightText(text, query) {
-    const escaped = this.escapeHtml(text)
-    const pattern = new RegExp(`(${this.escapeRegex(query)})`, 'gi')
-    return escaped.replace(pattern, '<mark>$1</mark>')
+    let html = ''
+    let last = 0
+    for (const { start, end } of this.findMatches(text, query)) {
+      html += this.escapeHtml(text.slice(last, start))
+      html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`
+      last = end
+    }
+    return html + this.escapeHtml(text.slice(last))
   }
 
   truncateText(text, maxLength) {
     if (text.length <= maxLength) return text
 
     // Try to find the query in the text and show context around it
-    const queryIndex = text.toLowerCase().indexOf(this.currentQuery.toLowerCase())
-    if (queryIndex !== -1) {
-      const start = Math.max(0, queryIndex - 30)
-      const end = Math.min(text.length, queryIndex + this.currentQuery.length + 30)
+    const [match] = this.findMatches(text, this.currentQuery)
+    if (match) {
+      const start = Math.max(0, match.start - 30)
+      const end = Math.min(text.length, match.end + 30)
       const truncated = text.substring(start, end)
       return (start > 0 ? '...' : '') + truncated + (end < text.length ? '...' : '')
     }
@@ -440,6 +566,204 @@ export class SearchTab {
     searchInput.focus()
   }
 
+  toggleReplaceMode() {
+    this.replaceMode = !this.replaceMode
+    this.replacePreview = null
+
+    const toggle = this.container.querySelector('.replace-toggle')
+    toggle.setAttribute('aria-pressed', String(this.replaceMode))
+    this.container.querySelector('.replace-input-group').style.display = this.replaceMode
+      ? 'block'
+      : 'none'
+
+    if (this.replaceMode) {
+      this.container.querySelector('.replace-input').focus()
+    } else if (this.searchResults.length > 0) {
+      this.displayResults()
+    }
+  }
+
+  /**
+   * Open the replace panel, optionally searching for a query right away
+   * @param {string} query - Text to find
+   */
+  showReplace(query = '') {
+    if (!this.replaceMode) {
+      this.toggleReplaceMode()
+    }
+    if (query) {
+      this.container.querySelector('.search-input').value = query
+    }
+    this.container.querySelector(query ? '.replace-input' : '.search-input').focus()
+  }
+
+  async previewReplace() {
+    const query = this.container.querySelector('.search-input').value
+    const replacement = this.container.querySelector('.replace-input').value
+    if (!query) {
+      this.showMessage('Enter the text to find')
+      return
+    }
+
+    try {
+      this.replacePreview = await this.app.previewProjectReplace(query, replacement, this.options)
+      this.excludedMatches = new Set()
+      this.currentQuery = query
+      this.displayReplacePreview()
+    } catch (error) {
+      this.showError(this.escapeHtml(error.message))
+    }
+  }
+
+  displayReplacePreview() {
+    const content = this.container.querySelector('.search-content')
+    const { documents, total } = this.replacePreview
+
+    if (total === 0) {
+      content.innerHTML = `
+        <div class="search-no-results">
+          <div class="no-results-icon">🔍</div>
+          <p>No matches for "${this.escapeHtml(this.currentQuery)}"</p>
+          <small>Read-only documents are never changed</small>
+        </div>
+      `
+      return
+    }
+
+    const summary = `${this.formatCount(total, 'match', 'matches')} in ${this.formatCount(
+      documents.length,
+      'document'
+    )}`
+    let html = `
+      <div class="search-results-header">
+        <span class="results-count">${summary}</span>
+        <button class="replace-action" data-replace-action="apply"></button>
+      </div>
+      <div class="search-results-list replace-preview-list">
+    `
+
+    for (const doc of documents) {
+      html += `
+        <div class="replace-document">
+          <label class="result-header">
+            <input type="checkbox" class="replace-document-toggle" data-doc-id="${doc.id}" checked>
+            <span class="result-title">${this.escapeHtml(doc.title)}</span>
+            <span class="result-meta">${doc.matches.length}</span>
+          </label>
+      `
+      for (const match of doc.matches) {
+        const snippet = [
+          this.escapeHtml(match.before),
+          `<del>${this.escapeHtml(match.text)}</del>`,
+          `<ins>${this.escapeHtml(match.replacement)}</ins>`,
+          this.escapeHtml(match.after)
+        ].join('')
+        html += `
+          <div class="replace-match">
+            <input type="checkbox"
+                   data-match-id="${match.id}"
+                   aria-label="Replace match on line ${match.line}"
+                   checked>
+            <span class="replace-match-context" data-doc-id="${doc.id}" data-line="${match.line}">
+              <span class="snippet-line">Line ${match.line}:</span>
+              <span class="snippet-text">${snippet}</span>
+            </span>
+          </div>
+        `
+      }
+      html += '</div>'
+    }
+
+    html += '</div>'
+    content.innerHTML = html
+    this.updateReplaceCount()
+  }
+
+  toggleMatch(matchId, included) {
+    if (included) {
+      this.excludedMatches.delete(matchId)
+    } else {
+      this.excludedMatches.add(matchId)
+    }
+    this.updateReplaceCount()
+  }
+
+  toggleDocumentMatches(docId, included) {
+    const doc = this.replacePreview?.documents.find((entry) => entry.id === docId)
+    if (!doc) return
+
+    for (const match of doc.matches) {
+      const checkbox = this.container.querySelector(`[data-match-id="${match.id}"]`)
+      if (checkbox) checkbox.checked = included
+      this.toggleMatch(match.id, included)
+    }
+  }
+
+  getIncludedCount() {
+    return this.replacePreview ? this.replacePreview.total - this.excludedMatches.size : 0
+  }
+
+  updateReplaceCount() {
+    const button = this.container.querySelector('[data-replace-action="apply"]')
+    if (!button) return
+
+    const count = this.getIncludedCount()
+    button.textContent = `Replace ${count}`
+    button.disabled = count === 0
+  }
+
+  async applyReplace() {
+    if (!this.replacePreview || this.getIncludedCount() === 0) return
+
+    try {
+      const result = await this.app.applyProjectReplace(this.replacePreview, [
+        ...this.excludedMatches
+      ])
+      this.replacePreview = null
+      const replaced = this.formatCount(result.replaced, 'match', 'matches')
+      this.showReplaceResult(
+        `Replaced ${replaced} in ${this.formatCount(result.documents.length, 'document')}`,
+        result.skipped,
+        result.documents.length > 0
+      )
+    } catch (error) {
+      console.error('Replace failed:', error)
+      this.showError(this.escapeHtml(`Replace failed: ${error.message}`))
+    }
+  }
+
+  async undoReplace() {
+    try {
+      const result = await this.app.undoProjectReplace()
+      this.showReplaceResult(
+        `Restored ${this.formatCount(result.documents.length, 'document')}`,
+        result.skipped,
+        false
+      )
+    } catch (error) {
+      this.showError(this.escapeHtml(error.message))
+    }
+  }
+
+  showReplaceResult(message, skipped, canUndo) {
+    const content = this.container.querySelector('.search-content')
+    const skippedList = skipped
+      .map((entry) => `<li>${this.escapeHtml(entry.title)}: ${this.escapeHtml(entry.reason)}</li>`)
+      .join('')
+    const skippedHtml = skippedList
+      ? `<small>Skipped:</small><ul class="replace-skipped">${skippedList}</ul>`
+      : ''
+    const undoButton = '<button class="replace-action" data-replace-action="undo">Undo</button>'
+
+    content.innerHTML = `
+      <div class="search-message replace-result">
+        <p>${message}</p>
+        ${skippedHtml}
+        ${canUndo ? undoButton : ''}
+      </div>
+    `
+  }
+
   showProgress() {
     const progress = this.container.querySelector('.search-progress')
     progress.style.display = 'block'
@@ -499,6 +823,18 @@ export class SearchTab {
     }
   }
 
+  /**
+   * Set the search options and tick their checkboxes
+   * @param {Object} options - caseSensitive, wholeWord and regex flags
+   */
+  setOptions(options = {}) {
+    for (const option of Object.keys(this.options)) {
+      this.options[option] = options[option] === true
+      const checkbox = this.container.querySelector(`[data-option="${option}"]`)
+      if (checkbox) checkbox.checked = this.options[option]
+    }
+  }
+
   setQuery(query) {
     const searchInput = this.container.querySelector('.search-input')
     if (searchInput) {
@@ -517,6 +853,10 @@ export class SearchTab {
     return new Promise((resolve) => setTimeout(resolve, ms))
   }
 
+  formatCount(count, singular, plural = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : plural}`
+  }
+
   formatTimeAgo(dateString) {
     if (!dateString) return ''
 
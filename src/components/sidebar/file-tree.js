@@ -1,7 +1,9 @@
 /**
  * File Tree Component - Document navigation for sidebar
- * Shows hierarchical list of documents with creation/modification dates
+ * Shows hierarchical list of documents with creation/modification dates, or their repository
+ * folders when documents are stored in subfolders
  */
+import { buildFolderTree, hasFolders } from '../../utils/folders.js'
 
 export class FileTree {
   constructor(container, storageManager, onDocumentSelect) {
@@ -21,6 +23,9 @@ export class FileTree {
     this.container.setAttribute('role', 'listbox')
     this.container.setAttribute('aria-label', 'Document list')
 
+    // Listeners live on the container, so they survive re-renders
+    this.attachEventListeners()
+
     // Create loading state
     this.showLoading()
 
@@ -77,62 +82,85 @@ export class FileTree {
       return
     }
 
-    // Group documents by date for better organization
-    const groupedDocs = this.groupDocumentsByDate(this.documents)
-
     let html = '<div class="file-tree-list">'
 
-    for (const [dateGroup, docs] of Object.entries(groupedDocs)) {
-      html += `
-        <div class="file-tree-group">
-          <div class="file-tree-group-header">
-            <span class="group-title">${dateGroup}</span>
-            <span class="group-count">${Array.isArray(docs) ? docs.length : 0}</span>
-          </div>
-          <div class="file-tree-group-items">
-      `
-
-      for (const doc of docs) {
-        const isSelected = doc.id === this.selectedDocumentId
-        const excerpt = this.generateExcerpt(doc.content)
-        const timeAgo = this.formatTimeAgo(doc.updatedAt || doc.metadata?.modified)
+    if (hasFolders(this.documents)) {
+      html += this.renderFolderContents(buildFolderTree(this.documents))
+    } else {
+      // Group documents by date for better organization
+      const groupedDocs = this.groupDocumentsByDate(this.documents)
 
+      for (const [dateGroup, docs] of Object.entries(groupedDocs)) {
         html += `
-          <div class="file-tree-item ${isSelected ? 'selected' : ''}" data-doc-id="${doc.id}">
-            <div class="file-item-main">
-              <div class="file-item-title">${this.escapeHtml(doc.title)}</div>
-              <div class="file-item-meta">
-                <span class="file-item-time">${timeAgo}</span>
-                ${
-                  doc.tags && doc.tags.length > 0
-                    ? `
-                  <div class="file-item-tags">
-                    ${doc.tags
-                      .slice(0, 3)
-                      .map((tag) => `<span class="file-tag">${this.escapeHtml(tag)}</span>`)
-                      .join('')}
-                    ${doc.tags.length > 3 ? '<span class="file-tag-more">+' + (doc.tags.length - 3) + '</span>' : ''}
-                  </div>
-                `
-                    : ''
-                }
-              </div>
+          <div class="file-tree-group">
+            <div class="file-tree-group-header">
+              <span class="group-title">${dateGroup}</span>
+              <span class="group-count">${Array.isArray(docs) ? docs.length : 0}</span>
+            </div>
+            <div class="file-tree-group-items">
+              ${docs.map((doc) => this.renderItem(doc)).join('')}
             </div>
-            ${excerpt ? `<div class="file-item-excerpt">${this.escapeHtml(excerpt)}</div>` : ''}
           </div>
         `
       }
-
-      html += `
-          </div>
-        </div>
-      `
     }
 
     html += '</div>'
 
     this.container.innerHTML = html
-    this.attachEventListeners()
+  }
+
+  renderItem(doc) {
+    const isSelected = doc.id === this.selectedDocumentId
+    const excerpt = this.generateExcerpt(doc.content)
+    const timeAgo = this.formatTimeAgo(doc.updatedAt || doc.metadata?.modified)
+
+    return `
+      <div class="file-tree-item ${isSelected ? 'selected' : ''}" data-doc-id="${doc.id}">
+        <div class="file-item-main">
+          <div class="file-item-title">${this.escapeHtml(doc.title)}</div>
+          <div class="file-item-meta">
+            <span class="file-item-time">${timeAgo}</span>
+            ${
+              doc.tags && doc.tags.length > 0
+                ? `
+              <div class="file-item-tags">
+                ${doc.tags
+                  .slice(0, 3)
+                  .map((tag) => `<span class="file-tag">${this.escapeHtml(tag)}</span>`)
+                  .join('')}
+                ${doc.tags.length > 3 ? '<span class="file-tag-more">+' + (doc.tags.length - 3) + '</span>' : ''}
+              </div>
+            `
+                : ''
+            }
+          </div>
+        </div>
+        ${excerpt ? `<div class="file-item-excerpt">${this.escapeHtml(excerpt)}</div>` : ''}
+      </div>
+    `
+  }
+
+  /**
+   * Render a folder's subfolders followed by its own documents
+   * @param {Object} node - Folder node from buildFolderTree()
+   * @returns {string} HTML string
+   */
+  renderFolderContents(node) {
+    const folders = node.folders.map(
+      (folder) => `
+        <div class="file-tree-folder" data-folder="${encodeURIComponent(folder.path)}">
+          <div class="file-tree-folder-header" title="${this.escapeHtml(folder.path)}">
+            <span class="folder-toggle"></span>
+            <span class="group-title">📁 ${this.escapeHtml(folder.name)}</span>
+            <span class="group-count">${folder.count}</span>
+          </div>
+          <div class="file-tree-folder-items">${this.renderFolderContents(folder)}</div>
+        </div>
+      `
+    )
+
+    return folders.join('') + node.documents.map((doc) => this.renderItem(doc)).join('')
   }
 
   groupDocumentsByDate(documents) {
@@ -259,6 +287,12 @@ export class FileTree {
   attachEventListeners() {
     // Document selection
     this.container.addEventListener('click', (e) => {
+      const folderHeader = e.target.closest('.file-tree-folder-header')
+      if (folderHeader) {
+        folderHeader.parentElement.classList.toggle('collapsed')
+        return
+      }
+
       const fileItem = e.target.closest('.file-tree-item')
       if (fileItem) {
         const docId = fileItem.dataset.docId
@@ -35,11 +35,13 @@ export class StatusBarManager {
   cacheElements() {
     this.elements = {
       wordCount: document.getElementById('word-count'),
+      writingGoal: document.getElementById('writing-goal'),
       editorWidth: document.getElementById('editor-width'),
       editorZoom: document.getElementById('editor-zoom'),
       textFormat: document.getElementById('text-format'),
       repositoryInfo: document.getElementById('repository-info'),
       repoName: document.getElementById('repo-name'),
+      repoBranch: document.getElementById('repo-branch'),
       appVersion: document.getElementById('app-version'),
       syncStatus: document.getElementById('sync-status'),
       syncStatusIcon: document.querySelector('#sync-status .sync-status-icon'),
@@ -51,6 +53,13 @@ export class StatusBarManager {
    * Attach event listeners
    */
   attachEventListeners() {
+    // Writing goal opens the goals overview
+    if (this.elements.writingGoal) {
+      this.elements.writingGoal.addEventListener('click', () => {
+        this.app.showWritingGoals?.()
+      })
+    }
+
     // Editor width cycling
     if (this.elements.editorWidth) {
       this.elements.editorWidth.addEventListener('dblclick', () => {
@@ -101,6 +110,49 @@ export class StatusBarManager {
     }
   }
 
+  /**
+   * Update writing goal progress
+   * Shows the daily goal, else the session goal, else today's pace for the project deadline
+   * @param {Object} status - Status from GoalsManager.getStatus()
+   * @param {number} pending - Words typed since the last save
+   */
+  updateGoalProgress(status, pending = 0) {
+    const element = this.elements.writingGoal
+    if (!element) return
+
+    const goals = [
+      status?.today.goal && { label: 'Today', words: status.today.words, goal: status.today.goal },
+      status?.session.goal && {
+        label: 'Session',
+        words: status.session.words,
+        goal: status.session.goal
+      },
+      status?.project?.pace && {
+        label: `${status.project.title} pace`,
+        words: status.project.writtenToday,
+        goal: status.project.pace
+      }
+    ].filter(Boolean)
+
+    if (goals.length === 0) {
+      element.style.display = 'none'
+      return
+    }
+
+    const [primary] = goals
+    const words = Math.max(primary.words + pending, 0)
+    element.textContent = `🎯 ${words.toLocaleString()}/${primary.goal.toLocaleString()}`
+    element.classList.toggle('goal-met', words >= primary.goal)
+    element.title = goals
+      .map((goal) => {
+        const written = Math.max(goal.words + pending, 0)
+        return `${goal.label}: ${written.toLocaleString()} of ${goal.goal.toLocaleString()} words`
+      })
+      .concat('Click to show writing goals')
+      .join('\n')
+    element.style.display = ''
+  }
+
   /**
    * Update editor width display
    */
@@ -145,11 +197,18 @@ export class StatusBarManager {
 
   /**
    * Update repository information
+   * @param {string} repoName - Repository name
+   * @param {boolean} isVisible - Whether to show the repository info
+   * @param {string} branch - Working branch, hidden when not given
    */
-  updateRepositoryInfo(repoName, isVisible = false) {
+  updateRepositoryInfo(repoName, isVisible = false, branch = null) {
     if (this.elements.repositoryInfo && this.elements.repoName) {
       if (isVisible && repoName) {
         this.elements.repoName.textContent = repoName
+        if (this.elements.repoBranch) {
+          this.elements.repoBranch.textContent = branch || ''
+          this.elements.repoBranch.style.display = branch ? '' : 'none'
+        }
         this.elements.repositoryInfo.style.display = 'flex'
       } else {
         this.elements.repositoryInfo.style.display = 'none'
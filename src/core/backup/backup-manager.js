@@ -0,0 +1,424 @@
+/**
+ * BackupManager - Export the whole workspace to a single archive and restore it
+ * The archive is a zip with a versioned manifest that lists a checksum for every entry. Restores
+ * verify each entry, can be limited to some sections or documents, and can run dry to report
+ * what would change without writing anything.
+ */
+import { ZipWriter } from '../export/zip-writer.js'
+import { ZipReader } from '../export/zip-reader.js'
+
+export const BACKUP_FORMAT = 'fantasy-editor-backup'
+export const BACKUP_VERSION = 1
+export const BACKUP_SECTIONS = [
+  'documents',
+  'tags',
+  'revisions',
+  'projects',
+  'wordcounts',
+  'settings',
+  'themes'
+]
+
+const MANIFEST_PATH = 'manifest.json'
+const DOCUMENTS_FOLDER = 'documents/'
+const SECTION_FILES = {
+  tags: 'tags.json',
+  revisions: 'revisions.json',
+  projects: 'projects.json',
+  wordcounts: 'word-history.json',
+  settings: 'settings.json',
+  themes: 'themes.json'
+}
+const DOCUMENT_FIELDS = [
+  'title',
+  'content',
+  'tags',
+  'folder',
+  'readonly',
+  'type',
+  'codexType',
+  'fields'
+]
+
+export class BackupManager {
+  constructor(storageManager, settingsManager = null) {
+    this.storageManager = storageManager
+    this.settingsManager = settingsManager
+  }
+
+  /**
+   * Write documents, settings, themes, tags, revisions, projects and word counts to one archive
+   * @returns {Promise<Object>} { data, filename, manifest }
+   */
+  async createBackup() {
+    const documents = (await this.storageManager.getAllDocuments()).filter(
+      (doc) => doc.type !== 'system'
+    )
+
+    const files = {}
+    for (const doc of documents) {
+      files[`${DOCUMENTS_FOLDER}${doc.id}.json`] = doc
+    }
+    files[SECTION_FILES.tags] = Object.fromEntries(documents.map((doc) => [doc.id, doc.tags || []]))
+    files[SECTION_FILES.revisions] = await this.storageManager.getAllRevisions()
+    files[SECTION_FILES.projects] = await this.storageManager.getAllProjects()
+    files[SECTION_FILES.wordcounts] = await this.storageManager.getWordCounts(
+      '0000-01-01',
+      '9999-12-31'
+    )
+    if (this.settingsManager) {
+      files[SECTION_FILES.settings] = this.settingsManager.exportSettings()
+      files[SECTION_FILES.themes] = this.getThemes()
+    }
+
+    const createdAt = new Date().toISOString()
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt,
+      counts: {
+        documents: documents.length,
+        tags: new Set(documents.flatMap((doc) => doc.tags || [])).size,
+        revisions: files[SECTION_FILES.revisions].length,
+        projects: files[SECTION_FILES.projects].length,
+        wordcounts: files[SECTION_FILES.wordcounts].length
+      },
+      files: {}
+    }
+
+    const texts = Object.entries(files).map(([path, value]) => [path, toJson(value)])
+    for (const [path, text] of texts) {
+      manifest.files[path] = this.storageManager.generateChecksum(text)
+    }
+
+    const writer = new ZipWriter()
+    writer.addFile(MANIFEST_PATH, toJson(manifest))
+    for (const [path, text] of texts) {
+      writer.addFile(path, text)
+    }
+
+    return {
+      data: writer.toUint8Array(),
+      filename: `fantasy-editor-backup-${createdAt.slice(0, 10)}.zip`,
+      manifest
+    }
+  }
+
+  /**
+   * Ask the user for a backup archive
+   * @returns {Promise<File|null>} Chosen file or null when cancelled
+   */
+  pickBackupFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.accept = '.zip,application/zip'
+      input.addEventListener('change', () => resolve(input.files[0] || null))
+      input.addEventListener('cancel', () => resolve(null))
+      input.click()
+    })
+  }
+
+  /**
+   * Open a backup archive and verify every entry against the manifest checksums
+   * @param {File|ArrayBuffer|Uint8Array} source - Archive
+   * @returns {Promise<Object>} { manifest, entries, corrupt } with entries as a Map of parsed files
+   */
+  async readBackup(source) {
+    const data = source?.arrayBuffer ? await source.arrayBuffer() : source
+    if (!data || !ZipReader.isZip(data)) {
+      throw new Error('Not a backup archive')
+    }
+
+    const reader = new ZipReader(data)
+    if (!reader.getEntries().some((entry) => entry.path === MANIFEST_PATH)) {
+      throw new Error('Not a backup archive: manifest.json is missing')
+    }
+
+    const manifest = JSON.parse(await reader.readText(MANIFEST_PATH))
+    if (manifest.format !== BACKUP_FORMAT || !manifest.files) {
+      throw new Error('Not a backup archive: unknown manifest format')
+    }
+    if (manifest.version > BACKUP_VERSION) {
+      throw new Error(`This backup was made by a newer version (format ${manifest.version})`)
+    }
+
+    const entries = new Map()
+    const corrupt = []
+    for (const [path, checksum] of Object.entries(manifest.files)) {
+      try {
+        const content = await reader.readText(path)
+        if (!this.storageManager.verifyIntegrity({ content, checksum })) {
+          throw new Error('Checksum does not match')
+        }
+        entries.set(path, JSON.parse(content))
+      } catch (error) {
+        corrupt.push({ path, error: error.message })
+      }
+    }
+
+    return { manifest, entries, corrupt }
+  }
+
+  /**
+   * Restore a backup archive; documents and records missing from the backup are kept
+   * @param {File|ArrayBuffer|Uint8Array} source - Archive
+   * @param {Object} options - { sections, documents (IDs or titles), dryRun }
+   * @returns {Promise<Object>} Report with per-section changes, corrupt entries and failures
+   */
+  async restore(source, { sections = BACKUP_SECTIONS, documents = null, dryRun = false } = {}) {
+    const unknown = sections.find((section) => !BACKUP_SECTIONS.includes(section))
+    if (unknown) {
+      throw new Error(`Unknown backup section "${unknown}". Use: ${BACKUP_SECTIONS.join(', ')}`)
+    }
+
+    const backup = await this.readBackup(source)
+    const backupDocuments = [...backup.entries]
+      .filter(([path]) => path.startsWith(DOCUMENTS_FOLDER))
+      .map(([, doc]) => doc)
+    const wanted = this.createDocumentFilter(backupDocuments, documents)
+
+    const report = {
+      dryRun,
+      createdAt: backup.manifest.createdAt,
+      sections: {},
+      corrupt: backup.corrupt,
+      failed: [],
+      documents: []
+    }
+    const context = { backup, backupDocuments, wanted, report, dryRun, sections }
+
+    for (const section of BACKUP_SECTIONS.filter((name) => sections.includes(name))) {
+      report.sections[section] = { added: [], updated: [], unchanged: 0 }
+      await this.restoreSection(section, context)
+    }
+
+    return report
+  }
+
+  /**
+   * Restore one section into the workspace
+   * @param {string} section - Section name
+   * @param {Object} context - Restore state shared by the sections
+   */
+  async restoreSection(section, context) {
+    const { backup, report } = context
+    if (section === 'documents') {
+      return this.restoreDocuments(context)
+    }
+
+    const data = backup.entries.get(SECTION_FILES[section])
+    if (data === undefined) return
+
+    switch (section) {
+      case 'tags':
+        return this.restoreTags(data, context)
+      case 'revisions':
+        return this.restoreRecords(section, data, context, {
+          get: (id) => this.storageManager.getRevision(id),
+          save: (revision) => this.storageManager.saveRevision(revision),
+          label: (revision) => `${revision.documentId} @ ${revision.createdAt}`
+        })
+      case 'projects':
+        return this.restoreRecords(section, data, context, {
+          get: (id) => this.storageManager.getProject(id),
+          save: (project) => this.storageManager.saveProject(project),
+          label: (project) => project.title
+        })
+      case 'wordcounts':
+        return this.restoreRecords(section, data, context, {
+          get: (id) => this.storageManager.getWordCount(id),
+          save: (entry) => this.storageManager.saveWordCount(entry),
+          label: (entry) => `${entry.documentId} @ ${entry.date}`
+        })
+      case 'settings':
+        return this.restoreSettings(data, report.sections.settings, context.dryRun)
+      case 'themes':
+        return this.restoreThemes(data, report.sections.themes, context.dryRun)
+    }
+  }
+
+  async restoreDocuments({ backupDocuments, wanted, report, dryRun }) {
+    const changes = report.sections.documents
+    const now = new Date().toISOString()
+
+    for (const doc of backupDocuments) {
+      if (!wanted(doc.id) || doc.type === 'system') continue
+
+      try {
+        const current = await this.storageManager.getDocument(doc.id)
+        if (current && sameFields(current, doc, DOCUMENT_FIELDS)) {
+          changes.unchanged++
+          continue
+        }
+
+        const list = current ? changes.updated : changes.added
+        list.push(doc.title)
+        if (!dryRun) {
+          report.documents.push(
+            await this.storageManager.restoreDocument({ ...doc, updatedAt: now })
+          )
+        }
+      } catch (error) {
+        report.failed.push({ name: doc.title, error: error.message })
+      }
+    }
+  }
+
+  /**
+   * Put the backed-up tags back on documents that still exist; documents restored by the
+   * documents section already carry their tags
+   */
+  async restoreTags(tags, { backupDocuments, wanted, report, dryRun, sections }) {
+    const changes = report.sections.tags
+    const now = new Date().toISOString()
+    const covered = new Set(
+      sections.includes('documents') ? backupDocuments.map((doc) => doc.id) : []
+    )
+
+    for (const [id, docTags] of Object.entries(tags)) {
+      if (!wanted(id) || covered.has(id)) continue
+
+      const current = await this.storageManager.getDocument(id)
+      if (!current || current.type === 'system') continue
+      if (sameFields(current, { tags: docTags }, ['tags'])) {
+        changes.unchanged++
+        continue
+      }
+
+      changes.updated.push(current.title)
+      if (!dryRun) {
+        try {
+          report.documents.push(
+            await this.storageManager.restoreDocument({ ...current, tags: docTags, updatedAt: now })
+          )
+        } catch (error) {
+          report.failed.push({ name: current.title, error: error.message })
+        }
+      }
+    }
+  }
+
+  /**
+   * Add or replace records kept in their own store, matched by ID
+   */
+  async restoreRecords(section, records, { wanted, report, dryRun }, { get, save, label }) {
+    const changes = report.sections[section]
+
+    for (const record of records) {
+      if (record.documentId && !wanted(record.documentId)) continue
+
+      try {
+        const current = await get(record.id)
+        if (current && toJson(current) === toJson(record)) {
+          changes.unchanged++
+          continue
+        }
+
+        const list = current ? changes.updated : changes.added
+        list.push(label(record))
+        if (!dryRun) {
+          await save(record)
+        }
+      } catch (error) {
+        report.failed.push({ name: label(record), error: error.message })
+      }
+    }
+  }
+
+  /**
+   * Restore settings, keeping the current theme (themes are their own section)
+   */
+  async restoreSettings(exported, changes, dryRun) {
+    if (!this.settingsManager) return
+
+    const current = this.settingsManager.getAllSettings()
+    const settings = {
+      ...exported.settings,
+      editor: {
+        ...exported.settings?.editor,
+        theme: current.editor?.theme,
+        customTheme: current.editor?.customTheme
+      }
+    }
+
+    if (toJson(settings) === toJson(current)) {
+      changes.unchanged++
+      return
+    }
+
+    changes.updated.push('settings')
+    if (!dryRun) {
+      this.settingsManager.importSettings({ ...exported, settings })
+    }
+  }
+
+  async restoreThemes(themes, changes, dryRun) {
+    if (!this.settingsManager) return
+
+    if (toJson(themes) === toJson(this.getThemes())) {
+      changes.unchanged++
+      return
+    }
+
+    changes.updated.push(themes.theme)
+    if (!dryRun) {
+      this.settingsManager.set('editor.customTheme', themes.customTheme)
+      this.settingsManager.set('editor.theme', themes.theme)
+    }
+  }
+
+  getThemes() {
+    return {
+      theme: this.settingsManager.get('editor.theme'),
+      customTheme: this.settingsManager.get('editor.customTheme')
+    }
+  }
+
+  /**
+   * Build a predicate for the document IDs a restore is limited to
+   * @param {Array} documents - Documents in the backup
+   * @param {Array|null} selection - Document IDs or titles (case-insensitive), null for all
+   * @returns {Function} (documentId) => boolean
+   */
+  createDocumentFilter(documents, selection) {
+    if (!selection || selection.length === 0) return () => true
+
+    const names = selection.map((name) => name.toLowerCase())
+    const ids = new Set(
+      documents
+        .filter(
+          (doc) => names.includes(doc.id.toLowerCase()) || names.includes(doc.title?.toLowerCase())
+        )
+        .map((doc) => doc.id)
+    )
+    if (ids.size === 0) {
+      throw new Error(`No document in the backup matches "${selection.join('", "')}"`)
+    }
+    return (id) => ids.has(id)
+  }
+}
+
+/**
+ * Serialize with sorted keys so equal records compare equal regardless of key order
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, item) =>
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? Object.fromEntries(
+            Object.keys(item)
+              .sort()
+              .map((name) => [name, item[name]])
+          )
+        : item,
+    2
+  )
+}
+
+function sameFields(a, b, fields) {
+  return fields.every((field) => toJson(a[field] ?? null) === toJson(b[field] ?? null))
+}
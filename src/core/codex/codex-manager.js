@@ -0,0 +1,321 @@
+/**
+ * CodexManager - Worldbuilding codex of characters, places and lore
+ * Codex entries are regular documents of type 'codex' carrying a codexType and typed fields;
+ * the markdown content holds free-form notes while the fields follow a per-type schema
+ */
+
+export const CODEX_DOCUMENT_TYPE = 'codex'
+
+export const FIELD_TYPES = ['text', 'longtext', 'number', 'list']
+
+/**
+ * Built-in entity types and their field schemas
+ * Users can override a type's fields or add new types through the `codex.schemas` setting
+ */
+export const CODEX_SCHEMAS = {
+  character: {
+    label: 'Characters',
+    icon: '🧙',
+    fields: [
+      { key: 'age', label: 'Age', type: 'number' },
+      { key: 'role', label: 'Role', type: 'text' },
+      { key: 'allegiance', label: 'Allegiance', type: 'text' },
+      { key: 'aliases', label: 'Aliases', type: 'list' }
+    ]
+  },
+  location: {
+    label: 'Places',
+    icon: '🏰',
+    fields: [
+      { key: 'region', label: 'Region', type: 'text' },
+      { key: 'climate', label: 'Climate', type: 'text' },
+      { key: 'ruler', label: 'Ruler', type: 'text' },
+      { key: 'population', label: 'Population', type: 'number' }
+    ]
+  },
+  faction: {
+    label: 'Factions',
+    icon: '⚔️',
+    fields: [
+      { key: 'leader', label: 'Leader', type: 'text' },
+      { key: 'headquarters', label: 'Headquarters', type: 'text' },
+      { key: 'goals', label: 'Goals', type: 'longtext' },
+      { key: 'allies', label: 'Allies', type: 'list' }
+    ]
+  },
+  item: {
+    label: 'Items',
+    icon: '🗡️',
+    fields: [
+      { key: 'owner', label: 'Owner', type: 'text' },
+      { key: 'origin', label: 'Origin', type: 'text' },
+      { key: 'powers', label: 'Powers', type: 'list' }
+    ]
+  },
+  lore: {
+    label: 'Lore',
+    icon: '📜',
+    fields: [
+      { key: 'era', label: 'Era', type: 'text' },
+      { key: 'source', label: 'Source', type: 'text' },
+      { key: 'related', label: 'Related', type: 'list' }
+    ]
+  }
+}
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]*$/
+
+export class CodexManager {
+  constructor(storageManager, settingsManager = null) {
+    this.storageManager = storageManager
+    this.settingsManager = settingsManager
+  }
+
+  /**
+   * Built-in schemas merged with user overrides from settings
+   * @returns {Object} Schemas keyed by entity type
+   */
+  getSchemas() {
+    const custom = this.settingsManager?.get('codex.schemas') || {}
+    return { ...CODEX_SCHEMAS, ...custom }
+  }
+
+  /**
+   * Get the entity types in display order
+   * @returns {Array<string>} Entity type keys
+   */
+  getEntityTypes() {
+    return Object.keys(this.getSchemas())
+  }
+
+  /**
+   * Get the schema for an entity type
+   * @param {string} codexType - Entity type
+   * @returns {Object} Schema with label, icon and fields
+   */
+  getSchema(codexType) {
+    const schema = this.getSchemas()[codexType]
+    if (!schema) {
+      throw new Error(`Unknown codex type: ${codexType}`)
+    }
+    return schema
+  }
+
+  /**
+   * Store a custom schema for an entity type, replacing the built-in one
+   * @param {string} codexType - Entity type (new or built-in)
+   * @param {Object} schema - Schema with label, optional icon and fields
+   */
+  setSchema(codexType, schema) {
+    if (!this.settingsManager) {
+      throw new Error('Codex schemas cannot be changed without settings')
+    }
+    if (!codexType || !FIELD_KEY_PATTERN.test(codexType)) {
+      throw new Error('Codex type must start with a letter and contain no spaces')
+    }
+
+    const validated = this.validateSchema(schema)
+    const custom = { ...(this.settingsManager.get('codex.schemas') || {}) }
+    custom[codexType] = validated
+    this.settingsManager.set('codex.schemas', custom)
+    return validated
+  }
+
+  /**
+   * Drop a custom schema so the built-in one (if any) applies again
+   * @param {string} codexType - Entity type
+   */
+  resetSchema(codexType) {
+    if (!this.settingsManager) return
+    const custom = { ...(this.settingsManager.get('codex.schemas') || {}) }
+    delete custom[codexType]
+    this.settingsManager.set('codex.schemas', custom)
+  }
+
+  /**
+   * Check a schema definition and return a clean copy
+   * @param {Object} schema - Schema to validate
+   * @returns {Object} Validated schema
+   */
+  validateSchema(schema) {
+    if (!schema || typeof schema !== 'object' || !Array.isArray(schema.fields)) {
+      throw new Error('Codex schema must have a fields array')
+    }
+
+    const keys = new Set()
+    const fields = schema.fields.map((field) => {
+      if (!field || !FIELD_KEY_PATTERN.test(field.key || '')) {
+        throw new Error(`Invalid codex field key: ${field?.key}`)
+      }
+      if (keys.has(field.key)) {
+        throw new Error(`Duplicate codex field key: ${field.key}`)
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        throw new Error(`Unsupported codex field type: ${field.type}`)
+      }
+      keys.add(field.key)
+      return { key: field.key, label: field.label || field.key, type: field.type }
+    })
+
+    return {
+      label: schema.label || 'Entries',
+      icon: schema.icon || '📘',
+      fields
+    }
+  }
+
+  /**
+   * Coerce field values to their schema types
+   * Keys the schema does not know about are kept, so a schema change never loses data
+   * @param {string} codexType - Entity type
+   * @param {Object} fields - Raw field values
+   * @returns {Object} Normalized fields
+   */
+  normalizeFields(codexType, fields = {}) {
+    const schema = this.getSchema(codexType)
+    const normalized = { ...fields }
+
+    for (const field of schema.fields) {
+      if (!(field.key in normalized)) continue
+      normalized[field.key] = this.coerceValue(field.type, normalized[field.key])
+    }
+
+    return normalized
+  }
+
+  coerceValue(type, value) {
+    if (value === null || value === undefined) {
+      if (type === 'list') return []
+      if (type === 'number') return null
+      return ''
+    }
+
+    switch (type) {
+      case 'number': {
+        if (typeof value === 'string' && value.trim() === '') return null
+        const number = Number(value)
+        return Number.isFinite(number) ? number : null
+      }
+      case 'list': {
+        const items = Array.isArray(value) ? value : String(value).split(',')
+        return items.map((item) => String(item).trim()).filter(Boolean)
+      }
+      default:
+        return String(value)
+    }
+  }
+
+  /**
+   * Create a codex entry
+   * @param {string} codexType - Entity type
+   * @param {string} title - Entry name
+   * @param {Object} fields - Initial field values
+   * @returns {Promise<Object>} Saved entry document
+   */
+  async createEntry(codexType, title, fields = {}) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      throw new Error('Codex entry name is required')
+    }
+
+    const schema = this.getSchema(codexType)
+    const initial = {}
+    for (const field of schema.fields) {
+      initial[field.key] = this.coerceValue(field.type, null)
+    }
+
+    return await this.storageManager.saveDocument({
+      title: title.trim(),
+      content: `# ${title.trim()}\n\n`,
+      tags: [codexType],
+      type: CODEX_DOCUMENT_TYPE,
+      codexType,
+      fields: this.normalizeFields(codexType, { ...initial, ...fields })
+    })
+  }
+
+  /**
+   * Get a codex entry by ID
+   * @param {string} id - Entry document ID
+   * @returns {Promise<Object>} Entry document
+   */
+  async getEntry(id) {
+    const entry = await this.storageManager.getDocument(id)
+    if (!entry || entry.type !== CODEX_DOCUMENT_TYPE) {
+      throw new Error('Codex entry not found')
+    }
+    return entry
+  }
+
+  /**
+   * Merge field values into an entry
+   * @param {string} id - Entry document ID
+   * @param {Object} changes - Field values to set
+   * @returns {Promise<Object>} Saved entry document
+   */
+  async updateFields(id, changes) {
+    const entry = await this.getEntry(id)
+    const fields = this.normalizeFields(entry.codexType, { ...entry.fields, ...changes })
+    return await this.storageManager.saveDocument({ ...entry, fields })
+  }
+
+  /**
+   * Get codex entries, optionally of one type
+   * @param {string} codexType - Optional entity type filter
+   * @returns {Promise<Array>} Entries sorted by title
+   */
+  async getEntries(codexType = null) {
+    const entries = await this.storageManager.getDocumentsByType(CODEX_DOCUMENT_TYPE)
+    return entries
+      .filter((entry) => !codexType || entry.codexType === codexType)
+      .sort((a, b) => a.title.localeCompare(b.title))
+  }
+
+  /**
+   * Find an entry by exact (case-insensitive) name, or by one of its list field values
+   * such as a character's aliases
+   * @param {string} name - Entry name or alias
+   * @returns {Promise<Object|null>} Matching entry
+   */
+  async findEntry(name) {
+    if (!name) return null
+    const lowerName = name.toLowerCase()
+    const entries = await this.getEntries()
+
+    return (
+      entries.find((entry) => entry.title.toLowerCase() === lowerName) ||
+      entries.find((entry) =>
+        Object.values(entry.fields || {}).some(
+          (value) =>
+            Array.isArray(value) && value.some((item) => String(item).toLowerCase() === lowerName)
+        )
+      ) ||
+      null
+    )
+  }
+
+  /**
+   * Group entries by entity type, including empty groups for every known type
+   * Entries whose type no longer has a schema are grouped under their own type key
+   * @param {Array} entries - Codex entries
+   * @returns {Array<Object>} Groups of { type, schema, entries }
+   */
+  groupEntries(entries) {
+    const schemas = this.getSchemas()
+    const groups = new Map(
+      Object.keys(schemas).map((type) => [type, { type, schema: schemas[type], entries: [] }])
+    )
+
+    for (const entry of entries) {
+      if (!groups.has(entry.codexType)) {
+        groups.set(entry.codexType, {
+          type: entry.codexType,
+          schema: { label: entry.codexType, icon: '📘', fields: [] },
+          entries: []
+        })
+      }
+      groups.get(entry.codexType).entries.push(entry)
+    }
+
+    return [...groups.values()]
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Backup Commands - Workspace backup and restore commands for Fantasy Editor
+ * Export everything to one archive file, restore it fully or in part, or preview a restore
+ */
+import { BACKUP_SECTIONS } from '../backup/backup-manager.js'
+
+const MAX_NAMES_SHOWN = 5
+
+export function registerBackupCommands(registry, app) {
+  const commands = [
+    {
+      name: 'backup',
+      description: 'back up or restore the whole workspace',
+      category: 'system',
+      icon: '🗄️',
+      aliases: [':backup'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: export (default), restore, dry-run'
+        },
+        {
+          name: 'args',
+          required: false,
+          type: 'string',
+          description: 'Sections to restore and a document title'
+        }
+      ],
+      handler: async (args) => {
+        if (!app.backupManager) {
+          return { success: false, message: 'Backups are not available' }
+        }
+
+        const action = args[0] || 'export'
+        const rest = args.slice(1)
+
+        try {
+          switch (action) {
+            case 'export':
+              return await exportBackup(app)
+
+            case 'restore':
+              return await restoreBackup(app, rest, false)
+
+            case 'dry-run':
+              return await restoreBackup(app, rest, true)
+
+            default:
+              return {
+                success: false,
+                message: 'Unknown action. Use: export, restore, or dry-run'
+              }
+          }
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Usage: backup [export]
+ */
+async function exportBackup(app) {
+  const { data, filename, manifest } = await app.backupManager.createBackup()
+  const exportManager = await app.getExportManager()
+  exportManager.downloadFile(filename, data, 'application/zip')
+
+  const { documents, revisions } = manifest.counts
+  return {
+    success: true,
+    message: `Backed up ${documents} document(s) and ${revisions} revision(s) to ${filename}`
+  }
+}
+
+/**
+ * Usage: backup restore|dry-run [sections...] [document title]
+ * Words naming a section limit the restore to those sections; any other words are the title
+ * of a single document to restore.
+ */
+async function restoreBackup(app, words, dryRun) {
+  const sections = words.filter((word) => BACKUP_SECTIONS.includes(word.toLowerCase()))
+  const title = words
+    .filter((word) => !BACKUP_SECTIONS.includes(word.toLowerCase()))
+    .join(' ')
+    .trim()
+
+  const file = await app.backupManager.pickBackupFile()
+  if (!file) {
+    return { success: false, message: 'No backup selected' }
+  }
+
+  const report = await app.backupManager.restore(file, {
+    sections: sections.length > 0 ? sections.map((section) => section.toLowerCase()) : undefined,
+    documents: title ? [title] : null,
+    dryRun
+  })
+
+  if (!dryRun) {
+    report.documents.forEach((doc) => app.queueSync(doc))
+    app.navigator?.refresh()
+    await app.fileTree?.refresh()
+  }
+
+  const changes = Object.values(report.sections).reduce(
+    (sum, { added, updated }) => sum + added.length + updated.length,
+    0
+  )
+  const date = new Date(report.createdAt).toLocaleString()
+  const message = dryRun
+    ? `Dry run: restoring the backup from ${date} would make ${changes} change(s)`
+    : `Restored the backup from ${date}: ${changes} change(s)`
+
+  return {
+    success: report.corrupt.length === 0 && report.failed.length === 0,
+    message,
+    data: [
+      ...Object.entries(report.sections).map(([section, changes]) =>
+        describeSection(section, changes)
+      ),
+      ...report.corrupt.map(({ path, error }) => `Skipped ${path}: ${error}`),
+      ...report.failed.map(({ name, error }) => `Failed ${name}: ${error}`)
+    ]
+  }
+}
+
+/**
+ * One report line per section, naming the first few changed items
+ */
+function describeSection(section, { added, updated, unchanged }) {
+  const summary = `${section}: ${added.length} new, ${updated.length} changed, ${unchanged} unchanged`
+  const names = [...added, ...updated]
+  if (names.length === 0) return summary
+
+  const shown = names.slice(0, MAX_NAMES_SHOWN).join(', ')
+  const hidden = names.length - MAX_NAMES_SHOWN
+  const more = hidden > 0 ? ` and ${hidden} more` : ''
+  return `${summary} (${shown}${more})`
+}
@@ -0,0 +1,116 @@
+/**
+ * Codex Commands - Worldbuilding codex commands for Fantasy Editor
+ * Create and list character, place and lore entries
+ */
+export function registerCodexCommands(registry, app) {
+  const commands = [
+    {
+      name: 'codex',
+      description: 'manage worldbuilding codex entries',
+      category: 'codex',
+      icon: '🧙',
+      aliases: [':cx'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: new, list, types (opens Codex tab if omitted)'
+        },
+        { name: 'args', required: false, type: 'string', description: 'Action arguments' }
+      ],
+      handler: async (args) => {
+        if (!app.codexManager) {
+          return { success: false, message: 'Codex is not available' }
+        }
+
+        const action = args[0]
+        const rest = args.slice(1)
+
+        switch (action) {
+          case undefined:
+            app.navigator?.openCodex()
+            return { success: true, message: 'Codex opened' }
+
+          case 'new':
+            return await createEntry(app, rest)
+
+          case 'list':
+            return await listEntries(app, rest[0])
+
+          case 'types':
+            return listTypes(app)
+
+          default:
+            return {
+              success: false,
+              message: 'Unknown action. Use: new, list, or types'
+            }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Create an entry and open it in the editor
+ * Usage: codex new <type> <name>
+ */
+async function createEntry(app, args) {
+  const [codexType, ...nameParts] = args
+  const name = nameParts.join(' ')
+  const types = app.codexManager.getEntityTypes()
+
+  if (!codexType || !name) {
+    return {
+      success: false,
+      message: `Usage: codex new <type> <name>. Types: ${types.join(', ')}`
+    }
+  }
+  if (!types.includes(codexType)) {
+    return {
+      success: false,
+      message: `Unknown codex type "${codexType}". Types: ${types.join(', ')}`
+    }
+  }
+
+  try {
+    const entry = await app.codexManager.createEntry(codexType, name)
+    app.loadDocument(entry)
+    app.navigator?.onDocumentCreate(entry)
+    app.navigator?.tabComponents?.codex?.refresh()
+    return { success: true, message: `Created ${codexType} "${entry.title}"` }
+  } catch (error) {
+    return { success: false, message: `Failed to create codex entry: ${error.message}` }
+  }
+}
+
+async function listEntries(app, codexType) {
+  if (codexType && !app.codexManager.getEntityTypes().includes(codexType)) {
+    return { success: false, message: `Unknown codex type "${codexType}"` }
+  }
+
+  const entries = await app.codexManager.getEntries(codexType)
+  if (entries.length === 0) {
+    return { success: true, message: 'No codex entries yet. Use: codex new <type> <name>' }
+  }
+
+  return {
+    success: true,
+    message: `${entries.length} codex entr${entries.length === 1 ? 'y' : 'ies'}:`,
+    data: entries.map((entry) => `${entry.title} (${entry.codexType})`)
+  }
+}
+
+function listTypes(app) {
+  return {
+    success: true,
+    message: 'Codex types:',
+    data: app.codexManager.getEntityTypes().map((type) => {
+      const schema = app.codexManager.getSchema(type)
+      return `${schema.icon} ${type}: ${schema.fields.map((field) => field.key).join(', ')}`
+    })
+  }
+}
@@ -678,6 +678,22 @@ export function registerCoreCommands(registry, app) {
       }
     },
 
+    {
+      name: 'replace in all documents',
+      description: 'find and replace across all documents',
+      category: 'editing',
+      icon: '🔄',
+      aliases: [':ra'],
+      parameters: [{ name: 'query', required: false, type: 'string', description: 'Text to find' }],
+      handler: async (args) => {
+        if (!app.navigator) {
+          return { success: false, message: 'Navigator not available' }
+        }
+        app.navigator.openReplace(args.join(' '))
+        return { success: true, message: 'Replace across documents opened' }
+      }
+    },
+
     {
       name: 'find all',
       description: 'find all occurrences in document',
@@ -733,16 +749,22 @@ export function registerCoreCommands(registry, app) {
           return { success: false, message: 'Unable to get document statistics' }
         }
 
+        const data = {
+          words: stats.words,
+          characters: stats.characters,
+          'characters (no spaces)': stats.charactersNoSpaces,
+          lines: stats.lines,
+          paragraphs: stats.paragraphs
+        }
+
+        if (app.goalsManager) {
+          data['written today'] = await app.goalsManager.getTodayWords()
+        }
+
         return {
           success: true,
           message: 'Document Statistics:',
-          data: {
-            words: stats.words,
-            characters: stats.characters,
-            'characters (no spaces)': stats.charactersNoSpaces,
-            lines: stats.lines,
-            paragraphs: stats.paragraphs
-          }
+          data
         }
       }
     },
@@ -759,7 +781,7 @@ export function registerCoreCommands(registry, app) {
           name: 'format',
           required: false,
           type: 'string',
-          description: 'Export format (md, txt, html, pdf)'
+          description: 'Export format (md, txt, html, pdf, epub, docx)'
         }
       ],
       handler: async (args) => {
@@ -844,14 +866,23 @@ export function registerCoreCommands(registry, app) {
 
     {
       name: 'export pdf',
-      description: 'export document as PDF',
+      description: 'export document as typeset PDF',
       category: 'export',
       icon: '📑',
       aliases: [':ep'],
-      handler: async () => {
+      parameters: [
+        {
+          name: 'trim',
+          required: false,
+          type: 'string',
+          description: 'Trim size: a5, 6x9 (default) or letter'
+        }
+      ],
+      handler: async (args) => {
         try {
           const exportManager = await app.getExportManager()
-          const result = await exportManager.exportDocument('pdf')
+          const trimSize = args[0] ? args[0].toLowerCase() : undefined
+          const result = await exportManager.exportDocument('pdf', { trimSize })
           return result
         } catch (error) {
           return { success: false, message: `PDF export failed: ${error.message}` }
@@ -859,6 +890,65 @@ export function registerCoreCommands(registry, app) {
       }
     },
 
+    {
+      name: 'export epub',
+      description: 'export document as EPUB e-book',
+      category: 'export',
+      icon: '📖',
+      aliases: [':ee'],
+      parameters: [
+        {
+          name: 'cover',
+          required: false,
+          type: 'string',
+          description: "Pass 'cover' to choose a cover image"
+        }
+      ],
+      handler: async (args) => {
+        try {
+          const exportManager = await app.getExportManager()
+          const options = {}
+          if (args[0] === 'cover') {
+            options.cover = await exportManager.pickCoverImage()
+          }
+          const result = await exportManager.exportDocument('epub', options)
+          return result
+        } catch (error) {
+          return { success: false, message: `EPUB export failed: ${error.message}` }
+        }
+      }
+    },
+
+    {
+      name: 'export docx',
+      description: 'export document as Word manuscript (standard manuscript format)',
+      category: 'export',
+      icon: '📃',
+      aliases: [':ed'],
+      parameters: [
+        {
+          name: 'font',
+          required: false,
+          type: 'string',
+          description: 'Manuscript font: courier (default) or times'
+        }
+      ],
+      handler: async (args) => {
+        const font = args[0] || 'courier'
+        if (!['courier', 'times'].includes(font)) {
+          return { success: false, message: 'Font must be courier or times' }
+        }
+
+        try {
+          const exportManager = await app.getExportManager()
+          const result = await exportManager.exportDocument('docx', { font })
+          return result
+        } catch (error) {
+          return { success: false, message: `DOCX export failed: ${error.message}` }
+        }
+      }
+    },
+
     // Editor Width and Zoom Commands
     {
       name: 'width 65',
@@ -1108,6 +1198,41 @@ export function registerCoreCommands(registry, app) {
       }
     },
 
+    {
+      name: 'move',
+      description: 'move document to a folder',
+      category: 'document',
+      icon: '📁',
+      aliases: [':mv'],
+      parameters: [
+        {
+          name: 'folder',
+          required: false,
+          type: 'string',
+          description: 'Folder path such as book-1/chapters (empty for the top level)'
+        }
+      ],
+      handler: async (args) => {
+        if (!app.currentDocument) {
+          return { success: false, message: 'No document is currently open' }
+        }
+        if (app.currentDocument.type === 'system' || app.currentDocument.readonly) {
+          return { success: false, message: 'Readonly documents cannot be moved' }
+        }
+
+        try {
+          const moved = await app.moveDocument(app.currentDocument.id, args.join(' '))
+          const synced = moved.githubPath ? ' - synced as a rename on the next push' : ''
+          return {
+            success: true,
+            message: `Moved "${moved.title}" to ${moved.folder || 'the top level'}${synced}`
+          }
+        } catch (error) {
+          return { success: false, message: `Failed to move document: ${error.message}` }
+        }
+      }
+    },
+
     // Readonly and System Document Commands
     {
       name: 'readonly',
@@ -148,6 +148,9 @@ export function registerGitCommands(registry, app) {
           }
         }
 
+        // Talk to the logged-in host's API (GitHub, GitLab, Bitbucket or a self-hosted server)
+        app.useStorageBackend?.()
+
         const [owner, repo, branch] = args
 
         if (!owner || !repo) {
@@ -156,6 +159,7 @@ export function registerGitCommands(registry, app) {
             success: true,
             message: 'Git Repository Configuration:',
             data: {
+              host: app.githubStorage.displayName,
               owner: config.owner || 'Not set',
               repository: config.repo || 'Not set',
               branch: config.branch || 'main',
@@ -179,7 +183,7 @@ export function registerGitCommands(registry, app) {
           if (isAccessible) {
             return {
               success: true,
-              message: `Git repository configured: ${owner}/${repo}`
+              message: `${app.githubStorage.displayName} repository configured: ${owner}/${repo}`
             }
           } else {
             return {
@@ -214,11 +218,26 @@ export function registerGitCommands(registry, app) {
         try {
           const result = await app.gitService.syncAllDocuments()
 
+          // Documents deleted in the repository are gone here too, maybe the open one
+          if (result.stats?.removed > 0) {
+            await app.reloadWorkingSet()
+          }
+
           // Update Navigator after sync operations
           if (app.navigator) {
             app.navigator.refresh()
           }
 
+          // Overlapping edits that could not be merged automatically need the user
+          if (result.stats?.conflicts > 0) {
+            app.showSyncConflicts()
+            return {
+              success: true,
+              message: `Sync completed with ${result.stats.conflicts} conflict(s) to resolve`,
+              data: result.stats
+            }
+          }
+
           return result.success ? {
             success: true,
             message: result.message,
@@ -342,7 +361,7 @@ export function registerGitCommands(registry, app) {
             }
 
             // If not found locally, check remote documents by title
-            const remoteDocuments = await app.githubStorage.listDocuments()
+            const remoteDocuments = await app.githubStorage.listDocuments(allDocs)
             const remoteDoc = remoteDocuments.find(doc =>
               doc.title.toLowerCase() === filename.toLowerCase() ||
               doc.githubPath.toLowerCase().endsWith(filename.toLowerCase())
@@ -416,7 +435,8 @@ export function registerGitCommands(registry, app) {
             }
           } else {
             // List available documents for pulling
-            const documents = await app.githubStorage.listDocuments()
+            const localDocs = await app.storageManager.getAllDocuments()
+            const documents = await app.githubStorage.listDocuments(localDocs)
 
             if (documents.length === 0) {
               return {
@@ -585,6 +605,114 @@ export function registerGitCommands(registry, app) {
       }
     },
 
+    {
+      name: 'git log',
+      description: 'browse the commit history of the current document',
+      category: 'git',
+      icon: '📜',
+      aliases: [':glg'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: list, diff, restore, blame, close (opens the history if omitted)'
+        },
+        {
+          name: 'commit',
+          required: false,
+          type: 'number',
+          description: 'Commit number from the list (1 = newest)'
+        }
+      ],
+      handler: async (args) => {
+        if (!app.gitService) {
+          return {
+            success: false,
+            message: 'Git service not available'
+          }
+        }
+
+        const doc = app.currentDocument
+        if (!doc) {
+          return {
+            success: false,
+            message: 'No document currently open'
+          }
+        }
+
+        const [action, number] = args
+
+        switch (action) {
+          case undefined:
+            return await app.showGitHistory()
+
+          case 'list': {
+            const history = await app.gitService.getDocumentHistory(doc.id)
+            if (!history.success || history.commits.length === 0) return history
+
+            return {
+              success: true,
+              message: history.message,
+              data: history.commits.map(
+                (commit, index) =>
+                  `${index + 1}. ${commit.sha.slice(0, 7)} ${commit.message.split('\n')[0]} ` +
+                  `(${commit.author}, ${new Date(commit.date).toLocaleDateString()})`
+              )
+            }
+          }
+
+          case 'diff':
+          case 'restore': {
+            const commit = await findCommit(app, doc, number)
+            if (!commit) {
+              return {
+                success: false,
+                message: `Commit not found. Usage: :glg ${action} <n>`
+              }
+            }
+
+            return action === 'diff'
+              ? await app.showCommitDiff(commit.sha)
+              : await app.restoreFromCommit(commit.sha)
+          }
+
+          case 'blame': {
+            const blame = await app.gitService.blameDocument(doc.id)
+            if (!blame.success) return blame
+
+            return {
+              success: true,
+              message: blame.message,
+              data: blame.paragraphs.map(({ text, commit }) => {
+                const line = text.split('\n')[0]
+                const excerpt = line.length > 60 ? `${line.slice(0, 60)}…` : line
+                return commit
+                  ? `${commit.sha.slice(0, 7)} ${commit.author}: ${excerpt}`
+                  : `(not synced): ${excerpt}`
+              })
+            }
+          }
+
+          case 'close': {
+            if (!app.editor?.isInDiffMode()) {
+              return { success: true, message: 'No commit diff open' }
+            }
+            const closed = await app.editor.exitDiffMode(false)
+            return closed
+              ? { success: true, message: 'Commit diff closed' }
+              : { success: false, message: 'Failed to exit diff mode' }
+          }
+
+          default:
+            return {
+              success: false,
+              message: 'Unknown action. Use: list, diff <n>, restore <n>, blame, or close'
+            }
+        }
+      }
+    },
+
     // Git Repository Management
     {
       name: 'git list',
@@ -608,7 +736,8 @@ export function registerGitCommands(registry, app) {
         }
 
         try {
-          const documents = await app.githubStorage.listDocuments()
+          const localDocs = await app.storageManager.getAllDocuments()
+          const documents = await app.githubStorage.listDocuments(localDocs)
 
           if (documents.length === 0) {
             return {
@@ -635,6 +764,75 @@ export function registerGitCommands(registry, app) {
       }
     },
 
+    // Draft branches: alternate versions of the working set
+    {
+      name: 'git branch',
+      description: 'list, create, switch or merge draft branches',
+      category: 'git',
+      icon: '🌿',
+      aliases: [':gbr'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: list, create, switch, merge (lists branches if omitted)'
+        },
+        { name: 'branch', required: false, type: 'string', description: 'Branch name' }
+      ],
+      handler: async (args) => {
+        if (!app.gitService) {
+          return {
+            success: false,
+            message: 'Git service not available'
+          }
+        }
+
+        const [action = 'list', name] = args
+        if (action !== 'list' && !name) {
+          return {
+            success: false,
+            message: `Usage: :gbr ${action} <branch>`
+          }
+        }
+
+        switch (action) {
+          case 'list': {
+            const result = await app.gitService.listBranches()
+            if (!result.success) return result
+
+            return {
+              success: true,
+              message: `Branches (current: ${result.current}):`,
+              data: result.branches.map((branch) =>
+                branch.name === result.current ? `* ${branch.name}` : `  ${branch.name}`
+              )
+            }
+          }
+
+          case 'create':
+            return await app.gitService.createBranch(name)
+
+          case 'switch':
+            return await app.gitService.switchBranch(name)
+
+          case 'merge': {
+            const result = await app.gitService.mergeBranch(name)
+            if (result.stats?.conflicts > 0) {
+              app.showSyncConflicts()
+            }
+            return result
+          }
+
+          default:
+            return {
+              success: false,
+              message: 'Unknown action. Use: list, create, switch, or merge'
+            }
+        }
+      }
+    },
+
     {
       name: 'git init',
       description: 'initialize Git repository for documents',
@@ -670,4 +868,14 @@ export function registerGitCommands(registry, app) {
 
   // Register all Git commands
   registry.registerCommands(processedCommands)
-}
\ No newline at end of file
+}
+/**
+ * Find a commit of the document by its number in the history list (1 = newest)
+ */
+async function findCommit(app, doc, number) {
+  const index = parseInt(number, 10) - 1
+  if (isNaN(index) || index < 0) return null
+
+  const history = await app.gitService.getDocumentHistory(doc.id)
+  return history.success ? history.commits[index] || null : null
+}
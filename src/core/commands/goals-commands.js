@@ -0,0 +1,150 @@
+/**
+ * Goals Commands - Writing goal commands for Fantasy Editor
+ * Set daily, session and project word goals and show progress
+ */
+export function registerGoalsCommands(registry, app) {
+  const commands = [
+    {
+      name: 'goals',
+      description: 'show or set writing goals',
+      category: 'info',
+      icon: '🎯',
+      aliases: [':goals'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: daily, session, project (shows progress if omitted)'
+        },
+        { name: 'args', required: false, type: 'string', description: 'Action arguments' }
+      ],
+      handler: async (args) => {
+        if (!app.goalsManager) {
+          return { success: false, message: 'Writing goals are not available' }
+        }
+
+        const action = args[0]
+        const rest = args.slice(1)
+
+        try {
+          switch (action) {
+            case undefined:
+              return await showGoals(app)
+
+            case 'daily':
+            case 'session':
+              return setGoal(app, action, rest[0])
+
+            case 'project':
+              return await setProjectGoal(app, rest)
+
+            default:
+              return {
+                success: false,
+                message: 'Unknown action. Use: daily, session, or project'
+              }
+          }
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Open the goals overview and summarize today's progress
+ */
+async function showGoals(app) {
+  const status = await app.goalsManager.getStatus(app.currentDocument)
+  const streak = await app.goalsManager.getStreak()
+
+  app.showWritingGoals?.()
+
+  const data = {
+    today: formatProgress(status.today.words, status.today.goal),
+    session: formatProgress(status.session.words, status.session.goal),
+    streak: `${streak.current} day(s), best ${streak.best}`
+  }
+  if (status.project) {
+    data[status.project.title] = formatProgress(status.project.words, status.project.target)
+    if (status.project.pace !== null) {
+      data.pace = `${status.project.pace.toLocaleString()} words/day for ${status.project.daysLeft} day(s)`
+    }
+  }
+
+  return { success: true, message: 'Writing goals:', data }
+}
+
+/**
+ * Usage: goals daily|session <words|off>
+ */
+function setGoal(app, kind, value) {
+  if (value === undefined) {
+    return { success: false, message: `Usage: goals ${kind} <words|off>` }
+  }
+
+  const words = app.goalsManager.setGoal(kind, value === 'off' ? 0 : value)
+  app.updateGoalProgress?.()
+
+  return {
+    success: true,
+    message: words
+      ? `${capitalize(kind)} goal set to ${words} words`
+      : `${capitalize(kind)} goal off`
+  }
+}
+
+/**
+ * Set the goal of the current document's project
+ * Usage: goals project <words> [deadline YYYY-MM-DD] [start YYYY-MM-DD] | goals project off
+ */
+async function setProjectGoal(app, args) {
+  const [value, deadline = null, startDate = null] = args
+
+  if (!app.currentDocument) {
+    return { success: false, message: 'Open a document of the project first' }
+  }
+  const [project] = await app.projectManager.getProjectsForDocument(app.currentDocument.id)
+  if (!project) {
+    return { success: false, message: 'The current document is not in a project' }
+  }
+
+  if (value === undefined) {
+    return {
+      success: false,
+      message: 'Usage: goals project <words> [deadline YYYY-MM-DD] [start YYYY-MM-DD] or off'
+    }
+  }
+
+  if (value === 'off') {
+    app.goalsManager.clearProjectGoal(project.id)
+    app.updateGoalProgress?.()
+    return { success: true, message: `Goal for "${project.title}" removed` }
+  }
+
+  const goal = app.goalsManager.setProjectGoal(project.id, { target: value, deadline, startDate })
+  app.updateGoalProgress?.()
+
+  const progress = await app.goalsManager.getProjectProgress(project.id)
+  const message = `Goal for "${project.title}" set to ${goal.target} words`
+  if (progress.pace === null) {
+    return { success: true, message }
+  }
+  return {
+    success: true,
+    message: `${message} by ${goal.deadline}: ${progress.pace} words/day for ${progress.daysLeft} day(s)`
+  }
+}
+
+function formatProgress(words, goal) {
+  const written = words.toLocaleString()
+  return goal ? `${written} / ${goal.toLocaleString()} words` : `${written} words`
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
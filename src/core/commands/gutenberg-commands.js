@@ -0,0 +1,114 @@
+/**
+ * Gutenberg Commands - Project Gutenberg import commands for Fantasy Editor
+ * Search the catalog and import public-domain books as readonly reference documents
+ */
+import { formatAuthor } from '../gutenberg/gutenberg-catalog.js'
+
+export function registerGutenbergCommands(registry, app) {
+  const commands = [
+    {
+      name: 'gutenberg',
+      description: 'search and import Project Gutenberg books',
+      category: 'document',
+      icon: '📚',
+      aliases: [':pg'],
+      parameters: [
+        {
+          name: 'action',
+          required: true,
+          type: 'string',
+          description: 'Action: search, import, catalog'
+        },
+        { name: 'args', required: false, type: 'string', description: 'Action arguments' }
+      ],
+      handler: async (args) => {
+        if (!app.gutenbergManager) {
+          return { success: false, message: 'Gutenberg import is not available' }
+        }
+
+        const action = args[0]
+        const rest = args.slice(1)
+
+        try {
+          switch (action) {
+            case 'search':
+              return await searchBooks(app, rest.join(' '))
+
+            case 'import':
+              return await importBook(app, rest[0])
+
+            case 'catalog':
+              return await loadCatalog(app, rest[0])
+
+            default:
+              return {
+                success: false,
+                message: 'Unknown action. Use: search, import, or catalog'
+              }
+          }
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Usage: gutenberg search <title or author>
+ */
+async function searchBooks(app, query) {
+  if (!query.trim()) {
+    return { success: false, message: 'Usage: gutenberg search <title or author>' }
+  }
+
+  const books = await app.gutenbergManager.search(query)
+  if (books.length === 0) {
+    return { success: true, message: `No books found for "${query}"` }
+  }
+
+  return {
+    success: true,
+    message: `${books.length} book(s) found. Use: gutenberg import <number>`,
+    data: books.map((book) => {
+      const authors = book.authors.map(formatAuthor).join(', ')
+      return `#${book.id} ${book.title}${authors ? ` by ${authors}` : ''}`
+    })
+  }
+}
+
+/**
+ * Usage: gutenberg import <ebook number>
+ */
+async function importBook(app, number) {
+  const id = number?.replace(/^#/, '')
+  if (!id) {
+    return { success: false, message: 'Usage: gutenberg import <ebook number>' }
+  }
+
+  app.showNotification?.(`Downloading ebook #${id}...`, 'info')
+  const { book, documents, folder } = await app.gutenbergManager.importBook(id)
+
+  app.navigator?.refresh()
+  await app.fileTree?.refresh()
+
+  return {
+    success: true,
+    message: `Imported "${book.title}" as ${documents.length} readonly document(s) in ${folder}`
+  }
+}
+
+/**
+ * Usage: gutenberg catalog [url] - without a URL, choose a downloaded CSV or RDF dump
+ */
+async function loadCatalog(app, url) {
+  const source = url || (await app.gutenbergManager.pickCatalogFile())
+  if (!source) {
+    return { success: false, message: 'No catalog selected' }
+  }
+
+  const count = await app.gutenbergManager.loadCatalog(source)
+  return { success: true, message: `Loaded ${count.toLocaleString()} books from the catalog` }
+}
@@ -0,0 +1,183 @@
+/**
+ * History Commands - Local revision history for the current document
+ * List snapshots, preview one against the current text in the diff view, and restore it
+ */
+export function registerHistoryCommands(registry, app) {
+  const commands = [
+    {
+      name: 'history',
+      description: 'document revision history',
+      category: 'document',
+      icon: '🕘',
+      aliases: [':hi'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: list, preview, restore, close (lists revisions if omitted)'
+        },
+        {
+          name: 'revision',
+          required: false,
+          type: 'number',
+          description: 'Revision number from the list (1 = newest)'
+        }
+      ],
+      handler: async (args) => {
+        if (!app.revisionManager) {
+          return { success: false, message: 'Revision history is not available' }
+        }
+
+        const doc = app.currentDocument
+        if (!doc) {
+          return { success: false, message: 'No document currently open' }
+        }
+
+        const [action = 'list', number] = args
+
+        switch (action) {
+          case 'list':
+            return await listRevisions(app, doc)
+
+          case 'preview':
+            return await previewRevision(app, doc, number)
+
+          case 'restore':
+            return await restoreRevision(app, doc, number)
+
+          case 'close':
+            return await closePreview(app)
+
+          default:
+            return {
+              success: false,
+              message: 'Unknown action. Use: list, preview <n>, restore <n>, or close'
+            }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+async function listRevisions(app, doc) {
+  const revisions = await app.revisionManager.listRevisions(doc.id)
+  if (revisions.length === 0) {
+    return { success: true, message: `No revisions of "${doc.title}" yet` }
+  }
+
+  return {
+    success: true,
+    message: `${revisions.length} revision(s) of "${doc.title}":`,
+    data: revisions.map(
+      (revision, index) =>
+        `${index + 1}. ${formatTimeAgo(revision.createdAt)} - ${revision.wordCount} words (${revision.reason})`
+    )
+  }
+}
+
+/**
+ * Show a revision in the merge view: the revision is the original, the editor keeps current text
+ * Usage: history preview <n>
+ */
+async function previewRevision(app, doc, number) {
+  if (app.editor?.isInDiffMode()) {
+    return await closePreview(app)
+  }
+
+  const revision = await findRevision(app, doc, number)
+  if (!revision) {
+    return { success: false, message: 'Revision not found. Usage: history preview <n>' }
+  }
+
+  const success = await app.editor.enterDiffMode(app.editor.getContent(), revision.content)
+  if (!success) {
+    return { success: false, message: 'Failed to enter diff mode' }
+  }
+
+  return {
+    success: true,
+    message: `Comparing with revision from ${formatTimeAgo(revision.createdAt)} - use :hi close to exit`
+  }
+}
+
+/**
+ * Replace the document content with a revision; the current text is snapshotted first
+ * Usage: history restore <n>
+ */
+async function restoreRevision(app, doc, number) {
+  if (doc.readonly === true || doc.type === 'system') {
+    return { success: false, message: 'Cannot restore a readonly document' }
+  }
+
+  const revision = await findRevision(app, doc, number)
+  if (!revision) {
+    return { success: false, message: 'Revision not found. Usage: history restore <n>' }
+  }
+
+  try {
+    if (app.editor?.isInDiffMode()) {
+      await app.editor.exitDiffMode(false)
+    }
+
+    // Persist unsaved edits so they are part of the pre-restore snapshot, and let the save's
+    // own snapshot finish first so the two cannot interleave
+    const saveResult = await app.saveDocument()
+    await saveResult?.revision
+
+    const savedDoc = await app.revisionManager.restoreRevision(revision.id)
+    app.loadDocument(savedDoc)
+    app.navigator?.onDocumentSave(savedDoc)
+    app.fileTree?.updateDocument(savedDoc)
+    if (app.syncStatusManager) {
+      await app.syncStatusManager.updateAll(savedDoc.id, savedDoc)
+    }
+
+    return {
+      success: true,
+      message: `Restored revision from ${formatTimeAgo(revision.createdAt)}`
+    }
+  } catch (error) {
+    return { success: false, message: `Restore failed: ${error.message}` }
+  }
+}
+
+async function closePreview(app) {
+  if (!app.editor?.isInDiffMode()) {
+    return { success: true, message: 'No revision preview open' }
+  }
+
+  const success = await app.editor.exitDiffMode(true) // Keep current changes
+  return success
+    ? { success: true, message: 'Revision preview closed - changes preserved' }
+    : { success: false, message: 'Failed to exit diff mode' }
+}
+
+async function findRevision(app, doc, number) {
+  const index = parseInt(number, 10) - 1
+  if (isNaN(index) || index < 0) return null
+
+  const revisions = await app.revisionManager.listRevisions(doc.id)
+  return revisions[index] || null
+}
+
+function formatTimeAgo(dateString) {
+  const date = new Date(dateString)
+  const diffMinutes = Math.floor((Date.now() - date.getTime()) / (1000 * 60))
+  const diffHours = Math.floor(diffMinutes / 60)
+  const diffDays = Math.floor(diffHours / 24)
+
+  if (diffMinutes < 1) return 'just now'
+  if (diffMinutes < 60) return `${diffMinutes}m ago`
+  if (diffHours < 24) return `${diffHours}h ago`
+  if (diffDays < 7) return `${diffDays}d ago`
+
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
@@ -0,0 +1,26 @@
+/**
+ * Import Commands - Bulk import commands for Fantasy Editor
+ * Bring in folders of markdown notes, zip archives and Obsidian vaults
+ */
+export function registerImportCommands(registry, app) {
+  const commands = [
+    {
+      name: 'import',
+      description: 'import a folder, zip archive or Obsidian vault',
+      category: 'document',
+      icon: '📥',
+      aliases: [':imp'],
+      parameters: [],
+      handler: async () => {
+        try {
+          await app.showImportWizard()
+          return { success: true, message: 'Drop a folder or .zip, or choose one to import' }
+        } catch (error) {
+          return { success: false, message: `Failed to open the import wizard: ${error.message}` }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
@@ -0,0 +1,163 @@
+/**
+ * Project Commands - Manuscript project commands for Fantasy Editor
+ * Create projects, add the current document to a binder, and export whole manuscripts
+ */
+export function registerProjectCommands(registry, app) {
+  const commands = [
+    {
+      name: 'project',
+      description: 'manage manuscript projects',
+      category: 'project',
+      icon: '📚',
+      aliases: [':pj'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'Action: new, list, add, export (opens Projects tab if omitted)'
+        },
+        { name: 'args', required: false, type: 'string', description: 'Action arguments' }
+      ],
+      handler: async (args) => {
+        if (!app.projectManager) {
+          return { success: false, message: 'Projects are not available' }
+        }
+
+        const action = args[0]
+        const rest = args.slice(1)
+
+        switch (action) {
+          case undefined:
+            app.navigator?.openProjects()
+            return { success: true, message: 'Projects opened' }
+
+          case 'new':
+            return await createProject(app, rest.join(' '))
+
+          case 'list':
+            return await listProjects(app)
+
+          case 'add':
+            return await addCurrentDocument(app, rest)
+
+          case 'export':
+            return await exportProject(app, rest)
+
+          default:
+            return {
+              success: false,
+              message: 'Unknown action. Use: new, list, add, or export'
+            }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+async function createProject(app, title) {
+  if (!title) {
+    return { success: false, message: 'Project title required. Usage: project new <title>' }
+  }
+
+  try {
+    const project = await app.projectManager.createProject(title)
+    app.navigator?.tabComponents?.projects?.refresh()
+    return { success: true, message: `Created project "${project.title}"` }
+  } catch (error) {
+    return { success: false, message: `Failed to create project: ${error.message}` }
+  }
+}
+
+async function listProjects(app) {
+  const projects = await app.projectManager.getAllProjects()
+  if (projects.length === 0) {
+    return { success: true, message: 'No projects yet. Use: project new <title>' }
+  }
+
+  return {
+    success: true,
+    message: `${projects.length} project(s):`,
+    data: projects.map((project) => {
+      const count = app.projectManager.getOrderedDocumentIds(project).length
+      return `${project.title} (${count} documents)`
+    })
+  }
+}
+
+/**
+ * Add the open document to a project as a chapter (default) or scene
+ * Usage: project add [chapter|scene] <project title>
+ * Scenes go into the last chapter; chapters go into the last part when the project has parts
+ */
+async function addCurrentDocument(app, args) {
+  const doc = app.currentDocument
+  if (!doc) {
+    return { success: false, message: 'No document currently open' }
+  }
+
+  const type = ['chapter', 'scene'].includes(args[0]) ? args[0] : 'chapter'
+  const projectTitle = (type === args[0] ? args.slice(1) : args).join(' ')
+  const project = await app.projectManager.findProject(projectTitle)
+  if (!project) {
+    return {
+      success: false,
+      message: 'Project not found. Usage: project add [chapter|scene] <project title>'
+    }
+  }
+
+  const parentType = type === 'scene' ? 'chapter' : 'part'
+  const parent = app.projectManager
+    .flatten(project.binder)
+    .filter((entry) => entry.node.type === parentType)
+    .pop()
+
+  if (type === 'scene' && !parent) {
+    return {
+      success: false,
+      message: `Project "${project.title}" has no chapter to add a scene to`
+    }
+  }
+
+  try {
+    await app.projectManager.addNode(
+      project.id,
+      { type, title: doc.title, documentId: doc.id },
+      parent ? parent.node.id : null
+    )
+    app.navigator?.tabComponents?.projects?.refresh()
+    return { success: true, message: `Added "${doc.title}" to "${project.title}" as a ${type}` }
+  } catch (error) {
+    return { success: false, message: `Failed to add document: ${error.message}` }
+  }
+}
+
+/**
+ * Usage: project export <format> <project title>
+ */
+async function exportProject(app, args) {
+  const [format, ...titleParts] = args
+  if (!format || titleParts.length === 0) {
+    return { success: false, message: 'Usage: project export <format> <project title>' }
+  }
+
+  const project = await app.projectManager.findProject(titleParts.join(' '))
+  if (!project) {
+    return { success: false, message: 'Project not found' }
+  }
+
+  try {
+    const exportManager = await app.getExportManager()
+    if (!exportManager.isFormatSupported(format)) {
+      return {
+        success: false,
+        message: `Unsupported format: ${format}. Available formats: ${exportManager.getSupportedFormats().join(', ')}`
+      }
+    }
+    return await exportManager.exportProject(project.id, format)
+  } catch (error) {
+    return { success: false, message: `Export failed: ${error.message}` }
+  }
+}
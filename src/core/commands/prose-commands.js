@@ -0,0 +1,93 @@
+/**
+ * Prose Commands - Style issue counts for the manuscript
+ * Counts what the prose lint underlines in the editor, per chapter of the current document's
+ * project, or for the current document when it is not in a project.
+ */
+import { ProseLinter, PROSE_LINT_RULES } from '../prose/prose-linter.js'
+
+export function registerProseCommands(registry, app) {
+  const commands = [
+    {
+      name: 'lint',
+      description: 'count echoes, adverbs, passive voice, clichés and filter words per chapter',
+      category: 'info',
+      icon: '🧹',
+      aliases: [':lint'],
+      handler: async () => {
+        if (!app.currentDocument) {
+          return { success: false, message: 'Open a document first' }
+        }
+
+        const proseLinter = new ProseLinter(app.settingsManager?.get('proseLint') || {})
+        if (!proseLinter.hasEnabledRules()) {
+          return {
+            success: false,
+            message: 'All prose lint rules are off. Turn them on in Settings > Editor'
+          }
+        }
+
+        try {
+          const [project] = app.projectManager
+            ? await app.projectManager.getProjectsForDocument(app.currentDocument.id)
+            : []
+          return project
+            ? await lintProject(app, proseLinter, project)
+            : lintDocument(app, proseLinter)
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Count issues per chapter in binder order
+ */
+async function lintProject(app, proseLinter, project) {
+  const manuscript = await app.projectManager.compileManuscript(project.id)
+  const chapters = manuscript.chapters.filter((chapter) => chapter.scenes.length > 0)
+  if (chapters.length === 0) {
+    return { success: false, message: `"${project.title}" has no chapters with text yet` }
+  }
+
+  let total = 0
+  const data = {}
+  chapters.forEach((chapter, index) => {
+    const counts = proseLinter.count(chapter.content)
+    total += counts.total
+    data[`${index + 1}. ${chapter.title}`] = formatCounts(proseLinter, counts)
+  })
+
+  return {
+    success: true,
+    message: `${total} prose issue(s) in "${project.title}":`,
+    data
+  }
+}
+
+/**
+ * Count issues in the current document, including unsaved changes
+ */
+function lintDocument(app, proseLinter) {
+  const content = app.editor?.getContent?.() ?? app.currentDocument.content
+  const counts = proseLinter.count(content)
+
+  return {
+    success: true,
+    message: `${counts.total} prose issue(s) in "${app.currentDocument.title}":`,
+    data: { [app.currentDocument.title]: formatCounts(proseLinter, counts) }
+  }
+}
+
+/**
+ * Format counts of the rules that are turned on, e.g. "echoes 3, adverbs 5"
+ */
+function formatCounts(proseLinter, counts) {
+  return Object.entries(PROSE_LINT_RULES)
+    .filter(([rule]) => proseLinter.options[rule])
+    .map(([rule, label]) => `${label} ${counts[rule]}`)
+    .join(', ')
+}
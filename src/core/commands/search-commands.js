@@ -0,0 +1,157 @@
+/**
+ * Search Commands - Saved searches (smart collections)
+ * List, save, run and delete saved searches. Every saved search also gets its own
+ * "search: <name>" palette entry, kept in step with the saved searches setting.
+ */
+import { isSavedSearchChange } from '../search/saved-searches.js'
+
+export function registerSearchCommands(registry, app) {
+  const commands = [
+    {
+      name: 'saved search',
+      description: 'run, save or delete saved searches',
+      category: 'search',
+      icon: '⭐',
+      aliases: [':ss'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'save <name> <query>, delete <name> or a name to run (lists if omitted)'
+        },
+        { name: 'args', required: false, type: 'string', description: 'Action arguments' }
+      ],
+      handler: async (args) => {
+        if (!app.savedSearches) {
+          return { success: false, message: 'Saved searches are not available' }
+        }
+
+        const [action, ...rest] = args
+
+        try {
+          switch (action) {
+            case undefined:
+              return await listSavedSearches(app)
+
+            case 'save':
+              return saveSearch(app, rest.join(' '))
+
+            case 'delete':
+              return deleteSearch(app, rest.join(' '))
+
+            default:
+              return await runSearch(app, args.join(' '))
+          }
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+
+  // One palette entry per saved search
+  const registered = new Set()
+  const syncSavedSearchCommands = () => {
+    registered.forEach((name) => registry.unregisterCommand(name))
+    registered.clear()
+
+    for (const search of app.savedSearches?.list() || []) {
+      const name = `search: ${search.name.toLowerCase()}`
+      registry.registerCommand({
+        name,
+        description: search.query,
+        category: 'search',
+        icon: '⭐',
+        handler: async () => runSearch(app, search.name)
+      })
+      registered.add(name)
+    }
+  }
+
+  syncSavedSearchCommands()
+  app.settingsManager?.addListener(({ event, data }) => {
+    if (isSavedSearchChange(event, data)) {
+      syncSavedSearchCommands()
+    }
+  })
+}
+
+/**
+ * List saved searches with how many documents each one matches
+ */
+async function listSavedSearches(app) {
+  const searches = app.savedSearches.list()
+  if (searches.length === 0) {
+    return {
+      success: true,
+      message: 'No saved searches. Use ":ss save <name> <query>" to save one'
+    }
+  }
+
+  const documents = await app.storageManager.getAllDocuments()
+  return {
+    success: true,
+    message: `Saved searches (use ":ss <name>" to run one):`,
+    data: searches.map((search) => {
+      const count = app.savedSearches.getDocuments(search, documents).length
+      return `${search.name} (${count}): ${search.query}`
+    })
+  }
+}
+
+/**
+ * Usage: ss save <name> <query> | ss save "<name with spaces>" <query>
+ * Uses the search panel's current options
+ */
+function saveSearch(app, input) {
+  const match = input.match(/^"([^"]+)"\s+(.+)$/) || input.match(/^(\S+)\s+(.+)$/)
+  if (!match) {
+    return { success: false, message: 'Usage: ss save <name> <query>' }
+  }
+
+  const [, name, query] = match
+  const options = app.navigator?.tabComponents?.search?.options
+  const search = app.savedSearches.save(name, query, options)
+  return { success: true, message: `Saved search "${search.name}": ${search.query}` }
+}
+
+/**
+ * Usage: ss delete <name>
+ */
+function deleteSearch(app, name) {
+  if (!name) {
+    return { success: false, message: 'Usage: ss delete <name>' }
+  }
+  if (!app.savedSearches.remove(name.replace(/^"|"$/g, ''))) {
+    return { success: false, message: `No saved search named "${name}"` }
+  }
+  return { success: true, message: `Deleted saved search "${name}"` }
+}
+
+/**
+ * Show a saved search in the search panel, or summarize it without one
+ */
+async function runSearch(app, name) {
+  const search = app.savedSearches.get(name.replace(/^"|"$/g, ''))
+  if (!search) {
+    return { success: false, message: `No saved search named "${name}"` }
+  }
+
+  if (app.navigator) {
+    app.navigator.openSearch(search.query, search.options)
+    return { success: true, message: `Searching "${search.name}": ${search.query}` }
+  }
+
+  const documents = app.savedSearches.getDocuments(
+    search,
+    await app.storageManager.getAllDocuments()
+  )
+  return {
+    success: true,
+    message: `${search.name}: ${documents.length} document(s)`,
+    data: documents.map((doc) => doc.title)
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Spell Check Commands - Custom dictionary for invented words
+ * Words go into the current document's project dictionary, which syncs with the project, or into
+ * the workspace dictionary for documents outside a project. Codex names and tags are always known.
+ */
+export function registerSpellCheckCommands(registry, app) {
+  const commands = [
+    {
+      name: 'dictionary',
+      description: 'list, add or remove custom spell-check words',
+      category: 'editing',
+      icon: '📖',
+      aliases: [':dict'],
+      parameters: [
+        {
+          name: 'action',
+          required: false,
+          type: 'string',
+          description: 'add <word> or remove <word> (lists words if omitted)'
+        },
+        { name: 'word', required: false, type: 'string', description: 'Word' }
+      ],
+      handler: async (args) => {
+        if (!app.spellChecker) {
+          return { success: false, message: 'Spell checking is not available' }
+        }
+
+        const [action, ...rest] = args
+        const word = rest.join(' ')
+
+        try {
+          switch (action) {
+            case undefined:
+            case 'list':
+              return listWords(app)
+
+            case 'add':
+              return await addWord(app, word)
+
+            case 'remove':
+              return await removeWord(app, word)
+
+            default:
+              return {
+                success: false,
+                message: 'Unknown action. Use: add <word>, remove <word>, or no action to list'
+              }
+          }
+        } catch (error) {
+          return { success: false, message: error.message }
+        }
+      }
+    }
+  ]
+
+  registry.registerCommands(commands)
+}
+
+/**
+ * Name of the dictionary words go into for the current document
+ */
+function describeScope(app) {
+  const scope = app.spellChecker.getScope()
+  return scope.type === 'project' ? `"${scope.project.title}" dictionary` : 'workspace dictionary'
+}
+
+function listWords(app) {
+  const words = app.spellChecker.getWords()
+  if (words.length === 0) {
+    return {
+      success: true,
+      message: `The ${describeScope(app)} is empty. Use ":dict add <word>" to add one`
+    }
+  }
+
+  return {
+    success: true,
+    message: `${words.length} word(s) in the ${describeScope(app)}:`,
+    data: words
+  }
+}
+
+/**
+ * Usage: dictionary add <word>
+ */
+async function addWord(app, word) {
+  if (!word) {
+    return { success: false, message: 'Usage: dictionary add <word>' }
+  }
+
+  const added = await app.spellChecker.addWord(word)
+  app.editor?.refreshSpellCheck?.()
+  return {
+    success: true,
+    message: added
+      ? `Added "${word}" to the ${describeScope(app)}`
+      : `"${word}" is already in the ${describeScope(app)}`
+  }
+}
+
+/**
+ * Usage: dictionary remove <word>
+ */
+async function removeWord(app, word) {
+  if (!word) {
+    return { success: false, message: 'Usage: dictionary remove <word>' }
+  }
+
+  if (!(await app.spellChecker.removeWord(word))) {
+    return { success: false, message: `"${word}" is not in the ${describeScope(app)}` }
+  }
+  app.editor?.refreshSpellCheck?.()
+  return { success: true, message: `Removed "${word}" from the ${describeScope(app)}` }
+}
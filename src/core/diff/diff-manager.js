@@ -18,6 +18,7 @@ export class DiffManager {
     this.themeCompartment = new Compartment()
     this.diffExtensions = null
     this.isInDiffMode = false
+    this.readOnly = false
     this.originalContent = null
     this.contentChangeTimeout = null
     this.themeChangeListener = null
@@ -46,9 +47,11 @@ export class DiffManager {
    * Enter unified diff mode for a document
    * @param {Object} localDoc - Local document
    * @param {string} remoteContent - Remote document content
+   * @param {Object} options - { readOnly: true } shows the two texts without merge controls;
+   *   closing the view brings back the editor's own text
    * @returns {Promise<boolean>} Success status
    */
-  async enterDiffMode(localDoc, remoteContent) {
+  async enterDiffMode(localDoc, remoteContent, options = {}) {
     // Entering unified diff mode - debug logging removed for production security
 
     // Step 1: Validate inputs
@@ -73,7 +76,9 @@ export class DiffManager {
       }
 
       // Step 4: Store original content for different operations
-      this.originalContent = localDoc.content  // For cancel functionality
+      // A read-only comparison replaces the editor text, so keep that text to restore on exit
+      this.readOnly = options.readOnly === true
+      this.originalContent = this.readOnly ? editorView.state.doc.toString() : localDoc.content
 
       // For testing purposes, let's create content with differences
       const testRemoteContent = remoteContent || "# Remote Document\n\nThis is the **remote** version.\n\n- Remote item 1\n- Remote item 2"
@@ -116,7 +121,7 @@ export class DiffManager {
         original: testRemoteContent,
         highlightChanges: true,
         gutter: true,
-        mergeControls: true,
+        mergeControls: !this.readOnly,
         allowInlineDiffs: true,
         collapseUnchanged: {
           margin: 3,
@@ -132,6 +137,7 @@ export class DiffManager {
           ...this.app.editor.editorExtensions.getExtensions(),
           ...(this.app.themeManager ? this.app.themeManager.getCodeMirrorTheme() : []),
           this.diffCompartment.of(this.diffExtensions),
+          ...(this.readOnly ? [EditorState.readOnly.of(true), EditorView.editable.of(false)] : []),
           // Ensure content change listener is active in diff mode for Navigator outline updates
           this.createDiffModeContentListener(),
           // Add theme class for CodeMirror merge package styling with custom Fantasy support
@@ -163,14 +169,17 @@ export class DiffManager {
 
   /**
    * Exit unified diff mode and return to normal editing
-   * @param {boolean} saveChanges - Whether to save changes made in diff mode
+   * @param {boolean} keepChanges - Whether to save changes made in diff mode
    * @returns {Promise<boolean>} Success status
    */
-  async exitDiffMode(saveChanges = false) {
+  async exitDiffMode(keepChanges = false) {
     if (!this.isInDiffMode) {
       return false
     }
 
+    // Nothing to keep from a read-only comparison
+    const saveChanges = keepChanges && !this.readOnly
+
     try {
       const editorView = this.app.editor?.view
       if (!editorView) {
@@ -215,6 +224,7 @@ export class DiffManager {
       }
 
       this.isInDiffMode = false
+      this.readOnly = false
       this.diffExtensions = null
       this.originalContent = null
       this.remoteContent = null
@@ -0,0 +1,277 @@
+/**
+ * Three-way merge - diff3-style merge of two edits against their common base
+ * Merges line by line, then retries overlapping line hunks word by word. Only hunks where
+ * both sides changed the same words are left as conflicts.
+ */
+
+// Edit distance beyond which a region is treated as rewritten rather than diffed
+const MAX_EDIT_DISTANCE = 2000
+
+const LINE_PATTERN = /[^\n]*\n|[^\n]+$/g
+const WORD_PATTERN = /[\p{L}\p{N}_'’]+|\s+|[^\p{L}\p{N}_'’\s]/gu
+
+export const CONFLICT_MARKERS = {
+  local: '<<<<<<< local',
+  separator: '=======',
+  remote: '>>>>>>> remote'
+}
+
+/**
+ * Split text into lines, keeping line endings so joining restores the text exactly
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+export function splitLines(text) {
+  return text ? text.match(LINE_PATTERN) : []
+}
+
+/**
+ * Split text into words, whitespace runs and punctuation
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens
+ */
+export function splitWords(text) {
+  return text ? text.match(WORD_PATTERN) : []
+}
+
+/**
+ * Find tokens common to both sequences (Myers diff)
+ * @param {Array<string>} a - Original tokens
+ * @param {Array<string>} b - Changed tokens
+ * @returns {Array<Array<number>>} Increasing [indexInA, indexInB] pairs of equal tokens
+ */
+export function matchTokens(a, b) {
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const matches = []
+  for (let i = 0; i < start; i++) matches.push([i, i])
+
+  for (const [i, j] of myers(a.slice(start, endA), b.slice(start, endB))) {
+    matches.push([start + i, start + j])
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) matches.push([i, j])
+  return matches
+}
+
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  if (n === 0 || m === 0) return []
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+  let distance = -1
+
+  for (let d = 0; d <= max && distance === -1; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+
+      if (x >= n && y >= m) {
+        distance = d
+        break
+      }
+    }
+  }
+
+  // Too different to diff cheaply: treat the whole region as replaced
+  if (distance === -1) return []
+
+  const matches = []
+  let x = n
+  let y = m
+
+  for (let d = distance; d > 0; d--) {
+    const snapshot = trace[d]
+    const at = (k) => snapshot[k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      x--
+      y--
+      matches.push([x, y])
+    }
+    x = prevX
+    y = prevY
+  }
+
+  while (x > 0 && y > 0) {
+    x--
+    y--
+    matches.push([x, y])
+  }
+
+  return matches.reverse()
+}
+
+/**
+ * Merge token sequences into hunks
+ * Stable hunks hold tokens unchanged on both sides; change hunks hold the differing regions
+ */
+function mergeTokens(base, local, remote) {
+  const localMap = new Map(matchTokens(base, local))
+  const remoteMap = new Map(matchTokens(base, remote))
+  const hunks = []
+
+  let b = 0
+  let l = 0
+  let r = 0
+
+  const pushChange = (bEnd, lEnd, rEnd) => {
+    if (bEnd === b && lEnd === l && rEnd === r) return
+    hunks.push(
+      resolveChange(
+        base.slice(b, bEnd).join(''),
+        local.slice(l, lEnd).join(''),
+        remote.slice(r, rEnd).join('')
+      )
+    )
+  }
+
+  for (let i = 0; i < base.length; i++) {
+    if (!localMap.has(i) || !remoteMap.has(i)) continue
+
+    const li = localMap.get(i)
+    const ri = remoteMap.get(i)
+    pushChange(i, li, ri)
+
+    const last = hunks[hunks.length - 1]
+    if (last && last.type === 'stable') {
+      last.text += base[i]
+    } else {
+      hunks.push({ type: 'stable', text: base[i] })
+    }
+
+    b = i + 1
+    l = li + 1
+    r = ri + 1
+  }
+
+  pushChange(base.length, local.length, remote.length)
+  return hunks
+}
+
+function resolveChange(base, local, remote) {
+  if (local === remote) return { type: 'merged', text: local, source: 'both' }
+  if (local === base) return { type: 'merged', text: remote, source: 'remote' }
+  if (remote === base) return { type: 'merged', text: local, source: 'local' }
+  return { type: 'conflict', base, local, remote }
+}
+
+/**
+ * Merge local and remote edits of a document against the content both started from
+ * Changes that do not overlap are applied automatically. Overlapping line hunks are retried
+ * word by word; what still overlaps is returned as a conflict hunk.
+ * @param {string} base - Last synced content (the merge base)
+ * @param {string} local - Local content
+ * @param {string} remote - Remote content
+ * @returns {Object} { clean, content, hunks, conflicts }
+ *   hunks: ordered { type: 'stable'|'merged', text } and { type: 'conflict', base, local, remote }
+ *   content: merged text, with conflict markers around unresolved hunks
+ */
+export function mergeThreeWay(base, local, remote) {
+  const lineHunks = mergeTokens(
+    splitLines(base || ''),
+    splitLines(local || ''),
+    splitLines(remote || '')
+  )
+  const hunks = []
+
+  for (const hunk of lineHunks) {
+    if (hunk.type !== 'conflict') {
+      hunks.push(hunk)
+      continue
+    }
+
+    const words = mergeTokens(
+      splitWords(hunk.base),
+      splitWords(hunk.local),
+      splitWords(hunk.remote)
+    )
+    if (words.some((word) => word.type === 'conflict')) {
+      hunks.push(hunk)
+    } else {
+      hunks.push({ type: 'merged', text: words.map((word) => word.text).join(''), source: 'words' })
+    }
+  }
+
+  const conflicts = hunks.filter((hunk) => hunk.type === 'conflict')
+  conflicts.forEach((hunk, index) => {
+    hunk.index = index
+  })
+
+  return {
+    clean: conflicts.length === 0,
+    content: buildMergedContent(hunks, formatConflict),
+    hunks,
+    conflicts
+  }
+}
+
+/**
+ * Join merge hunks into text
+ * @param {Array<Object>} hunks - Hunks from mergeThreeWay()
+ * @param {Function} resolveHunk - Returns the text to use for a conflict hunk
+ * @returns {string} Merged content
+ */
+export function buildMergedContent(hunks, resolveHunk) {
+  return hunks.map((hunk) => (hunk.type === 'conflict' ? resolveHunk(hunk) : hunk.text)).join('')
+}
+
+/**
+ * Get the text of a conflict hunk for a resolution choice
+ * @param {Object} hunk - Conflict hunk
+ * @param {string} choice - 'local', 'remote' or 'both' (local followed by remote)
+ * @returns {string} Resolved text
+ */
+export function resolveHunk(hunk, choice) {
+  switch (choice) {
+    case 'local':
+      return hunk.local
+    case 'remote':
+      return hunk.remote
+    case 'both':
+      return hunk.local && hunk.remote && !hunk.local.endsWith('\n')
+        ? `${hunk.local}\n${hunk.remote}`
+        : hunk.local + hunk.remote
+    default:
+      throw new Error(`Unknown hunk resolution: ${choice}`)
+  }
+}
+
+/**
+ * Render a conflict hunk with git-style markers
+ * @param {Object} hunk - Conflict hunk
+ * @returns {string} Marked-up text
+ */
+export function formatConflict(hunk) {
+  const block = (text) => (text && !text.endsWith('\n') ? `${text}\n` : text)
+  return (
+    `${CONFLICT_MARKERS.local}\n${block(hunk.local)}${CONFLICT_MARKERS.separator}\n` +
+    `${block(hunk.remote)}${CONFLICT_MARKERS.remote}\n`
+  )
+}
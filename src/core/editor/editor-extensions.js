@@ -9,6 +9,9 @@ import { markdown } from '@codemirror/lang-markdown'
 import { search, searchKeymap, highlightSelectionMatches } from '@codemirror/search'
 import { autocompletion, completionKeymap } from '@codemirror/autocomplete'
 import { foldGutter, codeFolding, bracketMatching } from '@codemirror/language'
+import { WikiLinkExtensions } from './wiki-link-extensions.js'
+import { SpellCheckExtensions } from './spellcheck-extensions.js'
+import { ProseLintExtensions } from './prose-lint-extensions.js'
 
 export class EditorExtensions {
   constructor(themeManager, settingsManager = null, onContentChange = null) {
@@ -17,6 +20,25 @@ export class EditorExtensions {
     this.onContentChange = onContentChange
     this.spellCheckEnabled = this.loadSpellCheckPreference()
     this.contentChangeTimeout = null
+    this.wikiLinkExtensions = new WikiLinkExtensions()
+    this.spellCheckExtensions = new SpellCheckExtensions()
+    this.proseLintExtensions = new ProseLintExtensions(settingsManager)
+  }
+
+  /**
+   * Set the provider behind [[wiki link]] completion and Ctrl+click navigation
+   * @param {Object} provider - { getTargets(), getHeadings(title), followLink(link) }
+   */
+  setWikiLinkProvider(provider) {
+    this.wikiLinkExtensions.setLinkProvider(provider)
+  }
+
+  /**
+   * Set the spell checker used instead of the browser's spellcheck
+   * @param {SpellChecker} spellChecker - Spell checker with the bundled and custom dictionaries
+   */
+  setSpellChecker(spellChecker) {
+    this.spellCheckExtensions.setSpellChecker(spellChecker)
   }
 
   /**
@@ -79,6 +101,9 @@ export class EditorExtensions {
     if (cmSettings.autocompletion === true) {
       extensions.push(autocompletion())
     }
+
+    // Wiki links: highlighting, Ctrl+click and [[ completions (shown when autocompletion is on)
+    extensions.push(...this.wikiLinkExtensions.getExtensions())
     
     const placeholderText = cmSettings.placeholderText || 'Start writing your story...'
     extensions.push(placeholder(placeholderText))
@@ -138,6 +163,9 @@ export class EditorExtensions {
       extensions.push(...this.getSpellCheckExtensions())
     }
 
+    // Prose linting: echoes, adverbs, passive voice, clichés and filter words
+    extensions.push(...this.proseLintExtensions.getExtensions())
+
     // Conditional line numbers
     if (cmSettings.lineNumbers === true) {
       extensions.push(lineNumbers())
@@ -283,12 +311,7 @@ export class EditorExtensions {
    * Get spell check extensions when enabled
    */
   getSpellCheckExtensions() {
-    return [
-      EditorView.contentAttributes.of({
-        spellcheck: 'true',
-        lang: navigator.language || 'en'
-      })
-    ]
+    return this.spellCheckExtensions.getExtensions()
   }
 
   /**
@@ -28,6 +28,48 @@ export class EditorManager {
     this.readonlyExtensions.setNotificationCallback(callback)
   }
 
+  /**
+   * Set the provider behind [[wiki link]] completion and Ctrl+click navigation
+   * @param {Object} provider - { getTargets(), getHeadings(title), followLink(link) }
+   */
+  setWikiLinkProvider(provider) {
+    this.editorExtensions.setWikiLinkProvider(provider)
+  }
+
+  /**
+   * Set the spell checker that underlines misspelled words
+   * @param {SpellChecker} spellChecker - Spell checker with the bundled and custom dictionaries
+   */
+  setSpellChecker(spellChecker) {
+    this.editorExtensions.setSpellChecker(spellChecker)
+    this.reconfigure()
+  }
+
+  /**
+   * Check spelling again after the dictionary changed
+   */
+  refreshSpellCheck() {
+    if (this.isSpellCheckEnabled()) {
+      this.editorExtensions.spellCheckExtensions.refresh(this.view)
+    }
+  }
+
+  /**
+   * Move the cursor to the start of a line and scroll it into view
+   * @param {number} lineNumber - 1-based line number
+   */
+  scrollToLine(lineNumber) {
+    if (!this.view) return
+
+    const { doc } = this.view.state
+    const line = doc.line(Math.min(Math.max(lineNumber, 1), doc.lines))
+    this.view.dispatch({
+      selection: { anchor: line.from },
+      scrollIntoView: true
+    })
+    this.view.focus()
+  }
+
   initialize() {
     // Create editor state with all extensions
     this.state = EditorState.create({
@@ -371,9 +413,10 @@ export class EditorManager {
    * Enter diff mode for comparing local and remote content
    * @param {string} localContent - Local document content
    * @param {string} remoteContent - Remote document content
+   * @param {Object} options - { readOnly: true } to compare without editing the document
    * @returns {boolean} Success status
    */
-  async enterDiffMode(localContent, remoteContent) {
+  async enterDiffMode(localContent, remoteContent, options = {}) {
 
     if (!this.view) {
       console.error('❌ No editor view available')
@@ -393,7 +436,7 @@ export class EditorManager {
       }
 
       // Use the DiffManager to enter diff mode
-      const result = await window.fantasyEditor.diffManager.enterDiffMode(tempDoc, remoteContent)
+      const result = await window.fantasyEditor.diffManager.enterDiffMode(tempDoc, remoteContent, options)
       return result
     } catch (error) {
       console.error('❌ EditorManager.enterDiffMode failed:', error)
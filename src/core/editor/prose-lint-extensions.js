@@ -0,0 +1,65 @@
+/**
+ * ProseLintExtensions - CodeMirror prose linting backed by the ProseLinter
+ * Style issues get a dotted underline; hovering one, or the lint panel (Ctrl+Shift+M),
+ * explains it. The rules follow the proseLint settings and are read again when the
+ * editor's extensions are reloaded.
+ */
+
+import { EditorView, keymap } from '@codemirror/view'
+import { linter, lintKeymap } from '@codemirror/lint'
+import { ProseLinter } from '../prose/prose-linter.js'
+
+export class ProseLintExtensions {
+  constructor(settingsManager = null) {
+    this.settingsManager = settingsManager
+  }
+
+  /**
+   * Get prose lint settings
+   * @returns {Object} proseLint settings
+   */
+  getSettings() {
+    return this.settingsManager?.get('proseLint') || {}
+  }
+
+  /**
+   * Get prose lint extensions, none when every rule is turned off
+   * @returns {Array} CodeMirror extensions
+   */
+  getExtensions() {
+    const proseLinter = new ProseLinter(this.getSettings())
+    if (!proseLinter.hasEnabledRules()) {
+      return []
+    }
+
+    return [
+      linter((view) => this.checkProse(proseLinter, view)),
+      keymap.of(lintKeymap),
+      EditorView.theme({
+        '.cm-lintRange.cm-prose-issue': {
+          backgroundImage: 'none',
+          textDecoration: 'underline dotted var(--color-warning, #c90)',
+          textDecorationSkipInk: 'none',
+          textUnderlineOffset: '3px'
+        }
+      })
+    ]
+  }
+
+  /**
+   * Lint source: one diagnostic per style issue
+   * @param {ProseLinter} proseLinter - Linter with the current rules
+   * @param {EditorView} view - Editor view
+   * @returns {Array} Diagnostics
+   */
+  checkProse(proseLinter, view) {
+    return proseLinter.lint(view.state.doc.toString()).map(({ from, to, rule, message }) => ({
+      from,
+      to,
+      severity: 'hint',
+      source: rule,
+      markClass: 'cm-prose-issue',
+      message
+    }))
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * SpellCheckExtensions - CodeMirror spell checking backed by the SpellChecker
+ * Misspelled words are underlined as lint diagnostics. Hovering one, or the lint panel
+ * (Ctrl+Shift+M, F8 for the next word), offers suggestions and "Add to dictionary".
+ * Without a spell checker the browser's own spellcheck is used instead.
+ */
+
+import { StateEffect } from '@codemirror/state'
+import { EditorView, keymap } from '@codemirror/view'
+import { linter, lintKeymap, forceLinting } from '@codemirror/lint'
+
+const MAX_SUGGESTIONS = 4
+
+// Re-checks spelling when the dictionary changes without the document changing
+const refreshSpelling = StateEffect.define()
+
+export class SpellCheckExtensions {
+  constructor(spellChecker = null) {
+    this.spellChecker = spellChecker
+  }
+
+  /**
+   * Set the spell checker behind the underlines and quick fixes
+   * @param {SpellChecker} spellChecker - Spell checker
+   */
+  setSpellChecker(spellChecker) {
+    this.spellChecker = spellChecker
+  }
+
+  /**
+   * Check the whole document again, e.g. after words were added to the dictionary
+   * @param {EditorView} view - Editor view
+   */
+  refresh(view) {
+    if (!view || !this.spellChecker) return
+    view.dispatch({ effects: refreshSpelling.of(null) })
+    forceLinting(view)
+  }
+
+  /**
+   * Get spell check extensions
+   * @returns {Array} CodeMirror extensions
+   */
+  getExtensions() {
+    if (!this.spellChecker) {
+      return [
+        EditorView.contentAttributes.of({
+          spellcheck: 'true',
+          lang: navigator.language || 'en'
+        })
+      ]
+    }
+
+    return [
+      // The browser would flag every invented name again
+      EditorView.contentAttributes.of({ spellcheck: 'false' }),
+      linter((view) => this.checkSpelling(view), {
+        needsRefresh: (update) =>
+          update.transactions.some((tr) => tr.effects.some((effect) => effect.is(refreshSpelling)))
+      }),
+      keymap.of(lintKeymap),
+      EditorView.theme({
+        '.cm-lintRange.cm-spelling-error': {
+          backgroundImage: 'none',
+          textDecoration: 'underline wavy var(--color-error, #d11)',
+          textDecorationSkipInk: 'none',
+          textUnderlineOffset: '3px'
+        }
+      })
+    ]
+  }
+
+  /**
+   * Lint source: one diagnostic per misspelled word
+   * @param {EditorView} view - Editor view
+   * @returns {Promise<Array>} Diagnostics
+   */
+  async checkSpelling(view) {
+    let misspellings
+    try {
+      misspellings = await this.spellChecker.findMisspellings(view.state.doc.toString())
+    } catch (error) {
+      console.warn('Spell check unavailable:', error)
+      return []
+    }
+
+    return misspellings.map(({ from, to, word }) => this.createDiagnostic(from, to, word))
+  }
+
+  /**
+   * @private
+   */
+  createDiagnostic(from, to, word) {
+    const diagnostic = {
+      from,
+      to,
+      severity: 'info',
+      source: 'spelling',
+      markClass: 'cm-spelling-error',
+      message: `"${word}" is not in the dictionary`
+    }
+
+    // Suggestions are slow to find, so they are only worked out once the word is shown
+    let actions = null
+    Object.defineProperty(diagnostic, 'actions', {
+      enumerable: true,
+      get: () => (actions ||= this.createActions(word))
+    })
+
+    return diagnostic
+  }
+
+  /**
+   * @private
+   */
+  createActions(word) {
+    const replacements = this.spellChecker.suggest(word, MAX_SUGGESTIONS).map((suggestion) => ({
+      name: suggestion,
+      apply: (view, from, to) => {
+        view.dispatch({ changes: { from, to, insert: suggestion } })
+      }
+    }))
+
+    const scope = this.spellChecker.getScope()
+    const target = scope.type === 'project' ? `"${scope.project.title}" dictionary` : 'dictionary'
+
+    return [
+      ...replacements,
+      {
+        name: `Add to ${target}`,
+        apply: async (view) => {
+          try {
+            await this.spellChecker.addWord(word)
+            this.refresh(view)
+          } catch (error) {
+            console.warn('Failed to add word to the dictionary:', error)
+          }
+        }
+      }
+    ]
+  }
+}
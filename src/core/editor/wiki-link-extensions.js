@@ -0,0 +1,132 @@
+/**
+ * WikiLinkExtensions - CodeMirror support for [[wiki links]]
+ * Highlights links, completes document titles and headings after [[, and follows links on Ctrl+click
+ */
+
+import { EditorState } from '@codemirror/state'
+import { EditorView, Decoration, MatchDecorator, ViewPlugin } from '@codemirror/view'
+import { WIKI_LINK_PATTERN, findWikiLinkAt } from '../links/link-manager.js'
+
+const LINK_TEXT = /^[^[\]#|\n]*$/
+
+export class WikiLinkExtensions {
+  constructor(linkProvider = null) {
+    this.linkProvider = linkProvider
+  }
+
+  /**
+   * Set the provider that supplies link targets and opens links
+   * @param {Object} provider - { getTargets(), getHeadings(title), followLink(link) }
+   */
+  setLinkProvider(provider) {
+    this.linkProvider = provider
+  }
+
+  /**
+   * Get wiki link extensions
+   * Completions plug into the editor's autocompletion through language data
+   * @returns {Array} CodeMirror extensions
+   */
+  getExtensions() {
+    return [
+      this.createLinkHighlighter(),
+      EditorState.languageData.of(() => [{ autocomplete: this.completeWikiLink.bind(this) }]),
+      EditorView.domEventHandlers({
+        mousedown: this.handleMouseDown.bind(this)
+      }),
+      EditorView.theme({
+        '.cm-wiki-link': {
+          color: 'var(--color-primary)',
+          textDecoration: 'underline dotted',
+          textUnderlineOffset: '3px'
+        }
+      })
+    ]
+  }
+
+  createLinkHighlighter() {
+    const decorator = new MatchDecorator({
+      regexp: new RegExp(WIKI_LINK_PATTERN.source, 'g'),
+      decoration: Decoration.mark({
+        class: 'cm-wiki-link',
+        attributes: { title: 'Ctrl+click to follow' }
+      })
+    })
+
+    return ViewPlugin.fromClass(
+      class {
+        constructor(view) {
+          this.decorations = decorator.createDeco(view)
+        }
+
+        update(update) {
+          this.decorations = decorator.updateDeco(update, this.decorations)
+        }
+      },
+      { decorations: (plugin) => plugin.decorations }
+    )
+  }
+
+  /**
+   * Completion source for titles after [[ and headings after [[Title#
+   * @param {CompletionContext} context - CodeMirror completion context
+   * @returns {Promise<Object|null>} Completion result
+   */
+  async completeWikiLink(context) {
+    const match = context.matchBefore(/\[\[[^[\]\n]*/)
+    if (!match || !this.linkProvider) return null
+
+    const query = match.text.slice(2)
+    if (query.includes('|')) return null
+
+    // Close the link unless the closing brackets are already there
+    const closing = context.state.sliceDoc(context.pos, context.pos + 2) === ']]' ? '' : ']]'
+    const hashIndex = query.indexOf('#')
+
+    if (hashIndex === -1) {
+      const targets = await this.linkProvider.getTargets()
+      return {
+        from: match.from + 2,
+        options: targets.map((target) => ({
+          label: target.title,
+          detail: target.type === 'codex' ? 'codex' : undefined,
+          type: 'text',
+          apply: `${target.title}${closing}`
+        })),
+        validFor: LINK_TEXT
+      }
+    }
+
+    const headings = await this.linkProvider.getHeadings(query.slice(0, hashIndex))
+    return {
+      from: match.from + 2 + hashIndex + 1,
+      options: headings.map((heading) => ({
+        label: heading.text,
+        detail: `H${heading.level}`,
+        type: 'keyword',
+        apply: `${heading.text}${closing}`
+      })),
+      validFor: LINK_TEXT
+    }
+  }
+
+  /**
+   * Follow the link under the pointer on Ctrl+click (Cmd+click on macOS)
+   */
+  handleMouseDown(event, view) {
+    if (!(event.ctrlKey || event.metaKey) || event.button !== 0 || !this.linkProvider) {
+      return false
+    }
+
+    const pos = view.posAtCoords({ x: event.clientX, y: event.clientY })
+    if (pos === null) return false
+
+    const line = view.state.doc.lineAt(pos)
+    const link = findWikiLinkAt(line.text, pos - line.from)
+    if (!link) return false
+
+    event.preventDefault()
+    this.linkProvider.followLink(link)
+    return true
+  }
+}
@@ -0,0 +1,416 @@
+/**
+ * DocxBuilder - WordprocessingML writer for Standard Manuscript Format (Shunn)
+ * 12pt Courier or Times, double spaced, surname/title/page header, rounded word count and # scene breaks
+ */
+import { ZipWriter } from './zip-writer.js'
+import { parseMarkdownBlocks } from './markdown-blocks.js'
+
+export const MANUSCRIPT_FONTS = {
+  courier: 'Courier New',
+  times: 'Times New Roman'
+}
+
+// Page geometry in twentieths of a point (twips): US Letter with 1" margins
+const PAGE = { width: 12240, height: 15840, margin: 1440, header: 720 }
+const INDENT = 720 // Half-inch first-line indent
+const DOUBLE_SPACING = 480
+const CHAPTER_DROP = 4320 // Chapter openings start about a third of the way down the page
+
+const NS =
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"'
+
+/**
+ * Round a word count the way manuscript format expects
+ * Nearest hundred for short fiction, nearest thousand for novel-length work
+ * @param {number} words - Exact word count
+ * @returns {number}
+ */
+export function roundWordCount(words) {
+  const step = words >= 20000 ? 1000 : 100
+  return Math.max(step, Math.round(words / step) * step)
+}
+
+export class DocxBuilder {
+  /**
+   * @param {Object} manuscript - Manuscript content and metadata
+   * @param {string} manuscript.title - Work title
+   * @param {string} manuscript.author - Author name (surname is taken from the last word)
+   * @param {Array<string>} manuscript.contact - Contact lines for the first page
+   * @param {string} manuscript.content - Markdown body
+   * @param {number} manuscript.wordCount - Exact word count
+   * @param {boolean} manuscript.novel - Start chapters on new pages after a separate title page
+   * @param {string} manuscript.font - 'courier' (default) or 'times'
+   */
+  constructor(manuscript) {
+    if (!manuscript || !manuscript.title) {
+      throw new Error('Manuscript title is required')
+    }
+    if (manuscript.font && !MANUSCRIPT_FONTS[manuscript.font]) {
+      throw new Error(`Unsupported manuscript font: ${manuscript.font}`)
+    }
+
+    this.manuscript = {
+      author: 'Unknown',
+      contact: [],
+      content: '',
+      wordCount: 0,
+      novel: false,
+      font: 'courier',
+      ...manuscript
+    }
+  }
+
+  /**
+   * Build the .docx package
+   * @returns {ZipWriter} Writer with all parts added
+   */
+  build() {
+    const zip = new ZipWriter()
+
+    zip.addFile('[Content_Types].xml', this.buildContentTypes())
+    zip.addFile('_rels/.rels', this.buildPackageRels())
+    zip.addFile('docProps/core.xml', this.buildCoreProperties())
+    zip.addFile('word/_rels/document.xml.rels', this.buildDocumentRels())
+    zip.addFile('word/document.xml', this.buildDocument())
+    zip.addFile('word/styles.xml', this.buildStyles())
+    zip.addFile('word/settings.xml', this.buildSettings())
+    zip.addFile('word/header1.xml', this.buildHeader())
+
+    return zip
+  }
+
+  /**
+   * Surname used in the running header
+   * @returns {string}
+   */
+  getSurname() {
+    const parts = this.manuscript.author.trim().split(/\s+/)
+    return parts[parts.length - 1]
+  }
+
+  /**
+   * Main document body: first-page block, manuscript text and END marker
+   * @private
+   */
+  buildDocument() {
+    const body = [...this.buildFirstPage(), ...this.buildBody(), this.centered('END')]
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NS}>
+  <w:body>
+    ${body.join('\n    ')}
+    <w:sectPr>
+      <w:headerReference w:type="default" r:id="rIdHeader"/>
+      <w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/>
+      <w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="${PAGE.header}" w:footer="${PAGE.header}" w:gutter="0"/>
+      <w:titlePg/>
+    </w:sectPr>
+  </w:body>
+</w:document>`
+  }
+
+  /**
+   * Contact block with word count, then the centered title and byline
+   * The first page has no running header (titlePg with no first-page header)
+   * @private
+   */
+  buildFirstPage() {
+    const { title, author, contact, wordCount, novel } = this.manuscript
+    const lines = contact.length > 0 ? contact : [author]
+    const count = `about ${roundWordCount(wordCount).toLocaleString('en-US')} words`
+
+    const paragraphs = lines.map((line, index) =>
+      this.paragraph(
+        index === 0 ? `${this.run(line)}<w:r><w:tab/></w:r>${this.run(count)}` : this.run(line),
+        `<w:pStyle w:val="ContactInfo"/>${index === 0 ? `<w:tabs><w:tab w:val="right" w:pos="${PAGE.width - 2 * PAGE.margin}"/></w:tabs>` : ''}`
+      )
+    )
+
+    paragraphs.push(
+      this.paragraph(
+        this.run(title),
+        `<w:pStyle w:val="Title"/><w:spacing w:before="${CHAPTER_DROP}"/>`
+      ),
+      this.paragraph(this.run(`by ${author}`), '<w:pStyle w:val="Byline"/>')
+    )
+
+    if (novel) {
+      paragraphs.push(this.pageBreak())
+    }
+
+    return paragraphs
+  }
+
+  /**
+   * Convert markdown blocks to manuscript paragraphs
+   * @private
+   */
+  buildBody() {
+    const { novel } = this.manuscript
+    const paragraphs = []
+    let orderedNumber = 0
+    let firstChapter = true
+
+    for (const block of parseMarkdownBlocks(this.manuscript.content)) {
+      orderedNumber = block.type === 'list-item' && block.ordered ? orderedNumber + 1 : 0
+
+      switch (block.type) {
+        case 'heading':
+          if (novel && block.level <= 2) {
+            paragraphs.push(
+              this.paragraph(
+                this.runs(block.runs),
+                `<w:pStyle w:val="ChapterHeading"/>${firstChapter ? '' : '<w:pageBreakBefore/>'}`
+              )
+            )
+            firstChapter = false
+          } else {
+            paragraphs.push(this.paragraph(this.runs(block.runs), '<w:pStyle w:val="Heading"/>'))
+          }
+          break
+
+        case 'scene-break':
+          paragraphs.push(this.centered('#'))
+          break
+
+        case 'blockquote':
+          paragraphs.push(this.paragraph(this.runs(block.runs), '<w:pStyle w:val="Quote"/>'))
+          break
+
+        case 'list-item': {
+          const marker = block.ordered ? `${orderedNumber}. ` : '• '
+          paragraphs.push(
+            this.paragraph(this.run(marker) + this.runs(block.runs), '<w:pStyle w:val="Quote"/>')
+          )
+          break
+        }
+
+        case 'code':
+          paragraphs.push(
+            ...block.text
+              .split('\n')
+              .map((line) => this.paragraph(this.run(line), '<w:pStyle w:val="Code"/>'))
+          )
+          break
+
+        default:
+          paragraphs.push(this.paragraph(this.runs(block.runs)))
+      }
+    }
+
+    return paragraphs
+  }
+
+  /**
+   * Running header for every page after the first: Surname / Title / page
+   * @private
+   */
+  buildHeader() {
+    const text = `${this.getSurname()} / ${this.manuscript.title} / `
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr ${NS}>
+  <w:p>
+    <w:pPr><w:pStyle w:val="Header"/></w:pPr>
+    ${this.run(text)}
+    <w:fldSimple w:instr=" PAGE "><w:r><w:t>2</w:t></w:r></w:fldSimple>
+  </w:p>
+</w:hdr>`
+  }
+
+  /**
+   * @private
+   */
+  buildStyles() {
+    const font = MANUSCRIPT_FONTS[this.manuscript.font]
+    const single = '<w:spacing w:after="0" w:line="240" w:lineRule="auto"/>'
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NS}>
+  <w:docDefaults>
+    <w:rPrDefault>
+      <w:rPr>
+        <w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/>
+        <w:sz w:val="24"/>
+        <w:szCs w:val="24"/>
+        <w:lang w:val="en-US"/>
+      </w:rPr>
+    </w:rPrDefault>
+    <w:pPrDefault>
+      <w:pPr>
+        <w:widowControl/>
+        <w:spacing w:after="0" w:line="${DOUBLE_SPACING}" w:lineRule="auto"/>
+      </w:pPr>
+    </w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:pPr><w:ind w:firstLine="${INDENT}"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ContactInfo">
+    <w:name w:val="Contact Info"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>${single}<w:ind w:firstLine="0"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr><w:jc w:val="center"/><w:ind w:firstLine="0"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Byline">
+    <w:name w:val="Byline"/>
+    <w:basedOn w:val="Title"/>
+    <w:pPr><w:spacing w:after="${DOUBLE_SPACING}"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ChapterHeading">
+    <w:name w:val="Chapter Heading"/>
+    <w:basedOn w:val="Title"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="${CHAPTER_DROP}" w:after="${DOUBLE_SPACING}"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading">
+    <w:name w:val="Section Heading"/>
+    <w:basedOn w:val="Title"/>
+    <w:pPr><w:keepNext/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="SceneBreak">
+    <w:name w:val="Scene Break"/>
+    <w:basedOn w:val="Title"/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr><w:ind w:left="${INDENT}" w:right="${INDENT}" w:firstLine="0"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Code">
+    <w:name w:val="Code"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>${single}<w:ind w:firstLine="0"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Header">
+    <w:name w:val="header"/>
+    <w:basedOn w:val="Normal"/>
+    <w:pPr>${single}<w:jc w:val="right"/><w:ind w:firstLine="0"/></w:pPr>
+  </w:style>
+</w:styles>`
+  }
+
+  /**
+   * @private
+   */
+  buildSettings() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings ${NS}>
+  <w:defaultTabStop w:val="${INDENT}"/>
+  <w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>
+</w:settings>`
+  }
+
+  /**
+   * @private
+   */
+  buildContentTypes() {
+    const main = 'application/vnd.openxmlformats-officedocument.wordprocessingml'
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="${main}.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="${main}.styles+xml"/>
+  <Override PartName="/word/settings.xml" ContentType="${main}.settings+xml"/>
+  <Override PartName="/word/header1.xml" ContentType="${main}.header+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+  }
+
+  /**
+   * @private
+   */
+  buildPackageRels() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+  }
+
+  /**
+   * @private
+   */
+  buildDocumentRels() {
+    const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rIdStyles" Type="${base}/styles" Target="styles.xml"/>
+  <Relationship Id="rIdSettings" Type="${base}/settings" Target="settings.xml"/>
+  <Relationship Id="rIdHeader" Type="${base}/header" Target="header1.xml"/>
+</Relationships>`
+  }
+
+  /**
+   * @private
+   */
+  buildCoreProperties() {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${this.escapeXml(this.manuscript.title)}</dc:title>
+  <dc:creator>${this.escapeXml(this.manuscript.author)}</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`
+  }
+
+  /**
+   * @private
+   */
+  paragraph(content, properties = '') {
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`
+  }
+
+  /**
+   * @private
+   */
+  centered(text) {
+    return this.paragraph(this.run(text), '<w:pStyle w:val="SceneBreak"/>')
+  }
+
+  /**
+   * @private
+   */
+  pageBreak() {
+    return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'
+  }
+
+  /**
+   * Formatted runs from parsed inline markdown
+   * @private
+   */
+  runs(runs) {
+    return runs.map((run) => this.run(run.text, run)).join('')
+  }
+
+  /**
+   * @private
+   */
+  run(text, marks = {}) {
+    const properties = [
+      marks.bold ? '<w:b/>' : '',
+      marks.italic ? '<w:i/>' : '',
+      marks.strike ? '<w:strike/>' : ''
+    ].join('')
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`
+  }
+
+  /**
+   * @private
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
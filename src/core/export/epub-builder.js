@@ -0,0 +1,295 @@
+/**
+ * EpubBuilder - EPUB 3 container writer
+ * Packages a title page, optional cover and pre-rendered XHTML chapters with OPF and nav documents
+ */
+import { ZipWriter } from './zip-writer.js'
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp'
+}
+
+const EPUB_CSS = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3 { font-family: sans-serif; line-height: 1.2; page-break-after: avoid; }
+h1.chapter-title { margin: 3em 0 1.5em; text-align: center; }
+p { margin: 0 0 0.8em; orphans: 2; widows: 2; }
+.title-page { text-align: center; margin-top: 25%; }
+.title-page .book-title { font-size: 2em; margin-bottom: 0.5em; }
+.title-page .book-author { font-size: 1.3em; font-style: italic; }
+.title-page .book-meta { margin-top: 3em; font-size: 0.85em; color: #555; }
+.cover { margin: 0; padding: 0; text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+`
+
+export class EpubBuilder {
+  /**
+   * @param {Object} book - Book metadata and content
+   * @param {string} book.id - Unique identifier (document or project ID)
+   * @param {string} book.title - Book title
+   * @param {string} book.author - Author name
+   * @param {string} book.language - BCP 47 language code
+   * @param {string} book.description - Optional description
+   * @param {Array<string>} book.tags - Subjects
+   * @param {string} book.date - Publication date (ISO)
+   * @param {Array<string>} book.titlePageMeta - Extra lines for the title page
+   * @param {Array<{title: string, body: string}>} book.chapters - Chapters with XHTML bodies
+   * @param {Object} book.cover - Optional { data, mediaType }
+   */
+  constructor(book) {
+    if (!book || !book.title) {
+      throw new Error('EPUB title is required')
+    }
+    if (!book.chapters || book.chapters.length === 0) {
+      throw new Error('EPUB needs at least one chapter')
+    }
+    if (book.cover && !COVER_EXTENSIONS[book.cover.mediaType]) {
+      throw new Error(`Unsupported cover image type: ${book.cover.mediaType}`)
+    }
+
+    this.book = {
+      author: 'Unknown',
+      language: 'en',
+      description: '',
+      tags: [],
+      titlePageMeta: [],
+      date: new Date().toISOString(),
+      ...book
+    }
+  }
+
+  /**
+   * Build the EPUB container
+   * @returns {ZipWriter} Writer with all entries added
+   */
+  build() {
+    const zip = new ZipWriter()
+    const items = this.getManifestItems()
+
+    // The mimetype entry must come first and stay uncompressed
+    zip.addFile('mimetype', 'application/epub+zip')
+    zip.addFile('META-INF/container.xml', this.buildContainer())
+    zip.addFile('OEBPS/content.opf', this.buildPackage(items))
+    zip.addFile('OEBPS/nav.xhtml', this.buildNav(items))
+    zip.addFile('OEBPS/styles.css', EPUB_CSS)
+
+    if (this.book.cover) {
+      zip.addFile(`OEBPS/${this.getCoverImagePath()}`, this.book.cover.data)
+      zip.addFile('OEBPS/cover.xhtml', this.buildCoverPage())
+    }
+
+    zip.addFile('OEBPS/title.xhtml', this.buildTitlePage())
+    this.book.chapters.forEach((chapter, index) => {
+      zip.addFile(`OEBPS/${this.getChapterFile(index)}`, this.buildChapter(chapter))
+    })
+
+    return zip
+  }
+
+  /**
+   * Content documents in reading order
+   * @private
+   */
+  getManifestItems() {
+    const items = []
+    if (this.book.cover) {
+      items.push({ id: 'cover', href: 'cover.xhtml', title: 'Cover' })
+    }
+    items.push({ id: 'title-page', href: 'title.xhtml', title: 'Title Page' })
+    this.book.chapters.forEach((chapter, index) => {
+      items.push({
+        id: `chapter-${index + 1}`,
+        href: this.getChapterFile(index),
+        title: chapter.title
+      })
+    })
+    return items
+  }
+
+  /**
+   * @private
+   */
+  getChapterFile(index) {
+    return `chapter-${String(index + 1).padStart(3, '0')}.xhtml`
+  }
+
+  /**
+   * @private
+   */
+  getCoverImagePath() {
+    return `images/cover.${COVER_EXTENSIONS[this.book.cover.mediaType]}`
+  }
+
+  /**
+   * @private
+   */
+  buildContainer() {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`
+  }
+
+  /**
+   * OPF package document: metadata, manifest and spine
+   * @private
+   */
+  buildPackage(items) {
+    const { id, title, author, language, description, tags, date, cover } = this.book
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+
+    const metadata = [
+      `<dc:identifier id="book-id">urn:uuid:${this.escapeXml(id)}</dc:identifier>`,
+      `<dc:title>${this.escapeXml(title)}</dc:title>`,
+      `<dc:creator>${this.escapeXml(author)}</dc:creator>`,
+      `<dc:language>${this.escapeXml(language)}</dc:language>`,
+      `<dc:date>${this.escapeXml(date.slice(0, 10))}</dc:date>`,
+      `<meta property="dcterms:modified">${modified}</meta>`,
+      ...tags.map((tag) => `<dc:subject>${this.escapeXml(tag)}</dc:subject>`)
+    ]
+    if (description) {
+      metadata.push(`<dc:description>${this.escapeXml(description)}</dc:description>`)
+    }
+    if (cover) {
+      metadata.push('<meta name="cover" content="cover-image"/>')
+    }
+
+    const manifest = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="css" href="styles.css" media-type="text/css"/>',
+      ...items.map(
+        (item) => `<item id="${item.id}" href="${item.href}" media-type="application/xhtml+xml"/>`
+      )
+    ]
+    if (cover) {
+      manifest.push(
+        `<item id="cover-image" href="${this.getCoverImagePath()}" media-type="${cover.mediaType}" properties="cover-image"/>`
+      )
+    }
+
+    const spine = items.map((item) => `<itemref idref="${item.id}"/>`)
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${this.escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.join('\n    ')}
+  </spine>
+</package>`
+  }
+
+  /**
+   * Navigation document listing the chapters
+   * @private
+   */
+  buildNav(items) {
+    const chapters = items.filter((item) => item.id.startsWith('chapter-'))
+    const entries = chapters
+      .map((item) => `<li><a href="${item.href}">${this.escapeXml(item.title)}</a></li>`)
+      .join('\n        ')
+
+    return this.wrapXhtml(
+      'Contents',
+      `<nav epub:type="toc" id="toc">
+      <h1>Contents</h1>
+      <ol>
+        ${entries}
+      </ol>
+    </nav>
+    <nav epub:type="landmarks" hidden="">
+      <ol>
+        <li><a epub:type="titlepage" href="title.xhtml">Title Page</a></li>
+        <li><a epub:type="bodymatter" href="${chapters[0].href}">Start of Content</a></li>
+      </ol>
+    </nav>`
+    )
+  }
+
+  /**
+   * @private
+   */
+  buildCoverPage() {
+    return this.wrapXhtml(
+      'Cover',
+      `<section class="cover" epub:type="cover">
+      <img src="${this.getCoverImagePath()}" alt="${this.escapeXml(this.book.title)}"/>
+    </section>`
+    )
+  }
+
+  /**
+   * Title page from the book metadata and tags
+   * @private
+   */
+  buildTitlePage() {
+    const { title, author, tags, titlePageMeta } = this.book
+    const meta = [...titlePageMeta]
+    if (tags.length > 0) {
+      meta.push(tags.join(' · '))
+    }
+
+    return this.wrapXhtml(
+      title,
+      `<section class="title-page" epub:type="titlepage">
+      <h1 class="book-title">${this.escapeXml(title)}</h1>
+      <p class="book-author">${this.escapeXml(author)}</p>
+      <div class="book-meta">
+        ${meta.map((line) => `<p>${this.escapeXml(line)}</p>`).join('\n        ')}
+      </div>
+    </section>`
+    )
+  }
+
+  /**
+   * @private
+   */
+  buildChapter(chapter) {
+    return this.wrapXhtml(
+      chapter.title,
+      `<section epub:type="chapter">
+      <h1 class="chapter-title">${this.escapeXml(chapter.title)}</h1>
+      ${chapter.body}
+    </section>`
+    )
+  }
+
+  /**
+   * @private
+   */
+  wrapXhtml(title, body) {
+    const language = this.escapeXml(this.book.language)
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+  <head>
+    <meta charset="UTF-8"/>
+    <title>${this.escapeXml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`
+  }
+
+  /**
+   * @private
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+  }
+}
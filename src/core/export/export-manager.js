@@ -2,11 +2,15 @@
  * ExportManager - Document export functionality for Fantasy Editor
  * Supports multiple formats with theme-aware styling
  */
+import { EpubBuilder } from './epub-builder.js'
+import { DocxBuilder } from './docx-builder.js'
+import { PdfLayoutEngine, TRIM_SIZES } from './pdf-layout.js'
+import { parseMarkdownBlocks } from './markdown-blocks.js'
 
 export class ExportManager {
   constructor(app) {
     this.app = app
-    this.supportedFormats = ['md', 'txt', 'html', 'pdf']
+    this.supportedFormats = ['md', 'txt', 'html', 'pdf', 'epub', 'docx']
   }
 
   /**
@@ -22,6 +26,41 @@ export class ExportManager {
     const title = doc.title || 'Untitled Document'
     const stats = this.app.editor.getDocumentStats()
 
+    return await this.exportContent(format, title, content, doc, stats, options)
+  }
+
+  /**
+   * Export a manuscript project compiled in binder order
+   * @param {string} projectId - Project ID
+   * @param {string} format - Export format
+   * @param {Object} options - Format options
+   */
+  async exportProject(projectId, format, options = {}) {
+    if (!this.app.projectManager) {
+      throw new Error('Projects are not available')
+    }
+
+    const manuscript = await this.app.projectManager.compileManuscript(projectId)
+    const { project } = manuscript
+    const doc = {
+      id: project.id,
+      title: project.title,
+      tags: project.tags || [],
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    }
+    const stats = this.calculateStats(manuscript.content)
+
+    return await this.exportContent(format, project.title, manuscript.content, doc, stats, {
+      ...options,
+      manuscript
+    })
+  }
+
+  /**
+   * Dispatch content to the writer for a format
+   */
+  async exportContent(format, title, content, doc, stats, options = {}) {
     switch (format.toLowerCase()) {
       case 'md':
       case 'markdown':
@@ -37,11 +76,35 @@ export class ExportManager {
       case 'pdf':
         return this.exportAsPDF(title, content, doc, stats, options)
 
+      case 'epub':
+        return await this.exportAsEPUB(title, content, doc, stats, options)
+
+      case 'docx':
+        return this.exportAsDOCX(title, content, doc, stats, options)
+
       default:
         throw new Error(`Unsupported export format: ${format}`)
     }
   }
 
+  /**
+   * Calculate word and character counts for content not loaded in the editor
+   */
+  calculateStats(content) {
+    const words = content
+      .trim()
+      .split(/\s+/)
+      .filter((w) => w.length > 0)
+
+    return {
+      words: words.length,
+      characters: content.length,
+      charactersNoSpaces: content.replace(/\s/g, '').length,
+      lines: content.split('\n').length,
+      paragraphs: content.split(/\n\s*\n/).filter((p) => p.trim().length > 0).length
+    }
+  }
+
   /**
    * Export as Markdown with metadata
    */
@@ -152,76 +215,47 @@ export class ExportManager {
   }
 
   /**
-   * Export as PDF using jsPDF library
+   * Export as a typeset PDF using jsPDF and the book layout engine
+   * @param {Object} options - trimSize ('a5', '6x9', 'letter'), author, titlePage
    */
   async exportAsPDF(title, content, doc, stats, options = {}) {
     try {
+      const trimSize = options.trimSize || '6x9'
+      const trim = TRIM_SIZES[trimSize]
+      if (!trim) {
+        throw new Error(
+          `Unsupported trim size: ${trimSize}. Available sizes: ${Object.keys(TRIM_SIZES).join(', ')}`
+        )
+      }
+
       // Dynamically import jsPDF
       const { jsPDF } = await import('jspdf')
 
-      // Create new PDF document
       const pdf = new jsPDF({
         orientation: 'portrait',
         unit: 'mm',
-        format: 'a4'
+        format: [trim.width, trim.height]
+      })
+      pdf.setProperties({
+        title,
+        author: options.author || '',
+        keywords: (doc.tags || []).join(', ')
       })
 
-      // Set font
-      pdf.setFont('helvetica')
-
-      // Document title
-      pdf.setFontSize(18)
-      pdf.setFont('helvetica', 'bold')
-      pdf.text(title, 20, 30)
-
-      // Document metadata
-      let yPosition = 50
-      pdf.setFontSize(10)
-      pdf.setFont('helvetica', 'normal')
-
-      if (doc.createdAt) {
-        pdf.text(`Created: ${new Date(doc.createdAt).toLocaleDateString()}`, 20, yPosition)
-        yPosition += 6
-      }
-
-      if (stats) {
-        pdf.text(`Words: ${stats.words} • Characters: ${stats.characters}`, 20, yPosition)
-        yPosition += 6
-      }
-
-      if (doc.tags && doc.tags.length > 0) {
-        pdf.text(`Tags: ${doc.tags.join(', ')}`, 20, yPosition)
-        yPosition += 6
-      }
-
-      // Add separator line
-      yPosition += 10
-      pdf.line(20, yPosition, 190, yPosition)
-      yPosition += 15
-
-      // Convert markdown to plain text for PDF
-      const plainText = this.markdownToPlainText(content)
-
-      // Split text into lines that fit the page width
-      pdf.setFontSize(11)
-      pdf.setFont('helvetica', 'normal')
-
-      const pageWidth = 170 // PDF width minus margins
-      const lineHeight = 6
-      const lines = pdf.splitTextToSize(plainText, pageWidth)
-
-      // Add text to PDF with page breaks
-      const pageHeight = 270 // A4 height minus margins
-
-      for (let i = 0; i < lines.length; i++) {
-        if (yPosition > pageHeight) {
-          pdf.addPage()
-          yPosition = 30
+      const user = this.app.authManager?.getCurrentUser()
+      const engine = new PdfLayoutEngine({
+        trimSize,
+        title,
+        author: options.author || user?.name || '',
+        measure: (text, font, style, size) => {
+          pdf.setFont(font, style)
+          pdf.setFontSize(size)
+          return pdf.getTextWidth(text)
         }
+      })
 
-        pdf.text(lines[i], 20, yPosition)
-        yPosition += lineHeight
-      }
+      const pages = engine.layout(parseMarkdownBlocks(content), { titlePage: options.titlePage })
+      engine.render(pdf, pages)
 
       // Generate and download PDF
       const pdfBlob = pdf.output('blob')
@@ -241,7 +275,7 @@ export class ExportManager {
 
       return {
         success: true,
-        message: `Downloaded ${title}.pdf`,
+        message: `Downloaded ${title}.pdf (${trim.label}, ${pages.length} pages)`,
         filename: `${title}.pdf`
       }
     } catch (error) {
@@ -254,41 +288,144 @@ export class ExportManager {
   }
 
   /**
-   * Convert markdown to plain text for PDF export
+   * Export as an EPUB 3 e-book
+   * Manuscripts get one chapter per binder chapter; single documents are split at their top headings
+   * @param {Object} options - cover: { data, mediaType }, language, author, manuscript
+   */
+  async exportAsEPUB(title, content, doc, stats, options = {}) {
+    const sections = options.manuscript
+      ? options.manuscript.chapters.map((chapter) => ({
+          title: chapter.part ? `${chapter.part}: ${chapter.title}` : chapter.title,
+          content: chapter.content
+        }))
+      : this.splitIntoChapters(title, content)
+
+    if (sections.length === 0) {
+      return { success: false, message: 'Nothing to export - the project has no chapters' }
+    }
+
+    const chapters = []
+    for (const section of sections) {
+      const html = await this.markdownToHTML(section.content)
+      chapters.push({ title: section.title, body: this.htmlToXhtml(html) })
+    }
+
+    const titlePageMeta = []
+    if (stats) {
+      titlePageMeta.push(`${stats.words.toLocaleString()} words`)
+    }
+    if (doc.updatedAt) {
+      titlePageMeta.push(new Date(doc.updatedAt).toLocaleDateString())
+    }
+
+    const builder = new EpubBuilder({
+      id: doc.id,
+      title,
+      author: options.author || this.app.authManager?.getCurrentUser()?.name || 'Unknown',
+      language: options.language || 'en',
+      description: options.manuscript?.project.description || '',
+      tags: doc.tags || [],
+      date: doc.createdAt || new Date().toISOString(),
+      titlePageMeta,
+      chapters,
+      cover: options.cover || null
+    })
+
+    return this.downloadFile(
+      `${title}.epub`,
+      builder.build().toUint8Array(),
+      'application/epub+zip'
+    )
+  }
+
+  /**
+   * Export as a Word document in Standard Manuscript Format for submissions
+   * Manuscripts (projects) get a separate title page and chapters starting on new pages
+   * @param {Object} options - font ('courier' or 'times'), author, contact lines, manuscript
    */
-  markdownToPlainText(markdown) {
-    return (
-      markdown
-        // Remove headers markers but keep text
-        .replace(/^#{1,6}\s+(.+)$/gm, '$1')
-
-        // Remove bold/italic markers
-        .replace(/\*\*\*(.+?)\*\*\*/g, '$1')
-        .replace(/\*\*(.+?)\*\*/g, '$1')
-        .replace(/\*(.+?)\*/g, '$1')
-
-        // Remove strikethrough
-        .replace(/~~(.+?)~~/g, '$1')
-
-        // Remove code markers
-        .replace(/`(.+?)`/g, '$1')
-        .replace(/```[\s\S]*?```/g, (match) => {
-          return match.slice(3, -3).trim()
-        })
-
-        // Convert links to text with URL
-        .replace(/\[(.+?)\]\((.+?)\)/g, '$1 ($2)')
-
-        // Convert lists to simple bullet points
-        .replace(/^\s*[-*+]\s+/gm, '• ')
-        .replace(/^\s*\d+\.\s+/gm, '• ')
-
-        // Clean up extra whitespace
-        .replace(/\n\s*\n/g, '\n\n')
-        .trim()
+  exportAsDOCX(title, content, doc, stats, options = {}) {
+    const user = this.app.authManager?.getCurrentUser()
+    const author = options.author || user?.name || user?.login || 'Unknown'
+
+    const builder = new DocxBuilder({
+      title,
+      author,
+      contact: options.contact || [author, user?.email].filter(Boolean),
+      content,
+      wordCount: stats ? stats.words : this.calculateStats(content).words,
+      novel: !!options.manuscript,
+      font: options.font
+    })
+
+    return this.downloadFile(
+      `${title}.docx`,
+      builder.build().toUint8Array(),
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     )
   }
 
+  /**
+   * Split a single document into chapters at its highest heading level
+   * Text before the first heading becomes a chapter named after the document; every heading
+   * becomes a chapter, even one without text such as a part title
+   * @returns {Array<{title: string, content: string}>}
+   */
+  splitIntoChapters(title, content) {
+    const level = ['#', '##'].find((marks) => new RegExp(`^${marks} `, 'm').test(content))
+    if (!level) {
+      return [{ title, content }]
+    }
+
+    const headingPattern = new RegExp(`^${level} (.+)$`)
+    const chapters = []
+    let current = { title, lines: [], heading: false }
+
+    for (const line of content.split('\n')) {
+      const match = line.match(headingPattern)
+      if (match) {
+        if (current.heading || current.lines.join('').trim()) chapters.push(current)
+        current = { title: match[1].trim(), lines: [], heading: true }
+      } else {
+        current.lines.push(line)
+      }
+    }
+    chapters.push(current)
+
+    return chapters.map((chapter) => ({
+      title: chapter.title,
+      content: chapter.lines.join('\n').trim()
+    }))
+  }
+
+  /**
+   * Re-serialize sanitized HTML as well-formed XHTML for EPUB content documents
+   */
+  htmlToXhtml(html) {
+    const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html')
+    const serializer = new XMLSerializer()
+    return Array.from(parsed.body.childNodes)
+      .map((node) => serializer.serializeToString(node))
+      .join('')
+  }
+
+  /**
+   * Ask the user for an optional EPUB cover image
+   * @returns {Promise<Object|null>} { data, mediaType } or null when cancelled
+   */
+  pickCoverImage() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.accept = 'image/jpeg,image/png,image/gif,image/svg+xml,image/webp'
+      input.addEventListener('change', async () => {
+        const file = input.files[0]
+        resolve(file ? { data: await file.arrayBuffer(), mediaType: file.type } : null)
+      })
+      input.addEventListener('cancel', () => resolve(null))
+      input.click()
+    })
+  }
+
   /**
    * Convert markdown to HTML (basic implementation)
    */
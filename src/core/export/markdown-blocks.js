@@ -0,0 +1,131 @@
+/**
+ * Markdown Blocks - Structured markdown parsing for layout-based exports (DOCX, PDF)
+ * Produces block and inline-run trees instead of HTML so writers can apply their own formatting
+ */
+
+const SCENE_BREAK_PATTERN = /^\s*(#|\*\s*\*\s*\*[\s*]*|-\s*-\s*-[\s-]*|_\s*_\s*_[\s_]*)\s*$/
+const INLINE_PATTERN =
+  /(\*\*\*|___)(.+?)\1|(\*\*|__)(.+?)\3|(\*|_)(.+?)\5|~~(.+?)~~|`([^`]+)`|!?\[([^\]]*)\]\([^)]*\)/
+
+/**
+ * Parse inline markdown into formatted text runs
+ * @param {string} text - Inline markdown
+ * @param {Object} marks - Formatting inherited from the enclosing run
+ * @returns {Array<{text: string, bold: boolean, italic: boolean, strike: boolean, code: boolean}>}
+ */
+export function parseInline(text, marks = {}) {
+  const base = { bold: false, italic: false, strike: false, code: false, ...marks }
+  const runs = []
+  let rest = text
+
+  while (rest) {
+    const match = rest.match(INLINE_PATTERN)
+    if (!match) {
+      runs.push({ ...base, text: rest })
+      break
+    }
+
+    if (match.index > 0) {
+      runs.push({ ...base, text: rest.slice(0, match.index) })
+    }
+
+    if (match[2] !== undefined) {
+      runs.push(...parseInline(match[2], { ...base, bold: true, italic: true }))
+    } else if (match[4] !== undefined) {
+      runs.push(...parseInline(match[4], { ...base, bold: true }))
+    } else if (match[6] !== undefined) {
+      runs.push(...parseInline(match[6], { ...base, italic: true }))
+    } else if (match[7] !== undefined) {
+      runs.push(...parseInline(match[7], { ...base, strike: true }))
+    } else if (match[8] !== undefined) {
+      runs.push({ ...base, code: true, text: match[8] })
+    } else if (match[9]) {
+      runs.push(...parseInline(match[9], base))
+    }
+
+    rest = rest.slice(match.index + match[0].length)
+  }
+
+  return runs
+}
+
+/**
+ * Parse markdown into blocks
+ * Consecutive lines form one paragraph; a line holding only `#`, `***` or `---` is a scene break
+ * @param {string} markdown - Markdown source
+ * @returns {Array<Object>} Blocks: heading, paragraph, blockquote, list-item, code, scene-break
+ */
+export function parseMarkdownBlocks(markdown) {
+  const blocks = []
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n')
+  let paragraph = null
+
+  const flush = () => {
+    if (paragraph) {
+      const text = paragraph.lines.join(' ').trim()
+      if (text) blocks.push({ type: paragraph.type, runs: parseInline(text) })
+      paragraph = null
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (/^\s*```/.test(line)) {
+      flush()
+      const code = []
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i])
+      }
+      blocks.push({ type: 'code', text: code.join('\n') })
+      continue
+    }
+
+    if (!line.trim()) {
+      flush()
+      continue
+    }
+
+    if (SCENE_BREAK_PATTERN.test(line)) {
+      flush()
+      blocks.push({ type: 'scene-break' })
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/)
+    if (heading) {
+      flush()
+      blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2]) })
+      continue
+    }
+
+    const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.+)$/)
+    if (listItem) {
+      flush()
+      blocks.push({
+        type: 'list-item',
+        ordered: /\d/.test(listItem[1]),
+        runs: parseInline(listItem[2])
+      })
+      continue
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/)
+    const type = quote ? 'blockquote' : 'paragraph'
+    if (paragraph && paragraph.type !== type) flush()
+    if (!paragraph) paragraph = { type, lines: [] }
+    paragraph.lines.push(quote ? quote[1] : line.trim())
+  }
+
+  flush()
+  return blocks
+}
+
+/**
+ * Plain text of a run list
+ * @param {Array} runs - Inline runs
+ * @returns {string}
+ */
+export function runsToText(runs) {
+  return runs.map((run) => run.text).join('')
+}
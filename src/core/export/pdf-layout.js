@@ -0,0 +1,479 @@
+/**
+ * PdfLayoutEngine - Book typesetting for PDF export
+ * Lays out markdown blocks into pages with justified text, chapter openings, running headers,
+ * page numbers and widow/orphan control; rendering is a separate pass onto a jsPDF document
+ */
+import { runsToText } from './markdown-blocks.js'
+
+/**
+ * Trim sizes in millimetres; inner margins sit on the binding side
+ */
+export const TRIM_SIZES = {
+  a5: { label: 'A5', width: 148, height: 210, top: 18, bottom: 20, inner: 18, outer: 14 },
+  '6x9': {
+    label: '6 × 9 in',
+    width: 152.4,
+    height: 228.6,
+    top: 19,
+    bottom: 22,
+    inner: 19,
+    outer: 15
+  },
+  letter: {
+    label: 'US Letter',
+    width: 215.9,
+    height: 279.4,
+    top: 25.4,
+    bottom: 25.4,
+    inner: 28,
+    outer: 25.4
+  }
+}
+
+const PT_TO_MM = 25.4 / 72
+const MIN_LINES = 2 // Fewest lines of a paragraph allowed alone at the foot or head of a page
+
+/**
+ * jsPDF font style for inline run marks
+ * @param {Object} marks - Run marks from parseInline
+ * @returns {string} normal, bold, italic or bolditalic
+ */
+export function getFontStyle(marks) {
+  if (marks.bold && marks.italic) return 'bolditalic'
+  if (marks.bold) return 'bold'
+  if (marks.italic) return 'italic'
+  return 'normal'
+}
+
+export class PdfLayoutEngine {
+  /**
+   * @param {Object} options - Layout options
+   * @param {string} options.trimSize - Key of TRIM_SIZES
+   * @param {string} options.title - Book title for the title page and verso headers
+   * @param {string} options.author - Author for the title page
+   * @param {Function} options.measure - (text, font, style, sizePt) => width in mm
+   * @param {number} options.fontSize - Body size in points
+   * @param {number} options.lineHeight - Leading as a multiple of the font size
+   */
+  constructor(options = {}) {
+    const trimSize = options.trimSize || '6x9'
+    if (!TRIM_SIZES[trimSize]) {
+      throw new Error(
+        `Unsupported trim size: ${trimSize}. Available sizes: ${Object.keys(TRIM_SIZES).join(', ')}`
+      )
+    }
+    if (typeof options.measure !== 'function') {
+      throw new Error('A text measure function is required')
+    }
+
+    this.trim = TRIM_SIZES[trimSize]
+    this.title = options.title || ''
+    this.author = options.author || ''
+    this.measure = options.measure
+    this.fontSize = options.fontSize || 11
+    this.leading = this.fontSize * (options.lineHeight || 1.4) * PT_TO_MM
+    this.textWidth = this.trim.width - this.trim.inner - this.trim.outer
+  }
+
+  /**
+   * Lay out blocks into pages
+   * @param {Array} blocks - Blocks from parseMarkdownBlocks
+   * @param {Object} options - titlePage: add a title page first
+   * @returns {Array<Object>} Pages: { number, type, chapterTitle, items }
+   */
+  layout(blocks, options = {}) {
+    this.pages = []
+    this.chapterTitle = null
+    this.indentNext = false
+
+    if (options.titlePage !== false && this.title) {
+      this.addTitlePage()
+    }
+    this.newPage('body')
+
+    blocks.forEach((block, index) => this.layoutBlock(block, blocks[index + 1]))
+
+    // Drop a trailing empty page left by a final page break
+    const last = this.pages[this.pages.length - 1]
+    if (this.pages.length > 1 && last.items.length === 0) {
+      this.pages.pop()
+    }
+
+    return this.pages
+  }
+
+  /**
+   * @private
+   */
+  layoutBlock(block, nextBlock) {
+    const size = this.fontSize
+    this.listNumber = block.type === 'list-item' && block.ordered ? (this.listNumber || 0) + 1 : 0
+
+    switch (block.type) {
+      case 'heading':
+        if (block.level <= 2) {
+          this.layoutChapterOpening(block)
+        } else {
+          const lines = this.breakLines(block.runs, size + 1, this.textWidth, {
+            bold: true,
+            justify: false
+          })
+          this.ensureSpace(lines.length + (nextBlock ? MIN_LINES : 0), this.leading)
+          this.skip(this.leading * 0.5)
+          this.placeLines(lines, this.leading, this.trim.inner)
+          this.indentNext = false
+        }
+        break
+
+      case 'scene-break': {
+        const [line] = this.breakLines([{ text: '*   *   *' }], size, this.textWidth, {
+          align: 'center'
+        })
+        this.skip(this.leading * 0.5)
+        this.placeLines([line], this.leading, this.trim.inner)
+        this.skip(this.leading * 0.5)
+        this.indentNext = false
+        break
+      }
+
+      case 'blockquote': {
+        const inset = 8
+        const lines = this.breakLines(block.runs, size - 1, this.textWidth - inset * 2)
+        this.skip(this.leading * 0.5)
+        this.placeLines(lines, this.leading * 0.95, this.trim.inner + inset)
+        this.skip(this.leading * 0.5)
+        this.indentNext = false
+        break
+      }
+
+      case 'list-item': {
+        const inset = 5
+        const runs = [{ text: block.ordered ? `${this.listNumber}. ` : '• ' }, ...block.runs]
+        const lines = this.breakLines(runs, size, this.textWidth - inset, { justify: false })
+        this.placeLines(lines, this.leading, this.trim.inner + inset)
+        this.indentNext = false
+        break
+      }
+
+      case 'code': {
+        const lines = block.text
+          .split('\n')
+          .map((text) =>
+            this.makeLine([{ text, font: 'courier', style: 'normal', size: size - 2 }], 0)
+          )
+        this.placeLines(lines, this.leading * 0.9, this.trim.inner)
+        this.indentNext = false
+        break
+      }
+
+      default: {
+        // Book convention: no indent on the first paragraph after a heading or break
+        const indent = this.indentNext ? 5 : 0
+        const lines = this.breakLines(block.runs, size, this.textWidth, { indent })
+        this.placeLines(lines, this.leading, this.trim.inner)
+        this.indentNext = true
+      }
+    }
+  }
+
+  /**
+   * Chapter (and part) headings start a fresh page, dropped a quarter of the way down
+   * @private
+   */
+  layoutChapterOpening(block) {
+    if (this.page.items.length > 0) {
+      this.newPage('chapter-opening')
+    } else {
+      this.page.type = 'chapter-opening'
+    }
+
+    this.chapterTitle = runsToText(block.runs)
+    this.page.chapterTitle = this.chapterTitle
+
+    const size = block.level === 1 ? this.fontSize * 2 : this.fontSize * 1.6
+    const lines = this.breakLines(block.runs, size, this.textWidth, {
+      bold: true,
+      align: 'center'
+    })
+    this.y = this.trim.top + (this.trim.height - this.trim.top - this.trim.bottom) * 0.25
+    this.placeLines(lines, size * 1.3 * PT_TO_MM, this.trim.inner)
+    this.skip(this.leading * 2)
+    this.indentNext = false
+  }
+
+  /**
+   * @private
+   */
+  addTitlePage() {
+    this.newPage('title')
+    const center = { align: 'center' }
+    const height = this.trim.height - this.trim.top - this.trim.bottom
+
+    this.y = this.trim.top + height * 0.3
+    const titleSize = this.fontSize * 2.4
+    const titleLines = this.breakLines(
+      [{ text: this.title, bold: true }],
+      titleSize,
+      this.textWidth,
+      center
+    )
+    this.placeLines(titleLines, titleSize * 1.3 * PT_TO_MM, this.trim.inner)
+
+    if (this.author) {
+      this.skip(this.leading * 2)
+      const authorSize = this.fontSize * 1.4
+      const authorLines = this.breakLines(
+        [{ text: this.author, italic: true }],
+        authorSize,
+        this.textWidth,
+        center
+      )
+      this.placeLines(authorLines, authorSize * 1.3 * PT_TO_MM, this.trim.inner)
+    }
+  }
+
+  /**
+   * Greedy line breaking of styled runs, justified by default
+   * @param {Array} runs - Inline runs
+   * @param {number} size - Font size in points
+   * @param {number} width - Available width in mm
+   * @param {Object} options - indent (first line), bold, italic, justify, align
+   * @returns {Array<Object>} Lines with positioned pieces
+   * @private
+   */
+  breakLines(runs, size, width, options = {}) {
+    const words = this.toWords(runs, size, options)
+    const spaceWidth = this.measure(' ', 'times', 'normal', size)
+    const lines = []
+    let current = []
+    let currentWidth = 0
+    let lineWidth = width - (options.indent || 0)
+
+    const finish = (last) => {
+      if (current.length === 0) return
+      const indent = lines.length === 0 ? options.indent || 0 : 0
+      lines.push(this.layoutLine(current, size, width - indent, indent, spaceWidth, last, options))
+      current = []
+      currentWidth = 0
+      lineWidth = width
+    }
+
+    for (const word of words) {
+      const added = current.length > 0 ? spaceWidth + word.width : word.width
+      if (current.length > 0 && currentWidth + added > lineWidth) {
+        finish(false)
+        current.push(word)
+        currentWidth = word.width
+      } else {
+        current.push(word)
+        currentWidth += added
+      }
+    }
+    finish(true)
+
+    return lines
+  }
+
+  /**
+   * Split runs into words; a word may span several styled pieces ("*ran*.")
+   * @private
+   */
+  toWords(runs, size, options) {
+    const words = []
+    let word = null
+
+    for (const run of runs) {
+      const font = run.code ? 'courier' : 'times'
+      const style = getFontStyle({
+        bold: run.bold || options.bold,
+        italic: run.italic || options.italic
+      })
+
+      for (const part of run.text.split(/(\s+)/)) {
+        if (!part) continue
+        if (/^\s+$/.test(part)) {
+          word = null
+          continue
+        }
+        if (!word) {
+          word = { pieces: [], width: 0 }
+          words.push(word)
+        }
+        const width = this.measure(part, font, style, size)
+        word.pieces.push({ text: part, font, style, size, width })
+        word.width += width
+      }
+    }
+
+    return words
+  }
+
+  /**
+   * Position the pieces of one line, distributing slack between words when justifying
+   * @private
+   */
+  layoutLine(words, size, width, indent, spaceWidth, last, options) {
+    const natural =
+      words.reduce((sum, word) => sum + word.width, 0) + spaceWidth * (words.length - 1)
+    const justify = options.justify !== false && !options.align && !last && words.length > 1
+    const gap = justify ? spaceWidth + (width - natural) / (words.length - 1) : spaceWidth
+
+    let x = indent
+    if (options.align === 'center') x += (width - natural) / 2
+
+    const pieces = []
+    words.forEach((word, index) => {
+      if (index > 0) x += gap
+      for (const piece of word.pieces) {
+        pieces.push({ ...piece, x })
+        x += piece.width
+      }
+    })
+
+    return { pieces }
+  }
+
+  /**
+   * @private
+   */
+  makeLine(pieces, indent) {
+    let x = indent
+    return {
+      pieces: pieces.map((piece) => {
+        const width = this.measure(piece.text, piece.font, piece.style, piece.size)
+        const positioned = { ...piece, width, x }
+        x += width
+        return positioned
+      })
+    }
+  }
+
+  /**
+   * Place lines on pages, keeping at least MIN_LINES together at each page boundary
+   * @private
+   */
+  placeLines(lines, leading, left) {
+    let index = 0
+
+    while (index < lines.length) {
+      const capacity = this.linesLeft(leading)
+      const remaining = lines.length - index
+
+      if (remaining <= capacity) {
+        this.writeLines(lines.slice(index), leading, left)
+        return
+      }
+
+      let take = capacity
+      if (remaining - take < MIN_LINES) take = remaining - MIN_LINES // Widow
+      if (index === 0 && take < MIN_LINES) take = 0 // Orphan
+      if (take <= 0 && this.page.items.length === 0) take = Math.max(capacity, 1)
+
+      this.writeLines(lines.slice(index, index + take), leading, left)
+      index += take
+      this.newPage('body')
+    }
+  }
+
+  /**
+   * @private
+   */
+  writeLines(lines, leading, left) {
+    for (const line of lines) {
+      this.y += leading
+      for (const piece of line.pieces) {
+        this.page.items.push({
+          text: piece.text,
+          font: piece.font,
+          style: piece.style,
+          size: piece.size,
+          x: left + piece.x,
+          y: this.y
+        })
+      }
+    }
+  }
+
+  /**
+   * Start a new page when fewer than the given lines fit
+   * @private
+   */
+  ensureSpace(lineCount, leading) {
+    if (this.page.items.length > 0 && this.linesLeft(leading) < lineCount) {
+      this.newPage('body')
+    }
+  }
+
+  /**
+   * @private
+   */
+  linesLeft(leading) {
+    const bottom = this.trim.height - this.trim.bottom
+    return Math.max(0, Math.floor((bottom - this.y + 0.01) / leading))
+  }
+
+  /**
+   * @private
+   */
+  skip(amount) {
+    if (this.page.items.length > 0) {
+      this.y += amount
+    }
+  }
+
+  /**
+   * @private
+   */
+  newPage(type) {
+    this.page = {
+      number: this.pages.length + 1,
+      type,
+      chapterTitle: this.chapterTitle,
+      items: []
+    }
+    this.pages.push(this.page)
+    this.y = this.trim.top
+  }
+
+  /**
+   * Render laid-out pages onto a jsPDF document created with this trim size
+   * Recto (odd) pages carry the chapter title, verso pages the book title
+   * @param {Object} pdf - jsPDF instance
+   * @param {Array} pages - Pages from layout()
+   */
+  render(pdf, pages) {
+    const { width, height, inner, outer, top, bottom } = this.trim
+
+    pages.forEach((page, index) => {
+      if (index > 0) {
+        pdf.addPage([width, height], 'portrait')
+      }
+
+      // Mirror margins: recto pages bind on the left, verso pages on the right
+      const recto = page.number % 2 === 1
+      const shift = recto ? 0 : outer - inner
+
+      for (const item of page.items) {
+        pdf.setFont(item.font, item.style)
+        pdf.setFontSize(item.size)
+        pdf.text(item.text, item.x + shift, item.y)
+      }
+
+      if (page.type === 'title') return
+
+      pdf.setFont('times', 'normal')
+      pdf.setFontSize(this.fontSize - 2)
+
+      if (page.type === 'body') {
+        const header = recto ? page.chapterTitle || this.title : this.title
+        if (header) {
+          pdf.setFont('times', 'italic')
+          pdf.text(header, width / 2, top / 2 + 2, { align: 'center' })
+          pdf.setFont('times', 'normal')
+        }
+      }
+
+      pdf.text(String(page.number), width / 2, height - bottom / 2, { align: 'center' })
+    })
+  }
+}
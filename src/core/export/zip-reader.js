@@ -0,0 +1,171 @@
+/**
+ * ZipReader - Minimal ZIP container reader for imports
+ * Reads stored and deflated entries through the central directory; deflated entries are
+ * inflated with the browser's DecompressionStream. ZIP64 archives are not supported.
+ */
+import { crc32 } from './zip-writer.js'
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+const MAX_COMMENT_LENGTH = 0xffff
+
+const STORED = 0
+const DEFLATED = 8
+
+export class ZipReader {
+  /**
+   * @param {ArrayBuffer|Uint8Array} data - ZIP file bytes
+   */
+  constructor(data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength)
+    this.decoder = new TextDecoder()
+    this.entries = this.readCentralDirectory()
+  }
+
+  /**
+   * Check whether bytes start like a ZIP archive
+   * @param {ArrayBuffer|Uint8Array} data - File bytes
+   * @returns {boolean} True for a ZIP local file header or an empty archive
+   */
+  static isZip(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    if (bytes.length < 4) return false
+    const signature = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true)
+    return signature === LOCAL_FILE_HEADER || signature === END_OF_CENTRAL_DIRECTORY
+  }
+
+  /**
+   * Files in the archive; directory entries are left out
+   * @returns {Array} Entries as { path, size, compressedSize, method, crc, offset }
+   */
+  getEntries() {
+    return this.entries.filter((entry) => !entry.path.endsWith('/'))
+  }
+
+  /**
+   * Read an entry's contents
+   * @param {Object|string} entry - Entry from getEntries() or its path
+   * @returns {Promise<Uint8Array>} File contents
+   */
+  async read(entry) {
+    const file =
+      typeof entry === 'string' ? this.entries.find((item) => item.path === entry) : entry
+    if (!file) {
+      throw new Error(`Zip entry not found: ${entry}`)
+    }
+
+    if (this.view.getUint32(file.offset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid zip entry: ${file.path}`)
+    }
+    const nameLength = this.view.getUint16(file.offset + 26, true)
+    const extraLength = this.view.getUint16(file.offset + 28, true)
+    const start = file.offset + 30 + nameLength + extraLength
+    const data = this.bytes.subarray(start, start + file.compressedSize)
+
+    let bytes
+    if (file.method === STORED) {
+      bytes = data
+    } else if (file.method === DEFLATED) {
+      bytes = await inflateRaw(data)
+    } else {
+      throw new Error(`Unsupported compression method ${file.method} for ${file.path}`)
+    }
+
+    if (bytes.length !== file.size || crc32(bytes) !== file.crc) {
+      throw new Error(`Corrupt zip entry: ${file.path}`)
+    }
+    return bytes
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {Object|string} entry - Entry from getEntries() or its path
+   * @returns {Promise<string>} File contents
+   */
+  async readText(entry) {
+    return this.decoder.decode(await this.read(entry))
+  }
+
+  /**
+   * @private
+   */
+  readCentralDirectory() {
+    const end = this.findEndOfCentralDirectory()
+    const count = this.view.getUint16(end + 10, true)
+    let position = this.view.getUint32(end + 16, true)
+
+    const entries = []
+    for (let i = 0; i < count; i++) {
+      if (this.view.getUint32(position, true) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Invalid zip file: corrupt central directory')
+      }
+
+      const nameLength = this.view.getUint16(position + 28, true)
+      const extraLength = this.view.getUint16(position + 30, true)
+      const commentLength = this.view.getUint16(position + 32, true)
+      const name = this.bytes.subarray(position + 46, position + 46 + nameLength)
+
+      entries.push({
+        path: this.decoder.decode(name).replace(/\\/g, '/'),
+        method: this.view.getUint16(position + 10, true),
+        crc: this.view.getUint32(position + 16, true),
+        compressedSize: this.view.getUint32(position + 20, true),
+        size: this.view.getUint32(position + 24, true),
+        offset: this.view.getUint32(position + 42, true)
+      })
+      position += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+  }
+
+  /**
+   * @private
+   */
+  findEndOfCentralDirectory() {
+    const last = this.bytes.length - 22
+    const first = Math.max(0, last - MAX_COMMENT_LENGTH)
+    for (let position = last; position >= first; position--) {
+      if (this.view.getUint32(position, true) === END_OF_CENTRAL_DIRECTORY) {
+        return position
+      }
+    }
+    throw new Error('Invalid zip file: end of central directory not found')
+  }
+}
+
+/**
+ * Inflate raw DEFLATE data
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip files')
+  }
+
+  const stream = new DecompressionStream('deflate-raw')
+  const writer = stream.writable.getWriter()
+  writer
+    .write(data)
+    .then(() => writer.close())
+    .catch(() => {})
+
+  const chunks = []
+  const reader = stream.readable.getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+  }
+
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0))
+  let position = 0
+  for (const chunk of chunks) {
+    output.set(chunk, position)
+    position += chunk.length
+  }
+  return output
+}
@@ -0,0 +1,135 @@
+/**
+ * ZipWriter - Minimal ZIP container writer for exports
+ * Entries are stored uncompressed, which EPUB requires for the mimetype entry anyway
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/**
+ * CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+export class ZipWriter {
+  constructor() {
+    this.entries = []
+    this.encoder = new TextEncoder()
+  }
+
+  /**
+   * Add a file to the archive; entries are written in the order they are added
+   * @param {string} path - Path inside the archive
+   * @param {string|Uint8Array|ArrayBuffer} data - File contents
+   * @param {Date} date - Modification date
+   */
+  addFile(path, data, date = new Date()) {
+    if (!path) {
+      throw new Error('Zip entry path is required')
+    }
+
+    let bytes
+    if (typeof data === 'string') {
+      bytes = this.encoder.encode(data)
+    } else if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data)
+    } else if (data instanceof Uint8Array) {
+      bytes = data
+    } else {
+      throw new Error(`Unsupported zip entry data for ${path}`)
+    }
+
+    this.entries.push({ name: this.encoder.encode(path), bytes, crc: crc32(bytes), date })
+  }
+
+  /**
+   * Build the archive
+   * @returns {Uint8Array} ZIP file bytes
+   */
+  toUint8Array() {
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+
+    for (const entry of this.entries) {
+      const { time, day } = this.toDosDateTime(entry.date)
+
+      const local = new DataView(new ArrayBuffer(30))
+      local.setUint32(0, 0x04034b50, true) // Local file header signature
+      local.setUint16(4, 20, true) // Version needed to extract
+      local.setUint16(6, 0x0800, true) // UTF-8 file names
+      local.setUint16(8, 0, true) // Stored (no compression)
+      local.setUint16(10, time, true)
+      local.setUint16(12, day, true)
+      local.setUint32(14, entry.crc, true)
+      local.setUint32(18, entry.bytes.length, true)
+      local.setUint32(22, entry.bytes.length, true)
+      local.setUint16(26, entry.name.length, true)
+      local.setUint16(28, 0, true)
+
+      const central = new DataView(new ArrayBuffer(46))
+      central.setUint32(0, 0x02014b50, true) // Central directory signature
+      central.setUint16(4, 20, true) // Version made by
+      central.setUint16(6, 20, true)
+      central.setUint16(8, 0x0800, true)
+      central.setUint16(10, 0, true)
+      central.setUint16(12, time, true)
+      central.setUint16(14, day, true)
+      central.setUint32(16, entry.crc, true)
+      central.setUint32(20, entry.bytes.length, true)
+      central.setUint32(24, entry.bytes.length, true)
+      central.setUint16(28, entry.name.length, true)
+      central.setUint32(42, offset, true) // Offset of local header
+
+      localParts.push(new Uint8Array(local.buffer), entry.name, entry.bytes)
+      centralParts.push(new Uint8Array(central.buffer), entry.name)
+      offset += 30 + entry.name.length + entry.bytes.length
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, 0x06054b50, true) // End of central directory signature
+    end.setUint16(8, this.entries.length, true)
+    end.setUint16(10, this.entries.length, true)
+    end.setUint32(12, centralSize, true)
+    end.setUint32(16, offset, true)
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+    let position = 0
+    for (const part of parts) {
+      output.set(part, position)
+      position += part.length
+    }
+
+    return output
+  }
+
+  /**
+   * @private
+   */
+  toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980)
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    }
+  }
+}
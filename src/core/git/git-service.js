@@ -5,6 +5,27 @@
  * It eliminates code duplication between Navigator and commands while supporting
  * GitHub, GitLab, Bitbucket, and other Git providers through the AuthManager.
  */
+import { blameParagraphs } from './paragraph-blame.js'
+
+const HISTORY_LIMIT = 30 // Commits listed per document
+const BLAME_DEPTH = 15 // Versions downloaded to attribute paragraphs
+
+/**
+ * Check a branch name against the characters git accepts in ref names
+ * @param {string} name - Branch name
+ * @returns {boolean} Whether the name is valid
+ */
+export function isValidBranchName(name) {
+  return (
+    typeof name === 'string' &&
+    /^[\w.-]+(\/[\w.-]+)*$/.test(name) &&
+    !name.startsWith('-') &&
+    !name.includes('..') &&
+    !name.endsWith('.lock') &&
+    !name.split('/').some((part) => part.startsWith('.'))
+  )
+}
+
 export class GitService {
   constructor(app) {
     this.app = app
@@ -71,6 +92,7 @@ export class GitService {
         updatedDocument = {
           ...result.document,
           lastSyncedAt: syncTime,
+          syncBase: document.content || '',
           metadata: {
             ...result.document.metadata,
             // Sync the modified time to match lastSyncedAt for consistent status
@@ -82,8 +104,9 @@ export class GitService {
         updatedDocument = {
           ...document,
           githubSha: `pushed-${Date.now()}`,
-          githubPath: `documents/${document.id}.md`,
+          githubPath: this.app.githubStorage.getDocumentPath(document),
           lastSyncedAt: syncTime,
+          syncBase: document.content || '',
           metadata: {
             ...document.metadata,
             // CRITICAL: Sync the modified time to match lastSyncedAt
@@ -164,6 +187,7 @@ export class GitService {
         content: remoteDoc.content,
         githubSha: remoteDoc.githubSha,
         lastSyncedAt: syncTime,
+        syncBase: remoteDoc.content,
         metadata: {
           ...localDoc.metadata,
           // For pull operations, use sync time to ensure document appears synced
@@ -214,7 +238,8 @@ export class GitService {
     }
 
     try {
-      const documents = await this.app.githubStorage.listDocuments()
+      const localDocs = await this.app.storageManager.getAllDocuments()
+      const documents = await this.app.githubStorage.listDocuments(localDocs)
 
       return {
         success: true,
@@ -257,6 +282,9 @@ export class GitService {
           stats: {
             uploaded: result.uploaded || 0,
             downloaded: result.downloaded || 0,
+            merged: result.merged || 0,
+            deleted: result.deleted || 0,
+            removed: result.removed || 0,
             conflicts: result.conflicts || 0,
             errors: result.errors || 0
           }
@@ -275,6 +303,175 @@ export class GitService {
     }
   }
 
+  /**
+   * List the repository's branches
+   * @returns {Promise<{success: boolean, message: string, branches?: Array, current?: string}>}
+   */
+  async listBranches() {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        message: 'Git repository not available or not configured'
+      }
+    }
+
+    try {
+      const branches = await this.app.githubStorage.listBranches()
+      return {
+        success: true,
+        message: `Found ${branches.length} branch(es)`,
+        branches,
+        current: this.app.githubStorage.branch
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to list branches: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Create a draft branch from the working branch and switch to it
+   * @param {string} name - Branch name
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async createBranch(name) {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        message: 'Git repository not available or not configured'
+      }
+    }
+
+    if (!isValidBranchName(name)) {
+      return { success: false, message: `Invalid branch name: ${name}` }
+    }
+
+    const from = this.app.githubStorage.branch
+    try {
+      // Push local changes first so the draft starts from the current text
+      const sync = await this.syncBeforeBranchChange()
+      if (!sync.success) return sync
+
+      await this.app.githubStorage.createBranch(name, from)
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to create branch: ${error.message}`
+      }
+    }
+
+    const switched = await this.switchBranch(name, { synced: true })
+    return switched.success
+      ? { ...switched, message: `Created branch "${name}" from ${from} and switched to it` }
+      : switched
+  }
+
+  /**
+   * Switch the working set of documents to another branch
+   * Local changes are synced to the current branch first.
+   * @param {string} name - Branch name
+   * @param {Object} options - { synced: true } when the working set was just synced
+   * @returns {Promise<{success: boolean, message: string, stats?: Object}>}
+   */
+  async switchBranch(name, options = {}) {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        message: 'Git repository not available or not configured'
+      }
+    }
+
+    if (name === this.app.githubStorage.branch) {
+      return { success: true, message: `Already on branch "${name}"` }
+    }
+
+    try {
+      const branches = await this.app.githubStorage.listBranches()
+      if (!branches.some((branch) => branch.name === name)) {
+        return { success: false, message: `Branch "${name}" not found` }
+      }
+
+      if (!options.synced) {
+        const sync = await this.syncBeforeBranchChange()
+        if (!sync.success) return sync
+      }
+
+      const stats = await this.app.syncManager.switchBranch(name)
+      await this.app.reloadWorkingSet?.()
+
+      return {
+        success: true,
+        message: `Switched to branch "${name}"`,
+        stats
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to switch branch: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Merge a draft branch into the working branch
+   * Overlapping edits are left as conflicts for the conflict dialog.
+   * @param {string} name - Branch to merge from
+   * @returns {Promise<{success: boolean, message: string, stats?: Object}>}
+   */
+  async mergeBranch(name) {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        message: 'Git repository not available or not configured'
+      }
+    }
+
+    const target = this.app.githubStorage.branch
+    if (name === target) {
+      return { success: false, message: `Cannot merge branch "${name}" into itself` }
+    }
+
+    try {
+      const sync = await this.syncBeforeBranchChange()
+      if (!sync.success) return sync
+
+      const stats = await this.app.syncManager.mergeBranch(name)
+      await this.app.reloadWorkingSet?.()
+
+      const summary = `${stats.merged} merged, ${stats.added} added`
+      const conflicts = stats.conflicts > 0 ? `, ${stats.conflicts} conflict(s) to resolve` : ''
+      return {
+        success: true,
+        message: `Merged "${name}" into ${target} (${summary}${conflicts})`,
+        stats
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Merge failed: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Sync the working branch before changing branches
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async syncBeforeBranchChange() {
+    const result = await this.syncAllDocuments()
+    if (!result.success) return result
+
+    if (result.stats.conflicts > 0 || result.stats.errors > 0) {
+      return {
+        success: false,
+        message: 'Resolve sync conflicts and errors before changing branches'
+      }
+    }
+    return result
+  }
+
   /**
    * Initialize Git repository for documents
    * @returns {Promise<{success: boolean, message: string}>}
@@ -354,6 +551,220 @@ export class GitService {
     }
   }
 
+  /**
+   * List the commits that changed a document, newest first
+   * Renames are followed, so each commit carries the path the document had at that commit.
+   * @param {string} docId - Document ID
+   * @returns {Promise<{success: boolean, message: string, document?: Object, commits?: Array}>}
+   */
+  async getDocumentHistory(docId) {
+    if (!this.isAvailable()) {
+      return {
+        success: false,
+        message: 'Git repository not available or not configured'
+      }
+    }
+
+    try {
+      const document = await this.getSyncedDocument(docId)
+      const commits = await this.listFileCommits(document.githubPath)
+
+      return {
+        success: true,
+        message:
+          commits.length > 0
+            ? `${commits.length} commit(s) changed "${document.title}"`
+            : `No commits of "${document.title}" yet`,
+        document,
+        commits
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to load history: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Get what a commit changed in a document
+   * The previous version is the one in the next older commit that changed the document.
+   * @param {string} docId - Document ID
+   * @param {string} sha - Commit SHA from getDocumentHistory()
+   * @returns {Promise<{success: boolean, message: string, commit?: Object,
+   *   content?: string, previousContent?: string}>}
+   */
+  async getCommitDiff(docId, sha) {
+    const history = await this.getDocumentHistory(docId)
+    if (!history.success) return history
+
+    const { commits } = history
+    const index = commits.findIndex((commit) => commit.sha === sha)
+    if (index === -1) {
+      return { success: false, message: 'Commit not found in document history' }
+    }
+
+    try {
+      const previous = commits[index + 1]
+      const [content, previousContent] = await Promise.all([
+        this.loadContentAt(commits[index].path, sha),
+        previous ? this.loadContentAt(previous.path, previous.sha) : ''
+      ])
+
+      return {
+        success: true,
+        message: `Changes in ${sha.slice(0, 7)}: ${commits[index].message.split('\n')[0]}`,
+        commit: commits[index],
+        content,
+        previousContent
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to load commit: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Restore a document to its content at a commit
+   * The restored text is saved as a new local revision and synced like any other edit.
+   * @param {string} docId - Document ID
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<{success: boolean, message: string, document?: Object}>}
+   */
+  async restoreCommit(docId, sha) {
+    if (!this.app.revisionManager) {
+      return { success: false, message: 'Revision history is not available' }
+    }
+
+    const history = await this.getDocumentHistory(docId)
+    if (!history.success) return history
+
+    const { document, commits } = history
+    const commit = commits.find((item) => item.sha === sha)
+    if (!commit) {
+      return { success: false, message: 'Commit not found in document history' }
+    }
+
+    try {
+      if (document.readonly === true || document.type === 'system') {
+        return { success: false, message: 'Cannot restore a readonly document' }
+      }
+
+      const content = await this.loadContentAt(commit.path, sha)
+      const restored = await this.app.revisionManager.restoreContent(docId, content, 'git-restore')
+
+      return {
+        success: true,
+        message: `Restored "${document.title}" to commit ${sha.slice(0, 7)}`,
+        document: restored
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Restore failed: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Find the commit that last changed each paragraph of a document
+   * Paragraphs edited since the last sync are reported without a commit.
+   * @param {string} docId - Document ID
+   * @returns {Promise<{success: boolean, message: string, paragraphs?: Array}>}
+   */
+  async blameDocument(docId) {
+    const history = await this.getDocumentHistory(docId)
+    if (!history.success) return history
+
+    const { document, commits } = history
+    try {
+      const versions = []
+      for (const commit of commits.slice(0, BLAME_DEPTH)) {
+        const content = await this.loadContentAt(commit.path, commit.sha)
+        versions.push({ commit, content })
+      }
+
+      return {
+        success: true,
+        message: `Last changes to "${document.title}" by paragraph`,
+        paragraphs: blameParagraphs(document.content || '', versions)
+      }
+    } catch (error) {
+      return {
+        success: false,
+        message: `Blame failed: ${error.message}`
+      }
+    }
+  }
+
+  /**
+   * Get a document that has been synced to the repository
+   * @param {string} docId - Document ID
+   * @returns {Promise<Object>} Document
+   */
+  async getSyncedDocument(docId) {
+    const document = await this.app.storageManager.getDocument(docId)
+    if (!document) {
+      throw new Error('Document not found')
+    }
+    if (!document.githubPath) {
+      throw new Error('Document has not been synced to the repository yet')
+    }
+    return document
+  }
+
+  /**
+   * List the commits that changed a file, newest first, following it back through renames
+   * Once the commits at one path run out, the oldest one is checked for a rename and the
+   * listing continues at the previous path from that commit.
+   * @param {string} filepath - Current repository path
+   * @returns {Promise<Array>} Commits as { sha, message, author, date, path }
+   */
+  async listFileCommits(filepath) {
+    const storage = this.app.githubStorage
+    const commits = []
+    let path = filepath
+    let listing = storage
+    let renamedAt = null
+
+    while (commits.length < HISTORY_LIMIT) {
+      // Listing from a rename includes the rename itself, which is already in the history
+      const remaining = HISTORY_LIMIT - commits.length
+      const listed = await listing.listCommits(path, renamedAt ? remaining + 1 : remaining)
+      const page = listed.filter((commit) => commit.sha !== renamedAt).slice(0, remaining)
+      commits.push(...page.map((commit) => ({ ...commit, path })))
+      if (page.length === 0 || commits.length >= HISTORY_LIMIT) break
+
+      const oldest = page[page.length - 1]
+      const previousPath = await storage.getRenamedFrom(oldest.sha, path)
+      if (!previousPath) break
+
+      listing = storage.forBranch(oldest.sha)
+      renamedAt = oldest.sha
+      path = previousPath
+    }
+
+    return commits
+  }
+
+  /**
+   * Load a document's content as of a commit
+   * @param {string} path - Repository path
+   * @param {string} sha - Commit SHA
+   * @returns {Promise<string>} Content, or '' when the document did not exist at that commit
+   */
+  async loadContentAt(path, sha) {
+    try {
+      const document = await this.app.githubStorage.forBranch(sha).loadDocument(path)
+      return document.content || ''
+    } catch (error) {
+      if (this.app.githubStorage.isNotFoundError(error)) return ''
+      throw error
+    }
+  }
+
   /**
    * Import a document from a Git repository URL
    * @param {string} url - Repository file URL
@@ -0,0 +1,42 @@
+/**
+ * Paragraph blame - Which commit last changed each paragraph of a document
+ * Works on the versions of the document in its commit history, so it needs no blame API from
+ * the Git host. A paragraph is blamed on the oldest commit of the unbroken run of versions,
+ * counting back from the newest, that contain it word for word.
+ */
+
+/**
+ * Split text into paragraphs separated by blank lines
+ * @param {string} content - Document content
+ * @returns {Array<string>} Trimmed, non-empty paragraphs
+ */
+export function splitParagraphs(content) {
+  return (content || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Find the commit that last changed each paragraph
+ * Paragraphs found in every given version are blamed on the oldest one; when the history was
+ * cut short they may be older still.
+ * @param {string} content - Current document content
+ * @param {Array} versions - Versions newest first, as { commit, content }
+ * @returns {Array} Paragraphs as { text, commit }; commit is null for changes not committed yet
+ */
+export function blameParagraphs(content, versions) {
+  const versionParagraphs = versions.map((version) => new Set(splitParagraphs(version.content)))
+
+  return splitParagraphs(content).map((text) => {
+    if (!versionParagraphs[0]?.has(text)) {
+      return { text, commit: null }
+    }
+
+    let index = 0
+    while (index + 1 < versions.length && versionParagraphs[index + 1].has(text)) {
+      index++
+    }
+    return { text, commit: versions[index].commit }
+  })
+}
@@ -0,0 +1,385 @@
+/**
+ * GoalsManager - Daily word-count history, streaks and writing goals
+ * Words written are computed from save deltas and stored per day and document in IndexedDB.
+ * Daily and session goals are word counts; project goals add a total target and an optional
+ * deadline from which the required daily pace is worked out.
+ */
+
+export const GOAL_KINDS = ['daily', 'session']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Count words the same way as the status bar
+ * @param {string} text - Text to count
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  const trimmed = (text || '').trim()
+  return trimmed ? trimmed.split(/\s+/).length : 0
+}
+
+/**
+ * Get the local calendar day of a date
+ * @param {Date} date - Date
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function toDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Shift a day key by a number of days
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Day key
+ */
+export function addDays(dayKey, days) {
+  const [year, month, day] = dayKey.split('-').map(Number)
+  return toDayKey(new Date(year, month - 1, day + days))
+}
+
+/**
+ * Count calendar days from one day to another
+ * @param {string} fromKey - Start day (YYYY-MM-DD)
+ * @param {string} toKey - End day (YYYY-MM-DD)
+ * @returns {number} Days (negative when toKey is earlier)
+ */
+export function daysBetween(fromKey, toKey) {
+  const toUtc = (key) => {
+    const [year, month, day] = key.split('-').map(Number)
+    return Date.UTC(year, month - 1, day)
+  }
+  return Math.round((toUtc(toKey) - toUtc(fromKey)) / DAY_MS)
+}
+
+/**
+ * Shade a heatmap day by its share of the daily goal, or of the best day without one
+ * @param {number} words - Words written that day
+ * @param {number} scale - Words that fill a day
+ * @returns {number} Level from 0 (nothing written) to 4 (goal met)
+ */
+function heatmapLevel(words, scale) {
+  if (words <= 0) return 0
+  const ratio = scale > 0 ? words / scale : 0
+  if (ratio >= 1) return 4
+  if (ratio >= 0.5) return 3
+  if (ratio >= 0.25) return 2
+  return 1
+}
+
+export class GoalsManager {
+  constructor(storageManager, settingsManager, projectManager = null) {
+    this.storageManager = storageManager
+    this.settingsManager = settingsManager
+    this.projectManager = projectManager
+    this.sessionWords = 0
+    this.sessionStartedAt = new Date().toISOString()
+  }
+
+  /**
+   * Get the configured goals
+   * @returns {Object} { daily, session, projects: { [projectId]: { target, deadline, startDate } } }
+   */
+  getGoals() {
+    const goals = this.settingsManager?.get('goals') || {}
+    return {
+      daily: goals.daily || 0,
+      session: goals.session || 0,
+      projects: goals.projects || {}
+    }
+  }
+
+  /**
+   * Set the daily or session word goal
+   * @param {string} kind - 'daily' or 'session'
+   * @param {number} words - Goal in words; 0 turns the goal off
+   * @returns {number} Stored goal
+   */
+  setGoal(kind, words) {
+    if (!GOAL_KINDS.includes(kind)) {
+      throw new Error(`Unknown goal: ${kind}`)
+    }
+
+    const value = this.parseWordCount(words)
+    this.settingsManager.set(`goals.${kind}`, value)
+    return value
+  }
+
+  /**
+   * Set a project word target with an optional deadline
+   * With a start date, progress counts words written from that day (NaNoWriMo style);
+   * without one, it is the project's current total
+   * @param {string} projectId - Project ID
+   * @param {Object} goal - { target, deadline, startDate }
+   * @returns {Object} Stored goal
+   */
+  setProjectGoal(projectId, { target, deadline = null, startDate = null }) {
+    if (!projectId) {
+      throw new Error('Project is required')
+    }
+
+    for (const date of [deadline, startDate]) {
+      if (date !== null && !DAY_KEY_PATTERN.test(date)) {
+        throw new Error(`Invalid date: ${date} (use YYYY-MM-DD)`)
+      }
+    }
+    if (deadline && startDate && daysBetween(startDate, deadline) < 0) {
+      throw new Error('Deadline must not be before the start date')
+    }
+
+    const goal = { target: this.parseWordCount(target), deadline, startDate }
+    if (goal.target === 0) {
+      throw new Error('Project target must be greater than 0')
+    }
+
+    this.settingsManager.set('goals.projects', { ...this.getGoals().projects, [projectId]: goal })
+    return goal
+  }
+
+  /**
+   * Remove a project goal
+   * @param {string} projectId - Project ID
+   */
+  clearProjectGoal(projectId) {
+    const projects = { ...this.getGoals().projects }
+    delete projects[projectId]
+    this.settingsManager.set('goals.projects', projects)
+  }
+
+  /**
+   * Record the words written by a save
+   * @param {Object} doc - Saved document
+   * @param {string} previousContent - Content as last saved
+   * @returns {Promise<Object|null>} Updated day entry, or null when the count did not change
+   */
+  async recordSave(doc, previousContent) {
+    if (!doc?.id) return null
+
+    const delta = countWords(doc.content) - countWords(previousContent)
+    if (delta === 0) return null
+
+    this.sessionWords += delta
+
+    const date = toDayKey()
+    const id = `${date}:${doc.id}`
+    const existing = await this.storageManager.getWordCount(id)
+    const projects = this.projectManager
+      ? await this.projectManager.getProjectsForDocument(doc.id)
+      : []
+
+    const entry = {
+      id,
+      date,
+      documentId: doc.id,
+      title: doc.title,
+      projectIds: projects.map((project) => project.id),
+      words: (existing?.words || 0) + delta,
+      added: (existing?.added || 0) + Math.max(delta, 0),
+      removed: (existing?.removed || 0) + Math.max(-delta, 0),
+      updatedAt: new Date().toISOString()
+    }
+
+    return await this.storageManager.saveWordCount(entry)
+  }
+
+  /**
+   * Get net words written per day
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @param {string} projectId - Only count documents of this project
+   * @returns {Promise<Map<string, number>>} Words by day
+   */
+  async getDailyTotals(fromDate, toDate, projectId = null) {
+    const entries = await this.storageManager.getWordCounts(fromDate, toDate)
+    const totals = new Map()
+
+    for (const entry of entries) {
+      if (projectId && !(entry.projectIds || []).includes(projectId)) continue
+      totals.set(entry.date, (totals.get(entry.date) || 0) + entry.words)
+    }
+    return totals
+  }
+
+  /**
+   * Get net words written today
+   * @returns {Promise<number>} Words
+   */
+  async getTodayWords() {
+    const today = toDayKey()
+    return (await this.getDailyTotals(today, today)).get(today) || 0
+  }
+
+  /**
+   * Get one cell per day for a calendar heatmap, from the Sunday `weeks` weeks back to today
+   * @param {number} weeks - Number of weeks to show
+   * @returns {Promise<Array>} Days as { date, words, level (0-4) }
+   */
+  async getHeatmap(weeks = 26) {
+    const today = toDayKey()
+    const [year, month, day] = today.split('-').map(Number)
+    const weekday = new Date(year, month - 1, day).getDay()
+    const start = addDays(today, -(weeks - 1) * 7 - weekday)
+
+    const totals = await this.getDailyTotals(start, today)
+    const goal = this.getGoals().daily
+    const best = Math.max(0, ...totals.values())
+    const scale = goal || best
+
+    const days = []
+    for (let date = start; daysBetween(date, today) >= 0; date = addDays(date, 1)) {
+      const words = totals.get(date) || 0
+      days.push({ date, words, level: heatmapLevel(words, scale) })
+    }
+    return days
+  }
+
+  /**
+   * Get the current and best streak of days that met the daily goal
+   * Without a daily goal any day with words written counts. Today only ends the current
+   * streak once it is over, so an unfinished today does not reset it.
+   * @returns {Promise<Object>} { current, best }
+   */
+  async getStreak() {
+    const today = toDayKey()
+    const entries = await this.storageManager.getWordCounts('0000-01-01', today)
+    const totals = new Map()
+    entries.forEach((entry) => totals.set(entry.date, (totals.get(entry.date) || 0) + entry.words))
+
+    const threshold = Math.max(this.getGoals().daily, 1)
+    const met = (date) => (totals.get(date) || 0) >= threshold
+
+    let current = 0
+    let date = met(today) ? today : addDays(today, -1)
+    while (met(date)) {
+      current++
+      date = addDays(date, -1)
+    }
+
+    let best = 0
+    let run = 0
+    let previous = null
+    for (const day of [...totals.keys()].sort()) {
+      if (!met(day)) continue
+      run = previous && daysBetween(previous, day) === 1 ? run + 1 : 1
+      best = Math.max(best, run)
+      previous = day
+    }
+
+    return { current, best: Math.max(best, current) }
+  }
+
+  /**
+   * Work out progress and the required daily pace for a project goal
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Progress, or null when the project has no goal
+   */
+  async getProjectProgress(projectId) {
+    const goal = this.getGoals().projects[projectId]
+    if (!goal || !this.projectManager) return null
+
+    const project = await this.projectManager.getProject(projectId)
+    const today = toDayKey()
+    const writtenToday = (await this.getDailyTotals(today, today, projectId)).get(today) || 0
+
+    let words
+    if (goal.startDate) {
+      const totals = await this.getDailyTotals(goal.startDate, today, projectId)
+      words = [...totals.values()].reduce((sum, value) => sum + value, 0)
+    } else {
+      words = await this.getProjectWordCount(project)
+    }
+
+    const progress = {
+      projectId,
+      title: project.title,
+      target: goal.target,
+      deadline: goal.deadline,
+      startDate: goal.startDate,
+      words,
+      writtenToday,
+      remaining: Math.max(goal.target - words, 0),
+      daysLeft: null,
+      pace: null,
+      todayRemaining: null
+    }
+
+    if (goal.deadline) {
+      // Pace is fixed at the start of the day so writing today does not lower today's target
+      const daysLeft = Math.max(daysBetween(today, goal.deadline) + 1, 0)
+      const remainingAtDayStart = Math.max(goal.target - (words - writtenToday), 0)
+      progress.daysLeft = daysLeft
+      progress.pace = daysLeft > 0 ? Math.ceil(remainingAtDayStart / daysLeft) : remainingAtDayStart
+      progress.todayRemaining = Math.max(progress.pace - writtenToday, 0)
+    }
+
+    return progress
+  }
+
+  /**
+   * Get progress for every project goal
+   * Goals of deleted projects are skipped
+   * @returns {Promise<Array>} Project progress
+   */
+  async getAllProjectProgress() {
+    const results = []
+    for (const projectId of Object.keys(this.getGoals().projects)) {
+      try {
+        results.push(await this.getProjectProgress(projectId))
+      } catch (error) {
+        // Project no longer exists
+      }
+    }
+    return results.filter(Boolean)
+  }
+
+  /**
+   * Get today's and this session's progress plus the project goal of a document
+   * @param {Object} doc - Current document, used to pick the project goal
+   * @returns {Promise<Object>} { today, session, project }
+   */
+  async getStatus(doc = null) {
+    const goals = this.getGoals()
+    const status = {
+      today: { words: await this.getTodayWords(), goal: goals.daily },
+      session: { words: this.sessionWords, goal: goals.session },
+      project: null
+    }
+
+    if (doc?.id && this.projectManager) {
+      const projects = await this.projectManager.getProjectsForDocument(doc.id)
+      const withGoal = projects.find((project) => goals.projects[project.id])
+      if (withGoal) {
+        status.project = await this.getProjectProgress(withGoal.id)
+      }
+    }
+
+    return status
+  }
+
+  /**
+   * @private
+   */
+  async getProjectWordCount(project) {
+    let words = 0
+    for (const documentId of this.projectManager.getOrderedDocumentIds(project)) {
+      const doc = await this.storageManager.getDocument(documentId)
+      words += countWords(doc?.content)
+    }
+    return words
+  }
+
+  /**
+   * @private
+   */
+  parseWordCount(words) {
+    const value = Number(words)
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid word count: ${words}`)
+    }
+    return value
+  }
+}
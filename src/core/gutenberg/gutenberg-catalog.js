@@ -0,0 +1,205 @@
+/**
+ * Gutenberg Catalog - Parse and search Project Gutenberg catalog dumps
+ * Reads the CSV catalog (pg_catalog.csv) and RDF/XML records (pg<number>.rdf, one or more
+ * concatenated). Books are plain objects: { id, title, authors, language, subjects, type }.
+ */
+
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+const PGTERMS_NS = 'http://www.gutenberg.org/2009/pgterms/'
+const DCTERMS_NS = 'http://purl.org/dc/terms/'
+
+/**
+ * Parse a catalog dump, detecting its format
+ * @param {string} text - CSV or RDF/XML catalog
+ * @returns {Array} Books
+ */
+export function parseCatalog(text) {
+  const start = text.trimStart().slice(0, 200)
+  if (start.startsWith('<?xml') || start.includes('<rdf:RDF')) {
+    return parseCatalogRdf(text)
+  }
+  return parseCatalogCsv(text)
+}
+
+/**
+ * Parse the CSV catalog
+ * Columns are looked up by header name: Text#, Type, Title, Language, Authors, Subjects
+ * @param {string} text - CSV text
+ * @returns {Array} Books
+ */
+export function parseCatalogCsv(text) {
+  const [header, ...rows] = parseCsv(text)
+  if (!header) return []
+
+  const column = (name) => header.findIndex((cell) => cell.trim().toLowerCase() === name)
+  const columns = {
+    id: column('text#'),
+    type: column('type'),
+    title: column('title'),
+    language: column('language'),
+    authors: column('authors'),
+    subjects: column('subjects')
+  }
+  if (columns.id === -1 || columns.title === -1) {
+    throw new Error('Not a Gutenberg catalog: missing Text# or Title column')
+  }
+
+  const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim())
+  const list = (value) =>
+    value
+      .split(';')
+      .map((item) => item.trim())
+      .filter(Boolean)
+
+  return rows
+    .filter((row) => /^\d+$/.test(cell(row, columns.id)))
+    .map((row) => ({
+      id: Number(cell(row, columns.id)),
+      title: cell(row, columns.title).replace(/\s*\n\s*/g, ': '),
+      authors: list(cell(row, columns.authors)),
+      language: list(cell(row, columns.language))[0] || '',
+      subjects: list(cell(row, columns.subjects)),
+      type: cell(row, columns.type) || 'Text'
+    }))
+}
+
+/**
+ * Parse RDF/XML catalog records
+ * @param {string} text - One or more concatenated RDF documents
+ * @returns {Array} Books
+ */
+export function parseCatalogRdf(text) {
+  const parser = new DOMParser()
+  const books = []
+
+  for (const chunk of text.split(/(?<=<\/rdf:RDF>)/)) {
+    if (!chunk.includes('<rdf:RDF')) continue
+
+    const xml = parser.parseFromString(chunk.slice(chunk.indexOf('<rdf:RDF')), 'application/xml')
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Not a Gutenberg catalog: invalid RDF')
+    }
+
+    for (const ebook of xml.getElementsByTagNameNS(PGTERMS_NS, 'ebook')) {
+      const id = Number((ebook.getAttributeNS(RDF_NS, 'about') || '').split('/').pop())
+      if (!id) continue
+
+      books.push({
+        id,
+        title: rdfText(ebook, DCTERMS_NS, 'title').replace(/\s*\n\s*/g, ': '),
+        authors: rdfValues(ebook, 'creator', PGTERMS_NS, 'name'),
+        language: rdfValues(ebook, 'language', RDF_NS, 'value')[0] || '',
+        subjects: rdfValues(ebook, 'subject', RDF_NS, 'value'),
+        type: rdfValues(ebook, 'type', RDF_NS, 'value')[0] || 'Text'
+      })
+    }
+  }
+
+  return books
+}
+
+/**
+ * Search books by title and author
+ * Every word of the query must match; title matches rank before author-only matches.
+ * @param {Array} books - Catalog books
+ * @param {string} query - Search words
+ * @param {Object} options - { limit, language }
+ * @returns {Array} Matching text books
+ */
+export function searchCatalog(books, query, { limit = 20, language = null } = {}) {
+  const words = normalize(query).split(/\s+/).filter(Boolean)
+  if (words.length === 0) return []
+
+  const results = []
+  for (const book of books) {
+    if (book.type !== 'Text' || (language && book.language !== language)) continue
+
+    const title = normalize(book.title)
+    const authors = normalize(book.authors.join(' '))
+    if (!words.every((word) => title.includes(word) || authors.includes(word))) continue
+
+    const score = words.filter((word) => title.includes(word)).length
+    results.push({ book, score })
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.book.id - b.book.id)
+    .slice(0, limit)
+    .map((result) => result.book)
+}
+
+/**
+ * Format an author as "First Last" without life dates
+ * @param {string} author - Catalog author such as 'Austen, Jane, 1775-1817'
+ * @returns {string} Display name
+ */
+export function formatAuthor(author) {
+  const parts = author
+    .split(',')
+    .map((part) => part.trim())
+    .filter((part) => part && !/\d/.test(part))
+  return parts.length > 1 ? `${parts.slice(1).join(' ')} ${parts[0]}` : parts[0] || author
+}
+
+/**
+ * Split CSV text into rows of cells; quoted cells may hold commas, quotes and newlines
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows
+}
+
+function rdfText(element, namespace, name) {
+  return element.getElementsByTagNameNS(namespace, name)[0]?.textContent.trim() || ''
+}
+
+function rdfValues(ebook, property, namespace, name) {
+  return Array.from(ebook.getElementsByTagNameNS(DCTERMS_NS, property))
+    .map((node) => rdfText(node, namespace, name))
+    .filter(Boolean)
+}
+
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
@@ -0,0 +1,190 @@
+/**
+ * GutenbergManager - Import public-domain books from Project Gutenberg as reference documents
+ * The catalog (CSV or RDF dump) is read from a configurable URL or a local file; each imported
+ * chapter becomes a readonly document filed under reference/<book> and tagged with the ebook number
+ */
+import { parseCatalog, searchCatalog, formatAuthor } from './gutenberg-catalog.js'
+import { readHeader, splitChapters, stripLicense } from './gutenberg-text.js'
+
+export const GUTENBERG_TAG = 'gutenberg'
+export const REFERENCE_FOLDER = 'reference'
+
+const MAX_TITLE_LENGTH = 200
+
+export class GutenbergManager {
+  constructor(storageManager, settingsManager = null) {
+    this.storageManager = storageManager
+    this.settingsManager = settingsManager
+    this.books = null
+    this.catalogSource = null
+  }
+
+  /**
+   * Load the catalog from a URL, a local File or catalog text
+   * @param {string|File} source - Catalog URL, File, or CSV/RDF text (defaults to the setting)
+   * @returns {Promise<number>} Number of books in the catalog
+   */
+  async loadCatalog(source = null) {
+    const catalogSource = source || this.settingsManager?.get('gutenberg.catalogUrl')
+    if (!catalogSource) {
+      throw new Error('No Gutenberg catalog configured')
+    }
+
+    let text
+    if (typeof catalogSource !== 'string') {
+      text = await catalogSource.text()
+    } else if (/^https?:\/\//i.test(catalogSource.trim())) {
+      text = await this.fetchText(catalogSource.trim(), 'catalog')
+    } else {
+      text = catalogSource
+    }
+
+    this.books = parseCatalog(text)
+    this.catalogSource = typeof catalogSource === 'string' ? catalogSource : catalogSource.name
+    return this.books.length
+  }
+
+  /**
+   * Let the user choose a downloaded catalog dump
+   * @returns {Promise<File|null>} Chosen file, or null when cancelled
+   */
+  pickCatalogFile() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.accept = '.csv,.rdf,.xml,text/csv,application/rdf+xml'
+      input.addEventListener('change', () => resolve(input.files[0] || null))
+      input.addEventListener('cancel', () => resolve(null))
+      input.click()
+    })
+  }
+
+  /**
+   * Search the catalog by title and author, loading it on first use
+   * @param {string} query - Search words
+   * @param {Object} options - { limit, language }
+   * @returns {Promise<Array>} Matching books
+   */
+  async search(query, options = {}) {
+    if (!this.books) {
+      await this.loadCatalog()
+    }
+    return searchCatalog(this.books, query, options)
+  }
+
+  /**
+   * Find a book in the loaded catalog
+   * @param {number} id - Ebook number
+   * @returns {Object|null} Book
+   */
+  getBook(id) {
+    return this.books?.find((book) => book.id === Number(id)) || null
+  }
+
+  /**
+   * Find documents already imported from an ebook
+   * @param {number} id - Ebook number
+   * @returns {Promise<Array>} Documents
+   */
+  async getImportedDocuments(id) {
+    const tag = ebookTag(id)
+    const documents = await this.storageManager.getAllDocuments()
+    return documents.filter((doc) => doc.tags?.includes(tag))
+  }
+
+  /**
+   * Download an ebook and store its chapters as readonly reference documents
+   * @param {number|string} id - Ebook number
+   * @returns {Promise<Object>} { book, documents, folder }
+   */
+  async importBook(id) {
+    const ebookId = Number(id)
+    if (!Number.isInteger(ebookId) || ebookId <= 0) {
+      throw new Error(`Invalid ebook number: ${id}`)
+    }
+    if ((await this.getImportedDocuments(ebookId)).length > 0) {
+      throw new Error(`Ebook #${ebookId} is already imported`)
+    }
+
+    const text = await this.fetchText(this.getTextUrl(ebookId), `ebook #${ebookId}`)
+    const header = readHeader(text)
+    const book = this.getBook(ebookId) || {
+      id: ebookId,
+      title: header.title || `Ebook ${ebookId}`,
+      authors: header.author ? [header.author] : []
+    }
+
+    const sections = splitChapters(stripLicense(text))
+    if (sections.length === 0) {
+      throw new Error(`Ebook #${ebookId} has no text`)
+    }
+
+    const folder = `${REFERENCE_FOLDER}/${slugify(book.title) || ebookId}`
+    const tags = [GUTENBERG_TAG, ebookTag(ebookId)]
+    const documents = []
+
+    const authors = book.authors.map(formatAuthor).join(', ')
+    const titlePage = authors ? `# ${book.title}\n\n*${authors}*` : `# ${book.title}`
+
+    for (const section of sections) {
+      const label = section.title ?? (sections.length > 1 ? 'Front Matter' : null)
+      const heading = section.title ? `# ${section.title}` : titlePage
+
+      const created = await this.storageManager.saveDocument({
+        title: chapterTitle(book.title, label),
+        content: `${heading}\n\n${section.content}\n`,
+        tags
+      })
+      await this.storageManager.saveDocument({ ...created, folder })
+      documents.push(await this.storageManager.setDocumentReadonly(created.id, true))
+    }
+
+    return { book, documents, folder }
+  }
+
+  /**
+   * Plain-text download URL of an ebook from the `gutenberg.textUrl` template
+   * @param {number} id - Ebook number
+   * @returns {string} URL
+   */
+  getTextUrl(id) {
+    const template =
+      this.settingsManager?.get('gutenberg.textUrl') ||
+      'https://www.gutenberg.org/cache/epub/{id}/pg{id}.txt'
+    return template.replaceAll('{id}', String(id))
+  }
+
+  async fetchText(url, what) {
+    let response
+    try {
+      response = await fetch(url)
+    } catch (error) {
+      throw new Error(`Could not download the ${what} from ${url}: ${error.message}`)
+    }
+    if (!response.ok) {
+      throw new Error(`Could not download the ${what}: ${response.status} ${response.statusText}`)
+    }
+    return response.text()
+  }
+}
+
+function ebookTag(id) {
+  return `pg${id}`
+}
+
+function chapterTitle(bookTitle, sectionTitle) {
+  if (!sectionTitle) return bookTitle.slice(0, MAX_TITLE_LENGTH)
+
+  const suffix = `: ${sectionTitle}`.slice(0, MAX_TITLE_LENGTH / 2)
+  return `${bookTitle.slice(0, MAX_TITLE_LENGTH - suffix.length - 1)}${suffix}`
+}
+
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+}
@@ -0,0 +1,185 @@
+/**
+ * Gutenberg Text - Clean and split Project Gutenberg plain-text ebooks
+ * Removes the license header and footer around the book and splits the book into chapters.
+ */
+
+const START_MARKERS = [
+  /^\*{3}\s*START OF (?:THE|THIS) PROJECT GUTENBERG E-?(?:BOOK|TEXT).*$/im,
+  /^\*END\*THE SMALL PRINT!.*$/im
+]
+
+const END_MARKERS = [
+  /^\*{3}\s*END OF (?:THE|THIS) PROJECT GUTENBERG E-?(?:BOOK|TEXT).*$/im,
+  /^End of (?:the )?Project Gutenberg(?:'s)? .*$/im
+]
+
+const CREDIT_LINE = /^(?:Produced|Prepared|Transcribed|E-?text prepared) by\b/i
+
+const NUMBER_WORDS =
+  'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|' +
+  'sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|first|second|third|fourth|' +
+  'fifth|sixth|seventh|eighth|ninth|tenth|last'
+const NUMBER = `(?:[IVXLCDM]+|\\d+|(?:${NUMBER_WORDS})(?:-(?:${NUMBER_WORDS}))?)`
+const HEADING_LINE = new RegExp(`^(CHAPTER|BOOK|PART|LETTER|STAVE)\\s+${NUMBER}\\b[.:]?.*$`, 'i')
+const CONTAINER_KINDS = ['book', 'part']
+const MAX_HEADING_LENGTH = 80
+const MAX_SUBTITLE_LENGTH = 60
+
+/**
+ * Sections shorter than this are stray headings and are folded into the section before them
+ */
+export const MIN_CHAPTER_LENGTH = 200
+
+/**
+ * Read the Title and Author lines of the license header
+ * @param {string} text - Full ebook text
+ * @returns {Object} { title, author }
+ */
+export function readHeader(text) {
+  const header = text.slice(0, 5000)
+  const field = (name) => header.match(new RegExp(`^${name}:\\s*(.+)$`, 'im'))?.[1].trim() || ''
+  return { title: field('Title'), author: field('Author') }
+}
+
+/**
+ * Remove the Project Gutenberg license header and footer
+ * @param {string} text - Full ebook text
+ * @returns {string} Book text only
+ */
+export function stripLicense(text) {
+  let body = text.replace(/\r\n?/g, '\n')
+
+  const start = findMarker(body, START_MARKERS)
+  if (start) {
+    body = body.slice(start.index + start[0].length)
+  }
+
+  const end = findMarker(body, END_MARKERS)
+  if (end) {
+    body = body.slice(0, end.index)
+  }
+
+  // Drop the volunteer credits that usually open the book
+  const paragraphs = body.trim().split(/\n\s*\n/)
+  if (CREDIT_LINE.test(paragraphs[0])) {
+    paragraphs.shift()
+  }
+
+  return paragraphs.join('\n\n').trim()
+}
+
+/**
+ * Split a book into chapters at CHAPTER, BOOK, PART, LETTER and STAVE headings
+ * A BOOK or PART heading without text is joined to the chapter heading after it
+ * (BOOK I, CHAPTER I); text before the first heading is returned as front matter.
+ * @param {string} text - Book text without license
+ * @returns {Array} Sections { title, content } in reading order
+ */
+export function splitChapters(text) {
+  const lines = text.split('\n')
+  const sections = [{ title: null, kind: null, lines: [] }]
+
+  lines.forEach((line, index) => {
+    if (isHeading(lines, index)) {
+      sections.push({ title: line.trim(), kind: headingKind(line), lines: [] })
+    } else {
+      sections[sections.length - 1].lines.push(line)
+    }
+  })
+
+  const merged = []
+  let prefix = null
+
+  sections.forEach((section, index) => {
+    let body = section.lines.join('\n').trim()
+    let title = section.title
+
+    if (title) {
+      const subtitle = readSubtitle(body)
+      if (subtitle) {
+        title = `${title.replace(/[.:]$/, '')}: ${subtitle}`
+        body = body.slice(subtitle.length).trim()
+      }
+      if (prefix) {
+        title = `${prefix}, ${title}`
+        prefix = null
+      }
+    }
+
+    const next = sections[index + 1]
+    if (title && !body && CONTAINER_KINDS.includes(section.kind) && next?.kind === 'chapter') {
+      prefix = title.replace(/[.:]$/, '')
+      return
+    }
+
+    const previous = merged[merged.length - 1]
+    if (title && body.length < MIN_CHAPTER_LENGTH && previous) {
+      previous.content = `${previous.content}\n\n${title}\n\n${body}`.trim()
+      return
+    }
+
+    merged.push({ title, content: body })
+  })
+
+  const chapters = merged.filter((section) => section.title)
+  const front = merged.find((section) => !section.title && section.content)
+
+  if (chapters.length === 0) {
+    return front ? [{ title: null, content: unwrapParagraphs(front.content) }] : []
+  }
+
+  return [...(front ? [front] : []), ...chapters].map((section) => ({
+    title: section.title,
+    content: unwrapParagraphs(section.content)
+  }))
+}
+
+/**
+ * Join hard-wrapped prose lines; indented lines (verse, letters, tables) keep their breaks
+ * @param {string} text - Plain text
+ * @returns {string} Text with one line per paragraph
+ */
+export function unwrapParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => {
+      const lines = paragraph.split('\n')
+      if (lines.some((line) => /^\s/.test(line))) {
+        return lines.map((line) => line.trimEnd()).join('\n')
+      }
+      return lines.map((line) => line.trim()).join(' ')
+    })
+    .filter((paragraph) => paragraph.trim())
+    .join('\n\n')
+}
+
+function findMarker(text, markers) {
+  const matches = markers.map((marker) => text.match(marker)).filter(Boolean)
+  return matches.sort((a, b) => a.index - b.index)[0] || null
+}
+
+/**
+ * A heading is a short line matching the heading pattern that stands as its own paragraph,
+ * so table of contents entries and prose starting with "Part" are not split on
+ */
+function isHeading(lines, index) {
+  const line = lines[index].trim()
+  if (line.length > MAX_HEADING_LENGTH || !HEADING_LINE.test(line)) return false
+  const before = index === 0 || lines[index - 1].trim() === ''
+  const after = index === lines.length - 1 || lines[index + 1].trim() === ''
+  return before && after
+}
+
+function headingKind(line) {
+  return line.trim().split(/\s+/)[0].toLowerCase()
+}
+
+/**
+ * The chapter title on its own short line after the heading, e.g. "Down the Rabbit-Hole"
+ */
+function readSubtitle(body) {
+  const [first, second] = body.split(/\n\s*\n/)
+  if (!first || !second || first.includes('\n')) return null
+  if (first.length > MAX_SUBTITLE_LENGTH || /[.!?,;]["'”’]?$/.test(first)) return null
+  return first.trim()
+}
@@ -0,0 +1,474 @@
+/**
+ * BulkImporter - Import folders of markdown notes, zip archives and Obsidian vaults
+ * Notes keep their folder, front matter title and tags; Obsidian [[links]] are pointed at the
+ * imported document titles and image attachments are embedded. Every note is checked for
+ * duplicates first so the user can skip it, merge it into the existing document or keep both.
+ */
+import { ZipReader } from '../export/zip-reader.js'
+import { normalizeFolderPath } from '../../utils/folders.js'
+
+export const DUPLICATE_ACTIONS = ['skip', 'merge', 'keep-both']
+
+/**
+ * Images larger than this are not embedded in the note
+ */
+export const MAX_EMBEDDED_ATTACHMENT_SIZE = 512 * 1024
+
+const NOTE_PATTERN = /\.(md|markdown|txt)$/i
+const ZIP_PATTERN = /\.zip$/i
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+}
+
+// Hidden folders such as .obsidian, .trash and .git, and macOS resource forks
+const IGNORED_SEGMENT = /^(\.|__MACOSX$)/
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/
+const INLINE_TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_/-]*[\p{L}_/-][\p{L}\p{N}_/-]*)/gu
+const OBSIDIAN_LINK_PATTERN = /(!?)\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/g
+const MARKDOWN_LINK_PATTERN = /(!?)\[([^[\]\n]*)\]\(<?([^()<>\s]+)>?(?:\s+"[^"]*")?\)/g
+const MAX_TITLE_LENGTH = 200
+
+export class BulkImporter {
+  /**
+   * @param {Object} storageManager - Local document storage
+   * @param {Object} frontMatterParser - Storage backend providing parseYamlFrontMatter()
+   */
+  constructor(storageManager, frontMatterParser) {
+    this.storageManager = storageManager
+    this.frontMatterParser = frontMatterParser
+  }
+
+  /**
+   * Read the chosen files, check each note for duplicates and build an import plan
+   * @param {Array} files - Files from a folder picker or drop, as File or { file, path };
+   *   .zip files are expanded
+   * @param {Object} options - { tags: extra tags, tagMap: { from: to }, inlineTags: boolean }
+   * @returns {Promise<Object>} Plan as { items, warnings, ignored }
+   */
+  async prepare(files, options = {}) {
+    const sources = stripCommonRoot(await this.readSources(files))
+    const notes = sources.filter((source) => NOTE_PATTERN.test(source.path))
+    const ignored = sources
+      .filter((source) => !NOTE_PATTERN.test(source.path) && !isImage(source.path))
+      .map((source) => source.path)
+    if (notes.length === 0) {
+      throw new Error('No markdown notes found to import')
+    }
+
+    const parsed = []
+    for (const note of notes) {
+      parsed.push(this.parseNote(note.path, decodeText(await note.read()), options))
+    }
+
+    const resolver = createResolver(parsed, sources)
+    const warnings = []
+    const items = []
+
+    for (const note of parsed) {
+      const content = await convertLinks(note.body, note.path, resolver, warnings)
+      const duplicates = await this.storageManager.findPotentialDuplicates({
+        title: note.title,
+        content,
+        tags: note.tags
+      })
+
+      items.push({
+        path: note.path,
+        title: note.title,
+        folder: note.folder,
+        tags: note.tags,
+        content,
+        duplicates,
+        action: duplicates.length > 0 ? 'skip' : 'create'
+      })
+    }
+
+    return { items, warnings, ignored }
+  }
+
+  /**
+   * Import the notes of a plan according to each item's action
+   * @param {Object} plan - Plan from prepare(), with actions chosen by the user
+   * @param {Function} onProgress - Called with (done, total) after each note
+   * @returns {Promise<Object>} { created, merged, skipped, failed, documents }
+   */
+  async run(plan, onProgress = null) {
+    const result = { created: 0, merged: 0, skipped: 0, failed: [], documents: [] }
+
+    for (const [index, item] of plan.items.entries()) {
+      try {
+        if (item.action === 'skip') {
+          result.skipped++
+        } else if (item.action === 'merge') {
+          result.documents.push(await this.mergeNote(item))
+          result.merged++
+        } else {
+          result.documents.push(await this.createNote(item, item.action === 'keep-both'))
+          result.created++
+        }
+      } catch (error) {
+        result.failed.push({ path: item.path, error: error.message })
+      }
+      onProgress?.(index + 1, plan.items.length)
+    }
+
+    return result
+  }
+
+  /**
+   * Split a note into title, folder, tags and body
+   * @param {string} path - Path inside the import, e.g. 'World/Places/Eldoria.md'
+   * @param {string} text - Note text
+   * @param {Object} options - Tag options, see prepare()
+   * @returns {Object} { path, title, folder, tags, body }
+   */
+  parseNote(path, text, options = {}) {
+    const match = text.match(FRONT_MATTER_PATTERN)
+    let frontMatter = {}
+    if (match) {
+      try {
+        frontMatter = this.frontMatterParser.parseYamlFrontMatter(match[1]) || {}
+      } catch (error) {
+        console.warn(`Could not read the front matter of ${path}:`, error.message)
+      }
+    }
+    const body = (match ? text.slice(match[0].length) : text).replace(/\r\n?/g, '\n').trim()
+
+    const segments = path.split('/')
+    const name = segments.pop().replace(NOTE_PATTERN, '')
+    const title = typeof frontMatter.title === 'string' && unquote(frontMatter.title)
+
+    return {
+      path,
+      title: (title || name).trim().slice(0, MAX_TITLE_LENGTH) || 'Untitled',
+      folder: toFolder(segments),
+      tags: mapTags(frontMatter, body, options),
+      body
+    }
+  }
+
+  /**
+   * @private
+   */
+  async createNote(item, keepBoth) {
+    const title =
+      keepBoth && item.duplicates.some((duplicate) => sameTitle(duplicate.document, item))
+        ? `${item.title.slice(0, MAX_TITLE_LENGTH - 11)} (imported)`
+        : item.title
+
+    const created = await this.storageManager.saveDocument({
+      title,
+      content: item.content,
+      tags: item.tags
+    })
+    if (!item.folder) return created
+    return this.storageManager.saveDocument({ ...created, folder: item.folder })
+  }
+
+  /**
+   * Merge into the most similar existing document: tags are combined and paragraphs
+   * that are not in it yet are appended
+   * @private
+   */
+  async mergeNote(item) {
+    const target = item.duplicates[0]?.document
+    if (!target) {
+      throw new Error('No existing document to merge into')
+    }
+
+    const existing = (await this.storageManager.getDocument(target.id)) || target
+    if (existing.readonly || existing.type === 'system') {
+      throw new Error(`Cannot merge into readonly document "${existing.title}"`)
+    }
+
+    const current = existing.content || ''
+    const known = new Set(current.split(/\n\s*\n/).map((paragraph) => paragraph.trim()))
+    const added = item.content
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter((paragraph) => paragraph && !known.has(paragraph))
+
+    return this.storageManager.saveDocument({
+      ...existing,
+      content: added.length > 0 ? `${current.trimEnd()}\n\n${added.join('\n\n')}` : current,
+      tags: [...new Set([...(existing.tags || []), ...item.tags])]
+    })
+  }
+
+  /**
+   * Turn picked or dropped files into readable sources, expanding zip archives
+   * @private
+   */
+  async readSources(files) {
+    const sources = []
+
+    for (const item of files) {
+      const file = item.file || item
+      const path = normalizePath(item.path || file.webkitRelativePath || file.name)
+
+      if (ZIP_PATTERN.test(path)) {
+        const zip = new ZipReader(await file.arrayBuffer())
+        for (const entry of zip.getEntries()) {
+          sources.push({
+            path: normalizePath(entry.path),
+            size: entry.size,
+            read: () => zip.read(entry)
+          })
+        }
+      } else {
+        sources.push({
+          path,
+          size: file.size,
+          read: async () => new Uint8Array(await file.arrayBuffer())
+        })
+      }
+    }
+
+    return sources.filter((source) => source.path && !isIgnored(source.path))
+  }
+}
+
+/**
+ * Collect a note's tags from front matter (list or comma/space separated) and #tags in the text
+ * @param {Object} frontMatter - Parsed front matter
+ * @param {string} body - Note text
+ * @param {Object} options - { tags, tagMap, inlineTags }
+ * @returns {Array<string>} Lowercase tags without duplicates
+ */
+export function mapTags(frontMatter, body, { tags = [], tagMap = {}, inlineTags = true } = {}) {
+  const found = [...toList(frontMatter.tags ?? frontMatter.tag)]
+  if (inlineTags) {
+    for (const part of body.split(CODE_PATTERN).filter((_, index) => index % 2 === 0)) {
+      for (const match of part.matchAll(INLINE_TAG_PATTERN)) {
+        found.push(match[2])
+      }
+    }
+  }
+
+  const mapped = found
+    .map((tag) => unquote(String(tag)).replace(/^#/, '').trim().toLowerCase())
+    .map((tag) => (Object.hasOwn(tagMap, tag) ? tagMap[tag] : tag))
+    .filter(Boolean)
+
+  return [...new Set([...mapped, ...tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)])]
+}
+
+/**
+ * Parse "from=to, other=" into a tag map; an empty target drops the tag
+ * @param {string} text - Mapping typed by the user
+ * @returns {Object} Map of lowercase tags
+ */
+export function parseTagMap(text) {
+  const map = {}
+  for (const pair of (text || '').split(',')) {
+    const [from, to = ''] = pair.split('=').map((part) => part.trim().replace(/^#/, ''))
+    if (from && pair.includes('=')) {
+      map[from.toLowerCase()] = to.toLowerCase()
+    }
+  }
+  return map
+}
+
+/**
+ * Rewrite Obsidian links and relative markdown links for this editor
+ * - [[Note]], [[folder/Note#Heading|Label]] and ![[Note]] become [[Title#Heading|Label]]
+ * - ![[image.png]] and ![alt](image.png) embed the image as a data URI
+ * - [label](Other%20Note.md) becomes [[Title|label]]
+ * Code spans and fenced code blocks are left as they are.
+ * @param {string} text - Note body
+ * @param {string} path - Path of the note, for relative links
+ * @param {Object} resolver - From createResolver()
+ * @param {Array} warnings - Collects attachments that could not be embedded
+ * @returns {Promise<string>} Converted text
+ */
+export async function convertLinks(text, path, resolver, warnings = []) {
+  const parts = text.split(CODE_PATTERN)
+
+  for (let index = 0; index < parts.length; index += 2) {
+    const obsidian = await replaceAsync(
+      parts[index],
+      OBSIDIAN_LINK_PATTERN,
+      async (match, embed, target, label) => {
+        const [name, ...anchor] = target.split('#')
+        const heading = anchor.filter((part) => !part.startsWith('^')).join('#')
+
+        if (embed && isImage(name)) {
+          return embedImage(resolver.findAttachment(name, path), name, label, path, warnings)
+        }
+        const title = resolver.findNote(name, path) || name.trim()
+        return wikiLink(title, heading, label)
+      }
+    )
+
+    parts[index] = await replaceAsync(
+      obsidian,
+      MARKDOWN_LINK_PATTERN,
+      async (match, embed, label, href) => {
+        if (/^[a-z][a-z0-9+.-]*:|^#|^\/\//i.test(href)) return match
+
+        const [file, heading = ''] = safeDecode(href).split('#')
+        if (embed && isImage(file)) {
+          const attachment = resolver.findAttachment(file, path, true)
+          return embedImage(attachment, file, label, path, warnings)
+        }
+        if (!embed && NOTE_PATTERN.test(file)) {
+          const title = resolver.findNote(file, path, true)
+          if (title) return wikiLink(title, heading, label === title ? '' : label)
+        }
+        return match
+      }
+    )
+  }
+
+  return parts.join('')
+}
+
+/**
+ * Index notes and attachments by path and by file name, the way Obsidian resolves links
+ * @param {Array} notes - Parsed notes
+ * @param {Array} sources - All readable sources
+ * @returns {Object} { findNote(name, from, relative), findAttachment(name, from, relative) }
+ */
+export function createResolver(notes, sources) {
+  const index = (entries, keyOf) => {
+    const byPath = new Map()
+    const byName = new Map()
+    for (const entry of entries) {
+      const key = keyOf(entry.path).toLowerCase()
+      byPath.set(key, entry)
+      const name = key.split('/').pop()
+      if (!byName.has(name)) byName.set(name, entry)
+    }
+    return (name, from, relative) => {
+      const key = keyOf(normalizePath(name)).toLowerCase()
+      const folder = from.split('/').slice(0, -1).join('/')
+      return (
+        (relative && byPath.get(joinPath(folder, key))) ||
+        byPath.get(key) ||
+        byName.get(key.split('/').pop()) ||
+        null
+      )
+    }
+  }
+
+  const findNote = index(notes, (path) => path.replace(NOTE_PATTERN, ''))
+  const findAttachment = index(
+    sources.filter((source) => isImage(source.path)),
+    (path) => path
+  )
+
+  return {
+    findNote: (name, from, relative = false) => findNote(name, from, relative)?.title || null,
+    findAttachment: (name, from, relative = false) => findAttachment(name, from, relative)
+  }
+}
+
+async function embedImage(attachment, name, label, path, warnings) {
+  const alt = label && !/^\d+(x\d+)?$/.test(label) ? label : name.split('/').pop()
+
+  if (!attachment) {
+    warnings.push(`${path}: attachment "${name}" not found`)
+    return `*[missing attachment: ${name}]*`
+  }
+  if (attachment.size > MAX_EMBEDDED_ATTACHMENT_SIZE) {
+    warnings.push(`${path}: attachment "${name}" is too large to embed`)
+    return `*[attachment not imported: ${name}]*`
+  }
+
+  const extension = attachment.path.split('.').pop().toLowerCase()
+  const data = bytesToBase64(await attachment.read())
+  return `![${alt}](data:${IMAGE_TYPES[extension]};base64,${data})`
+}
+
+function wikiLink(title, heading, label) {
+  return `[[${title}${heading ? `#${heading}` : ''}${label ? `|${label}` : ''}]]`
+}
+
+async function replaceAsync(text, pattern, replacer) {
+  const replacements = []
+  for (const match of text.matchAll(pattern)) {
+    replacements.push(await replacer(...match))
+  }
+  let index = 0
+  return text.replace(pattern, () => replacements[index++])
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value
+  if (typeof value !== 'string') return []
+  return value
+    .replace(/^\[|\]$/g, '')
+    .split(/[,\s]+/)
+    .filter(Boolean)
+}
+
+function toFolder(segments) {
+  try {
+    return normalizeFolderPath(segments.join('/'))
+  } catch {
+    return ''
+  }
+}
+
+function stripCommonRoot(sources) {
+  const roots = new Set(sources.map((source) => source.path.split('/')[0]))
+  const nested = sources.every((source) => source.path.includes('/'))
+  if (roots.size !== 1 || !nested) return sources
+
+  return sources.map((source) => ({ ...source, path: source.path.split('/').slice(1).join('/') }))
+}
+
+function normalizePath(path) {
+  return path.replace(/\\/g, '/').replace(/^\.?\/+/, '')
+}
+
+function joinPath(folder, relative) {
+  const segments = folder ? folder.split('/') : []
+  for (const segment of relative.split('/')) {
+    if (segment === '..') segments.pop()
+    else if (segment && segment !== '.') segments.push(segment)
+  }
+  return segments.join('/')
+}
+
+function isIgnored(path) {
+  return path.split('/').some((segment) => IGNORED_SEGMENT.test(segment))
+}
+
+function isImage(path) {
+  return Object.hasOwn(IMAGE_TYPES, path.split('.').pop().toLowerCase())
+}
+
+function sameTitle(document, item) {
+  return (document.title || '').toLowerCase() === item.title.toLowerCase()
+}
+
+function unquote(text) {
+  return text.replace(/^(["'])(.*)\1$/, '$2')
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+function decodeText(bytes) {
+  return new TextDecoder().decode(bytes)
+}
+
+function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
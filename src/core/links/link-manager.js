@@ -0,0 +1,187 @@
+/**
+ * LinkManager - Wiki-style [[links]] between documents
+ * Resolves [[Title]] and [[Title#Heading]] links by document title, finds backlinks and
+ * rewrites inbound links when a document is renamed
+ */
+import { OutlineParser } from '../../components/navigator/utils/outline-parser.js'
+
+/**
+ * Matches [[Target]], [[Target#Heading]] and [[Target|Label]]
+ * Groups: 1 = target title, 2 = heading, 3 = label
+ */
+export const WIKI_LINK_PATTERN = /\[\[([^[\]#|\n]+?)(?:#([^[\]|\n]+?))?(?:\|([^[\]\n]+?))?\]\]/g
+
+/**
+ * Find every wiki link in a piece of text
+ * @param {string} text - Markdown content
+ * @returns {Array<Object>} Links with target, heading, label, from and to offsets
+ */
+export function parseWikiLinks(text) {
+  if (!text || typeof text !== 'string') return []
+
+  const links = []
+  for (const match of text.matchAll(WIKI_LINK_PATTERN)) {
+    links.push({
+      target: match[1].trim(),
+      heading: match[2]?.trim() || null,
+      label: match[3]?.trim() || null,
+      from: match.index,
+      to: match.index + match[0].length
+    })
+  }
+  return links
+}
+
+/**
+ * Find the wiki link covering an offset
+ * @param {string} text - Markdown content (a line is enough)
+ * @param {number} offset - Offset within the text
+ * @returns {Object|null} Link at the offset
+ */
+export function findWikiLinkAt(text, offset) {
+  return parseWikiLinks(text).find((link) => offset >= link.from && offset <= link.to) || null
+}
+
+/**
+ * Point links aimed at one title to another, keeping headings and labels
+ * @param {string} text - Markdown content
+ * @param {string} oldTitle - Previous document title
+ * @param {string} newTitle - New document title
+ * @returns {string} Updated content
+ */
+export function renameWikiLinks(text, oldTitle, newTitle) {
+  const oldKey = normalizeTitle(oldTitle)
+
+  return text.replace(WIKI_LINK_PATTERN, (match, target, heading, label) => {
+    if (normalizeTitle(target) !== oldKey) return match
+    return `[[${newTitle}${heading ? `#${heading}` : ''}${label ? `|${label}` : ''}]]`
+  })
+}
+
+function normalizeTitle(title) {
+  return (title || '').trim().toLowerCase()
+}
+
+export class LinkManager {
+  constructor(storageManager) {
+    this.storageManager = storageManager
+  }
+
+  /**
+   * Get documents that can be linked to, for autocomplete
+   * @returns {Promise<Array>} Documents with id, title and type, sorted by title
+   */
+  async getLinkTargets() {
+    const documents = await this.storageManager.getAllDocuments()
+    return documents
+      .filter((doc) => doc.title)
+      .map((doc) => ({ id: doc.id, title: doc.title, type: doc.type || 'user' }))
+      .sort((a, b) => a.title.localeCompare(b.title))
+  }
+
+  /**
+   * Get the outline headings of a linked document, for autocomplete after #
+   * @param {string} title - Document title
+   * @returns {Promise<Array>} Headings with text, level and line
+   */
+  async getHeadings(title) {
+    const doc = await this.resolveLink(title)
+    return doc ? OutlineParser.flatten(OutlineParser.parse(doc.content || '')) : []
+  }
+
+  /**
+   * Find the document a link points to (case-insensitive title match)
+   * @param {string} title - Link target
+   * @returns {Promise<Object|null>} Linked document
+   */
+  async resolveLink(title) {
+    const key = normalizeTitle(title)
+    if (!key) return null
+
+    const documents = await this.storageManager.getAllDocuments()
+    return documents.find((doc) => normalizeTitle(doc.title) === key) || null
+  }
+
+  /**
+   * Find the line of a heading in a document
+   * @param {Object} doc - Document
+   * @param {string} heading - Heading text
+   * @returns {number|null} 1-based line number
+   */
+  findHeadingLine(doc, heading) {
+    if (!heading) return null
+    const key = normalizeTitle(heading)
+    const match = OutlineParser.flatten(OutlineParser.parse(doc.content || '')).find(
+      (item) => normalizeTitle(item.text) === key
+    )
+    return match ? match.line : null
+  }
+
+  /**
+   * Find documents that link to a document
+   * @param {Object} doc - Target document
+   * @returns {Promise<Array>} Backlinks as { document, count, excerpt }
+   */
+  async getBacklinks(doc) {
+    if (!doc?.title) return []
+
+    const key = normalizeTitle(doc.title)
+    const documents = await this.storageManager.getAllDocuments()
+    const backlinks = []
+
+    for (const source of documents) {
+      if (source.id === doc.id) continue
+
+      const content = source.content || ''
+      const links = parseWikiLinks(content).filter((link) => normalizeTitle(link.target) === key)
+      if (links.length === 0) continue
+
+      backlinks.push({
+        document: source,
+        count: links.length,
+        excerpt: this.getExcerpt(content, links[0])
+      })
+    }
+
+    return backlinks.sort((a, b) => a.document.title.localeCompare(b.document.title))
+  }
+
+  /**
+   * Rewrite links in other documents after a rename
+   * Readonly and system documents are left alone
+   * @param {string} oldTitle - Previous title
+   * @param {string} newTitle - New title
+   * @param {string} excludeId - ID of the renamed document
+   * @returns {Promise<Array>} Documents that were updated
+   */
+  async updateInboundLinks(oldTitle, newTitle, excludeId = null) {
+    if (!oldTitle || !newTitle || normalizeTitle(oldTitle) === normalizeTitle(newTitle)) {
+      return []
+    }
+
+    const documents = await this.storageManager.getAllDocuments()
+    const updated = []
+
+    for (const doc of documents) {
+      if (doc.id === excludeId || doc.readonly === true || doc.type === 'system') continue
+
+      const content = doc.content || ''
+      const renamed = renameWikiLinks(content, oldTitle, newTitle)
+      if (renamed !== content) {
+        updated.push(await this.storageManager.saveDocument({ ...doc, content: renamed }))
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * Get the line around a link, trimmed for display
+   */
+  getExcerpt(content, link, maxLength = 120) {
+    const lineStart = content.lastIndexOf('\n', link.from - 1) + 1
+    const lineEnd = content.indexOf('\n', link.to)
+    const line = content.substring(lineStart, lineEnd === -1 ? content.length : lineEnd).trim()
+    return line.length > maxLength ? `${line.substring(0, maxLength - 1)}…` : line
+  }
+}
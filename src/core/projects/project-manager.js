@@ -0,0 +1,472 @@
+/**
+ * ProjectManager - Manuscript projects with an ordered binder of parts, chapters and scenes
+ * Projects reference existing documents by ID; the documents themselves stay in the documents store
+ */
+import { guidManager } from '../../utils/guid.js'
+
+/**
+ * Binder node types and the node types each may contain
+ * The project root may hold parts or chapters directly (single-volume books)
+ */
+export const BINDER_RULES = {
+  root: ['part', 'chapter'],
+  part: ['chapter'],
+  chapter: ['scene'],
+  scene: []
+}
+
+export const NODE_TYPES = ['part', 'chapter', 'scene']
+
+/**
+ * Drop binder nodes of unknown types (and their children) from a loaded manifest
+ * Manifests written by other tools or later versions may contain types this version can't show
+ * @param {Array} nodes - Binder nodes
+ * @returns {Array} Nodes with known types and a children array
+ */
+export function normalizeBinder(nodes) {
+  if (!Array.isArray(nodes)) return []
+  return nodes
+    .filter((node) => node && NODE_TYPES.includes(node.type))
+    .map((node) => ({ ...node, children: normalizeBinder(node.children) }))
+}
+
+export class ProjectManager {
+  constructor(storageManager) {
+    this.storageManager = storageManager
+  }
+
+  /**
+   * Create and store a new project
+   * @param {string} title - Project title
+   * @param {Object} options - Optional description and tags
+   * @returns {Promise<Object>} Created project
+   */
+  async createProject(title, options = {}) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      throw new Error('Project title is required')
+    }
+
+    const now = new Date().toISOString()
+    const project = {
+      id: guidManager.generateGuid(),
+      title: title.trim(),
+      description: options.description || '',
+      tags: options.tags || [],
+      binder: [],
+      createdAt: now,
+      updatedAt: now
+    }
+
+    return await this.storageManager.saveProject(project)
+  }
+
+  /**
+   * Get a project by ID
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Project
+   */
+  async getProject(projectId) {
+    const project = await this.storageManager.getProject(projectId)
+    if (!project) {
+      throw new Error('Project not found')
+    }
+    return project
+  }
+
+  /**
+   * Get all projects
+   * @returns {Promise<Array>} Projects sorted by title
+   */
+  async getAllProjects() {
+    return await this.storageManager.getAllProjects()
+  }
+
+  /**
+   * Find a project by exact (case-insensitive) title or ID
+   * @param {string} query - Title or ID
+   * @returns {Promise<Object|null>} Matching project
+   */
+  async findProject(query) {
+    if (!query) return null
+    const lowerQuery = query.toLowerCase()
+    const projects = await this.getAllProjects()
+    return projects.find((p) => p.id === query || p.title.toLowerCase() === lowerQuery) || null
+  }
+
+  /**
+   * Rename a project
+   * @param {string} projectId - Project ID
+   * @param {string} title - New title
+   * @returns {Promise<Object>} Updated project
+   */
+  async renameProject(projectId, title) {
+    if (!title || !title.trim()) {
+      throw new Error('Project title is required')
+    }
+    const project = await this.getProject(projectId)
+    project.title = title.trim()
+    return await this.touch(project)
+  }
+
+  /**
+   * Delete a project; referenced documents are not deleted
+   * @param {string} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  async deleteProject(projectId) {
+    await this.storageManager.deleteProject(projectId)
+  }
+
+  /**
+   * Add a node to the binder
+   * @param {string} projectId - Project ID
+   * @param {Object} node - Node data: type, title and optional documentId
+   * @param {string|null} parentId - Parent node ID, null for the project root
+   * @param {number} index - Position among siblings (appends when omitted)
+   * @returns {Promise<Object>} Created node
+   */
+  async addNode(projectId, node, parentId = null, index = undefined) {
+    if (!node || !NODE_TYPES.includes(node.type)) {
+      throw new Error(`Node type must be one of: ${NODE_TYPES.join(', ')}`)
+    }
+
+    const project = await this.getProject(projectId)
+    const siblings = this.getChildList(project, parentId)
+    const parentType = parentId ? this.findNode(project.binder, parentId).node.type : 'root'
+
+    if (!this.canContain(parentType, node.type)) {
+      throw new Error(`A ${parentType} cannot contain a ${node.type}`)
+    }
+
+    const newNode = {
+      id: guidManager.generateGuid(),
+      type: node.type,
+      title: node.title?.trim() || this.getDefaultTitle(node.type, siblings.length + 1),
+      documentId: node.documentId || null,
+      children: []
+    }
+
+    const position = index === undefined ? siblings.length : this.clampIndex(index, siblings.length)
+    siblings.splice(position, 0, newNode)
+    await this.touch(project)
+
+    return newNode
+  }
+
+  /**
+   * Move a node to a new parent and/or position
+   * @param {string} projectId - Project ID
+   * @param {string} nodeId - Node to move
+   * @param {string|null} targetParentId - New parent ID, null for the project root
+   * @param {number} index - Position among the new siblings
+   * @returns {Promise<Object>} Updated project
+   */
+  async moveNode(projectId, nodeId, targetParentId, index) {
+    const project = await this.getProject(projectId)
+    const source = this.findNode(project.binder, nodeId)
+    if (!source) {
+      throw new Error('Binder node not found')
+    }
+
+    let targetType = 'root'
+    if (targetParentId) {
+      if (targetParentId === nodeId || this.findNode(source.node.children, targetParentId)) {
+        throw new Error('Cannot move a node into itself')
+      }
+      const target = this.findNode(project.binder, targetParentId)
+      if (!target) {
+        throw new Error('Target node not found')
+      }
+      targetType = target.node.type
+    }
+
+    if (!this.canContain(targetType, source.node.type)) {
+      throw new Error(`A ${targetType} cannot contain a ${source.node.type}`)
+    }
+
+    source.siblings.splice(source.index, 1)
+    const targetList = this.getChildList(project, targetParentId)
+    targetList.splice(this.clampIndex(index, targetList.length), 0, source.node)
+
+    return await this.touch(project)
+  }
+
+  /**
+   * Update a node's title or linked document
+   * @param {string} projectId - Project ID
+   * @param {string} nodeId - Node ID
+   * @param {Object} updates - title and/or documentId
+   * @returns {Promise<Object>} Updated node
+   */
+  async updateNode(projectId, nodeId, updates = {}) {
+    const project = await this.getProject(projectId)
+    const found = this.findNode(project.binder, nodeId)
+    if (!found) {
+      throw new Error('Binder node not found')
+    }
+
+    if (updates.title !== undefined && updates.title.trim()) {
+      found.node.title = updates.title.trim()
+    }
+    if (updates.documentId !== undefined) {
+      found.node.documentId = updates.documentId
+    }
+
+    await this.touch(project)
+    return found.node
+  }
+
+  /**
+   * Remove a node and its children from the binder (documents are kept)
+   * @param {string} projectId - Project ID
+   * @param {string} nodeId - Node ID
+   * @returns {Promise<Object>} Updated project
+   */
+  async removeNode(projectId, nodeId) {
+    const project = await this.getProject(projectId)
+    const found = this.findNode(project.binder, nodeId)
+    if (!found) {
+      throw new Error('Binder node not found')
+    }
+
+    found.siblings.splice(found.index, 1)
+    return await this.touch(project)
+  }
+
+  /**
+   * Unlink a deleted document from every project binder
+   * @param {string} documentId - Document ID
+   * @returns {Promise<number>} Number of projects updated
+   */
+  async removeDocumentReferences(documentId) {
+    const projects = await this.getAllProjects()
+    let updated = 0
+
+    for (const project of projects) {
+      let changed = false
+      this.walk(project.binder, (node) => {
+        if (node.documentId === documentId) {
+          node.documentId = null
+          changed = true
+        }
+      })
+      if (changed) {
+        await this.touch(project)
+        updated++
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * Get the projects that reference a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} Projects
+   */
+  async getProjectsForDocument(documentId) {
+    const projects = await this.getAllProjects()
+    return projects.filter((project) =>
+      this.flatten(project.binder).some((entry) => entry.node.documentId === documentId)
+    )
+  }
+
+  /**
+   * Add a word to a project's spell-check dictionary
+   * The dictionary is part of the project manifest, so it syncs with the project
+   * @param {string} projectId - Project ID
+   * @param {string} word - Word to add
+   * @returns {Promise<boolean>} True if added, false if the word was already there
+   */
+  async addDictionaryWord(projectId, word) {
+    const trimmed = (word || '').trim()
+    if (!trimmed) {
+      throw new Error('Word is required')
+    }
+
+    const project = await this.getProject(projectId)
+    const dictionary = project.dictionary || []
+    if (dictionary.some((entry) => entry.toLowerCase() === trimmed.toLowerCase())) {
+      return false
+    }
+
+    project.dictionary = [...dictionary, trimmed].sort((a, b) => a.localeCompare(b))
+    await this.touch(project)
+    return true
+  }
+
+  /**
+   * Remove a word from a project's spell-check dictionary
+   * @param {string} projectId - Project ID
+   * @param {string} word - Word to remove (case-insensitive)
+   * @returns {Promise<boolean>} True if a word was removed
+   */
+  async removeDictionaryWord(projectId, word) {
+    const project = await this.getProject(projectId)
+    const lowerWord = (word || '').trim().toLowerCase()
+    const dictionary = (project.dictionary || []).filter(
+      (entry) => entry.toLowerCase() !== lowerWord
+    )
+    if (dictionary.length === (project.dictionary || []).length) {
+      return false
+    }
+
+    project.dictionary = dictionary
+    await this.touch(project)
+    return true
+  }
+
+  /**
+   * Get document IDs in binder (reading) order
+   * @param {Object} project - Project
+   * @returns {Array<string>} Document IDs without duplicates
+   */
+  getOrderedDocumentIds(project) {
+    const ids = this.flatten(project.binder)
+      .map((entry) => entry.node.documentId)
+      .filter(Boolean)
+    return [...new Set(ids)]
+  }
+
+  /**
+   * Compile a project into a single manuscript for export
+   * Parts become level-1 headings, chapters level-2, scenes are joined with scene breaks
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} { project, title, content, chapters }
+   */
+  async compileManuscript(projectId) {
+    const project = await this.getProject(projectId)
+    const chapters = []
+    const sections = []
+
+    const collectChapter = async (chapterNode, partTitle) => {
+      const chapter = { id: chapterNode.id, title: chapterNode.title, part: partTitle, scenes: [] }
+
+      if (chapterNode.documentId) {
+        const doc = await this.storageManager.getDocument(chapterNode.documentId)
+        if (doc) chapter.scenes.push({ title: chapterNode.title, content: doc.content || '', doc })
+      }
+
+      for (const sceneNode of chapterNode.children) {
+        if (!sceneNode.documentId) continue
+        const doc = await this.storageManager.getDocument(sceneNode.documentId)
+        if (doc) chapter.scenes.push({ title: sceneNode.title, content: doc.content || '', doc })
+      }
+
+      chapter.content = chapter.scenes.map((scene) => scene.content.trim()).join('\n\n* * *\n\n')
+      chapters.push(chapter)
+      sections.push(`## ${chapter.title}\n\n${chapter.content}`)
+    }
+
+    for (const node of project.binder) {
+      if (node.type === 'part') {
+        sections.push(`# ${node.title}`)
+        for (const chapterNode of node.children) {
+          await collectChapter(chapterNode, node.title)
+        }
+      } else {
+        await collectChapter(node, null)
+      }
+    }
+
+    return {
+      project,
+      title: project.title,
+      content: sections.join('\n\n'),
+      chapters
+    }
+  }
+
+  /**
+   * Check whether a node type may contain another
+   * @param {string} parentType - Parent type or 'root'
+   * @param {string} childType - Child type
+   * @returns {boolean}
+   */
+  canContain(parentType, childType) {
+    return (BINDER_RULES[parentType] || []).includes(childType)
+  }
+
+  /**
+   * Find a node anywhere in the binder
+   * @param {Array} nodes - Binder nodes to search
+   * @param {string} nodeId - Node ID
+   * @param {Object|null} parent - Parent node (used in recursion)
+   * @returns {Object|null} { node, parent, siblings, index } or null
+   */
+  findNode(nodes, nodeId, parent = null) {
+    for (let index = 0; index < nodes.length; index++) {
+      const node = nodes[index]
+      if (node.id === nodeId) {
+        return { node, parent, siblings: nodes, index }
+      }
+      const found = this.findNode(node.children || [], nodeId, node)
+      if (found) return found
+    }
+    return null
+  }
+
+  /**
+   * Flatten the binder in reading order
+   * @param {Array} nodes - Binder nodes
+   * @param {number} depth - Current depth (used in recursion)
+   * @returns {Array<{node: Object, depth: number}>}
+   */
+  flatten(nodes, depth = 0) {
+    const result = []
+    for (const node of nodes) {
+      result.push({ node, depth })
+      result.push(...this.flatten(node.children || [], depth + 1))
+    }
+    return result
+  }
+
+  /**
+   * Visit every node in the binder
+   * @private
+   */
+  walk(nodes, visitor) {
+    for (const node of nodes) {
+      visitor(node)
+      this.walk(node.children || [], visitor)
+    }
+  }
+
+  /**
+   * Get the child array for a parent (the binder itself for the root)
+   * @private
+   */
+  getChildList(project, parentId) {
+    if (!parentId) return project.binder
+    const found = this.findNode(project.binder, parentId)
+    if (!found) {
+      throw new Error('Parent node not found')
+    }
+    return found.node.children
+  }
+
+  /**
+   * Default title for new binder nodes, e.g. "Chapter 3"
+   * @private
+   */
+  getDefaultTitle(type, position) {
+    return `${type.charAt(0).toUpperCase()}${type.slice(1)} ${position}`
+  }
+
+  /**
+   * @private
+   */
+  clampIndex(index, length) {
+    if (typeof index !== 'number' || isNaN(index)) return length
+    return Math.max(0, Math.min(index, length))
+  }
+
+  /**
+   * Bump updatedAt and persist
+   * @private
+   */
+  async touch(project) {
+    project.updatedAt = new Date().toISOString()
+    return await this.storageManager.saveProject(project)
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * ProseLinter - Flags the style issues editors keep sending back
+ * - echoes: the same word used again within a few words
+ * - adverbs: -ly adverbs that a stronger verb could replace
+ * - passive voice: a form of "to be" followed by a past participle
+ * - clichés: stock phrases, including a few fantasy favourites
+ * - filter words: saw, felt, heard and friends, which put a character between reader and scene
+ * Only prose is checked; front matter, code, links and markup are skipped.
+ */
+import { WORD_PATTERN, maskNonProse } from '../../utils/prose.js'
+
+/**
+ * Rules in display order, by their proseLint setting
+ */
+export const PROSE_LINT_RULES = {
+  echoes: 'echoes',
+  adverbs: 'adverbs',
+  passiveVoice: 'passive voice',
+  cliches: 'clichés',
+  filterWords: 'filter words'
+}
+
+const DEFAULT_OPTIONS = {
+  echoes: true,
+  echoDistance: 50,
+  adverbs: true,
+  passiveVoice: true,
+  cliches: true,
+  filterWords: true
+}
+
+const MIN_ECHO_DISTANCE = 5
+const MAX_ECHO_DISTANCE = 500
+// Short words repeat too often to be worth flagging
+const MIN_ECHO_LENGTH = 4
+
+// Words that are expected to repeat
+const STOP_WORDS = new Set(
+  (
+    'about above after again against also around away back been before being below between ' +
+    'both came come could does down each even ever from have having here into just like made ' +
+    'make many more most much must never only other over said same should some such than that ' +
+    'their them then there these they this those through under until upon very were what when ' +
+    'where which while will with would your yours'
+  ).split(' ')
+)
+
+// Words ending in -ly that are not adverbs
+const NOT_ADVERBS = new Set(
+  (
+    'ally anomaly apply assembly belly bodily bully burly butterfly chilly comely costly ' +
+    'cowardly curly daily dally deadly dragonfly early elderly family firefly fly folly friendly ' +
+    'ghastly ghostly gully heavenly hilly holy homely hourly italy jelly jolly july lily likely ' +
+    'lively lonely lovely manly melancholy monopoly monthly nightly oily only orderly rally ' +
+    'reply scholarly silly sly smelly supply surly tally ugly unlikely unruly weekly wily ' +
+    'woolly worldly yearly'
+  ).split(' ')
+)
+
+const BE_VERBS = new Set(['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being'])
+
+const IRREGULAR_PARTICIPLES = new Set(
+  (
+    'beaten begun bitten blown born borne bought bound broken brought built burnt caught ' +
+    'chosen dealt done drawn driven eaten fallen felt fought forbidden forgiven forgotten ' +
+    'forsaken found frozen given gone grown heard held hidden hung hurt kept known laid led ' +
+    'left lent lost made meant met paid ridden risen said seen sent shaken shed shown shut ' +
+    'slain sold sought spent spoken spun stolen struck stung sworn swept taken taught thrown ' +
+    'told torn understood woken won worn wound woven written'
+  ).split(' ')
+)
+
+// -ed words that are adjectives rather than participles
+const NOT_PARTICIPLES = new Set(
+  'crooked hundred jagged kindred naked ragged rugged sacred wicked wretched'.split(' ')
+)
+
+const CLICHES = [
+  'a chill ran down',
+  'all hell broke loose',
+  'all of a sudden',
+  'ancient evil',
+  'at the end of the day',
+  'avoid like the plague',
+  'better late than never',
+  'blood ran cold',
+  "breath she didn't know",
+  "breath he didn't know",
+  "breath they didn't know",
+  'calm before the storm',
+  'cold as ice',
+  'dark and stormy night',
+  'dead as a doornail',
+  'deafening silence',
+  'easier said than done',
+  'every fiber of',
+  'fit as a fiddle',
+  'heart of gold',
+  'heart skipped a beat',
+  'in the blink of an eye',
+  'in the nick of time',
+  'it was all a dream',
+  'last but not least',
+  'little did he know',
+  'little did she know',
+  'little did they know',
+  'only time will tell',
+  'piercing blue eyes',
+  'quiet as a mouse',
+  'sent shivers down',
+  'sigh of relief',
+  'stopped dead in',
+  'the chosen one',
+  'the prophecy foretold',
+  'time stood still',
+  'tip of the iceberg',
+  'white as a sheet',
+  'without a shadow of a doubt'
+]
+
+const CLICHE_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${CLICHES.map((cliche) =>
+    cliche
+      .split(' ')
+      .map((word) => word.replace(/'/g, "['’]"))
+      .join('\\s+')
+  ).join('|')})(?![\\p{L}\\p{N}])`,
+  'giu'
+)
+
+const FILTER_WORDS = new Set(
+  (
+    'decided feel feeling feels felt hear heard hearing hears notice noticed notices noticing ' +
+    'realise realised realize realized realizes saw see seeing seemed seems seen sees watched ' +
+    'watching wondered wonders'
+  ).split(' ')
+)
+
+export class ProseLinter {
+  /**
+   * @param {Object} options - proseLint settings: a flag per rule and echoDistance in words
+   */
+  constructor(options = {}) {
+    this.setOptions(options)
+  }
+
+  /**
+   * Change which rules run
+   * @param {Object} options - proseLint settings
+   */
+  setOptions(options = {}) {
+    const echoDistance = Number(options.echoDistance ?? DEFAULT_OPTIONS.echoDistance)
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      echoDistance: Number.isFinite(echoDistance)
+        ? Math.min(MAX_ECHO_DISTANCE, Math.max(MIN_ECHO_DISTANCE, Math.round(echoDistance)))
+        : DEFAULT_OPTIONS.echoDistance
+    }
+  }
+
+  /**
+   * Check if any rule is turned on
+   * @returns {boolean}
+   */
+  hasEnabledRules() {
+    return Object.keys(PROSE_LINT_RULES).some((rule) => this.options[rule])
+  }
+
+  /**
+   * Find style issues in a markdown text
+   * @param {string} text - Markdown text
+   * @returns {Array<Object>} [{ from, to, rule, message }] in document order
+   */
+  lint(text) {
+    const prose = maskNonProse(text)
+    const words = [...prose.matchAll(WORD_PATTERN)].map((match) => ({
+      from: match.index,
+      to: match.index + match[0].length,
+      word: match[0],
+      lower: match[0].toLowerCase()
+    }))
+
+    const issues = []
+    if (this.options.echoes) issues.push(...this.findEchoes(words))
+    if (this.options.adverbs) issues.push(...findAdverbs(words))
+    if (this.options.passiveVoice) issues.push(...findPassiveVoice(words, prose))
+    if (this.options.cliches) issues.push(...findCliches(prose))
+    if (this.options.filterWords) issues.push(...findFilterWords(words))
+
+    return issues.sort((a, b) => a.from - b.from || a.to - b.to)
+  }
+
+  /**
+   * Count style issues in a markdown text
+   * @param {string} text - Markdown text
+   * @returns {Object} Count per rule, 0 for rules that are off, and the total
+   */
+  count(text) {
+    const counts = Object.fromEntries(Object.keys(PROSE_LINT_RULES).map((rule) => [rule, 0]))
+    const issues = this.lint(text)
+    for (const issue of issues) {
+      counts[issue.rule]++
+    }
+    counts.total = issues.length
+    return counts
+  }
+
+  /**
+   * Flag a word used again within echoDistance words
+   * Capitalized words are skipped since names repeat by necessity.
+   * @private
+   */
+  findEchoes(words) {
+    const issues = []
+    const lastSeen = new Map()
+
+    words.forEach(({ from, to, word, lower }, index) => {
+      if (lower.length < MIN_ECHO_LENGTH || STOP_WORDS.has(lower)) return
+      if (word[0] !== word[0].toLowerCase()) return
+
+      const previous = lastSeen.get(lower)
+      lastSeen.set(lower, index)
+      if (previous === undefined || index - previous > this.options.echoDistance) return
+
+      const distance = index - previous
+      issues.push({
+        from,
+        to,
+        rule: 'echoes',
+        message: `"${word}" echoes the same word ${distance} word(s) earlier`
+      })
+    })
+
+    return issues
+  }
+}
+
+/**
+ * @private
+ */
+function findAdverbs(words) {
+  return words
+    .filter(({ lower }) => isAdverb(lower))
+    .map(({ from, to, word }) => ({
+      from,
+      to,
+      rule: 'adverbs',
+      message: `"${word}" is an adverb; a stronger verb may do the work`
+    }))
+}
+
+/**
+ * Flag a form of "to be" followed by a past participle, allowing "not" or an adverb in between
+ * @private
+ */
+function findPassiveVoice(words, prose) {
+  const issues = []
+  const adjacent = (a, b) => /^\s+$/.test(prose.slice(a.to, b.from))
+
+  words.forEach((be, index) => {
+    if (!BE_VERBS.has(be.lower)) return
+
+    let last = be
+    let next = words[index + 1]
+    // "was not taken", "was quickly taken"
+    if (next && adjacent(last, next) && (next.lower === 'not' || isAdverb(next.lower))) {
+      last = next
+      next = words[index + 2]
+    }
+    if (!next || !adjacent(last, next) || !isParticiple(next.lower)) return
+
+    const phrase = prose.slice(be.from, next.to).replace(/\s+/g, ' ')
+    issues.push({
+      from: be.from,
+      to: next.to,
+      rule: 'passiveVoice',
+      message: `"${phrase}" may be passive voice`
+    })
+  })
+
+  return issues
+}
+
+/**
+ * @private
+ */
+function findCliches(prose) {
+  return [...prose.matchAll(CLICHE_PATTERN)].map((match) => ({
+    from: match.index,
+    to: match.index + match[0].length,
+    rule: 'cliches',
+    message: `"${match[0].replace(/\s+/g, ' ')}" is a cliché`
+  }))
+}
+
+/**
+ * @private
+ */
+function findFilterWords(words) {
+  return words
+    .filter(({ lower }) => FILTER_WORDS.has(lower))
+    .map(({ from, to, word }) => ({
+      from,
+      to,
+      rule: 'filterWords',
+      message: `"${word}" filters the scene through a character; consider showing it directly`
+    }))
+}
+
+/**
+ * @private
+ */
+function isAdverb(word) {
+  return word.length > 4 && word.endsWith('ly') && !NOT_ADVERBS.has(word)
+}
+
+/**
+ * @private
+ */
+function isParticiple(word) {
+  if (IRREGULAR_PARTICIPLES.has(word)) return true
+  return (
+    word.length > 4 && word.endsWith('ed') && !word.endsWith('eed') && !NOT_PARTICIPLES.has(word)
+  )
+}
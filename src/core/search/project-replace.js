@@ -0,0 +1,176 @@
+/**
+ * Project Replace - Find and replace across all documents
+ * A preview lists every match with its context; applying it saves the included matches as one
+ * batch, snapshotting each changed document before and after so the batch can be undone.
+ */
+import { guidManager } from '../../utils/guid.js'
+import { buildSearchPattern, findPatternMatches } from './search-query.js'
+
+const CONTEXT_LENGTH = 40 // Characters of context shown on each side of a match
+
+/**
+ * Expand $&, $1 and $<name> in a regex replacement
+ */
+function expandReplacement(match, replacement) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$'
+    if (ref === '&') return match[0]
+    if (name !== undefined) return match.groups?.[name] ?? ''
+    return Number(ref) < match.length ? (match[Number(ref)] ?? '') : token
+  })
+}
+
+export class ProjectReplace {
+  constructor(storageManager, revisionManager) {
+    this.storageManager = storageManager
+    this.revisionManager = revisionManager
+    this.lastBatch = null
+  }
+
+  /**
+   * List every match across documents with the text that would replace it
+   * Read-only and system documents are left out
+   * @param {Array} documents - Documents to search
+   * @param {string} query - Text or regular expression
+   * @param {string} replacement - Replacement; regex mode expands $1, $<name> and $&
+   * @param {Object} options - regex, caseSensitive and wholeWord flags
+   * @returns {Object} { query, replacement, options, documents, total }
+   */
+  preview(documents, query, replacement, options = {}) {
+    const pattern = buildSearchPattern(query, options)
+    const results = []
+
+    for (const doc of documents) {
+      if (doc.readonly === true || doc.type === 'system') continue
+
+      const content = doc.content || ''
+      const matches = findPatternMatches(content, pattern).map((match, index) => ({
+        id: `${doc.id}:${index}`,
+        from: match.index,
+        to: match.index + match[0].length,
+        line: content.slice(0, match.index).split('\n').length,
+        text: match[0],
+        replacement: options.regex ? expandReplacement(match, replacement) : replacement,
+        ...this.getContext(content, match.index, match.index + match[0].length)
+      }))
+
+      if (matches.length > 0) {
+        results.push({
+          id: doc.id,
+          title: doc.title,
+          checksum: guidManager.generateChecksum(content),
+          matches
+        })
+      }
+    }
+
+    return {
+      query,
+      replacement,
+      options,
+      documents: results,
+      total: results.reduce((sum, doc) => sum + doc.matches.length, 0)
+    }
+  }
+
+  /**
+   * Replace the previewed matches, leaving out excluded ones
+   * Documents edited since the preview are skipped rather than patched at stale offsets
+   * @param {Object} preview - Result of preview()
+   * @param {Object} options - excluded: IDs of matches to keep as they are
+   * @returns {Promise<Object>} { documents: saved documents, replaced, skipped }
+   */
+  async apply(preview, { excluded = [] } = {}) {
+    const skip = new Set(excluded)
+    const changes = []
+    const saved = []
+    const skipped = []
+    let replaced = 0
+
+    for (const entry of preview.documents) {
+      const matches = entry.matches.filter((match) => !skip.has(match.id))
+      if (matches.length === 0) continue
+
+      const doc = await this.storageManager.getDocument(entry.id)
+      if (!doc || guidManager.generateChecksum(doc.content || '') !== entry.checksum) {
+        skipped.push({ title: entry.title, reason: 'Changed since the preview' })
+        continue
+      }
+
+      let content = doc.content || ''
+      for (const match of [...matches].reverse()) {
+        content = content.slice(0, match.from) + match.replacement + content.slice(match.to)
+      }
+
+      const savedDoc = await this.saveWithRevisions(doc, content, 'replace')
+      changes.push({ id: doc.id, title: doc.title, before: doc.content || '', after: content })
+      saved.push(savedDoc)
+      replaced += matches.length
+    }
+
+    if (changes.length > 0) {
+      this.lastBatch = {
+        id: guidManager.generateGuid(),
+        query: preview.query,
+        replacement: preview.replacement,
+        replaced,
+        changes,
+        createdAt: new Date().toISOString()
+      }
+    }
+
+    return { documents: saved, replaced, skipped }
+  }
+
+  /**
+   * Put back the text the last batch replaced
+   * Documents edited after the batch are left alone
+   * @returns {Promise<Object>} { documents: saved documents, skipped }
+   */
+  async undo() {
+    if (!this.lastBatch) {
+      throw new Error('No replace to undo')
+    }
+
+    const saved = []
+    const skipped = []
+    for (const change of this.lastBatch.changes) {
+      const doc = await this.storageManager.getDocument(change.id)
+      if (!doc || (doc.content || '') !== change.after) {
+        skipped.push({ title: change.title, reason: 'Edited after the replace' })
+        continue
+      }
+      saved.push(await this.saveWithRevisions(doc, change.before, 'undo-replace'))
+    }
+
+    this.lastBatch = null
+    return { documents: saved, skipped }
+  }
+
+  /**
+   * @private
+   */
+  async saveWithRevisions(doc, content, reason) {
+    await this.revisionManager?.recordRevision(doc, { force: true, reason: `before-${reason}` })
+    const saved = await this.storageManager.saveDocument({ ...doc, content })
+    await this.revisionManager?.recordRevision(saved, { force: true, reason })
+    return saved
+  }
+
+  /**
+   * Text around a match, limited to its lines
+   * @private
+   */
+  getContext(content, from, to) {
+    const lineStart = content.lastIndexOf('\n', from - 1) + 1
+    const lineEnd = content.indexOf('\n', to)
+    const end = lineEnd === -1 ? content.length : lineEnd
+
+    const beforeStart = Math.max(lineStart, from - CONTEXT_LENGTH)
+    const afterEnd = Math.min(end, to + CONTEXT_LENGTH)
+    return {
+      before: (beforeStart > lineStart ? '…' : '') + content.slice(beforeStart, from),
+      after: content.slice(to, afterEnd) + (afterEnd < end ? '…' : '')
+    }
+  }
+}
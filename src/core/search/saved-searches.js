@@ -0,0 +1,135 @@
+/**
+ * Saved Searches - Named structured queries shown as smart collections
+ * Kept in the search.saved setting, so they are exported, backed up and restored with the other
+ * settings. A collection's documents are worked out from the query each time it is shown.
+ */
+import { matchesQuery, parseSearchQuery } from './search-query.js'
+
+export const SEARCH_OPTIONS = ['caseSensitive', 'wholeWord', 'regex']
+
+const MAX_NAME_LENGTH = 60
+const BULK_SETTING_EVENTS = [
+  'settings-changed',
+  'settings-reset',
+  'section-reset',
+  'settings-imported'
+]
+
+/**
+ * Whether a settings listener event may have changed the saved searches
+ * @param {string} event - Settings event
+ * @param {Object} data - Event data
+ * @returns {boolean} True when saved searches should be read again
+ */
+export function isSavedSearchChange(event, data) {
+  if (event === 'setting-changed') return data?.path?.startsWith('search') === true
+  return BULK_SETTING_EVENTS.includes(event)
+}
+
+export class SavedSearches {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager
+  }
+
+  /**
+   * Get every saved search by name
+   * @returns {Array} [{ name, query, options, updatedAt }]
+   */
+  list() {
+    return Object.values(this.getAll()).sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Get a saved search; names are case-insensitive
+   * @param {string} name - Search name
+   * @returns {Object|null} Saved search
+   */
+  get(name) {
+    return this.getAll()[this.getKey(name)] || null
+  }
+
+  /**
+   * Save a query under a name, replacing a search of the same name
+   * @param {string} name - Search name
+   * @param {string} query - Structured query
+   * @param {Object} options - caseSensitive, wholeWord and regex flags
+   * @returns {Object} Stored search
+   */
+  save(name, query, options = {}) {
+    const trimmedName = (name || '').trim()
+    const trimmedQuery = (query || '').trim()
+    if (!trimmedName) {
+      throw new Error('Saved search name is required')
+    }
+    if (trimmedName.length > MAX_NAME_LENGTH) {
+      throw new Error(`Saved search name must be at most ${MAX_NAME_LENGTH} characters`)
+    }
+    if (!trimmedQuery) {
+      throw new Error('Saved search query is required')
+    }
+
+    const search = {
+      name: trimmedName,
+      query: trimmedQuery,
+      options: Object.fromEntries(SEARCH_OPTIONS.map((option) => [option, !!options[option]])),
+      updatedAt: new Date().toISOString()
+    }
+    parseSearchQuery(search.query, search.options) // Throws for invalid queries
+
+    this.settingsManager.set('search.saved', {
+      ...this.getAll(),
+      [this.getKey(trimmedName)]: search
+    })
+    return search
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} name - Search name
+   * @returns {boolean} True if a search was deleted
+   */
+  remove(name) {
+    const saved = { ...this.getAll() }
+    const key = this.getKey(name)
+    if (!saved[key]) return false
+
+    delete saved[key]
+    this.settingsManager.set('search.saved', saved)
+    return true
+  }
+
+  /**
+   * Documents matching a saved search, most recently updated first
+   * @param {Object} search - Saved search
+   * @param {Array} documents - Documents to filter
+   * @returns {Array} Matching documents
+   */
+  getDocuments(search, documents) {
+    let query
+    try {
+      query = parseSearchQuery(search.query, search.options)
+    } catch (error) {
+      console.warn(`Saved search "${search.name}" is invalid:`, error.message)
+      return []
+    }
+
+    const modified = (doc) => new Date(doc.metadata?.modified || doc.updatedAt || 0)
+    return documents
+      .filter((doc) => doc.type !== 'system' && matchesQuery(doc, query))
+      .sort((a, b) => modified(b) - modified(a))
+  }
+
+  /**
+   * @private
+   */
+  getAll() {
+    return this.settingsManager?.get('search.saved') || {}
+  }
+
+  /**
+   * @private
+   */
+  getKey(name) {
+    return (name || '').trim().toLowerCase()
+  }
+}
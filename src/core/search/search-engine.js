@@ -1,21 +1,56 @@
 /**
  * Search Engine - Full-text search powered by Lunr.js
- * Provides fast, fuzzy search across document content, titles, and tags
+ * Provides fast, fuzzy search across document content, titles, and tags.
+ * Documents are analysed in a Web Worker when one is available. The analyses and the serialized
+ * index are kept in IndexedDB keyed by document checksum, so after a save or on the next start
+ * only new and changed documents are analysed again.
  */
 
 import lunr from 'lunr'
+import { guidManager } from '../../utils/guid.js'
+import { SearchIndexer, cleanContent } from './search-indexer.js'
+import { SearchWorkerClient } from './search-worker-client.js'
+import { parseSearchQuery, isStructuredQuery, matchesQuery } from './search-query.js'
+
+export const SEARCH_INDEX_RECORD = 'lunr-index'
+const INDEX_CHECK_INTERVAL = 30 * 1000
 
 export class SearchEngine {
-  constructor(storageManager) {
+  /**
+   * @param {StorageManager} storageManager - Document storage
+   * @param {Object} options - { createWorker: returns the search index worker }
+   */
+  constructor(storageManager, { createWorker = null } = {}) {
     this.storageManager = storageManager
     this.index = null
     this.documents = []
     this.isIndexing = false
     this.lastIndexUpdate = null
+    this.lastIndexCheck = 0
+    this.entries = new Map() // Document ID -> { id, checksum, updatedAt } as indexed
+    this.storedIndexLoaded = false
+    this.indexerLoaded = false
+    this.indexer = this.createIndexer(createWorker)
+    this.queue = Promise.resolve()
+  }
+
+  /**
+   * Index in a worker when possible, otherwise on the main thread
+   */
+  createIndexer(createWorker) {
+    if (createWorker && typeof Worker !== 'undefined') {
+      try {
+        return new SearchWorkerClient(createWorker())
+      } catch (error) {
+        console.warn('Search worker unavailable, indexing on the main thread:', error)
+      }
+    }
+    return new SearchIndexer()
   }
 
   /**
-   * Initialize or rebuild the search index
+   * Bring the search index up to date with storage
+   * Unchanged documents keep their analyses; only new and changed ones are analysed
    */
   async buildIndex() {
     if (this.isIndexing) return
@@ -23,30 +58,24 @@ export class SearchEngine {
     this.isIndexing = true
 
     try {
-      // Fetch all documents
-      this.documents = await this.storageManager.getAllDocuments()
-
-      // Build Lunr index
-      const self = this
-      this.index = lunr(function () {
-        this.ref('id')
-        this.field('title', { boost: 3 }) // Title has higher importance
-        this.field('content', { boost: 1 })
-        this.field('tags', { boost: 2 }) // Tags are important for categorization
-
-        // Add documents to index
-        for (const doc of self.documents) {
-          this.add({
-            id: doc.id,
-            title: doc.title || '',
-            content: self.cleanContent(doc.content || ''),
-            tags: (doc.tags || []).join(' ')
-          })
-        }
-      })
+      const documents = await this.storageManager.getAllDocuments()
+      if (!this.storedIndexLoaded) {
+        await this.loadStoredIndex()
+      }
+
+      const ids = new Set(documents.map((doc) => doc.id))
+      const changed = documents.filter((doc) => this.hasChanged(doc))
+      const removed = [...this.entries.keys()].filter((id) => !ids.has(id))
+      if (!this.index || changed.length > 0 || removed.length > 0) {
+        await this.applyChanges(changed, removed)
+      }
 
+      this.documents = documents
       this.lastIndexUpdate = Date.now()
-      console.log(`Search index built with ${this.documents.length} documents`)
+      this.lastIndexCheck = this.lastIndexUpdate
+      console.log(
+        `Search index built with ${documents.length} documents (${changed.length} analysed)`
+      )
     } catch (error) {
       console.error('Failed to build search index:', error)
     } finally {
@@ -58,35 +87,21 @@ export class SearchEngine {
    * Clean markdown content for better search indexing
    */
   cleanContent(content) {
-    if (!content || typeof content !== 'string') {
-      return ''
-    }
-
-    return content
-      .replace(/^#{1,6}\s+/gm, '') // Remove markdown headers
-      .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
-      .replace(/\*(.*?)\*/g, '$1') // Remove italic formatting
-      .replace(/`(.*?)`/g, '$1') // Remove inline code formatting
-      .replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1') // Remove links, keep text
-      .replace(/!\[([^\]]*)\]\([^\)]+\)/g, '$1') // Remove images, keep alt text
-      .replace(/\n+/g, ' ') // Replace newlines with spaces
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim()
+    return cleanContent(content)
   }
 
   /**
    * Search documents using fuzzy matching
+   * Queries with field filters, phrases, exclusions or regular expressions are parsed with the
+   * structured syntax (see search-query.js); invalid ones throw
+   * @param {string} query - Search query
+   * @param {Object} options - limit, fuzzy, and regex, caseSensitive and wholeWord for the syntax
    */
   async search(query, options = {}) {
-    const { limit = 10, includeMatches = true, fuzzy = true, boost = {} } = options
+    const { limit = 10, fuzzy = true } = options
 
-    // Ensure index is built
-    if (!this.index) {
-      await this.buildIndex()
-    }
-
-    // Check if index needs updating (if documents were modified)
-    if (await this.shouldRebuildIndex()) {
+    // Build the index on first use and pick up changes made outside the editor now and then
+    if (!this.index || Date.now() - this.lastIndexCheck > INDEX_CHECK_INTERVAL) {
       await this.buildIndex()
     }
 
@@ -94,6 +109,11 @@ export class SearchEngine {
       return []
     }
 
+    const parsed = parseSearchQuery(query, options)
+    if (isStructuredQuery(parsed) || options.caseSensitive || options.wholeWord) {
+      return this.structuredSearch(parsed, { limit, fuzzy })
+    }
+
     try {
       // Build search query
       let searchQuery = query.trim()
@@ -133,6 +153,54 @@ export class SearchEngine {
     }
   }
 
+  /**
+   * Search with a parsed structured query
+   * Plain words still go through the index, so they stay fuzzy; everything else is checked
+   * against each document. Without plain words every document is a candidate, newest first.
+   * @param {Object} parsed - Result of parseSearchQuery()
+   * @param {Object} options - limit, fuzzy
+   */
+  structuredSearch(parsed, { limit, fuzzy }) {
+    const isPlain = (term) => !term.negated && !term.phrase && !term.regex
+    const words = parsed.terms.filter(isPlain).map((term) => term.text)
+    const rest = { ...parsed, terms: parsed.terms.filter((term) => !isPlain(term)) }
+    const highlight = parsed.terms
+      .filter((term) => !term.negated && !term.regex)
+      .map((term) => term.text)
+      .join(' ')
+
+    let candidates
+    if (words.length > 0) {
+      // Index terms are stemmed and lower-cased; a word matching nothing falls back to the text
+      const hits = this.index.query((q) => {
+        words.forEach((word) => {
+          lunr.tokenizer(word).forEach((token) => {
+            q.term(token, { editDistance: fuzzy && token.toString().length > 3 ? 1 : 0 })
+          })
+        })
+      })
+      candidates = hits.map((hit) => ({
+        doc: this.documents.find((d) => d.id === hit.ref),
+        score: hit.score
+      }))
+    } else {
+      const modified = (doc) => new Date(doc.metadata?.modified || doc.updatedAt || 0)
+      candidates = [...this.documents]
+        .sort((a, b) => modified(b) - modified(a))
+        .map((doc) => ({ doc, score: 1 }))
+    }
+
+    return candidates
+      .filter(({ doc }) => doc && matchesQuery(doc, rest))
+      .slice(0, limit)
+      .map(({ doc, score }) => ({
+        document: doc,
+        score,
+        matches: this.extractMatches(doc, highlight),
+        relevance: this.calculateRelevance(doc, highlight, score)
+      }))
+  }
+
   /**
    * Extract matching snippets from document content
    */
@@ -252,7 +320,7 @@ export class SearchEngine {
   }
 
   /**
-   * Check if index needs rebuilding
+   * Check whether storage has changes the index does not have yet
    */
   async shouldRebuildIndex() {
     if (!this.lastIndexUpdate || !this.index) return true
@@ -261,15 +329,12 @@ export class SearchEngine {
       const documents = await this.storageManager.getAllDocuments()
 
       // Check if document count changed
-      if (documents.length !== this.documents.length) {
+      if (documents.length !== this.entries.size) {
         return true
       }
 
-      // Check if any document was modified since last index
-      if (documents.length === 0) return false
-
-      const lastModified = Math.max(...documents.map((doc) => new Date(doc.updatedAt).getTime()))
-      return lastModified > this.lastIndexUpdate
+      // Check if any document was modified since it was indexed
+      return documents.some((doc) => this.entries.get(doc.id)?.updatedAt !== doc.updatedAt)
     } catch (error) {
       console.error('Error checking index freshness:', error)
       return true
@@ -280,27 +345,173 @@ export class SearchEngine {
    * Add a document to the index
    */
   async addDocument(document) {
-    // For now, just rebuild the entire index
-    // In production, consider incremental updates
-    await this.buildIndex()
+    await this.updateDocument(document)
   }
 
   /**
-   * Update a document in the index
+   * Re-index a saved document; before the first search the whole index is built anyway
    */
   async updateDocument(document) {
-    // For now, just rebuild the entire index
-    // In production, consider incremental updates
-    await this.buildIndex()
+    if (!this.index || !document?.id || !this.hasChanged(document)) return
+
+    this.documents = [document, ...this.documents.filter((doc) => doc.id !== document.id)]
+    try {
+      await this.applyChanges([document], [])
+    } catch (error) {
+      console.error('Failed to update search index:', error)
+    }
   }
 
   /**
    * Remove a document from the index
    */
   async removeDocument(documentId) {
-    // For now, just rebuild the entire index
-    // In production, consider incremental updates
-    await this.buildIndex()
+    if (!this.index || !this.entries.has(documentId)) return
+
+    this.documents = this.documents.filter((doc) => doc.id !== documentId)
+    try {
+      await this.applyChanges([], [documentId])
+    } catch (error) {
+      console.error('Failed to update search index:', error)
+    }
+  }
+
+  /**
+   * Whether a document differs from the version in the index
+   * The checksum is only computed when updatedAt moved.
+   */
+  hasChanged(doc) {
+    const entry = this.entries.get(doc.id)
+    if (entry && doc.updatedAt && entry.updatedAt === doc.updatedAt) return false
+
+    const checksum = this.getDocumentChecksum(doc)
+    if (entry?.checksum !== checksum) return true
+
+    entry.updatedAt = doc.updatedAt
+    return false
+  }
+
+  getDocumentChecksum(doc) {
+    return guidManager.generateChecksum(
+      [doc.title || '', (doc.tags || []).join(' '), doc.content || ''].join('\n')
+    )
+  }
+
+  /**
+   * Checksum of the indexed document versions, stored with the serialized index
+   * @param {Array} entries - Entries with id and checksum
+   */
+  getIndexChecksum(entries) {
+    const versions = entries.map(({ id, checksum }) => `${id}:${checksum}`).sort()
+    return guidManager.generateChecksum(versions.join('\n'))
+  }
+
+  /**
+   * Use the index persisted by an earlier session if it matches its stored analyses
+   */
+  async loadStoredIndex() {
+    this.storedIndexLoaded = true
+
+    const records = (await this.storageManager.getSearchIndex?.()) || []
+    const stored = records.find((record) => record.id === SEARCH_INDEX_RECORD)
+    const entries = records.filter((record) => record.id !== SEARCH_INDEX_RECORD)
+
+    try {
+      if (!stored || stored.checksum !== this.getIndexChecksum(entries)) {
+        throw new Error('Stored search index is incomplete')
+      }
+      this.index = lunr.Index.load(stored.index)
+      entries.forEach(({ id, checksum, updatedAt }) => {
+        this.entries.set(id, { id, checksum, updatedAt })
+      })
+    } catch (error) {
+      if (records.length > 0) {
+        console.warn('Rebuilding search index:', error.message)
+        await this.persist(
+          [],
+          records.map((record) => record.id)
+        )
+      }
+    }
+  }
+
+  /**
+   * Give the indexer the stored analyses of the indexed documents before its first update
+   */
+  async loadIndexer() {
+    if (this.indexerLoaded) return
+
+    const records = this.entries.size > 0 ? await this.storageManager.getSearchIndex() : []
+    const analyses = records
+      .filter((record) => this.entries.has(record.id))
+      .map(({ id, fields }) => ({ id, fields }))
+    await this.indexer.load(analyses)
+    this.indexerLoaded = true
+  }
+
+  /**
+   * Re-index changed and removed documents, one batch at a time
+   * @param {Array} documents - New or changed documents
+   * @param {Array<string>} removed - IDs of deleted documents
+   */
+  applyChanges(documents, removed) {
+    const run = this.queue.then(() => this.indexChanges(documents, removed))
+    this.queue = run.catch(() => {})
+    return run
+  }
+
+  async indexChanges(documents, removed) {
+    const result = await this.runIndexer({
+      documents: documents.map(({ id, title, content, tags }) => ({ id, title, content, tags })),
+      removed
+    })
+    this.index = lunr.Index.load(result.index)
+
+    const records = result.analyses.map((analysis, i) => {
+      const doc = documents[i]
+      const entry = {
+        id: doc.id,
+        checksum: this.getDocumentChecksum(doc),
+        updatedAt: doc.updatedAt
+      }
+      this.entries.set(doc.id, entry)
+      return { ...analysis, ...entry }
+    })
+    removed.forEach((id) => this.entries.delete(id))
+
+    records.push({
+      id: SEARCH_INDEX_RECORD,
+      checksum: this.getIndexChecksum([...this.entries.values()]),
+      index: result.index
+    })
+    await this.persist(records, removed)
+  }
+
+  /**
+   * Run an update in the worker, moving to the main thread if the worker fails
+   */
+  async runIndexer(changes) {
+    try {
+      await this.loadIndexer()
+      return await this.indexer.update(changes)
+    } catch (error) {
+      if (!(this.indexer instanceof SearchWorkerClient)) throw error
+
+      console.warn('Search worker failed, indexing on the main thread:', error)
+      this.indexer.terminate()
+      this.indexer = new SearchIndexer()
+      this.indexerLoaded = false
+      await this.loadIndexer()
+      return this.indexer.update(changes)
+    }
+  }
+
+  async persist(records, removedIds) {
+    try {
+      await this.storageManager.updateSearchIndex?.(records, removedIds)
+    } catch (error) {
+      console.warn('Failed to store search index:', error)
+    }
   }
 
   /**
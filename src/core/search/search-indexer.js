@@ -0,0 +1,107 @@
+/**
+ * Search Indexer - Analyses documents and builds the Lunr index
+ * Runs inside the search index worker, or on the main thread where workers are unavailable.
+ * Each document is analysed (tokenized, stop words removed, stemmed) once per change; the index
+ * is then assembled from the cached terms, so a save only re-analyses the saved document.
+ */
+
+import lunr from 'lunr'
+
+export const SEARCH_FIELDS = {
+  title: { boost: 3 }, // Title has higher importance
+  content: { boost: 1 },
+  tags: { boost: 2 } // Tags are important for categorization
+}
+
+const analysisPipeline = new lunr.Pipeline()
+analysisPipeline.add(lunr.trimmer, lunr.stopWordFilter, lunr.stemmer)
+
+/**
+ * Clean markdown content for better search indexing
+ * @param {string} content - Markdown
+ * @returns {string} Plain text
+ */
+export function cleanContent(content) {
+  if (!content || typeof content !== 'string') {
+    return ''
+  }
+
+  return content
+    .replace(/^#{1,6}\s+/gm, '') // Remove markdown headers
+    .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
+    .replace(/\*(.*?)\*/g, '$1') // Remove italic formatting
+    .replace(/`(.*?)`/g, '$1') // Remove inline code formatting
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Remove links, keep text
+    .replace(/!\[([^\]]*)\]\([^)]+\)/g, '$1') // Remove images, keep alt text
+    .replace(/\n+/g, ' ') // Replace newlines with spaces
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .trim()
+}
+
+/**
+ * Turn a document into the terms Lunr would index for each field
+ * @param {Object} doc - Document with id, title, content and tags
+ * @returns {Object} { id, fields: { title, content, tags } } with term lists
+ */
+export function analyseDocument(doc) {
+  const text = {
+    title: doc.title || '',
+    content: cleanContent(doc.content || ''),
+    tags: (doc.tags || []).join(' ')
+  }
+
+  const fields = {}
+  for (const name of Object.keys(SEARCH_FIELDS)) {
+    fields[name] = analysisPipeline.run(lunr.tokenizer(text[name])).map(String)
+  }
+  return { id: doc.id, fields }
+}
+
+export class SearchIndexer {
+  constructor() {
+    this.analyses = new Map()
+  }
+
+  /**
+   * Take over analyses persisted by an earlier session
+   * @param {Array} analyses - Results of analyseDocument()
+   * @returns {number} Number of analysed documents
+   */
+  load(analyses) {
+    this.analyses = new Map(analyses.map((analysis) => [analysis.id, analysis]))
+    return this.analyses.size
+  }
+
+  /**
+   * Re-analyse changed documents, drop removed ones and rebuild the index
+   * @param {Object} changes - { documents: changed documents, removed: document IDs }
+   * @returns {Object} { index: serialized Lunr index, analyses: analyses of the changed documents }
+   */
+  update({ documents = [], removed = [] } = {}) {
+    const analyses = documents.map(analyseDocument)
+    analyses.forEach((analysis) => this.analyses.set(analysis.id, analysis))
+    removed.forEach((id) => this.analyses.delete(id))
+
+    return { index: this.build().toJSON(), analyses }
+  }
+
+  /**
+   * Assemble the Lunr index from the cached analyses
+   * @returns {lunr.Index} Index
+   */
+  build() {
+    const analyses = this.analyses
+    return lunr(function () {
+      this.ref('id')
+      for (const [name, options] of Object.entries(SEARCH_FIELDS)) {
+        this.field(name, options)
+      }
+
+      // Terms are analysed already; the search pipeline still stems queries
+      this.pipeline.reset()
+      for (const { id, fields } of analyses.values()) {
+        this.add({ id, ...fields })
+      }
+    })
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Search Query - Parses and evaluates the structured search syntax
+ *
+ * Syntax:
+ * - `dragon` words must appear in the title, content or tags
+ * - `"exact phrase"` quoted text must appear as written
+ * - `/drag(o|a)n/` regular expression; in regex mode every word is one
+ * - `tag:draft` `title:"Dragon"` `content:sword` `folder:book-1` field filters
+ * - `updated:>2026-01-01` `created:<=2026-03` date filters with >, >=, <, <= or = (default)
+ * - `-tag:archived` `-dragon` a leading minus excludes matches
+ */
+
+export const QUERY_FIELDS = ['tag', 'title', 'content', 'folder', 'updated', 'created']
+
+const DATE_FIELDS = ['updated', 'created']
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?("([^"]*)"?|\/((?:\\.|[^/\\])+)\/|[^\s"]+)/gi
+
+/**
+ * Build the pattern for a query
+ * @param {string} query - Text or regular expression
+ * @param {Object} options - regex, caseSensitive and wholeWord flags
+ * @returns {RegExp} Global pattern
+ */
+export function buildSearchPattern(query, options = {}) {
+  if (!query) {
+    throw new Error('Search query is empty')
+  }
+
+  let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  if (options.wholeWord) {
+    // \b only knows ASCII letters, which would split names like "Aelríc"
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`
+  }
+
+  try {
+    return new RegExp(source, options.caseSensitive ? 'gu' : 'giu')
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`)
+  }
+}
+
+/**
+ * Find all non-empty matches of a pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<RegExpExecArray>} Matches
+ */
+export function findPatternMatches(text, pattern) {
+  const matches = []
+  pattern.lastIndex = 0
+
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++ // Patterns like a* also match nothing; skip those
+      continue
+    }
+    matches.push(match)
+  }
+
+  return matches
+}
+
+/**
+ * Parse a query into text terms and field filters
+ * @param {string} input - Query text
+ * @param {Object} options - regex (words are regular expressions), caseSensitive, wholeWord
+ * @returns {Object} { terms: [{ text, negated, phrase, regex, pattern }], filters }
+ */
+export function parseSearchQuery(input, options = {}) {
+  const terms = []
+  const filters = []
+
+  for (const token of (input || '').matchAll(TOKEN_PATTERN)) {
+    const [, minus, name, raw, quoted, regex] = token
+    const negated = minus === '-'
+    const field = name?.toLowerCase()
+    const value = {
+      text: quoted ?? regex ?? raw,
+      phrase: quoted !== undefined,
+      literal: regex !== undefined, // Written as /.../
+      regex: regex !== undefined || options.regex === true
+    }
+
+    if (field && QUERY_FIELDS.includes(field)) {
+      filters.push(parseFilter(field, value, negated, options))
+    } else {
+      // Unknown prefixes such as "12:30" are ordinary words
+      const text = name ? `${name}:${value.text}` : value.text
+      if (!text) continue
+      terms.push({
+        text,
+        negated,
+        phrase: value.phrase,
+        regex: value.regex,
+        pattern: compileTerm({ ...value, text }, options)
+      })
+    }
+  }
+
+  return { terms, filters }
+}
+
+/**
+ * Whether a query has anything beyond plain words
+ * @param {Object} query - Result of parseSearchQuery()
+ * @returns {boolean} True for filters, phrases, exclusions or regular expressions
+ */
+export function isStructuredQuery(query) {
+  return (
+    query.filters.length > 0 ||
+    query.terms.some((term) => term.negated || term.phrase || term.regex)
+  )
+}
+
+/**
+ * Check a document against every term and filter of a query
+ * @param {Object} doc - Document
+ * @param {Object} query - Result of parseSearchQuery()
+ * @returns {boolean} True when the document matches
+ */
+export function matchesQuery(doc, query) {
+  const text = [doc.title || '', doc.content || '', (doc.tags || []).join(' ')].join('\n')
+
+  return (
+    query.terms.every((term) => (text.search(term.pattern) !== -1) !== term.negated) &&
+    query.filters.every((filter) => matchesFilter(doc, filter) !== filter.negated)
+  )
+}
+
+/**
+ * One pattern matching any of the query's wanted words, for highlighting
+ * @param {Object} query - Result of parseSearchQuery()
+ * @returns {RegExp|null} Global pattern, or null when the query has no wanted words
+ */
+export function getHighlightPattern(query) {
+  const wanted = query.terms.filter((term) => !term.negated)
+  if (wanted.length === 0) return null
+
+  const source = wanted.map((term) => `(?:${term.pattern.source})`).join('|')
+  return new RegExp(source, wanted[0].pattern.flags)
+}
+
+/**
+ * @private
+ */
+function parseFilter(field, value, negated, options) {
+  if (DATE_FIELDS.includes(field)) {
+    const [, operator = '=', date] = value.text.match(/^(>=|<=|>|<|=)?(.*)$/)
+    if (!DATE_PATTERN.test(date)) {
+      throw new Error(`Invalid date "${date}" in ${field}: filter, use YYYY-MM-DD`)
+    }
+    return { field, operator, date, negated }
+  }
+
+  if (!value.text) {
+    throw new Error(`Missing value for ${field}: filter`)
+  }
+
+  // Tags and folders match whole names unless written as /.../
+  const exact = (field === 'tag' || field === 'folder') && !value.literal
+  return {
+    field,
+    value: value.text,
+    negated,
+    pattern: exact ? null : compileTerm(value, options)
+  }
+}
+
+/**
+ * @private
+ */
+function compileTerm({ text, regex }, options) {
+  return buildSearchPattern(text, {
+    regex,
+    caseSensitive: options.caseSensitive,
+    wholeWord: options.wholeWord && !regex
+  })
+}
+
+/**
+ * @private
+ */
+function matchesFilter(doc, filter) {
+  switch (filter.field) {
+    case 'tag':
+      return (doc.tags || []).some((tag) =>
+        filter.pattern
+          ? tag.search(filter.pattern) !== -1
+          : tag.toLowerCase() === filter.value.toLowerCase()
+      )
+
+    case 'folder': {
+      const folder = doc.folder || ''
+      if (filter.pattern) return folder.search(filter.pattern) !== -1
+
+      const wanted = filter.value.toLowerCase().replace(/^\/+|\/+$/g, '')
+      const lower = folder.toLowerCase()
+      return lower === wanted || lower.startsWith(`${wanted}/`)
+    }
+
+    case 'title':
+      return (doc.title || '').search(filter.pattern) !== -1
+
+    case 'content':
+      return (doc.content || '').search(filter.pattern) !== -1
+
+    case 'updated':
+      return compareDate(doc.metadata?.modified || doc.updatedAt, filter)
+
+    case 'created':
+      return compareDate(doc.metadata?.created || doc.createdAt, filter)
+
+    default:
+      return false
+  }
+}
+
+/**
+ * Compare a timestamp with a filter date at the filter's precision (year, month or day)
+ * @private
+ */
+function compareDate(timestamp, { operator, date }) {
+  const time = new Date(timestamp)
+  if (!timestamp || isNaN(time.getTime())) return false
+
+  const value = time.toISOString().slice(0, date.length)
+  switch (operator) {
+    case '>':
+      return value > date
+    case '>=':
+      return value >= date
+    case '<':
+      return value < date
+    case '<=':
+      return value <= date
+    default:
+      return value === date
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Search Worker Client - Main-thread side of the search index worker
+ * Mirrors the SearchIndexer methods as promises answered by the worker
+ */
+
+export class SearchWorkerClient {
+  constructor(worker) {
+    this.worker = worker
+    this.nextId = 1
+    this.pending = new Map()
+
+    this.worker.addEventListener('message', (event) => this.handleMessage(event.data))
+    this.worker.addEventListener('error', (event) => {
+      this.rejectAll(new Error(event.message || 'Search worker failed'))
+    })
+  }
+
+  /**
+   * @param {Array} analyses - Analyses persisted by an earlier session
+   * @returns {Promise<number>} Number of analysed documents
+   */
+  load(analyses) {
+    return this.call('load', analyses)
+  }
+
+  /**
+   * @param {Object} changes - { documents, removed }
+   * @returns {Promise<Object>} { index, analyses }
+   */
+  update(changes) {
+    return this.call('update', changes)
+  }
+
+  call(method, ...args) {
+    const id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject })
+      this.worker.postMessage({ id, method, args })
+    })
+  }
+
+  handleMessage({ id, result, error }) {
+    const request = this.pending.get(id)
+    if (!request) return
+
+    this.pending.delete(id)
+    if (error) {
+      request.reject(new Error(error))
+    } else {
+      request.resolve(result)
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach((request) => request.reject(error))
+    this.pending.clear()
+  }
+
+  terminate() {
+    this.rejectAll(new Error('Search worker stopped'))
+    this.worker.terminate()
+  }
+}
@@ -41,7 +41,7 @@ export class SettingsManager {
     try {
       const stored = localStorage.getItem(this.storageKey)
       if (!stored) {
-        this.settings = { ...DEFAULT_SETTINGS }
+        this.settings = mergeWithDefaults()
         return
       }
 
@@ -70,7 +70,7 @@ export class SettingsManager {
       console.warn('Backup settings also corrupted:', error)
     }
     
-    this.settings = { ...DEFAULT_SETTINGS }
+    this.settings = mergeWithDefaults()
   }
 
   /**
@@ -282,7 +282,7 @@ export class SettingsManager {
    */
   resetToDefaults() {
     this.createBackup()
-    this.settings = { ...DEFAULT_SETTINGS }
+    this.settings = mergeWithDefaults()
     this.saveSettings()
     this.notifyListeners('settings-reset', this.settings)
   }
@@ -300,7 +300,7 @@ export class SettingsManager {
     }
 
     const oldValues = { ...this.settings[section] }
-    this.settings[section] = { ...DEFAULT_SETTINGS[section] }
+    this.settings[section] = mergeWithDefaults()[section]
     
     this.saveSettings()
     this.notifyListeners('section-reset', { section, oldValues })
@@ -73,6 +73,46 @@ export const DEFAULT_SETTINGS = {
   privacy: {
     agreedToTerms: false,
     agreedDate: null
+  },
+
+  codex: {
+    // Custom entity schemas keyed by codex type; built-in types apply when absent
+    schemas: {}
+  },
+
+  goals: {
+    // Word goals; 0 means no goal
+    daily: 0,
+    session: 0,
+    // Project goals keyed by project ID: { target, deadline, startDate }
+    projects: {}
+  },
+
+  gutenberg: {
+    // Catalog dump (CSV or RDF); point both URLs at a mirror that allows cross-origin requests
+    catalogUrl: 'https://www.gutenberg.org/cache/epub/feeds/pg_catalog.csv',
+    // Plain-text download; {id} is replaced with the ebook number
+    textUrl: 'https://www.gutenberg.org/cache/epub/{id}/pg{id}.txt'
+  },
+
+  search: {
+    // Saved searches keyed by lower-case name: { name, query, options, updatedAt }
+    saved: {}
+  },
+
+  spellcheck: {
+    // Custom words for documents outside a project; projects keep their own dictionary
+    words: []
+  },
+
+  proseLint: {
+    echoes: true,
+    // Flag a word used again within this many words
+    echoDistance: 50,
+    adverbs: true,
+    passiveVoice: true,
+    cliches: true,
+    filterWords: true
   }
 }
 
@@ -169,6 +209,56 @@ export const SETTINGS_SCHEMA = {
       agreedToTerms: { type: 'boolean' },
       agreedDate: { type: ['number', 'null'] }
     }
+  },
+
+  codex: {
+    type: 'object',
+    properties: {
+      schemas: { type: 'object' }
+    }
+  },
+
+  goals: {
+    type: 'object',
+    properties: {
+      daily: { type: 'number', min: 0 },
+      session: { type: 'number', min: 0 },
+      projects: { type: 'object' }
+    }
+  },
+
+  gutenberg: {
+    type: 'object',
+    properties: {
+      catalogUrl: { type: 'string', maxLength: 500 },
+      textUrl: { type: 'string', maxLength: 500, pattern: /\{id\}/ }
+    }
+  },
+
+  search: {
+    type: 'object',
+    properties: {
+      saved: { type: 'object' }
+    }
+  },
+
+  spellcheck: {
+    type: 'object',
+    properties: {
+      words: { type: 'array' }
+    }
+  },
+
+  proseLint: {
+    type: 'object',
+    properties: {
+      echoes: { type: 'boolean' },
+      echoDistance: { type: 'number', min: 5, max: 500 },
+      adverbs: { type: 'boolean' },
+      passiveVoice: { type: 'boolean' },
+      cliches: { type: 'boolean' },
+      filterWords: { type: 'boolean' }
+    }
   }
 }
 
@@ -292,12 +382,22 @@ export function getSearchableSettings() {
     { path: 'editor.width', label: 'Editor Width', keywords: ['width', 'column', 'line length'] },
     { path: 'editor.zoom', label: 'Editor Zoom', keywords: ['zoom', 'font size', 'scale'] },
     { path: 'editor.spellCheck', label: 'Spell Check', keywords: ['spell', 'check', 'grammar'] },
+    { path: 'spellcheck.words', label: 'Custom Dictionary', keywords: ['spell', 'dictionary', 'words', 'names'] },
+    { path: 'proseLint.echoes', label: 'Echoes', keywords: ['lint', 'prose', 'repeated', 'words', 'style'] },
+    { path: 'proseLint.adverbs', label: 'Adverbs', keywords: ['lint', 'prose', 'adverb', 'ly', 'style'] },
+    { path: 'proseLint.passiveVoice', label: 'Passive Voice', keywords: ['lint', 'prose', 'passive', 'style'] },
+    { path: 'proseLint.cliches', label: 'Clichés', keywords: ['lint', 'prose', 'cliche', 'phrases', 'style'] },
+    { path: 'proseLint.filterWords', label: 'Filter Words', keywords: ['lint', 'prose', 'filter', 'saw', 'felt', 'heard'] },
     { path: 'editor.autoSave', label: 'Auto Save', keywords: ['auto', 'save', 'automatic'] },
     { path: 'codemirror.lineNumbers', label: 'Line Numbers', keywords: ['line', 'numbers', 'gutter'] },
     { path: 'codemirror.lineWrapping', label: 'Line Wrapping', keywords: ['wrap', 'line', 'overflow'] },
     { path: 'codemirror.highlightActiveLine', label: 'Highlight Active Line', keywords: ['highlight', 'active', 'current'] },
     { path: 'ui.navigatorPinned', label: 'Pin Navigator', keywords: ['navigator', 'sidebar', 'pin'] },
     { path: 'ui.showWordCount', label: 'Word Count', keywords: ['word', 'count', 'statistics'] },
+    { path: 'goals.daily', label: 'Daily Word Goal', keywords: ['goal', 'daily', 'target', 'words', 'streak'] },
+    { path: 'goals.session', label: 'Session Word Goal', keywords: ['goal', 'session', 'target', 'words'] },
+    { path: 'gutenberg.catalogUrl', label: 'Gutenberg Catalog', keywords: ['gutenberg', 'catalog', 'import', 'mirror', 'public domain'] },
+    { path: 'gutenberg.textUrl', label: 'Gutenberg Text URL', keywords: ['gutenberg', 'download', 'import', 'mirror', 'public domain'] },
     { path: 'gitIntegration.provider', label: 'Git Provider', keywords: ['git', 'github', 'gitlab', 'bitbucket', 'version', 'control'] },
     { path: 'gitIntegration.autoSync', label: 'Auto Sync', keywords: ['auto', 'sync', 'automatic', 'backup', 'git'] },
     { path: 'privacy.agreedToTerms', label: 'Privacy Agreement', keywords: ['privacy', 'terms', 'agreement', 'consent'] }
@@ -0,0 +1,394 @@
+/**
+ * HunspellDictionary - Checks words against a Hunspell .aff/.dic dictionary
+ * Supports the parts of the format word lists for prose rely on: single, long and numeric flags,
+ * prefix and suffix rules with conditions and cross products, TRY, REP, NOSUGGEST, FORBIDDENWORD
+ * and NEEDAFFIX. Compounding and morphology are ignored, so ONLYINCOMPOUND words are left out.
+ * Every affixed form is expanded up front, so checking a word is a set lookup.
+ */
+
+const APOSTROPHES = /[’‘ʼ]/g
+const MAX_EDIT_DISTANCE_2_LENGTH = 10
+
+export class HunspellDictionary {
+  /**
+   * @param {string} aff - Contents of the .aff file
+   * @param {string} dic - Contents of the .dic file
+   */
+  constructor(aff = '', dic = '') {
+    this.flagType = 'single'
+    this.tryChars = ''
+    this.replacements = []
+    this.rules = new Map()
+    this.noSuggestFlag = null
+    this.forbiddenFlag = null
+    this.needAffixFlag = null
+    this.onlyInCompoundFlag = null
+
+    this.words = new Set()
+    this.noSuggest = new Set()
+    this.forbidden = new Set()
+
+    this.parseAff(aff)
+    this.parseDic(dic)
+  }
+
+  /**
+   * Fetch and parse a dictionary
+   * @param {string} url - Dictionary URL without extension, e.g. /dictionaries/en_US
+   * @returns {Promise<HunspellDictionary>} Dictionary
+   */
+  static async load(url) {
+    const [aff, dic] = await Promise.all(
+      ['aff', 'dic'].map(async (extension) => {
+        const response = await fetch(`${url}.${extension}`)
+        if (!response.ok) {
+          throw new Error(`Failed to load dictionary ${url}.${extension}: ${response.status}`)
+        }
+        return response.text()
+      })
+    )
+    return new HunspellDictionary(aff, dic)
+  }
+
+  /**
+   * Number of words, counting every affixed form
+   * @returns {number} Word count
+   */
+  get size() {
+    return this.words.size
+  }
+
+  /**
+   * Check the spelling of a word
+   * Lowercase dictionary words also match when capitalized or written in capitals
+   * @param {string} word - Word to check
+   * @returns {boolean} True when the word is spelled correctly
+   */
+  check(word) {
+    const normalized = normalize(word)
+    if (!normalized) return true
+    if (this.forbidden.has(normalized)) return false
+    if (this.words.has(normalized)) return true
+
+    const lower = normalized.toLowerCase()
+    if (normalized === capitalize(lower) || normalized === normalized.toUpperCase()) {
+      if (this.forbidden.has(lower)) return false
+      if (this.words.has(lower)) return true
+    }
+    if (normalized === normalized.toUpperCase()) {
+      return this.words.has(capitalize(lower))
+    }
+
+    return false
+  }
+
+  /**
+   * Suggest corrections for a misspelled word, best first
+   * Tries case fixes, the REP table, one edit, splitting the word in two and then two edits
+   * @param {string} word - Misspelled word
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array<string>} Suggestions in the case the word was written in
+   */
+  suggest(word, limit = 5) {
+    const normalized = normalize(word)
+    if (!normalized || limit <= 0) return []
+
+    const lower = normalized.toLowerCase()
+    const found = new Set()
+    const add = (candidate) => {
+      if (candidate !== lower && this.isSuggestible(candidate)) found.add(candidate)
+      return found.size >= limit
+    }
+
+    const done =
+      add(capitalize(lower)) ||
+      this.replacementCandidates(lower).some(add) ||
+      this.rank(
+        lower,
+        this.edits(lower).filter((c) => this.isSuggestible(c))
+      ).some(add) ||
+      this.splitCandidates(lower).some(add)
+
+    if (!done && found.size === 0 && lower.length <= MAX_EDIT_DISTANCE_2_LENGTH) {
+      const twoEdits = new Set()
+      for (const edit of this.edits(lower)) {
+        for (const candidate of this.edits(edit)) {
+          if (this.isSuggestible(candidate)) twoEdits.add(candidate)
+        }
+      }
+      this.rank(lower, [...twoEdits]).some(add)
+    }
+
+    return [...found].map((suggestion) => matchCase(suggestion, normalized))
+  }
+
+  /**
+   * @private
+   */
+  parseAff(aff) {
+    const lines = aff.split(/\r?\n/)
+
+    for (let index = 0; index < lines.length; index++) {
+      const line = lines[index].trim()
+      if (!line || line.startsWith('#')) continue
+
+      const [directive, ...args] = line.split(/\s+/)
+      switch (directive) {
+        case 'FLAG':
+          if (args[0] === 'long' || args[0] === 'num') {
+            this.flagType = args[0]
+          } else {
+            this.flagType = 'single'
+          }
+          break
+
+        case 'TRY':
+          this.tryChars = args[0] || ''
+          break
+
+        case 'NOSUGGEST':
+          this.noSuggestFlag = args[0]
+          break
+
+        case 'FORBIDDENWORD':
+          this.forbiddenFlag = args[0]
+          break
+
+        case 'NEEDAFFIX':
+        case 'PSEUDOROOT':
+          this.needAffixFlag = args[0]
+          break
+
+        case 'ONLYINCOMPOUND':
+          this.onlyInCompoundFlag = args[0]
+          break
+
+        case 'REP':
+          // The first REP line only holds the number of entries
+          if (args.length >= 2) {
+            this.replacements.push([args[0].replace(/_/g, ' '), args[1].replace(/_/g, ' ')])
+          }
+          break
+
+        case 'PFX':
+        case 'SFX': {
+          const [flag, cross, count] = args
+          const total = parseInt(count, 10) || 0
+          const rule = { type: directive, cross: cross === 'Y', entries: [] }
+
+          for (let entry = 0; entry < total && index + 1 < lines.length; entry++) {
+            const [, , strip, affix = '0', condition = '.'] = lines[++index].trim().split(/\s+/)
+            rule.entries.push(this.parseAffixEntry(directive, strip, affix, condition))
+          }
+          this.rules.set(flag, rule)
+          break
+        }
+
+        default:
+          break
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseAffixEntry(type, strip, affix, condition) {
+    const add = affix.split('/')[0] // Continuation classes are not supported
+    let pattern = null
+    if (condition !== '.') {
+      try {
+        pattern = new RegExp(type === 'SFX' ? `${condition}$` : `^${condition}`, 'u')
+      } catch {
+        pattern = /(?!)/ // Never matches
+      }
+    }
+
+    return {
+      strip: strip === '0' ? '' : strip,
+      add: add === '0' ? '' : add,
+      pattern
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseDic(dic) {
+    const lines = dic.split(/\r?\n/)
+    const start = /^\d+\s*$/.test(lines[0] || '') ? 1 : 0
+
+    for (const rawLine of lines.slice(start)) {
+      const line = rawLine.split(/\t/)[0].trim()
+      if (!line || line.startsWith('#')) continue
+
+      // Morphological fields follow the word after a space
+      const entry = line.split(/\s+/)[0]
+      const slash = entry.search(/(?<!\\)\//)
+      const word = (slash === -1 ? entry : entry.slice(0, slash)).replace(/\\\//g, '/')
+      const flags = slash === -1 ? [] : this.parseFlags(entry.slice(slash + 1))
+
+      this.addEntry(normalize(word), flags)
+    }
+  }
+
+  /**
+   * @private
+   */
+  parseFlags(text) {
+    if (this.flagType === 'long') return text.match(/.{1,2}/gu) || []
+    if (this.flagType === 'num') return text.split(',').filter(Boolean)
+    return [...text]
+  }
+
+  /**
+   * Expand a dictionary entry into every form its affix flags allow
+   * @private
+   */
+  addEntry(word, flags) {
+    if (!word || flags.includes(this.onlyInCompoundFlag)) return
+
+    if (flags.includes(this.forbiddenFlag)) {
+      this.forbidden.add(word)
+      return
+    }
+
+    const forms = flags.includes(this.needAffixFlag) ? [] : [word]
+    const prefixes = flags.map((flag) => this.rules.get(flag)).filter((r) => r?.type === 'PFX')
+    const suffixes = flags.map((flag) => this.rules.get(flag)).filter((r) => r?.type === 'SFX')
+
+    for (const suffix of suffixes) {
+      for (const form of applyRule(suffix, word)) {
+        forms.push(form)
+        if (!suffix.cross) continue
+        for (const prefix of prefixes.filter((rule) => rule.cross)) {
+          forms.push(...applyRule(prefix, form))
+        }
+      }
+    }
+    for (const prefix of prefixes) {
+      forms.push(...applyRule(prefix, word))
+    }
+
+    const target = flags.includes(this.noSuggestFlag) ? this.noSuggest : null
+    for (const form of forms) {
+      this.words.add(form)
+      target?.add(form)
+    }
+  }
+
+  /**
+   * @private
+   */
+  isSuggestible(candidate) {
+    if (!candidate) return false
+    if (candidate.includes(' '))
+      return candidate.split(' ').every((part) => this.isSuggestible(part))
+    return this.check(candidate) && !this.noSuggest.has(candidate)
+  }
+
+  /**
+   * @private
+   */
+  replacementCandidates(word) {
+    const candidates = []
+    for (const [from, to] of this.replacements) {
+      let index = word.indexOf(from)
+      while (index !== -1) {
+        candidates.push(word.slice(0, index) + to + word.slice(index + from.length))
+        index = word.indexOf(from, index + 1)
+      }
+    }
+    return candidates
+  }
+
+  /**
+   * Every string one deletion, transposition, replacement or insertion away
+   * @private
+   */
+  edits(word) {
+    const letters = [...new Set(`${this.tryChars.toLowerCase()}abcdefghijklmnopqrstuvwxyz'`)]
+    const results = []
+
+    for (let i = 0; i <= word.length; i++) {
+      const head = word.slice(0, i)
+      const tail = word.slice(i)
+      if (tail) results.push(head + tail.slice(1))
+      if (tail.length > 1) results.push(head + tail[1] + tail[0] + tail.slice(2))
+      for (const letter of letters) {
+        if (tail && letter !== tail[0]) results.push(head + letter + tail.slice(1))
+        results.push(head + letter + tail)
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * @private
+   */
+  splitCandidates(word) {
+    const candidates = []
+    for (let i = 1; i < word.length; i++) {
+      candidates.push(`${word.slice(0, i)} ${word.slice(i)}`)
+    }
+    return candidates
+  }
+
+  /**
+   * Order candidates so those keeping the first letter and length come first
+   * @private
+   */
+  rank(word, candidates) {
+    const score = (candidate) =>
+      (candidate[0] === word[0] ? 0 : 2) + Math.abs(candidate.length - word.length)
+    return [...new Set(candidates)].sort((a, b) => score(a) - score(b))
+  }
+}
+
+/**
+ * @private
+ */
+function applyRule(rule, word) {
+  const forms = []
+  for (const { strip, add, pattern } of rule.entries) {
+    if (pattern && !pattern.test(word)) continue
+
+    if (rule.type === 'SFX') {
+      if (strip && !word.endsWith(strip)) continue
+      forms.push(word.slice(0, word.length - strip.length) + add)
+    } else {
+      if (strip && !word.startsWith(strip)) continue
+      forms.push(add + word.slice(strip.length))
+    }
+  }
+  return forms
+}
+
+/**
+ * @private
+ */
+function normalize(word) {
+  return (word || '').normalize('NFC').replace(APOSTROPHES, "'")
+}
+
+/**
+ * @private
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1)
+}
+
+/**
+ * Write a suggestion in the case of the misspelled word
+ * @private
+ */
+function matchCase(suggestion, original) {
+  if (original.length > 1 && original === original.toUpperCase()) {
+    return suggestion.toUpperCase()
+  }
+  if (original[0] === original[0].toUpperCase()) {
+    return capitalize(suggestion)
+  }
+  return suggestion
+}
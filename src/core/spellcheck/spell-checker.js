@@ -0,0 +1,283 @@
+/**
+ * SpellChecker - Spell checking for manuscripts full of invented words
+ * Words are checked against the bundled Hunspell dictionary plus custom words:
+ * - codex entry names, their list values such as aliases, and document tags, imported automatically
+ * - the dictionary of the current document's project, which syncs with the project manifest
+ * - the workspace dictionary in the spellcheck.words setting, for documents outside a project
+ */
+import { HunspellDictionary } from './hunspell-dictionary.js'
+import { WORD_PATTERN, maskNonProse } from '../../utils/prose.js'
+
+const MAX_WORD_LENGTH = 60
+
+export class SpellChecker {
+  /**
+   * @param {StorageManager} storageManager - Documents, codex entries and projects
+   * @param {SettingsManager} settingsManager - Holds the workspace dictionary
+   * @param {ProjectManager} projectManager - Holds project dictionaries
+   * @param {Object} options - dictionaryUrl (without extension) or a loaded dictionary
+   */
+  constructor(storageManager, settingsManager = null, projectManager = null, options = {}) {
+    this.storageManager = storageManager
+    this.settingsManager = settingsManager
+    this.projectManager = projectManager
+    this.dictionaryUrl = options.dictionaryUrl || '/dictionaries/en_US'
+    this.dictionary = options.dictionary || null
+    this.dictionaryPromise = null
+
+    this.document = null
+    this.project = null
+    this.projectPromise = null
+    this.customWords = null
+    this.pending = null
+  }
+
+  /**
+   * Load the dictionary and custom words if needed
+   * @returns {Promise<void>}
+   */
+  async ready() {
+    if (!this.dictionary) {
+      this.dictionaryPromise ||= HunspellDictionary.load(this.dictionaryUrl).catch((error) => {
+        this.dictionaryPromise = null
+        throw error
+      })
+      this.dictionary = await this.dictionaryPromise
+    }
+    await this.projectPromise
+
+    while (!this.customWords) {
+      this.pending ||= this.loadCustomWords()
+      const pending = this.pending
+      const words = await pending
+      // A newer load may have started while this one ran
+      if (this.pending === pending) {
+        this.customWords = words
+        this.pending = null
+      }
+    }
+  }
+
+  /**
+   * Check words against the dictionary for this document and its project
+   * @param {Object|null} doc - Document being edited
+   * @returns {Promise<void>}
+   */
+  async setDocument(doc) {
+    this.document = doc || null
+    this.projectPromise = this.findProject(this.document).then((project) => {
+      if (this.document === (doc || null)) this.project = project
+    })
+    this.invalidate()
+    await this.projectPromise
+  }
+
+  /**
+   * Re-read custom words on the next check, e.g. after codex entries or tags change
+   */
+  invalidate() {
+    this.customWords = null
+    this.pending = null
+  }
+
+  /**
+   * Check the spelling of a word; call ready() first
+   * @param {string} word - Word to check
+   * @returns {boolean} True when the word is spelled correctly or is a custom word
+   */
+  check(word) {
+    const stem = stripPossessive(word)
+    if (this.customWords?.has(stem.toLowerCase())) return true
+    return !this.dictionary || this.dictionary.check(stem) || this.dictionary.check(word)
+  }
+
+  /**
+   * Suggest corrections for a misspelled word; call ready() first
+   * @param {string} word - Misspelled word
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array<string>} Suggestions, best first
+   */
+  suggest(word, limit = 5) {
+    if (!this.dictionary) return []
+
+    const stem = stripPossessive(word)
+    const suffix = word.slice(stem.length)
+    return this.dictionary.suggest(stem, limit).map((suggestion) => suggestion + suffix)
+  }
+
+  /**
+   * Find the words of a markdown text worth checking
+   * Skips code, links, URLs, markup, words with digits, single letters and all-caps acronyms
+   * @param {string} text - Markdown text
+   * @returns {Array<Object>} [{ from, to, word }]
+   */
+  findWords(text) {
+    const words = []
+    for (const match of maskNonProse(text).matchAll(WORD_PATTERN)) {
+      const word = match[0]
+      if (!isCheckable(word)) continue
+      words.push({ from: match.index, to: match.index + word.length, word })
+    }
+    return words
+  }
+
+  /**
+   * Find misspelled words in a markdown text
+   * @param {string} text - Markdown text
+   * @returns {Promise<Array<Object>>} [{ from, to, word }]
+   */
+  async findMisspellings(text) {
+    await this.ready()
+    return this.findWords(text).filter(({ word }) => !this.check(word))
+  }
+
+  /**
+   * Where "add to dictionary" puts words for the current document
+   * @returns {Object} { type: 'project', project } or { type: 'workspace' }
+   */
+  getScope() {
+    return this.project ? { type: 'project', project: this.project } : { type: 'workspace' }
+  }
+
+  /**
+   * Words added by hand to the dictionary for the current document
+   * @returns {Array<string>} Words sorted alphabetically
+   */
+  getWords() {
+    const words = this.project
+      ? this.project.dictionary
+      : this.settingsManager?.get('spellcheck.words')
+    return [...(words || [])].sort((a, b) => a.localeCompare(b))
+  }
+
+  /**
+   * Add a word to the project dictionary, or the workspace dictionary outside a project
+   * @param {string} word - Word to add
+   * @returns {Promise<boolean>} True if added, false if the word was already there
+   */
+  async addWord(word) {
+    const trimmed = validateWord(stripPossessive(word || ''))
+
+    let added
+    if (this.project) {
+      added = await this.projectManager.addDictionaryWord(this.project.id, trimmed)
+      this.project = await this.projectManager.getProject(this.project.id)
+    } else {
+      const words = this.settingsManager?.get('spellcheck.words') || []
+      added = !words.some((entry) => entry.toLowerCase() === trimmed.toLowerCase())
+      if (added) {
+        const sorted = [...words, trimmed].sort((a, b) => a.localeCompare(b))
+        this.settingsManager.set('spellcheck.words', sorted)
+      }
+    }
+
+    this.customWords?.add(trimmed.toLowerCase())
+    return added
+  }
+
+  /**
+   * Remove a word from the dictionary for the current document
+   * @param {string} word - Word to remove
+   * @returns {Promise<boolean>} True if a word was removed
+   */
+  async removeWord(word) {
+    let removed
+    if (this.project) {
+      removed = await this.projectManager.removeDictionaryWord(this.project.id, word)
+      this.project = await this.projectManager.getProject(this.project.id)
+    } else {
+      const words = this.settingsManager?.get('spellcheck.words') || []
+      const lowerWord = (word || '').trim().toLowerCase()
+      const kept = words.filter((entry) => entry.toLowerCase() !== lowerWord)
+      removed = kept.length !== words.length
+      if (removed) this.settingsManager.set('spellcheck.words', kept)
+    }
+
+    this.invalidate()
+    return removed
+  }
+
+  /**
+   * @private
+   */
+  async findProject(doc) {
+    if (!doc?.id || !this.projectManager) return null
+    try {
+      const [project] = await this.projectManager.getProjectsForDocument(doc.id)
+      return project || null
+    } catch (error) {
+      console.warn('Failed to find the project for spell checking:', error)
+      return null
+    }
+  }
+
+  /**
+   * Collect custom words, lower-cased
+   * Re-reads the project so dictionary changes pulled by sync are picked up
+   * @private
+   */
+  async loadCustomWords() {
+    if (this.project) {
+      this.project = await this.projectManager.getProject(this.project.id).catch(() => null)
+    }
+
+    const words = new Set()
+    const addText = (text) => {
+      for (const [word] of String(text || '').matchAll(WORD_PATTERN)) {
+        words.add(stripPossessive(word).toLowerCase())
+      }
+    }
+
+    try {
+      const documents = await this.storageManager.getAllDocuments()
+      for (const doc of documents) {
+        ;(doc.tags || []).forEach(addText)
+        if (doc.type !== 'codex') continue
+
+        addText(doc.title)
+        for (const value of Object.values(doc.fields || {})) {
+          if (Array.isArray(value)) value.forEach(addText)
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to import codex names for spell checking:', error)
+    }
+
+    this.getWords().forEach(addText)
+    return words
+  }
+}
+
+/**
+ * @private
+ */
+function isCheckable(word) {
+  if (word.length < 2 || word.length > MAX_WORD_LENGTH) return false
+  if (/\p{N}/u.test(word)) return false
+  // Acronyms such as "NPC" or "HP"
+  return word !== word.toUpperCase() || word === word.toLowerCase()
+}
+
+/**
+ * @private
+ */
+function stripPossessive(word) {
+  return word.replace(/['’]s$/i, '')
+}
+
+/**
+ * @private
+ */
+function validateWord(word) {
+  const trimmed = (word || '').trim()
+  if (!trimmed) {
+    throw new Error('Word is required')
+  }
+  if (/\s/.test(trimmed)) {
+    throw new Error('Add one word at a time')
+  }
+  if (trimmed.length > MAX_WORD_LENGTH) {
+    throw new Error(`Words must be at most ${MAX_WORD_LENGTH} characters`)
+  }
+  return trimmed
+}
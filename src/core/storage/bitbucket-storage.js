@@ -0,0 +1,322 @@
+/**
+ * BitbucketStorage - Bitbucket Cloud repository storage backend
+ * Uses the Bitbucket REST API 2.0 through the OAuth proxy. Saves post every file to the src
+ * endpoint, which writes them (and deletes moved-away paths) in one commit; listings read the
+ * branch with a recursive src listing.
+ *
+ * Bitbucket does not report blob SHAs, so each file's "SHA" is a checksum of its content. That
+ * keeps change detection working, but a listing has to download every file to compare it.
+ */
+import { StorageBackend, DOCUMENTS_GITKEEP } from './storage-backend.js'
+
+const MAX_FOLDER_DEPTH = 10
+
+export class BitbucketStorage extends StorageBackend {
+  constructor(bitbucketAuth) {
+    super(bitbucketAuth, { name: 'bitbucket', displayName: 'Bitbucket' })
+  }
+
+  /**
+   * Make a request against this repository's API
+   * @param {string} path - Path below /repositories/{workspace}/{repo}, starting with '/'
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response data
+   */
+  async repoRequest(path, options = {}) {
+    return await this.auth.makeAuthenticatedRequest(
+      `/repositories/${this.owner}/${this.repo}${path}`,
+      options
+    )
+  }
+
+  /**
+   * Post files to the src endpoint, which creates one commit on the branch
+   * @param {Object} fields - Form fields: paths mapped to content, plus message and files
+   * @returns {Promise<Object>} Response data
+   */
+  async postSource(fields) {
+    const form = new URLSearchParams({ branch: this.branch })
+    for (const [name, value] of Object.entries(fields)) {
+      for (const item of [].concat(value)) {
+        form.append(name, item)
+      }
+    }
+
+    return await this.repoRequest('/src', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    })
+  }
+
+  /**
+   * Check if repository exists and is accessible
+   * @returns {Promise<boolean>} Repository accessibility
+   */
+  async verifyRepository() {
+    if (!this.auth.isAuthenticated() || !this.owner || !this.repo) {
+      return false
+    }
+
+    try {
+      await this.repoRequest('')
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * List every file on the branch, following the listing's pages
+   * @param {string} path - Folder to list, the whole repository by default
+   * @returns {Promise<Array>} File entries as { path, sha: null, size, commit }
+   */
+  async getRepositoryTree(path = '') {
+    const entries = []
+    const folder = path ? `${path}/` : ''
+    let next = `/src/${encodeURIComponent(this.branch)}/${folder}?max_depth=${MAX_FOLDER_DEPTH}&pagelen=100`
+
+    while (next) {
+      let page
+      try {
+        page = await this.repoRequest(next)
+      } catch (error) {
+        if (this.isNotFoundError(error)) {
+          return [] // Empty repository, missing branch or folder
+        }
+        throw error
+      }
+
+      page.values
+        .filter((item) => item.type === 'commit_file')
+        .forEach((item) =>
+          entries.push({ path: item.path, sha: null, size: item.size, commit: item.commit?.hash })
+        )
+
+      // Page links are absolute URLs; keep the part below the repository
+      next = page.next ? page.next.slice(page.next.indexOf('/src/')) : null
+    }
+
+    return entries
+  }
+
+  /**
+   * Download a listed file and derive its SHA from the content
+   * @param {Object} entry - Repository file from getRepositoryTree()
+   * @returns {Promise<Object>} { content, sha }
+   */
+  async readEntry(entry) {
+    const content = await this.loadContent(entry.path, entry.commit)
+    return { content, sha: this.generateChecksum(content) }
+  }
+
+  /**
+   * Download a file by path
+   * @param {string} filepath - Repository path
+   * @returns {Promise<Object>} { content, sha }
+   */
+  async loadFile(filepath) {
+    const content = await this.loadContent(filepath)
+    return { content, sha: this.generateChecksum(content) }
+  }
+
+  /**
+   * Download the raw content of a file
+   * @param {string} filepath - Repository path
+   * @param {string} commit - Commit to read from, the branch head by default
+   * @returns {Promise<string>} File content
+   */
+  async loadContent(filepath, commit = this.branch) {
+    const file = await this.repoRequest(`/src/${encodeURIComponent(commit)}/${filepath}`, {
+      raw: true
+    })
+    return file.content
+  }
+
+  /**
+   * List the repository's branches
+   * @returns {Promise<Array>} Branches as { name, commitSha }
+   */
+  async listBranches() {
+    const page = await this.repoRequest('/refs/branches?pagelen=100')
+    return page.values.map((branch) => ({ name: branch.name, commitSha: branch.target.hash }))
+  }
+
+  /**
+   * Create a branch at the head of another branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from, the configured branch by default
+   * @returns {Promise<void>}
+   */
+  async createBranch(name, from = this.branch) {
+    const source = await this.repoRequest(`/refs/branches/${encodeURIComponent(from)}`)
+    await this.repoRequest('/refs/branches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, target: { hash: source.target.hash } })
+    })
+  }
+
+  /**
+   * Find the last commit two branches have in common
+   * @param {string} base - Branch merged into
+   * @param {string} head - Branch merged from
+   * @returns {Promise<string|null>} Merge base commit SHA
+   */
+  async getMergeBase(base, head) {
+    const commit = await this.repoRequest(
+      `/merge-base/${encodeURIComponent(base)}..${encodeURIComponent(head)}`
+    )
+    return commit.hash || null
+  }
+
+  /**
+   * List the commits on the branch that changed a file, newest first
+   * @param {string} filepath - Repository path
+   * @param {number} limit - Maximum number of commits (at most 100)
+   * @returns {Promise<Array>} Commits as { sha, message, author, date }
+   */
+  async listCommits(filepath, limit = 30) {
+    const query = new URLSearchParams({ path: filepath, pagelen: limit })
+    const page = await this.repoRequest(`/commits/${encodeURIComponent(this.branch)}?${query}`)
+    return page.values.slice(0, limit).map((commit) => ({
+      sha: commit.hash,
+      message: commit.message,
+      // raw is "Name <email>"; linked accounts also have a display name
+      author: commit.author.user?.display_name || commit.author.raw.replace(/\s*<.*>$/, ''),
+      date: commit.date
+    }))
+  }
+
+  /**
+   * Find the path a commit renamed a file from
+   * @param {string} sha - Commit SHA
+   * @param {string} filepath - Repository path after the commit
+   * @returns {Promise<string|null>} Previous path, or null when the commit did not rename the file
+   */
+  async getRenamedFrom(sha, filepath) {
+    const query = new URLSearchParams({ pagelen: 100 })
+    const page = await this.repoRequest(`/diffstat/${encodeURIComponent(sha)}?${query}`)
+    const entry = page.values.find(
+      (item) => item.status === 'renamed' && item.new?.path === filepath
+    )
+    return entry?.old?.path || null
+  }
+
+  /**
+   * Write files to the branch as one commit
+   * A file with a different previousPath is deleted from there in the same commit.
+   * @param {Array} files - Files as { path, content, previousPath }
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commitSha, files: [{ path, sha }] } with the content checksums
+   */
+  async commitFiles(files, message) {
+    const fields = { message }
+    const removed = []
+
+    files.forEach((file) => {
+      fields[file.path] = file.content
+      if (file.previousPath && file.previousPath !== file.path) {
+        removed.push(file.previousPath)
+      }
+    })
+    if (removed.length > 0) {
+      fields.files = removed
+    }
+
+    await this.postSource(fields)
+
+    // The src endpoint answers 201 without a body, so read the new head from the branch
+    const branch = await this.repoRequest(`/refs/branches/${encodeURIComponent(this.branch)}`)
+    return {
+      commitSha: branch.target.hash,
+      files: files.map((file) => ({ path: file.path, sha: this.generateChecksum(file.content) }))
+    }
+  }
+
+  /**
+   * Delete file from Bitbucket repository
+   * @param {string} filepath - Path to file to delete
+   * @param {string} sha - Unused; Bitbucket deletes by path
+   * @param {string} message - Commit message
+   * @returns {Promise<void>}
+   */
+  async deleteFile(filepath, sha, message) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    await this.postSource({ message: message || `Delete ${filepath}`, files: filepath })
+  }
+
+  /**
+   * Create default Fantasy Editor repository in the user's workspace
+   * @param {string} username - Bitbucket workspace
+   * @returns {Promise<boolean>} Success status
+   */
+  async createDefaultRepository(username) {
+    try {
+      let repo
+      try {
+        repo = await this.auth.makeAuthenticatedRequest(`/repositories/${username}/fantasy-editor`)
+      } catch (error) {
+        // Repository doesn't exist yet (normal flow)
+        repo = await this.auth.makeAuthenticatedRequest(
+          `/repositories/${username}/fantasy-editor`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              scm: 'git',
+              is_private: true,
+              description:
+                'Documents created with Fantasy Editor - A distraction-free markdown editor for creative writers'
+            })
+          }
+        )
+      }
+
+      this.updateConfig({
+        owner: username,
+        repo: 'fantasy-editor',
+        branch: repo.mainbranch?.name || 'main'
+      })
+
+      try {
+        await this.ensureDocumentsDirectory()
+      } catch (error) {
+        // Silently handle - directory will be created when first document is saved
+      }
+
+      return true
+    } catch (error) {
+      console.error('Failed to create default repository:', error)
+      return false
+    }
+  }
+
+  /**
+   * Ensure documents directory exists in repository
+   * Committing the .gitkeep file also creates the branch in an empty repository.
+   * @returns {Promise<void>}
+   */
+  async ensureDocumentsDirectory() {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured')
+    }
+
+    if ((await this.getRepositoryTree(this.documentsPath)).length > 0) {
+      return
+    }
+
+    try {
+      await this.postSource({
+        message: 'Initialize documents directory',
+        [`${this.documentsPath}/.gitkeep`]: DOCUMENTS_GITKEEP
+      })
+    } catch (error) {
+      console.error('Failed to create documents directory:', error)
+      throw error
+    }
+  }
+}
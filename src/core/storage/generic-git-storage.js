@@ -0,0 +1,169 @@
+/**
+ * GenericGitStorage - Storage backend for self-hosted Gitea and Forgejo servers
+ * Their API follows GitHub's for repositories, contents, trees and blobs, so reading works as
+ * in GitHubStorage. They have no Git Data write endpoints; saves go through the multi-file
+ * contents endpoint instead, which writes, updates and renames files in one commit.
+ */
+import { GitHubStorage } from './github-storage.js'
+import { DOCUMENTS_GITKEEP } from './storage-backend.js'
+
+export class GenericGitStorage extends GitHubStorage {
+  /**
+   * @param {Object} auth - AuthManager logged in to the self-hosted provider
+   * @param {string} displayName - Name of the server shown in messages, e.g. 'Codeberg'
+   */
+  constructor(auth, displayName = 'Git') {
+    super(auth, { name: 'generic', displayName })
+  }
+
+  /**
+   * Get the head commit of the configured branch
+   * Gitea reports the commit without its tree; tree requests accept the commit SHA instead.
+   * @returns {Promise<Object>} { commitSha, treeSha }
+   */
+  async getBranchHead() {
+    const branch = await this.gitRequest(`branches/${this.branch}`)
+    return { commitSha: branch.commit.id, treeSha: branch.commit.id }
+  }
+
+  /**
+   * List the repository's branches
+   * @returns {Promise<Array>} Branches as { name, commitSha }
+   */
+  async listBranches() {
+    const branches = await this.gitRequest('branches?limit=50')
+    return branches.map((branch) => ({ name: branch.name, commitSha: branch.commit.id }))
+  }
+
+  /**
+   * Create a branch at the head of another branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from, the configured branch by default
+   * @returns {Promise<void>}
+   */
+  async createBranch(name, from = this.branch) {
+    await this.gitRequest('branches', {
+      method: 'POST',
+      body: { new_branch_name: name, old_branch_name: from }
+    })
+  }
+
+  /**
+   * Find the last commit two branches have in common
+   * Gitea's compare lists the commits only on head; the parent of the oldest one is the merge
+   * base. Without such commits head is already part of base.
+   * @param {string} base - Branch merged into
+   * @param {string} head - Branch merged from
+   * @returns {Promise<string|null>} Merge base commit SHA
+   */
+  async getMergeBase(base, head) {
+    const comparison = await this.gitRequest(
+      `compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`
+    )
+    const commits = comparison.commits || []
+    if (commits.length === 0) {
+      return (await this.forBranch(head).getBranchHead()).commitSha
+    }
+
+    const shas = new Set(commits.map((commit) => commit.sha))
+    const oldest = commits.find((commit) => !shas.has(commit.parents?.[0]?.sha))
+    return oldest?.parents?.[0]?.sha || null
+  }
+
+  /**
+   * List the commits on the branch that changed a file, newest first
+   * Same response as GitHub's, but Gitea pages with limit instead of per_page.
+   * @param {string} filepath - Repository path
+   * @param {number} limit - Maximum number of commits
+   * @returns {Promise<Array>} Commits as { sha, message, author, date }
+   */
+  async listCommits(filepath, limit = 30) {
+    const query = new URLSearchParams({ sha: this.branch, path: filepath, limit })
+    const commits = await this.gitRequest(`commits?${query}`)
+    return commits.map((commit) => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      author: commit.commit.author?.name || commit.author?.login || 'Unknown',
+      date: commit.commit.author?.date
+    }))
+  }
+
+  /**
+   * Find the path a commit renamed a file from
+   * Gitea lists a commit's files under git/commits; servers too old to report the previous
+   * name of a renamed file end the history at the rename.
+   * @param {string} sha - Commit SHA
+   * @param {string} filepath - Repository path after the commit
+   * @returns {Promise<string|null>} Previous path, or null when the commit did not rename the file
+   */
+  async getRenamedFrom(sha, filepath) {
+    const commit = await this.gitRequest(`git/commits/${encodeURIComponent(sha)}`)
+    const file = (commit.files || []).find((item) => item.filename === filepath)
+    return file?.previous_filename || null
+  }
+
+  /**
+   * Write files to the branch as one commit
+   * Existing files are updated by SHA; a file with a different previousPath is renamed from
+   * there, so git records the move.
+   * @param {Array} files - Files as { path, content, previousPath }
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commitSha, files: [{ path, sha }] } with the blob SHA of each file
+   */
+  async commitFiles(files, message) {
+    const existing = new Map(
+      (await this.getRepositoryTree()).map((entry) => [entry.path, entry.sha])
+    )
+
+    const changes = files.map((file) => {
+      const change = {
+        path: file.path,
+        content: btoa(unescape(encodeURIComponent(file.content))) // Base64 encode UTF-8
+      }
+
+      if (file.previousPath && file.previousPath !== file.path && existing.has(file.previousPath)) {
+        return {
+          ...change,
+          operation: 'update',
+          from_path: file.previousPath,
+          sha: existing.get(file.previousPath)
+        }
+      }
+      if (existing.has(file.path)) {
+        return { ...change, operation: 'update', sha: existing.get(file.path) }
+      }
+      return { ...change, operation: 'create' }
+    })
+
+    const result = await this.gitRequest('contents', {
+      method: 'POST',
+      body: { branch: this.branch, message, files: changes }
+    })
+
+    const shas = new Map(result.files.map((file) => [file.path, file.sha]))
+    return {
+      commitSha: result.commit.sha,
+      files: files.map((file) => ({ path: file.path, sha: shas.get(file.path) }))
+    }
+  }
+
+  /**
+   * Ensure documents directory exists in repository
+   * @returns {Promise<void>}
+   */
+  async ensureDocumentsDirectory() {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured')
+    }
+
+    const prefix = `${this.documentsPath}/`
+    if ((await this.getRepositoryTree()).some((entry) => entry.path.startsWith(prefix))) {
+      return
+    }
+
+    await this.commitFiles(
+      [{ path: `${prefix}.gitkeep`, content: DOCUMENTS_GITKEEP }],
+      'Initialize documents directory'
+    )
+  }
+}
@@ -1,268 +1,38 @@
 /**
- * GitHubStorage - GitHub repository storage manager
- * Handles document CRUD operations using GitHub Contents API
+ * GitHubStorage - GitHub repository storage backend
+ * Saves are written through the Git Data API (blobs, trees, commits, refs) so any number of
+ * documents lands in one commit, and listings read the branch with a single recursive tree
+ * request.
  */
-export class GitHubStorage {
-  constructor(githubAuth) {
-    this.auth = githubAuth
-    this.owner = null
-    this.repo = null
-    this.branch = 'main'
-    this.documentsPath = 'documents'
-    
-    // Load saved configuration from localStorage if available
-    this.loadSavedConfig()
-  }
-  
-  /**
-   * Load saved configuration from localStorage
-   */
-  loadSavedConfig() {
-    try {
-      const savedConfig = localStorage.getItem('fantasy-editor-github-config')
-      if (savedConfig) {
-        const config = JSON.parse(savedConfig)
-        if (config.configured) {
-          this.owner = config.owner
-          this.repo = config.repo
-          this.branch = config.branch || 'main'
-          this.documentsPath = config.documentsPath || 'documents'
-        }
-      }
-    } catch (error) {
-      console.error('Failed to load saved GitHub configuration:', error)
-    }
-  }
-
-  /**
-   * Initialize GitHub storage with repository configuration
-   * @param {Object} config - Repository configuration
-   * @param {string} config.owner - Repository owner
-   * @param {string} config.repo - Repository name
-   * @param {string} config.branch - Branch name (default: main)
-   * @param {string} config.documentsPath - Path for documents (default: documents)
-   */
-  init(config) {
-    if (!config.owner || !config.repo) {
-      throw new Error('Repository owner and name are required')
-    }
-
-    this.owner = config.owner
-    this.repo = config.repo
-    this.branch = config.branch || 'main'
-    this.documentsPath = config.documentsPath || 'documents'
-  }
+import { StorageBackend, DOCUMENTS_GITKEEP } from './storage-backend.js'
 
+export class GitHubStorage extends StorageBackend {
   /**
-   * Check if storage is configured
-   * @returns {boolean} Configuration status
+   * @param {Object} githubAuth - AuthManager logged in to GitHub
+   * @param {Object} provider - Git host, for hosts that speak the GitHub API
    */
-  isConfigured() {
-    return !!(this.owner && this.repo && this.auth.isAuthenticated())
-  }
-
-  /**
-   * Save document to GitHub repository
-   * @param {Object} document - Document object
-   * @returns {Promise<Object>} GitHub file object
-   */
-  async saveDocument(document) {
-    if (!this.isConfigured()) {
-      throw new Error('Git repository storage not configured or not authenticated')
-    }
-
-    if (!document.id || !document.title) {
-      throw new Error('Document must have id and title')
-    }
-
-    try {
-      const filename = this.generateFilename(document)
-      const filepath = `${this.documentsPath}/${filename}`
-      const content = this.formatDocumentContent(document)
-
-      // Check if file already exists (only for previously synced documents)
-      let existingFile = null
-      const hasBeenSynced = document.remoteSha || document.lastSyncedAt || document.githubSha
-
-      if (hasBeenSynced) {
-        // Only check remote file for documents that have been synced before
-        try {
-          existingFile = await this.getFileInfo(filepath)
-        } catch (error) {
-          // If we can't check file existence for a previously synced document, throw error
-          throw new Error(`Failed to verify file existence: ${error.message}`)
-        }
-      }
-      // For new documents (never synced), existingFile remains null = create new file
-
-      const requestBody = {
-        message: existingFile
-          ? `Update document: ${document.title}`
-          : `Create document: ${document.title}`,
-        content: btoa(unescape(encodeURIComponent(content))), // Base64 encode UTF-8
-        branch: this.branch
-      }
-
-      // Include SHA if updating existing file
-      if (existingFile) {
-        requestBody.sha = existingFile.sha
-      }
-
-      const result = await this.auth.makeAuthenticatedRequest(
-        `/repos/${this.owner}/${this.repo}/contents/${filepath}`,
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(requestBody)
-        }
-      )
-
-      // makeAuthenticatedRequest returns JSON data on success or throws on error
-
-      return {
-        ...result,
-        document: {
-          ...document,
-          githubSha: result.content.sha,
-          githubPath: filepath,
-          lastSyncedAt: new Date().toISOString()
-        }
-      }
-    } catch (error) {
-      throw new Error(`GitHub save failed: ${error.message}`)
-    }
+  constructor(githubAuth, provider = { name: 'github', displayName: 'GitHub' }) {
+    super(githubAuth, provider)
   }
 
   /**
-   * Load document from GitHub repository
-   * @param {string} filepath - Path to document file
-   * @returns {Promise<Object>} Document object
+   * Download a file through the contents API
+   * @param {string} filepath - Repository path
+   * @returns {Promise<Object>} { content, sha }
    */
-  async loadDocument(filepath) {
-    if (!this.isConfigured()) {
-      throw new Error('Git repository storage not configured or not authenticated')
-    }
-
-    try {
-      const fileData = await this.auth.makeAuthenticatedRequest(
-        `/repos/${this.owner}/${this.repo}/contents/${filepath}`,
-        {
-          headers: {
-            Accept: 'application/vnd.github.v3+json'
-          }
-        }
-      )
-
-      // makeAuthenticatedRequest returns JSON data on success or throws on error
-      const content = decodeURIComponent(escape(atob(fileData.content)))
-
-      return this.parseDocumentContent(content, {
-        githubSha: fileData.sha,
-        githubPath: filepath,
-        lastSyncedAt: new Date().toISOString()
-      })
-    } catch (error) {
-      throw new Error(`GitHub load failed: ${error.message}`)
-    }
-  }
-
-  /**
-   * List all documents in GitHub repository
-   * @returns {Promise<Array>} Array of document metadata
-   */
-  async listDocuments() {
-    if (!this.isConfigured()) {
-      throw new Error('Git repository storage not configured or not authenticated')
-    }
-
-    try {
-      let files
-      try {
-        files = await this.auth.makeAuthenticatedRequest(
-          `/repos/${this.owner}/${this.repo}/contents/${this.documentsPath}`,
-          {
-            headers: {
-              Accept: 'application/vnd.github.v3+json'
-            }
-          }
-        )
-      } catch (error) {
-        // Check if this is a 404 error (documents folder doesn't exist)
-        if (error.message && error.message.includes('404')) {
-          return [] // Documents folder doesn't exist yet
-        }
-        throw error
-      }
-
-      // makeAuthenticatedRequest returns JSON data on success
-
-      if (!Array.isArray(files)) {
-        return []
-      }
-
-      // Filter for markdown files and extract metadata
-      // Exclude README.md and other non-document markdown files
-      const documents = []
-      for (const file of files) {
-        if (file.type === 'file' && file.name.endsWith('.md') && !file.name.toLowerCase().startsWith('readme')) {
-          try {
-            const document = await this.loadDocument(file.path)
-            documents.push({
-              id: document.id,
-              title: document.title,
-              githubPath: file.path,
-              githubSha: file.sha,
-              size: file.size,
-              updatedAt: document.updatedAt,
-              tags: document.tags || []
-            })
-          } catch (error) {
-            // Skip files that can't be parsed
-            console.warn(`Failed to parse document ${file.name}:`, error.message)
-          }
+  async loadFile(filepath) {
+    // makeAuthenticatedRequest returns JSON data on success or throws on error
+    const ref = encodeURIComponent(this.branch)
+    const fileData = await this.auth.makeAuthenticatedRequest(
+      `/repos/${this.owner}/${this.repo}/contents/${filepath}?ref=${ref}`,
+      {
+        headers: {
+          Accept: 'application/vnd.github.v3+json'
         }
       }
+    )
 
-      return documents.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-    } catch (error) {
-      throw new Error(`GitHub list failed: ${error.message}`)
-    }
-  }
-
-  /**
-   * Delete document from GitHub repository
-   * @param {string} filepath - Path to document file
-   * @param {string} sha - File SHA for deletion
-   * @param {string} title - Document title for commit message
-   * @returns {Promise<void>}
-   */
-  async deleteDocument(filepath, sha, title) {
-    if (!this.isConfigured()) {
-      throw new Error('Git repository storage not configured or not authenticated')
-    }
-
-    try {
-      await this.auth.makeAuthenticatedRequest(
-        `/repos/${this.owner}/${this.repo}/contents/${filepath}`,
-        {
-          method: 'DELETE',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            message: `Delete document: ${title}`,
-            sha: sha,
-            branch: this.branch
-          })
-        }
-      )
-
-      // makeAuthenticatedRequest throws on error, success if we reach here
-    } catch (error) {
-      throw new Error(`GitHub delete failed: ${error.message}`)
-    }
+    return { content: decodeURIComponent(escape(atob(fileData.content))), sha: fileData.sha }
   }
 
   /**
@@ -315,220 +85,257 @@ export class GitHubStorage {
     }
   }
 
-
   /**
-   * Generate filename for document
-   * @param {Object} document - Document object
-   * @returns {string} Filename
+   * Get the head commit and tree of the configured branch
+   * @returns {Promise<Object>} { commitSha, treeSha }
    */
-  generateFilename(document) {
-    // Use ONLY the GUID as filename - title changes don't affect file identity
-    return `${document.id}.md`
+  async getBranchHead() {
+    const branch = await this.gitRequest(`branches/${this.branch}`)
+    return { commitSha: branch.commit.sha, treeSha: branch.commit.commit.tree.sha }
   }
 
   /**
-   * Format document content for GitHub storage
-   * @param {Object} document - Document object
-   * @returns {string} Formatted content
+   * List every file on the branch with one recursive tree request
+   * @returns {Promise<Array>} Blob entries as { path, sha, size }
    */
-  formatDocumentContent(document) {
-    const frontMatter = this.generateFrontMatter(document)
-    const content = document.content || ''
+  async getRepositoryTree() {
+    let head
+    try {
+      head = await this.getBranchHead()
+    } catch (error) {
+      if (this.isNotFoundError(error)) {
+        return [] // Empty repository or branch not created yet
+      }
+      throw error
+    }
+
+    const tree = await this.gitRequest(`git/trees/${head.treeSha}?recursive=1`)
+    if (tree.truncated) {
+      console.warn('Repository tree is too large to list completely; some files are skipped')
+    }
 
-    return `${frontMatter}\n\n${content}`
+    return tree.tree.filter((entry) => entry.type === 'blob')
   }
 
   /**
-   * Generate checksum for content integrity
-   * @param {string} content - Content to checksum
-   * @returns {string} Simple hash checksum
+   * Download a file by its blob SHA
+   * @param {string} sha - Blob SHA
+   * @returns {Promise<string>} File content
    */
-  generateChecksum(content) {
-    if (!content || typeof content !== 'string') {
-      return '00000000'
-    }
-
-    // Simple hash for content integrity
-    let hash = 0
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i)
-      hash = (hash << 5) - hash + char
-      hash = hash & hash // Convert to 32-bit integer
-    }
+  async loadBlob(sha) {
+    const blob = await this.gitRequest(`git/blobs/${sha}`)
+    return decodeURIComponent(escape(atob(blob.content.replace(/\n/g, ''))))
+  }
 
-    return Math.abs(hash).toString(16).padStart(8, '0')
+  /**
+   * List the repository's branches
+   * @returns {Promise<Array>} Branches as { name, commitSha }
+   */
+  async listBranches() {
+    const branches = await this.gitRequest('branches?per_page=100')
+    return branches.map((branch) => ({ name: branch.name, commitSha: branch.commit.sha }))
   }
 
   /**
-   * Delete file from GitHub repository
-   * @param {string} filepath - Path to file to delete
-   * @param {string} sha - SHA of file to delete
-   * @param {string} message - Commit message
+   * Create a branch at the head of another branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from, the configured branch by default
    * @returns {Promise<void>}
    */
-  async deleteFile(filepath, sha, message) {
-    if (!this.isConfigured()) {
-      throw new Error('Git repository storage not configured or not authenticated')
-    }
+  async createBranch(name, from = this.branch) {
+    const head = await this.forBranch(from).getBranchHead()
+    await this.gitRequest('git/refs', {
+      method: 'POST',
+      body: { ref: `refs/heads/${name}`, sha: head.commitSha }
+    })
+  }
 
-    await this.auth.makeAuthenticatedRequest(
-      `/repos/${this.owner}/${this.repo}/contents/${filepath}`,
-      {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          message: message || `Delete ${filepath}`,
-          sha: sha,
-          branch: this.branch
-        })
-      }
+  /**
+   * Find the last commit two branches have in common
+   * @param {string} base - Branch merged into
+   * @param {string} head - Branch merged from
+   * @returns {Promise<string|null>} Merge base commit SHA
+   */
+  async getMergeBase(base, head) {
+    const comparison = await this.gitRequest(
+      `compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`
     )
-
-    // makeAuthenticatedRequest throws on error, success if we reach here
+    return comparison.merge_base_commit?.sha || null
   }
 
   /**
-   * Generate YAML front matter for document
-   * @param {Object} document - Document object
-   * @returns {string} YAML front matter
+   * List the commits on the branch that changed a file, newest first
+   * @param {string} filepath - Repository path
+   * @param {number} limit - Maximum number of commits (at most 100)
+   * @returns {Promise<Array>} Commits as { sha, message, author, date }
    */
-  generateFrontMatter(document) {
-    const frontMatter = {
-      id: document.id,
-      title: document.title,
-      created: document.metadata?.created || document.createdAt || new Date().toISOString(),
-      updated: document.metadata?.modified || document.updatedAt || new Date().toISOString(),
-      tags: document.tags || [],
-      checksum: document.checksum || this.generateChecksum(document.content || '')
-    }
-
-    const yaml = Object.entries(frontMatter)
-      .map(([key, value]) => {
-        if (Array.isArray(value)) {
-          if (value.length === 0) return `${key}: []`
-          return `${key}:\n${value.map((item) => `  - ${item}`).join('\n')}`
-        }
-        if (typeof value === 'string' && value.includes('\n')) {
-          return `${key}: |\n  ${value.replace(/\n/g, '\n  ')}`
-        }
-        return `${key}: ${JSON.stringify(value)}`
-      })
-      .join('\n')
-
-    return `---\n${yaml}\n---`
+  async listCommits(filepath, limit = 30) {
+    const query = new URLSearchParams({ sha: this.branch, path: filepath, per_page: limit })
+    const commits = await this.gitRequest(`commits?${query}`)
+    return commits.map((commit) => ({
+      sha: commit.sha,
+      message: commit.commit.message,
+      author: commit.commit.author?.name || commit.author?.login || 'Unknown',
+      date: commit.commit.author?.date
+    }))
   }
 
   /**
-   * Parse document content from GitHub storage
-   * @param {string} content - File content
-   * @param {Object} metadata - Additional metadata
-   * @returns {Object} Document object
+   * Find the path a commit renamed a file from
+   * @param {string} sha - Commit SHA
+   * @param {string} filepath - Repository path after the commit
+   * @returns {Promise<string|null>} Previous path, or null when the commit did not rename the file
    */
-  parseDocumentContent(content, metadata = {}) {
-    const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/)
-
-    if (!frontMatterMatch) {
-      throw new Error('Invalid document format: missing front matter')
-    }
-
-    const [, frontMatterYaml, documentContent] = frontMatterMatch
-    const frontMatter = this.parseYamlFrontMatter(frontMatterYaml)
-
-    return {
-      id: frontMatter.id,
-      title: frontMatter.title,
-      content: documentContent.trim(),
-      createdAt: frontMatter.created,
-      updatedAt: frontMatter.updated,
-      tags: frontMatter.tags || [],
-      checksum: frontMatter.checksum,
-      ...metadata
-    }
+  async getRenamedFrom(sha, filepath) {
+    const commit = await this.gitRequest(`commits/${encodeURIComponent(sha)}`)
+    const file = (commit.files || []).find(
+      (item) => item.filename === filepath && item.status === 'renamed'
+    )
+    return file?.previous_filename || null
   }
 
   /**
-   * Simple YAML front matter parser
-   * @param {string} yaml - YAML string
-   * @returns {Object} Parsed object
+   * Write files to the branch as one commit
+   * Blobs are created once; if the branch moves while the commit is built, the tree is rebuilt
+   * on the new head once before giving up. A file with a different previousPath is removed from
+   * there in the same commit, so git records the move as a rename; a previous path that is no
+   * longer on the branch is left alone.
+   * @param {Array} files - Files as { path, content, previousPath }
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commitSha, files: [{ path, sha }] } with the blob SHA of each file
    */
-  parseYamlFrontMatter(yaml) {
-    const result = {}
-    const lines = yaml.trim().split('\n')
+  async commitFiles(files, message) {
+    let head = await this.getWritableHead()
+
+    const blobs = []
+    for (const file of files) {
+      const blob = await this.gitRequest('git/blobs', {
+        method: 'POST',
+        body: {
+          content: btoa(unescape(encodeURIComponent(file.content))), // Base64 encode UTF-8
+          encoding: 'base64'
+        }
+      })
+      blobs.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha })
+    }
 
-    let currentKey = null
-    let currentArray = null
+    const written = blobs.map(({ path, sha }) => ({ path, sha }))
+    const moved = files.filter((file) => file.previousPath && file.previousPath !== file.path)
 
-    for (const line of lines) {
-      const trimmed = line.trim()
+    for (let attempt = 0; ; attempt++) {
+      const removed = await this.getMoveRemovals(moved, head.treeSha)
+      const tree = await this.gitRequest('git/trees', {
+        method: 'POST',
+        body: { base_tree: head.treeSha, tree: [...blobs, ...removed] }
+      })
 
-      if (trimmed.startsWith('- ')) {
-        // Array item
-        if (currentArray) {
-          currentArray.push(trimmed.substring(2))
-        }
-      } else if (trimmed.includes(':')) {
-        // Key-value pair
-        const colonIndex = trimmed.indexOf(':')
-        const key = trimmed.substring(0, colonIndex).trim()
-        const value = trimmed.substring(colonIndex + 1).trim()
-
-        currentKey = key
-        currentArray = null
-
-        if (value === '[]') {
-          result[key] = []
-        } else if (value === '') {
-          // Multi-line value or array starts next
-          currentArray = []
-          result[key] = currentArray
-        } else {
-          try {
-            result[key] = JSON.parse(value)
-          } catch {
-            result[key] = value
-          }
+      // Everything was already up to date: don't add an empty commit
+      if (tree.sha === head.treeSha) {
+        return { commitSha: head.commitSha, files: written }
+      }
+
+      const commit = await this.gitRequest('git/commits', {
+        method: 'POST',
+        body: { message, tree: tree.sha, parents: [head.commitSha] }
+      })
+
+      try {
+        await this.gitRequest(`git/refs/heads/${this.branch}`, {
+          method: 'PATCH',
+          body: { sha: commit.sha }
+        })
+        return { commitSha: commit.sha, files: written }
+      } catch (error) {
+        const moved = error.message && /422|fast.forward/i.test(error.message)
+        if (attempt > 0 || !moved) {
+          throw error
         }
+        head = await this.getBranchHead()
       }
     }
+  }
 
-    return result
+  /**
+   * Get tree entries removing the previous paths of moved files
+   * Paths already deleted or moved on the branch are skipped: GitHub rejects a tree that
+   * removes a missing file, which would fail the whole commit.
+   * @param {Array} files - Moved files as { path, previousPath }
+   * @param {string} treeSha - Tree the commit is built on
+   * @returns {Promise<Array>} Tree entries with a null SHA
+   */
+  async getMoveRemovals(files, treeSha) {
+    if (files.length === 0) return []
+
+    const tree = await this.gitRequest(`git/trees/${treeSha}?recursive=1`)
+    const existing = new Set(tree.tree.map((entry) => entry.path))
+    return files
+      .filter((file) => existing.has(file.previousPath))
+      .map((file) => ({ path: file.previousPath, mode: '100644', type: 'blob', sha: null }))
   }
 
   /**
-   * Get storage configuration
-   * @returns {Object} Configuration object
+   * Get the branch head, creating the first commit when the repository is empty
+   * The Git Data API cannot write to a repository without commits
+   * @returns {Promise<Object>} { commitSha, treeSha }
    */
-  getConfig() {
-    return {
-      owner: this.owner,
-      repo: this.repo,
-      branch: this.branch,
-      documentsPath: this.documentsPath,
-      configured: this.isConfigured()
+  async getWritableHead() {
+    try {
+      return await this.getBranchHead()
+    } catch (error) {
+      if (!this.isNotFoundError(error)) {
+        throw error
+      }
+      await this.ensureDocumentsDirectory()
+      return await this.getBranchHead()
     }
   }
 
   /**
-   * Update storage configuration
-   * @param {Object} config - New configuration
+   * Make a request against this repository's API
+   * @param {string} path - Path below /repos/{owner}/{repo}/
+   * @param {Object} options - Request options; body objects are sent as JSON
+   * @returns {Promise<Object>} Response data
    */
-  updateConfig(config) {
-    if (config.owner !== undefined) this.owner = config.owner
-    if (config.repo !== undefined) this.repo = config.repo
-    if (config.branch !== undefined) this.branch = config.branch
-    if (config.documentsPath !== undefined) this.documentsPath = config.documentsPath
-    
-    // Persist configuration to localStorage
-    const configToSave = {
-      owner: this.owner,
-      repo: this.repo,
-      branch: this.branch,
-      documentsPath: this.documentsPath,
-      configured: true
+  async gitRequest(path, options = {}) {
+    const { body, ...rest } = options
+    return await this.auth.makeAuthenticatedRequest(`/repos/${this.owner}/${this.repo}/${path}`, {
+      ...rest,
+      headers: {
+        Accept: 'application/vnd.github.v3+json',
+        ...(body && { 'Content-Type': 'application/json' })
+      },
+      ...(body && { body: JSON.stringify(body) })
+    })
+  }
+
+  /**
+   * Delete file from GitHub repository
+   * @param {string} filepath - Path to file to delete
+   * @param {string} sha - SHA of file to delete
+   * @param {string} message - Commit message
+   * @returns {Promise<void>}
+   */
+  async deleteFile(filepath, sha, message) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
     }
-    localStorage.setItem('fantasy-editor-github-config', JSON.stringify(configToSave))
+
+    await this.auth.makeAuthenticatedRequest(
+      `/repos/${this.owner}/${this.repo}/contents/${filepath}`,
+      {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          message: message || `Delete ${filepath}`,
+          sha: sha,
+          branch: this.branch
+        })
+      }
+    )
+
+    // makeAuthenticatedRequest throws on error, success if we reach here
   }
 
   /**
@@ -658,7 +465,6 @@ export class GitHubStorage {
     }
   }
 
-
   /**
    * Ensure documents directory exists in repository
    * @returns {Promise<void>}
@@ -685,8 +491,6 @@ export class GitHubStorage {
     }
 
     // Create documents directory with minimal .gitkeep file
-    const gitkeepContent = '# Fantasy Editor Documents Folder\n\nThis folder will contain your creative works.\n'
-
     try {
       // Create .gitkeep in documents directory to ensure it exists
       const filepath = `${this.documentsPath}/.gitkeep`
@@ -699,7 +503,7 @@ export class GitHubStorage {
           },
           body: JSON.stringify({
             message: 'Initialize documents directory',
-            content: btoa(unescape(encodeURIComponent(gitkeepContent))),
+            content: btoa(unescape(encodeURIComponent(DOCUMENTS_GITKEEP))),
             branch: this.branch
           })
         }
@@ -0,0 +1,315 @@
+/**
+ * GitLabStorage - GitLab repository storage backend
+ * Uses the GitLab REST API v4 through the OAuth proxy. Saves go through the commits API, whose
+ * create/update/move actions write any number of documents in one commit; listings read the
+ * branch with the recursive repository tree.
+ */
+import { StorageBackend, DOCUMENTS_GITKEEP } from './storage-backend.js'
+
+const TREE_PAGE_SIZE = 100
+
+export class GitLabStorage extends StorageBackend {
+  constructor(gitlabAuth) {
+    super(gitlabAuth, { name: 'gitlab', displayName: 'GitLab' })
+  }
+
+  /**
+   * Get the URL-encoded project path used as the project id
+   * @returns {string} Project id
+   */
+  getProjectId() {
+    return encodeURIComponent(`${this.owner}/${this.repo}`)
+  }
+
+  /**
+   * Make a request against this project's API
+   * @param {string} path - Path below /projects/:id, starting with '/' (or '' for the project)
+   * @param {Object} options - Request options; body objects are sent as JSON
+   * @returns {Promise<Object>} Response data
+   */
+  async projectRequest(path, options = {}) {
+    const { body, ...rest } = options
+    return await this.auth.makeAuthenticatedRequest(`/projects/${this.getProjectId()}${path}`, {
+      ...rest,
+      ...(body && {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+    })
+  }
+
+  /**
+   * Check if repository exists and is accessible
+   * @returns {Promise<boolean>} Repository accessibility
+   */
+  async verifyRepository() {
+    if (!this.auth.isAuthenticated() || !this.owner || !this.repo) {
+      return false
+    }
+
+    try {
+      await this.projectRequest('')
+      return true
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * List every file on the branch, following the tree's pages
+   * @param {string} path - Folder to list, the whole repository by default
+   * @returns {Promise<Array>} Blob entries as { path, sha }
+   */
+  async getRepositoryTree(path = '') {
+    const entries = []
+
+    for (let page = 1; ; page++) {
+      const query = new URLSearchParams({
+        ref: this.branch,
+        recursive: 'true',
+        per_page: String(TREE_PAGE_SIZE),
+        page: String(page),
+        ...(path && { path })
+      })
+
+      let items
+      try {
+        items = await this.projectRequest(`/repository/tree?${query}`)
+      } catch (error) {
+        if (this.isNotFoundError(error)) {
+          return [] // Empty repository, missing branch or folder
+        }
+        throw error
+      }
+
+      items
+        .filter((item) => item.type === 'blob')
+        .forEach((item) => entries.push({ path: item.path, sha: item.id }))
+
+      if (items.length < TREE_PAGE_SIZE) {
+        return entries
+      }
+    }
+  }
+
+  /**
+   * Download a file by its blob SHA
+   * @param {string} sha - Blob SHA
+   * @returns {Promise<string>} File content
+   */
+  async loadBlob(sha) {
+    const blob = await this.projectRequest(`/repository/blobs/${sha}`)
+    return decodeURIComponent(escape(atob(blob.content.replace(/\n/g, ''))))
+  }
+
+  /**
+   * Download a file through the repository files API
+   * @param {string} filepath - Repository path
+   * @returns {Promise<Object>} { content, sha }
+   */
+  async loadFile(filepath) {
+    const file = await this.projectRequest(
+      `/repository/files/${encodeURIComponent(filepath)}?ref=${encodeURIComponent(this.branch)}`
+    )
+    return { content: decodeURIComponent(escape(atob(file.content))), sha: file.blob_id }
+  }
+
+  /**
+   * List the repository's branches
+   * @returns {Promise<Array>} Branches as { name, commitSha }
+   */
+  async listBranches() {
+    const branches = await this.projectRequest('/repository/branches?per_page=100')
+    return branches.map((branch) => ({ name: branch.name, commitSha: branch.commit.id }))
+  }
+
+  /**
+   * Create a branch at the head of another branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from, the configured branch by default
+   * @returns {Promise<void>}
+   */
+  async createBranch(name, from = this.branch) {
+    const query = new URLSearchParams({ branch: name, ref: from })
+    await this.projectRequest(`/repository/branches?${query}`, { method: 'POST' })
+  }
+
+  /**
+   * Find the last commit two branches have in common
+   * @param {string} base - Branch merged into
+   * @param {string} head - Branch merged from
+   * @returns {Promise<string|null>} Merge base commit SHA
+   */
+  async getMergeBase(base, head) {
+    const query = new URLSearchParams([
+      ['refs[]', base],
+      ['refs[]', head]
+    ])
+    const commit = await this.projectRequest(`/repository/merge_base?${query}`)
+    return commit.id || null
+  }
+
+  /**
+   * List the commits on the branch that changed a file, newest first
+   * @param {string} filepath - Repository path
+   * @param {number} limit - Maximum number of commits (at most 100)
+   * @returns {Promise<Array>} Commits as { sha, message, author, date }
+   */
+  async listCommits(filepath, limit = 30) {
+    const query = new URLSearchParams({ ref_name: this.branch, path: filepath, per_page: limit })
+    const commits = await this.projectRequest(`/repository/commits?${query}`)
+    return commits.map((commit) => ({
+      sha: commit.id,
+      message: commit.message,
+      author: commit.author_name,
+      date: commit.authored_date
+    }))
+  }
+
+  /**
+   * Find the path a commit renamed a file from
+   * @param {string} sha - Commit SHA
+   * @param {string} filepath - Repository path after the commit
+   * @returns {Promise<string|null>} Previous path, or null when the commit did not rename the file
+   */
+  async getRenamedFrom(sha, filepath) {
+    const query = new URLSearchParams({ per_page: 100 })
+    const diffs = await this.projectRequest(
+      `/repository/commits/${encodeURIComponent(sha)}/diff?${query}`
+    )
+    const diff = diffs.find((item) => item.new_path === filepath && item.renamed_file)
+    return diff?.old_path || null
+  }
+
+  /**
+   * Write files to the branch as one commit
+   * Each file becomes a create or update action depending on whether it is already on the
+   * branch; a file with a different previousPath becomes a move, so git records a rename. The
+   * commits API does not return blob SHAs, so they are read back from the tree afterwards.
+   * @param {Array} files - Files as { path, content, previousPath }
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commitSha, files: [{ path, sha }] } with the blob SHA of each file
+   */
+  async commitFiles(files, message) {
+    const existing = new Set((await this.getRepositoryTree()).map((entry) => entry.path))
+
+    const actions = files.map((file) => {
+      const action = {
+        file_path: file.path,
+        content: btoa(unescape(encodeURIComponent(file.content))), // Base64 encode UTF-8
+        encoding: 'base64'
+      }
+
+      if (file.previousPath && file.previousPath !== file.path && existing.has(file.previousPath)) {
+        return { ...action, action: 'move', previous_path: file.previousPath }
+      }
+      return { ...action, action: existing.has(file.path) ? 'update' : 'create' }
+    })
+
+    const commit = await this.projectRequest('/repository/commits', {
+      method: 'POST',
+      body: { branch: this.branch, commit_message: message, actions }
+    })
+
+    const shas = new Map((await this.getRepositoryTree()).map((entry) => [entry.path, entry.sha]))
+    return {
+      commitSha: commit.id,
+      files: files.map((file) => ({ path: file.path, sha: shas.get(file.path) }))
+    }
+  }
+
+  /**
+   * Delete file from GitLab repository
+   * @param {string} filepath - Path to file to delete
+   * @param {string} sha - Unused; GitLab deletes by path
+   * @param {string} message - Commit message
+   * @returns {Promise<void>}
+   */
+  async deleteFile(filepath, sha, message) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    await this.projectRequest(`/repository/files/${encodeURIComponent(filepath)}`, {
+      method: 'DELETE',
+      body: { branch: this.branch, commit_message: message || `Delete ${filepath}` }
+    })
+  }
+
+  /**
+   * Create default Fantasy Editor project in the user's namespace
+   * @param {string} username - GitLab username
+   * @returns {Promise<boolean>} Success status
+   */
+  async createDefaultRepository(username) {
+    try {
+      let project
+      try {
+        project = await this.auth.makeAuthenticatedRequest(
+          `/projects/${encodeURIComponent(`${username}/fantasy-editor`)}`
+        )
+      } catch (error) {
+        // Project doesn't exist yet (normal flow)
+        project = await this.auth.makeAuthenticatedRequest('/projects', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: 'fantasy-editor',
+            description:
+              'Documents created with Fantasy Editor - A distraction-free markdown editor for creative writers',
+            visibility: 'private'
+          })
+        })
+      }
+
+      this.updateConfig({
+        owner: username,
+        repo: 'fantasy-editor',
+        branch: project.default_branch || 'main'
+      })
+
+      try {
+        await this.ensureDocumentsDirectory()
+      } catch (error) {
+        // Silently handle - directory will be created when first document is saved
+      }
+
+      return true
+    } catch (error) {
+      console.error('Failed to create default repository:', error)
+      return false
+    }
+  }
+
+  /**
+   * Ensure documents directory exists in repository
+   * Committing the .gitkeep file also creates the branch in an empty project.
+   * @returns {Promise<void>}
+   */
+  async ensureDocumentsDirectory() {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured')
+    }
+
+    if ((await this.getRepositoryTree(this.documentsPath)).length > 0) {
+      return
+    }
+
+    try {
+      await this.projectRequest(
+        `/repository/files/${encodeURIComponent(`${this.documentsPath}/.gitkeep`)}`,
+        {
+          method: 'POST',
+          body: {
+            branch: this.branch,
+            commit_message: 'Initialize documents directory',
+            content: DOCUMENTS_GITKEEP
+          }
+        }
+      )
+    } catch (error) {
+      console.error('Failed to create documents directory:', error)
+      throw error
+    }
+  }
+}
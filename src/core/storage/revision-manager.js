@@ -0,0 +1,151 @@
+/**
+ * RevisionManager - Per-document revision history with local snapshots and restore
+ * Snapshots live in their own IndexedDB store so saveDocument() can keep overwriting in place
+ */
+import { guidManager } from '../../utils/guid.js'
+
+export const REVISION_DEFAULTS = {
+  throttleMs: 10 * 60 * 1000, // At most one snapshot per document every 10 minutes, unless forced
+  maxRevisions: 50, // Per document
+  maxAgeDays: 90,
+  minRevisions: 5 // Always kept, regardless of age
+}
+
+export class RevisionManager {
+  constructor(storageManager, options = {}) {
+    this.storageManager = storageManager
+    this.options = { ...REVISION_DEFAULTS, ...options }
+  }
+
+  /**
+   * Snapshot a document's current content
+   * Unchanged content is never stored twice; snapshots are throttled unless forced
+   * @param {Object} doc - Saved document
+   * @param {Object} options - force (skip throttling) and reason ('save', 'autosave', 'before-restore', 'link-update')
+   * @returns {Promise<Object|null>} Stored revision, or null when skipped
+   */
+  async recordRevision(doc, options = {}) {
+    if (!doc || !doc.id) return null
+
+    const content = doc.content || ''
+    const checksum = guidManager.generateChecksum(content)
+    const [latest] = await this.storageManager.getRevisions(doc.id)
+
+    if (latest) {
+      if (latest.checksum === checksum) return null
+
+      const elapsed = Date.now() - new Date(latest.createdAt).getTime()
+      if (!options.force && elapsed < this.options.throttleMs) return null
+    }
+
+    const revision = {
+      id: guidManager.generateGuid(),
+      documentId: doc.id,
+      title: doc.title,
+      content,
+      checksum,
+      wordCount: this.countWords(content),
+      reason: options.reason || 'save',
+      sequence: (latest?.sequence || 0) + 1, // Orders snapshots taken within the same millisecond
+      createdAt: new Date().toISOString()
+    }
+
+    await this.storageManager.saveRevision(revision)
+    await this.applyRetention(doc.id)
+
+    return revision
+  }
+
+  /**
+   * Drop revisions beyond maxRevisions or older than maxAgeDays,
+   * always keeping the newest minRevisions
+   * @param {string} documentId - Document ID
+   * @returns {Promise<number>} Number of revisions deleted
+   */
+  async applyRetention(documentId) {
+    const revisions = await this.storageManager.getRevisions(documentId)
+    const cutoff = Date.now() - this.options.maxAgeDays * 24 * 60 * 60 * 1000
+
+    const expired = revisions.filter((revision, index) => {
+      if (index < this.options.minRevisions) return false
+      if (index >= this.options.maxRevisions) return true
+      return new Date(revision.createdAt).getTime() < cutoff
+    })
+
+    await this.storageManager.deleteRevisions(expired.map((revision) => revision.id))
+    return expired.length
+  }
+
+  /**
+   * List revisions of a document, newest first
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} Revisions
+   */
+  async listRevisions(documentId) {
+    return await this.storageManager.getRevisions(documentId)
+  }
+
+  /**
+   * Get a revision by ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object>} Revision
+   */
+  async getRevision(revisionId) {
+    const revision = await this.storageManager.getRevision(revisionId)
+    if (!revision) {
+      throw new Error('Revision not found')
+    }
+    return revision
+  }
+
+  /**
+   * Restore a revision into its document
+   * The current content is snapshotted first so the restore can itself be undone
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object>} Saved document
+   */
+  async restoreRevision(revisionId) {
+    const revision = await this.getRevision(revisionId)
+    return await this.restoreContent(revision.documentId, revision.content)
+  }
+
+  /**
+   * Replace a document's content, e.g. with an older version from the repository
+   * The current content is snapshotted first and the restored text becomes a new revision
+   * @param {string} documentId - Document ID
+   * @param {string} content - Content to restore
+   * @param {string} reason - Reason recorded on the new revision
+   * @returns {Promise<Object>} Saved document
+   */
+  async restoreContent(documentId, content, reason = 'restore') {
+    const doc = await this.storageManager.getDocument(documentId)
+    if (!doc) {
+      throw new Error('Document not found')
+    }
+
+    await this.recordRevision(doc, { force: true, reason: 'before-restore' })
+
+    const saved = await this.storageManager.saveDocument({ ...doc, content })
+    await this.recordRevision(saved, { force: true, reason })
+
+    return saved
+  }
+
+  /**
+   * Remove all history for a deleted document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<void>}
+   */
+  async deleteRevisionsForDocument(documentId) {
+    const revisions = await this.storageManager.getRevisions(documentId)
+    await this.storageManager.deleteRevisions(revisions.map((revision) => revision.id))
+  }
+
+  /**
+   * @private
+   */
+  countWords(content) {
+    const trimmed = content.trim()
+    return trimmed ? trimmed.split(/\s+/).length : 0
+  }
+}
@@ -0,0 +1,883 @@
+/**
+ * StorageBackend - Repository storage shared by every Git host
+ * Documents are markdown files with YAML front matter below documentsPath and projects are JSON
+ * manifests below projectsPath. Listing compares file SHAs with the last synced ones and saving
+ * writes any number of files as one commit; subclasses supply the host's REST calls
+ * (GitHubStorage, GenericGitStorage, GitLabStorage, BitbucketStorage). SyncManager and GitService only use the
+ * methods defined here.
+ *
+ * Synced documents record their path and file SHA as githubPath and githubSha on every host;
+ * the field names predate the other hosts and are kept so stored documents stay valid.
+ */
+import { normalizeFolderPath } from '../../utils/folders.js'
+import { normalizeBinder } from '../projects/project-manager.js'
+
+/**
+ * Content of the .gitkeep file that creates the documents directory
+ */
+export const DOCUMENTS_GITKEEP =
+  '# Fantasy Editor Documents Folder\n\nThis folder will contain your creative works.\n'
+
+export class StorageBackend {
+  /**
+   * @param {Object} auth - AuthManager whose makeAuthenticatedRequest() reaches the host's API
+   * @param {Object} provider - Git host as { name, displayName }, e.g. { name: 'gitlab', ... }
+   */
+  constructor(auth, provider) {
+    this.auth = auth
+    this.provider = provider.name
+    this.displayName = provider.displayName
+    this.owner = null
+    this.repo = null
+    this.branch = 'main'
+    this.documentsPath = 'documents'
+    this.projectsPath = 'projects'
+
+    // Load saved configuration from localStorage if available
+    this.loadSavedConfig()
+  }
+
+  /**
+   * Load saved configuration from localStorage
+   */
+  loadSavedConfig() {
+    try {
+      const savedConfig = localStorage.getItem(this.getConfigKey())
+      if (savedConfig) {
+        const config = JSON.parse(savedConfig)
+        if (config.configured) {
+          this.owner = config.owner
+          this.repo = config.repo
+          this.branch = config.branch || 'main'
+          this.documentsPath = config.documentsPath || 'documents'
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load saved ${this.displayName} configuration:`, error)
+    }
+  }
+
+  /**
+   * Get the localStorage key of this host's repository configuration
+   * Each host keeps its own, so switching accounts doesn't point one host at another's repo
+   * @returns {string} localStorage key
+   */
+  getConfigKey() {
+    return `fantasy-editor-${this.provider}-config`
+  }
+
+  /**
+   * Initialize storage with repository configuration
+   * @param {Object} config - Repository configuration
+   * @param {string} config.owner - Repository owner (GitLab namespace or Bitbucket workspace)
+   * @param {string} config.repo - Repository name
+   * @param {string} config.branch - Branch name (default: main)
+   * @param {string} config.documentsPath - Path for documents (default: documents)
+   */
+  init(config) {
+    if (!config.owner || !config.repo) {
+      throw new Error('Repository owner and name are required')
+    }
+
+    this.owner = config.owner
+    this.repo = config.repo
+    this.branch = config.branch || 'main'
+    this.documentsPath = config.documentsPath || 'documents'
+  }
+
+  /**
+   * Check if storage is configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return !!(this.owner && this.repo && this.auth.isAuthenticated())
+  }
+
+  /**
+   * Get storage configuration
+   * @returns {Object} Configuration object
+   */
+  getConfig() {
+    return {
+      owner: this.owner,
+      repo: this.repo,
+      branch: this.branch,
+      documentsPath: this.documentsPath,
+      configured: this.isConfigured()
+    }
+  }
+
+  /**
+   * Update storage configuration
+   * @param {Object} config - New configuration
+   */
+  updateConfig(config) {
+    if (config.owner !== undefined) this.owner = config.owner
+    if (config.repo !== undefined) this.repo = config.repo
+    if (config.branch !== undefined) this.branch = config.branch
+    if (config.documentsPath !== undefined) this.documentsPath = config.documentsPath
+
+    // Persist configuration to localStorage
+    const configToSave = {
+      owner: this.owner,
+      repo: this.repo,
+      branch: this.branch,
+      documentsPath: this.documentsPath,
+      configured: true
+    }
+    localStorage.setItem(this.getConfigKey(), JSON.stringify(configToSave))
+  }
+
+  /**
+   * Save document to the repository as a single commit
+   * @param {Object} document - Document object
+   * @returns {Promise<Object>} Commit SHA and document with repository metadata
+   */
+  async saveDocument(document) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    if (!document.id || !document.title) {
+      throw new Error('Document must have id and title')
+    }
+
+    try {
+      const hasBeenSynced = document.remoteSha || document.lastSyncedAt || document.githubSha
+      const message = hasBeenSynced
+        ? this.generateCommitMessage([document], [])
+        : `Create document: ${document.title}`
+
+      const result = await this.commitDocuments([document], [], message)
+      return { commitSha: result.commitSha, document: result.documents[0] }
+    } catch (error) {
+      throw new Error(`${this.displayName} save failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Commit documents and project manifests together
+   * @param {Array} documents - Documents to write
+   * @param {Array} projects - Projects whose manifests to write
+   * @param {string} message - Commit message (generated from the titles when omitted)
+   * @returns {Promise<Object>} { commitSha, documents, projects } with repository metadata added
+   */
+  async commitDocuments(documents, projects = [], message = null) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    for (const document of documents) {
+      if (!document.id || !document.title) {
+        throw new Error('Document must have id and title')
+      }
+    }
+    for (const project of projects) {
+      if (!project.id || !project.title) {
+        throw new Error('Project must have id and title')
+      }
+    }
+
+    const files = [
+      ...documents.map((document) => ({
+        path: this.getDocumentPath(document),
+        previousPath: document.githubPath,
+        content: this.formatDocumentContent(document)
+      })),
+      ...projects.map((project) => ({
+        path: `${this.projectsPath}/${project.id}.json`,
+        content: this.formatProjectManifest(project)
+      }))
+    ]
+
+    const commit = await this.commitFiles(
+      files,
+      message || this.generateCommitMessage(documents, projects)
+    )
+    const syncedAt = new Date().toISOString()
+    const withMetadata = (item, index) => ({
+      ...item,
+      githubSha: commit.files[index].sha,
+      githubPath: commit.files[index].path,
+      lastSyncedAt: syncedAt
+    })
+
+    return {
+      commitSha: commit.commitSha,
+      documents: documents.map((document, index) => withMetadata(document, index)),
+      projects: projects.map((project, index) => withMetadata(project, documents.length + index))
+    }
+  }
+
+  /**
+   * Get a view of the repository on another branch or commit
+   * The view shares this backend's configuration without saving it, so drafts can be read and
+   * written while the working branch stays selected.
+   * @param {string} branch - Branch name or commit SHA
+   * @returns {StorageBackend} Backend of the same host reading that branch
+   */
+  forBranch(branch) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, { branch })
+  }
+
+  /**
+   * Load document from the repository
+   * @param {string} filepath - Path to document file
+   * @returns {Promise<Object>} Document object
+   */
+  async loadDocument(filepath) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    try {
+      const file = await this.loadFile(filepath)
+
+      return this.parseDocumentContent(file.content, {
+        githubSha: file.sha,
+        githubPath: filepath,
+        folder: this.getFolder(filepath),
+        lastSyncedAt: new Date().toISOString()
+      })
+    } catch (error) {
+      throw new Error(`${this.displayName} load failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * List all documents in the repository, including those in nested folders
+   * Reads the branch with one recursive tree listing. Files whose blob SHA matches a known
+   * document's githubSha have not changed since that document was synced, so their metadata
+   * comes from the known document; only new or changed files are downloaded.
+   * @param {Array} knownDocuments - Local documents with githubPath and githubSha
+   * @returns {Promise<Array>} Document metadata; downloaded documents include their content
+   */
+  async listDocuments(knownDocuments = []) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    try {
+      const known = new Map(
+        knownDocuments.filter((doc) => doc.githubPath).map((doc) => [doc.githubPath, doc])
+      )
+      const entries = (await this.getRepositoryTree()).filter((entry) =>
+        this.isDocumentPath(entry.path)
+      )
+
+      const documents = []
+      for (const entry of entries) {
+        const knownDoc = known.get(entry.path)
+
+        if (knownDoc && entry.sha && knownDoc.githubSha === entry.sha) {
+          documents.push(this.getUnchangedDocument(knownDoc, entry))
+          continue
+        }
+
+        try {
+          const { content, sha } = await this.readEntry(entry)
+
+          // Hosts without blob SHAs only know after downloading
+          if (knownDoc && knownDoc.githubSha === sha) {
+            documents.push(this.getUnchangedDocument(knownDoc, { ...entry, sha }))
+            continue
+          }
+
+          documents.push({
+            ...this.parseDocumentContent(content, {
+              githubSha: sha,
+              githubPath: entry.path,
+              folder: this.getFolder(entry.path),
+              lastSyncedAt: new Date().toISOString()
+            }),
+            size: entry.size
+          })
+        } catch (error) {
+          // Skip files that can't be parsed
+          console.warn(`Failed to parse document ${entry.path}:`, error.message)
+        }
+      }
+
+      return documents.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    } catch (error) {
+      throw new Error(`${this.displayName} list failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Build the listing entry for a document whose file has not changed since the last sync
+   * @param {Object} knownDoc - Local document
+   * @param {Object} entry - Repository file as { path, sha, size }
+   * @returns {Object} Document metadata without content
+   */
+  getUnchangedDocument(knownDoc, entry) {
+    return {
+      id: knownDoc.id,
+      title: knownDoc.title,
+      githubPath: entry.path,
+      githubSha: entry.sha,
+      folder: this.getFolder(entry.path),
+      size: entry.size,
+      updatedAt: knownDoc.lastSyncedAt || knownDoc.updatedAt,
+      tags: knownDoc.tags || [],
+      unchanged: true
+    }
+  }
+
+  /**
+   * Check whether a repository path is a synced document
+   * Documents may sit in any folder below the documents directory. README files, hidden
+   * folders and other non-markdown files are not documents.
+   * @param {string} path - Repository path
+   * @returns {boolean} Whether the path is a document
+   */
+  isDocumentPath(path) {
+    const prefix = `${this.documentsPath}/`
+    if (!path.startsWith(prefix)) return false
+
+    const segments = path.slice(prefix.length).split('/')
+    const name = segments[segments.length - 1]
+    return (
+      name.endsWith('.md') &&
+      !name.toLowerCase().startsWith('readme') &&
+      !segments.some((segment) => segment.startsWith('.'))
+    )
+  }
+
+  /**
+   * Get the folder of a document path, relative to the documents directory
+   * @param {string} path - Repository path such as documents/book-1/chapters/id.md
+   * @returns {string} Folder such as book-1/chapters, or '' at the top level
+   */
+  getFolder(path) {
+    const prefix = `${this.documentsPath}/`
+    if (!path || !path.startsWith(prefix)) return ''
+
+    return path.slice(prefix.length).split('/').slice(0, -1).join('/')
+  }
+
+  /**
+   * Get the repository path a document is written to
+   * The document keeps its file name once synced; its folder property decides where it lives.
+   * @param {Object} document - Document object
+   * @returns {string} Repository path
+   */
+  getDocumentPath(document) {
+    const filename = document.githubPath
+      ? document.githubPath.split('/').pop()
+      : this.generateFilename(document)
+    const folder = normalizeFolderPath(document.folder ?? this.getFolder(document.githubPath))
+
+    return [this.documentsPath, folder, filename].filter(Boolean).join('/')
+  }
+
+  /**
+   * Delete document from the repository
+   * @param {string} filepath - Path to document file
+   * @param {string} sha - File SHA for deletion
+   * @param {string} title - Document title for commit message
+   * @returns {Promise<void>}
+   */
+  async deleteDocument(filepath, sha, title) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    try {
+      await this.deleteFile(filepath, sha, `Delete document: ${title}`)
+    } catch (error) {
+      throw new Error(`${this.displayName} delete failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Save a manuscript project manifest (binder structure) as JSON
+   * Documents are referenced by ID and synced separately
+   * @param {Object} project - Project object
+   * @returns {Promise<Object>} Project with repository metadata
+   */
+  async saveProject(project) {
+    try {
+      const result = await this.commitDocuments([], [project])
+      return result.projects[0]
+    } catch (error) {
+      throw new Error(`${this.displayName} project save failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * List all project manifests in the repository
+   * Like listDocuments(), manifests whose SHA matches a known project are not downloaded
+   * @param {Array} knownProjects - Local projects with githubPath and githubSha
+   * @returns {Promise<Array>} Projects with repository metadata
+   */
+  async listProjects(knownProjects = []) {
+    if (!this.isConfigured()) {
+      throw new Error('Git repository storage not configured or not authenticated')
+    }
+
+    let entries
+    try {
+      entries = await this.getRepositoryTree()
+    } catch (error) {
+      throw new Error(`${this.displayName} project list failed: ${error.message}`)
+    }
+
+    const known = new Map(
+      knownProjects.filter((project) => project.githubPath).map((p) => [p.githubPath, p])
+    )
+    const prefix = `${this.projectsPath}/`
+    const projects = []
+
+    for (const entry of entries) {
+      const name = entry.path.slice(prefix.length)
+      if (!entry.path.startsWith(prefix) || name.includes('/') || !name.endsWith('.json')) continue
+
+      const knownProject = known.get(entry.path)
+      const unchanged = (sha) => ({
+        id: knownProject.id,
+        title: knownProject.title,
+        githubPath: entry.path,
+        githubSha: sha,
+        unchanged: true
+      })
+
+      if (knownProject && entry.sha && knownProject.githubSha === entry.sha) {
+        projects.push(unchanged(entry.sha))
+        continue
+      }
+
+      try {
+        const { content, sha } = await this.readEntry(entry)
+        if (knownProject && knownProject.githubSha === sha) {
+          projects.push(unchanged(sha))
+          continue
+        }
+
+        const manifest = JSON.parse(content)
+        projects.push({
+          ...manifest,
+          binder: normalizeBinder(manifest.binder),
+          githubSha: sha,
+          githubPath: entry.path
+        })
+      } catch (error) {
+        console.warn(`Failed to parse project ${entry.path}:`, error.message)
+      }
+    }
+
+    return projects
+  }
+
+  /**
+   * Serialize a project to its repository manifest
+   * @param {Object} project - Project object
+   * @returns {string} Pretty-printed JSON
+   */
+  formatProjectManifest(project) {
+    const manifest = {
+      id: project.id,
+      title: project.title,
+      description: project.description || '',
+      tags: project.tags || [],
+      binder: project.binder || [],
+      dictionary: project.dictionary || [],
+      createdAt: project.createdAt,
+      updatedAt: project.updatedAt
+    }
+
+    return `${JSON.stringify(manifest, null, 2)}\n`
+  }
+
+  /**
+   * Generate a commit message listing what a sync changed
+   * @param {Array} documents - Documents in the commit
+   * @param {Array} projects - Projects in the commit
+   * @returns {string} Commit message
+   */
+  generateCommitMessage(documents, projects) {
+    if (documents.length === 1 && projects.length === 0) {
+      const [document] = documents
+      return this.isMoved(document)
+        ? `Move document: ${document.title} to ${this.getDocumentPath(document)}`
+        : `Update document: ${document.title}`
+    }
+    if (documents.length === 0 && projects.length === 1) {
+      return `Update project: ${projects[0].title}`
+    }
+
+    const counts = [
+      documents.length && `${documents.length} document${documents.length === 1 ? '' : 's'}`,
+      projects.length && `${projects.length} project${projects.length === 1 ? '' : 's'}`
+    ].filter(Boolean)
+    const titles = [...documents, ...projects].map((item) => `- ${item.title}`)
+
+    return `Sync ${counts.join(' and ')}\n\n${titles.join('\n')}`
+  }
+
+  /**
+   * Check whether a synced document's folder changed since it was last written
+   * @param {Object} document - Document object
+   * @returns {boolean} Whether the next commit renames the document's file
+   */
+  isMoved(document) {
+    return !!document.githubPath && this.getDocumentPath(document) !== document.githubPath
+  }
+
+  /**
+   * Check whether a request failed because the resource does not exist
+   * @param {Error} error - Request error
+   * @returns {boolean} Whether the error is a 404
+   */
+  isNotFoundError(error) {
+    return !!error.message && (error.message.includes('404') || error.message.includes('Not Found'))
+  }
+
+  /**
+   * Generate filename for document
+   * @param {Object} document - Document object
+   * @returns {string} Filename
+   */
+  generateFilename(document) {
+    // Use ONLY the GUID as filename - title changes don't affect file identity
+    return `${document.id}.md`
+  }
+
+  /**
+   * Format document content for repository storage
+   * @param {Object} document - Document object
+   * @returns {string} Formatted content
+   */
+  formatDocumentContent(document) {
+    const frontMatter = this.generateFrontMatter(document)
+    const content = document.content || ''
+
+    return `${frontMatter}\n\n${content}`
+  }
+
+  /**
+   * Generate checksum for content integrity
+   * @param {string} content - Content to checksum
+   * @returns {string} Simple hash checksum
+   */
+  generateChecksum(content) {
+    if (!content || typeof content !== 'string') {
+      return '00000000'
+    }
+
+    // Simple hash for content integrity
+    let hash = 0
+    for (let i = 0; i < content.length; i++) {
+      const char = content.charCodeAt(i)
+      hash = (hash << 5) - hash + char
+      hash = hash & hash // Convert to 32-bit integer
+    }
+
+    return Math.abs(hash).toString(16).padStart(8, '0')
+  }
+
+  /**
+   * Generate YAML front matter for document
+   * @param {Object} document - Document object
+   * @returns {string} YAML front matter
+   */
+  generateFrontMatter(document) {
+    const frontMatter = {
+      id: document.id,
+      title: document.title,
+      created: document.metadata?.created || document.createdAt || new Date().toISOString(),
+      updated: document.metadata?.modified || document.updatedAt || new Date().toISOString(),
+      tags: document.tags || [],
+      checksum: document.checksum || this.generateChecksum(document.content || '')
+    }
+
+    // Codex entries carry their entity type and typed fields
+    if (document.type === 'codex') {
+      frontMatter.type = document.type
+      frontMatter.codexType = document.codexType
+      frontMatter.fields = document.fields || {}
+    }
+
+    const yaml = Object.entries(frontMatter)
+      .map(([key, value]) => this.formatYamlEntry(key, value))
+      .join('\n')
+
+    return `---\n${yaml}\n---`
+  }
+
+  /**
+   * Format one YAML key, recursing into plain objects as indented maps
+   * @param {string} key - YAML key
+   * @param {*} value - Value to format
+   * @param {string} indent - Leading indentation
+   * @returns {string} YAML lines
+   */
+  formatYamlEntry(key, value, indent = '') {
+    if (Array.isArray(value)) {
+      if (value.length === 0) return `${indent}${key}: []`
+      return `${indent}${key}:\n${value.map((item) => `${indent}  - ${item}`).join('\n')}`
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value)
+      if (entries.length === 0) return `${indent}${key}: {}`
+      return `${indent}${key}:\n${entries
+        .map(([childKey, childValue]) => this.formatYamlEntry(childKey, childValue, `${indent}  `))
+        .join('\n')}`
+    }
+    if (typeof value === 'string' && value.includes('\n')) {
+      return `${indent}${key}: |\n${indent}  ${value.replace(/\n/g, `\n${indent}  `)}`
+    }
+    return `${indent}${key}: ${JSON.stringify(value)}`
+  }
+
+  /**
+   * Parse document content from repository storage
+   * @param {string} content - File content
+   * @param {Object} metadata - Additional metadata
+   * @returns {Object} Document object
+   */
+  parseDocumentContent(content, metadata = {}) {
+    const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/)
+
+    if (!frontMatterMatch) {
+      throw new Error('Invalid document format: missing front matter')
+    }
+
+    const [, frontMatterYaml, documentContent] = frontMatterMatch
+    const frontMatter = this.parseYamlFrontMatter(frontMatterYaml)
+
+    return {
+      id: frontMatter.id,
+      title: frontMatter.title,
+      content: documentContent.trim(),
+      createdAt: frontMatter.created,
+      updatedAt: frontMatter.updated,
+      tags: frontMatter.tags || [],
+      checksum: frontMatter.checksum,
+      ...(frontMatter.type === 'codex' && {
+        type: 'codex',
+        codexType: frontMatter.codexType,
+        fields: frontMatter.fields || {}
+      }),
+      ...metadata
+    }
+  }
+
+  /**
+   * Simple YAML front matter parser
+   * Handles scalars, block scalars (|), lists and indented maps such as codex fields
+   * @param {string} yaml - YAML string
+   * @returns {Object} Parsed object
+   */
+  parseYamlFrontMatter(yaml) {
+    const lines = yaml.replace(/\r\n/g, '\n').split('\n')
+    return this.parseYamlBlock(lines, 0, 0).value
+  }
+
+  /**
+   * Parse the key-value lines of one map, stopping at the first line indented less than the map
+   * @param {Array<string>} lines - YAML lines
+   * @param {number} start - First line index
+   * @param {number} indent - Indentation of the map's keys
+   * @returns {Object} Parsed map and the index of the next unread line
+   */
+  parseYamlBlock(lines, start, indent) {
+    const result = {}
+    const indentOf = (line) => line.length - line.trimStart().length
+    let i = start
+
+    while (i < lines.length) {
+      const line = lines[i]
+      const trimmed = line.trim()
+
+      if (!trimmed) {
+        i++
+        continue
+      }
+      if (indentOf(line) < indent) break
+
+      i++
+      const colonIndex = trimmed.indexOf(':')
+      if (trimmed.startsWith('- ') || colonIndex === -1) continue
+
+      const key = trimmed.substring(0, colonIndex).trim()
+      const value = trimmed.substring(colonIndex + 1).trim()
+      const keyIndent = indentOf(line)
+
+      if (value === '[]') {
+        result[key] = []
+      } else if (value === '{}') {
+        result[key] = {}
+      } else if (value === '|') {
+        // Block scalar: every following line indented deeper than the key
+        const block = []
+        while (i < lines.length && (!lines[i].trim() || indentOf(lines[i]) > keyIndent)) {
+          block.push(lines[i])
+          i++
+        }
+        const blockIndent = Math.min(
+          ...block.filter((blockLine) => blockLine.trim()).map(indentOf),
+          Infinity
+        )
+        result[key] = block
+          .map((blockLine) => blockLine.substring(Math.min(blockIndent, indentOf(blockLine))))
+          .join('\n')
+          .replace(/\n+$/, '')
+      } else if (value === '') {
+        // A list or nested map starts on the next line
+        let next = i
+        while (next < lines.length && !lines[next].trim()) next++
+        const nextLine = lines[next]
+
+        if (nextLine && indentOf(nextLine) > keyIndent && !nextLine.trim().startsWith('- ')) {
+          const nested = this.parseYamlBlock(lines, next, indentOf(nextLine))
+          result[key] = nested.value
+          i = nested.next
+        } else {
+          const items = []
+          while (
+            i < lines.length &&
+            (!lines[i].trim() ||
+              (lines[i].trim().startsWith('- ') && indentOf(lines[i]) >= keyIndent))
+          ) {
+            if (lines[i].trim()) items.push(lines[i].trim().substring(2))
+            i++
+          }
+          result[key] = items
+        }
+      } else {
+        try {
+          result[key] = JSON.parse(value)
+        } catch {
+          result[key] = value
+        }
+      }
+    }
+
+    return { value: result, next: i }
+  }
+
+  // Host-specific operations. Subclasses implement these against their REST API; everything
+  // above is shared by all hosts.
+
+  /**
+   * List every file on the branch
+   * @returns {Promise<Array>} Files as { path, sha, size }; [] for an empty repository
+   */
+  async getRepositoryTree() {
+    throw new Error('getRepositoryTree must be implemented by subclass')
+  }
+
+  /**
+   * Download a file by the SHA reported in getRepositoryTree()
+   * @param {string} sha - File SHA
+   * @returns {Promise<string>} File content
+   */
+  async loadBlob() {
+    throw new Error('loadBlob must be implemented by subclass')
+  }
+
+  /**
+   * Download a file listed by getRepositoryTree()
+   * Hosts that list files without a SHA override this to derive one from the content.
+   * @param {Object} entry - Repository file as { path, sha, size }
+   * @returns {Promise<Object>} { content, sha }
+   */
+  async readEntry(entry) {
+    return { content: await this.loadBlob(entry.sha), sha: entry.sha }
+  }
+
+  /**
+   * Download a file by path
+   * @param {string} filepath - Repository path
+   * @returns {Promise<Object>} { content, sha }
+   */
+  async loadFile() {
+    throw new Error('loadFile must be implemented by subclass')
+  }
+
+  /**
+   * Write files to the branch as one commit, renaming files that have a different previousPath
+   * @param {Array} files - Files as { path, content, previousPath }
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} { commitSha, files: [{ path, sha }] } in the order given
+   */
+  async commitFiles() {
+    throw new Error('commitFiles must be implemented by subclass')
+  }
+
+  /**
+   * Delete one file in its own commit
+   * @param {string} filepath - Repository path
+   * @param {string} sha - SHA of the file, for hosts that check it
+   * @param {string} message - Commit message
+   * @returns {Promise<void>}
+   */
+  async deleteFile() {
+    throw new Error('deleteFile must be implemented by subclass')
+  }
+
+  /**
+   * List the repository's branches
+   * @returns {Promise<Array>} Branches as { name, commitSha }
+   */
+  async listBranches() {
+    throw new Error('listBranches must be implemented by subclass')
+  }
+
+  /**
+   * Create a branch at the head of another branch
+   * @param {string} name - New branch name
+   * @param {string} from - Branch to start from, the configured branch by default
+   * @returns {Promise<void>}
+   */
+  async createBranch() {
+    throw new Error('createBranch must be implemented by subclass')
+  }
+
+  /**
+   * Find the last commit two branches have in common
+   * @param {string} base - Branch merged into
+   * @param {string} head - Branch merged from
+   * @returns {Promise<string|null>} Merge base commit SHA
+   */
+  async getMergeBase() {
+    throw new Error('getMergeBase must be implemented by subclass')
+  }
+
+  /**
+   * List the commits on the branch that changed a file, newest first
+   * @param {string} filepath - Repository path
+   * @param {number} limit - Maximum number of commits
+   * @returns {Promise<Array>} Commits as { sha, message, author, date }
+   */
+  async listCommits() {
+    throw new Error('listCommits must be implemented by subclass')
+  }
+
+  /**
+   * Find the path a commit renamed a file from
+   * @param {string} sha - Commit SHA
+   * @param {string} filepath - Repository path after the commit
+   * @returns {Promise<string|null>} Previous path, or null when the commit did not rename the file
+   */
+  async getRenamedFrom() {
+    throw new Error('getRenamedFrom must be implemented by subclass')
+  }
+
+  /**
+   * Check if the configured repository exists and is accessible
+   * @returns {Promise<boolean>} Repository accessibility
+   */
+  async verifyRepository() {
+    throw new Error('verifyRepository must be implemented by subclass')
+  }
+
+  /**
+   * Make sure the documents directory exists, creating the first commit if needed
+   * @returns {Promise<void>}
+   */
+  async ensureDocumentsDirectory() {
+    throw new Error('ensureDocumentsDirectory must be implemented by subclass')
+  }
+}
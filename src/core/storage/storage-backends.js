@@ -0,0 +1,26 @@
+/**
+ * Storage backend factory - Picks the repository storage for the logged-in Git host
+ */
+import { GitHubStorage } from './github-storage.js'
+import { GenericGitStorage } from './generic-git-storage.js'
+import { GitLabStorage } from './gitlab-storage.js'
+import { BitbucketStorage } from './bitbucket-storage.js'
+
+/**
+ * Create the storage backend for a Git host
+ * @param {Object} auth - AuthManager used for API requests
+ * @param {Object} provider - Provider as returned by auth.getCurrentProvider(); GitHub when none
+ * @returns {StorageBackend} Storage backend
+ */
+export function createStorageBackend(auth, provider = auth.getCurrentProvider?.()) {
+  switch (provider?.name) {
+    case 'gitlab':
+      return new GitLabStorage(auth)
+    case 'bitbucket':
+      return new BitbucketStorage(auth)
+    case 'generic':
+      return new GenericGitStorage(auth, provider.displayName)
+    default:
+      return new GitHubStorage(auth)
+  }
+}
@@ -3,8 +3,13 @@ import { guidManager } from '../../utils/guid.js'
 export class StorageManager {
   constructor() {
     this.dbName = 'FantasyEditorDB'
-    this.dbVersion = 2 // Increment for GUID migration
+    this.dbVersion = 7 // Increment for search index store
     this.storeName = 'documents'
+    this.projectStoreName = 'projects'
+    this.revisionStoreName = 'revisions'
+    this.wordHistoryStoreName = 'wordHistory'
+    this.syncQueueStoreName = 'syncQueue'
+    this.searchIndexStoreName = 'searchIndex'
     this.db = null
     this.guidManager = guidManager
     this.initDatabase()
@@ -64,8 +69,8 @@ export class StorageManager {
     }
 
     // Validate document type
-    if (doc.type !== undefined && !['user', 'system'].includes(doc.type)) {
-      throw new Error('Document type must be "user" or "system"')
+    if (doc.type !== undefined && !['user', 'system', 'codex'].includes(doc.type)) {
+      throw new Error('Document type must be "user", "system" or "codex"')
     }
 
     // Validate system ID for system documents
@@ -73,6 +78,19 @@ export class StorageManager {
       throw new Error('System documents must have a valid systemId')
     }
 
+    // Validate codex entries
+    if (doc.type === 'codex') {
+      if (!doc.codexType || typeof doc.codexType !== 'string') {
+        throw new Error('Codex entries must have a valid codexType')
+      }
+      if (
+        doc.fields !== undefined &&
+        (typeof doc.fields !== 'object' || Array.isArray(doc.fields))
+      ) {
+        throw new Error('Codex entry fields must be an object')
+      }
+    }
+
     return true
   }
 
@@ -137,6 +155,33 @@ export class StorageManager {
           store.createIndex('updatedAt', 'updatedAt', { unique: false })
           store.createIndex('tags', 'tags', { unique: false, multiEntry: true })
         }
+
+        if (!db.objectStoreNames.contains(this.projectStoreName)) {
+          const projectStore = db.createObjectStore(this.projectStoreName, { keyPath: 'id' })
+          projectStore.createIndex('title', 'title', { unique: false })
+          projectStore.createIndex('updatedAt', 'updatedAt', { unique: false })
+        }
+
+        if (!db.objectStoreNames.contains(this.revisionStoreName)) {
+          const revisionStore = db.createObjectStore(this.revisionStoreName, { keyPath: 'id' })
+          revisionStore.createIndex('documentId', 'documentId', { unique: false })
+          revisionStore.createIndex('createdAt', 'createdAt', { unique: false })
+        }
+
+        if (!db.objectStoreNames.contains(this.wordHistoryStoreName)) {
+          const historyStore = db.createObjectStore(this.wordHistoryStoreName, { keyPath: 'id' })
+          historyStore.createIndex('date', 'date', { unique: false })
+          historyStore.createIndex('documentId', 'documentId', { unique: false })
+        }
+
+        if (!db.objectStoreNames.contains(this.syncQueueStoreName)) {
+          const queueStore = db.createObjectStore(this.syncQueueStoreName, { keyPath: 'id' })
+          queueStore.createIndex('status', 'status', { unique: false })
+        }
+
+        if (!db.objectStoreNames.contains(this.searchIndexStoreName)) {
+          db.createObjectStore(this.searchIndexStoreName, { keyPath: 'id' })
+        }
       }
     })
   }
@@ -170,6 +215,11 @@ export class StorageManager {
       if (document.systemId) {
         processedDoc.systemId = document.systemId
       }
+      if (processedDoc.type === 'codex') {
+        processedDoc.codexType = document.codexType
+        processedDoc.fields = document.fields || {}
+        this.validateDocument(processedDoc)
+      }
     } else {
       // Update existing document - check if it's readonly first
       const existingDoc = await this.getDocument(document.id)
@@ -206,6 +256,14 @@ export class StorageManager {
       if (document.systemId || existingDoc?.systemId) {
         processedDoc.systemId = document.systemId || existingDoc.systemId
       }
+      if (processedDoc.type === 'codex') {
+        processedDoc.codexType = document.codexType || existingDoc?.codexType
+        processedDoc.fields = document.fields || existingDoc?.fields || {}
+      }
+      // Keep the last synced content (the sync merge base) when saving from a stale copy
+      if (processedDoc.syncBase === undefined && existingDoc?.syncBase !== undefined) {
+        processedDoc.syncBase = existingDoc.syncBase
+      }
     }
 
     return new Promise((resolve, reject) => {
@@ -583,10 +641,62 @@ export class StorageManager {
     delete document.githubSha
     delete document.githubPath
     delete document.lastSyncedAt
+    document.syncBase = null
 
     await this.saveDocument(document)
   }
 
+  /**
+   * Record repository metadata after a sync without treating it as an edit
+   * Writes directly so readonly documents can be synced too; updatedAt is left unchanged.
+   * @param {string} documentId - Document ID
+   * @param {Object} metadata - { githubSha, githubPath, lastSyncedAt, syncBase }
+   * @returns {Promise<Object>} Updated document
+   */
+  async updateSyncMetadata(documentId, metadata) {
+    await this.ensureDatabase()
+
+    const document = await this.getDocument(documentId)
+    if (!document) {
+      throw new Error('Document not found')
+    }
+
+    const { githubSha, githubPath, lastSyncedAt, syncBase } = metadata
+    Object.assign(document, { githubSha, githubPath, lastSyncedAt, syncBase })
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite')
+      transaction.objectStore(this.storeName).put(document)
+
+      transaction.oncomplete = () => resolve(document)
+      transaction.onerror = () => reject(new Error('Failed to update sync metadata'))
+    })
+  }
+
+  /**
+   * Write a document exactly as given, e.g. from a backup archive
+   * Bypasses saveDocument so readonly documents and their metadata are restored unchanged.
+   * @param {Object} document - Complete document with ID
+   * @returns {Promise<Object>} Stored document
+   */
+  async restoreDocument(document) {
+    await this.ensureDatabase()
+
+    this.validateDocument(document)
+    if (document.type === 'system') {
+      throw new Error('Cannot restore system documents')
+    }
+
+    const sanitized = this.sanitizeDocument(document)
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite')
+      transaction.objectStore(this.storeName).put(sanitized)
+
+      transaction.oncomplete = () => resolve(sanitized)
+      transaction.onerror = () => reject(new Error('Failed to restore document'))
+    })
+  }
+
   /**
    * Set document readonly status
    * @param {string} documentId - Document ID
@@ -639,7 +749,7 @@ export class StorageManager {
 
   /**
    * Get documents by type
-   * @param {string} type - Document type ('user' or 'system')
+   * @param {string} type - Document type ('user', 'system' or 'codex')
    * @returns {Promise<Array>} Documents of specified type
    */
   async getDocumentsByType(type) {
@@ -682,4 +792,389 @@ export class StorageManager {
     const documents = await this.getAllDocuments()
     return documents.filter((doc) => (doc.type || 'user') === 'user' && doc.readonly !== true)
   }
+
+  /**
+   * Save a manuscript project record as-is
+   * Binder manipulation and timestamps are handled by ProjectManager
+   * @param {Object} project - Project with id, title and binder
+   * @returns {Promise<Object>} Stored project
+   */
+  async saveProject(project) {
+    await this.ensureDatabase()
+
+    if (!project || !project.id || typeof project.id !== 'string') {
+      throw new Error('Project ID is required')
+    }
+
+    if (!project.title || typeof project.title !== 'string' || !project.title.trim()) {
+      throw new Error('Project title is required')
+    }
+
+    if (!Array.isArray(project.binder)) {
+      throw new Error('Project binder must be an array')
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.projectStoreName], 'readwrite')
+      const store = transaction.objectStore(this.projectStoreName)
+      store.put(project)
+
+      transaction.oncomplete = () => resolve(project)
+      transaction.onerror = () => reject(new Error('Failed to save project'))
+    })
+  }
+
+  /**
+   * Get a manuscript project by ID
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|undefined>} Project or undefined
+   */
+  async getProject(id) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.projectStoreName], 'readonly')
+      const store = transaction.objectStore(this.projectStoreName)
+      const request = store.get(id)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get project'))
+    })
+  }
+
+  /**
+   * Get all manuscript projects sorted by title
+   * @returns {Promise<Array>} Projects
+   */
+  async getAllProjects() {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.projectStoreName], 'readonly')
+      const store = transaction.objectStore(this.projectStoreName)
+      const request = store.getAll()
+
+      request.onsuccess = () => {
+        const projects = request.result
+        projects.sort((a, b) => a.title.localeCompare(b.title))
+        resolve(projects)
+      }
+      request.onerror = () => reject(new Error('Failed to get projects'))
+    })
+  }
+
+  /**
+   * Delete a manuscript project (documents in its binder are kept)
+   * @param {string} id - Project ID
+   * @returns {Promise<void>}
+   */
+  async deleteProject(id) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.projectStoreName], 'readwrite')
+      const store = transaction.objectStore(this.projectStoreName)
+      const request = store.delete(id)
+
+      request.onsuccess = () => resolve()
+      request.onerror = () => reject(new Error('Failed to delete project'))
+    })
+  }
+
+  /**
+   * Store a document revision snapshot
+   * Retention and throttling are handled by RevisionManager
+   * @param {Object} revision - Revision with id, documentId, content and createdAt
+   * @returns {Promise<Object>} Stored revision
+   */
+  async saveRevision(revision) {
+    await this.ensureDatabase()
+
+    if (!revision || !revision.id || !revision.documentId) {
+      throw new Error('Revision must have id and documentId')
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.revisionStoreName], 'readwrite')
+      const store = transaction.objectStore(this.revisionStoreName)
+      store.put(revision)
+
+      transaction.oncomplete = () => resolve(revision)
+      transaction.onerror = () => reject(new Error('Failed to save revision'))
+    })
+  }
+
+  /**
+   * Get a single revision by ID
+   * @param {string} id - Revision ID
+   * @returns {Promise<Object|undefined>} Revision
+   */
+  async getRevision(id) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.revisionStoreName], 'readonly')
+      const store = transaction.objectStore(this.revisionStoreName)
+      const request = store.get(id)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get revision'))
+    })
+  }
+
+  /**
+   * Get all revisions of a document, newest first
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} Revisions
+   */
+  async getRevisions(documentId) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.revisionStoreName], 'readonly')
+      const index = transaction.objectStore(this.revisionStoreName).index('documentId')
+      const request = index.getAll(documentId)
+
+      request.onsuccess = () => {
+        const revisions = request.result
+        revisions.sort(
+          (a, b) =>
+            new Date(b.createdAt) - new Date(a.createdAt) || (b.sequence || 0) - (a.sequence || 0)
+        )
+        resolve(revisions)
+      }
+      request.onerror = () => reject(new Error('Failed to get revisions'))
+    })
+  }
+
+  /**
+   * Get the revisions of all documents
+   * @returns {Promise<Array>} Revisions
+   */
+  async getAllRevisions() {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.revisionStoreName], 'readonly')
+      const request = transaction.objectStore(this.revisionStoreName).getAll()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get revisions'))
+    })
+  }
+
+  /**
+   * Delete revisions by ID in a single transaction
+   * @param {Array<string>} ids - Revision IDs
+   * @returns {Promise<void>}
+   */
+  async deleteRevisions(ids) {
+    await this.ensureDatabase()
+
+    if (!ids || ids.length === 0) return
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.revisionStoreName], 'readwrite')
+      const store = transaction.objectStore(this.revisionStoreName)
+      ids.forEach((id) => store.delete(id))
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(new Error('Failed to delete revisions'))
+    })
+  }
+
+  /**
+   * Store a daily word count entry for one document
+   * Totals and goals are handled by WritingGoalsManager
+   * @param {Object} entry - Entry with id, date (YYYY-MM-DD) and documentId
+   * @returns {Promise<Object>} Stored entry
+   */
+  async saveWordCount(entry) {
+    await this.ensureDatabase()
+
+    if (!entry || !entry.id || !entry.date || !entry.documentId) {
+      throw new Error('Word count entry must have id, date and documentId')
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.wordHistoryStoreName], 'readwrite')
+      const store = transaction.objectStore(this.wordHistoryStoreName)
+      store.put(entry)
+
+      transaction.oncomplete = () => resolve(entry)
+      transaction.onerror = () => reject(new Error('Failed to save word count'))
+    })
+  }
+
+  /**
+   * Get a single word count entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|undefined>} Entry
+   */
+  async getWordCount(id) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.wordHistoryStoreName], 'readonly')
+      const store = transaction.objectStore(this.wordHistoryStoreName)
+      const request = store.get(id)
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get word count'))
+    })
+  }
+
+  /**
+   * Get word count entries for a range of days, oldest first
+   * @param {string} fromDate - First day (YYYY-MM-DD), inclusive
+   * @param {string} toDate - Last day (YYYY-MM-DD), inclusive
+   * @returns {Promise<Array>} Entries
+   */
+  async getWordCounts(fromDate, toDate) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.wordHistoryStoreName], 'readonly')
+      const index = transaction.objectStore(this.wordHistoryStoreName).index('date')
+      const request = index.getAll(IDBKeyRange.bound(fromDate, toDate))
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get word counts'))
+    })
+  }
+
+  /**
+   * Delete the word count entries of a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<void>}
+   */
+  async deleteWordCounts(documentId) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.wordHistoryStoreName], 'readwrite')
+      const store = transaction.objectStore(this.wordHistoryStoreName)
+      const request = store.index('documentId').getAllKeys(documentId)
+      request.onsuccess = () => request.result.forEach((id) => store.delete(id))
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(new Error('Failed to delete word counts'))
+    })
+  }
+
+  /**
+   * Store a pending sync operation
+   * Coalescing and retry scheduling are handled by SyncManager
+   * @param {Object} operation - Operation with id, type and documentId
+   * @returns {Promise<Object>} Stored operation
+   */
+  async saveSyncOperation(operation) {
+    await this.ensureDatabase()
+
+    if (!operation || !operation.id || !operation.type || !operation.documentId) {
+      throw new Error('Sync operation must have id, type and documentId')
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.syncQueueStoreName], 'readwrite')
+      const store = transaction.objectStore(this.syncQueueStoreName)
+      store.put(operation)
+
+      transaction.oncomplete = () => resolve(operation)
+      transaction.onerror = () => reject(new Error('Failed to save sync operation'))
+    })
+  }
+
+  /**
+   * Get all pending sync operations, oldest first
+   * @returns {Promise<Array>} Operations
+   */
+  async getSyncOperations() {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.syncQueueStoreName], 'readonly')
+      const request = transaction.objectStore(this.syncQueueStoreName).getAll()
+
+      request.onsuccess = () => {
+        const operations = request.result
+        operations.sort(
+          (a, b) =>
+            new Date(a.createdAt) - new Date(b.createdAt) || (a.sequence || 0) - (b.sequence || 0)
+        )
+        resolve(operations)
+      }
+      request.onerror = () => reject(new Error('Failed to get sync operations'))
+    })
+  }
+
+  /**
+   * Delete a sync operation by ID
+   * @param {string} id - Operation ID
+   * @returns {Promise<void>}
+   */
+  async deleteSyncOperation(id) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.syncQueueStoreName], 'readwrite')
+      transaction.objectStore(this.syncQueueStoreName).delete(id)
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(new Error('Failed to delete sync operation'))
+    })
+  }
+
+  /**
+   * Delete all sync operations
+   * @returns {Promise<void>}
+   */
+  async clearSyncOperations() {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.syncQueueStoreName], 'readwrite')
+      transaction.objectStore(this.syncQueueStoreName).clear()
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(new Error('Failed to clear sync operations'))
+    })
+  }
+
+  /**
+   * Get the persisted search index: analysed documents and the serialized lunr index
+   * Freshness and rebuilding are handled by SearchEngine
+   * @returns {Promise<Array>} Stored search index records
+   */
+  async getSearchIndex() {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.searchIndexStoreName], 'readonly')
+      const request = transaction.objectStore(this.searchIndexStoreName).getAll()
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(new Error('Failed to get search index'))
+    })
+  }
+
+  /**
+   * Store and remove search index records in a single transaction
+   * @param {Array} records - Records with id to store
+   * @param {Array<string>} removedIds - Record IDs to delete
+   * @returns {Promise<void>}
+   */
+  async updateSearchIndex(records, removedIds = []) {
+    await this.ensureDatabase()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.searchIndexStoreName], 'readwrite')
+      const store = transaction.objectStore(this.searchIndexStoreName)
+      records.forEach((record) => store.put(record))
+      removedIds.forEach((id) => store.delete(id))
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(new Error('Failed to update search index'))
+    })
+  }
 }
@@ -2,17 +2,45 @@
  * SyncManager - Manages bidirectional synchronization between local storage and GitHub
  * Implements conflict resolution and offline-first sync strategies
  */
+import { mergeThreeWay } from '../diff/three-way-merge.js'
+
+// Queued operations are retried with exponential backoff, then wait for a manual retry
+export const SYNC_RETRY_BASE_DELAY = 5000 // 5 seconds
+export const SYNC_RETRY_MAX_DELAY = 10 * 60 * 1000 // 10 minutes
+export const SYNC_MAX_ATTEMPTS = 6
+const SYNC_QUEUE_DEBOUNCE = 30 * 1000 // Gather edits before pushing a commit
+
 export class SyncManager {
   constructor(storageManager, githubStorage, githubAuth) {
     this.storage = storageManager
     this.github = githubStorage
     this.auth = githubAuth
+    // Pending operations, one per document, mirrored in IndexedDB so they survive a reload.
+    // Conflicts stay in memory: the next sync detects them again.
     this.syncQueue = []
     this.conflictQueue = []
     this.syncing = false
+    this.processingQueue = false
+    this.syncQueueTimer = null
     this.lastSyncTime = null
     this.autoSyncEnabled = false
     this.autoSyncInterval = null
+    this.onQueueChange = null
+    // Asked with [{ id, title, path }] before files are deleted from the repository
+    this.confirmRemoteDelete = null
+    // Called with the ID of a document a sync or branch switch removed here, to clean up its
+    // revisions, binder references and other data kept beside it
+    this.onDocumentRemoved = null
+
+    this.handleOnline = () => this.processSyncQueue()
+  }
+
+  /**
+   * Use another repository storage backend, e.g. after logging in to a different Git host
+   * @param {StorageBackend} backend - Storage backend
+   */
+  setBackend(backend) {
+    this.github = backend
   }
 
   /**
@@ -29,6 +57,23 @@ export class SyncManager {
 
     // Load last sync time from storage
     this.loadSyncMetadata()
+
+    // Resume queued operations once the connection is back
+    window.addEventListener('online', this.handleOnline)
+  }
+
+  /**
+   * Turn periodic synchronization on or off
+   * Queued operations are pushed either way whenever the connection allows.
+   * @param {boolean} enabled - Whether to sync automatically
+   */
+  setAutoSync(enabled) {
+    this.autoSyncEnabled = enabled
+    if (enabled) {
+      this.startAutoSync()
+    } else {
+      this.stopAutoSync()
+    }
   }
 
   /**
@@ -81,8 +126,12 @@ export class SyncManager {
     const results = {
       uploaded: 0,
       downloaded: 0,
+      merged: 0,
+      deleted: 0,
+      removed: 0,
       conflicts: 0,
       errors: 0,
+      commitSha: null,
       startTime: new Date(),
       endTime: null
     }
@@ -91,9 +140,11 @@ export class SyncManager {
       // Ensure GitHub documents directory exists
       await this.github.ensureDocumentsDirectory()
 
-      // Get all local and remote documents
+      // Get all local and remote documents; remote files unchanged since the last sync
+      // (same blob SHA) are not downloaded
       const localDocs = await this.storage.getAllDocuments()
-      const remoteDocs = await this.github.listDocuments()
+      const listedDocs = await this.github.listDocuments(localDocs)
+      const remoteDocs = await this.syncDeletes(listedDocs, results)
 
       // Create lookup maps
       const localMap = new Map(localDocs.map((doc) => [doc.id, doc]))
@@ -109,45 +160,40 @@ export class SyncManager {
         const remoteDoc = remoteMap.get(localDoc.id)
 
         if (!remoteDoc) {
-          // Local document doesn't exist remotely - upload
-          toUpload.push(localDoc)
+          if (await this.isDeletedRemotely(localDoc)) {
+            await this.removeLocalDocument(localDoc.id)
+            results.removed++
+          } else {
+            // Local document doesn't exist remotely - upload
+            toUpload.push(localDoc)
+          }
+        } else if (this.isRemoteUnchanged(localDoc, remoteDoc)) {
+          if (this.hasLocalChanges(localDoc)) {
+            toUpload.push(localDoc)
+          }
+        } else if (localDoc.githubSha && !this.hasLocalChanges(localDoc)) {
+          // Only the remote changed since the last sync
+          toDownload.push(remoteDoc)
         } else {
-          // Document exists in both places - check for conflicts
+          // Document changed in both places or was never synced - check for conflicts
           const conflict = this.detectConflict(localDoc, remoteDoc)
           if (conflict) {
             conflicts.push({ local: localDoc, remote: remoteDoc, type: conflict })
           } else if (this.isLocalNewer(localDoc, remoteDoc)) {
             toUpload.push(localDoc)
+          } else if (this.isRemoteNewer(localDoc, remoteDoc)) {
+            toDownload.push(remoteDoc)
           }
         }
       }
 
-      // Check each remote document
+      // Remote documents that don't exist locally - download
       for (const remoteDoc of remoteDocs) {
-        const localDoc = localMap.get(remoteDoc.id)
-
-        if (!localDoc) {
-          // Remote document doesn't exist locally - download
-          toDownload.push(remoteDoc)
-        } else if (
-          !conflicts.some((c) => c.remote.id === remoteDoc.id) &&
-          this.isRemoteNewer(localDoc, remoteDoc)
-        ) {
+        if (!localMap.has(remoteDoc.id)) {
           toDownload.push(remoteDoc)
         }
       }
 
-      // Process uploads
-      for (const doc of toUpload) {
-        try {
-          await this.uploadDocument(doc)
-          results.uploaded++
-        } catch (error) {
-          console.error(`Failed to upload ${doc.title}:`, error)
-          results.errors++
-        }
-      }
-
       // Process downloads
       for (const doc of toDownload) {
         try {
@@ -159,15 +205,49 @@ export class SyncManager {
         }
       }
 
-      // Handle conflicts
-      if (conflicts.length > 0) {
-        this.conflictQueue.push(...conflicts)
-        results.conflicts = conflicts.length
+      // Three-way merge conflicts; only overlapping hunks are left for the user
+      const toMerge = []
+      for (const conflict of conflicts) {
+        const prepared = await this.prepareConflict(conflict)
+
+        if (prepared.merge?.clean) {
+          try {
+            const mergedDoc = await this.applyMerge(prepared)
+            if (mergedDoc) {
+              toMerge.push(mergedDoc)
+            } else {
+              results.merged++
+            }
+          } catch (error) {
+            console.error(`Failed to merge ${conflict.local.title}:`, error)
+            results.errors++
+          }
+        } else {
+          this.queueConflict(prepared)
+          results.conflicts++
+        }
+      }
+
+      // Sync manuscript project manifests after their documents
+      const projectsToUpload = await this.syncProjects(results)
+
+      // Local changes, clean merges and manifests go up together as one commit
+      if (toUpload.length > 0 || toMerge.length > 0 || projectsToUpload.length > 0) {
+        try {
+          const pushed = await this.uploadDocuments([...toUpload, ...toMerge], projectsToUpload)
+          results.commitSha = pushed.commitSha
+          results.uploaded += toUpload.length + projectsToUpload.length
+          results.merged += toMerge.length
+        } catch (error) {
+          console.error('Failed to upload changes:', error)
+          results.errors += toUpload.length + toMerge.length + projectsToUpload.length
+        }
       }
 
       // Update sync metadata
       this.lastSyncTime = new Date()
       this.saveSyncMetadata()
+      await this.settleSyncQueue()
 
       results.endTime = new Date()
       return results
@@ -179,33 +259,229 @@ export class SyncManager {
     }
   }
 
+  /**
+   * Push the deletes queued since the last sync, using the listed paths of the files
+   * Queued deletes are the tombstones of local deletions: their files are removed instead of
+   * being downloaded again. A failed delete keeps its tombstone for the next attempt.
+   * @param {Array} remoteDocs - Documents listed in the repository
+   * @param {Object} results - Sync results to update
+   * @returns {Promise<Array>} Remote documents left to sync
+   */
+  async syncDeletes(remoteDocs, results) {
+    const listed = new Map(remoteDocs.map((doc) => [doc.id, doc]))
+    const tombstones = this.syncQueue.filter((op) => op.type === 'delete')
+
+    const toDelete = []
+    for (const op of tombstones) {
+      const remoteDoc = listed.get(op.documentId)
+      if (!remoteDoc) {
+        await this.removeOperation(op)
+        continue
+      }
+
+      // The file may have been moved since the document was deleted here
+      op.path = remoteDoc.githubPath
+      op.sha = remoteDoc.githubSha
+      toDelete.push(op)
+    }
+
+    const { deleted, failed } = await this.pushDeletes(toDelete)
+    results.deleted += deleted.length
+    results.errors += failed.length
+
+    const skipped = new Set([...deleted, ...failed])
+    return remoteDocs.filter((doc) => !skipped.has(doc.id))
+  }
+
   /**
    * Upload a document to GitHub
    * @param {Object} document - Document to upload
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Saved local document
    */
   async uploadDocument(document) {
-    const result = await this.github.saveDocument(document)
+    const { documents } = await this.uploadDocuments([document])
+    return documents[0]
+  }
+
+  /**
+   * Upload documents and project manifests to GitHub as a single commit
+   * @param {Array} documents - Documents to upload
+   * @param {Array} projects - Projects to upload
+   * @param {string} message - Commit message, generated from the contents by default
+   * @returns {Promise<Object>} { commitSha, documents, projects } as saved locally
+   */
+  async uploadDocuments(documents, projects = [], message = null) {
+    const result = await this.github.commitDocuments(documents, projects, message)
+
+    // Update local documents with GitHub metadata; the uploaded content is the next merge base
+    const savedDocuments = []
+    for (const [index, document] of documents.entries()) {
+      const pushed = result.documents[index]
+      const metadata = {
+        githubSha: pushed.githubSha,
+        githubPath: pushed.githubPath,
+        lastSyncedAt: pushed.lastSyncedAt,
+        syncBase: document.content || ''
+      }
+      savedDocuments.push(
+        document.readonly
+          ? await this.storage.updateSyncMetadata(document.id, metadata)
+          : await this.storage.saveDocument({ ...document, ...metadata })
+      )
+    }
 
-    // Update local document with GitHub metadata
-    const updatedDoc = {
-      ...document,
-      githubSha: result.document.githubSha,
-      githubPath: result.document.githubPath,
-      lastSyncedAt: result.document.lastSyncedAt
+    const savedProjects = []
+    for (const project of result.projects) {
+      savedProjects.push(await this.storage.saveProject(project))
     }
 
-    await this.storage.saveDocument(updatedDoc)
+    return { commitSha: result.commitSha, documents: savedDocuments, projects: savedProjects }
+  }
+
+  /**
+   * Sync manuscript project manifests (binder structure) in both directions
+   * Newest updatedAt wins; binder order is not merged. Downloads are applied here; projects
+   * to upload are returned so they can join the sync commit.
+   * @param {Object} results - Sync results to update
+   * @returns {Promise<Array>} Local projects to upload
+   */
+  async syncProjects(results) {
+    if (typeof this.storage.getAllProjects !== 'function' || !this.github.listProjects) {
+      return []
+    }
+
+    const localProjects = await this.storage.getAllProjects()
+    const remoteProjects = await this.github.listProjects(localProjects)
+    const remoteMap = new Map(remoteProjects.map((project) => [project.id, project]))
+    const localIds = new Set(localProjects.map((project) => project.id))
+    const toUpload = []
+
+    const download = async (remoteProject) => {
+      try {
+        await this.storage.saveProject({ ...remoteProject, lastSyncedAt: new Date().toISOString() })
+        results.downloaded++
+      } catch (error) {
+        console.error(`Failed to download project ${remoteProject.title}:`, error)
+        results.errors++
+      }
+    }
+
+    for (const localProject of localProjects) {
+      const remoteProject = remoteMap.get(localProject.id)
+      const localTime = new Date(localProject.updatedAt)
+
+      if (!remoteProject) {
+        toUpload.push(localProject)
+      } else if (this.isRemoteUnchanged(localProject, remoteProject)) {
+        if (!localProject.lastSyncedAt || localTime > new Date(localProject.lastSyncedAt)) {
+          toUpload.push(localProject)
+        }
+      } else if (localTime > new Date(remoteProject.updatedAt)) {
+        toUpload.push(localProject)
+      } else if (new Date(remoteProject.updatedAt) > localTime) {
+        await download(remoteProject)
+      }
+    }
+
+    for (const remoteProject of remoteProjects) {
+      if (!localIds.has(remoteProject.id)) {
+        await download(remoteProject)
+      }
+    }
+
+    return toUpload
   }
 
   /**
    * Download a document from GitHub
    * @param {Object} remoteDoc - Remote document metadata
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Saved local document
    */
   async downloadDocument(remoteDoc) {
-    const document = await this.github.loadDocument(remoteDoc.githubPath)
-    await this.storage.saveDocument(document)
+    const document = await this.loadRemoteDocument(remoteDoc)
+    return await this.storage.saveDocument({ ...document, syncBase: document.content || '' })
+  }
+
+  /**
+   * Load the remote content of a conflict and merge it with local changes
+   * @param {Object} conflict - Conflict with local document and remote metadata
+   * @returns {Promise<Object>} Conflict with full remote document and merge result
+   */
+  async prepareConflict(conflict) {
+    try {
+      const remote = await this.loadRemoteDocument(conflict.remote)
+      const merged = { ...conflict, remote: { ...conflict.remote, ...remote } }
+      return { ...merged, merge: this.mergeContent(merged.local, merged.remote) }
+    } catch (error) {
+      console.warn(`Could not merge ${conflict.local.title}:`, error.message)
+      return conflict
+    }
+  }
+
+  /**
+   * Get the full remote document, reusing content already fetched while listing
+   * @param {Object} remoteDoc - Remote document metadata
+   * @returns {Promise<Object>} Remote document with content
+   */
+  async loadRemoteDocument(remoteDoc) {
+    if (typeof remoteDoc.content === 'string') {
+      return remoteDoc
+    }
+    return await this.github.loadDocument(remoteDoc.githubPath)
+  }
+
+  /**
+   * Three-way merge document content against the last synced base
+   * Documents synced before a base was stored merge against an empty base
+   * @param {Object} localDoc - Local document
+   * @param {Object} remoteDoc - Remote document with content
+   * @returns {Object} Merge result from mergeThreeWay()
+   */
+  mergeContent(localDoc, remoteDoc) {
+    return mergeThreeWay(localDoc.syncBase || '', localDoc.content || '', remoteDoc.content || '')
+  }
+
+  /**
+   * Store a cleanly merged conflict that already matches GitHub, or return it for upload
+   * @param {Object} conflict - Prepared conflict
+   * @returns {Promise<Object|null>} Merged document to upload, or null when nothing changed remotely
+   */
+  async applyMerge(conflict) {
+    const mergedDoc = await this.mergeDocuments(conflict.local, conflict.remote)
+    const remote = conflict.remote
+    const matchesRemote =
+      mergedDoc.content === remote.content &&
+      mergedDoc.title === remote.title &&
+      mergedDoc.tags.join(',') === (remote.tags || []).join(',') &&
+      (mergedDoc.folder || '') === (remote.folder || '')
+
+    if (!matchesRemote) {
+      return mergedDoc
+    }
+
+    await this.storage.saveDocument({
+      ...mergedDoc,
+      githubSha: remote.githubSha,
+      githubPath: remote.githubPath,
+      lastSyncedAt: new Date().toISOString(),
+      syncBase: mergedDoc.content
+    })
+    return null
+  }
+
+  /**
+   * Add a conflict to the queue, replacing an earlier entry for the same document
+   * @param {Object} conflict - Conflict object
+   */
+  queueConflict(conflict) {
+    const id = this.generateConflictId(conflict)
+    const index = this.conflictQueue.findIndex((c) => this.generateConflictId(c) === id)
+
+    if (index === -1) {
+      this.conflictQueue.push(conflict)
+    } else {
+      this.conflictQueue[index] = conflict
+    }
   }
 
   /**
@@ -257,13 +533,57 @@ export class SyncManager {
     return remoteTime > localTime
   }
 
+  /**
+   * Check whether the remote file is still the one last synced
+   * A file moved to another folder on GitHub counts as changed even when its content is not
+   * @param {Object} local - Local document or project
+   * @param {Object} remote - Remote metadata
+   * @returns {boolean} Whether the remote blob SHA and path match the stored ones
+   */
+  isRemoteUnchanged(local, remote) {
+    const samePath =
+      !local.githubPath || !remote.githubPath || local.githubPath === remote.githubPath
+    return !!local.githubSha && local.githubSha === remote.githubSha && samePath
+  }
+
+  /**
+   * Pick the folder of a document changed on both sides
+   * A move made locally since the last sync wins; otherwise the document follows GitHub
+   * @param {Object} localDoc - Local document
+   * @param {Object} remoteDoc - Remote document
+   * @returns {string} Folder relative to the documents directory
+   */
+  resolveFolder(localDoc, remoteDoc) {
+    const syncedFolder = localDoc.githubPath ? this.github.getFolder(localDoc.githubPath) : ''
+    const localFolder = localDoc.folder ?? syncedFolder
+    if (remoteDoc.folder === undefined || localFolder !== syncedFolder) {
+      return localFolder
+    }
+    return remoteDoc.folder
+  }
+
+  /**
+   * Check whether a document was edited after it was last synced
+   * Compared in whole seconds, like the sync status indicator
+   * @param {Object} doc - Local document
+   * @returns {boolean} Whether there are local changes to upload
+   */
+  hasLocalChanges(doc) {
+    if (!doc.lastSyncedAt) return true
+
+    const modified = new Date(doc.metadata?.modified || doc.updatedAt)
+    const synced = new Date(doc.lastSyncedAt)
+    return Math.floor(modified.getTime() / 1000) > Math.floor(synced.getTime() / 1000)
+  }
+
   /**
    * Resolve a conflict by choosing a resolution strategy
    * @param {string} conflictId - Conflict identifier
    * @param {string} resolution - Resolution strategy: 'local', 'remote', 'merge'
-   * @returns {Promise<void>}
+   * @param {string} content - Merged content chosen hunk by hunk; used with 'merge'
+   * @returns {Promise<Object>} Resolved local document
    */
-  async resolveConflict(conflictId, resolution) {
+  async resolveConflict(conflictId, resolution, content = null) {
     const conflictIndex = this.conflictQueue.findIndex(
       (c) => this.generateConflictId(c) === conflictId
     )
@@ -273,21 +593,33 @@ export class SyncManager {
     }
 
     const conflict = this.conflictQueue[conflictIndex]
+    let resolved
+
+    if (conflict.branch) {
+      resolved = await this.resolveBranchConflict(conflict, resolution, content)
+      this.conflictQueue.splice(conflictIndex, 1)
+      return resolved
+    }
 
     switch (resolution) {
       case 'local':
-        await this.uploadDocument(conflict.local)
+        // Write over the file where it is now, in case it was moved on GitHub
+        resolved = await this.uploadDocument({
+          ...conflict.local,
+          githubPath: conflict.remote.githubPath || conflict.local.githubPath
+        })
         break
 
       case 'remote':
-        await this.downloadDocument(conflict.remote)
+        resolved = await this.downloadDocument(conflict.remote)
         break
 
-      case 'merge':
-        const mergedDoc = await this.mergeDocuments(conflict.local, conflict.remote)
+      case 'merge': {
+        const mergedDoc = await this.mergeDocuments(conflict.local, conflict.remote, content)
         await this.storage.saveDocument(mergedDoc)
-        await this.uploadDocument(mergedDoc)
+        resolved = await this.uploadDocument(mergedDoc)
         break
+      }
 
       default:
         throw new Error(`Unknown resolution strategy: ${resolution}`)
@@ -295,32 +627,218 @@ export class SyncManager {
 
     // Remove resolved conflict from queue
     this.conflictQueue.splice(conflictIndex, 1)
+    return resolved
+  }
+
+  /**
+   * Resolve a conflict left by mergeBranch() on the working branch
+   * The working copy is already synced, so keeping it needs no commit; the draft version or the
+   * merged text is pushed to the working branch.
+   * @param {Object} conflict - Queued branch conflict
+   * @param {string} resolution - 'local' (working branch), 'remote' (draft branch) or 'merge'
+   * @param {string} content - Merged content chosen hunk by hunk; used with 'merge'
+   * @returns {Promise<Object>} Resolved local document
+   */
+  async resolveBranchConflict(conflict, resolution, content = null) {
+    const { local, remote } = conflict
+
+    switch (resolution) {
+      case 'local':
+        return local
+
+      case 'remote':
+        return await this.uploadDocument({
+          ...local,
+          title: remote.title,
+          content: remote.content,
+          tags: remote.tags || [],
+          folder: remote.folder,
+          updatedAt: new Date().toISOString()
+        })
+
+      case 'merge': {
+        const merged = await this.mergeDocuments(local, remote, content ?? conflict.merge?.content)
+        return await this.uploadDocument({ ...merged, githubPath: local.githubPath })
+      }
+
+      default:
+        throw new Error(`Unknown resolution strategy: ${resolution}`)
+    }
+  }
+
+  /**
+   * Replace the synced working set with the documents and projects of another branch
+   * Every change to a pushed document must be synced first. Synced items missing on the new
+   * branch are removed locally; they stay on the branch that was left. Documents never pushed
+   * belong to no branch and are carried over.
+   * @param {string} branch - Branch to switch to
+   * @returns {Promise<Object>} { downloaded, removed }
+   */
+  async switchBranch(branch) {
+    if (this.conflictQueue.length > 0) {
+      throw new Error('Resolve sync conflicts before switching branches')
+    }
+
+    const localDocs = await this.storage.getAllDocuments()
+    const unsynced = localDocs.filter((doc) => doc.githubPath && this.hasLocalChanges(doc))
+    if (unsynced.length > 0) {
+      const titles = unsynced.map((doc) => `"${doc.title}"`).join(', ')
+      throw new Error(`Sync your changes to ${titles} before switching branches`)
+    }
+
+    const target = this.github.forBranch(branch)
+    const results = { downloaded: 0, removed: 0 }
+
+    const remoteDocs = await target.listDocuments(localDocs)
+    const remoteIds = new Set(remoteDocs.map((doc) => doc.id))
+    for (const remoteDoc of remoteDocs.filter((doc) => !doc.unchanged)) {
+      await this.downloadDocument(remoteDoc)
+      results.downloaded++
+    }
+    for (const localDoc of localDocs) {
+      if (localDoc.githubPath && !remoteIds.has(localDoc.id)) {
+        await this.removeLocalDocument(localDoc.id)
+        results.removed++
+      }
+    }
+
+    if (typeof this.storage.getAllProjects === 'function' && target.listProjects) {
+      const localProjects = await this.storage.getAllProjects()
+      const remoteProjects = await target.listProjects(localProjects)
+      const remoteProjectIds = new Set(remoteProjects.map((project) => project.id))
+      for (const remoteProject of remoteProjects.filter((project) => !project.unchanged)) {
+        await this.storage.saveProject({ ...remoteProject, lastSyncedAt: new Date().toISOString() })
+        results.downloaded++
+      }
+      for (const localProject of localProjects) {
+        if (localProject.githubPath && !remoteProjectIds.has(localProject.id)) {
+          await this.storage.deleteProject(localProject.id)
+          results.removed++
+        }
+      }
+    }
+
+    this.github.updateConfig({ branch })
+    return results
+  }
+
+  /**
+   * Merge a draft branch into the working branch
+   * Each document changed on the draft is three-way merged with the working copy against its
+   * version at the merge base. Clean merges and documents new on the draft are pushed as one
+   * commit; overlapping edits are queued as conflicts named after both branches. Documents
+   * deleted on the draft and project manifests are not merged.
+   * @param {string} source - Branch to merge from
+   * @returns {Promise<Object>} { merged, added, conflicts, commitSha }
+   */
+  async mergeBranch(source) {
+    const target = this.github.branch
+    const localDocs = await this.storage.getAllDocuments()
+    const localMap = new Map(localDocs.map((doc) => [doc.id, doc]))
+    const draftDocs = await this.github.forBranch(source).listDocuments(localDocs)
+    const baseSha = await this.github.getMergeBase(target, source)
+    const base = baseSha ? this.github.forBranch(baseSha) : null
+
+    const results = { merged: 0, added: 0, conflicts: 0, commitSha: null }
+    const toUpload = []
+
+    // Files with the same blob on both branches are listed as unchanged
+    for (const draftDoc of draftDocs.filter((doc) => !doc.unchanged)) {
+      const localDoc = localMap.get(draftDoc.id)
+
+      if (!localDoc) {
+        toUpload.push({ ...draftDoc, githubSha: null })
+        results.added++
+        continue
+      }
+
+      const baseContent = await this.loadMergeBase(base, draftDoc.githubPath, localDoc.githubPath)
+      const merge = mergeThreeWay(baseContent, localDoc.content || '', draftDoc.content || '')
+
+      if (!merge.clean) {
+        this.queueConflict({
+          local: localDoc,
+          remote: draftDoc,
+          type: 'branch',
+          merge,
+          branch: source,
+          labels: { local: target, remote: source }
+        })
+        results.conflicts++
+        continue
+      }
+
+      // Keep the working branch path so a move made on the draft is committed as a rename
+      const mergedDoc = {
+        ...(await this.mergeDocuments(localDoc, draftDoc, merge.content)),
+        githubPath: localDoc.githubPath
+      }
+      const unchanged =
+        mergedDoc.content === localDoc.content &&
+        mergedDoc.title === localDoc.title &&
+        mergedDoc.tags.join(',') === (localDoc.tags || []).join(',') &&
+        (mergedDoc.folder || '') === (localDoc.folder || '')
+      if (!unchanged) {
+        toUpload.push(mergedDoc)
+        results.merged++
+      }
+    }
+
+    if (toUpload.length > 0) {
+      const message = `Merge branch '${source}' into ${target}`
+      const pushed = await this.uploadDocuments(toUpload, [], message)
+      results.commitSha = pushed.commitSha
+    }
+
+    return results
+  }
+
+  /**
+   * Load a document's content at the merge base
+   * @param {StorageBackend|null} base - Backend reading the merge base commit
+   * @param {...string} paths - Paths the document may have had, tried in order
+   * @returns {Promise<string>} Content, or '' when the document did not exist yet
+   */
+  async loadMergeBase(base, ...paths) {
+    if (!base) return ''
+
+    for (const path of paths.filter(Boolean)) {
+      try {
+        return (await base.loadDocument(path)).content || ''
+      } catch (error) {
+        // Not at this path in the merge base
+      }
+    }
+    return ''
   }
 
   /**
    * Merge two conflicting documents
+   * Content is three-way merged against the last synced base; overlapping hunks keep
+   * conflict markers. Metadata comes from the newer document; the folder from resolveFolder().
    * @param {Object} localDoc - Local document
    * @param {Object} remoteDoc - Remote document
+   * @param {string} content - Already resolved content to use instead of merging
    * @returns {Promise<Object>} Merged document
    */
-  async mergeDocuments(localDoc, remoteDoc) {
-    // Simple merge strategy: combine content and use latest metadata
+  async mergeDocuments(localDoc, remoteDoc, content = null) {
     const localTime = new Date(localDoc.updatedAt || localDoc.metadata?.modified)
     const remoteTime = new Date(remoteDoc.updatedAt)
 
     const newerDoc = localTime > remoteTime ? localDoc : remoteDoc
-    const olderDoc = localTime > remoteTime ? remoteDoc : localDoc
-
-    // Merge content with conflict markers
-    const mergedContent = `${newerDoc.content}\n\n---\n\n### Merged from ${olderDoc.title} (${olderDoc.updatedAt})\n\n${olderDoc.content}`
+    const mergedContent =
+      typeof content === 'string' ? content : this.mergeContent(localDoc, remoteDoc).content
 
     // Merge tags
     const mergedTags = [...new Set([...(localDoc.tags || []), ...(remoteDoc.tags || [])])]
 
     return {
-      ...newerDoc,
+      ...localDoc,
+      title: newerDoc.title,
       content: mergedContent,
       tags: mergedTags,
+      folder: this.resolveFolder(localDoc, remoteDoc),
+      githubPath: remoteDoc.githubPath || localDoc.githubPath,
       updatedAt: new Date().toISOString(),
       checksum: this.storage.generateChecksum(mergedContent),
       mergedAt: new Date().toISOString(),
@@ -329,12 +847,13 @@ export class SyncManager {
   }
 
   /**
-   * Generate unique conflict identifier
+   * Generate conflict identifier
+   * Stable across calls so ids from getPendingConflicts() can be passed to resolveConflict()
    * @param {Object} conflict - Conflict object
    * @returns {string} Conflict ID
    */
   generateConflictId(conflict) {
-    return `${conflict.local.id}-${conflict.type}-${Date.now()}`
+    return `${conflict.local.id}-${conflict.type}`
   }
 
   /**
@@ -348,70 +867,354 @@ export class SyncManager {
       local: {
         title: conflict.local.title,
         updatedAt: conflict.local.updatedAt,
-        checksum: conflict.local.checksum
+        checksum: conflict.local.checksum,
+        content: conflict.local.content,
+        tags: conflict.local.tags
       },
       remote: {
         title: conflict.remote.title,
         updatedAt: conflict.remote.updatedAt,
-        checksum: conflict.remote.checksum
-      }
+        checksum: conflict.remote.checksum,
+        content: conflict.remote.content,
+        tags: conflict.remote.tags
+      },
+      hunks: conflict.merge ? conflict.merge.hunks : [],
+      labels: conflict.labels
     }))
   }
 
+  /**
+   * Load the persisted sync queue and resume it
+   * @returns {Promise<Array>} Queued operations
+   */
+  async loadSyncQueue() {
+    this.syncQueue = await this.storage.getSyncOperations()
+    this.notifyQueueChange()
+    this.scheduleSyncQueue(0)
+    return this.syncQueue
+  }
+
+  /**
+   * Queue a local change for the repository
+   * Operations are kept per document: an upload after a rename stays a rename, and a delete
+   * replaces anything queued before it. Deleting a document that was never synced only drops
+   * its queued upload.
+   * @param {string} type - 'upsert', 'rename' or 'delete'
+   * @param {Object} document - Local document as saved, or as it was before deletion
+   * @returns {Promise<Object|null>} Queued operation
+   */
+  async queueOperation(type, document) {
+    if (!['upsert', 'rename', 'delete'].includes(type)) {
+      throw new Error(`Unknown sync operation: ${type}`)
+    }
+
+    const existing = this.syncQueue.find((op) => op.id === document.id)
+    if (existing?.type === 'delete') return existing
+
+    if (type === 'delete' && !document.githubPath) {
+      if (existing) await this.removeOperation(existing)
+      return null
+    }
+
+    const now = new Date().toISOString()
+    const lastSequence = Math.max(0, ...this.syncQueue.map((op) => op.sequence || 0))
+    const operation = {
+      id: document.id,
+      type: this.coalesceOperationType(type, existing, document),
+      documentId: document.id,
+      title: document.title,
+      path: document.githubPath || null,
+      sha: document.githubSha || null,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      status: 'pending',
+      createdAt: existing?.createdAt || now,
+      sequence: existing?.sequence || lastSequence + 1, // Orders operations queued in the same ms
+      updatedAt: now
+    }
+
+    await this.storage.saveSyncOperation(operation)
+    this.syncQueue = [...this.syncQueue.filter((op) => op.id !== operation.id), operation]
+    this.notifyQueueChange()
+    this.scheduleSyncQueue(SYNC_QUEUE_DEBOUNCE)
+    return operation
+  }
+
+  /**
+   * Get the type of an operation replacing the one queued for the same document
+   * @param {string} type - Type of the new operation
+   * @param {Object} existing - Operation queued before, if any
+   * @param {Object} document - Local document
+   * @returns {string} 'upsert', 'rename' or 'delete'
+   */
+  coalesceOperationType(type, existing, document) {
+    if (type === 'delete') return 'delete'
+
+    // Until a document is synced, renaming it is just another upload
+    const renamed = type === 'rename' || existing?.type === 'rename'
+    return renamed && document.githubPath ? 'rename' : 'upsert'
+  }
+
   /**
    * Queue document for sync
    * @param {Object} document - Document to sync
+   * @returns {Promise<Object|null>} Queued operation
    */
   queueForSync(document) {
-    const existing = this.syncQueue.find((item) => item.id === document.id)
-    if (existing) {
-      existing.document = document
-      existing.timestamp = new Date()
-    } else {
-      this.syncQueue.push({
-        id: document.id,
-        document,
-        timestamp: new Date()
-      })
-    }
+    return this.queueOperation('upsert', document)
   }
 
   /**
-   * Process sync queue
-   * @returns {Promise<void>}
+   * Push due operations to the repository
+   * Deletes are committed one by one; uploads and renames run as a regular sync so conflicts
+   * are still detected. Failed operations are retried with exponential backoff.
+   * @param {Object} options - { force } to push without waiting for backoff
+   * @returns {Promise<Object>} { processed, failed }
    */
-  async processSyncQueue() {
+  async processSyncQueue({ force = false } = {}) {
+    const result = { processed: 0, failed: 0 }
     if (
       this.syncQueue.length === 0 ||
+      navigator.onLine === false ||
       !this.auth.isAuthenticated() ||
       !this.github.isConfigured()
     ) {
-      return
+      return result
     }
 
-    const itemsToSync = [...this.syncQueue]
-    this.syncQueue = []
+    if (this.processingQueue || this.syncing) {
+      this.scheduleSyncQueue(SYNC_RETRY_BASE_DELAY)
+      return result
+    }
+
+    clearTimeout(this.syncQueueTimer)
+    const now = Date.now()
+    const due = this.syncQueue.filter(
+      (op) => op.status === 'pending' && (force || new Date(op.nextAttemptAt).getTime() <= now)
+    )
+
+    this.processingQueue = true
+    try {
+      if (due.some((op) => op.type !== 'delete')) {
+        // A full sync uploads the documents and pushes the queued deletes with them
+        try {
+          await this.syncWithGitHub()
+        } catch (error) {
+          for (const op of due.filter((item) => this.syncQueue.includes(item))) {
+            await this.recordFailure(op, error)
+          }
+        }
+      } else {
+        await this.pushDeletes(due)
+      }
+
+      // Operations still queued unchanged were not pushed
+      for (const op of due.filter((item) => this.syncQueue.includes(item))) {
+        await this.recordFailure(op, new Error('Upload failed'))
+      }
+    } finally {
+      this.processingQueue = false
+      this.notifyQueueChange()
+      this.scheduleSyncQueue()
+    }
+
+    const queued = new Map(this.syncQueue.map((op) => [op.id, op]))
+    return {
+      processed: due.filter((op) => !queued.has(op.id)).length,
+      failed: due.filter((op) => queued.get(op.id)?.attempts > op.attempts).length
+    }
+  }
+
+  /**
+   * Delete the files of documents deleted locally, once confirmed
+   * Declining drops the tombstones, so the documents come back with the next sync.
+   * @param {Array} ops - Queued delete operations
+   * @returns {Promise<Object>} { deleted, kept, failed } as lists of document IDs
+   */
+  async pushDeletes(ops) {
+    const outcome = { deleted: [], kept: [], failed: [] }
+    if (ops.length === 0) return outcome
+
+    const documents = ops.map((op) => ({ id: op.documentId, title: op.title, path: op.path }))
+    const confirmed = this.confirmRemoteDelete ? await this.confirmRemoteDelete(documents) : true
+
+    for (const op of ops) {
+      if (!confirmed) {
+        await this.removeOperation(op)
+        outcome.kept.push(op.documentId)
+        continue
+      }
 
-    for (const item of itemsToSync) {
       try {
-        await this.uploadDocument(item.document)
+        await this.github.deleteDocument(op.path, op.sha, op.title)
+        await this.removeOperation(op)
+        outcome.deleted.push(op.documentId)
       } catch (error) {
-        console.error(`Failed to sync queued document ${item.document.title}:`, error)
-        // Re-queue failed items
-        this.syncQueue.push(item)
+        if (this.github.isNotFoundError(error)) {
+          await this.removeOperation(op)
+          outcome.deleted.push(op.documentId)
+        } else {
+          await this.recordFailure(op, error)
+          outcome.failed.push(op.documentId)
+        }
+      }
+    }
+
+    return outcome
+  }
+
+  /**
+   * Check whether a synced document's file was deleted in the repository
+   * Documents edited since the last sync are kept; the next upload restores their file.
+   * @param {Object} doc - Local document missing from the repository listing
+   * @returns {Promise<boolean>} Whether to delete the local copy too
+   */
+  async isDeletedRemotely(doc) {
+    if (!doc.githubPath || !doc.githubSha || this.hasLocalChanges(doc)) return false
+
+    // Files that could not be read are left out of the listing too
+    try {
+      await this.github.loadFile(doc.githubPath)
+      return false
+    } catch (error) {
+      return this.github.isNotFoundError(error)
+    }
+  }
+
+  /**
+   * Delete a local document with the data kept beside it, the same way as a delete made here
+   * @param {string} documentId - Document ID
+   * @returns {Promise<void>}
+   */
+  async removeLocalDocument(documentId) {
+    await this.storage.deleteDocument(documentId)
+    await this.onDocumentRemoved?.(documentId)
+  }
+
+  /**
+   * Retry failed operations now, resetting their backoff
+   * @returns {Promise<Object>} { processed, failed }
+   */
+  async retryFailed() {
+    const now = new Date().toISOString()
+    const reset = this.syncQueue.map((op) =>
+      op.status === 'failed' ? { ...op, status: 'pending', attempts: 0, nextAttemptAt: now } : op
+    )
+    for (const op of reset.filter((item) => !this.syncQueue.includes(item))) {
+      await this.storage.saveSyncOperation(op)
+    }
+    this.syncQueue = reset
+    this.notifyQueueChange()
+    return this.processSyncQueue({ force: true })
+  }
+
+  /**
+   * Drop queued uploads that a sync has pushed, or that wait for conflict resolution
+   * @returns {Promise<void>}
+   */
+  async settleSyncQueue() {
+    const conflicted = new Set(this.conflictQueue.map((conflict) => conflict.local?.id))
+    for (const op of this.syncQueue.filter((item) => item.type !== 'delete')) {
+      const doc = await this.storage.getDocument(op.documentId)
+      if (!doc || !this.hasLocalChanges(doc) || conflicted.has(op.documentId)) {
+        await this.removeOperation(op)
       }
     }
   }
 
+  /**
+   * Remove a finished operation from the queue
+   * @param {Object} op - Queued operation
+   * @returns {Promise<void>}
+   */
+  async removeOperation(op) {
+    await this.storage.deleteSyncOperation(op.id)
+    this.syncQueue = this.syncQueue.filter((item) => item !== op)
+    this.notifyQueueChange()
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {Object} op - Queued operation
+   * @param {Error} error - Failure
+   * @returns {Promise<void>}
+   */
+  async recordFailure(op, error) {
+    const attempts = op.attempts + 1
+    const failed = {
+      ...op,
+      attempts,
+      lastError: error.message,
+      status: attempts >= SYNC_MAX_ATTEMPTS ? 'failed' : 'pending',
+      nextAttemptAt: new Date(Date.now() + this.getRetryDelay(attempts)).toISOString()
+    }
+
+    await this.storage.saveSyncOperation(failed)
+    this.syncQueue = this.syncQueue.map((item) => (item === op ? failed : item))
+  }
+
+  /**
+   * Get the delay before retrying an operation
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (attempts - 1), SYNC_RETRY_MAX_DELAY)
+  }
+
+  /**
+   * Schedule queue processing for the next due operation
+   * @param {number} delay - Delay in milliseconds; by default when the next operation is due
+   */
+  scheduleSyncQueue(delay = null) {
+    clearTimeout(this.syncQueueTimer)
+    this.syncQueueTimer = null
+
+    const pending = this.syncQueue.filter((op) => op.status === 'pending')
+    if (pending.length === 0) return
+
+    const nextDue = Math.min(...pending.map((op) => new Date(op.nextAttemptAt).getTime()))
+    const wait = delay ?? Math.max(nextDue - Date.now(), 0)
+    this.syncQueueTimer = setTimeout(() => this.processSyncQueue(), wait)
+  }
+
+  /**
+   * Get pending and failed operations for display
+   * @returns {Array} Operations, oldest first
+   */
+  getQueuedOperations() {
+    return this.syncQueue.map(
+      ({ id, type, title, status, attempts, nextAttemptAt, lastError }) => ({
+        id,
+        type,
+        title,
+        status,
+        attempts,
+        nextAttemptAt,
+        lastError
+      })
+    )
+  }
+
+  /**
+   * Tell the UI that the queue changed
+   */
+  notifyQueueChange() {
+    this.onQueueChange?.(this.getSyncStatus())
+  }
+
   /**
    * Get sync status
    * @returns {Object} Sync status
    */
   getSyncStatus() {
     return {
-      syncing: this.syncing,
+      syncing: this.syncing || this.processingQueue,
       lastSyncTime: this.lastSyncTime,
-      queuedItems: this.syncQueue.length,
+      queuedItems: this.syncQueue.filter((op) => op.status === 'pending').length,
+      failedItems: this.syncQueue.filter((op) => op.status === 'failed').length,
+      operations: this.getQueuedOperations(),
       pendingConflicts: this.conflictQueue.length,
       autoSyncEnabled: this.autoSyncEnabled,
       authenticated: this.auth.isAuthenticated(),
@@ -449,17 +1252,30 @@ export class SyncManager {
    * Clear all sync data
    */
   clearSyncData() {
+    clearTimeout(this.syncQueueTimer)
     this.syncQueue = []
     this.conflictQueue = []
     this.lastSyncTime = null
     localStorage.removeItem('fantasy_editor_sync_metadata')
   }
 
+  /**
+   * Discard all queued operations, including the persisted ones
+   * @returns {Promise<void>}
+   */
+  async clearSyncQueue() {
+    clearTimeout(this.syncQueueTimer)
+    await this.storage.clearSyncOperations()
+    this.syncQueue = []
+    this.notifyQueueChange()
+  }
+
   /**
    * Cleanup resources
    */
   destroy() {
     this.stopAutoSync()
+    window.removeEventListener('online', this.handleOnline)
     this.clearSyncData()
   }
 }
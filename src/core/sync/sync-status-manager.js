@@ -153,7 +153,8 @@ export class SyncStatusManager {
     return {
       owner: config.owner,
       repo: config.repo,
-      displayName: config.repo // Just show repo name, not owner/repo
+      displayName: config.repo, // Just show repo name, not owner/repo
+      branch: config.branch
     }
   }
 
@@ -211,7 +212,7 @@ export class SyncStatusManager {
     // Show repository info
     const repoInfo = this.getRepositoryInfo()
     if (repoInfo) {
-      this.app.statusBarManager.updateRepositoryInfo(repoInfo.displayName, true)
+      this.app.statusBarManager.updateRepositoryInfo(repoInfo.displayName, true, repoInfo.branch)
     }
 
     // Update sync status
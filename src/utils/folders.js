@@ -0,0 +1,78 @@
+/**
+ * Folder Utilities - Repository folder paths stored on documents
+ * A document's folder is its path below the repository's documents directory,
+ * e.g. 'book-1/chapters'. Documents at the top level have an empty folder.
+ */
+
+/**
+ * Normalize a folder path typed by the user or read from the repository
+ * @param {string} folder - Folder path such as '/book-1/chapters/'
+ * @returns {string} Normalized path without leading or trailing slashes
+ */
+export function normalizeFolderPath(folder) {
+  const segments = (folder || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+
+  for (const segment of segments) {
+    if (segment === '.' || segment === '..' || segment.startsWith('.')) {
+      throw new Error(`Invalid folder name: ${segment}`)
+    }
+  }
+
+  return segments.join('/')
+}
+
+/**
+ * Build a nested folder tree from documents
+ * @param {Array} documents - Documents with an optional folder property
+ * @returns {Object} Root node as { name, path, folders, documents, count }
+ */
+export function buildFolderTree(documents) {
+  const createNode = (name, path) => ({ name, path, folders: [], documents: [], count: 0 })
+  const root = createNode('', '')
+  const nodes = new Map([['', root]])
+
+  const getNode = (path) => {
+    if (nodes.has(path)) return nodes.get(path)
+
+    const separator = path.lastIndexOf('/')
+    const parent = getNode(separator === -1 ? '' : path.slice(0, separator))
+    const node = createNode(path.slice(separator + 1), path)
+    parent.folders.push(node)
+    nodes.set(path, node)
+    return node
+  }
+
+  for (const doc of documents) {
+    const folder = doc.folder || ''
+    getNode(folder).documents.push(doc)
+
+    // Every folder on the way up counts the document
+    let path = folder
+    while (path) {
+      nodes.get(path).count++
+      path = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : ''
+    }
+    root.count++
+  }
+
+  const sortFolders = (node) => {
+    node.folders.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    node.folders.forEach(sortFolders)
+  }
+  sortFolders(root)
+
+  return root
+}
+
+/**
+ * Check whether any document is stored in a folder
+ * @param {Array} documents - Documents
+ * @returns {boolean} Whether the documents need a folder hierarchy
+ */
+export function hasFolders(documents) {
+  return documents.some((doc) => !!doc.folder)
+}
@@ -140,8 +140,9 @@ export class GuidManager {
     }
 
     // Update checksum if content changed
+    // Documents downloaded from the repository have no sync block yet
     if (changes.content !== undefined) {
-      updated.sync.checksum = this.generateChecksum(changes.content)
+      updated.sync = { ...updated.sync, checksum: this.generateChecksum(changes.content) }
     }
 
     return updated
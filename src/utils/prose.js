@@ -0,0 +1,34 @@
+/**
+ * Prose Utilities - Find the prose in markdown documents
+ * Shared by the spell checker and the prose linter, which both skip front matter, code, links
+ * and markup.
+ */
+
+// Words, including contractions and possessives such as "didn't" or "Thal'Kirin"
+export const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu
+
+// Text that is not prose: front matter, code, wiki links, link targets, URLs, e-mail and HTML
+const NON_PROSE_PATTERNS = [
+  /^---\r?\n[\s\S]*?\r?\n---(?=\r?\n|$)/g,
+  /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n\1[^\n]*|$)/gm,
+  /`[^`\n]+`/g,
+  /\[\[[^\]\n]*\]\]/g,
+  /\]\([^)\n]*\)/g,
+  /\b(?:https?:\/\/|www\.)[^\s)>\]]+/g,
+  /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  /<\/?[a-zA-Z][^>\n]*>/g
+]
+
+/**
+ * Blank out everything in a markdown text that is not prose
+ * Masked text is replaced with spaces, so positions in the result match the original text.
+ * @param {string} text - Markdown text
+ * @returns {string} Text of the same length with only the prose left
+ */
+export function maskNonProse(text) {
+  let prose = text || ''
+  for (const pattern of NON_PROSE_PATTERNS) {
+    prose = prose.replace(pattern, (match) => match.replace(/[^\n]/g, ' '))
+  }
+  return prose
+}
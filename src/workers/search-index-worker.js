@@ -0,0 +1,22 @@
+/**
+ * Search Index Worker - Analyses documents and builds the Lunr index off the main thread
+ * Messages are { id, method, args } for a SearchIndexer method; replies are { id, result }
+ * or { id, error }.
+ */
+import { SearchIndexer } from '../core/search/search-indexer.js'
+
+const METHODS = ['load', 'update']
+const indexer = new SearchIndexer()
+
+self.addEventListener('message', (event) => {
+  const { id, method, args = [] } = event.data
+
+  try {
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown search worker method: ${method}`)
+    }
+    self.postMessage({ id, result: indexer[method](...args) })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+})
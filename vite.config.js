@@ -43,7 +43,8 @@ export default defineConfig(({ command, mode }) => {
           ]
         },
         workbox: {
-          globPatterns: ["**/*.{js,css,html,ico,png,svg,woff2}"],
+          // aff/dic: the spell-check dictionary, so spelling works offline
+          globPatterns: ["**/*.{js,css,html,ico,png,svg,woff2,aff,dic}"],
           maximumFileSizeToCacheInBytes: 3 * 1024 * 1024,
           cleanupOutdatedCaches: true,
           skipWaiting: isProduction,
@@ -117,6 +118,7 @@ export default defineConfig(({ command, mode }) => {
             '@codemirror/search',
             '@codemirror/autocomplete',
             '@codemirror/language',
+            '@codemirror/lint',
             '@codemirror/merge'
           ],
           // Search functionality - loaded when needed
@@ -167,6 +169,7 @@ export default defineConfig(({ command, mode }) => {
       '@codemirror/search',
       '@codemirror/autocomplete',
       '@codemirror/language',
+      '@codemirror/lint',
       'dompurify',
       'lunr'
     ],
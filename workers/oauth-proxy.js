@@ -9,6 +9,13 @@ import { GitLabProvider } from './providers/gitlab.js'
 import { BitbucketProvider } from './providers/bitbucket.js'
 import { GenericGitProvider } from './providers/generic-git.js'
 
+// Display names used in proxied API error messages
+const PROVIDER_LABELS = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  bitbucket: 'Bitbucket'
+}
+
 /**
  * Provider factory - creates provider instances based on type
  * @param {string} providerType - Provider type (github, gitlab, bitbucket, generic)
@@ -68,6 +75,81 @@ function getProviderConfig(providerType, env) {
   return config
 }
 
+/**
+ * Get provider configuration for a request
+ * Clients may only choose the server of self-hosted GitLab and Gitea/Forgejo instances, and only
+ * servers listed in ALLOWED_GIT_HOSTS, so access tokens are never sent to other hosts.
+ * GitHub and Bitbucket always use the server-side configuration.
+ * @param {string} providerType - Provider type
+ * @param {Object} providerConfig - Configuration sent by the client
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider configuration
+ */
+function getRequestProviderConfig(providerType, providerConfig, env) {
+  const config = getProviderConfig(providerType, env)
+  if (!providerConfig || !['gitlab', 'generic'].includes(providerType)) {
+    return config
+  }
+
+  const { baseUrl, providerName, providerDisplayName } = providerConfig
+  if (baseUrl && baseUrl !== config.baseUrl) {
+    if (!isAllowedGitHost(baseUrl, env)) {
+      throw new Error(`Git server not allowed: ${baseUrl}`)
+    }
+    config.baseUrl = baseUrl.replace(/\/+$/, '')
+  }
+  if (providerType === 'generic') {
+    config.providerName = providerName || config.providerName
+    config.providerDisplayName = providerDisplayName || config.providerDisplayName
+  }
+
+  return config
+}
+
+/**
+ * Check a self-hosted Git server against ALLOWED_GIT_HOSTS
+ * The list holds comma-separated host names, e.g. "git.example.com, codeberg.org"
+ * @param {string} baseUrl - Server URL sent by the client
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True for HTTPS URLs on an allowed host
+ */
+function isAllowedGitHost(baseUrl, env) {
+  let url
+  try {
+    url = new URL(baseUrl)
+  } catch {
+    return false
+  }
+  if (url.protocol !== 'https:' || url.username || url.password || url.search || url.hash) {
+    return false
+  }
+
+  const allowedHosts = (env.ALLOWED_GIT_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+  return allowedHosts.includes(url.host.toLowerCase())
+}
+
+/**
+ * Build the URL of a proxied REST API call
+ * The operation must be a plain path, so the request can only reach the provider's own API.
+ * @param {string} apiUrl - Provider API base URL
+ * @param {string} operation - API path such as /repos/owner/repo/contents/file.md
+ * @returns {string} Request URL
+ */
+function getApiRequestUrl(apiUrl, operation) {
+  if (!/^\/(?![/\\])[^\s\\]*$/.test(operation)) {
+    throw new Error('Invalid API path')
+  }
+
+  const url = `${apiUrl}${operation}`
+  if (new URL(url).origin !== new URL(apiUrl).origin) {
+    throw new Error('Invalid API path')
+  }
+  return url
+}
+
 /**
  * Handle OAuth token exchange request
  * @param {Request} request - Incoming request
@@ -89,9 +171,7 @@ async function handleTokenExchange(request, env) {
     }
 
     // Get provider configuration
-    const config = providerConfig
-      ? { ...getProviderConfig(provider, env), ...providerConfig }
-      : getProviderConfig(provider, env)
+    const config = getRequestProviderConfig(provider, providerConfig, env)
 
     console.log(`OAuth provider configured: ${provider}`)
 
@@ -147,9 +227,7 @@ async function handleUserInfo(request, env) {
     }
 
     // Get provider configuration
-    const config = providerConfig 
-      ? { ...getProviderConfig(provider, env), ...providerConfig }
-      : getProviderConfig(provider, env)
+    const config = getRequestProviderConfig(provider, providerConfig, env)
 
     // Create provider instance
     const providerInstance = createProvider(provider, config)
@@ -200,9 +278,7 @@ async function handleRepositoryOps(request, env) {
     }
 
     // Get provider configuration
-    const config = providerConfig 
-      ? { ...getProviderConfig(provider, env), ...providerConfig }
-      : getProviderConfig(provider, env)
+    const config = getRequestProviderConfig(provider, providerConfig, env)
 
     // Create provider instance
     const providerInstance = createProvider(provider, config)
@@ -210,16 +286,17 @@ async function handleRepositoryOps(request, env) {
     // Execute repository operation
     let result
     
-    // Handle direct GitHub API proxy calls (for GitHub Storage compatibility)
+    // Handle direct REST API proxy calls against the provider's API (used by the client-side
+    // storage backends)
     if (operation.startsWith('/')) {
-      const apiUrl = `https://api.github.com${operation}`
+      const apiUrl = getApiRequestUrl(providerInstance.apiUrl, operation)
       
       // Prepare fetch options
       const fetchOptions = {
         method: params.method || 'GET',
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/vnd.github.v3+json',
+          'Accept': provider === 'github' ? 'application/vnd.github.v3+json' : 'application/json',
           'User-Agent': 'Fantasy-Editor-OAuth-Proxy',
           ...(params.headers || {})
         }
@@ -236,12 +313,17 @@ async function handleRepositoryOps(request, env) {
       
       if (!response.ok) {
         const error = await response.text()
-        throw new Error(`GitHub API error: ${response.status} - ${error}`)
+        throw new Error(`${PROVIDER_LABELS[provider] || 'Git'} API error: ${response.status} - ${error}`)
       }
       
-      // Handle empty responses (like 204 No Content)
+      // Handle empty responses (like 204 No Content); raw file downloads are wrapped as
+      // { content } so they can be returned as JSON
       const text = await response.text()
-      result = text ? JSON.parse(text) : {}
+      if (params.raw) {
+        result = { content: text }
+      } else {
+        result = text ? JSON.parse(text) : {}
+      }
     } else {
       // Existing provider operations
       switch (operation) {
@@ -42,6 +42,14 @@ export class BaseProvider {
     throw new Error('User API URL must be implemented by subclass')
   }
 
+  /**
+   * Get REST API base URL that proxied API paths are appended to (must be implemented by subclasses)
+   * @returns {string} API base URL
+   */
+  get apiUrl() {
+    throw new Error('API URL must be implemented by subclass')
+  }
+
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from OAuth callback
@@ -44,6 +44,14 @@ export class BitbucketProvider extends BaseProvider {
     return 'https://api.bitbucket.org/2.0/user'
   }
 
+  /**
+   * Bitbucket REST API base URL
+   * @returns {string}
+   */
+  get apiUrl() {
+    return 'https://api.bitbucket.org/2.0'
+  }
+
   /**
    * Build Bitbucket-specific token parameters
    * Bitbucket requires grant_type
@@ -58,6 +58,14 @@ export class GenericGitProvider extends BaseProvider {
     return `${this.baseUrl}${this.apiPath}/user`
   }
 
+  /**
+   * REST API base URL
+   * @returns {string}
+   */
+  get apiUrl() {
+    return `${this.baseUrl}${this.apiPath}`
+  }
+
   /**
    * Process user data into standardized format
    * Most Git providers follow GitHub-like API structure
@@ -36,6 +36,14 @@ export class GitHubProvider extends BaseProvider {
     return 'https://github.com/login/oauth/access_token'
   }
 
+  /**
+   * GitHub REST API base URL
+   * @returns {string}
+   */
+  get apiUrl() {
+    return 'https://api.github.com'
+  }
+
   /**
    * GitHub user API URL
    * @returns {string}
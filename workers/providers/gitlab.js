@@ -47,6 +47,14 @@ export class GitLabProvider extends BaseProvider {
     return `${this.baseUrl}/api/v4/user`
   }
 
+  /**
+   * GitLab REST API base URL
+   * @returns {string}
+   */
+  get apiUrl() {
+    return `${this.baseUrl}/api/v4`
+  }
+
   /**
    * Build GitLab-specific token parameters
    * GitLab requires grant_type and redirect_uri